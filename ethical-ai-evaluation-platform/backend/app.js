@@ -0,0 +1,109 @@
+/**
+ * App factory
+ *
+ * Builds the Express app (middleware and routers) without connecting to
+ * MongoDB or listening on a port. server.js connects and listens; tests can
+ * connect mongoose to any database (e.g. an in-memory one) and use the app
+ * directly:
+ *
+ *   const createApp = require('./app');
+ *   await mongoose.connect(uri);
+ *   request(createApp()).get('/api/health');
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const compression = require('compression');
+
+// Register every model before routers load: controllers and services look
+// models up by name when they are first required.
+require('./models');
+
+const { authenticateExcept } = require('./middleware/auth');
+
+// --- AUTH: every route requires a session token, except these public ones ---
+// The acting user always comes from req.user (see middleware/auth.js), never from the body/query.
+const PUBLIC_PATHS = [
+  '/api/health',
+  '/api/login',
+  '/api/auth/request-code',
+  '/api/auth/verify-code-and-register',
+  '/api/forgot-password',
+  '/api/reset-password',
+  '/api/invitations/preview',
+  '/api/invitations/accept',
+  '/api/auth/2fa/challenge/setup',
+  '/api/auth/2fa/challenge/verify'
+];
+
+/**
+ * @returns {import('express').Express}
+ */
+function createApp() {
+  const app = express();
+
+  // Behind Railway's proxy req.ip must come from X-Forwarded-For (per-IP rate limits)
+  const trustProxy = process.env.TRUST_PROXY ?? (process.env.RAILWAY_ENVIRONMENT ? '1' : '');
+  if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+
+  // Enable compression for faster responses
+  app.use(compression());
+
+  // Basic health endpoint (safe: does not expose secrets)
+  app.get('/api/health', (req, res) => {
+    res.json({
+      ok: true,
+      time: new Date().toISOString(),
+      mongo: {
+        readyState: mongoose.connection.readyState, // 0=disconnected, 1=connected, 2=connecting, 3=disconnecting
+        connected: mongoose.connection.readyState === 1,
+        host: mongoose.connection.host || null,
+        name: mongoose.connection.name || null,
+      },
+    });
+  });
+
+  // --- GÜNCELLEME: Dosya yükleme limiti 300MB yapıldı ---
+  app.use(express.json({ limit: '300mb' }));
+  app.use(express.urlencoded({ limit: '300mb', extended: true }));
+  app.use(cors({
+    origin: true, // Dynamically reflects request origin
+    credentials: true,
+    exposedHeaders: ['X-Translation-Warnings']
+  }));
+
+  // Set keep-alive timeout
+  app.use((req, res, next) => {
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Keep-Alive', 'timeout=5, max=1000');
+    next();
+  });
+
+  app.use(authenticateExcept(PUBLIC_PATHS));
+
+  // --- ROUTES (API UÇLARI) ---
+  app.use('/api', require('./routes/useCaseRoutes'));
+  app.use('/api', require('./routes/projectRoutes'));
+  app.use('/api', require('./routes/tensionRoutes'));
+  app.use('/api/evaluations', require('./routes/evaluationRoutes'));
+  app.use('/api', require('./routes/generalQuestionRoutes'));
+  // Mounted at the root: a few progress/debug URLs have never had the /api prefix
+  app.use(require('./routes/progressRoutes'));
+  app.use('/api', require('./routes/authRoutes'));
+  app.use('/api', require('./routes/adminRoutes'));
+  app.use('/api', require('./routes/invitationRoutes'));
+  app.use('/api', require('./routes/userRoutes'));
+  app.use('/api/reports', require('./routes/reportRoutes'));
+  app.use('/api', require('./routes/messageRoutes'));
+  app.use('/api', require('./routes/notificationRoutes'));
+  app.use('/api', require('./routes/sharedDiscussionRoutes'));
+  app.use('/api', require('./routes/scenarioRoutes'));
+
+  return app;
+}
+
+module.exports = createApp;
+module.exports.PUBLIC_PATHS = PUBLIC_PATHS;
@@ -0,0 +1,9 @@
+/**
+ * Current ERC threshold configuration
+ *
+ * Everything that turns a risk score into a level, label or color loads the
+ * thresholds through this module, so moving to a new versioned file
+ * (ercThresholds.v2.js, ...) is a one-line change here.
+ */
+
+module.exports = require('./ercThresholds.v1');
@@ -6,7 +6,11 @@
  * ERC Formula: importance (0-4) × severity (0-1) = risk (0-4)
  * 
  * This version uses a 0-4 scale normalized thresholds.
- * If methodology changes, create ercThresholds.v2.js and update CURRENT_VERSION.
+ * If methodology changes, create ercThresholds.v2.js and point config/ercThresholds.js at it.
+ *
+ * Level keys (MINIMAL ... CRITICAL), labels and colors here are the only ones:
+ * utils/riskScale.js, riskClassification.js, riskUtils.js, riskLabel.js and the
+ * frontend (GET /api/risk-thresholds) all derive theirs from this file.
  */
 
 module.exports = {
@@ -32,17 +36,22 @@ module.exports = {
     thresholds: {
         MINIMAL: { min: 0.0, max: 0.5, label: 'Minimal Risk', color: '#4CAF50' },
         LOW: { min: 0.5, max: 1.5, label: 'Low Risk', color: '#edbf4bff' },
-        MODERATE: { min: 1.5, max: 2.5, label: 'Moderate Risk', color: '#EF6C00' },
+        MEDIUM: { min: 1.5, max: 2.5, label: 'Medium Risk', color: '#EF6C00' },
         HIGH: { min: 2.5, max: 3.5, label: 'High Risk', color: '#D32F2F' },
         CRITICAL: { min: 3.5, max: 4.0, label: 'Critical Risk', color: '#B71C1C' }
     },
 
+    /**
+     * Shown for values that were not evaluated (null/undefined/NaN)
+     */
+    notEvaluated: { level: 'UNKNOWN', label: 'Not Evaluated', color: '#9E9E9E' },
+
     /**
      * Get risk level from normalized ERC value
      */
     getRiskLevel(ercValue) {
         if (ercValue === null || ercValue === undefined || isNaN(ercValue)) {
-            return { level: 'UNKNOWN', label: 'Data Unavailable', color: '#9E9E9E' };
+            return { ...module.exports.notEvaluated, label: 'Data Unavailable' };
         }
 
         const value = Number(ercValue);
@@ -58,6 +67,6 @@ module.exports = {
             }
         }
 
-        return { level: 'UNKNOWN', label: 'Out of Range', color: '#9E9E9E' };
+        return { ...module.exports.notEvaluated, label: 'Out of Range' };
     }
 };
@@ -0,0 +1,27 @@
+/**
+ * Locale Registry
+ *
+ * Languages questions, the app and reports can be shown in. English is the
+ * source language: every question has an English text, and anything missing
+ * in another locale falls back to it (utils/localization.js).
+ *
+ * Adding a locale: list it here, add backend/locales/<code>.json (report
+ * texts) and frontend/src/i18n/messages/<code>.ts (app texts), and register it
+ * in frontend/src/i18n/locales.ts. Questionnaire translations are imported
+ * with bundles (services/questionnaireBundleService.js).
+ */
+
+module.exports = {
+    DEFAULT_LOCALE: 'en',
+
+    // name: English name (also used in AI prompts), nativeName: shown in the language switcher
+    LOCALES: [
+        { code: 'en', name: 'English', nativeName: 'English' },
+        { code: 'tr', name: 'Turkish', nativeName: 'Türkçe' },
+        { code: 'de', name: 'German', nativeName: 'Deutsch' },
+        { code: 'fr', name: 'French', nativeName: 'Français' },
+        { code: 'es', name: 'Spanish', nativeName: 'Español' }
+    ]
+};
+
+module.exports.LOCALE_CODES = module.exports.LOCALES.map(locale => locale.code);
@@ -0,0 +1,139 @@
+/**
+ * Permission Matrix
+ *
+ * Declares which roles may perform each action, and whether the action is
+ * scoped to a project (the user must then be assigned to that project).
+ * Admins are never subject to the project-membership check.
+ *
+ * Enforced by middleware/authorize.js. To change who can do what,
+ * update this matrix, not the route handlers.
+ */
+
+const ROLES = [
+    'admin',
+    'ethical-expert',
+    'medical-expert',
+    'technical-expert',
+    'legal-expert',
+    'education-expert',
+    'use-case-owner'
+];
+
+const EXPERT_ROLES = [
+    'ethical-expert',
+    'medical-expert',
+    'technical-expert',
+    'legal-expert',
+    'education-expert'
+];
+
+// Roles a visitor may pick when signing up with an email code.
+// Admin accounts can only be created through an admin-issued invitation.
+const SELF_REGISTRATION_ROLES = ROLES.filter((role) => role !== 'admin');
+
+const ALL = ROLES;
+const ADMIN = ['admin'];
+const ADMIN_AND_EXPERTS = ['admin', ...EXPERT_ROLES];
+const ADMIN_AND_OWNER = ['admin', 'use-case-owner'];
+
+/**
+ * scope: 'project' → user must be assigned to the target project (admins bypass)
+ * scope: 'global'  → role check only
+ *
+ * Ownership rules (e.g. only the author or an admin may delete a discussion
+ * message) stay in the route handlers.
+ */
+const PERMISSIONS = {
+    // Use cases
+    'usecase.view': { roles: ALL, scope: 'global' },
+    'usecase.create': { roles: ADMIN_AND_OWNER, scope: 'global' },
+    'usecase.edit': { roles: ADMIN_AND_OWNER, scope: 'global' },
+    'usecase.delete': { roles: ADMIN_AND_OWNER, scope: 'global' },
+    'usecase.assign': { roles: ADMIN, scope: 'global' },
+    'usecase.questions.seed': { roles: ADMIN_AND_OWNER, scope: 'global' },
+
+    // Projects
+    'project.list': { roles: ALL, scope: 'global' },
+    'project.view': { roles: ALL, scope: 'project' },
+    'project.create': { roles: ADMIN, scope: 'global' },
+    'project.delete': { roles: ADMIN, scope: 'global' },
+    'project.assign': { roles: ADMIN, scope: 'global' },
+    'project.claim': { roles: ADMIN, scope: 'global' },
+    'project.finishEvolution': { roles: ALL, scope: 'project' },
+    'project.scoringModel': { roles: ADMIN, scope: 'project' },
+    'project.thresholds': { roles: ADMIN, scope: 'project' },
+    'project.roleWeights': { roles: ADMIN, scope: 'project' },
+
+    // Tensions
+    'tension.view': { roles: ALL, scope: 'project' },
+    'tension.create': { roles: ADMIN_AND_EXPERTS, scope: 'project' },
+    'tension.edit': { roles: ADMIN_AND_EXPERTS, scope: 'project' },
+    'tension.delete': { roles: ADMIN_AND_EXPERTS, scope: 'project' },
+    'tension.vote': { roles: EXPERT_ROLES, scope: 'project' },
+    'tension.comment': { roles: ALL, scope: 'project' },
+    'tension.evidence': { roles: ALL, scope: 'project' },
+
+    // Evaluations & questionnaires
+    'evaluation.view': { roles: ALL, scope: 'project' },
+    'evaluation.submit': { roles: ALL, scope: 'project' },
+    'evaluation.assign': { roles: ADMIN, scope: 'project' },
+    'question.view': { roles: ALL, scope: 'global' },
+    'question.edit': { roles: ADMIN, scope: 'global' },
+    'question.custom': { roles: ALL, scope: 'project' },
+    'score.compute': { roles: ALL, scope: 'project' },
+    'score.view': { roles: ALL, scope: 'project' },
+    'score.models': { roles: ALL, scope: 'global' },
+    'score.thresholds': { roles: ALL, scope: 'global' },
+    'threshold.manage': { roles: ADMIN, scope: 'global' },
+    'progress.view': { roles: ALL, scope: 'project' },
+    'analytics.view': { roles: ALL, scope: 'project' },
+    'scenario.view': { roles: ALL, scope: 'project' },
+    'scenario.simulate': { roles: ALL, scope: 'project' },
+    'scenario.edit': { roles: ALL, scope: 'project' },
+
+    // Reports
+    'report.list': { roles: ADMIN, scope: 'global' },
+    'report.listOwn': { roles: ALL, scope: 'global' },
+    'report.view': { roles: ALL, scope: 'project' },
+    'report.generate': { roles: ADMIN, scope: 'project' },
+    'report.edit': { roles: ADMIN_AND_EXPERTS, scope: 'project' },
+    'report.comment': { roles: ADMIN_AND_EXPERTS, scope: 'project' },
+    'report.finalize': { roles: ADMIN, scope: 'project' },
+    'report.update': { roles: ADMIN, scope: 'project' },
+    'report.delete': { roles: ADMIN, scope: 'project' },
+
+    // Communication
+    'message.use': { roles: ALL, scope: 'global' },
+    'notification.use': { roles: ALL, scope: 'global' },
+    'discussion.view': { roles: ALL, scope: 'global' },
+    'discussion.post': { roles: ALL, scope: 'global' },
+    'discussion.pin': { roles: ADMIN, scope: 'global' },
+    'discussion.delete': { roles: ALL, scope: 'global' },
+
+    // Users
+    'user.list': { roles: ALL, scope: 'global' },
+    'user.unlock': { roles: ADMIN, scope: 'global' },
+    'user.invite': { roles: ADMIN, scope: 'global' },
+    'audit.view': { roles: ADMIN, scope: 'global' },
+
+    // Diagnostics (debug/integrity endpoints, AI model tests)
+    'admin.debug': { roles: ADMIN, scope: 'global' }
+};
+
+/**
+ * Machine-readable reason codes returned in 403 responses
+ */
+const DENIAL_CODES = {
+    ROLE_NOT_PERMITTED: 'ROLE_NOT_PERMITTED',
+    NOT_PROJECT_MEMBER: 'NOT_PROJECT_MEMBER',
+    PROJECT_REQUIRED: 'PROJECT_REQUIRED',
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION'
+};
+
+module.exports = {
+    ROLES,
+    EXPERT_ROLES,
+    SELF_REGISTRATION_ROLES,
+    PERMISSIONS,
+    DENIAL_CODES
+};
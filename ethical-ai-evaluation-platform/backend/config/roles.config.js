@@ -23,5 +23,16 @@ module.exports = {
     },
 
     // Minimum total evaluator count for valid ethical plurality
-    MIN_TOTAL_EVALUATORS: 3
+    MIN_TOTAL_EVALUATORS: 3,
+
+    // Weight of each evaluator role when a project's answers are aggregated
+    // (services/roleWeightService.js). Projects can override them; roles not
+    // listed here count with weight 1.
+    DEFAULT_ROLE_WEIGHTS: {
+        'ethical-expert': 1,
+        'legal-expert': 1,
+        'technical-expert': 1,
+        'medical-expert': 1,
+        'education-expert': 1
+    }
 };
@@ -0,0 +1,35 @@
+/**
+ * Score Recomputation Queue
+ *
+ * Timing of the recompute queue (services/scoreRecomputeQueue.js). Saving a
+ * draft, submitting or changing thresholds queues a job;
+ * the in-process worker recomputes the affected Score documents once the
+ * burst of events is over.
+ */
+
+const seconds = (n) => n * 1000;
+const minutes = (n) => n * 60 * 1000;
+const days = (n) => n * 24 * 60 * 60 * 1000;
+
+module.exports = {
+    // A job runs once no new event arrived for its scope for this long...
+    RECOMPUTE_DEBOUNCE_MS: seconds(5),
+    // ...but at the latest this long after its first event
+    RECOMPUTE_MAX_DELAY_MS: seconds(60),
+
+    // How often the worker looks for due jobs
+    RECOMPUTE_POLL_INTERVAL_MS: seconds(2),
+
+    // Failed jobs are retried after attempts × this delay, up to RECOMPUTE_MAX_ATTEMPTS
+    RECOMPUTE_RETRY_DELAY_MS: seconds(30),
+    RECOMPUTE_MAX_ATTEMPTS: 3,
+
+    // A job still running after this long was lost (e.g. a restart) and is queued again
+    RECOMPUTE_STALE_RUNNING_MS: minutes(10),
+
+    // Finished jobs are kept this long, then purged by MongoDB
+    RECOMPUTE_JOB_TTL_MS: days(7),
+
+    // Report generation waits at most this long for a project's queued jobs
+    RECOMPUTE_FLUSH_TIMEOUT_MS: seconds(60)
+};
@@ -0,0 +1,61 @@
+/**
+ * Authentication Abuse Protection
+ *
+ * Rate limits (per IP and per email) for the public auth endpoints, login
+ * lockout, verification-code attempt limits and two-factor settings. Counters are stored in
+ * MongoDB (RateLimitBucket) so they hold across restarts and instances.
+ *
+ * windowMs: length of a fixed counting window
+ * limit:    requests allowed per key within one window
+ */
+
+const minutes = (n) => n * 60 * 1000;
+
+module.exports = {
+    RATE_LIMITS: {
+        login: {
+            ip: { limit: 30, windowMs: minutes(15) },
+            email: { limit: 10, windowMs: minutes(15) }
+        },
+        requestCode: {
+            ip: { limit: 10, windowMs: minutes(60) },
+            email: { limit: 3, windowMs: minutes(15) }
+        },
+        verifyCode: {
+            ip: { limit: 30, windowMs: minutes(15) },
+            email: { limit: 10, windowMs: minutes(15) }
+        },
+        forgotPassword: {
+            ip: { limit: 10, windowMs: minutes(60) },
+            email: { limit: 3, windowMs: minutes(60) }
+        },
+        resetPassword: {
+            ip: { limit: 20, windowMs: minutes(15) }
+        },
+        acceptInvite: {
+            ip: { limit: 20, windowMs: minutes(15) }
+        },
+        twoFactor: {
+            ip: { limit: 30, windowMs: minutes(15) }
+        }
+    },
+
+    // Consecutive failed logins before the account is locked
+    LOGIN_MAX_FAILED_ATTEMPTS: 5,
+    LOGIN_LOCKOUT_MS: minutes(15),
+
+    // Wrong guesses allowed per emailed verification code before it is invalidated
+    VERIFICATION_CODE_MAX_ATTEMPTS: 5,
+    VERIFICATION_CODE_TTL_MS: minutes(10),
+
+    // How long an emailed invitation link stays valid
+    INVITATION_TTL_MS: minutes(60 * 24 * 7),
+
+    // Two-factor authentication (TOTP). Optional for everyone, enforced at login for these roles
+    TWO_FACTOR_REQUIRED_ROLES: ['admin', 'ethical-expert'],
+    TWO_FACTOR_ISSUER: 'Ethical AI Analysis Platform',
+    // Time allowed between the password step and the code step, and wrong codes allowed in it
+    TWO_FACTOR_CHALLENGE_TTL_MS: minutes(5),
+    TWO_FACTOR_MAX_ATTEMPTS: 5,
+    RECOVERY_CODE_COUNT: 10
+};
@@ -3,6 +3,7 @@ const { generateReport } = require('../services/geminiService');
 const { generatePDFFromMarkdown } = require('../services/pdfService');
 const { buildReportMetrics } = require('../services/reportMetricsService');
 const { validateProjectForReporting, getInvalidityNotice } = require('../services/reportValidationService');  // PHASE 4
+const { flushProjectRecompute, getScoreStaleness } = require('../services/scoreRecomputeQueue');
 const chartGenerationService = require('../services/chartGenerationService');
 
 // Defensive runtime check: Ensure generateAllCharts is exported
@@ -16,6 +17,11 @@ if (typeof chartGenerationService.generateAllCharts !== 'function') {
 const { getProjectAnalytics } = require('../services/analyticsService');
 const { generateHTMLReport } = require('../services/htmlReportTemplateService');
 const { generateProfessionalDOCX } = require('../services/professionalDocxService');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditLogService');
+const { getProjectScoringModel } = require('../services/scoringModels');
+const { getProjectThresholdSet } = require('../services/thresholdSetService');
+const { createReportTranslator } = require('../utils/reportTranslator');
+const { validateReportTranslations } = require('../utils/reportPreflightValidator');
 
 // Helper function for ObjectId validation (compatible with Mongoose v9+)
 const isValidObjectId = (id) => {
@@ -25,7 +31,7 @@ const isValidObjectId = (id) => {
   return mongoose.Types.ObjectId.isValid(id);
 };
 
-// Get models from mongoose (they are defined in server.js)
+// Get models from mongoose (registered by models/index.js)
 const Report = mongoose.model('Report');
 const Project = mongoose.model('Project');
 const GeneralQuestionsAnswers = mongoose.model('GeneralQuestionsAnswers');
@@ -38,10 +44,10 @@ const Question = require('../models/question');
 
 /**
  * ============================================================
- * AUTH HELPERS (MINIMAL-REFACTOR)
+ * AUTH HELPERS
  * ============================================================
- * This codebase does not use JWT/sessions; requests typically include `userId`.
- * We enforce role-based permissions by looking up the user by that id.
+ * The requesting user is resolved from the session token by
+ * middleware/auth.js (req.user); client-supplied `userId` is ignored.
  */
 
 const toObjectIdOrValue = (id) => {
@@ -57,29 +63,11 @@ const getRoleCategory = (role) => {
   return 'expert';
 };
 
-const getUserIdFromReq = (req) => {
-  return (
-    req?.body?.userId ||
-    req?.query?.userId ||
-    req?.headers?.['x-user-id'] ||
-    req?.headers?.['x-userid'] ||
-    null
-  );
-};
-
 const loadRequestUser = async (req) => {
-  const userId = getUserIdFromReq(req);
-  if (!userId) {
-    const err = new Error('User ID is required for this operation');
-    err.statusCode = 400;
-    throw err;
-  }
-
-  const userIdObj = toObjectIdOrValue(userId);
-  const user = await User.findById(userIdObj).select('_id name email role').lean();
+  const user = req?.user;
   if (!user) {
-    const err = new Error('User not found');
-    err.statusCode = 404;
+    const err = new Error('Authentication required');
+    err.statusCode = 401;
     throw err;
   }
 
@@ -90,25 +78,21 @@ const loadRequestUser = async (req) => {
   };
 };
 
-const isUserAssignedToProject = async ({ userIdObj, projectIdObj }) => {
-  try {
-    const ProjectAssignment = require('../models/projectAssignment');
-    const assignment = await ProjectAssignment.findOne({
-      projectId: projectIdObj,
-      userId: userIdObj
-    }).select('_id').lean();
-
-    if (assignment) return true;
-  } catch (e) {
-    // ignore; fall back to Project.assignedUsers check
-  }
-
-  const project = await Project.findOne({
-    _id: projectIdObj,
-    assignedUsers: userIdObj
-  }).select('_id').lean();
+/**
+ * Translator for a report: the requested locale, else the user's preferred
+ * locale, else English (config/locales.config.js)
+ */
+const reportTranslatorFor = (req, user) => createReportTranslator(req.body?.locale || user?.preferredLocale);
 
-  return Boolean(project);
+/**
+ * Logs the texts of a rendered report that fell back to English
+ * @returns {string[]} warnings (stored as metadata.translationWarnings, shown by
+ * the report viewer; DOCX downloads send their count as X-Translation-Warnings)
+ */
+const checkReportTranslations = (i18n, options) => {
+  const { warnings } = validateReportTranslations(i18n, options);
+  warnings.forEach(warning => console.warn(`⚠️  Translation: ${warning}`));
+  return warnings;
 };
 
 const chooseSectionContentForExport = (section) => {
@@ -300,6 +284,9 @@ async function collectAnalysisData(projectId) {
       throw new Error('Project not found');
     }
 
+    // Run queued recomputations now instead of waiting for the worker
+    await flushProjectRecompute(projectIdObj);
+
     // Ensure all scores are computed using NEW ethical scoring system before generating report
     // This ensures medical, legal, education and other role-specific scores are included
     const { computeEthicalScores, computeProjectEthicalScores } = require('../services/ethicalScoringService');
@@ -351,6 +338,15 @@ async function collectAnalysisData(projectId) {
       console.log('✅ Scores already computed with new ethical scoring system');
     }
 
+    // Never build a report on outdated scores
+    const staleness = await getScoreStaleness(projectIdObj);
+    if (staleness.stale) {
+      const err = new Error(`Scores are not up to date (${staleness.reasons.join(', ')}). Recompute scores and try again.`);
+      err.statusCode = 409;
+      err.code = 'SCORES_STALE';
+      throw err;
+    }
+
     // Get evaluator-level scores (exclude project-level aggregated score docs to prevent double counting / "project" role leakage)
     const scores = await Score.find({ projectId: projectIdObj, role: { $ne: 'project' } }).lean();
 
@@ -401,16 +397,14 @@ exports.generateReport = async (req, res) => {
   try {
     const { projectId } = req.body;
 
-    const { user, userIdObj, roleCategory } = await loadRequestUser(req);
-    if (roleCategory !== 'admin') {
-      return res.status(403).json({ error: 'Only Admin can generate reports.' });
-    }
+    const { user, userIdObj } = await loadRequestUser(req);
 
     if (!projectId) {
       return res.status(400).json({ error: 'Project ID is required' });
     }
 
-    console.log('📊 Generating report for project:', projectId);
+    const i18n = reportTranslatorFor(req, user);
+    console.log('📊 Generating report for project:', projectId, `(${i18n.locale})`);
 
     // Collect all analysis data
     const analysisData = await collectAnalysisData(projectId);
@@ -775,11 +769,13 @@ exports.generateReport = async (req, res) => {
         hasEvidenceChart: !!chartImages.evidenceTypeChart,
         hasTensionCharts: !!(chartImages.tensionSeverityChart || chartImages.tensionReviewStateChart)
       },
-      reportMetrics: reportMetrics || null
+      reportMetrics: reportMetrics || null,
+      locale: i18n.locale
     };
 
     // Call Gemini for NARRATIVE ONLY (no chart references)
     let geminiNarrative;
+    let narrativeFallback = false;
     try {
       geminiNarrative = await generateReport(analysisDataWithCharts);
 
@@ -793,6 +789,7 @@ exports.generateReport = async (req, res) => {
     } catch (geminiError) {
       console.warn(`⚠️  Gemini narrative generation failed: ${geminiError.message}`);
       console.warn('   Generating fallback narrative with metrics only...');
+      narrativeFallback = true;
 
       // FALLBACK: Generate STRUCTURED JSON object from metrics
       // This ensures mandatory sections (5, 6, 7, 8) are always present even if Gemini fails
@@ -1024,7 +1021,8 @@ exports.generateReport = async (req, res) => {
       {
         generatedAt: new Date(),
         analytics: analytics,
-        reportMetrics: reportMetrics
+        reportMetrics: reportMetrics,
+        i18n
       }
     );
 
@@ -1059,6 +1057,7 @@ exports.generateReport = async (req, res) => {
 
     // Calculate metadata
     const metadata = {
+      thresholdsVersion: (await getProjectThresholdSet(analysisData.project)).version,
       totalScores: analysisData.scores.length,
       totalEvaluations: analysisData.evaluations.length,
       totalTensions: analysisData.tensions.length,
@@ -1070,7 +1069,9 @@ exports.generateReport = async (req, res) => {
         'DIVERSITY, NON-DISCRIMINATION & FAIRNESS',
         'SOCIETAL & INTERPERSONAL WELL-BEING',
         'ACCOUNTABILITY'
-      ]
+      ],
+      locale: i18n.locale,
+      translationWarnings: checkReportTranslations(i18n, { narrativeFallback })
     };
 
     // Save report to database
@@ -1306,8 +1307,9 @@ exports.generateReport = async (req, res) => {
       errorMessage = 'API quota exceeded. Please try again later.';
     }
 
-    res.status(500).json({
+    res.status(err.statusCode || 500).json({
       error: errorMessage,
+      code: err.code,
       type: err.name || 'Error',
       details: process.env.NODE_ENV === 'development' ? err.stack : undefined,
       originalError: process.env.NODE_ENV === 'development' ? err.message : undefined
@@ -1322,10 +1324,7 @@ exports.generateReport = async (req, res) => {
 exports.getAllReports = async (req, res) => {
   try {
     const { projectId, status } = req.query;
-    const { roleCategory, userIdObj } = await loadRequestUser(req);
-    if (roleCategory !== 'admin') {
-      return res.status(403).json({ error: 'Only Admin can list all reports.' });
-    }
+    const { userIdObj } = await loadRequestUser(req);
 
     const query = {};
 
@@ -1378,7 +1377,6 @@ exports.getAllReports = async (req, res) => {
 exports.getLatestReport = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const { userId } = req.query;
 
     if (!projectId) {
       return res.status(400).json({ error: 'Project ID is required' });
@@ -1392,17 +1390,6 @@ exports.getLatestReport = async (req, res) => {
     // Get user info for authorization
     const { userIdObj, roleCategory } = await loadRequestUser(req);
 
-    // Check if user is assigned to project (unless admin)
-    if (roleCategory !== 'admin') {
-      const ok = await isUserAssignedToProject({
-        userIdObj,
-        projectIdObj
-      });
-      if (!ok) {
-        return res.status(403).json({ error: 'Not authorized to view reports for this project' });
-      }
-    }
-
     // Find the latest report for this project
     // Sort by version (descending), then by generatedAt (descending), then by createdAt (descending)
     const report = await Report.findOne({ projectId: projectIdObj })
@@ -1425,10 +1412,7 @@ exports.getLatestReport = async (req, res) => {
 
     // Build file URL
     const reportId = report._id.toString();
-    let fileUrl = `/api/reports/${reportId}/file`;
-    if (userId) {
-      fileUrl += `?userId=${encodeURIComponent(userId)}`;
-    }
+    const fileUrl = `/api/reports/${reportId}/file`;
 
     res.json({
       report: {
@@ -1467,18 +1451,6 @@ exports.getReportById = async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Authorization: admin can view all. Expert/Viewer can only view reports for assigned projects.
-    if (roleCategory !== 'admin' && userIdObj) {
-      const projectIdObj = report?.projectId?._id || report?.projectId;
-      const ok = await isUserAssignedToProject({
-        userIdObj,
-        projectIdObj: toObjectIdOrValue(projectIdObj)
-      });
-      if (!ok) {
-        return res.status(403).json({ error: 'Not authorized to view this report.' });
-      }
-    }
-
     // For draft reports, also include fresh metrics so users can see current data
     // This ensures the review screen shows up-to-date information
     if (report.status === 'draft' && report.projectId) {
@@ -1517,11 +1489,7 @@ exports.updateReport = async (req, res) => {
   try {
     const { id } = req.params;
     const { status, title } = req.body;
-    const { roleCategory } = await loadRequestUser(req);
-
-    if (roleCategory !== 'admin') {
-      return res.status(403).json({ error: 'Only Admin can update report metadata.' });
-    }
+    await loadRequestUser(req);
 
     const update = {};
     if (status) update.status = status;
@@ -1551,11 +1519,7 @@ exports.updateReport = async (req, res) => {
 exports.deleteReport = async (req, res) => {
   try {
     const { id } = req.params;
-    const { roleCategory } = await loadRequestUser(req);
-
-    if (roleCategory !== 'admin') {
-      return res.status(403).json({ error: 'Only Admin can delete reports.' });
-    }
+    await loadRequestUser(req);
 
     const deleted = await Report.findByIdAndDelete(id);
 
@@ -1563,6 +1527,12 @@ exports.deleteReport = async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    await recordAuditEvent(AUDIT_EVENTS.REPORT_DELETE, {
+      req,
+      projectId: deleted.projectId,
+      targetId: deleted._id,
+      details: { title: deleted.title, status: deleted.status, version: deleted.version }
+    });
     res.json({ success: true });
   } catch (err) {
     console.error('Error deleting report:', err);
@@ -1639,21 +1609,7 @@ exports.getMyReports = async (req, res) => {
 exports.getReportFile = async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.query;
-    const userIdObj = userId && isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : null;
-
-    // Load user if userId provided
-    let roleCategory = 'expert';
-    if (userIdObj) {
-      try {
-        const user = await User.findById(userIdObj).select('role').lean();
-        if (user) {
-          roleCategory = getRoleCategory(user.role);
-        }
-      } catch (e) {
-        // ignore
-      }
-    }
+    await loadRequestUser(req);
 
     const report = await Report.findById(id)
       .populate('projectId', 'title')
@@ -1663,18 +1619,6 @@ exports.getReportFile = async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Authorization: admin can view all. Expert/Viewer can only view reports for assigned projects.
-    if (roleCategory !== 'admin' && userIdObj) {
-      const projectIdObj = report?.projectId?._id || report?.projectId;
-      const ok = await isUserAssignedToProject({
-        userIdObj,
-        projectIdObj: toObjectIdOrValue(projectIdObj)
-      });
-      if (!ok) {
-        return res.status(403).json({ error: 'Not authorized to view this report.' });
-      }
-    }
-
     // Generate PDF on-the-fly (same logic as downloadReportPDF but with inline disposition)
     console.log('📄 Generating PDF for report file view:', id);
 
@@ -1764,7 +1708,7 @@ exports.getReportFile = async (req, res) => {
 exports.downloadReportHTML = async (req, res) => {
   try {
     const { id } = req.params;
-    const { userIdObj, roleCategory } = await loadRequestUser(req);
+    await loadRequestUser(req);
 
     const report = await Report.findById(id);
 
@@ -1772,18 +1716,6 @@ exports.downloadReportHTML = async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Authorization: admin can export all. Expert/Viewer can export assigned reports.
-    if (roleCategory !== 'admin') {
-      const projectIdObj = report?.projectId?._id || report?.projectId;
-      const ok = await isUserAssignedToProject({
-        userIdObj,
-        projectIdObj: toObjectIdOrValue(projectIdObj)
-      });
-      if (!ok) {
-        return res.status(403).json({ error: 'Not authorized to download this report.' });
-      }
-    }
-
     if (!report.htmlContent || report.htmlContent.length === 0) {
       return res.status(404).json({ error: 'HTML content not found for this report.' });
     }
@@ -1805,7 +1737,7 @@ exports.downloadReportHTML = async (req, res) => {
 exports.downloadReportPDF = async (req, res) => {
   try {
     const { id } = req.params;
-    const { userIdObj, roleCategory } = await loadRequestUser(req);
+    await loadRequestUser(req);
 
     const report = await Report.findById(id)
       .populate('projectId', 'title')
@@ -1815,18 +1747,6 @@ exports.downloadReportPDF = async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Authorization: admin can export all. Expert/Viewer can export assigned reports.
-    if (roleCategory !== 'admin') {
-      const projectIdObj = report?.projectId?._id || report?.projectId;
-      const ok = await isUserAssignedToProject({
-        userIdObj,
-        projectIdObj: toObjectIdOrValue(projectIdObj)
-      });
-      if (!ok) {
-        return res.status(403).json({ error: 'Not authorized to download this report.' });
-      }
-    }
-
     console.log('📄 Generating PDF for report:', id);
     console.log(`📊 Report has htmlContent: ${!!report.htmlContent}, length: ${report.htmlContent?.length || 0}`);
 
@@ -1937,7 +1857,7 @@ exports.downloadReportPDF = async (req, res) => {
 exports.downloadReportDOCX = async (req, res) => {
   try {
     const { id } = req.params;
-    const { userIdObj, roleCategory } = await loadRequestUser(req);
+    await loadRequestUser(req);
 
     // Get report to find projectId
     const report = await Report.findById(id)
@@ -1948,18 +1868,6 @@ exports.downloadReportDOCX = async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Authorization: admin can export all. Expert/Viewer can export assigned reports.
-    if (roleCategory !== 'admin') {
-      const projectIdObj = report?.projectId?._id || report?.projectId;
-      const ok = await isUserAssignedToProject({
-        userIdObj,
-        projectIdObj: toObjectIdOrValue(projectIdObj)
-      });
-      if (!ok) {
-        return res.status(403).json({ error: 'Not authorized to download this report.' });
-      }
-    }
-
     const projectId = report?.projectId?._id || report?.projectId;
     if (!projectId) {
       return res.status(404).json({ error: 'Project not found for this report' });
@@ -1996,13 +1904,16 @@ exports.downloadReportDOCX = async (req, res) => {
       }
     }
 
-    // Generate DOCX with fresh data
+    // Generate DOCX with fresh data, in the requested locale or the report's
+    const i18n = createReportTranslator(req.query.locale || report.metadata?.locale);
     const docxBuffer = await generateProfessionalDOCX(
       reportMetrics,
       geminiNarrative,
       report.generatedAt || new Date(),
-      chartBuffers
+      chartBuffers,
+      { i18n }
     );
+    const translationWarnings = checkReportTranslations(i18n);
 
     // Set response headers for DOCX download
     const fileName = `${report.title.replace(/[^a-z0-9]/gi, '_')}_${id}.docx`;
@@ -2010,6 +1921,8 @@ exports.downloadReportDOCX = async (req, res) => {
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Content-Length', docxBuffer.length);
+    // Texts that fell back to English in this rendering (the list is in the server log)
+    res.setHeader('X-Translation-Warnings', String(translationWarnings.length));
 
     res.send(docxBuffer);
   } catch (err) {
@@ -2067,11 +1980,7 @@ exports.updateSectionExpertEdit = async (req, res) => {
   try {
     const { id, principle } = req.params;
     const { expertEdit } = req.body;
-    const { userIdObj, roleCategory } = await loadRequestUser(req);
-
-    if (roleCategory === 'viewer') {
-      return res.status(403).json({ error: 'Viewer cannot edit reports.' });
-    }
+    await loadRequestUser(req);
 
     const report = await Report.findById(id);
     if (!report) return res.status(404).json({ error: 'Report not found' });
@@ -2081,16 +1990,6 @@ exports.updateSectionExpertEdit = async (req, res) => {
       return res.status(409).json({ error: 'Report is finalized and locked.' });
     }
 
-    if (roleCategory !== 'admin') {
-      const ok = await isUserAssignedToProject({
-        userIdObj,
-        projectIdObj: toObjectIdOrValue(report.projectId)
-      });
-      if (!ok) {
-        return res.status(403).json({ error: 'Not authorized to edit this report.' });
-      }
-    }
-
     const targetPrinciple = decodeURIComponent(principle || '');
     report.sections = Array.isArray(report.sections) ? report.sections : [];
 
@@ -2118,11 +2017,7 @@ exports.addSectionComment = async (req, res) => {
   try {
     const { id, principle } = req.params;
     const { text } = req.body;
-    const { user, userIdObj, roleCategory } = await loadRequestUser(req);
-
-    if (roleCategory === 'viewer') {
-      return res.status(403).json({ error: 'Viewer cannot comment on reports.' });
-    }
+    const { user, userIdObj } = await loadRequestUser(req);
 
     if (!text || !String(text).trim()) {
       return res.status(400).json({ error: 'Comment text is required' });
@@ -2135,17 +2030,6 @@ exports.addSectionComment = async (req, res) => {
       return res.status(409).json({ error: 'Report is finalized and locked.' });
     }
 
-    if (roleCategory !== 'admin') {
-      const ok = await isUserAssignedToProject({
-        userIdObj,
-        projectIdObj: toObjectIdOrValue(report.projectId)
-      });
-      if (!ok) {
-        return res.status(403).json({ error: 'Not authorized to comment on this report.' });
-      }
-
-    }
-
     const targetPrinciple = decodeURIComponent(principle || '');
     report.sections = Array.isArray(report.sections) ? report.sections : [];
 
@@ -2189,11 +2073,7 @@ exports.addSectionComment = async (req, res) => {
 exports.finalizeReport = async (req, res) => {
   try {
     const { id } = req.params;
-    const { roleCategory } = await loadRequestUser(req);
-
-    if (roleCategory !== 'admin') {
-      return res.status(403).json({ error: 'Only Admin can finalize reports.' });
-    }
+    await loadRequestUser(req);
 
     const report = await Report.findById(id);
     if (!report) return res.status(404).json({ error: 'Report not found' });
@@ -2207,6 +2087,13 @@ exports.finalizeReport = async (req, res) => {
     report.version = (report.version || 1) + 1;
     await report.save();
 
+    await recordAuditEvent(AUDIT_EVENTS.REPORT_FINALIZE, {
+      req,
+      projectId: report.projectId,
+      targetId: report._id,
+      details: { title: report.title, version: report.version }
+    });
+
     res.json({ success: true, report: report.toObject() });
   } catch (err) {
     console.error('Error finalizing report:', err);
@@ -2227,15 +2114,14 @@ exports.generateReportAtomic = async (req, res) => {
   try {
     const { projectId } = req.body;
 
-    const { user, userIdObj, roleCategory } = await loadRequestUser(req);
-    if (roleCategory !== 'admin') {
-      return res.status(403).json({ error: 'Only admins can generate reports' });
-    }
+    const { user, userIdObj } = await loadRequestUser(req);
 
     if (!projectId) {
       return res.status(400).json({ error: 'projectId is required' });
     }
 
+    const i18n = reportTranslatorFor(req, user);
+
     console.log('🚀 Starting ATOMIC report generation for project:', projectId);
 
     // ============================================================
@@ -2354,7 +2240,8 @@ exports.generateReportAtomic = async (req, res) => {
         hasEvidenceChart: !!chartImages.evidenceTypeChart,
         hasTensionCharts: !!(chartImages.tensionSeverityChart || chartImages.tensionReviewStateChart)
       },
-      reportMetrics: reportMetrics || null
+      reportMetrics: reportMetrics || null,
+      locale: i18n.locale
     };
 
     const geminiNarrative = await generateReport(analysisDataWithCharts);
@@ -2384,7 +2271,8 @@ exports.generateReportAtomic = async (req, res) => {
       {
         generatedAt: new Date(),
         analytics: analytics,
-        reportMetrics: reportMetrics
+        reportMetrics: reportMetrics,
+        i18n
       }
     );
 
@@ -2400,7 +2288,8 @@ exports.generateReportAtomic = async (req, res) => {
     const { generateReportFilesAtomic } = require('../services/atomicReportGenerationService');
 
     const metadata = {
-      scoringModelVersion: 'erc_v1',
+      scoringModelVersion: getProjectScoringModel(analysisData.project).id,
+      thresholdsVersion: (await getProjectThresholdSet(analysisData.project)).version,
       questionsAnswered: analysisData.unifiedAnswers?.length || 0,
       tensionsCount: tensions.length,
       overallERC: reportMetrics?.scoring?.totals?.overallAvg || null,
@@ -2408,7 +2297,9 @@ exports.generateReportAtomic = async (req, res) => {
       evaluatorCount: evaluatorsData?.length || 0,
       evaluatorRoles: [...new Set(evaluatorsData?.map(e => e.role) || [])],
       chartsGenerated: Object.keys(chartImages).length,
-      chartTypes: Object.keys(chartImages)
+      chartTypes: Object.keys(chartImages),
+      locale: i18n.locale,
+      translationWarnings: checkReportTranslations(i18n)
     };
 
     const atomicResult = await generateReportFilesAtomic({
@@ -2496,8 +2387,9 @@ exports.generateReportAtomic = async (req, res) => {
   } catch (error) {
     console.error('❌ ATOMIC REPORT GENERATION FAILED:', error);
     console.error(error.stack);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message,
+      code: error.code,
       details: 'Atomic report generation failed. No files were created.'
     });
   }
@@ -2553,4 +2445,3 @@ exports.addReportComment = async (req, res) => {
   }
 };
 
-
@@ -27,7 +27,6 @@ const Project = mongoose.model('Project');
 exports.getLatestReport = async (req, res) => {
   try {
     const { projectId } = req.params;
-    const userId = req.body.userId || req.query.userId;
 
     // Validate projectId
     if (!mongoose.Types.ObjectId.isValid(projectId)) {
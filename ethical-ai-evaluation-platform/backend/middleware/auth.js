@@ -0,0 +1,94 @@
+/**
+ * Authentication middleware
+ *
+ * Reads the session token from `Authorization: Bearer <token>` and populates
+ * `req.user` ({ _id, id, name, email, role, preferredLocale }). Routes must
+ * derive the acting user from `req.user`, never from `userId`/`actorId` in the
+ * body or query.
+ *
+ * The token is never read from the URL, where it would end up in history,
+ * logs and Referer headers; the frontend fetches report files with the header
+ * and opens them as blob: URLs.
+ */
+
+const { resolveSession } = require('../services/sessionService');
+
+const extractToken = (req) => {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+async function authenticate(req, res, next) {
+  try {
+    const token = extractToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+
+    const resolved = await resolveSession(token);
+    if (!resolved) {
+      return res.status(401).json({ error: 'Session expired or invalid', code: 'SESSION_INVALID' });
+    }
+
+    const { user, session } = resolved;
+    req.user = { ...user, id: user._id.toString() };
+    req.sessionToken = token;
+    req.authSession = session;
+    next();
+  } catch (err) {
+    console.error('Authentication error:', err);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+/**
+ * Apply `authenticate` to every request except the listed public paths
+ * @param {string[]} publicPaths - Exact paths that do not require a session
+ */
+function authenticateExcept(publicPaths) {
+  const open = new Set(publicPaths);
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS' || open.has(req.path)) return next();
+    return authenticate(req, res, next);
+  };
+}
+
+/**
+ * Id (string) of the authenticated user making the request
+ */
+const getActorId = (req) => (req.user ? req.user.id : null);
+
+/**
+ * Resolve which user a read query is about.
+ * Admins may inspect another user via `requestedId`; everyone else always gets themselves.
+ */
+const resolveSubjectUserId = (req, requestedId) => {
+  if (requestedId && req.user?.role === 'admin') return String(requestedId);
+  return getActorId(req);
+};
+
+/**
+ * Only let a user act on their own account (`req.params[paramName]`), unless they are an admin
+ * @param {string} [paramName='id']
+ */
+function requireSelfOrAdmin(paramName = 'id') {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+    if (req.user.role !== 'admin' && String(req.params[paramName]) !== req.user.id) {
+      return res.status(403).json({ error: 'You can only modify your own account' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  authenticateExcept,
+  extractToken,
+  getActorId,
+  resolveSubjectUserId,
+  requireSelfOrAdmin
+};
@@ -0,0 +1,207 @@
+/**
+ * Authorization middleware
+ *
+ * Enforces the permission matrix in config/permissions.config.js. Route
+ * handlers declare the action they perform and, for project-scoped actions,
+ * how to find the project:
+ *
+ *   app.post('/api/tensions/:id/vote', authorize('tension.vote', { project: projectFrom.tension('id') }), handler)
+ *
+ * Denials are 403 with a machine-readable `code` (ROLE_NOT_PERMITTED,
+ * NOT_PROJECT_MEMBER, ...) so the frontend can explain why an action is disabled.
+ * Must run after `authenticate` (req.user).
+ */
+
+const mongoose = require('mongoose');
+const { PERMISSIONS, DENIAL_CODES } = require('../config/permissions.config');
+
+const isValidObjectId = (id) => Boolean(id) && mongoose.Types.ObjectId.isValid(String(id));
+
+/**
+ * Is the user assigned to the project (ProjectAssignment, falling back to Project.assignedUsers)
+ */
+const isUserAssignedToProject = async ({ userIdObj, projectIdObj }) => {
+  try {
+    const ProjectAssignment = require('../models/projectAssignment');
+    const assignment = await ProjectAssignment.findOne({
+      projectId: projectIdObj,
+      userId: userIdObj
+    }).select('_id').lean();
+
+    if (assignment) return true;
+  } catch (e) {
+    // ignore; fall back to Project.assignedUsers check
+  }
+
+  const project = await mongoose.model('Project').findOne({
+    _id: projectIdObj,
+    assignedUsers: userIdObj
+  }).select('_id').lean();
+
+  return Boolean(project);
+};
+
+const deny = (code, reason, action, requiredRoles) => ({
+  allowed: false,
+  code,
+  reason,
+  action,
+  requiredRoles
+});
+
+/**
+ * Decide whether a user may perform an action
+ * @param {Object} user - req.user ({ id, role })
+ * @param {string} action - Key of PERMISSIONS (e.g. 'report.finalize')
+ * @param {Object} [options]
+ * @param {string} [options.projectId] - Target project for project-scoped actions
+ * @param {boolean} [options.isMember] - Precomputed membership (skips the lookup)
+ * @returns {Promise<{allowed: boolean, code?: string, reason?: string, action: string, requiredRoles?: string[]}>}
+ */
+async function checkPermission(user, action, { projectId, isMember } = {}) {
+  const rule = PERMISSIONS[action];
+  if (!rule) {
+    return deny(DENIAL_CODES.UNKNOWN_ACTION, `Unknown action: ${action}`, action);
+  }
+
+  if (!user || !rule.roles.includes(user.role)) {
+    return deny(
+      DENIAL_CODES.ROLE_NOT_PERMITTED,
+      `Your role (${user?.role || 'none'}) is not permitted to perform ${action}`,
+      action,
+      rule.roles
+    );
+  }
+
+  if (rule.scope !== 'project' || user.role === 'admin') {
+    return { allowed: true, action };
+  }
+
+  if (!isValidObjectId(projectId)) {
+    return deny(DENIAL_CODES.PROJECT_REQUIRED, 'Could not determine the project for this request', action, rule.roles);
+  }
+
+  const member = typeof isMember === 'boolean'
+    ? isMember
+    : await isUserAssignedToProject({
+      userIdObj: new mongoose.Types.ObjectId(String(user.id || user._id)),
+      projectIdObj: new mongoose.Types.ObjectId(String(projectId))
+    });
+  if (!member) {
+    return deny(DENIAL_CODES.NOT_PROJECT_MEMBER, 'You are not assigned to this project', action, rule.roles);
+  }
+
+  return { allowed: true, action };
+}
+
+/**
+ * Express middleware enforcing `action`
+ * @param {string} action - Key of PERMISSIONS
+ * @param {Object} [options]
+ * @param {Function} [options.project] - (req) => projectId | Promise<projectId>, see `projectFrom`
+ */
+function authorize(action, { project } = {}) {
+  if (!PERMISSIONS[action]) {
+    throw new Error(`authorize(): unknown action "${action}"`);
+  }
+  if (PERMISSIONS[action].scope === 'project' && !project) {
+    throw new Error(`authorize(): "${action}" is project-scoped and needs a project resolver`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+      }
+
+      const projectId = PERMISSIONS[action].scope === 'project' ? await project(req) : undefined;
+      const result = await checkPermission(req.user, action, { projectId });
+      if (!result.allowed) {
+        const status = result.code === DENIAL_CODES.PROJECT_REQUIRED ? 400 : 403;
+        return res.status(status).json({
+          error: result.reason,
+          code: result.code,
+          action,
+          requiredRoles: result.requiredRoles
+        });
+      }
+      next();
+    } catch (err) {
+      if (err.statusCode === 404) {
+        return res.status(404).json({ error: err.message });
+      }
+      console.error(`Authorization error (${action}):`, err);
+      res.status(500).json({ error: 'Authorization check failed' });
+    }
+  };
+}
+
+/**
+ * Evaluate every action in the matrix for a user (optionally against one project)
+ * @returns {Promise<Object<string, {allowed: boolean, code?: string, reason?: string}>>}
+ */
+async function listPermissions(user, { projectId } = {}) {
+  let isMember;
+  if (user && user.role !== 'admin' && isValidObjectId(projectId)) {
+    isMember = await isUserAssignedToProject({
+      userIdObj: new mongoose.Types.ObjectId(String(user.id || user._id)),
+      projectIdObj: new mongoose.Types.ObjectId(String(projectId))
+    });
+  }
+
+  const permissions = {};
+  for (const action of Object.keys(PERMISSIONS)) {
+    const result = await checkPermission(user, action, { projectId, isMember });
+    permissions[action] = result.allowed
+      ? { allowed: true }
+      : { allowed: false, code: result.code, reason: result.reason };
+  }
+  return permissions;
+}
+
+const notFound = (message) => {
+  const err = new Error(message);
+  err.statusCode = 404;
+  return err;
+};
+
+const projectOf = async (modelName, id) => {
+  if (!isValidObjectId(id)) throw notFound(`${modelName} not found`);
+  const doc = await mongoose.model(modelName).findById(id).select('projectId').lean();
+  if (!doc) throw notFound(`${modelName} not found`);
+  return doc.projectId ? String(doc.projectId) : null;
+};
+
+/**
+ * Resolvers that locate the project a request targets.
+ * The report/tension resolvers answer 404 themselves when the document does not exist.
+ */
+const projectFrom = {
+  param: (name = 'projectId') => (req) => req.params?.[name],
+  body: (name = 'projectId') => (req) => req.body?.[name],
+  query: (name = 'projectId') => (req) => req.query?.[name],
+  report: (param = 'id') => (req) => projectOf('Report', req.params?.[param]),
+  tension: (param = 'id') => (req) => projectOf('Tension', req.params?.[param])
+};
+
+/**
+ * Admin-only guard (synchronous, no project scope)
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Unauthorized', code: 'AUTH_REQUIRED' });
+  }
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Forbidden: Admins only', code: DENIAL_CODES.ROLE_NOT_PERMITTED });
+  }
+  next();
+}
+
+module.exports = {
+  authorize,
+  checkPermission,
+  listPermissions,
+  projectFrom,
+  requireAdmin,
+  isUserAssignedToProject
+};
@@ -0,0 +1,86 @@
+/**
+ * Rate limiting middleware for the public auth endpoints
+ *
+ * `rateLimit('login')` applies the per-IP and per-email limits configured in
+ * config/security.config.js (RATE_LIMITS.login). Exceeding either answers
+ * 429 with `code: 'RATE_LIMITED'` and a Retry-After header. A complete
+ * login (past the second factor, if any) clears the per-email counter
+ * (resetRateLimit).
+ */
+
+const mongoose = require('mongoose');
+const { RATE_LIMITS } = require('../config/security.config');
+const { hit, reset } = require('../services/rateLimitService');
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const emailKey = (name, email) => `${name}:email:${email}`;
+
+/**
+ * Bucket keys for a request, one per configured dimension
+ */
+const bucketKeys = (name, req) => {
+  const rules = RATE_LIMITS[name] || {};
+  const keys = [];
+  if (rules.ip) keys.push({ key: `${name}:ip:${req.ip}`, rule: rules.ip });
+  const email = normalizeEmail(req.body?.email);
+  if (rules.email && email) keys.push({ key: emailKey(name, email), rule: rules.email });
+  return keys;
+};
+
+/**
+ * @param {string} name - Key of RATE_LIMITS
+ */
+function rateLimit(name) {
+  if (!RATE_LIMITS[name]) {
+    throw new Error(`rateLimit(): no limits configured for "${name}"`);
+  }
+
+  return async (req, res, next) => {
+    // Do not lock everyone out (or stall on buffered queries) when the counter store is unavailable
+    if (mongoose.connection.readyState !== 1) return next();
+
+    try {
+      for (const { key, rule } of bucketKeys(name, req)) {
+        const result = await hit(key, rule);
+        if (!result.allowed) {
+          console.warn(`[rate-limit] ${key} exceeded (${result.count}/${rule.limit})`);
+          res.set('Retry-After', String(result.retryAfterSeconds));
+          return res.status(429).json({
+            message: 'Too many attempts. Please try again later.',
+            code: 'RATE_LIMITED',
+            retryAfter: result.retryAfterSeconds
+          });
+        }
+      }
+      next();
+    } catch (err) {
+      console.error(`[rate-limit] ${name} check failed:`, err.message);
+      next();
+    }
+  };
+}
+
+/**
+ * Clear an email's counter, e.g. once a session was issued for it. The
+ * per-IP counter is kept, so one valid account cannot lift the limit on
+ * guessing others.
+ * @param {string} name - Key of RATE_LIMITS
+ * @param {string} rawEmail
+ */
+async function resetRateLimit(name, rawEmail) {
+  const email = normalizeEmail(rawEmail);
+  if (!RATE_LIMITS[name]?.email || !email) return;
+
+  try {
+    await reset(emailKey(name, email));
+  } catch (err) {
+    console.error(`[rate-limit] ${name} reset failed:`, err.message);
+  }
+}
+
+module.exports = {
+  rateLimit,
+  resetRateLimit,
+  normalizeEmail
+};
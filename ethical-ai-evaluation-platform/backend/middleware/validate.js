@@ -0,0 +1,250 @@
+/**
+ * Request validation middleware
+ *
+ * Write endpoints declare the shape of their params, query and body with the
+ * small schema builders below (request schemas live in routes/schemas/):
+ *
+ *   app.post('/api/tensions/:id/vote', validate(tensionSchemas.vote), authorize(...), handler)
+ *
+ * Every field is checked before the handler runs. Invalid requests are
+ * answered 400 with `code: 'VALIDATION_FAILED'` and one entry per invalid
+ * field, so the client can show all problems at once:
+ *
+ *   { error, message, code, fields: [{ location: 'body', path: 'answers[2].importanceScore', message: 'must be at most 4' }] }
+ *
+ * Objects reject fields their schema does not list. A location with no schema
+ * (query or body) must be empty. Route params are only checked when declared,
+ * and query/params values (always strings) are parsed for number and boolean
+ * fields. Validation never rewrites req.
+ */
+
+const mongoose = require('mongoose');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const joinPath = (base, key) => {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+};
+
+/**
+ * Build a schema node. `check(value, ctx, path)` runs only for values that are
+ * present and non-null; presence and null handling are shared here.
+ */
+const node = (kind, options, check) => ({
+  kind,
+  required: Boolean(options.required),
+  nullable: Boolean(options.nullable),
+  validate(value, ctx, path) {
+    if (value === undefined) {
+      if (this.required) ctx.fail(path, 'is required');
+      return;
+    }
+    if (value === null) {
+      if (!this.nullable) ctx.fail(path, this.required ? 'is required' : 'must not be null');
+      return;
+    }
+    check(value, ctx, path);
+  }
+});
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.required]
+ * @param {boolean} [options.nullable]
+ * @param {number} [options.min] - Minimum length
+ * @param {number} [options.max] - Maximum length
+ * @param {string[]} [options.enum]
+ * @param {RegExp} [options.pattern]
+ * @param {'email'} [options.format]
+ */
+function string(options = {}) {
+  return node('string', options, (value, ctx, path) => {
+    if (typeof value !== 'string') return ctx.fail(path, `must be a string, got ${typeOf(value)}`);
+    if (options.enum && !options.enum.includes(value)) {
+      return ctx.fail(path, `must be one of: ${options.enum.join(', ')}`);
+    }
+    if (options.min !== undefined && value.trim().length < options.min) {
+      return ctx.fail(path, options.min === 1 ? 'must not be empty' : `must be at least ${options.min} characters`);
+    }
+    if (options.max !== undefined && value.length > options.max) {
+      return ctx.fail(path, `must be at most ${options.max} characters`);
+    }
+    if (options.format === 'email' && !EMAIL_PATTERN.test(value.trim())) {
+      return ctx.fail(path, 'must be a valid email address');
+    }
+    if (options.pattern && !options.pattern.test(value)) {
+      return ctx.fail(path, 'has an invalid format');
+    }
+  });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.required]
+ * @param {boolean} [options.nullable]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @param {boolean} [options.integer]
+ */
+function number(options = {}) {
+  return node('number', options, (value, ctx, path) => {
+    let parsed = value;
+    if (ctx.fromString && typeof value === 'string' && value.trim() !== '') parsed = Number(value);
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+      return ctx.fail(path, `must be a number, got ${typeOf(value)}`);
+    }
+    if (options.integer && !Number.isInteger(parsed)) return ctx.fail(path, 'must be an integer');
+    if (options.min !== undefined && parsed < options.min) return ctx.fail(path, `must be at least ${options.min}`);
+    if (options.max !== undefined && parsed > options.max) return ctx.fail(path, `must be at most ${options.max}`);
+  });
+}
+
+const integer = (options = {}) => number({ ...options, integer: true });
+
+function boolean(options = {}) {
+  return node('boolean', options, (value, ctx, path) => {
+    if (typeof value === 'boolean') return;
+    if (ctx.fromString && (value === 'true' || value === 'false')) return;
+    ctx.fail(path, `must be a boolean, got ${typeOf(value)}`);
+  });
+}
+
+/**
+ * 24-character hex MongoDB ObjectId (as sent in JSON or URLs)
+ */
+function objectId(options = {}) {
+  return node('objectId', options, (value, ctx, path) => {
+    if (typeof value !== 'string' || !/^[a-f0-9]{24}$/i.test(value) || !mongoose.isValidObjectId(value)) {
+      ctx.fail(path, 'must be a valid id');
+    }
+  });
+}
+
+/**
+ * ISO date string or epoch milliseconds
+ */
+function date(options = {}) {
+  return node('date', options, (value, ctx, path) => {
+    if ((typeof value !== 'string' && typeof value !== 'number') || Number.isNaN(new Date(value).getTime())) {
+      ctx.fail(path, 'must be a valid date');
+    }
+  });
+}
+
+/**
+ * @param {Object} items - Schema for every element
+ * @param {Object} [options]
+ * @param {number} [options.min] - Minimum number of elements
+ * @param {number} [options.max] - Maximum number of elements
+ */
+function array(items, options = {}) {
+  return node('array', options, (value, ctx, path) => {
+    if (!Array.isArray(value)) return ctx.fail(path, `must be an array, got ${typeOf(value)}`);
+    if (options.min !== undefined && value.length < options.min) {
+      return ctx.fail(path, `must contain at least ${options.min} item${options.min === 1 ? '' : 's'}`);
+    }
+    if (options.max !== undefined && value.length > options.max) {
+      return ctx.fail(path, `must contain at most ${options.max} items`);
+    }
+    value.forEach((item, index) => items.validate(item, ctx, joinPath(path, index)));
+  });
+}
+
+/**
+ * Object with known keys. Keys not in `shape` are rejected unless
+ * `unknown: 'allow'` (free-form objects such as questionnaire metadata).
+ * @param {Object<string, Object>} [shape]
+ * @param {Object} [options]
+ * @param {'reject'|'allow'} [options.unknown='reject']
+ */
+function object(shape = {}, options = {}) {
+  const unknown = options.unknown || 'reject';
+  return {
+    ...node('object', options, (value, ctx, path) => {
+      if (typeOf(value) !== 'object') return ctx.fail(path, `must be an object, got ${typeOf(value)}`);
+      for (const [key, schema] of Object.entries(shape)) {
+        schema.validate(value[key], ctx, joinPath(path, key));
+      }
+      if (unknown === 'reject') {
+        for (const key of Object.keys(value)) {
+          if (!Object.prototype.hasOwnProperty.call(shape, key)) ctx.fail(joinPath(path, key), 'is not allowed');
+        }
+      }
+    }),
+    shape
+  };
+}
+
+/**
+ * Object used as a map (e.g. answers keyed by question code): any keys,
+ * every value checked against `values`.
+ */
+function record(values, options = {}) {
+  return node('record', options, (value, ctx, path) => {
+    if (typeOf(value) !== 'object') return ctx.fail(path, `must be an object, got ${typeOf(value)}`);
+    for (const [key, item] of Object.entries(value)) values.validate(item, ctx, joinPath(path, key));
+  });
+}
+
+/**
+ * Any JSON value (still subject to required/nullable)
+ */
+function any(options = {}) {
+  return node('any', { nullable: true, ...options }, () => { });
+}
+
+const v = { string, number, integer, boolean, objectId, date, array, object, record, any };
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const asObjectSchema = (schema) => (schema && typeof schema.validate === 'function' ? schema : object(schema || {}));
+
+/**
+ * Validate a request against `{ params?, query?, body? }`
+ * @returns {Array<{location: string, path: string, message: string}>} Empty when valid
+ */
+function validateRequest(schemas, req) {
+  const errors = [];
+  for (const location of LOCATIONS) {
+    if (location === 'params' && !schemas.params) continue;
+    const ctx = {
+      fromString: location !== 'body',
+      fail: (path, message) => errors.push({ location, path, message })
+    };
+    const value = req[location] === undefined ? {} : req[location];
+    asObjectSchema(schemas[location]).validate(value, ctx, '');
+  }
+  return errors;
+}
+
+/**
+ * Express middleware rejecting requests that do not match `schemas`
+ * @param {Object} schemas - `{ params?, query?, body? }`, each a v.object() or a plain shape
+ */
+function validate(schemas = {}) {
+  for (const key of Object.keys(schemas)) {
+    if (!LOCATIONS.includes(key)) throw new Error(`validate(): unknown request location "${key}"`);
+  }
+
+  return (req, res, next) => {
+    const fields = validateRequest(schemas, req);
+    if (fields.length === 0) return next();
+
+    // Auth routes report errors in `message`, the rest in `error`; send both
+    const summary = `Invalid request: ${fields.map((f) => `${f.path || f.location} ${f.message}`).join('; ')}`;
+    res.status(400).json({ error: summary, message: summary, code: 'VALIDATION_FAILED', fields });
+  };
+}
+
+module.exports = {
+  v,
+  validate,
+  validateRequest
+};
@@ -0,0 +1,93 @@
+/**
+ * Migration: Flag accounts whose password is still stored as plain text
+ *
+ * Passwords are rehashed transparently on the next successful login
+ * (see POST /api/login). Accounts that never log in again keep their
+ * legacy plain-text value, so this script finds them and sets
+ * `legacyPasswordFlagged: true` so admins can force a password reset.
+ *
+ * Accounts that are already hashed get the flag cleared.
+ *
+ * Usage:
+ *   node backend/migrations/flagLegacyPasswords.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables
+const envPath = path.resolve(__dirname, '../.env');
+dotenv.config({ path: envPath });
+
+const User = require('../models/User');
+const { isHashedPassword } = require('../utils/passwordHash');
+
+async function flagLegacyPasswords({ dryRun = false } = {}) {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+    if (!mongoUri) {
+      throw new Error('MONGODB_URI or MONGO_URI environment variable is required');
+    }
+
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const users = await User.find({}).select('email role password legacyPasswordFlagged').lean();
+    console.log(`📊 Found ${users.length} users to check`);
+
+    const legacyUsers = users.filter(u => !isHashedPassword(u.password));
+    const hashedIds = users.filter(u => isHashedPassword(u.password) && u.legacyPasswordFlagged).map(u => u._id);
+
+    for (const user of legacyUsers) {
+      console.log(`⚠️  Legacy password: ${user.email} (${user.role})`);
+    }
+
+    if (!dryRun) {
+      if (legacyUsers.length > 0) {
+        await User.updateMany(
+          { _id: { $in: legacyUsers.map(u => u._id) } },
+          { $set: { legacyPasswordFlagged: true } }
+        );
+      }
+      if (hashedIds.length > 0) {
+        await User.updateMany(
+          { _id: { $in: hashedIds } },
+          { $set: { legacyPasswordFlagged: false } }
+        );
+      }
+    }
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`   Flagged (plain text): ${legacyUsers.length} users`);
+    console.log(`   Unflagged (hashed): ${hashedIds.length} users`);
+    console.log(`   Total: ${users.length} users`);
+    if (dryRun) {
+      console.log('\nℹ️  Dry run: no changes were written.');
+    }
+
+    console.log('\n✅ Migration completed successfully');
+    return { total: users.length, flagged: legacyUsers.length, unflagged: hashedIds.length };
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  } finally {
+    await mongoose.disconnect();
+    console.log('✅ Disconnected from MongoDB');
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  flagLegacyPasswords({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => {
+      console.log('✅ Migration script finished');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { flagLegacyPasswords };
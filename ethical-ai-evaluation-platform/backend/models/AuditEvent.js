@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Append-only security audit trail, written by services/auditLogService.js.
+// Events are never updated or deleted by the application: the hooks below
+// reject every update/delete path Mongoose offers.
+const AuditEventSchema = new mongoose.Schema({
+  type: { type: String, required: true, index: true }, // e.g. "auth.login.success", see AUDIT_EVENTS
+  outcome: { type: String, enum: ['success', 'failure'], default: 'success' },
+  // Who did it (absent for anonymous failures such as an unknown email at login)
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  actorRole: { type: String },
+  actorEmail: { type: String },
+  // Whose account / which project / which document it was about
+  subjectUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', index: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId },
+  ip: { type: String },
+  userAgent: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed }, // Event-specific context (e.g. { from, to } for role changes)
+  createdAt: { type: Date, default: Date.now, immutable: true }
+}, { versionKey: false });
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ type: 1, createdAt: -1 });
+
+const rejectMutation = function () {
+  throw new Error('AuditEvent is append-only');
+};
+
+AuditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+AuditEventSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+AuditEventSchema.pre('save', function () {
+  if (!this.isNew) rejectMutation();
+});
+
+module.exports = mongoose.models.AuditEvent || mongoose.model('AuditEvent', AuditEventSchema);
@@ -5,6 +5,8 @@ const EmailVerificationSchema = new mongoose.Schema({
   code: { type: String, required: true }, // 6 haneli string
   expiresAt: { type: Date, required: true },
   isUsed: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 }, // Wrong guesses against this code
+  invalidatedAt: { type: Date }, // Set once attempts reach VERIFICATION_CODE_MAX_ATTEMPTS
 }, { timestamps: true });
 
 module.exports = mongoose.model('EmailVerification', EmailVerificationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Evaluation (gelişmiş sürüm)
+const EvaluationSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  stage: { type: String, required: true },
+  answers: { type: Map, of: mongoose.Schema.Types.Mixed },
+  questionPriorities: { type: Map, of: String }, // Her soru için önem derecesi (low/medium/high)
+  riskLevel: { type: String, default: 'medium' },
+  customQuestions: [{ // Kullanıcının bu stage'e eklediği custom sorular (Mongo'ya kaydedilir)
+    id: { type: String, required: true },
+    text: { type: String, required: true },
+    description: { type: String },
+    type: { type: String, required: true },
+    stage: { type: String, required: true },
+    principle: { type: String },
+    required: { type: Boolean, default: true },
+    options: { type: [String], default: [] },
+    min: { type: Number },
+    max: { type: Number },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  generalRisks: [{ // Genel riskler - her proje için ayrı ayrı kaydedilir
+    id: String,
+    title: String,
+    description: String,
+    severity: { type: String, default: 'medium' }, // low | medium | high | critical
+    relatedQuestions: [String]
+  }],
+  status: { type: String, default: 'draft' },
+  updatedAt: { type: Date, default: Date.now }
+});
+EvaluationSchema.index({ projectId: 1, userId: 1, stage: 1 }, { unique: true });
+
+module.exports = mongoose.models.Evaluation || mongoose.model('Evaluation', EvaluationSchema);
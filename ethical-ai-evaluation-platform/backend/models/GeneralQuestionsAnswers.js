@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// GeneralQuestionsAnswers - General questions answers stored separately by role, organized by ethical principles
+const GeneralQuestionsAnswersSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userRole: { type: String, required: true }, // Store role separately for filtering
+  // Organized by ethical principle
+  principles: {
+    TRANSPARENCY: {
+      answers: { type: mongoose.Schema.Types.Mixed, default: {} }, // questionId -> answer
+      risks: { type: mongoose.Schema.Types.Mixed, default: {} }   // questionId -> risk score (0-4)
+    },
+    'HUMAN AGENCY & OVERSIGHT': {
+      answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+      risks: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    'TECHNICAL ROBUSTNESS & SAFETY': {
+      answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+      risks: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    'PRIVACY & DATA GOVERNANCE': {
+      answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+      risks: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    'DIVERSITY, NON-DISCRIMINATION & FAIRNESS': {
+      answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+      risks: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    'SOCIETAL & INTERPERSONAL WELL-BEING': {
+      answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+      risks: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    ACCOUNTABILITY: {
+      answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+      risks: { type: mongoose.Schema.Types.Mixed, default: {} }
+    }
+  },
+  // Legacy support - keep flat structure for backward compatibility
+  answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+  risks: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedAt: { type: Date, default: Date.now }
+});
+GeneralQuestionsAnswersSchema.index({ projectId: 1, userId: 1 }, { unique: true });
+GeneralQuestionsAnswersSchema.index({ projectId: 1, userRole: 1 }); // Index for role-based queries
+
+module.exports = mongoose.models.GeneralQuestionsAnswers || mongoose.model('GeneralQuestionsAnswers', GeneralQuestionsAnswersSchema);
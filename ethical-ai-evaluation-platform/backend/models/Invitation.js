@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Admin-issued onboarding invitations (see services/invitationService.js).
+// Only the SHA-256 hash of the invite token is stored; the raw token is emailed.
+// Expired invitations are kept so admins can still see and revoke them.
+const InvitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true, index: true },
+  role: { type: String, required: true },
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending',
+    index: true
+  },
+  acceptedAt: { type: Date },
+  acceptedUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Invitation || mongoose.model('Invitation', InvitationSchema);
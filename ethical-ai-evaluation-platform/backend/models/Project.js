@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Project
+const ProjectSchema = new mongoose.Schema({
+  title: String,
+  shortDescription: String,
+  fullDescription: String,
+  status: { type: String, default: 'ongoing' },
+  stage: { type: String, default: 'set-up' },
+  targetDate: String,
+  progress: { type: Number, default: 0 },
+  assignedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  useCase: { type: String },
+  createdByAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Admin who created this project
+  scoringModel: { type: String }, // Scoring model id (services/scoringModels); unset = default model
+  thresholdsVersion: { type: String }, // Pinned risk threshold set (services/thresholdSetService); unset = built-in erc-v1
+  roleWeights: { type: Map, of: Number }, // Per-role aggregation weights (services/roleWeightService); unset = config/roles.config.js defaults
+  inspectionContext: {
+    requester: String,
+    inspectionReason: String,
+    relevantFor: String,
+    isMandatory: String,
+    conditionsToAnalyze: String,
+    resultsUsage: String,
+    resultsSharing: String,
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.models.Project || mongoose.model('Project', ProjectSchema);
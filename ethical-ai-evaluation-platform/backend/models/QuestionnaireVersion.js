@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Versions of a questionnaire's question set (services/questionnaireVersionService.js).
+// A draft collects the admins' edits; publishing freezes its questions, makes
+// them the live Question documents and retires the previous version. Published
+// and retired versions never change, so responses and scores can always be
+// resolved against the questions they were answered on (Response.questionnaireVersion).
+const QuestionnaireVersionSchema = new mongoose.Schema({
+  questionnaireKey: { type: String, required: true },
+  version: { type: Number, required: true },
+  status: { type: String, enum: ['draft', 'published', 'retired'], default: 'draft' },
+  // Question definitions as they were published; _id is the Question's id, which
+  // Response answers reference (questionId)
+  questions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  notes: { type: String, default: '' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedAt: { type: Date },
+  retiredAt: { type: Date }
+}, { timestamps: true });
+
+QuestionnaireVersionSchema.index({ questionnaireKey: 1, version: 1 }, { unique: true });
+// At most one draft per questionnaire
+QuestionnaireVersionSchema.index(
+  { questionnaireKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'draft' }, name: 'one_draft_per_questionnaire' }
+);
+
+module.exports = mongoose.models.QuestionnaireVersion || mongoose.model('QuestionnaireVersion', QuestionnaireVersionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Fixed-window request counters used by middleware/rateLimit.js.
+// key examples: "login:ip:203.0.113.7", "login:email:jane@example.com"
+const RateLimitBucketSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  windowStart: { type: Date, required: true },
+  expiresAt: { type: Date, required: true }
+});
+
+// Let MongoDB purge expired windows automatically
+RateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RateLimitBucket || mongoose.model('RateLimitBucket', RateLimitBucketSchema);
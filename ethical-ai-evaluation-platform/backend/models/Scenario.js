@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Saved what-if scenarios (services/scenarioService.js). Only the hypothetical
+// changes are stored; results are recomputed against the project's current
+// scores whenever a scenario is read, so they never go stale.
+const QuestionChangeSchema = new mongoose.Schema({
+  questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+  answerSeverity: { type: Number, required: true, min: 0, max: 1 } // Applied to every evaluator's answer
+}, { _id: false });
+
+const ScenarioSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  questionChanges: { type: [QuestionChangeSchema], default: [] },
+  mitigatedTensionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tension' }],
+  includeInReport: { type: Boolean, default: false }, // Listed in the report's recommendations section
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.models.Scenario || mongoose.model('Scenario', ScenarioSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Queued score recomputations (services/scoreRecomputeQueue.js). A null userId
+// or questionnaireKey means every user / questionnaire of the project. There is
+// at most one pending job per scope (enforced by the unique partial index below,
+// so concurrent enqueues cannot create two): further events push its runAfter back.
+const ScoreRecomputeJobSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  questionnaireKey: { type: String, default: null },
+  reasons: [{
+    type: String,
+    enum: ['draft_saved', 'response_submitted', 'question_changed', 'thresholds_changed', 'report_requested']
+  }],
+  events: { type: Number }, // Events merged into this job
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'failed'],
+    default: 'pending'
+  },
+  requestedAt: { type: Date, required: true }, // First event
+  runAfter: { type: Date, required: true }, // Last event + debounce, or the next retry
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  computedScores: { type: Number }, // Score documents written by the last run
+  expiresAt: { type: Date } // Set once done
+}, {
+  timestamps: true
+});
+
+ScoreRecomputeJobSchema.index({ status: 1, runAfter: 1 });
+ScoreRecomputeJobSchema.index({ projectId: 1, status: 1 });
+ScoreRecomputeJobSchema.index(
+  { projectId: 1, userId: 1, questionnaireKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+// Let MongoDB purge finished jobs automatically
+ScoreRecomputeJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.ScoreRecomputeJob || mongoose.model('ScoreRecomputeJob', ScoreRecomputeJobSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Score history, written by services/scoreHistoryService.js each time a Score
+// is computed. Snapshots are never updated or deleted: the hooks below reject
+// every update/delete path Mongoose offers.
+const ScoreSnapshotSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  scoreId: { type: mongoose.Schema.Types.ObjectId, ref: 'Score' },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, required: true },
+  questionnaireKey: { type: String, required: true },
+  computedAt: { type: Date, required: true, immutable: true },
+  cause: {
+    type: String,
+    enum: ['draft_saved', 'response_submitted', 'reevaluation'],
+    default: 'reevaluation'
+  },
+  // Project stage (Project.stage) when computed
+  stage: { type: String, enum: ['set-up', 'assess', 'resolve'], required: true },
+  reportVersion: { type: Number, default: 0 }, // Latest report version when computed (0 = none yet)
+  scoringModelVersion: { type: String },
+  thresholdsVersion: { type: String },
+  // Sum of finalRiskContribution and answers per principle / overall; sum / n = normalized ERC
+  byPrinciple: { type: mongoose.Schema.Types.Mixed, default: {} }, // { TRANSPARENCY: { sum, n }, ... }
+  totals: {
+    sum: Number,
+    n: Number
+  }
+}, { versionKey: false });
+
+ScoreSnapshotSchema.index({ projectId: 1, computedAt: 1 });
+ScoreSnapshotSchema.index({ projectId: 1, userId: 1, questionnaireKey: 1, computedAt: -1 });
+
+const rejectMutation = function () {
+  throw new Error('ScoreSnapshot is append-only');
+};
+
+ScoreSnapshotSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+ScoreSnapshotSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+ScoreSnapshotSchema.pre('save', function () {
+  if (!this.isNew) rejectMutation();
+});
+
+module.exports = mongoose.models.ScoreSnapshot || mongoose.model('ScoreSnapshot', ScoreSnapshotSchema);
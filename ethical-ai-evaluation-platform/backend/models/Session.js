@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Opaque session tokens issued by POST /api/login.
+// Only the SHA-256 hash of the token is stored; the raw token lives on the client.
+const SessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date },
+  ip: { type: String },
+  userAgent: { type: String }
+}, { timestamps: true });
+
+// Let MongoDB purge expired sessions automatically
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.Session || mongoose.model('Session', SessionSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// SharedDiscussion (Shared Area için)
+const SharedDiscussionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, required: true },
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' }, // Opsiyonel: proje ile ilişkilendirilebilir
+  isPinned: { type: Boolean, default: false },
+  replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'SharedDiscussion' }, // Reply için
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // @mention için
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+SharedDiscussionSchema.index({ createdAt: -1 });
+SharedDiscussionSchema.index({ isPinned: -1, createdAt: -1 });
+
+module.exports = mongoose.models.SharedDiscussion || mongoose.model('SharedDiscussion', SharedDiscussionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Tension (GÜNCELLENDİ: Evidence Array, Comment ve Dosya Desteği)
+const TensionSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  principle1: String,
+  principle2: String,
+  claimStatement: String,
+  description: String,
+  severity: String,
+  status: { type: String, default: 'ongoing' },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+
+  votes: [{
+    userId: String,
+    voteType: { type: String, enum: ['agree', 'disagree'] }
+  }],
+
+  comments: [{
+    text: String,
+    authorId: String,
+    authorName: String,
+    date: { type: Date, default: Date.now }
+  }],
+
+  evidences: [{
+    title: String,
+    description: String,
+    fileName: String,
+    fileData: String, // Base64 Data
+    uploadedBy: String,
+    uploadedAt: { type: Date, default: Date.now },
+    type: { type: String, required: false }, // Evidence type: Policy, Test, User feedback, Log, Incident, Other (optional)
+    comments: [{
+      userId: String,
+      text: String,
+      createdAt: { type: Date, default: Date.now }
+    }]
+  }],
+
+  // Impact & Stakeholders
+  impact: {
+    areas: [String],
+    affectedGroups: [String],
+    description: String
+  },
+
+  // Mitigation & Resolution
+  mitigation: {
+    proposed: String,
+    tradeoff: {
+      decision: String,
+      rationale: String
+    },
+    action: {
+      ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      ownerName: String,
+      dueDate: Date,
+      status: { type: String, default: 'Open' }
+    }
+  },
+
+  // Evidence Type (optional, backward compatible)
+  evidenceType: String
+});
+
+module.exports = mongoose.models.Tension || mongoose.model('Tension', TensionSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Risk threshold sets drafted and published by admins (services/thresholdSetService.js).
+// The built-in set (config/ercThresholds.v1.js) is not stored here. Drafts can
+// be edited; published sets are immutable so scores and reports pinned to a
+// version stay reproducible.
+const ThresholdBandSchema = new mongoose.Schema({
+  level: { type: String, required: true }, // MINIMAL | LOW | MEDIUM | HIGH | CRITICAL
+  min: { type: Number, required: true },
+  max: { type: Number, required: true },
+  label: { type: String, required: true },
+  color: { type: String, required: true }
+}, { _id: false });
+
+const ThresholdSetSchema = new mongoose.Schema({
+  version: { type: String, required: true, unique: true, trim: true }, // e.g. "erc-v2"
+  description: { type: String, default: '' },
+  status: { type: String, enum: ['draft', 'published'], default: 'draft', index: true },
+  isDefault: { type: Boolean, default: false }, // Pinned to new projects; at most one published set
+  bands: { type: [ThresholdBandSchema], default: [] }, // Ordered MINIMAL → CRITICAL, contiguous
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedAt: { type: Date }
+}, { timestamps: true });
+
+module.exports = mongoose.models.ThresholdSet || mongoose.model('ThresholdSet', ThresholdSetSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Pending second login step: issued by POST /api/login after the password
+// check for accounts that need TOTP, exchanged for a session once a valid code
+// is entered. Only the SHA-256 hash of the challenge token is stored.
+const TwoFactorChallengeSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  ip: { type: String },
+  userAgent: { type: String }
+}, { timestamps: true });
+
+// Let MongoDB purge expired challenges automatically
+TwoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.TwoFactorChallenge || mongoose.model('TwoFactorChallenge', TwoFactorChallengeSchema);
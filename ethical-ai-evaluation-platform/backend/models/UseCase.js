@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// UseCase - Sadece cevapları tutar
+const UseCaseSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  aiSystemCategory: String,
+  status: { type: String, default: 'assigned' },
+  progress: { type: Number, default: 0 },
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedExperts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  adminNotes: String,
+  supportingFiles: [{
+    name: String,
+    data: String, // Base64
+    contentType: String,
+    url: String
+  }],
+  answers: [{ // Sadece cevaplar - questionId ve answer
+    questionId: { type: String, required: true }, // Can be _id string or key
+    questionKey: { type: String }, // Optional: stable key (e.g., "S0_Q1") for future-proofing
+    answer: { type: String, default: '' }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  extendedInfo: { type: Map, of: mongoose.Schema.Types.Mixed },
+  feedback: [{ from: String, text: String, timestamp: { type: Date, default: Date.now } }],
+  adminReflections: [{ id: String, text: String, visibleToExperts: Boolean, createdAt: { type: Date, default: Date.now } }]
+});
+UseCaseSchema.index({ ownerId: 1 }); // Owner'a göre arama için index
+UseCaseSchema.index({ status: 1 }); // Status'a göre arama için index
+
+module.exports = mongoose.models.UseCase || mongoose.model('UseCase', UseCaseSchema);
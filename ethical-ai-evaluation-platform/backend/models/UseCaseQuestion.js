@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// UseCaseQuestion - Sorular ayrı collection'da
+const UseCaseQuestionSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  key: { type: String }, // Stable string identifier (e.g., "S0_Q1")
+  questionEn: { type: String, required: true },
+  questionTr: { type: String, required: true },
+  type: { type: String, required: true }, // 'text' or 'multiple-choice'
+  options: { type: [String], default: [] }, // For multiple-choice questions
+  order: { type: Number, default: 0 }, // Sıralama için
+  tag: { type: String, default: '' }, // AI Act reference (e.g., "AI Act Art. 6")
+  placeholder: { type: String, default: '' }, // Placeholder text for input
+  helper: { type: String, default: '' }, // Helper text/example
+  isActive: { type: Boolean, default: true } // Whether question is active
+});
+UseCaseQuestionSchema.index({ order: 1 }); // Sıralama için index
+UseCaseQuestionSchema.index({ key: 1 }); // Index for key lookups
+
+module.exports = mongoose.models.UseCaseQuestion || mongoose.model('UseCaseQuestion', UseCaseQuestionSchema);
@@ -1,16 +1,35 @@
 const mongoose = require('mongoose');
+const { LOCALE_CODES } = require('../config/locales.config');
 
+// User
 const UserSchema = new mongoose.Schema({
-  name: { type: String },
-  email: { type: String, index: true },
-  role: { type: String, index: true },
-  password: { type: String, required: false },
-  resetPasswordToken: { type: String, required: false },
-  resetPasswordExpires: { type: Date, required: false },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
+  name: { type: String, required: true },
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  role: { type: String, required: true },
+  isOnline: { type: Boolean, default: false },
+  lastSeen: { type: Date, default: Date.now },
+  preconditionApproved: { type: Boolean, default: false },
+  preconditionApprovedAt: { type: Date },
+  profileImage: { type: String }, // Base64 image
+  preferredLocale: { type: String, enum: LOCALE_CODES }, // App and report language (config/locales.config.js); unset = browser language
+  isVerified: { type: Boolean, default: false },
+  resetPasswordToken: { type: String },
+  resetPasswordExpires: { type: Date },
+  passwordMigratedAt: { type: Date }, // Set when a legacy plain-text password is rehashed
+  legacyPasswordFlagged: { type: Boolean, default: false }, // Set by migrations/flagLegacyPasswords.js
+  failedLoginAttempts: { type: Number, default: 0 }, // Consecutive failures, reset on success/unlock
+  lockedUntil: { type: Date }, // Temporary lockout after too many failed logins
+  twoFactor: { // TOTP second factor (see services/twoFactorService.js); secrets are never selected by default
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false }, // Issued by setup, promoted to `secret` once a code is confirmed
+    recoveryCodes: { type: [String], select: false }, // SHA-256 hashes of unused recovery codes
+    lastUsedStep: { type: Number, default: 0 } // Last accepted TOTP time step (replay protection)
+  }
 });
+// Index for faster login queries (password is verified in code, never queried)
+UserSchema.index({ email: 1, role: 1 });
 
-// Avoid recompiling model in hot-reload / multiple imports
 module.exports = mongoose.models.User || mongoose.model('User', UserSchema);
-
@@ -0,0 +1,37 @@
+/**
+ * Model registry
+ *
+ * Requiring this module registers every Mongoose model. Several controllers
+ * and services look models up with `mongoose.model('Name')` when they are
+ * first required, so the app factory loads this before any router.
+ */
+
+module.exports = {
+  AuditEvent: require('./AuditEvent'),
+  EmailVerification: require('./EmailVerification'),
+  Evaluation: require('./Evaluation'),
+  GeneralQuestionsAnswers: require('./GeneralQuestionsAnswers'),
+  Invitation: require('./Invitation'),
+  Message: require('./Message'),
+  Notification: require('./Notification'),
+  Project: require('./Project'),
+  ProjectAssignment: require('./projectAssignment'),
+  Question: require('./question'),
+  Questionnaire: require('./questionnaire'),
+  QuestionnaireVersion: require('./QuestionnaireVersion'),
+  RateLimitBucket: require('./RateLimitBucket'),
+  Report: require('./report'),
+  Response: require('./response'),
+  Scenario: require('./Scenario'),
+  Score: require('./score'),
+  ScoreRecomputeJob: require('./ScoreRecomputeJob'),
+  ScoreSnapshot: require('./ScoreSnapshot'),
+  Session: require('./Session'),
+  SharedDiscussion: require('./SharedDiscussion'),
+  Tension: require('./Tension'),
+  ThresholdSet: require('./ThresholdSet'),
+  TwoFactorChallenge: require('./TwoFactorChallenge'),
+  UseCase: require('./UseCase'),
+  UseCaseQuestion: require('./UseCaseQuestion'),
+  User: require('./User')
+};
@@ -1,4 +1,32 @@
 const mongoose = require('mongoose');
+const { CONDITION_SOURCES, CONDITION_MATCHES } = require('../utils/questionConditions');
+const { DEFAULT_LOCALE, LOCALE_CODES } = require('../config/locales.config');
+
+// { en, tr, de, ... }: one string per registered locale (config/locales.config.js)
+const localizedString = ({ required = false } = {}) => Object.fromEntries(LOCALE_CODES.map(code => [
+  code,
+  code === DEFAULT_LOCALE && required ? { type: String, required: true } : String
+]));
+
+// Display conditions (see utils/questionConditions.js)
+const DisplayConditionSchema = new mongoose.Schema({
+  match: { type: String, enum: CONDITION_MATCHES, default: 'all' },
+  conditions: {
+    type: [{
+      source: { type: String, enum: CONDITION_SOURCES, default: 'question' },
+      questionnaireKey: String, // question source only; defaults to the question's own
+      code: { type: String, required: true }, // question code, or UseCaseQuestion id/key
+      anyOf: { type: [String], default: undefined },
+      noneOf: { type: [String], default: undefined },
+      answered: Boolean,
+      _id: false
+    }],
+    validate: {
+      validator: (conditions) => conditions.length > 0,
+      message: 'showIf needs at least one condition'
+    }
+  }
+}, { _id: false });
 
 const QuestionSchema = new mongoose.Schema({
   questionnaireKey: {
@@ -16,10 +44,7 @@ const QuestionSchema = new mongoose.Schema({
     lowercase: true,
     index: true
   }, // e.g. "human_agency_oversight" - Machine stable key
-  principleLabel: {
-    en: { type: String, required: true },
-    tr: { type: String, required: false }
-  }, // Localized principle names
+  principleLabel: localizedString({ required: true }), // Localized principle names
   principle: {
     type: String,
     required: false // Deprecated: keeping for backward compatibility
@@ -28,10 +53,7 @@ const QuestionSchema = new mongoose.Schema({
     type: [String],
     default: ['any']
   },
-  text: {
-    en: { type: String, required: true },
-    tr: { type: String, required: false }
-  },
+  text: localizedString({ required: true }),
   answerType: {
     type: String,
     required: true,
@@ -39,10 +61,7 @@ const QuestionSchema = new mongoose.Schema({
   },
   options: [{
     key: String,
-    label: {
-      en: String,
-      tr: String
-    },
+    label: localizedString(),
     answerScore: { // NEW: 0.0-1.0 (1=Safe, 0=Risky)
       type: Number,
       min: 0,
@@ -88,10 +107,12 @@ const QuestionSchema = new mongoose.Schema({
     required: true
   },
   tags: [String],
-  description: {
-    en: String,
-    tr: String
+  // Only asked when these hold; unset = always asked
+  showIf: {
+    type: DisplayConditionSchema,
+    default: undefined
   },
+  description: localizedString(),
   createdAt: {
     type: Date,
     default: Date.now
@@ -1,213 +1,109 @@
-/**
- * Report Model
- * 
- * Single source of truth for generated ethical assessment reports.
- * Ensures PDF and Word are always generated together and version-controlled.
- * 
- * CRITICAL RULES:
- * - Only ONE report per project can have latest = true
- * - PDF and Word must always reference the same report version
- * - Reports are immutable once generated (status can change, but files cannot)
- */
-
 const mongoose = require('mongoose');
 
-const ReportSchema = new mongoose.Schema(
-  {
-    // Reference to the project
-    projectId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Project',
-      required: true,
-      index: true
-    },
-
-    // Version number (auto-incremented per project)
-    version: {
-      type: Number,
-      required: true,
-      min: 1
-    },
-
-    // Report status
-    status: {
-      type: String,
-      enum: ['generating', 'final', 'archived', 'failed'],
-      default: 'generating',
-      required: true
-    },
-
-    // Latest flag - only ONE report per project can be latest = true
-    latest: {
-      type: Boolean,
-      default: false,
-      index: true
-    },
-
-    // Generation timestamp
-    generatedAt: {
-      type: Date,
-      default: Date.now,
-      required: true
-    },
-
-    // File paths (relative to uploads directory)
-    pdfPath: {
-      type: String,
-      default: null
-    },
-
-    wordPath: {
-      type: String,
-      default: null
-    },
-
-    // File sizes (for UI display)
-    pdfSize: {
-      type: Number, // bytes
-      default: null
-    },
-
-    wordSize: {
-      type: Number, // bytes
-      default: null
-    },
-
-    // Snapshot metadata (for traceability)
-    metadata: {
-      // Scoring model version used
-      scoringModelVersion: {
-        type: String,
-        default: 'erc_v1'
-      },
-
-      // Number of questions assessed
-      questionsAnswered: {
-        type: Number,
-        default: 0
-      },
-
-      // Number of tensions identified
-      tensionsCount: {
-        type: Number,
-        default: 0
-      },
-
-      // Overall ERC score
-      overallERC: {
-        type: Number,
-        default: null
-      },
-
-      // Risk label
-      riskLabel: {
-        type: String,
-        default: null
-      },
-
-      // Number of evaluators
-      evaluatorCount: {
-        type: Number,
-        default: 0
-      },
+// Report - Analysis Reports (expert comment workflow)
+const ExpertCommentSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  userName: { type: String, default: '' },
+  text: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const ReportSchema = new mongoose.Schema({
+  // Legacy + compatibility: reports are tied to a Project (a.k.a. "use case" in UI)
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+  // New alias field requested by product language
+  useCaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', index: true },
+
+  title: { type: String, default: 'Analysis Report' },
+
+  // Legacy single-body content (kept for backward compatibility)
+  content: { type: String },
+
+  // Expert comments (one per expert)
+  expertComments: { type: [ExpertCommentSchema], default: [] },
+
+  generatedAt: { type: Date, default: Date.now, index: true },
+  generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  status: { type: String, enum: ['draft', 'final', 'archived', 'generating', 'failed'], default: 'draft', index: true },
+  finalizedAt: { type: Date },
+
+  metadata: {
+    totalScores: Number,
+    totalEvaluations: Number,
+    totalTensions: Number,
+    principlesAnalyzed: [String],
+    // New metadata fields for enterprise reporting
+    scoringModelVersion: { type: String }, // Scoring model of the project's scores (services/scoringModels)
+    thresholdsVersion: { type: String }, // Risk threshold set the project is pinned to (Project.thresholdsVersion)
+    questionsAnswered: { type: Number, default: 0 },
+    tensionsCount: { type: Number, default: 0 },
+    overallERC: { type: Number, default: null },
+    riskLabel: { type: String, default: null },
+    evaluatorCount: { type: Number, default: 0 },
+    evaluatorRoles: { type: [String], default: [] },
+    generationDurationMs: { type: Number, default: null },
+    chartsGenerated: { type: Number, default: 0 },
+    chartTypes: { type: [String], default: [] },
+    hasHTMLReport: { type: Boolean, default: false },
+    locale: { type: String, default: 'en' }, // Report language (config/locales.config.js)
+    translationWarnings: { type: [String], default: [] } // Texts shown in English (utils/reportPreflightValidator G7)
+  },
+  version: { type: Number, default: 1 },
 
-      // Evaluator roles
-      evaluatorRoles: {
-        type: [String],
-        default: []
-      },
+  // CRITICAL: Latest flag - only ONE report per project can have latest = true
+  latest: { type: Boolean, default: false, index: true },
 
-      // Generation duration (ms)
-      generationDurationMs: {
-        type: Number,
-        default: null
-      }
-    },
+  // File paths for PDF and Word (relative to uploads directory)
+  pdfPath: { type: String, default: null },
+  wordPath: { type: String, default: null },
 
-    // Error details (if generation failed)
-    errorDetails: {
-      message: String,
-      stack: String,
-      timestamp: Date
-    },
+  // File sizes (for UI display)
+  pdfSize: { type: Number, default: null }, // bytes
+  wordSize: { type: Number, default: null }, // bytes
 
-    // Generated summary of the report
-    summary: {
-      type: String,
-      default: null
-    },
+  // HTML content (for PDF/Word generation)
+  htmlContent: { type: String, default: null },
 
-    // Full Report Content (JSON or Markdown)
-    content: {
-      type: mongoose.Schema.Types.Mixed,
-      default: null
-    },
+  // Computed metrics (for caching)
+  computedMetrics: { type: mongoose.Schema.Types.Mixed, default: null },
 
-    // Report Sections (for draft/review workflow)
-    sections: [{
-      principle: String,
-      aiDraft: { type: mongoose.Schema.Types.Mixed },
-      expertEdit: { type: String, default: '' },
-      comments: []
-    }],
+  // Scoring data (for HTML report generation and display)
+  scoring: { type: mongoose.Schema.Types.Mixed, default: null },
 
-    // Comments from experts/reviewers
-    expertComments: [{
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      userName: { type: String, required: true },
-      text: { type: String, required: true },
-      createdAt: { type: Date, default: Date.now }
-    }],
+  // New workflow: sections-based report editing
+  sections: [{
+    principle: String,
+    aiDraft: String,
+    expertEdit: String,
+    comments: [ExpertCommentSchema]
+  }],
 
-    // User who triggered generation (optional)
-    generatedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      default: null
-    }
-  },
-  {
-    timestamps: true, // createdAt, updatedAt
-    collection: 'reports'
+  // Error details (if generation failed)
+  errorDetails: {
+    message: String,
+    stack: String,
+    timestamp: Date
   }
-);
-
-// Compound index: projectId + latest (for fast "get latest report" queries)
-ReportSchema.index({ projectId: 1, latest: 1 });
-
-// Compound index: projectId + version (for version lookups)
-ReportSchema.index({ projectId: 1, version: 1 }, { unique: true });
+}, { timestamps: true, strict: false }); // strict: false allows htmlContent even if it's large
 
-// Index for status queries
-ReportSchema.index({ status: 1 });
+// Index for efficient querying
+ReportSchema.index({ projectId: 1, generatedAt: -1 });
+ReportSchema.index({ projectId: 1, status: 1 });
+ReportSchema.index({ useCaseId: 1, generatedAt: -1 });
+ReportSchema.index({ projectId: 1, latest: 1 }); // For "get latest report" queries
+ReportSchema.index({ projectId: 1, version: 1 }, { unique: true }); // Version uniqueness per project
 
-/**
- * Static method: Get the latest report for a project
- */
+// Static method: Get the latest report for a project
 ReportSchema.statics.getLatestReport = async function (projectId) {
   return this.findOne({
     projectId,
     latest: true,
-    status: 'final'
+    status: { $in: ['final', 'draft'] }
   }).sort({ version: -1 });
 };
 
-/**
- * Static method: Get next version number for a project
- */
-ReportSchema.statics.getNextVersion = async function (projectId) {
-  const latestReport = await this.findOne({ projectId })
-    .sort({ version: -1 })
-    .select('version')
-    .lean();
-
-  return latestReport ? latestReport.version + 1 : 1;
-};
-
-/**
- * Static method: Mark a report as latest (and unmark all others)
- * CRITICAL: This ensures only ONE report per project has latest = true
- */
+// Static method: Mark a report as latest (and unmark all others)
 ReportSchema.statics.markAsLatest = async function (reportId, projectId) {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -237,9 +133,7 @@ ReportSchema.statics.markAsLatest = async function (reportId, projectId) {
   }
 };
 
-/**
- * Instance method: Validate that both PDF and Word exist
- */
+// Instance method: Validate that both PDF and Word exist
 ReportSchema.methods.validateFiles = function () {
   if (!this.pdfPath || !this.wordPath) {
     throw new Error(
@@ -250,37 +144,4 @@ ReportSchema.methods.validateFiles = function () {
   return true;
 };
 
-/**
- * Instance method: Get file paths as absolute URLs
- */
-ReportSchema.methods.getFileUrls = function (baseUrl = '') {
-  return {
-    pdf: this.pdfPath ? `${baseUrl}/api/reports/${this._id}/pdf` : null,
-    word: this.wordPath ? `${baseUrl}/api/reports/${this._id}/word` : null
-  };
-};
-
-/**
- * Pre-save validation: Ensure version is set
- */
-ReportSchema.pre('save', async function (next) {
-  if (this.isNew && !this.version) {
-    this.version = await this.constructor.getNextVersion(this.projectId);
-  }
-  next();
-});
-
-/**
- * Virtual: Human-readable version label
- */
-ReportSchema.virtual('versionLabel').get(function () {
-  return `v${this.version}${this.latest ? ' (Latest)' : ''}`;
-});
-
-// Ensure virtuals are included in JSON output
-ReportSchema.set('toJSON', { virtuals: true });
-ReportSchema.set('toObject', { virtuals: true });
-
-const Report = mongoose.model('Report', ReportSchema);
-
-module.exports = Report;
+module.exports = mongoose.models.Report || mongoose.model('Report', ReportSchema);
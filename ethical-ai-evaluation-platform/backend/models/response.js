@@ -56,6 +56,18 @@ const AnswerSchema = new mongoose.Schema({
     required: false,
     default: null
   },
+  // Questionnaire version this answer was given on; null means the response's
+  // questionnaireVersion (answers saved before a later version was published)
+  questionnaireVersion: {
+    type: Number,
+    default: null
+  },
+  // Where answerSeverity (or answerScore) came from, recorded when it is derived:
+  // expert_provided, option_score, option_answerScore or default (questionBreakdown.source)
+  severitySource: {
+    type: String,
+    default: null
+  },
   scoreSuggested: Number, // Optional: AI-suggested score for open_text
   scoreFinal: Number,     // Final score after review (for open_text)
   reviewerId: {
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 
+// Bootstrap interval of the normalized ERC (mean contribution, 0-4); see utils/confidenceInterval.js
+const ConfidenceIntervalSchema = new mongoose.Schema({
+  lower: Number,
+  upper: Number,
+  level: Number, // e.g. 0.95
+  n: Number, // Answers resampled
+  iterations: Number,
+  method: String
+}, { _id: false });
+
 const PrincipleScoreSchema = new mongoose.Schema({
   avg: { type: Number, required: true },
   n: { type: Number, required: true }, // Number of questions answered
@@ -17,6 +27,7 @@ const PrincipleScoreSchema = new mongoose.Schema({
   // NEW: Ethical Importance Metrics
   avgImportance: { type: Number }, // Average importance (1-4)
   highImportanceRatio: { type: Number }, // Ratio of high importance questions (0-1)
+  confidenceInterval: ConfidenceIntervalSchema, // null with fewer than 2 answers
   topDrivers: [{
     questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
     questionCode: String,
@@ -74,8 +85,10 @@ const ScoreSchema = new mongoose.Schema({
   },
   scoringModelVersion: {
     type: String,
-    default: 'erc_v1' // ERC model version (erc_v1) or legacy (rpn_v1, aq_rw_v1)
+    required: true // Id of the scoring model that produced this score (services/scoringModels)
   },
+  thresholdsVersion: { type: String }, // Threshold set the project was pinned to when scored (Project.thresholdsVersion)
+  computeCause: { type: String }, // Why it was last computed: draft_saved, response_submitted or reevaluation (ScoreSnapshot.cause)
   totals: {
     avg: { type: Number, required: true }, // Backward compatibility
     min: Number,
@@ -87,7 +100,8 @@ const ScoreSchema = new mongoose.Schema({
     // LEGACY: RPN/Risk Model fields
     overallRisk: { type: Number }, // Overall ethical risk (0-4) = average(principleRisk) - LEGACY
     answeredCount: { type: Number }, // Number of answered questions
-    missingCount: { type: Number } // Number of missing questions
+    missingCount: { type: Number }, // Number of missing questions
+    confidenceInterval: ConfidenceIntervalSchema // Of the mean contribution over all answers
   },
   byPrinciple: {
     TRANSPARENCY: PrincipleScoreSchema,
@@ -113,7 +127,8 @@ const ScoreSchema = new mongoose.Schema({
     importance: Number, // 1-4
     answerType: String,
     mappingMissing: Boolean,
-    source: String, // Source of answerSeverity (expert_provided, optionSeverityMap, label_inference, etc.)
+    source: String, // Source of answerSeverity as recorded on the answer (Response.severitySource), legacy_answer_score for older answerScores
+    importanceSource: String, // Source of importance (expert_provided, question_riskScore, question_importance, default)
     // Legacy fields (for backward compatibility)
     riskScore: Number, // 0-4 - alias for riskImportance
     answerRisk: Number, // 0-4 - legacy
@@ -133,5 +148,13 @@ ScoreSchema.index({ projectId: 1, questionnaireKey: 1 });
 ScoreSchema.index({ projectId: 1, role: 1 });
 ScoreSchema.index({ projectId: 1, computedAt: -1 });
 
+// Every computation leaves an immutable copy in the score history
+// (services/scoreHistoryService.js); computeEthicalScores writes through findOneAndUpdate
+ScoreSchema.post('findOneAndUpdate', async function (doc) {
+  if (!doc) return;
+  const { recordScoreSnapshot } = require('../services/scoreHistoryService');
+  await recordScoreSnapshot(doc);
+});
+
 module.exports = mongoose.model('Score', ScoreSchema);
 
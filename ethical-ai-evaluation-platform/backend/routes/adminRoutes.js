@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const adminSchemas = require('./schemas/adminSchemas');
+const { unlockAccount } = require('../services/accountLockoutService');
+const { AUDIT_EVENTS, recordAuditEvent, queryAuditEvents } = require('../services/auditLogService');
+const {
+  listThresholdSets,
+  createThresholdDraft,
+  updateThresholdDraft,
+  publishThresholdSet
+} = require('../services/thresholdSetService');
+
+const sendThresholdError = (res, err) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message, code: err.code });
+  }
+  console.error('Threshold set error:', err);
+  return res.status(500).json({ error: err.message });
+};
+
+// POST /api/admin/users/:id/unlock - Lift a login lockout early (admin)
+router.post('/admin/users/:id/unlock', validate(adminSchemas.unlockUser), authorize('user.unlock'), async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    const result = await unlockAccount(req.params.id);
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`[unlock] user ${req.params.id} unlocked by admin ${getActorId(req)}`);
+    await recordAuditEvent(AUDIT_EVENTS.ACCOUNT_UNLOCK, { req, subjectUserId: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Unlock account error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/audit-events?userId=&projectId=&type=&from=&to=&page=&limit= - Security audit log (admin)
+router.get('/admin/audit-events', authorize('audit.view'), async (req, res) => {
+  try {
+    const { userId, projectId, type, from, to, page, limit } = req.query;
+    res.json(await queryAuditEvents({ userId, projectId, type, from, to, page, limit }));
+  } catch (err) {
+    if (err.statusCode === 400) return res.status(400).json({ error: err.message });
+    console.error('Audit query error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/threshold-sets - Built-in and stored risk threshold sets, drafts included (admin)
+router.get('/admin/threshold-sets', authorize('threshold.manage'), async (req, res) => {
+  try {
+    res.json(await listThresholdSets());
+  } catch (err) {
+    sendThresholdError(res, err);
+  }
+});
+
+// POST /api/admin/threshold-sets - Draft a new threshold set (admin)
+router.post('/admin/threshold-sets', validate(adminSchemas.createThresholdSet), authorize('threshold.manage'), async (req, res) => {
+  try {
+    const { version, description, bands } = req.body;
+    res.status(201).json(await createThresholdDraft({ version, description, bands, createdBy: getActorId(req) }));
+  } catch (err) {
+    sendThresholdError(res, err);
+  }
+});
+
+// PUT /api/admin/threshold-sets/:version - Edit a draft; published sets are immutable (admin)
+router.put('/admin/threshold-sets/:version', validate(adminSchemas.updateThresholdSet), authorize('threshold.manage'), async (req, res) => {
+  try {
+    const { description, bands } = req.body;
+    res.json(await updateThresholdDraft(req.params.version, { description, bands }));
+  } catch (err) {
+    sendThresholdError(res, err);
+  }
+});
+
+// POST /api/admin/threshold-sets/:version/publish - Publish a draft and, unless
+// makeDefault is false, pin new projects to it (admin)
+router.post('/admin/threshold-sets/:version/publish', validate(adminSchemas.publishThresholdSet), authorize('threshold.manage'), async (req, res) => {
+  try {
+    res.json(await publishThresholdSet(req.params.version, {
+      publishedBy: getActorId(req),
+      makeDefault: req.body?.makeDefault !== false
+    }));
+  } catch (err) {
+    sendThresholdError(res, err);
+  }
+});
+
+module.exports = router;
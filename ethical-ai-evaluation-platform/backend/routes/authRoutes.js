@@ -0,0 +1,503 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { hashPassword, verifyPassword } = require('../utils/passwordHash');
+const { serializeUser } = require('../utils/serializers');
+const { listPermissions } = require('../middleware/authorize');
+const { rateLimit, resetRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const authSchemas = require('./schemas/authSchemas');
+const { isLocked, registerFailedLogin, unlockAccount } = require('../services/accountLockoutService');
+const { VERIFICATION_CODE_MAX_ATTEMPTS, VERIFICATION_CODE_TTL_MS } = require('../config/security.config');
+const { SELF_REGISTRATION_ROLES } = require('../config/permissions.config');
+const { createSession, revokeSession, revokeUserSessions } = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditLogService');
+
+// Email verification code generation helper
+function generateCode() {
+  // Cryptographically random, zero-padded 6-digit code
+  return require('crypto').randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+// POST /api/auth/request-code - User requests code for registration
+router.post('/auth/request-code', rateLimit('requestCode'), validate(authSchemas.requestCode), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    console.log("[REQUEST CODE] incoming for", email);
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email address is required.' });
+    }
+
+    // If a user with this email already exists, return error
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'An account with this email address already exists.' });
+    }
+
+    // Delete old verification records for the same email if any
+    const EmailVerification = require('../models/EmailVerification');
+    await EmailVerification.deleteMany({ email });
+
+    // Generate 6-digit code
+    const code = generateCode();
+
+    // Create record in EmailVerification collection
+    const expiresAt = new Date(Date.now() + VERIFICATION_CODE_TTL_MS);
+
+    const emailVerification = new EmailVerification({
+      email,
+      code,
+      expiresAt,
+      isUsed: false
+    });
+    await emailVerification.save();
+
+    // Send email to user
+    const { sendVerificationEmail } = require('../services/emailService');
+    await sendVerificationEmail(email, code);
+
+    return res.status(200).json({ message: "Verification code sent." });
+  } catch (err) {
+    console.error("[REQUEST CODE] failed:", err);
+    return res.status(500).json({ message: "Failed to send verification code." });
+  }
+});
+
+// POST /api/auth/verify-code-and-register - User verifies code and registers
+router.post('/auth/verify-code-and-register', rateLimit('verifyCode'), validate(authSchemas.register), async (req, res) => {
+  try {
+    const { email, code, name, password, role } = req.body;
+
+    if (!email || !code || !name || !password || !role) {
+      return res.status(400).json({ message: 'All fields are required.' });
+    }
+
+    // Privileged roles are only granted through admin invitations
+    if (!SELF_REGISTRATION_ROLES.includes(role)) {
+      return res.status(403).json({
+        message: 'This role cannot be self-registered. Please ask an administrator for an invitation.',
+        code: 'ROLE_NOT_SELF_REGISTRABLE'
+      });
+    }
+
+    const EmailVerification = require('../models/EmailVerification');
+
+    // Find the active code for this email (not used, not invalidated, not expired)
+    const emailVerification = await EmailVerification.findOne({
+      email,
+      isUsed: false,
+      invalidatedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (!emailVerification) {
+      return res.status(400).json({ message: 'Code is invalid or expired.' });
+    }
+
+    const { timingSafeEqual } = require('crypto');
+    const expected = Buffer.from(String(emailVerification.code));
+    const given = Buffer.from(String(code));
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+      // Count the wrong guess; burn the code after VERIFICATION_CODE_MAX_ATTEMPTS
+      emailVerification.attempts = (emailVerification.attempts || 0) + 1;
+      if (emailVerification.attempts >= VERIFICATION_CODE_MAX_ATTEMPTS) {
+        emailVerification.invalidatedAt = new Date();
+      }
+      await emailVerification.save();
+
+      if (emailVerification.invalidatedAt) {
+        return res.status(400).json({
+          message: 'Too many incorrect attempts. Please request a new code.',
+          code: 'CODE_ATTEMPTS_EXCEEDED'
+        });
+      }
+      return res.status(400).json({ message: 'Code is invalid or expired.' });
+    }
+
+    // Check if a user with this email already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'An account with this email already exists.' });
+    }
+
+    // Create new user in User collection
+    const newUser = new User({
+      name,
+      email,
+      password: await hashPassword(password),
+      role,
+      isVerified: true
+    });
+    await newUser.save();
+
+    // Mark EmailVerification record as used
+    emailVerification.isUsed = true;
+    await emailVerification.save();
+
+    // Send welcome email with role-based PDF attachment (non-blocking, log error if fails but don't fail registration)
+    try {
+      if (process.env.RESEND_API_KEY) {
+        const { sendWelcomeEmail } = require('../services/emailService');
+        await sendWelcomeEmail(email, name, role);
+      } else {
+        console.warn('Welcome email not sent: RESEND_API_KEY not configured');
+      }
+    } catch (emailError) {
+      console.error('Welcome email sending error (non-blocking):', emailError);
+      // Don't fail registration if welcome email fails
+    }
+
+    res.json({
+      message: 'Registration completed successfully.',
+      userId: newUser._id.toString()
+    });
+  } catch (err) {
+    console.error('verify-code-and-register error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Login response shape: the user's own (self) view plus a new session token
+const issueLoginSession = async (user, req) => {
+  const { token, expiresAt } = await createSession(user, { ip: req.ip, userAgent: req.headers['user-agent'] });
+  return { ...serializeUser(user, { view: 'self' }), token, tokenExpiresAt: expiresAt };
+};
+
+router.post('/login', rateLimit('login'), validate(authSchemas.login), async (req, res) => {
+  try {
+    const reqId = `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
+    const safeEmail = typeof req.body?.email === 'string' ? req.body.email : null;
+    const safeRole = typeof req.body?.role === 'string' ? req.body.role : null;
+    console.log(`[login:${reqId}] start`, { email: safeEmail, role: safeRole });
+
+    // Check MongoDB connection state
+    if (mongoose.connection.readyState !== 1) {
+      console.warn(`[login:${reqId}] mongo not ready`, { readyState: mongoose.connection.readyState });
+      return res.status(503).json({
+        error: 'Database connection is not ready. Please wait a few seconds and try again.'
+      });
+    }
+
+    // Add timeout to prevent hanging - increased to 15 seconds for better reliability
+    const loginPromise = User.findOne({
+      email: req.body.email,
+      role: req.body.role
+    }).select('-profileImage').lean().maxTimeMS(15000); // Exclude large profileImage, add timeout
+
+    const user = await Promise.race([
+      loginPromise,
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Login timeout')), 15000)
+      )
+    ]);
+
+    if (user && isLocked(user)) {
+      console.log(`[login:${reqId}] account locked`, { userId: String(user._id) });
+      await recordAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, {
+        req,
+        outcome: 'failure',
+        subjectUserId: user._id,
+        details: { reason: 'ACCOUNT_LOCKED', email: safeEmail }
+      });
+      return res.status(423).json({
+        message: 'This account is temporarily locked after too many failed login attempts.',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    const { valid, needsRehash } = user
+      ? await verifyPassword(req.body.password, user.password)
+      : { valid: false, needsRehash: false };
+
+    if (user && valid) {
+      if (needsRehash) {
+        // Transparent migration: replace legacy plain-text (or outdated) password with a fresh hash
+        await User.updateOne(
+          { _id: user._id },
+          {
+            password: await hashPassword(req.body.password),
+            passwordMigratedAt: new Date(),
+            legacyPasswordFlagged: false
+          }
+        );
+        console.log(`[login:${reqId}] password rehashed`, { userId: String(user._id) });
+      }
+      if (twoFactorService.needsSecondFactor(user)) {
+        // Password is correct; the session is only issued by POST /api/auth/2fa/challenge/verify
+        const challenge = await twoFactorService.createChallenge(user, { ip: req.ip, userAgent: req.headers['user-agent'] });
+        console.log(`[login:${reqId}] second factor required`, { userId: String(user._id), enrollmentRequired: challenge.enrollmentRequired });
+        return res.json({ mfaRequired: true, ...challenge });
+      }
+      // Only a complete login clears the failures; with 2FA that is after the second factor,
+      // so wrong codes keep counting towards the lockout across password logins
+      if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+        await unlockAccount(user._id);
+      }
+      console.log(`[login:${reqId}] success`, { userId: String(user._id || user.id || '') });
+      await recordAuditEvent(AUDIT_EVENTS.LOGIN_SUCCESS, {
+        req,
+        actor: user,
+        subjectUserId: user._id,
+        details: { method: 'password' }
+      });
+      const session = await issueLoginSession(user, req);
+      await resetRateLimit('login', user.email);
+      res.json(session);
+    } else {
+      console.log(`[login:${reqId}] invalid credentials`);
+      let lockout = null;
+      if (user) {
+        lockout = await registerFailedLogin(user._id);
+        if (lockout.locked) {
+          console.log(`[login:${reqId}] account locked`, { userId: String(user._id), until: lockout.lockedUntil });
+        }
+      }
+      await recordAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, {
+        req,
+        outcome: 'failure',
+        subjectUserId: user?._id,
+        details: {
+          reason: user ? 'INVALID_PASSWORD' : 'UNKNOWN_ACCOUNT',
+          email: safeEmail,
+          role: safeRole,
+          ...(lockout?.locked ? { lockedUntil: lockout.lockedUntil } : {})
+        }
+      });
+      res.status(401).json({ message: "Invalid email, password, or role." });
+    }
+  } catch (err) {
+    if (err.message === 'Login timeout') {
+      res.status(504).json({ error: 'Login request timed out. Please try again.' });
+    } else {
+      console.error('Login error:', err);
+      res.status(500).json({ error: 'An error occurred during login. Please try again.' });
+    }
+  }
+});
+
+// POST /api/logout - Revoke the caller's session token
+router.post('/logout', validate(authSchemas.logout), async (req, res) => {
+  try {
+    await revokeSession(req.sessionToken);
+    await recordAuditEvent(AUDIT_EVENTS.LOGOUT, { req, subjectUserId: req.user._id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// GET /api/auth/me - Current user resolved from the session token
+router.get('/auth/me', async (req, res) => {
+  res.json(req.user);
+});
+
+// --- TWO-FACTOR AUTHENTICATION (TOTP, see services/twoFactorService.js) ---
+const sendTwoFactorError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
+  console.error(fallbackMessage, err);
+  return res.status(500).json({ message: 'A server error occurred.' });
+};
+
+// POST /api/auth/2fa/challenge/setup - Enroll during login (required roles without 2FA yet)
+router.post('/auth/2fa/challenge/setup', rateLimit('twoFactor'), validate(authSchemas.twoFactorChallengeSetup), async (req, res) => {
+  try {
+    res.json(await twoFactorService.setupForChallenge(req.body?.mfaToken));
+  } catch (err) {
+    sendTwoFactorError(res, err, '2FA challenge setup error:');
+  }
+});
+
+// POST /api/auth/2fa/challenge/verify - Second login step: { mfaToken, code } or { mfaToken, recoveryCode }
+router.post('/auth/2fa/challenge/verify', rateLimit('twoFactor'), validate(authSchemas.twoFactorChallengeVerify), async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+    const result = await twoFactorService.completeChallenge(mfaToken, { code, recoveryCode });
+
+    const user = await User.findById(result.userId).select('-profileImage').lean();
+    if (!user) {
+      return res.status(401).json({ message: 'Your sign-in attempt has expired. Please log in again.', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+    }
+    console.log(`[login] second factor accepted`, { userId: String(user._id), method: result.method || 'enrollment' });
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      await unlockAccount(user._id);
+    }
+    if (result.recoveryCodes) {
+      await recordAuditEvent(AUDIT_EVENTS.TWO_FACTOR_ENABLED, { req, actor: user, subjectUserId: user._id, details: { during: 'login' } });
+    }
+    await recordAuditEvent(AUDIT_EVENTS.LOGIN_SUCCESS, {
+      req,
+      actor: user,
+      subjectUserId: user._id,
+      details: { method: result.method || 'totp-enrollment' }
+    });
+    const session = await issueLoginSession(user, req);
+    await resetRateLimit('login', user.email);
+    res.json({
+      ...session,
+      // Only present right after enrollment: show once, never retrievable again
+      ...(result.recoveryCodes ? { recoveryCodes: result.recoveryCodes } : {}),
+      ...(result.method === 'recovery' ? { recoveryCodesRemaining: result.recoveryCodesRemaining } : {})
+    });
+  } catch (err) {
+    if (err.userId) {
+      await recordAuditEvent(AUDIT_EVENTS.LOGIN_FAILURE, {
+        req,
+        outcome: 'failure',
+        subjectUserId: err.userId,
+        details: { reason: err.code || 'SECOND_FACTOR_ERROR', step: 'second-factor' }
+      });
+    }
+    sendTwoFactorError(res, err, '2FA challenge verify error:');
+  }
+});
+
+// GET /api/auth/2fa - Current user's 2FA status
+router.get('/auth/2fa', async (req, res) => {
+  try {
+    res.json(await twoFactorService.getStatus(req.user._id));
+  } catch (err) {
+    sendTwoFactorError(res, err, '2FA status error:');
+  }
+});
+
+// POST /api/auth/2fa/setup - Start enrollment: returns { secret, otpauthUri }
+router.post('/auth/2fa/setup', validate(authSchemas.twoFactorSetup), async (req, res) => {
+  try {
+    res.json(await twoFactorService.setup(req.user._id));
+  } catch (err) {
+    sendTwoFactorError(res, err, '2FA setup error:');
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm enrollment with { code }: returns { recoveryCodes }
+router.post('/auth/2fa/enable', validate(authSchemas.twoFactorCode), async (req, res) => {
+  try {
+    const result = await twoFactorService.enable(req.user._id, req.body?.code);
+    await recordAuditEvent(AUDIT_EVENTS.TWO_FACTOR_ENABLED, { req, subjectUserId: req.user._id });
+    res.json(result);
+  } catch (err) {
+    sendTwoFactorError(res, err, '2FA enable error:');
+  }
+});
+
+// POST /api/auth/2fa/disable - { code } or { recoveryCode }; refused for roles that require 2FA
+router.post('/auth/2fa/disable', validate(authSchemas.twoFactorDisable), async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    await twoFactorService.disable(req.user._id, { code, recoveryCode });
+    await recordAuditEvent(AUDIT_EVENTS.TWO_FACTOR_DISABLED, { req, subjectUserId: req.user._id });
+    res.json({ success: true });
+  } catch (err) {
+    sendTwoFactorError(res, err, '2FA disable error:');
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes, requires a current { code }
+router.post('/auth/2fa/recovery-codes', validate(authSchemas.twoFactorCode), async (req, res) => {
+  try {
+    res.json(await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body?.code));
+  } catch (err) {
+    sendTwoFactorError(res, err, '2FA recovery codes error:');
+  }
+});
+
+// GET /api/auth/permissions?projectId= - What the current user may do (and why not), per action
+router.get('/auth/permissions', async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const permissions = await listPermissions(req.user, { projectId });
+    res.json({ role: req.user.role, projectId: projectId || null, permissions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/forgot-password
+router.post('/forgot-password', rateLimit('forgotPassword'), validate(authSchemas.forgotPassword), async (req, res) => {
+  try {
+    const { email } = req.body;
+    console.log(`[FORGOT-PASSWORD] Request received for email: ${email}`);
+    if (!email) return res.status(400).json({ message: 'Email address is required.' });
+
+    // Wrap DB lookup in timeout to protect against Atlas connection issues
+    const user = await Promise.race([
+      User.findOne({ email }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('DB_TIMEOUT')), 5000))
+    ]).catch(err => {
+      if (err.message === 'DB_TIMEOUT') {
+        console.warn('[forgot-password] DB lookup timed out, returning success anyway');
+        return null; // treat as user not found
+      }
+      throw err;
+    });
+
+    if (!user) {
+      console.log(`[FORGOT-PASSWORD] User NOT FOUND in database for email: ${email}`);
+      // Return 200 to prevent email enumeration (also covers DB timeout)
+      return res.status(200).json({ message: 'Password reset link has been sent to your email.' });
+    }
+
+    console.log(`[FORGOT-PASSWORD] User found: ${user._id}`);
+
+    const { randomBytes } = require('crypto');
+    const token = randomBytes(32).toString('hex');
+
+    user.resetPasswordToken = token;
+    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+    await user.save();
+
+    const frontendUrl = process.env.FRONTEND_URL || process.env.CLIENT_URL || req.headers.origin || 'http://localhost:3000';
+    const resetLink = `${frontendUrl}/reset-password?token=${token}`;
+
+    const { sendPasswordResetEmail } = require('../services/emailService');
+    await sendPasswordResetEmail(user.email, resetLink);
+
+    res.status(200).json({ message: 'Password reset link has been sent to your email.' });
+  } catch (err) {
+    console.error('Forgot password error:', err.message);
+    res.status(500).json({ message: 'A server error occurred.' });
+  }
+});
+
+// POST /api/reset-password
+router.post('/reset-password', rateLimit('resetPassword'), validate(authSchemas.resetPassword), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required.' });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: token,
+      resetPasswordExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token.' });
+    }
+
+    user.password = await hashPassword(newPassword);
+    user.passwordMigratedAt = user.passwordMigratedAt || new Date();
+    user.legacyPasswordFlagged = false;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+    await revokeUserSessions(user._id);
+    await recordAuditEvent(AUDIT_EVENTS.PASSWORD_RESET, { req, actor: user, subjectUserId: user._id, details: { via: 'email-link' } });
+
+    res.status(200).json({ message: 'Your password has been successfully updated.' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ message: 'A server error occurred.' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const {
+  assertRoleCardinality,
   createAssignment,
   saveDraftResponse,
   submitResponse,
   computeScores,
-  getHotspotQuestions
+  getHotspotQuestions,
+  mergeResponseAnswers
 } = require('../services/evaluationService');
 const {
   projectLevelScoresByPrinciple,
@@ -14,68 +17,814 @@ const {
   expertCompletionStatus
 } = require('../services/aggregationPipelines');
 const Response = require('../models/response');
-const ProjectAssignment = require('../models/projectAssignment');
 const Question = require('../models/question');
 const Questionnaire = require('../models/questionnaire');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Evaluation = require('../models/Evaluation');
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId, resolveSubjectUserId } = require('../middleware/auth');
+const { authorize, projectFrom } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const evaluationSchemas = require('./schemas/evaluationSchemas');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditLogService');
+const { requestScoreRecompute } = require('../services/scoreRecomputeQueue');
+const {
+  createDraftQuestion,
+  updateDraftQuestion,
+  deleteDraftQuestion,
+  getEditableQuestions,
+  publishDraft,
+  discardDraft,
+  listVersions,
+  getVersion,
+  diffVersions,
+  loadAnsweredQuestions
+} = require('../services/questionnaireVersionService');
+const {
+  exportBundle,
+  serializeBundle,
+  parseBundle,
+  importBundle
+} = require('../services/questionnaireBundleService');
+const { getQuestionCatalogue, getAssignmentCatalogue } = require('../services/questionCatalogueService');
+const { getQuestionnaireTranslations, getTranslationOverview } = require('../services/translationService');
 
 // Cache for questions (similar to use-case-questions)
 const questionsCache = new Map(); // Map<questionnaireKey-role, {data, time}>
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
-/**
- * Create or update assignment
- * POST /api/evaluations/assignments
- */
-router.post('/assignments', async (req, res) => {
+// Drop the cached questions of one questionnaire (all roles)
+const clearQuestionnaireCache = (questionnaireKey) => {
+  for (const key of [...questionsCache.keys()]) {
+    if (key.startsWith(`${questionnaireKey}-`)) questionsCache.delete(key);
+  }
+};
+
+// Evaluations (Legacy endpoint - also saves to new responses collection)
+router.post('/', validate(evaluationSchemas.save), authorize('evaluation.submit', { project: projectFrom.body() }), async (req, res) => {
   try {
-    const { projectId, userId, role, questionnaires, actorId, actorRole } = req.body;
+    const { projectId, stage, answers, questionPriorities, riskScores, riskLevel, generalRisks, status } = req.body;
+    const userId = getActorId(req);
 
-    // PHASE 4/5: Role Cardinality Guard
-    if (role === 'ethical-expert') {
-      const { ETHICAL_EXPERT_CARDINALITY } = require('../config/roles.config');
-      const mongoose = require('mongoose');
+    // Convert IDs to ObjectId if needed
+    const projectIdObj = isValidObjectId(projectId)
+      ? new mongoose.Types.ObjectId(projectId)
+      : projectId;
+    const userIdObj = isValidObjectId(userId)
+      ? new mongoose.Types.ObjectId(userId)
+      : userId;
 
-      console.log(`🔒 [PHASE 4/5] Checking ethical-expert cardinality for project ${projectId}...`);
+    // Save to old Evaluation collection (for backward compatibility)
+    // IMPORTANT: Use $set to avoid wiping fields like customQuestions on subsequent saves
+    const evaluation = await Evaluation.findOneAndUpdate(
+      { projectId: projectIdObj, userId: userIdObj, stage },
+      {
+        $setOnInsert: {
+          projectId: projectIdObj,
+          userId: userIdObj,
+          stage
+        },
+        $set: {
+          answers: answers || {},
+          questionPriorities: questionPriorities || {},
+          riskLevel: riskLevel || 'medium',
+          generalRisks: generalRisks || [],
+          status: status || 'draft',
+          updatedAt: new Date()
+        }
+      },
+      { new: true, upsert: true }
+    );
 
-      const projectIdObj = mongoose.Types.ObjectId(projectId);
-      const existingCount = await ProjectAssignment.countDocuments({
-        projectId: projectIdObj,
-        role: 'ethical-expert'
-      });
+    // Also try to save to new responses collection (non-blocking)
+    console.log(`📥 /api/evaluations called: stage=${stage}, answers keys=${answers ? Object.keys(answers).length : 0}, answers=${JSON.stringify(answers ? Object.keys(answers).slice(0, 5) : [])}`);
+    // Save answers regardless of stage - they might be from assess or set-up
+    if (answers && Object.keys(answers).length > 0) {
+      console.log(`✅ Answers exist (${Object.keys(answers).length} keys), proceeding to save...`);
+      try {
+        const Response = require('../models/response');
+        const ProjectAssignment = require('../models/projectAssignment');
+        const Question = require('../models/question');
+        const Questionnaire = require('../models/questionnaire');
 
-      console.log(`📊 [PHASE 4/5] Current ethical-expert count: ${existingCount}`);
-      console.log(`📏 [PHASE 4/5] Maximum allowed: ${ETHICAL_EXPERT_CARDINALITY.max}`);
-
-      if (existingCount >= ETHICAL_EXPERT_CARDINALITY.max) {
-        console.log(`❌ [PHASE 4/5] BLOCKED: Cannot assign duplicate ethical-expert`);
-
-        return res.status(400).json({
-          success: false,
-          error: 'ROLE_CARDINALITY_EXCEEDED',
-          message: `Only ${ETHICAL_EXPERT_CARDINALITY.max} ethical-expert allowed per project (Ethical AI Analysis methodology requirement)`,
-          details: {
-            role: 'ethical-expert',
-            currentCount: existingCount,
-            maxAllowed: ETHICAL_EXPERT_CARDINALITY.max,
-            projectId: projectId
-          },
-          action: 'Remove existing ethical-expert before assigning a new one, or assign a different role'
+        // Get user role
+        const user = await User.findById(userIdObj);
+        const role = user?.role || 'unknown';
+
+        // Determine role-specific questionnaire key
+        let roleQuestionnaireKey = 'general-v1';
+        if (role === 'ethical-expert') roleQuestionnaireKey = 'ethical-expert-v1';
+        else if (role === 'medical-expert') roleQuestionnaireKey = 'medical-expert-v1';
+        else if (role === 'technical-expert') roleQuestionnaireKey = 'technical-expert-v1';
+        else if (role === 'legal-expert') roleQuestionnaireKey = 'legal-expert-v1';
+        else if (role === 'education-expert') roleQuestionnaireKey = 'education-expert-v1';
+
+        // Create or get assignment
+        let assignment = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj });
+        if (!assignment) {
+          const { createAssignment } = require('../services/evaluationService');
+          const questionnaires = role !== 'any' && roleQuestionnaireKey !== 'general-v1'
+            ? ['general-v1', roleQuestionnaireKey]
+            : ['general-v1'];
+          assignment = await createAssignment(projectIdObj, userIdObj, role, questionnaires);
+        }
+
+        // Get all questions to determine which questionnaire they belong to
+        const allGeneralQuestions = await Question.find({ questionnaireKey: 'general-v1' }).select('code _id').lean();
+        const generalCodes = new Set(allGeneralQuestions.map(q => q.code).filter(Boolean));
+        const generalIds = new Set(allGeneralQuestions.map(q => q._id.toString()));
+        // Create a map from any possible key format to question
+        const generalQuestionMap = new Map();
+        allGeneralQuestions.forEach(q => {
+          if (q.code) generalQuestionMap.set(q.code, q);
+          generalQuestionMap.set(q._id.toString(), q);
+          if (q._id) generalQuestionMap.set(String(q._id), q);
+        });
+
+        const allRoleQuestions = roleQuestionnaireKey !== 'general-v1'
+          ? await Question.find({ questionnaireKey: roleQuestionnaireKey }).select('code _id').lean()
+          : [];
+        const roleCodes = new Set(allRoleQuestions.map(q => q.code).filter(Boolean));
+        const roleIds = new Set(allRoleQuestions.map(q => q._id.toString()));
+        // Create a map from any possible key format to question
+        const roleQuestionMap = new Map();
+        allRoleQuestions.forEach(q => {
+          if (q.code) roleQuestionMap.set(q.code, q);
+          roleQuestionMap.set(q._id.toString(), q);
+          if (q._id) roleQuestionMap.set(String(q._id), q);
+        });
+
+        // Separate answers by questionnaire
+        // Use Maps to track processed questions by code to avoid duplicates
+        const generalAnswersMap = {};
+        const roleSpecificAnswersMap = {};
+        const processedQuestionCodes = new Set(); // Track processed questions to avoid duplicates
+
+        console.log(`📝 Processing ${Object.keys(answers).length} answers for project ${projectId}, user ${userId}, role ${role}`);
+        console.log(`📝 Answer keys (first 20): ${Object.keys(answers).slice(0, 20).join(', ')}${Object.keys(answers).length > 20 ? '...' : ''}`);
+        console.log(`📝 General codes count: ${generalCodes.size}, Role codes count: ${roleCodes.size}`);
+        console.log(`📝 Sample general codes: ${Array.from(generalCodes).slice(0, 5).join(', ')}`);
+        console.log(`📝 Sample role codes: ${Array.from(roleCodes).slice(0, 5).join(', ')}`);
+
+        for (const [questionKey, answerValue] of Object.entries(answers)) {
+          console.log(`🔍 Processing answer key: "${questionKey}", value: ${typeof answerValue === 'string' ? answerValue.substring(0, 30) : answerValue}`);
+
+          // Try to find question using the map first (faster)
+          let question = generalQuestionMap.get(questionKey) || roleQuestionMap.get(questionKey);
+
+          // If not found in map, try database lookup with multiple formats
+          if (!question) {
+            // Try as ObjectId first
+            let query = { $or: [] };
+            if (isValidObjectId(questionKey)) {
+              query.$or.push({ _id: new mongoose.Types.ObjectId(questionKey) });
+            }
+            query.$or.push({ _id: questionKey });
+            query.$or.push({ code: questionKey });
+
+            question = await Question.findOne(query).lean();
+
+            if (question) {
+              console.log(`🔍 Found question via DB lookup: "${questionKey}" -> code: "${question.code}", questionnaire: "${question.questionnaireKey}"`);
+            } else {
+              console.warn(`⚠️ Question not found in DB for key: "${questionKey}"`);
+            }
+          }
+
+          if (question) {
+            const questionCode = question.code; // Use code as the canonical identifier
+
+            // Skip if we've already processed this question code (avoid duplicates from ObjectId + code keys)
+            if (processedQuestionCodes.has(questionCode)) {
+              console.log(`⏭️ Skipping duplicate answer for question code "${questionCode}" (already processed)`);
+              continue;
+            }
+            processedQuestionCodes.add(questionCode);
+
+            console.log(`✅ Found question "${questionKey}" -> code: "${questionCode}", questionnaire: "${question.questionnaireKey}", role: ${role}, expected roleQuestionnaireKey: ${roleQuestionnaireKey}`);
+
+            if (question.questionnaireKey === 'general-v1') {
+              // Use questionCode as key for consistency
+              generalAnswersMap[questionCode] = answerValue;
+              console.log(`✅ Added to generalAnswersMap: "${questionCode}" = ${typeof answerValue === 'string' ? answerValue.substring(0, 30) : answerValue}`);
+            } else if (question.questionnaireKey === roleQuestionnaireKey) {
+              // Use questionCode as key for consistency
+              roleSpecificAnswersMap[questionCode] = answerValue;
+              console.log(`✅ Added to roleSpecificAnswersMap: "${questionCode}" = ${typeof answerValue === 'string' ? answerValue.substring(0, 30) : answerValue}`);
+              console.log(`📊 roleSpecificAnswersMap now has ${Object.keys(roleSpecificAnswersMap).length} answers: ${Object.keys(roleSpecificAnswersMap).slice(0, 10).join(', ')}${Object.keys(roleSpecificAnswersMap).length > 10 ? '...' : ''}`);
+            } else {
+              console.warn(`⚠️ Question "${questionKey}" (code: "${questionCode}") belongs to "${question.questionnaireKey}", not expected questionnaire (general-v1 or ${roleQuestionnaireKey})`);
+              console.warn(`⚠️ This answer will NOT be saved to Response collection!`);
+              // Still try to save to the correct questionnaire if it exists
+              if (question.questionnaireKey && question.questionnaireKey !== 'general-v1') {
+                console.log(`🔄 Attempting to save to correct questionnaire: ${question.questionnaireKey}`);
+                // Try to add to roleSpecificAnswersMap anyway if it's a role-specific questionnaire
+                if (question.questionnaireKey.includes('-expert-v1')) {
+                  console.log(`🔄 Adding to roleSpecificAnswersMap anyway for questionnaire: ${question.questionnaireKey}`);
+                  roleSpecificAnswersMap[questionCode] = answerValue;
+                }
+              }
+            }
+          } else {
+            // Fallback: check if it matches codes directly
+            if (generalCodes.has(questionKey)) {
+              // Skip if already processed
+              if (processedQuestionCodes.has(questionKey)) {
+                console.log(`⏭️ Skipping duplicate answer for question code "${questionKey}" (already processed)`);
+                continue;
+              }
+              processedQuestionCodes.add(questionKey);
+              console.log(`📌 Question "${questionKey}" matched general codes directly, adding to generalAnswersMap`);
+              generalAnswersMap[questionKey] = answerValue;
+            } else if (roleCodes.has(questionKey)) {
+              // Skip if already processed
+              if (processedQuestionCodes.has(questionKey)) {
+                console.log(`⏭️ Skipping duplicate answer for question code "${questionKey}" (already processed)`);
+                continue;
+              }
+              processedQuestionCodes.add(questionKey);
+              console.log(`📌 Question "${questionKey}" matched role codes directly, adding to roleSpecificAnswersMap`);
+              roleSpecificAnswersMap[questionKey] = answerValue;
+            } else {
+              console.warn(`⚠️ Question "${questionKey}" not found in DB and doesn't match any questionnaire codes`);
+              console.warn(`⚠️ Available general codes (first 10): ${Array.from(generalCodes).slice(0, 10).join(', ')}`);
+              console.warn(`⚠️ Available role codes (first 10): ${Array.from(roleCodes).slice(0, 10).join(', ')}`);
+              console.warn(`⚠️ This answer will NOT be saved to Response collection!`);
+            }
+          }
+        }
+
+        console.log(`📊 Separated answers: ${Object.keys(generalAnswersMap).length} general, ${Object.keys(roleSpecificAnswersMap).length} role-specific`);
+        console.log(`📊 General answer codes: ${Object.keys(generalAnswersMap).slice(0, 10).join(', ')}${Object.keys(generalAnswersMap).length > 10 ? '...' : ''}`);
+        console.log(`📊 Role-specific answer codes: ${Object.keys(roleSpecificAnswersMap).slice(0, 10).join(', ')}${Object.keys(roleSpecificAnswersMap).length > 10 ? '...' : ''}`);
+        console.log(`📊 Role: ${role}, roleQuestionnaireKey: ${roleQuestionnaireKey}`);
+
+        // Prepare response saving tasks (parallel execution)
+        const saveTasks = [];
+        const { ensureAllQuestionsPresent, validateSubmission } = require('../services/evaluationService');
+
+        // Save general-v1 responses
+        if (Object.keys(generalAnswersMap).length > 0 || Object.keys(answers).length > 0) {
+          saveTasks.push(async () => {
+            try {
+              const generalQuestionnaire = await Questionnaire.findOne({ key: 'general-v1', isActive: true });
+              if (!generalQuestionnaire) {
+                console.warn('⚠️ general-v1 questionnaire not found');
+                return;
+              }
+
+              console.log(`🔄 Ensuring all questions present for general-v1...`);
+              await ensureAllQuestionsPresent(projectIdObj, userIdObj, 'general-v1');
+              console.log(`✅ All questions ensured for general-v1`);
+
+              const generalResponseAnswers = [];
+              const generalQuestions = await Question.find({ questionnaireKey: 'general-v1' })
+                .select('_id code answerType options')
+                .lean();
+
+              for (const [questionKey, answerValue] of Object.entries(generalAnswersMap)) {
+                // questionKey is now questionCode (from the map above)
+                let question = generalQuestions.find(q =>
+                  q.code === questionKey
+                );
+
+                if (!question) {
+                  // Try to find by code
+                  question = await Question.findOne({
+                    $or: [
+                      { code: questionKey },
+                      { questionnaireKey: 'general-v1', code: questionKey }
+                    ]
+                  }).lean();
+                }
+
+                if (!question) {
+                  console.warn(`⚠️ General question with code ${questionKey} not found in database, skipping`);
+                  continue;
+                }
+
+                const questionCode = question.code; // Use code as canonical identifier
+                console.log(`💾 Saving general answer: questionCode=${questionCode}, answerValue=${typeof answerValue === 'string' ? answerValue.substring(0, 50) : answerValue}`);
+
+                // Get risk score from riskScores if available, otherwise use priority
+                // Try multiple key formats: questionCode, questionKey, question._id, question.id
+                let score = 2; // Default
+                let severitySource = 'default';
+                if (riskScores) {
+                  const riskScore = riskScores[questionCode] ??
+                    riskScores[questionKey] ??
+                    riskScores[question._id?.toString()] ??
+                    riskScores[String(question._id)] ??
+                    undefined;
+                  if (riskScore !== undefined && (riskScore === 0 || riskScore === 1 || riskScore === 2 || riskScore === 3 || riskScore === 4)) {
+                    score = riskScore;
+                    severitySource = 'expert_provided';
+                    console.log(`📊 Using risk score ${score} for question ${questionCode} from riskScores`);
+                  }
+                }
+                if (score === 2 && questionPriorities) {
+                  const priority = questionPriorities[questionCode] ??
+                    questionPriorities[questionKey] ??
+                    questionPriorities[question._id?.toString()] ??
+                    questionPriorities[String(question._id)] ??
+                    undefined;
+                  if (priority) {
+                    if (priority === 'low') score = 3;
+                    else if (priority === 'medium') score = 2;
+                    else if (priority === 'high') score = 1;
+                    severitySource = 'expert_provided';
+                    console.log(`📊 Using priority ${priority} (score ${score}) for question ${questionCode}`);
+                  }
+                }
+
+                // Normalization for MCQ objects
+                let normalizedValue = answerValue;
+                if (answerValue && typeof answerValue === 'object' && !Array.isArray(answerValue)) {
+                  if (answerValue.choiceKey) normalizedValue = answerValue.choiceKey;
+                  else if (answerValue.text) normalizedValue = answerValue.text;
+                }
+
+                // Format answer
+                let answerFormat = {};
+                if (question.answerType === 'single_choice') {
+                  const option = question.options?.find(opt =>
+                    opt.label?.en === normalizedValue || opt.label?.tr === normalizedValue || opt.key === normalizedValue
+                  );
+                  answerFormat.choiceKey = option ? option.key : normalizedValue;
+                  if (option?.score !== undefined) {
+                    score = option.score;
+                    severitySource = 'option_score';
+                  }
+                } else if (question.answerType === 'open_text') {
+                  answerFormat.text = normalizedValue;
+                } else if (question.answerType === 'multi_choice') {
+                  const rawArray = Array.isArray(normalizedValue) ? normalizedValue : [normalizedValue];
+                  answerFormat.multiChoiceKeys = rawArray.map(v =>
+                    (v && typeof v === 'object' && v.choiceKey) ? v.choiceKey : v
+                  );
+                }
+
+                // Calculate answerSeverity from score (4-score)/4
+                let severity = null;
+                if (typeof score === 'number') {
+                  severity = (4 - score) / 4;
+                  // Clamp to 0-1 just in case
+                  severity = Math.max(0, Math.min(1, severity));
+                }
+
+                generalResponseAnswers.push({
+                  questionId: question._id,
+                  questionCode: questionCode, // Use the canonical code
+                  answer: answerFormat,
+                  score: score,
+                  answerSeverity: severity, // SAVE SEVERITY
+                  severitySource: severity === null ? null : severitySource,
+                  notes: null,
+                  evidence: []
+                });
+              }
+
+              if (generalResponseAnswers.length > 0) {
+                const existingResponse = await Response.findOne({
+                  projectId: projectIdObj,
+                  userId: userIdObj,
+                  questionnaireKey: 'general-v1'
+                });
+
+                if (existingResponse) {
+                  mergeResponseAnswers(existingResponse, generalResponseAnswers, generalQuestionnaire.version);
+                  existingResponse.status = status === 'completed' ? 'submitted' : 'draft';
+                  existingResponse.submittedAt = status === 'completed' ? new Date() : null;
+                  existingResponse.updatedAt = new Date();
+                  await existingResponse.save();
+                  console.log(`✅ Updated general-v1 response with ${generalResponseAnswers.length} answered questions`);
+                } else {
+                  await Response.create({
+                    projectId: projectIdObj,
+                    assignmentId: assignment._id,
+                    userId: userIdObj,
+                    role: role,
+                    questionnaireKey: 'general-v1',
+                    questionnaireVersion: generalQuestionnaire.version,
+                    answers: generalResponseAnswers,
+                    status: status === 'completed' ? 'submitted' : 'draft',
+                    submittedAt: status === 'completed' ? new Date() : null,
+                    updatedAt: new Date()
+                  });
+                  console.log(`✅ Created general-v1 response with ${generalResponseAnswers.length} answered questions`);
+                }
+              } else {
+                console.warn(`⚠️ No general answers to save (generalResponseAnswers.length = ${generalResponseAnswers.length})`);
+              }
+            } catch (error) {
+              console.error(`❌ Error saving general-v1 responses:`, error);
+              console.error(`❌ Error stack:`, error.stack);
+              throw error; // Re-throw to be caught by outer try-catch
+            }
+          });
+        }
+
+        // Save role-specific responses
+        console.log(`🔍 Checking role-specific responses: roleQuestionnaireKey=${roleQuestionnaireKey}, roleSpecificAnswersMap.length=${Object.keys(roleSpecificAnswersMap).length}`);
+        console.log(`🔍 roleSpecificAnswersMap keys: ${Object.keys(roleSpecificAnswersMap).slice(0, 20).join(', ')}${Object.keys(roleSpecificAnswersMap).length > 20 ? '...' : ''}`);
+        if (roleQuestionnaireKey !== 'general-v1' && Object.keys(roleSpecificAnswersMap).length > 0) {
+          console.log(`✅ Saving ${Object.keys(roleSpecificAnswersMap).length} role-specific responses to ${roleQuestionnaireKey}...`);
+          saveTasks.push(async () => {
+            try {
+              const roleQuestionnaire = await Questionnaire.findOne({ key: roleQuestionnaireKey, isActive: true });
+              if (!roleQuestionnaire) {
+                // Create if doesn't exist
+                await Questionnaire.create({
+                  key: roleQuestionnaireKey,
+                  title: `${role} Questions v1`,
+                  language: 'en-tr',
+                  version: 1,
+                  isActive: true
+                });
+                console.log(`✅ Created questionnaire: ${roleQuestionnaireKey}`);
+              }
+
+              console.log(`🔄 Ensuring all questions present for ${roleQuestionnaireKey}...`);
+              await ensureAllQuestionsPresent(projectIdObj, userIdObj, roleQuestionnaireKey);
+              console.log(`✅ All questions ensured for ${roleQuestionnaireKey}`);
+
+              const roleResponseAnswers = [];
+              const roleQuestions = await Question.find({ questionnaireKey: roleQuestionnaireKey })
+                .select('_id code answerType options')
+                .lean();
+
+              for (const [questionKey, answerValue] of Object.entries(roleSpecificAnswersMap)) {
+                // questionKey is now questionCode (from the map above)
+                let question = roleQuestions.find(q =>
+                  q.code === questionKey
+                );
+
+                if (!question) {
+                  question = await Question.findOne({
+                    $or: [
+                      { code: questionKey },
+                      { questionnaireKey: roleQuestionnaireKey, code: questionKey }
+                    ]
+                  }).lean();
+                }
+
+                if (!question) {
+                  console.warn(`⚠️ Role-specific question with code ${questionKey} not found in database, skipping`);
+                  continue;
+                }
+
+                const questionCode = question.code; // Use code as canonical identifier
+                console.log(`💾 Saving role-specific answer: questionCode=${questionCode}, answerValue=${typeof answerValue === 'string' ? answerValue.substring(0, 50) : answerValue}`);
+
+                // Get risk score from riskScores if available, otherwise use priority
+                // Try multiple key formats: questionCode, questionKey, question._id, question.id
+                let score = 2; // Default
+                let severitySource = 'default';
+                if (riskScores) {
+                  const riskScore = riskScores[questionCode] ??
+                    riskScores[questionKey] ??
+                    riskScores[question._id?.toString()] ??
+                    riskScores[String(question._id)] ??
+                    undefined;
+                  if (riskScore !== undefined && (riskScore === 0 || riskScore === 1 || riskScore === 2 || riskScore === 3 || riskScore === 4)) {
+                    score = riskScore;
+                    severitySource = 'expert_provided';
+                    console.log(`📊 Using risk score ${score} for question ${questionCode} from riskScores`);
+                  }
+                }
+                if (score === 2 && questionPriorities) {
+                  const priority = questionPriorities[questionCode] ??
+                    questionPriorities[questionKey] ??
+                    questionPriorities[question._id?.toString()] ??
+                    questionPriorities[String(question._id)] ??
+                    undefined;
+                  if (priority) {
+                    if (priority === 'low') score = 3;
+                    else if (priority === 'medium') score = 2;
+                    else if (priority === 'high') score = 1;
+                    severitySource = 'expert_provided';
+                    console.log(`📊 Using priority ${priority} (score ${score}) for question ${questionCode}`);
+                  }
+                }
+
+                // Normalization for MCQ objects
+                let normalizedValue = answerValue;
+                if (answerValue && typeof answerValue === 'object' && !Array.isArray(answerValue)) {
+                  if (answerValue.choiceKey) normalizedValue = answerValue.choiceKey;
+                  else if (answerValue.text) normalizedValue = answerValue.text;
+                }
+
+                // Format answer
+                let answerFormat = {};
+                if (question.answerType === 'single_choice') {
+                  const option = question.options?.find(opt =>
+                    opt.label?.en === normalizedValue || opt.label?.tr === normalizedValue || opt.key === normalizedValue
+                  );
+                  answerFormat.choiceKey = option ? option.key : normalizedValue;
+                  if (option?.score !== undefined) {
+                    score = option.score;
+                    severitySource = 'option_score';
+                  }
+                } else if (question.answerType === 'open_text') {
+                  answerFormat.text = normalizedValue;
+                } else if (question.answerType === 'multi_choice') {
+                  const rawArray = Array.isArray(normalizedValue) ? normalizedValue : [normalizedValue];
+                  answerFormat.multiChoiceKeys = rawArray.map(v =>
+                    (v && typeof v === 'object' && v.choiceKey) ? v.choiceKey : v
+                  );
+                }
+
+                // Calculate answerSeverity from score (4-score)/4
+                let severity = null;
+                if (typeof score === 'number') {
+                  severity = (4 - score) / 4;
+                  // Clamp to 0-1 just in case
+                  severity = Math.max(0, Math.min(1, severity));
+                }
+
+                roleResponseAnswers.push({
+                  questionId: question._id,
+                  questionCode: question.code,
+                  answer: answerFormat,
+                  score: score,
+                  answerSeverity: severity, // SAVE SEVERITY
+                  severitySource: severity === null ? null : severitySource,
+                  notes: null,
+                  evidence: []
+                });
+              }
+
+              if (roleResponseAnswers.length > 0) {
+                console.log(`💾 Saving ${roleResponseAnswers.length} role-specific answers to ${roleQuestionnaireKey} response...`);
+                const existingResponse = await Response.findOne({
+                  projectId: projectIdObj,
+                  userId: userIdObj,
+                  questionnaireKey: roleQuestionnaireKey
+                });
+                const finalRoleQuestionnaire = await Questionnaire.findOne({ key: roleQuestionnaireKey, isActive: true });
+
+                if (existingResponse) {
+                  console.log(`📝 Found existing response for ${roleQuestionnaireKey}, updating...`);
+                  console.log(`📝 Existing response has ${existingResponse.answers.length} answers, adding/updating ${roleResponseAnswers.length} answers`);
+                  const addedCount = mergeResponseAnswers(existingResponse, roleResponseAnswers, finalRoleQuestionnaire?.version);
+                  console.log(`📝 Added ${addedCount} new answers, updated ${roleResponseAnswers.length - addedCount} existing answers`);
+
+                  existingResponse.status = status === 'completed' ? 'submitted' : 'draft';
+                  existingResponse.submittedAt = status === 'completed' ? new Date() : null;
+                  existingResponse.updatedAt = new Date();
+                  await existingResponse.save();
+                  console.log(`✅ Updated ${roleQuestionnaireKey} response with ${existingResponse.answers.length} total answered questions (${roleResponseAnswers.length} in this batch)`);
+                } else {
+                  console.log(`📝 No existing response found for ${roleQuestionnaireKey}, creating new one...`);
+                  const newResponse = await Response.create({
+                    projectId: projectIdObj,
+                    assignmentId: assignment._id,
+                    userId: userIdObj,
+                    role: role,
+                    questionnaireKey: roleQuestionnaireKey,
+                    questionnaireVersion: finalRoleQuestionnaire?.version || 1,
+                    answers: roleResponseAnswers,
+                    status: status === 'completed' ? 'submitted' : 'draft',
+                    submittedAt: status === 'completed' ? new Date() : null,
+                    updatedAt: new Date()
+                  });
+                  console.log(`✅ Created ${roleQuestionnaireKey} response with ID ${newResponse._id} and ${roleResponseAnswers.length} answered questions`);
+                }
+              } else {
+                console.warn(`⚠️ No role-specific answers to save (roleResponseAnswers.length = ${roleResponseAnswers.length})`);
+                console.warn(`⚠️ roleSpecificAnswersMap had ${Object.keys(roleSpecificAnswersMap).length} keys but no answers were processed`);
+              }
+            } catch (error) {
+              console.error(`❌ Error saving ${roleQuestionnaireKey} responses:`, error);
+              console.error(`❌ Error stack:`, error.stack);
+              throw error; // Re-throw to be caught by outer try-catch
+            }
+          });
+        }
+
+        // Execute all save tasks in parallel
+        if (saveTasks.length > 0) {
+          console.log(`🚀 Executing ${saveTasks.length} save task(s) to Response collection...`);
+          try {
+            await Promise.all(saveTasks.map(task => task()));
+            console.log(`✅ All responses saved successfully to Response collection`);
+
+            // Rescore the saved questionnaires once the user stops saving
+            const reason = status === 'completed' ? 'response_submitted' : 'draft_saved';
+            for (const questionnaireKey of new Set(['general-v1', roleQuestionnaireKey])) {
+              await requestScoreRecompute({ projectId: projectIdObj, userId: userIdObj, questionnaireKey, reason });
+            }
+          } catch (saveError) {
+            console.error(`❌ Error in save tasks:`, saveError);
+            console.error(`❌ Save error stack:`, saveError.stack);
+            // Re-throw to be caught by outer catch and return error to frontend
+            throw saveError;
+          }
+        } else {
+          console.warn(`⚠️ No save tasks to execute! generalAnswersMap: ${Object.keys(generalAnswersMap).length}, roleSpecificAnswersMap: ${Object.keys(roleSpecificAnswersMap).length}, answers: ${Object.keys(answers).length}`);
+          console.warn(`⚠️ This means answers were NOT saved to Response collection!`);
+          // Check if answers are only custom questions (which are saved to Evaluation collection, not Response)
+          const customAnswerKeys = Object.keys(answers).filter(key => String(key).startsWith('custom_'));
+          const nonCustomAnswers = Object.keys(answers).filter(key => !String(key).startsWith('custom_'));
+
+          if (nonCustomAnswers.length > 0) {
+            // We have non-custom answers but no save tasks - this is a problem
+            console.error(`❌ CRITICAL: ${nonCustomAnswers.length} non-custom answer(s) exist but no save tasks were created!`);
+            console.error(`❌ Non-custom answer keys (first 10): ${nonCustomAnswers.slice(0, 10).join(', ')}`);
+            console.error(`❌ This means answers could not be matched to questions. Check question codes/IDs.`);
+            throw new Error(`Failed to save answers: Could not match ${nonCustomAnswers.length} answer(s) to questions. Please check question codes/IDs.`);
+          } else if (customAnswerKeys.length > 0) {
+            // Only custom questions - these are saved to Evaluation collection, which is fine
+            console.log(`ℹ️ Only custom questions found (${customAnswerKeys.length}), these are saved to Evaluation collection`);
+          }
+        }
+
+        // Validate submissions if completed
+        if (status === 'completed') {
+          try {
+            await validateSubmission(projectIdObj, userIdObj, 'general-v1');
+            if (roleQuestionnaireKey !== 'general-v1') {
+              await validateSubmission(projectIdObj, userIdObj, roleQuestionnaireKey);
+            }
+          } catch (validationError) {
+            console.error(`❌ Validation failed: ${validationError.message}`);
+            // Don't throw - allow save but log warning
+          }
+        }
+      } catch (newSystemError) {
+        // CRITICAL: Don't silently fail - return error to frontend
+        console.error('❌ CRITICAL: Error saving to new responses collection:', newSystemError);
+        console.error('❌ Error stack:', newSystemError.stack);
+        // Return error response to frontend so user knows save failed
+        return res.status(500).json({
+          error: 'Failed to save answers to database',
+          details: newSystemError.message,
+          savedToEvaluation: true // Old system still saved
         });
       }
+    }
+
+    res.json(evaluation);
+  } catch (err) {
+    console.error('❌ Error in /api/evaluations:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/', authorize('evaluation.view', { project: projectFrom.query() }), async (req, res) => {
+  try {
+    const { projectId, stage } = req.query;
+    const userId = resolveSubjectUserId(req, req.query.userId);
+    const evaluation = await Evaluation.findOne({ projectId, userId, stage });
+    res.json(evaluation || { answers: {}, riskLevel: 'medium', customQuestions: [] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add a custom question to an evaluation stage (persist to MongoDB)
+router.post('/custom-questions', validate(evaluationSchemas.customQuestion), authorize('question.custom', { project: projectFrom.body() }), async (req, res) => {
+  try {
+    const { projectId, stage, question } = req.body || {};
+    const userId = getActorId(req);
+    if (!projectId || !userId || !stage) {
+      return res.status(400).json({ error: 'projectId, userId, stage are required' });
+    }
+    if (!question || !question.text || !question.type) {
+      return res.status(400).json({ error: 'question.text and question.type are required' });
+    }
+
+    const projectIdObj = isValidObjectId(projectId)
+      ? new mongoose.Types.ObjectId(projectId)
+      : projectId;
+    const userIdObj = isValidObjectId(userId)
+      ? new mongoose.Types.ObjectId(userId)
+      : userId;
+
+    const id = question.id && typeof question.id === 'string' ? question.id : `custom_${Date.now()}`;
+    const doc = {
+      id,
+      text: String(question.text),
+      description: question.description ? String(question.description) : undefined,
+      type: String(question.type),
+      stage: String(question.stage || stage),
+      principle: question.principle ? String(question.principle) : undefined,
+      required: question.required !== false,
+      options: Array.isArray(question.options) ? question.options.map((o) => String(o)) : [],
+      min: typeof question.min === 'number' ? question.min : undefined,
+      max: typeof question.max === 'number' ? question.max : undefined,
+      createdAt: new Date()
+    };
+
+    await Evaluation.findOneAndUpdate(
+      { projectId: projectIdObj, userId: userIdObj, stage: String(stage) },
+      {
+        $setOnInsert: {
+          projectId: projectIdObj,
+          userId: userIdObj,
+          stage: String(stage),
+          answers: {},
+          questionPriorities: {},
+          riskLevel: 'medium',
+          generalRisks: [],
+          status: 'draft',
+          updatedAt: new Date()
+        },
+        $push: { customQuestions: doc },
+        $set: { updatedAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+
+    // Notify admins about the new custom question
+    try {
+      const { getAllAdmins, createNotifications } = require('../services/notificationService');
+      const user = await User.findById(userIdObj).select('name email role').lean();
+      const project = await Project.findById(projectIdObj).select('title').lean();
+
+      const admins = await getAllAdmins();
+      if (admins.length > 0 && user && project) {
+        const userName = user.name || user.email || 'Expert';
+        const userRole = user.role || 'expert';
+        const projectTitle = project.title || 'Project';
+        const questionText = doc.text.length > 100 ? doc.text.substring(0, 100) + '...' : doc.text;
+
+        const dedupeKey = `custom_question_${projectIdObj}_${userIdObj}_${doc.id}_${Date.now()}`;
+
+        const payload = {
+          projectId: projectIdObj,
+          entityType: 'custom_question',
+          entityId: doc.id,
+          type: 'custom_question_added',
+          title: 'New custom question added',
+          message: `${userRole === 'admin' ? 'Admin' : 'Expert'} "${userName}" added a custom question to project "${projectTitle}" (Stage: ${stage}): "${questionText}"`,
+          actorId: userIdObj,
+          actorRole: userRole,
+          metadata: {
+            questionId: doc.id,
+            questionText: doc.text,
+            stage: stage,
+            questionType: doc.type,
+            principle: doc.principle || null
+          },
+          url: `/admin/projects/${projectIdObj}/evaluations`,
+          dedupeKey
+        };
+
+        await createNotifications(admins.map(a => a._id), payload);
+        console.log(`📬 Custom question notification sent to ${admins.length} admin(s)`);
+      }
+    } catch (notificationError) {
+      // Don't fail the request if notification fails
+      console.error('⚠️ Error sending custom question notification:', notificationError);
+    }
+
+    res.json({ success: true, question: doc });
+  } catch (err) {
+    console.error('❌ Error in /api/evaluations/custom-questions:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Create or update assignment
+ * POST /api/evaluations/assignments
+ */
+router.post('/assignments', validate(evaluationSchemas.assignment), authorize('evaluation.assign', { project: projectFrom.body() }), async (req, res) => {
+  try {
+    const { projectId, userId, role, questionnaires } = req.body;
 
-      console.log(`✅ [PHASE 4/5] Cardinality check PASSED - proceeding with assignment`);
+    // PHASE 4/5: Role Cardinality Guard (also applied when an invitation is accepted)
+    try {
+      await assertRoleCardinality(projectId, role);
+    } catch (cardinalityError) {
+      if (cardinalityError.code !== 'ROLE_CARDINALITY_EXCEEDED') throw cardinalityError;
+      console.log(`❌ [PHASE 4/5] BLOCKED: Cannot assign duplicate ethical-expert`);
+      return res.status(400).json({
+        success: false,
+        error: cardinalityError.code,
+        message: cardinalityError.message,
+        details: cardinalityError.details,
+        action: cardinalityError.action
+      });
     }
 
-    // actorId and actorRole are optional - if not provided, assume it's an admin action
-    // In a real scenario, you'd get this from req.user (authentication middleware)
+    // Actor is whoever holds the session (set by the auth middleware)
     const assignment = await createAssignment(
       projectId,
       userId,
       role,
       questionnaires,
-      actorId || null,
-      actorRole || 'admin'
+      getActorId(req),
+      req.user.role
     );
+    await recordAuditEvent(AUDIT_EVENTS.PROJECT_ASSIGNMENT_CHANGE, {
+      req,
+      projectId,
+      subjectUserId: userId,
+      details: { added: [String(userId)], removed: [], role, questionnaires, via: 'evaluation' }
+    });
     res.json(assignment);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -86,9 +835,10 @@ router.post('/assignments', async (req, res) => {
  * Save draft response
  * POST /api/evaluations/responses/draft
  */
-router.post('/responses/draft', async (req, res) => {
+router.post('/responses/draft', validate(evaluationSchemas.draftResponse), authorize('evaluation.submit', { project: projectFrom.body() }), async (req, res) => {
   try {
-    const { projectId, userId, questionnaireKey, answers } = req.body;
+    const { projectId, questionnaireKey, answers } = req.body;
+    const userId = getActorId(req);
     const response = await saveDraftResponse(projectId, userId, questionnaireKey, answers);
     res.json(response);
   } catch (error) {
@@ -100,9 +850,10 @@ router.post('/responses/draft', async (req, res) => {
  * Submit response
  * POST /api/evaluations/responses/submit
  */
-router.post('/responses/submit', async (req, res) => {
+router.post('/responses/submit', validate(evaluationSchemas.submitResponse), authorize('evaluation.submit', { project: projectFrom.body() }), async (req, res) => {
   try {
-    const { projectId, userId, questionnaireKey } = req.body;
+    const { projectId, questionnaireKey } = req.body;
+    const userId = getActorId(req);
     const response = await submitResponse(projectId, userId, questionnaireKey);
     res.json(response);
   } catch (error) {
@@ -114,9 +865,10 @@ router.post('/responses/submit', async (req, res) => {
  * Get response
  * GET /api/evaluations/responses
  */
-router.get('/responses', async (req, res) => {
+router.get('/responses', authorize('evaluation.view', { project: projectFrom.query() }), async (req, res) => {
   try {
-    const { projectId, userId, questionnaireKey } = req.query;
+    const { projectId, questionnaireKey } = req.query;
+    const userId = resolveSubjectUserId(req, req.query.userId);
 
     if (!projectId || !userId || !questionnaireKey) {
       return res.status(400).json({ error: 'projectId, userId, and questionnaireKey are required' });
@@ -142,9 +894,7 @@ router.get('/responses', async (req, res) => {
       projectId: projectIdObj,
       userId: userIdObj,
       questionnaireKey: questionnaireKey
-    })
-      .populate('answers.questionId', 'code text answerType options')
-      .lean();
+    }).lean();
 
     if (response) {
       console.log(`✅ Found response with ${response.answers?.length || 0} answers`);
@@ -152,6 +902,14 @@ router.get('/responses', async (req, res) => {
       if (!response.answers) {
         response.answers = [];
       }
+      // Show the questions as they were in the version each answer was given on
+      const questionOf = await loadAnsweredQuestions([response]);
+      response.answers.forEach(answer => {
+        const question = questionOf(response, answer);
+        answer.questionId = question
+          ? { _id: question._id, code: question.code, text: question.text, answerType: question.answerType, options: question.options }
+          : null;
+      });
     } else {
       console.log(`⚠️ No response found for projectId=${projectId}, userId=${userId}, questionnaireKey=${questionnaireKey}`);
     }
@@ -167,14 +925,14 @@ router.get('/responses', async (req, res) => {
  * Get questions for a questionnaire
  * GET /api/evaluations/questions
  */
-router.get('/questions', async (req, res) => {
+router.get('/questions', authorize('question.view'), async (req, res) => {
   try {
     const { questionnaireKey, role } = req.query;
     const query = { questionnaireKey };
 
     // Return ALL questions for the questionnaire (no role filtering, no cache to avoid stale data)
     const questions = await Question.find(query)
-      .select('code principle principleLabel text answerType options scoring required order description appliesToRoles') // Added mostly useful fields for UI
+      .select('code principle principleLabel text answerType options scoring required order description appliesToRoles showIf questionnaireKey') // Added mostly useful fields for UI
       .sort({ order: 1 })
       .lean()
       .maxTimeMS(5000); // 5 second timeout for query
@@ -188,100 +946,211 @@ router.get('/questions', async (req, res) => {
 });
 
 /**
- * Add a new question to a questionnaire
- * POST /api/evaluations/questions
+ * Questionnaires each expert role answers, with question counts
+ * GET /api/evaluations/catalogue?role=legal-expert
  */
-router.post('/questions', async (req, res) => {
+router.get('/catalogue', authorize('question.view'), async (req, res) => {
   try {
-    const questionData = req.body;
-
-    // Auto increment order if not provided
-    if (questionData.order === undefined || questionData.order === null) {
-      const highestOrderQ = await Question.findOne({ questionnaireKey: questionData.questionnaireKey })
-        .sort({ order: -1 })
-        .select('order');
-      questionData.order = highestOrderQ ? highestOrderQ.order + 1 : 1;
-    }
-
-    const newQuestion = new Question(questionData);
-    await newQuestion.save();
+    res.json(await getQuestionCatalogue({ role: req.query.role }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-    // Clear cache
-    const keysToDelete = [];
-    for (const key of questionsCache.keys()) {
-      if (key.startsWith(`${questionData.questionnaireKey}-`)) {
-        keysToDelete.push(key);
-      }
+/**
+ * Questionnaires an expert answers on a project, with question counts
+ * (hidden questions left out), as counted by the project progress
+ * GET /api/evaluations/catalogue/assignment?projectId=...&userId=...
+ */
+router.get('/catalogue/assignment', authorize('progress.view', { project: projectFrom.query() }), async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const userId = resolveSubjectUserId(req, req.query.userId);
+    if (!isValidObjectId(projectId) || !isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'projectId and userId are required' });
     }
-    keysToDelete.forEach(key => questionsCache.delete(key));
 
-    res.status(201).json(newQuestion);
+    res.json(await getAssignmentCatalogue(
+      new mongoose.Types.ObjectId(projectId),
+      new mongoose.Types.ObjectId(userId)
+    ));
   } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({ error: 'A question with this code already exists in the selected questionnaire.' });
-    }
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
   }
 });
 
 /**
- * Update an existing question
+ * Add a new question to the questionnaire's draft
+ * POST /api/evaluations/questions
+ */
+router.post('/questions', validate(evaluationSchemas.createQuestion), authorize('question.edit'), async (req, res) => {
+  try {
+    res.status(201).json(await createDraftQuestion(req.body, { userId: getActorId(req) }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+/**
+ * Update a question in its questionnaire's draft (published versions never change)
  * PUT /api/evaluations/questions/:id
  */
-router.put('/questions/:id', async (req, res) => {
+router.put('/questions/:id', validate(evaluationSchemas.updateQuestion), authorize('question.edit'), async (req, res) => {
   try {
-    const updatedQuestion = await Question.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    if (!updatedQuestion) {
-      return res.status(404).json({ error: 'Question not found' });
-    }
+    res.json(await updateDraftQuestion(req.params.id, req.body, { userId: getActorId(req) }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-    // Clear cache
-    const keysToDelete = [];
-    for (const key of questionsCache.keys()) {
-      if (key.startsWith(`${updatedQuestion.questionnaireKey}-`)) {
-        keysToDelete.push(key);
-      }
-    }
-    keysToDelete.forEach(key => questionsCache.delete(key));
+/**
+ * Remove a question from its questionnaire's draft
+ * DELETE /api/evaluations/questions/:id
+ */
+router.delete('/questions/:id', validate(evaluationSchemas.deleteQuestion), authorize('question.edit'), async (req, res) => {
+  try {
+    await deleteDraftQuestion(req.params.id, { userId: getActorId(req) });
+    res.json({ message: 'Question deleted successfully' });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-    res.json(updatedQuestion);
+/**
+ * Questionnaire versions (draft → published → retired), newest first
+ * GET /api/evaluations/questionnaires/:key/versions
+ */
+router.get('/questionnaires/:key/versions', authorize('question.view'), async (req, res) => {
+  try {
+    res.json(await listVersions(req.params.key));
   } catch (error) {
-    if (error.code === 11000) {
-      return res.status(400).json({ error: 'A question with this code already exists in the selected questionnaire.' });
-    }
-    res.status(400).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
   }
 });
 
 /**
- * Delete a question
- * DELETE /api/evaluations/questions/:id
+ * Questions of one questionnaire version
+ * GET /api/evaluations/questionnaires/:key/versions/:version
  */
-router.delete('/questions/:id', async (req, res) => {
+router.get('/questionnaires/:key/versions/:version', authorize('question.view'), async (req, res) => {
   try {
-    const question = await Question.findById(req.params.id);
-    if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
-    }
+    res.json(await getVersion(req.params.key, req.params.version));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+/**
+ * Questions added, removed and changed between two versions
+ * GET /api/evaluations/questionnaires/:key/diff?from=1&to=2
+ */
+router.get('/questionnaires/:key/diff', authorize('question.view'), async (req, res) => {
+  try {
+    res.json(await diffVersions(req.params.key, req.query.from, req.query.to));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-    await Question.findByIdAndDelete(req.params.id);
+/**
+ * How completely each questionnaire is translated, per locale
+ * GET /api/evaluations/questionnaires/translations
+ */
+router.get('/questionnaires/translations', authorize('question.view'), async (req, res) => {
+  try {
+    res.json(await getTranslationOverview());
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-    // Clear cache
-    const keysToDelete = [];
-    for (const key of questionsCache.keys()) {
-      if (key.startsWith(`${question.questionnaireKey}-`)) {
-        keysToDelete.push(key);
-      }
-    }
-    keysToDelete.forEach(key => questionsCache.delete(key));
+/**
+ * Translation completeness of one questionnaire, with the untranslated texts per locale
+ * GET /api/evaluations/questionnaires/:key/translations
+ */
+router.get('/questionnaires/:key/translations', authorize('question.view'), async (req, res) => {
+  try {
+    res.json(await getQuestionnaireTranslations(req.params.key));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-    res.json({ message: 'Question deleted successfully' });
+/**
+ * Questions the editor works on: the draft, else the published questions
+ * GET /api/evaluations/questionnaires/:key/draft
+ */
+router.get('/questionnaires/:key/draft', authorize('question.edit'), async (req, res) => {
+  try {
+    res.json(await getEditableQuestions(req.params.key));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+/**
+ * Discard the draft; the published version stays live
+ * DELETE /api/evaluations/questionnaires/:key/draft
+ */
+router.delete('/questionnaires/:key/draft', validate(evaluationSchemas.discardQuestionnaireDraft), authorize('question.edit'), async (req, res) => {
+  try {
+    res.json(await discardDraft(req.params.key));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+/**
+ * Publish the draft: freezes its questions, makes them live and retires the
+ * previous version. Existing responses keep the version they were answered on.
+ * POST /api/evaluations/questionnaires/:key/publish
+ */
+router.post('/questionnaires/:key/publish', validate(evaluationSchemas.publishQuestionnaire), authorize('question.edit'), async (req, res) => {
+  try {
+    const version = await publishDraft(req.params.key, { publishedBy: getActorId(req), notes: req.body?.notes });
+    clearQuestionnaireCache(req.params.key);
+    res.json(version);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+/**
+ * Download a questionnaire as a bundle file (published questions, or ?version=N)
+ * GET /api/evaluations/questionnaires/:key/export?format=yaml|json&version=N
+ */
+router.get('/questionnaires/:key/export', authorize('question.edit'), async (req, res) => {
+  try {
+    const format = req.query.format || 'yaml';
+    const bundle = await exportBundle(req.params.key, { version: req.query.version });
+    const content = serializeBundle(bundle, format);
+
+    res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'application/yaml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.key}-v${bundle.sourceVersion}.${format}"`);
+    res.send(content);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+/**
+ * Upload a bundle: validated and diffed against the published version, then
+ * (unless dryRun) imported as the questionnaire's draft, optionally published
+ * POST /api/evaluations/questionnaires/import
+ */
+router.post('/questionnaires/import', validate(evaluationSchemas.importQuestionnaire), authorize('question.edit'), async (req, res) => {
+  try {
+    const { content, format, dryRun, publish, notes } = req.body;
+    const result = await importBundle(parseBundle(content, format), {
+      dryRun,
+      publish,
+      notes,
+      userId: getActorId(req)
+    });
+    if (result.status === 'published') clearQuestionnaireCache(result.questionnaire.key);
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message, code: error.code, fields: error.fields });
   }
 });
 
@@ -289,7 +1158,7 @@ router.delete('/questions/:id', async (req, res) => {
  * Clear questions cache (for admin use when questions are updated)
  * POST /api/evaluations/questions/clear-cache
  */
-router.post('/questions/clear-cache', (req, res) => {
+router.post('/questions/clear-cache', validate(evaluationSchemas.clearQuestionCache), authorize('question.edit'), (req, res) => {
   try {
     const { questionnaireKey } = req.body;
 
@@ -318,9 +1187,10 @@ router.post('/questions/clear-cache', (req, res) => {
  * Compute scores
  * POST /api/evaluations/scores/compute
  */
-router.post('/scores/compute', async (req, res) => {
+router.post('/scores/compute', validate(evaluationSchemas.computeScores), authorize('score.compute', { project: projectFrom.body() }), async (req, res) => {
   try {
-    const { projectId, userId, questionnaireKey } = req.body;
+    const { projectId, questionnaireKey } = req.body;
+    const userId = resolveSubjectUserId(req, req.body.userId);
     // Use new ethical scoring system
     const { computeEthicalScores } = require('../services/ethicalScoringService');
     const scores = await computeEthicalScores(projectId, userId, questionnaireKey);
@@ -334,7 +1204,7 @@ router.post('/scores/compute', async (req, res) => {
  * Get project-level scores by principle
  * GET /api/evaluations/scores/project/:projectId
  */
-router.get('/scores/project/:projectId', async (req, res) => {
+router.get('/scores/project/:projectId', authorize('score.view', { project: projectFrom.param() }), async (req, res) => {
   try {
     const { projectId } = req.params;
     const { questionnaireKey } = req.query;
@@ -350,7 +1220,7 @@ router.get('/scores/project/:projectId', async (req, res) => {
  * Get role-level scores by principle
  * GET /api/evaluations/scores/role/:projectId
  */
-router.get('/scores/role/:projectId', async (req, res) => {
+router.get('/scores/role/:projectId', authorize('score.view', { project: projectFrom.param() }), async (req, res) => {
   try {
     const { projectId } = req.params;
     const { questionnaireKey } = req.query;
@@ -366,7 +1236,7 @@ router.get('/scores/role/:projectId', async (req, res) => {
  * Get hotspot questions
  * GET /api/evaluations/hotspots/:projectId
  */
-router.get('/hotspots/:projectId', async (req, res) => {
+router.get('/hotspots/:projectId', authorize('score.view', { project: projectFrom.param() }), async (req, res) => {
   try {
     const { projectId } = req.params;
     const { questionnaireKey, threshold } = req.query;
@@ -381,7 +1251,7 @@ router.get('/hotspots/:projectId', async (req, res) => {
  * Get expert completion status
  * GET /api/evaluations/completion/:projectId
  */
-router.get('/completion/:projectId', async (req, res) => {
+router.get('/completion/:projectId', authorize('score.view', { project: projectFrom.param() }), async (req, res) => {
   try {
     const { projectId } = req.params;
     const pipeline = expertCompletionStatus(projectId);
@@ -0,0 +1,681 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const GeneralQuestionsAnswers = require('../models/GeneralQuestionsAnswers');
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId, resolveSubjectUserId } = require('../middleware/auth');
+const { authorize, projectFrom } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const evaluationSchemas = require('./schemas/evaluationSchemas');
+
+// General Questions Answers - Test endpoint
+router.get('/general-questions/test', authorize('admin.debug'), (req, res) => {
+  res.json({ message: 'General questions endpoint is working!' });
+});
+
+// General Questions Answers
+router.post('/general-questions', validate(evaluationSchemas.generalQuestions), authorize('evaluation.submit', { project: projectFrom.body() }), async (req, res) => {
+  try {
+    const { projectId, answers, risks, principles } = req.body;
+    const userId = getActorId(req);
+    const userRole = req.user.role;
+
+    // Convert string IDs to ObjectId if needed
+    const projectIdObj = isValidObjectId(projectId)
+      ? new mongoose.Types.ObjectId(projectId)
+      : projectId;
+    const userIdObj = isValidObjectId(userId)
+      ? new mongoose.Types.ObjectId(userId)
+      : userId;
+
+    // Organize answers and risks by principle if provided
+    let principlesData = {};
+    let flatAnswers = answers || {};
+    let flatRisks = risks || {};
+
+    // If principles are provided, extract flat answers and risks from principles
+    if (principles) {
+      principlesData = { principles };
+      // Also create flat structure for backward compatibility and response saving
+      Object.keys(principles).forEach(principle => {
+        if (principles[principle].answers) {
+          Object.assign(flatAnswers, principles[principle].answers);
+        }
+        if (principles[principle].risks) {
+          Object.assign(flatRisks, principles[principle].risks);
+        }
+      });
+    }
+
+    if (!principles && answers && risks) {
+      // Legacy: organize flat answers/risks by principle
+      // Get question codes from MongoDB to map them to principles dynamically
+      const Question = require('../models/question');
+      const allQuestions = await Question.find({ questionnaireKey: 'general-v1' }).select('code principle').lean();
+
+      // Build principle map from database
+      const principleMap = {};
+      allQuestions.forEach(q => {
+        principleMap[q.code] = q.principle;
+      });
+
+      // Also include legacy hardcoded mappings for backward compatibility
+      const legacyMap = {
+        'T1': 'TRANSPARENCY', 'T2': 'TRANSPARENCY', 'T9': 'TRANSPARENCY', 'T10': 'TRANSPARENCY', 'T11': 'TRANSPARENCY',
+        'H1': 'HUMAN AGENCY & OVERSIGHT', 'H2': 'HUMAN AGENCY & OVERSIGHT', 'H6': 'HUMAN AGENCY & OVERSIGHT',
+        'H10': 'HUMAN AGENCY & OVERSIGHT', 'H11': 'HUMAN AGENCY & OVERSIGHT', 'H12': 'HUMAN AGENCY & OVERSIGHT',
+        'H13': 'HUMAN AGENCY & OVERSIGHT', 'H14': 'HUMAN AGENCY & OVERSIGHT', 'H15': 'HUMAN AGENCY & OVERSIGHT',
+        'H16': 'HUMAN AGENCY & OVERSIGHT', 'H17': 'HUMAN AGENCY & OVERSIGHT',
+        'S1': 'TECHNICAL ROBUSTNESS & SAFETY', 'S2': 'TECHNICAL ROBUSTNESS & SAFETY', 'S3': 'TECHNICAL ROBUSTNESS & SAFETY',
+        'S4': 'TECHNICAL ROBUSTNESS & SAFETY', 'S5': 'TECHNICAL ROBUSTNESS & SAFETY', 'S6': 'TECHNICAL ROBUSTNESS & SAFETY',
+        'S7': 'TECHNICAL ROBUSTNESS & SAFETY', 'S8': 'TECHNICAL ROBUSTNESS & SAFETY', 'S9': 'TECHNICAL ROBUSTNESS & SAFETY',
+        'P1': 'PRIVACY & DATA GOVERNANCE', 'P2': 'PRIVACY & DATA GOVERNANCE', 'P4': 'PRIVACY & DATA GOVERNANCE',
+        'P5': 'PRIVACY & DATA GOVERNANCE', 'P6': 'PRIVACY & DATA GOVERNANCE', 'P7': 'PRIVACY & DATA GOVERNANCE',
+        'F1': 'DIVERSITY, NON-DISCRIMINATION & FAIRNESS', 'F2': 'DIVERSITY, NON-DISCRIMINATION & FAIRNESS',
+        'F3': 'DIVERSITY, NON-DISCRIMINATION & FAIRNESS', 'F4': 'DIVERSITY, NON-DISCRIMINATION & FAIRNESS',
+        'F5': 'DIVERSITY, NON-DISCRIMINATION & FAIRNESS',
+        'W1': 'SOCIETAL & INTERPERSONAL WELL-BEING', 'W2': 'SOCIETAL & INTERPERSONAL WELL-BEING',
+        'W7': 'SOCIETAL & INTERPERSONAL WELL-BEING', 'W8': 'SOCIETAL & INTERPERSONAL WELL-BEING',
+        'W9': 'SOCIETAL & INTERPERSONAL WELL-BEING',
+        'A1': 'ACCOUNTABILITY', 'A2': 'ACCOUNTABILITY', 'A5': 'ACCOUNTABILITY', 'A11': 'ACCOUNTABILITY',
+        'A12': 'ACCOUNTABILITY', 'A13': 'ACCOUNTABILITY', 'A14': 'ACCOUNTABILITY', 'A15': 'ACCOUNTABILITY'
+      };
+
+      // Merge database map with legacy map (database takes precedence)
+      Object.assign(principleMap, legacyMap);
+
+      principlesData = {
+        principles: {
+          TRANSPARENCY: { answers: {}, risks: {} },
+          'HUMAN AGENCY & OVERSIGHT': { answers: {}, risks: {} },
+          'TECHNICAL ROBUSTNESS & SAFETY': { answers: {}, risks: {} },
+          'PRIVACY & DATA GOVERNANCE': { answers: {}, risks: {} },
+          'DIVERSITY, NON-DISCRIMINATION & FAIRNESS': { answers: {}, risks: {} },
+          'SOCIETAL & INTERPERSONAL WELL-BEING': { answers: {}, risks: {} },
+          ACCOUNTABILITY: { answers: {}, risks: {} }
+        }
+      };
+
+      // Organize by principle - handle both question codes and question IDs
+      Object.keys(answers).forEach(qId => {
+        // Try to find principle by code first, then by looking up the question
+        let principle = principleMap[qId];
+
+        // If not found in map, try to find question by ID or code
+        if (!principle) {
+          const question = allQuestions.find(q => q.code === qId || q._id.toString() === qId);
+          if (question) {
+            principle = question.principle;
+            principleMap[qId] = principle; // Cache it
+          }
+        }
+
+        if (principle && principlesData.principles[principle]) {
+          principlesData.principles[principle].answers[qId] = answers[qId];
+        } else {
+          // If principle not found, log warning but still save to flat structure
+          console.warn(`⚠️ Principle not found for question code: ${qId}, saving to flat structure`);
+        }
+      });
+
+      Object.keys(risks).forEach(qId => {
+        let principle = principleMap[qId];
+
+        // If not found in map, try to find question by ID or code
+        if (!principle) {
+          const question = allQuestions.find(q => q.code === qId || q._id.toString() === qId);
+          if (question) {
+            principle = question.principle;
+            principleMap[qId] = principle; // Cache it
+          }
+        }
+
+        if (principle && principlesData.principles[principle]) {
+          principlesData.principles[principle].risks[qId] = risks[qId];
+        }
+      });
+    }
+
+    const generalAnswers = await GeneralQuestionsAnswers.findOneAndUpdate(
+      { projectId: projectIdObj, userId: userIdObj },
+      {
+        projectId: projectIdObj,
+        userId: userIdObj,
+        userRole: userRole || 'unknown',
+        ...principlesData,
+        answers: answers || {}, // Keep for backward compatibility
+        risks: risks || {},     // Keep for backward compatibility
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    // Also save to responses collection (new system)
+    try {
+      const Response = require('../models/response');
+      const ProjectAssignment = require('../models/projectAssignment');
+      const Question = require('../models/question');
+      const Questionnaire = require('../models/questionnaire');
+      const { ensureAllQuestionsPresent, mergeResponseAnswers } = require('../services/evaluationService');
+
+      // Get or create assignment
+      let assignment = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj });
+      if (!assignment) {
+        const { createAssignment } = require('../services/evaluationService');
+        const role = userRole || 'unknown';
+        let questionnaireKey = 'general-v1';
+        if (role === 'ethical-expert') questionnaireKey = 'ethical-expert-v1';
+        else if (role === 'medical-expert') questionnaireKey = 'medical-expert-v1';
+        else if (role === 'technical-expert') questionnaireKey = 'technical-expert-v1';
+        else if (role === 'legal-expert') questionnaireKey = 'legal-expert-v1';
+        else if (role === 'education-expert') questionnaireKey = 'education-expert-v1';
+
+        const questionnaires = role !== 'any' && questionnaireKey !== 'general-v1'
+          ? ['general-v1', questionnaireKey]
+          : ['general-v1'];
+        assignment = await createAssignment(projectIdObj, userIdObj, role, questionnaires);
+      }
+
+      // Separate answers by questionnaire
+      const generalAnswersMap = {};
+      const roleSpecificAnswersMap = {};
+      const roleSpecificRisksMap = {};
+      const generalRisksMap = {};
+
+      // Determine role-specific questionnaire key
+      const role = userRole || 'unknown';
+      let roleQuestionnaireKey = 'general-v1';
+      if (role === 'ethical-expert') roleQuestionnaireKey = 'ethical-expert-v1';
+      else if (role === 'medical-expert') roleQuestionnaireKey = 'medical-expert-v1';
+      else if (role === 'technical-expert') roleQuestionnaireKey = 'technical-expert-v1';
+      else if (role === 'legal-expert') roleQuestionnaireKey = 'legal-expert-v1';
+      else if (role === 'education-expert') roleQuestionnaireKey = 'education-expert-v1';
+
+      // Get all questions to determine which questionnaire they belong to
+      const allGeneralQuestions = await Question.find({ questionnaireKey: 'general-v1' }).select('code').lean();
+      const generalCodes = new Set(allGeneralQuestions.map(q => q.code));
+
+      const allRoleQuestions = roleQuestionnaireKey !== 'general-v1'
+        ? await Question.find({ questionnaireKey: roleQuestionnaireKey }).select('code').lean()
+        : [];
+      const roleCodes = new Set(allRoleQuestions.map(q => q.code));
+
+      // Separate answers and risks by questionnaire
+      if (flatAnswers) {
+        Object.keys(flatAnswers).forEach(qId => {
+          if (generalCodes.has(qId)) {
+            generalAnswersMap[qId] = flatAnswers[qId];
+          } else if (roleCodes.has(qId)) {
+            roleSpecificAnswersMap[qId] = flatAnswers[qId];
+          }
+        });
+      }
+
+      if (flatRisks) {
+        Object.keys(flatRisks).forEach(qId => {
+          if (generalCodes.has(qId)) {
+            generalRisksMap[qId] = flatRisks[qId];
+          } else if (roleCodes.has(qId)) {
+            roleSpecificRisksMap[qId] = flatRisks[qId];
+          }
+        });
+      }
+
+      // Prepare response saving tasks (parallel execution)
+      const saveTasks = [];
+
+      // Prepare general-v1 response
+      if (Object.keys(generalAnswersMap).length > 0 || Object.keys(generalRisksMap).length > 0) {
+        saveTasks.push(async () => {
+          const generalQuestionnaire = await Questionnaire.findOne({ key: 'general-v1', isActive: true });
+          if (generalQuestionnaire) {
+            // Fetch all general questions at once (performance optimization)
+            const generalQuestions = await Question.find({ questionnaireKey: 'general-v1' })
+              .select('_id code answerType options')
+              .lean();
+            const generalQuestionMap = new Map(generalQuestions.map(q => [q.code, q]));
+
+            const generalResponseAnswers = [];
+
+            for (const [qId, answerValue] of Object.entries(generalAnswersMap)) {
+              const question = generalQuestionMap.get(qId);
+              if (question) {
+                let score = 0;
+                let severitySource = 'default';
+                let answerFormat = {};
+
+                if (question.answerType === 'single_choice' && typeof answerValue === 'string') {
+                  // Try exact match first
+                  let option = question.options?.find(o => o.key === answerValue);
+
+                  // If not found, try case-insensitive and normalize spaces/underscores
+                  if (!option) {
+                    const normalizedAnswerValue = answerValue.toLowerCase().replace(/\s+/g, '_');
+                    option = question.options?.find(o => {
+                      const normalizedOptKey = o.key.toLowerCase().replace(/\s+/g, '_');
+                      return normalizedOptKey === normalizedAnswerValue ||
+                        o.label?.en?.toLowerCase() === answerValue.toLowerCase() ||
+                        o.label?.tr?.toLowerCase() === answerValue.toLowerCase();
+                    });
+
+                    if (option) {
+                      console.log(`⚠️ [DEBUG /api/general-questions] Question ${qId}: Found option using normalized matching. Original: "${answerValue}" → Matched: "${option.key}"`);
+                    }
+                  }
+
+                  // CRITICAL DEBUG: Log option matching
+                  if (!option) {
+                    console.error(`❌ [ERROR /api/general-questions] Question ${qId}: No matching option found for answerValue="${answerValue}". Available options: ${question.options?.map(o => `${o.key}(${o.label?.en || o.label?.tr || 'no label'})`).join(', ') || 'none'}`);
+                  } else {
+                    console.log(`✅ [DEBUG /api/general-questions] Question ${qId}: Found option key="${option.key}", score=${option.score}, answerValue="${answerValue}"`);
+                  }
+
+                  // For single_choice: Use risk score if provided (user's manual override), otherwise use option's score
+                  const riskScore = generalRisksMap[qId];
+                  if (riskScore !== undefined && riskScore !== null && typeof riskScore === 'number' && riskScore >= 0 && riskScore <= 4) {
+                    score = riskScore;
+                    severitySource = 'expert_provided';
+                    console.log(`📊 [DEBUG /api/general-questions] Question ${qId}: Using manual risk score=${riskScore} (override option score=${option?.score || 0})`);
+                  } else {
+                    score = option?.score || 0;
+                    if (option) severitySource = 'option_score';
+                  }
+                  // Use the matched option key, not the original answerValue
+                  answerFormat = { choiceKey: option?.key || answerValue };
+                } else if (question.answerType === 'open_text') {
+                  score = generalRisksMap[qId] !== undefined ? generalRisksMap[qId] : 0;
+                  if (generalRisksMap[qId] !== undefined) severitySource = 'expert_provided';
+                  answerFormat = { text: answerValue };
+                }
+
+                // Calculate answerSeverity from score (0-4 scale → 0-1 scale)
+                // score 4=best → severity 0 (safe), score 0=worst → severity 1 (critical)
+                const answerSeverity = score !== undefined && score !== null
+                  ? (4 - score) / 4
+                  : null;
+
+                generalResponseAnswers.push({
+                  questionId: question._id,
+                  questionCode: question.code,
+                  answer: answerFormat,
+                  score: score,
+                  answerSeverity: answerSeverity,
+                  severitySource: answerSeverity === null ? null : severitySource,
+                  notes: null,
+                  evidence: []
+                });
+              }
+            }
+
+            // Ensure all questions are present (merge with existing or create new)
+            // ensureAllQuestionsPresent is already required at the top of the try block (line 1378)
+            await ensureAllQuestionsPresent(projectIdObj, userIdObj, 'general-v1');
+
+            // Now update with answered questions
+            const existingResponse = await Response.findOne({
+              projectId: projectIdObj,
+              userId: userIdObj,
+              questionnaireKey: 'general-v1'
+            });
+
+            if (existingResponse) {
+              // Merge answered questions with existing response
+              mergeResponseAnswers(existingResponse, generalResponseAnswers, generalQuestionnaire.version);
+              existingResponse.status = 'draft';
+              existingResponse.updatedAt = new Date();
+              await existingResponse.save();
+              console.log(`✅ Updated general response with ${generalResponseAnswers.length} answered questions`);
+            } else {
+              // Create new response (shouldn't happen if ensureAllQuestionsPresent worked)
+              await Response.create({
+                projectId: projectIdObj,
+                assignmentId: assignment._id,
+                userId: userIdObj,
+                role: role,
+                questionnaireKey: 'general-v1',
+                questionnaireVersion: generalQuestionnaire.version,
+                answers: generalResponseAnswers,
+                status: 'draft',
+                updatedAt: new Date()
+              });
+              console.log(`✅ Created general response with ${generalResponseAnswers.length} answered questions`);
+            }
+
+            // Rescore once the user stops saving (services/scoreRecomputeQueue)
+            const { requestScoreRecompute } = require('../services/scoreRecomputeQueue');
+            await requestScoreRecompute({ projectId: projectIdObj, userId: userIdObj, questionnaireKey: 'general-v1', reason: 'draft_saved' });
+          }
+        });
+      }
+
+      // Prepare role-specific response
+      if (roleQuestionnaireKey !== 'general-v1' && (Object.keys(roleSpecificAnswersMap).length > 0 || Object.keys(roleSpecificRisksMap).length > 0)) {
+        saveTasks.push(async () => {
+          try {
+            // ensureAllQuestionsPresent is already required at the top of the try block (line 1378)
+            const roleQuestionnaire = await Questionnaire.findOne({ key: roleQuestionnaireKey, isActive: true });
+            if (roleQuestionnaire) {
+              // Fetch all role-specific questions at once (performance optimization)
+              const roleQuestions = await Question.find({ questionnaireKey: roleQuestionnaireKey })
+                .select('_id code answerType options')
+                .lean();
+              const roleQuestionMap = new Map(roleQuestions.map(q => [q.code, q]));
+
+              const roleResponseAnswers = [];
+
+              for (const [qId, answerValue] of Object.entries(roleSpecificAnswersMap)) {
+                const question = roleQuestionMap.get(qId);
+                if (question) {
+                  let score = 0;
+                  let severitySource = 'default';
+                  let answerFormat = {};
+
+                  if (question.answerType === 'single_choice' && typeof answerValue === 'string') {
+                    // Try exact match first
+                    let option = question.options?.find(o => o.key === answerValue);
+
+                    // If not found, try case-insensitive and normalize spaces/underscores
+                    if (!option) {
+                      const normalizedAnswerValue = answerValue.toLowerCase().replace(/\s+/g, '_');
+                      option = question.options?.find(o => {
+                        const normalizedOptKey = o.key.toLowerCase().replace(/\s+/g, '_');
+                        return normalizedOptKey === normalizedAnswerValue ||
+                          o.label?.en?.toLowerCase() === answerValue.toLowerCase() ||
+                          o.label?.tr?.toLowerCase() === answerValue.toLowerCase();
+                      });
+
+                      if (option) {
+                        console.log(`⚠️ [DEBUG /api/general-questions] Question ${qId}: Found option using normalized matching. Original: "${answerValue}" → Matched: "${option.key}"`);
+                      }
+                    }
+
+                    // CRITICAL DEBUG: Log option matching
+                    if (!option) {
+                      console.error(`❌ [ERROR /api/general-questions] Question ${qId}: No matching option found for answerValue="${answerValue}". Available options: ${question.options?.map(o => `${o.key}(${o.label?.en || o.label?.tr || 'no label'})`).join(', ') || 'none'}`);
+                    } else {
+                      console.log(`✅ [DEBUG /api/general-questions] Question ${qId}: Found option key="${option.key}", score=${option.score}, answerValue="${answerValue}"`);
+                    }
+
+                    // For single_choice: Use risk score if provided (user's manual override), otherwise use option's score
+                    const riskScore = roleSpecificRisksMap[qId];
+                    if (riskScore !== undefined && riskScore !== null && typeof riskScore === 'number' && riskScore >= 0 && riskScore <= 4) {
+                      score = riskScore;
+                      severitySource = 'expert_provided';
+                      console.log(`📊 [DEBUG /api/general-questions] Question ${qId}: Using manual risk score=${riskScore} (override option score=${option?.score || 0})`);
+                    } else {
+                      score = option?.score || 0;
+                      if (option) severitySource = 'option_score';
+                    }
+                    // Use the matched option key, not the original answerValue
+                    answerFormat = { choiceKey: option?.key || answerValue };
+                  } else if (question.answerType === 'open_text') {
+                    score = roleSpecificRisksMap[qId] !== undefined ? roleSpecificRisksMap[qId] : 0;
+                    if (roleSpecificRisksMap[qId] !== undefined) severitySource = 'expert_provided';
+                    answerFormat = { text: answerValue };
+                  }
+
+                  // Calculate answerSeverity from score (0-4 scale → 0-1 scale)
+                  // score 4=best → severity 0 (safe), score 0=worst → severity 1 (critical)
+                  const answerSeverity = score !== undefined && score !== null
+                    ? (4 - score) / 4
+                    : null;
+
+                  roleResponseAnswers.push({
+                    questionId: question._id,
+                    questionCode: question.code,
+                    answer: answerFormat,
+                    score: score,
+                    answerSeverity: answerSeverity,
+                    severitySource: answerSeverity === null ? null : severitySource,
+                    notes: null,
+                    evidence: []
+                  });
+                }
+              }
+
+              // Ensure all questions are present (merge with existing or create new)
+              console.log(`🔄 Ensuring all questions present for ${roleQuestionnaireKey}...`);
+              await ensureAllQuestionsPresent(projectIdObj, userIdObj, roleQuestionnaireKey);
+              console.log(`✅ All questions ensured for ${roleQuestionnaireKey}`);
+
+              // Now update with answered questions
+              const existingRoleResponse = await Response.findOne({
+                projectId: projectIdObj,
+                userId: userIdObj,
+                questionnaireKey: roleQuestionnaireKey
+              });
+
+              if (existingRoleResponse) {
+                // Merge answered questions with existing response
+                mergeResponseAnswers(existingRoleResponse, roleResponseAnswers, roleQuestionnaire.version);
+                existingRoleResponse.status = 'draft';
+                existingRoleResponse.updatedAt = new Date();
+                await existingRoleResponse.save();
+                console.log(`✅ Updated ${roleQuestionnaireKey} response with ${roleResponseAnswers.length} answered questions`);
+              } else {
+                // Create new response (shouldn't happen if ensureAllQuestionsPresent worked)
+                await Response.create({
+                  projectId: projectIdObj,
+                  assignmentId: assignment._id,
+                  userId: userIdObj,
+                  role: role,
+                  questionnaireKey: roleQuestionnaireKey,
+                  questionnaireVersion: roleQuestionnaire.version,
+                  answers: roleResponseAnswers,
+                  status: 'draft',
+                  updatedAt: new Date()
+                });
+                console.log(`✅ Created ${roleQuestionnaireKey} response with ${roleResponseAnswers.length} answered questions`);
+              }
+
+              // Rescore once the user stops saving (services/scoreRecomputeQueue)
+              const { requestScoreRecompute } = require('../services/scoreRecomputeQueue');
+              await requestScoreRecompute({ projectId: projectIdObj, userId: userIdObj, questionnaireKey: roleQuestionnaireKey, reason: 'draft_saved' });
+            } else {
+              console.warn(`⚠️ Role questionnaire ${roleQuestionnaireKey} not found`);
+            }
+          } catch (error) {
+            console.error(`⚠️ Error saving role-specific response for ${roleQuestionnaireKey}:`, error.message);
+            console.error(`⚠️ Error stack:`, error.stack);
+            // Don't throw - allow other saves to continue
+          }
+        });
+      }
+
+      // Execute all save tasks in parallel
+      if (saveTasks.length > 0) {
+        await Promise.all(saveTasks.map(task => task()));
+      }
+    } catch (responseError) {
+      // Log error but don't fail the request - old system still works
+      console.error('⚠️ Error saving to responses collection (non-critical):', responseError.message);
+    }
+
+    res.json(generalAnswers);
+  } catch (err) {
+    console.error('Error saving general questions:', err);
+    res.status(500).json({ error: err.message || 'Failed to save general questions' });
+  }
+});
+
+router.get('/general-questions', authorize('evaluation.view', { project: projectFrom.query() }), async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const userId = resolveSubjectUserId(req, req.query.userId);
+
+    // Convert string IDs to ObjectId if needed
+    const projectIdObj = isValidObjectId(projectId)
+      ? new mongoose.Types.ObjectId(projectId)
+      : projectId;
+    const userIdObj = isValidObjectId(userId)
+      ? new mongoose.Types.ObjectId(userId)
+      : userId;
+
+    // Get user role to determine which questionnaires to fetch
+    const user = await User.findById(userIdObj).select('role').lean();
+    const role = user?.role || 'any';
+
+    // Determine role-specific questionnaire key
+    let roleQuestionnaireKey = 'general-v1';
+    if (role === 'ethical-expert') roleQuestionnaireKey = 'ethical-expert-v1';
+    else if (role === 'medical-expert') roleQuestionnaireKey = 'medical-expert-v1';
+    else if (role === 'technical-expert') roleQuestionnaireKey = 'technical-expert-v1';
+    else if (role === 'legal-expert') roleQuestionnaireKey = 'legal-expert-v1';
+    else if (role === 'education-expert') roleQuestionnaireKey = 'education-expert-v1';
+
+    // Get questionnaires to fetch (general-v1 + role-specific if applicable)
+    const questionnairesToFetch = role !== 'any' && roleQuestionnaireKey !== 'general-v1'
+      ? ['general-v1', roleQuestionnaireKey]
+      : ['general-v1'];
+
+    // Fetch from old GeneralQuestionsAnswers collection (for backward compatibility)
+    const generalAnswers = await GeneralQuestionsAnswers.findOne({
+      projectId: projectIdObj,
+      userId: userIdObj
+    });
+
+    // Fetch from new Response collection for all relevant questionnaires
+    const Response = require('../models/response');
+    const Question = require('../models/question');
+
+    // OPTIMIZATION: Don't populate - use questionCode directly from Response (already stored)
+    const responses = await Response.find({
+      projectId: projectIdObj,
+      userId: userIdObj,
+      questionnaireKey: { $in: questionnairesToFetch }
+    })
+      .select('questionnaireKey answers.questionCode answers.answer answers.score')
+      .lean();
+
+    // Merge answers from Response collection
+    const mergedAnswers = {};
+    const mergedRisks = {};
+    const mergedPrinciples = {};
+
+    // First, add answers from old collection (for backward compatibility)
+    if (generalAnswers) {
+      if (generalAnswers.principles) {
+        Object.assign(mergedPrinciples, generalAnswers.principles);
+      }
+      if (generalAnswers.answers) {
+        Object.assign(mergedAnswers, generalAnswers.answers);
+      }
+      if (generalAnswers.risks) {
+        Object.assign(mergedRisks, generalAnswers.risks);
+      }
+    }
+
+    // OPTIMIZATION: Collect question codes to fetch principles in one query (only if needed)
+    const questionCodes = new Set();
+    const answerEntries = [];
+
+    for (const response of responses) {
+      if (!response.answers || !Array.isArray(response.answers)) continue;
+
+      for (const answerEntry of response.answers) {
+        if (!answerEntry.questionCode) continue;
+
+        questionCodes.add(answerEntry.questionCode);
+        answerEntries.push({ answerEntry, questionnaireKey: response.questionnaireKey });
+      }
+    }
+
+    // OPTIMIZATION: Fetch questions only for principle organization (if needed)
+    const questionsMap = new Map();
+    if (questionCodes.size > 0) {
+      const questions = await Question.find({
+        code: { $in: Array.from(questionCodes) },
+        questionnaireKey: { $in: questionnairesToFetch }
+      })
+        .select('code principle')
+        .lean();
+
+      for (const question of questions) {
+        questionsMap.set(question.code, question);
+      }
+    }
+
+    // Then, add/override with answers from Response collection (new architecture)
+    for (const { answerEntry, questionnaireKey } of answerEntries) {
+      // Use questionCode directly (already stored in Response - no populate needed)
+      const questionCode = answerEntry.questionCode;
+
+      if (!questionCode) continue;
+
+      // Extract answer value
+      let answerValue = null;
+      if (answerEntry.answer) {
+        if (answerEntry.answer.text) {
+          answerValue = answerEntry.answer.text;
+        } else if (answerEntry.answer.choiceKey) {
+          answerValue = answerEntry.answer.choiceKey;
+        } else if (answerEntry.answer.multiChoiceKeys) {
+          answerValue = Array.isArray(answerEntry.answer.multiChoiceKeys)
+            ? answerEntry.answer.multiChoiceKeys.join(', ')
+            : answerEntry.answer.multiChoiceKeys;
+        }
+      }
+
+      // Store answer by code
+      if (answerValue) {
+        mergedAnswers[questionCode] = answerValue;
+      }
+
+      // Extract risk score
+      if (answerEntry.score !== undefined && answerEntry.score !== null) {
+        const riskScore = typeof answerEntry.score === 'number' ? answerEntry.score : parseInt(answerEntry.score);
+        if (riskScore >= 0 && riskScore <= 4) {
+          mergedRisks[questionCode] = riskScore;
+        }
+      }
+
+      // Organize by principle if we have question data
+      const question = questionsMap.get(questionCode);
+      if (question && question.principle) {
+        if (!mergedPrinciples[question.principle]) {
+          mergedPrinciples[question.principle] = { answers: {}, risks: {} };
+        }
+        if (answerValue) {
+          mergedPrinciples[question.principle].answers[questionCode] = answerValue;
+        }
+        if (answerEntry.score !== undefined && answerEntry.score !== null) {
+          const riskScore = typeof answerEntry.score === 'number' ? answerEntry.score : parseInt(answerEntry.score);
+          if (riskScore >= 0 && riskScore <= 4) {
+            mergedPrinciples[question.principle].risks[questionCode] = riskScore;
+          }
+        }
+      }
+    }
+
+    // Return the merged result
+    const result = {
+      _id: generalAnswers?._id || null,
+      projectId: projectIdObj,
+      userId: userIdObj,
+      userRole: generalAnswers?.userRole || role,
+      principles: mergedPrinciples,
+      answers: mergedAnswers, // Keep for backward compatibility
+      risks: mergedRisks,     // Keep for backward compatibility
+      updatedAt: generalAnswers?.updatedAt || new Date()
+    };
+
+    res.json(result);
+  } catch (err) {
+    console.error('Error loading general questions:', err);
+    res.status(500).json({ error: err.message || 'Failed to load general questions' });
+  }
+});
+
+// Get all general questions answers for a project (grouped by role)
+router.get('/general-questions/project/:projectId', authorize('evaluation.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const allAnswers = await GeneralQuestionsAnswers.find({ projectId }).populate('userId', 'name email role');
+    res.json(allAnswers);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { getActorId } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const adminSchemas = require('./schemas/adminSchemas');
+const authSchemas = require('./schemas/authSchemas');
+const invitationService = require('../services/invitationService');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditLogService');
+
+// --- INVITATIONS: admin-driven onboarding (see services/invitationService.js) ---
+
+const sendInvitationError = (res, err, fallbackMessage) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ message: err.message, code: err.code });
+  }
+  console.error(fallbackMessage, err);
+  return res.status(500).json({ message: 'A server error occurred.' });
+};
+
+// POST /api/admin/invitations - Invite an email with a pre-set role and optional project (admin)
+router.post('/admin/invitations', validate(adminSchemas.createInvitation), authorize('user.invite'), async (req, res) => {
+  try {
+    const { email, role, projectId } = req.body || {};
+    const { invitation, token, project } = await invitationService.createInvitation({
+      email,
+      role,
+      projectId: projectId || undefined,
+      invitedBy: req.user._id
+    });
+
+    const frontendUrl = process.env.FRONTEND_URL || process.env.CLIENT_URL || req.headers.origin || 'http://localhost:3000';
+    const inviteLink = `${frontendUrl}/accept-invite?token=${token}`;
+
+    let emailSent = true;
+    try {
+      const { sendInvitationEmail } = require('../services/emailService');
+      await sendInvitationEmail(invitation.email, inviteLink, invitation.role, project?.title || null);
+    } catch (emailError) {
+      // Keep the invitation; the admin can revoke and re-invite
+      emailSent = false;
+      console.error('Invitation email sending error:', emailError.message);
+    }
+
+    const invitationObj = invitation.toObject();
+    delete invitationObj.tokenHash;
+    console.log(`[invite] ${invitation.email} invited as ${invitation.role} by admin ${getActorId(req)}`);
+    await recordAuditEvent(AUDIT_EVENTS.INVITATION_CREATE, {
+      req,
+      projectId: invitation.projectId,
+      targetId: invitation._id,
+      details: { email: invitation.email, role: invitation.role, emailSent }
+    });
+    res.status(201).json({ invitation: { ...invitationObj, status: 'pending' }, emailSent });
+  } catch (err) {
+    sendInvitationError(res, err, 'Create invitation error:');
+  }
+});
+
+// GET /api/admin/invitations?status= - List invitations (pending | expired | accepted | revoked)
+router.get('/admin/invitations', authorize('user.invite'), async (req, res) => {
+  try {
+    const invitations = await invitationService.listInvitations({ status: req.query.status });
+    res.json(invitations);
+  } catch (err) {
+    sendInvitationError(res, err, 'List invitations error:');
+  }
+});
+
+// DELETE /api/admin/invitations/:id - Revoke a pending or expired invitation
+router.delete('/admin/invitations/:id', validate(adminSchemas.revokeInvitation), authorize('user.invite'), async (req, res) => {
+  try {
+    const invitation = await invitationService.revokeInvitation(req.params.id, req.user._id);
+    await recordAuditEvent(AUDIT_EVENTS.INVITATION_REVOKE, {
+      req,
+      projectId: invitation.projectId,
+      targetId: invitation._id,
+      details: { email: invitation.email, role: invitation.role }
+    });
+    res.json({ success: true, invitation: { ...invitation, status: 'revoked' } });
+  } catch (err) {
+    sendInvitationError(res, err, 'Revoke invitation error:');
+  }
+});
+
+// POST /api/invitations/preview - Show the invitee what they are accepting (public, token in body)
+router.post('/invitations/preview', rateLimit('acceptInvite'), validate(authSchemas.invitationPreview), async (req, res) => {
+  try {
+    const invitation = await invitationService.findPendingByToken(req.body?.token);
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      projectTitle: invitation.projectId?.title || null,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (err) {
+    sendInvitationError(res, err, 'Invitation preview error:');
+  }
+});
+
+// POST /api/invitations/accept - Create the invited account (and project assignment)
+router.post('/invitations/accept', rateLimit('acceptInvite'), validate(authSchemas.invitationAccept), async (req, res) => {
+  try {
+    const { token, name, password } = req.body || {};
+    const { user, invitation } = await invitationService.acceptInvitation(token, { name, password });
+    console.log(`[invite] accepted by ${user.email} (${user.role})`);
+    await recordAuditEvent(AUDIT_EVENTS.INVITATION_ACCEPT, {
+      req,
+      actor: user,
+      subjectUserId: user._id,
+      projectId: invitation.projectId?._id,
+      targetId: invitation._id,
+      details: { role: user.role, invitedBy: String(invitation.invitedBy) }
+    });
+    res.status(201).json({
+      message: 'Your account has been created. You can now sign in.',
+      userId: user._id.toString(),
+      email: user.email,
+      role: user.role
+    });
+  } catch (err) {
+    sendInvitationError(res, err, 'Accept invitation error:');
+  }
+});
+
+module.exports = router;
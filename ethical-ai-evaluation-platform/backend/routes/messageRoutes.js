@@ -0,0 +1,465 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const messageSchemas = require('./schemas/messageSchemas');
+
+// Messages
+
+// GET /api/messages/thread?user1=&user2=
+router.get('/messages/thread', authorize('message.use'), async (req, res) => {
+  try {
+    const user1 = getActorId(req);
+    const { user2 } = req.query;
+    if (!user1 || !user2) {
+      return res.status(400).json({ error: 'Missing required parameters: user1, user2' });
+    }
+
+    const messages = await Message.find({
+      isNotification: { $ne: true },
+      $or: [
+        { fromUserId: user1, toUserId: user2 },
+        { fromUserId: user2, toUserId: user1 }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .populate('fromUserId', 'name email')
+      .populate('toUserId', 'name email');
+
+    res.json(messages);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/messages
+router.post('/messages', validate(messageSchemas.send), authorize('message.use'), async (req, res) => {
+  try {
+    const { toUserId, text, isNotification, projectId } = req.body;
+    const fromUserId = getActorId(req);
+    if (!fromUserId || !toUserId || !text) {
+      return res.status(400).json({ error: 'Missing required fields: fromUserId, toUserId, text' });
+    }
+
+    const message = new Message({
+      fromUserId,
+      toUserId,
+      projectId,
+      text,
+      isNotification: Boolean(isNotification),
+      createdAt: new Date()
+    });
+
+    await message.save();
+    const populated = await Message.findById(message._id)
+      .populate('fromUserId', 'name email')
+      .populate('toUserId', 'name email')
+      .populate('projectId', 'title');
+
+    // Send email notification (async, don't wait for it)
+    // Send email notification (async, don't wait for it)
+    (async () => {
+      try {
+        const fromUser = await User.findById(fromUserId);
+        const toUser = await User.findById(toUserId);
+
+        if (fromUser && toUser && process.env.RESEND_API_KEY) {
+          let project = null;
+          if (projectId) {
+            project = await mongoose.model('Project').findById(projectId);
+          }
+
+          const { sendEmail } = require('../services/emailService');
+          const subject = project
+            ? `New message from ${fromUser.name} - ${project.title}`
+            : `New message from ${fromUser.name}`;
+
+          const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #1F2937;">New Message on Ethical AI Analysis Platform</h2>
+              <p>You have received a new message from <strong>${fromUser.name}</strong>${project ? ` regarding project <strong>"${project.title}"</strong>` : ''}.</p>
+              <div style="background-color: #F3F4F6; padding: 15px; border-radius: 5px; margin: 20px 0;">
+                <p style="margin: 0; color: #374151;">${text.replace(/\n/g, '<br>')}</p>
+              </div>
+              <p style="color: #6B7280; font-size: 14px;">Please log in to the platform to respond.</p>
+              <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 20px 0;">
+              <p style="color: #9CA3AF; font-size: 12px;">This is an automated notification from Ethical AI Analysis Platform.</p>
+            </div>
+          `;
+
+          await sendEmail(toUser.email, subject, html, `You have received a new message from ${fromUser.name}${project ? ` regarding project "${project.title}"` : ''}:\n\n${text}\n\nPlease log in to the platform to respond.`);
+          console.log('📧 Email sent successfully to:', toUser.email);
+        } else if (!process.env.RESEND_API_KEY) {
+          console.log('📧 Email Notification (RESEND_API_KEY not configured):');
+          console.log(`To: ${toUser?.email} (${toUser?.name})`);
+          console.log(`From: ${fromUser?.name}`);
+          console.log(`Message: ${text.substring(0, 100)}...`);
+        }
+      } catch (emailErr) {
+        console.error('Email notification error:', emailErr);
+      }
+    })();
+
+    res.json(populated);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/messages/send-email (Email notification endpoint)
+router.post('/messages/send-email', validate(messageSchemas.sendEmail), authorize('message.use'), async (req, res) => {
+  try {
+    const { to, toName, fromName, projectTitle, message, projectId } = req.body;
+
+    // Only send email if credentials are configured
+    if (process.env.RESEND_API_KEY) {
+      const { sendEmail } = require('../services/emailService');
+      await sendEmail(
+        to,
+        `New message from ${fromName}${projectTitle ? ` - ${projectTitle}` : ''} `,
+        `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;" >
+            <h2 style="color: #1F2937;">New Message on Ethical AI Analysis Platform</h2>
+            <p>You have received a new message from <strong>${fromName}</strong>${projectTitle ? ` regarding project <strong>"${projectTitle}"</strong>` : ''}.</p>
+            <div style="background-color: #F3F4F6; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p style="margin: 0; color: #374151;">${message.replace(/\n/g, '<br>')}</p>
+            </div>
+            <p style="color: #6B7280; font-size: 14px;">Please log in to the platform to respond.</p>
+            <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 20px 0;">
+            <p style="color: #9CA3AF; font-size: 12px;">This is an automated notification from Ethical AI Analysis Platform.</p>
+          </div>
+          `,
+        `You have received a new message from ${fromName}${projectTitle ? ` regarding project "${projectTitle}"` : ''}: \n\n${message} \n\nPlease log in to the platform to respond.`
+      );
+      console.log('📧 Email sent successfully to:', to);
+      return res.json({ success: true, message: 'Email sent successfully' });
+    } else {
+      // Log email notification if credentials not configured
+      console.log('📧 Email Notification (RESEND_API_KEY not configured):');
+      console.log(`To: ${to} (${toName})`);
+      console.log(`From: ${fromName} `);
+      if (projectTitle) console.log(`Project: ${projectTitle} `);
+      console.log(`Message: ${message.substring(0, 100)}...`);
+      console.log('---');
+      console.log('💡 To enable email sending, set RESEND_API_KEY in .env file');
+      return res.json({ success: true, message: 'Email notification logged (RESEND_API_KEY not configured)' });
+    }
+  } catch (err) {
+    console.error('Email send error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/messages/mark-read
+router.post('/messages/mark-read', validate(messageSchemas.markRead), authorize('message.use'), async (req, res) => {
+  try {
+    const { messageIds, projectId, otherUserId } = req.body;
+    const userId = getActorId(req);
+
+    if (messageIds && Array.isArray(messageIds)) {
+      // Mark specific messages as read
+      if (userId) {
+        const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+        await Message.updateMany(
+          { _id: { $in: messageIds }, toUserId: userIdObj },
+          { readAt: new Date() }
+        );
+      } else {
+        await Message.updateMany(
+          { _id: { $in: messageIds }, toUserId: userId },
+          { readAt: new Date() }
+        );
+      }
+    } else if (userId && otherUserId) {
+      // Mark all messages in a thread as read
+      const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+      const otherUserIdObj = isValidObjectId(otherUserId) ? new mongoose.Types.ObjectId(otherUserId) : otherUserId;
+      await Message.updateMany(
+        {
+          fromUserId: otherUserIdObj,
+          toUserId: userIdObj,
+          readAt: null
+        },
+        { readAt: new Date() }
+      );
+    } else {
+      return res.status(400).json({ error: 'Invalid parameters' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/messages/unread-count
+router.get('/messages/unread-count', authorize('message.use'), async (req, res) => {
+  try {
+    const userId = getActorId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing userId parameter' });
+    }
+
+    // Get unread messages grouped by project and sender.
+    // IMPORTANT: Avoid populate() here because missing/deleted refs (project/user) can break the entire endpoint.
+
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    const unreadMessages = await Message.find({
+      toUserId: userIdObj,
+      readAt: null
+    })
+      .populate({ path: 'projectId', select: 'title', strictPopulate: false })
+      .populate('fromUserId', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    // Group by projectId and fromUserId
+
+    const conversations = {};
+    unreadMessages.forEach(msg => {
+      // Skip messages with missing or null populated fields
+      if (!msg || !msg.fromUserId) {
+        // Only log in development mode to reduce noise
+        if (process.env.NODE_ENV === 'development') {
+          console.warn('Skipping message with missing fromUserId:', msg?._id);
+        }
+        return;
+      }
+      const projectIdRaw = msg.projectId ? (msg.projectId._id || msg.projectId) : null;
+      const fromUserIdRaw = msg.fromUserId._id || msg.fromUserId;
+
+      if (!fromUserIdRaw) {
+
+        // Only log in development mode to reduce noise
+        if (process.env.NODE_ENV === 'development') {
+          console.warn('Skipping message with invalid fromUserId:', msg?._id);
+        }
+        return;
+      }
+      const fromUserId = String(fromUserIdRaw);
+      const key = projectIdRaw ? `${String(projectIdRaw)}_${fromUserId}` : fromUserId;
+
+      if (!conversations[key]) {
+        conversations[key] = {
+          projectId: projectIdRaw ? String(projectIdRaw) : null,
+          fromUserId: fromUserId,
+          count: 0,
+          lastMessage: msg.text || '',
+          lastMessageTime: msg.createdAt,
+          lastMessageId: String(msg._id),
+          isNotification: Boolean(msg.isNotification)
+        };
+      }
+
+      conversations[key].count++;
+      if (msg.createdAt && conversations[key].lastMessageTime &&
+        new Date(msg.createdAt) > new Date(conversations[key].lastMessageTime)) {
+        conversations[key].lastMessage = msg.text || '';
+        conversations[key].lastMessageTime = msg.createdAt;
+        conversations[key].lastMessageId = String(msg._id);
+        conversations[key].isNotification = Boolean(msg.isNotification);
+      }
+    });
+
+    const totalCount = unreadMessages.length;
+    const conversationList = Object.values(conversations);
+
+    // Hydrate titles/names (best-effort)
+    const projectIds = [...new Set(conversationList.map(c => c.projectId).filter(Boolean))]
+      .filter((id) => isValidObjectId(id));
+    const fromUserIds = [...new Set(conversationList.map(c => c.fromUserId).filter(Boolean))]
+      .filter((id) => isValidObjectId(id));
+
+    const [projects, fromUsers] = await Promise.all([
+      mongoose.model('Project').find({ _id: { $in: projectIds } }).select('title').lean(),
+      User.find({ _id: { $in: fromUserIds } }).select('name email').lean()
+    ]);
+
+    const projectTitleById = {};
+    (projects || []).forEach(p => { projectTitleById[String(p._id)] = p.title; });
+    const userNameById = {};
+    (fromUsers || []).forEach(u => { userNameById[String(u._id)] = u.name; });
+
+    for (const c of conversationList) {
+      c.projectTitle = projectTitleById[c.projectId] || '(Unknown project)';
+      c.fromUserName = userNameById[c.fromUserId] || '(Unknown user)';
+    }
+
+    res.json({
+      totalCount,
+      conversations: conversationList
+    });
+  } catch (err) {
+    console.error('Error in /api/messages/unread-count:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/messages/history?limit= - Fetch all messages (read + unread) for history
+router.get('/messages/history', authorize('message.use'), async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+    const userId = getActorId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing userId parameter' });
+    }
+
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    // Get all messages sent TO this user, sorted by date (newest first)
+    const messages = await Message.find({
+      toUserId: userIdObj
+    })
+      .populate({ path: 'projectId', select: 'title', strictPopulate: false })
+      .populate('fromUserId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    // Transform to a consistent format
+    const history = messages
+      .filter(msg => msg && msg.fromUserId)
+      .map(msg => ({
+        _id: msg._id,
+        title: msg.isNotification ? 'System Notification' : 'Message',
+        message: String(msg.text || '').replace(/^\[NOTIFICATION\]\s*/, ''),
+        actorId: {
+          _id: msg.fromUserId._id || msg.fromUserId,
+          name: msg.fromUserId.name || 'Unknown'
+        },
+        projectId: msg.projectId ? {
+          _id: msg.projectId._id || msg.projectId,
+          title: msg.projectId.title || 'Unknown Project'
+        } : null,
+        isRead: !!msg.readAt,
+        createdAt: msg.createdAt,
+        isNotification: Boolean(msg.isNotification)
+      }));
+
+    res.json({ messages: history, totalCount: history.length });
+  } catch (err) {
+    console.error('Error in /api/messages/history:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/messages/conversations
+router.get('/messages/conversations', authorize('message.use'), async (req, res) => {
+  try {
+    const userId = getActorId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing userId parameter' });
+    }
+
+    const userIdObj = mongoose.Types.ObjectId.isValid(userId)
+      ? new mongoose.Types.ObjectId(userId)
+      : userId;
+
+    const userIdStr = mongoose.Types.ObjectId.isValid(userId)
+      ? userIdObj.toString()
+      : String(userId);
+
+    // lean() -> populate edilmiş alanlar plain object olur, daha stabil
+    const allMessages = await Message.find({
+      isNotification: { $ne: true },
+      $or: [{ fromUserId: userIdObj }, { toUserId: userIdObj }]
+    })
+      .populate('fromUserId', 'name email role')
+      .populate('toUserId', 'name email role')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const conversationsMap = {};
+
+    for (const msg of allMessages) {
+      // populate bazen null gelebilir (silinmiş user vs.)
+      if (!msg || !msg.fromUserId || !msg.toUserId) continue;
+
+      const fromRaw = msg.fromUserId._id || msg.fromUserId;
+      const toRaw = msg.toUserId._id || msg.toUserId;
+
+      if (!fromRaw || !toRaw) continue;
+
+      const fromId = String(fromRaw);
+      const toId = String(toRaw);
+
+      const otherUserId = fromId === userIdStr ? toId : fromId;
+      const key = otherUserId;
+
+      if (!conversationsMap[key]) {
+        const otherUser =
+          fromId === userIdStr ? msg.toUserId : msg.fromUserId;
+
+        conversationsMap[key] = {
+          otherUserId,
+          otherUserName: otherUser?.name || 'Unknown',
+          otherUserRole: otherUser?.role || 'unknown',
+          lastMessage: msg.text || '',
+          lastMessageTime: msg.createdAt || new Date().toISOString(),
+          unreadCount: 0,
+        };
+      }
+
+      // unread count: user receiver ise ve readAt yoksa
+      if (toId === userIdStr && !msg.readAt) {
+        conversationsMap[key].unreadCount++;
+      }
+
+      // last message update
+      const prevTime = new Date(conversationsMap[key].lastMessageTime).getTime();
+      const curTime = new Date(msg.createdAt).getTime();
+      if (curTime > prevTime) {
+        conversationsMap[key].lastMessage = msg.text || '';
+        conversationsMap[key].lastMessageTime = msg.createdAt;
+      }
+    }
+
+    const conversations = Object.values(conversationsMap).sort(
+      (a, b) => new Date(b.lastMessageTime).getTime() - new Date(a.lastMessageTime).getTime()
+    );
+
+    res.json(conversations);
+  } catch (err) {
+    console.error('Error fetching conversations:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/messages/delete-conversation
+router.delete('/messages/delete-conversation', validate(messageSchemas.deleteConversation), authorize('message.use'), async (req, res) => {
+  try {
+    const { otherUserId } = req.body;
+    const userId = getActorId(req);
+    if (!userId || !otherUserId) {
+      return res.status(400).json({ error: 'Missing required parameters: userId, otherUserId' });
+    }
+
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+    const otherUserIdObj = isValidObjectId(otherUserId) ? new mongoose.Types.ObjectId(otherUserId) : otherUserId;
+
+    // Delete all messages in this conversation
+    const result = await Message.deleteMany({
+      $or: [
+        { fromUserId: userIdObj, toUserId: otherUserIdObj },
+        { fromUserId: otherUserIdObj, toUserId: userIdObj }
+      ]
+    });
+
+    res.json({
+      success: true,
+      deletedCount: result.deletedCount,
+      message: `Deleted ${result.deletedCount} messages`
+    });
+  } catch (err) {
+    console.error('Error deleting conversation:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
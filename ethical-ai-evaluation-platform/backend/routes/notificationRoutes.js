@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Notification = require('../models/Notification');
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const messageSchemas = require('./schemas/messageSchemas');
+
+// Notification endpoints
+
+// GET /api/notifications?limit=
+router.get('/notifications', authorize('notification.use'), async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const userId = getActorId(req);
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing userId parameter' });
+    }
+
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    // Check if user is admin - if so, filter by projects created by this admin
+    let projectFilter = {};
+    try {
+      const user = await User.findById(userIdObj).select('role').lean();
+      if (user && user.role && user.role.toLowerCase().includes('admin')) {
+        // Admin user - strict project filtering DISABLED to ensure admins see all notifications
+        // Original filtering logic removed to fix missing notifications issue
+      }
+    } catch (err) {
+      console.warn('Could not verify admin access for notifications:', err.message);
+    }
+
+    const notifications = await Notification.find({
+      recipientId: userIdObj,
+      ...projectFilter
+    })
+      .populate('projectId', 'title')
+      .populate('actorId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    const unreadCount = await Notification.countDocuments({
+      recipientId: userIdObj,
+      isRead: false,
+      ...projectFilter
+    });
+
+    res.json({ notifications, unreadCount });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/notifications/:id/read
+router.post('/notifications/:id/read', validate(messageSchemas.markNotificationRead), authorize('notification.use'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = getActorId(req);
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing userId parameter' });
+    }
+
+    const notificationId = isValidObjectId(id) ? new mongoose.Types.ObjectId(id) : id;
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    // Get notification and check admin access
+    const notification = await Notification.findById(notificationId).lean();
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    // Verify notification belongs to user
+    if (String(notification.recipientId) !== String(userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Check if user is admin and if so, verify the project belongs to this admin
+    try {
+      const user = await User.findById(userIdObj).select('role').lean();
+      if (user && user.role && user.role.toLowerCase().includes('admin')) {
+        const project = await Project.findById(notification.projectId).select('createdByAdmin').lean();
+        if (project && project.createdByAdmin) {
+          const projectAdminId = String(project.createdByAdmin);
+          const userIdStr = String(userId);
+          if (projectAdminId !== userIdStr) {
+            return res.status(403).json({ error: 'Access denied: This project belongs to another admin' });
+          }
+        }
+      }
+    } catch (err) {
+      console.warn('Could not verify admin access for notification read:', err.message);
+    }
+
+    await Notification.findByIdAndUpdate(notificationId, {
+      isRead: true,
+      readAt: new Date()
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error marking notification as read:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/notifications/read-all
+router.post('/notifications/read-all', validate(messageSchemas.markAllNotificationsRead), authorize('notification.use'), async (req, res) => {
+  try {
+    const userId = getActorId(req);
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing userId parameter' });
+    }
+
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    // Check if user is admin - if so, filter by projects created by this admin
+    let projectFilter = {};
+    try {
+      const user = await User.findById(userIdObj).select('role').lean();
+      if (user && user.role && user.role.toLowerCase().includes('admin')) {
+        // Admin user - only mark notifications from projects created by this admin as read
+        const userProjects = await Project.find({
+          createdByAdmin: userIdObj
+        }).select('_id').lean();
+        const projectIds = userProjects.map(p => p._id);
+        if (projectIds.length === 0) {
+          // Admin has no projects, return success
+          return res.json({ success: true, updatedCount: 0 });
+        }
+        projectFilter = { projectId: { $in: projectIds } };
+      }
+    } catch (err) {
+      console.warn('Could not verify admin access for read-all:', err.message);
+    }
+
+    const result = await Notification.updateMany(
+      {
+        recipientId: userIdObj,
+        isRead: false,
+        ...projectFilter
+      },
+      {
+        isRead: true,
+        readAt: new Date()
+      }
+    );
+
+    res.json({ success: true, updatedCount: result.modifiedCount });
+  } catch (err) {
+    console.error('Error marking all notifications as read:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1050 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Evaluation = require('../models/Evaluation');
+const GeneralQuestionsAnswers = require('../models/GeneralQuestionsAnswers');
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId, resolveSubjectUserId } = require('../middleware/auth');
+const { authorize, projectFrom } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const evaluationSchemas = require('./schemas/evaluationSchemas');
+const { loadQuestionVisibility } = require('../services/questionVisibilityService');
+const { resolveAssignedQuestionnaires } = require('../services/questionCatalogueService');
+
+// Mounted at the app root, so paths are absolute: the /projects/:projectId/*
+// routes below have always been served without the /api prefix.
+
+// Get user progress based on responses collection (FAST path)
+// This endpoint is used frequently by the UI and should stay lightweight.
+router.get('/api/user-progress', authorize('progress.view', { project: projectFrom.query() }), async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const userId = resolveSubjectUserId(req, req.query.userId);
+    if (!projectId || !userId) {
+      return res.status(400).json({ error: 'projectId and userId are required' });
+    }
+
+    const Response = require('../models/response');
+    const Question = require('../models/question');
+    const ProjectAssignment = require('../models/projectAssignment');
+
+    const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    const assignment = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj }).lean();
+    if (!assignment) {
+      return res.json({ progress: 0, answered: 0, total: 0, error: 'No assignment found' });
+    }
+
+    // The assignment's questionnaires, as counted by the question catalogue and calculateProjectProgress
+    const assignedQuestionnaireKeys = await resolveAssignedQuestionnaires(assignment);
+
+    let questionnairesToCount = assignedQuestionnaireKeys.slice();
+
+    const totalQuestions = await Question.countDocuments({
+      questionnaireKey: { $in: questionnairesToCount }
+    });
+
+    if (totalQuestions === 0) {
+      return res.json({ progress: 0, answered: 0, total: 0, questionnaires: assignedQuestionnaireKeys, responseCount: 0 });
+    }
+
+    // Fetch responses for ALL assigned questionnaires (not just questionnairesToCount)
+    // questionnairesToCount is only for question count, but we need to fetch all responses
+    const responses = await Response.find({
+      projectId: projectIdObj,
+      userId: userIdObj,
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    }).select('questionnaireKey answers.questionCode answers.questionId answers.answer answers.score').lean();
+
+    const answeredKeys = new Set();
+
+    for (const r of (responses || [])) {
+      const qKey = r.questionnaireKey;
+      const arr = Array.isArray(r.answers) ? r.answers : [];
+      for (const a of arr) {
+        const idKey = a?.questionId ? String(a.questionId) : '';
+        const codeKey = a?.questionCode !== undefined && a?.questionCode !== null ? String(a.questionCode).trim() : '';
+        const key = idKey.length > 0 ? idKey : (codeKey.length > 0 ? `${qKey}:${codeKey}` : '');
+        if (!key || answeredKeys.has(key)) continue;
+
+        let hasAnswer = false;
+        if (a?.answer) {
+          if (a.answer.choiceKey !== null && a.answer.choiceKey !== undefined && a.answer.choiceKey !== '') hasAnswer = true;
+          else if (a.answer.text !== null && a.answer.text !== undefined && String(a.answer.text).trim().length > 0) hasAnswer = true;
+          else if (a.answer.numeric !== null && a.answer.numeric !== undefined) hasAnswer = true;
+          else if (Array.isArray(a.answer.multiChoiceKeys) && a.answer.multiChoiceKeys.length > 0) hasAnswer = true;
+        } else if (a.choiceKey || (a.text && String(a.text).trim().length > 0) || a.numeric !== undefined || (Array.isArray(a.multiChoiceKeys) && a.multiChoiceKeys.length > 0)) {
+          // Backward compatibility: direct fields
+          hasAnswer = true;
+        }
+
+        if (hasAnswer) answeredKeys.add(key);
+      }
+    }
+
+    // Questions hidden by their display conditions are not asked
+    const visibility = await loadQuestionVisibility(projectIdObj, userIdObj);
+    const regularTotal = totalQuestions - visibility.excludeHidden(questionnairesToCount, answeredKeys);
+
+    // Also check custom questions from Evaluation
+    const evaluation = await Evaluation.findOne({
+      projectId: projectIdObj,
+      userId: userIdObj
+    }).select('customQuestions answers').lean();
+
+    const customQuestions = evaluation?.customQuestions || [];
+    let customQuestionsTotal = 0;
+    let customQuestionsAnswered = 0;
+
+    for (const customQuestion of customQuestions) {
+      if (customQuestion.required !== false) {
+        customQuestionsTotal++;
+        const customQuestionId = customQuestion.id;
+        if (customQuestionId && evaluation?.answers) {
+          const customAnswer = evaluation.answers[customQuestionId];
+          if (customAnswer !== undefined && customAnswer !== null) {
+            if (typeof customAnswer === 'string' && customAnswer.trim().length > 0) {
+              customQuestionsAnswered++;
+            } else if (typeof customAnswer !== 'string') {
+              customQuestionsAnswered++;
+            }
+          }
+        }
+      }
+    }
+
+    // Total = regular questions + custom questions
+    const totalWithCustom = regularTotal + customQuestionsTotal;
+    const answeredWithCustom = answeredKeys.size + customQuestionsAnswered;
+    const progress = totalWithCustom > 0 ? Math.round((answeredWithCustom / totalWithCustom) * 100) : 0;
+
+    return res.json({
+      progress: Math.max(0, Math.min(100, progress)),
+      answered: answeredWithCustom,
+      total: totalWithCustom,
+      regularAnswered: answeredKeys.size,
+      regularTotal,
+      customAnswered: customQuestionsAnswered,
+      customTotal: customQuestionsTotal,
+      questionnaires: assignedQuestionnaireKeys,
+      responseCount: responses.length
+    });
+  } catch (err) {
+    console.error('Error calculating user progress:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get user progress based on responses collection (DEBUG/SYNC path)
+// Heavy diagnostics and auto-repair logic lives here by design.
+router.get('/api/user-progress/debug', authorize('admin.debug'), async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const userId = resolveSubjectUserId(req, req.query.userId);
+    if (!projectId || !userId) {
+      return res.status(400).json({ error: 'projectId and userId are required' });
+    }
+
+    const Response = require('../models/response');
+    const Question = require('../models/question');
+    const ProjectAssignment = require('../models/projectAssignment');
+    // User model is already defined at the top of the file
+
+    const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    console.log(`🔍 Progress request: projectId=${projectId}, userId=${userId}`);
+
+    // Get user's assignment to determine questionnaires
+    const assignment = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj });
+    if (!assignment) {
+      console.warn(`⚠️ No assignment found for projectId=${projectId}, userId=${userId}`);
+      return res.json({ progress: 0, answered: 0, total: 0, error: 'No assignment found' });
+    }
+
+    console.log(`📋 Assignment found: role=${assignment.role}, questionnaires=${JSON.stringify(assignment.questionnaires || [])}`);
+
+    // Get assigned questionnaire keys from assignment (use what's actually assigned)
+    // Also ensure general-v1 is included if not already present
+    let assignedQuestionnaireKeys = assignment.questionnaires || [];
+
+    // If no questionnaires assigned, try to determine from role
+    if (assignedQuestionnaireKeys.length === 0) {
+      const user = await User.findById(userIdObj);
+      const role = user?.role || 'unknown';
+
+      // Map role to questionnaire key (support both formats: ethical-v1 and ethical-expert-v1)
+      // Try both formats to match what's actually in the database
+      let roleQuestionnaireKey = null;
+      if (role === 'ethical-expert') {
+        // Try both formats
+        const ethicalV1 = await Question.findOne({ questionnaireKey: 'ethical-v1' });
+        const ethicalExpertV1 = await Question.findOne({ questionnaireKey: 'ethical-expert-v1' });
+        roleQuestionnaireKey = ethicalV1 ? 'ethical-v1' : (ethicalExpertV1 ? 'ethical-expert-v1' : 'ethical-v1');
+      } else if (role === 'medical-expert') {
+        const medicalV1 = await Question.findOne({ questionnaireKey: 'medical-v1' });
+        const medicalExpertV1 = await Question.findOne({ questionnaireKey: 'medical-expert-v1' });
+        roleQuestionnaireKey = medicalV1 ? 'medical-v1' : (medicalExpertV1 ? 'medical-expert-v1' : 'medical-v1');
+      } else if (role === 'technical-expert') {
+        const technicalV1 = await Question.findOne({ questionnaireKey: 'technical-v1' });
+        const technicalExpertV1 = await Question.findOne({ questionnaireKey: 'technical-expert-v1' });
+        roleQuestionnaireKey = technicalV1 ? 'technical-v1' : (technicalExpertV1 ? 'technical-expert-v1' : 'technical-v1');
+      } else if (role === 'legal-expert') {
+        const legalV1 = await Question.findOne({ questionnaireKey: 'legal-v1' });
+        const legalExpertV1 = await Question.findOne({ questionnaireKey: 'legal-expert-v1' });
+        roleQuestionnaireKey = legalV1 ? 'legal-v1' : (legalExpertV1 ? 'legal-expert-v1' : 'legal-v1');
+      } else if (role === 'education-expert') {
+        const educationV1 = await Question.findOne({ questionnaireKey: 'education-v1' });
+        const educationExpertV1 = await Question.findOne({ questionnaireKey: 'education-expert-v1' });
+        roleQuestionnaireKey = educationV1 ? 'education-v1' : (educationExpertV1 ? 'education-expert-v1' : 'education-expert-v1');
+      }
+
+      if (roleQuestionnaireKey) {
+        assignedQuestionnaireKeys = ['general-v1', roleQuestionnaireKey];
+      } else {
+        assignedQuestionnaireKeys = ['general-v1'];
+      }
+    } else {
+      // Ensure general-v1 is always included
+      if (!assignedQuestionnaireKeys.includes('general-v1')) {
+        assignedQuestionnaireKeys = ['general-v1', ...assignedQuestionnaireKeys];
+      }
+
+      // Also check if role-specific questionnaire exists in database and add if missing
+      const user = await User.findById(userIdObj);
+      const role = user?.role || 'unknown';
+
+      // Check if role-specific questionnaire is in the list, if not try to add it
+      const hasRoleQuestionnaire = assignedQuestionnaireKeys.some(key =>
+        (role === 'ethical-expert' && (key === 'ethical-v1' || key === 'ethical-expert-v1')) ||
+        (role === 'medical-expert' && (key === 'medical-v1' || key === 'medical-expert-v1')) ||
+        (role === 'technical-expert' && (key === 'technical-v1' || key === 'technical-expert-v1')) ||
+        (role === 'legal-expert' && (key === 'legal-v1' || key === 'legal-expert-v1')) ||
+        (role === 'education-expert' && (key === 'education-v1' || key === 'education-expert-v1'))
+      );
+
+      if (!hasRoleQuestionnaire && role !== 'use-case-owner' && role !== 'admin') {
+        // Try to find which format exists in database
+        let roleQuestionnaireKey = null;
+        if (role === 'ethical-expert') {
+          const ethicalV1 = await Question.findOne({ questionnaireKey: 'ethical-v1' });
+          const ethicalExpertV1 = await Question.findOne({ questionnaireKey: 'ethical-expert-v1' });
+          roleQuestionnaireKey = ethicalV1 ? 'ethical-v1' : (ethicalExpertV1 ? 'ethical-expert-v1' : null);
+        } else if (role === 'medical-expert') {
+          const medicalV1 = await Question.findOne({ questionnaireKey: 'medical-v1' });
+          const medicalExpertV1 = await Question.findOne({ questionnaireKey: 'medical-expert-v1' });
+          roleQuestionnaireKey = medicalV1 ? 'medical-v1' : (medicalExpertV1 ? 'medical-expert-v1' : null);
+        } else if (role === 'technical-expert') {
+          const technicalV1 = await Question.findOne({ questionnaireKey: 'technical-v1' });
+          const technicalExpertV1 = await Question.findOne({ questionnaireKey: 'technical-expert-v1' });
+          roleQuestionnaireKey = technicalV1 ? 'technical-v1' : (technicalExpertV1 ? 'technical-expert-v1' : null);
+        } else if (role === 'legal-expert') {
+          const legalV1 = await Question.findOne({ questionnaireKey: 'legal-v1' });
+          const legalExpertV1 = await Question.findOne({ questionnaireKey: 'legal-expert-v1' });
+          roleQuestionnaireKey = legalV1 ? 'legal-v1' : (legalExpertV1 ? 'legal-expert-v1' : null);
+        } else if (role === 'education-expert') {
+          const educationV1 = await Question.findOne({ questionnaireKey: 'education-v1' });
+          const educationExpertV1 = await Question.findOne({ questionnaireKey: 'education-expert-v1' });
+          roleQuestionnaireKey = educationV1 ? 'education-v1' : (educationExpertV1 ? 'education-expert-v1' : null);
+        }
+
+        if (roleQuestionnaireKey && !assignedQuestionnaireKeys.includes(roleQuestionnaireKey)) {
+          assignedQuestionnaireKeys.push(roleQuestionnaireKey);
+          // Also update the assignment in database to persist this change
+          try {
+            await ProjectAssignment.findOneAndUpdate(
+              { projectId: projectIdObj, userId: userIdObj },
+              { $set: { questionnaires: assignedQuestionnaireKeys } },
+              { new: true }
+            );
+            console.log(`✅ Updated assignment with missing questionnaire: ${roleQuestionnaireKey}`);
+          } catch (updateError) {
+            console.warn(`⚠️ Failed to update assignment with questionnaire ${roleQuestionnaireKey}:`, updateError.message);
+          }
+        }
+      }
+    }
+
+    console.log(`📋 Assigned questionnaires: ${assignedQuestionnaireKeys.join(', ')}`);
+
+    // Fetch assigned questions (for total + missing-code reporting + optional sync)
+    const assignedQuestions = await Question.find({
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    }).select('_id code questionnaireKey answerType options').lean();
+
+    if (!assignedQuestions || assignedQuestions.length === 0) {
+      return res.json({ progress: 0, answered: 0, total: 0 });
+    }
+
+    // Total should be based on a stable unique identifier. Use question _id to avoid
+    // collisions when questionCode overlaps across questionnaires (e.g., T1/T2).
+    const getQuestionKey = (q) => (q?._id ? String(q._id) : '');
+
+    const totalKeysSet = new Set(assignedQuestions.map(getQuestionKey).filter(Boolean));
+    const totalQuestions = totalKeysSet.size;
+
+    if (totalQuestions === 0) {
+      return res.json({ progress: 0, answered: 0, total: 0 });
+    }
+
+    console.log(`📊 Total assigned questions: ${totalQuestions}`);
+
+    const byCode = new Map();
+    const byId = new Map();
+    assignedQuestions.forEach((q) => {
+      const c = q?.code !== undefined && q?.code !== null ? String(q.code).trim() : '';
+      if (c.length > 0) byCode.set(c, q);
+      if (q?._id) byId.set(String(q._id), q);
+    });
+
+    // Get responses for all assigned questionnaires
+    let responses = await Response.find({
+      projectId: projectIdObj,
+      userId: userIdObj,
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    }).select('answers questionnaireKey').lean();
+
+    console.log(`📦 Found ${responses.length} response documents`);
+
+    // Count answered questions using the same logic as /projects/:projectId/progress
+    // A question is answered if:
+    // - choice: answer.choiceKey exists
+    // - text: answer.text exists and trimmed length > 0
+    // - numeric: answer.numeric is not null
+    // - multiChoice: answer.multiChoiceKeys exists and has length > 0
+    // IMPORTANT: score=0 is valid and should be treated as answered
+
+    const countAnsweredFromResponses = (respDocs) => {
+      const answered = new Set();
+
+      console.log(`🔍 Analyzing ${respDocs.length} response documents for answered questions...`);
+
+      respDocs.forEach((response, responseIndex) => {
+        console.log(`📋 Response ${responseIndex + 1}: questionnaireKey=${response.questionnaireKey}, answers.length=${response.answers?.length || 0}`);
+
+        if (response.answers && Array.isArray(response.answers)) {
+          response.answers.forEach((answer, answerIndex) => {
+            const idKey = answer?.questionId ? String(answer.questionId) : '';
+            const codeKey = answer?.questionCode !== undefined && answer?.questionCode !== null ? String(answer.questionCode).trim() : '';
+            // Prefer questionId; fallback to questionnaireKey:code if needed
+            const key = idKey.length > 0 ? idKey : (codeKey.length > 0 ? `${response.questionnaireKey}:${codeKey}` : '');
+
+            if (!key) {
+              console.log(`⚠️ Answer entry ${answerIndex} missing questionCode and questionId:`, JSON.stringify(answer));
+              return; // Skip entries without any identifier
+            }
+
+            // Check if already counted (avoid duplicates)
+            if (answered.has(key)) {
+              console.log(`⚠️ Duplicate answer key detected: ${key}, skipping`);
+              return;
+            }
+
+            // Debug: log the answer structure
+            console.log(`🔍 Checking answer for ${key}:`, {
+              hasAnswer: !!answer.answer,
+              answerType: typeof answer.answer,
+              answerValue: answer.answer,
+              score: answer.score,
+              fullAnswer: JSON.stringify(answer).substring(0, 200)
+            });
+
+            // Check if answer has content
+            // Handle case where answer.answer might be null, undefined, or an empty object
+            // Also handle case where answer might be stored directly (not nested in answer.answer)
+            let hasAnswer = false;
+
+            // First check if answer.answer exists and has content
+            if (answer.answer) {
+              // Check for choiceKey
+              if (answer.answer.choiceKey !== null && answer.answer.choiceKey !== undefined && answer.answer.choiceKey !== '') {
+                hasAnswer = true;
+                console.log(`  ✅ Found choiceKey: ${answer.answer.choiceKey}`);
+              }
+              // Check for text
+              else if (answer.answer.text !== null && answer.answer.text !== undefined && String(answer.answer.text).trim().length > 0) {
+                hasAnswer = true;
+                console.log(`  ✅ Found text: ${String(answer.answer.text).substring(0, 50)}...`);
+              }
+              // Check for numeric
+              else if (answer.answer.numeric !== null && answer.answer.numeric !== undefined) {
+                hasAnswer = true;
+                console.log(`  ✅ Found numeric: ${answer.answer.numeric}`);
+              }
+              // Check for multiChoiceKeys
+              else if (answer.answer.multiChoiceKeys && Array.isArray(answer.answer.multiChoiceKeys) && answer.answer.multiChoiceKeys.length > 0) {
+                hasAnswer = true;
+                console.log(`  ✅ Found multiChoiceKeys: ${answer.answer.multiChoiceKeys.join(', ')}`);
+              } else {
+                console.log(`  ❌ No valid answer content found in answer.answer:`, JSON.stringify(answer.answer));
+              }
+            }
+            // Fallback: check if answer fields exist directly on answer object (for backward compatibility)
+            else if (answer.choiceKey || (answer.text && String(answer.text).trim().length > 0) || answer.numeric !== undefined || (answer.multiChoiceKeys && Array.isArray(answer.multiChoiceKeys) && answer.multiChoiceKeys.length > 0)) {
+              hasAnswer = true;
+              console.log(`  ✅ Found answer in direct fields (backward compatibility)`);
+            }
+            else {
+              console.log(`  ❌ answer.answer is null/undefined and no direct answer fields found for ${key}`);
+            }
+
+            if (hasAnswer) {
+              answered.add(key);
+              console.log(`✅ Counted answered question: ${key} (score: ${answer.score})`);
+            } else {
+              console.log(`⚠️ Question ${key} not counted as answered`);
+            }
+          });
+        } else {
+          console.log(`⚠️ Response ${responseIndex + 1} has no answers array`);
+        }
+      });
+
+      return answered;
+    };
+
+    let answeredQuestionCodes = countAnsweredFromResponses(responses);
+
+    const answeredCount = answeredQuestionCodes.size;
+    const progress = totalQuestions > 0 ? Math.round((answeredCount / totalQuestions) * 100) : 0;
+
+    console.log(`📊 Progress calculation: ${answeredCount}/${totalQuestions} = ${progress}%`);
+
+    /**
+     * If progress isn't 100, attempt a lightweight sync from GeneralQuestionsAnswers -> responses.
+     * This fixes cases where UI saved general answers under _id keys or only in general-questions collection.
+     * We only patch answers where we can confidently map a key to a Question (by code or _id).
+     */
+    const trySyncGeneralAnswersToResponses = async () => {
+      const doc = await GeneralQuestionsAnswers.findOne({
+        projectId: projectIdObj,
+        userId: userIdObj
+      }).lean();
+
+      if (!doc) return { didSync: false, updatedCount: 0 };
+
+      const flatAnswers = doc.answers || {};
+      const flatRisks = doc.risks || {};
+
+      const isValidRisk = (v) => v === 0 || v === 1 || v === 2 || v === 3 || v === 4;
+
+      // Build updates grouped by questionnaireKey -> questionCode
+      const updatesByQuestionnaire = new Map(); // questionnaireKey -> Map(code -> {questionId, answer, score?})
+
+      const resolveQuestion = (key) => byCode.get(String(key).trim()) || byId.get(String(key)) || null;
+
+      const coerceAnswer = (question, value) => {
+        const t = question?.answerType;
+        if (t === 'single_choice') {
+          const v = String(value ?? '');
+          const opt = (question.options || []).find((o) =>
+            o?.key === v ||
+            o?.label?.en === v ||
+            o?.label?.tr === v ||
+            o?.label === v
+          );
+          return { answer: { choiceKey: opt ? opt.key : v }, optionScore: opt?.score };
+        }
+        if (t === 'open_text') {
+          return { answer: { text: String(value ?? '') } };
+        }
+        if (t === 'multi_choice') {
+          const arr = Array.isArray(value) ? value : [value];
+          return { answer: { multiChoiceKeys: arr.map((x) => String(x)) } };
+        }
+        if (t === 'numeric') {
+          const n = Number(value);
+          return { answer: { numeric: Number.isFinite(n) ? n : undefined } };
+        }
+        // fallback: store as text
+        return { answer: { text: typeof value === 'string' ? value : JSON.stringify(value) } };
+      };
+
+      for (const [key, value] of Object.entries(flatAnswers)) {
+        const q = resolveQuestion(key);
+        if (!q || !q.questionnaireKey) continue;
+        if (!assignedQuestionnaireKeys.includes(q.questionnaireKey)) continue;
+
+        const { answer, optionScore } = coerceAnswer(q, value);
+
+        // Determine score (prefer risk 0-4; else option score; else undefined so we don't overwrite)
+        const qCodeTrim = q.code !== undefined && q.code !== null ? String(q.code).trim() : '';
+        const qKey = String(q._id);
+
+        const riskVal =
+          (qCodeTrim.length > 0 ? flatRisks[qCodeTrim] : undefined) ??
+          flatRisks[String(q._id)] ??
+          flatRisks[key];
+
+        let scoreToSet = undefined;
+        if (isValidRisk(riskVal)) scoreToSet = riskVal;
+        else if (typeof optionScore === 'number') scoreToSet = optionScore;
+
+        if (!updatesByQuestionnaire.has(q.questionnaireKey)) {
+          updatesByQuestionnaire.set(q.questionnaireKey, new Map());
+        }
+        updatesByQuestionnaire.get(q.questionnaireKey).set(qKey, {
+          questionId: q._id,
+          questionCode: qKey,
+          answer,
+          score: scoreToSet
+        });
+      }
+
+      if (updatesByQuestionnaire.size === 0) return { didSync: false, updatedCount: 0 };
+
+      let updatedCount = 0;
+
+      for (const [questionnaireKey, updatesMap] of updatesByQuestionnaire.entries()) {
+        const responseDoc = await Response.findOne({
+          projectId: projectIdObj,
+          userId: userIdObj,
+          questionnaireKey
+        });
+
+        if (!responseDoc) continue;
+
+        let changed = false;
+        responseDoc.answers = Array.isArray(responseDoc.answers) ? responseDoc.answers : [];
+
+        // Update existing entries
+        responseDoc.answers = responseDoc.answers.map((a) => {
+          const aKey = a?.questionId ? String(a.questionId) : '';
+
+          if ((!a.questionCode || String(a.questionCode).trim().length === 0) && a?.questionId) {
+            // Repair empty questionCode to stable value (use questionId string)
+            a.questionCode = String(a.questionId);
+          }
+
+          const upd = aKey ? updatesMap.get(aKey) : null;
+          if (!upd) return a;
+
+          // Only update if we have meaningful content
+          const newAnswer = upd.answer;
+          if (newAnswer && typeof newAnswer === 'object') {
+            a.answer = newAnswer;
+            changed = true;
+          }
+          if (upd.score !== undefined && isValidRisk(upd.score)) {
+            a.score = upd.score;
+            changed = true;
+          }
+          updatedCount++;
+          return a;
+        });
+
+        // Add missing entries (rare)
+        const existingCodes = new Set(
+          responseDoc.answers
+            .map((a) => {
+              return a?.questionId ? String(a.questionId) : '';
+            })
+            .filter(Boolean)
+        );
+        for (const [code, upd] of updatesMap.entries()) {
+          if (existingCodes.has(code)) continue;
+          responseDoc.answers.push({
+            questionId: upd.questionId,
+            questionCode: upd.questionCode,
+            answer: upd.answer,
+            score: isValidRisk(upd.score) ? upd.score : 2,
+            notes: null,
+            evidence: []
+          });
+          changed = true;
+        }
+
+        if (changed) {
+          responseDoc.updatedAt = new Date();
+          await responseDoc.save();
+        }
+      }
+
+      return { didSync: true, updatedCount };
+    };
+
+    // If not complete, try sync once then recount
+    if (progress < 100) {
+      try {
+        const syncResult = await trySyncGeneralAnswersToResponses();
+        if (syncResult.didSync) {
+          responses = await Response.find({
+            projectId: projectIdObj,
+            userId: userIdObj,
+            questionnaireKey: { $in: assignedQuestionnaireKeys }
+          }).select('answers questionnaireKey').lean();
+
+          answeredQuestionCodes = countAnsweredFromResponses(responses);
+        }
+      } catch (syncErr) {
+        console.warn('⚠️ Progress auto-sync skipped due to error:', syncErr.message);
+      }
+    }
+
+    const finalAnsweredCount = answeredQuestionCodes.size;
+    const finalProgress = totalQuestions > 0 ? Math.round((finalAnsweredCount / totalQuestions) * 100) : 0;
+
+    // Missing codes (debug-friendly)
+    const missingQuestionCodes = Array.from(totalKeysSet).filter((k) => !answeredQuestionCodes.has(k));
+
+    // Data integrity check: log warning if assigned questions != saved answers
+    const savedQuestionCodes = new Set();
+    responses.forEach(response => {
+      if (response.answers && Array.isArray(response.answers)) {
+        response.answers.forEach(answer => {
+          if (answer.questionCode) {
+            savedQuestionCodes.add(answer.questionCode);
+          }
+        });
+      }
+    });
+
+    if (savedQuestionCodes.size !== totalQuestions) {
+      console.warn(`⚠️ DATA INTEGRITY WARNING: Assigned questions (${totalQuestions}) != saved answers (${savedQuestionCodes.size}) for project ${projectId}, user ${userId}`);
+      console.warn(`⚠️ Assigned questionnaires: ${assignedQuestionnaireKeys.join(', ')}`);
+      console.warn(`⚠️ Found responses for: ${responses.map(r => r.questionnaireKey).join(', ')}`);
+    }
+
+    // Log detailed progress info for debugging
+    console.log(`📊 Final progress result: ${finalProgress}% (${finalAnsweredCount} answered out of ${totalQuestions} total questions)`);
+    console.log(`📊 Answered question codes: ${Array.from(answeredQuestionCodes).slice(0, 10).join(', ')}${answeredQuestionCodes.size > 10 ? '...' : ''}`);
+
+    res.json({
+      progress: Math.max(0, Math.min(100, finalProgress)),
+      answered: finalAnsweredCount,
+      total: totalQuestions,
+      questionnaires: assignedQuestionnaireKeys,
+      responseCount: responses.length,
+      missingCount: missingQuestionCodes.length,
+      missingQuestionCodes: missingQuestionCodes.slice(0, 50) // cap for payload safety
+    });
+  } catch (err) {
+    console.error('Error calculating user progress:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Initialize responses for a user (ensures all assigned questions are present)
+router.post('/api/responses/initialize', validate(evaluationSchemas.initializeResponses), authorize('evaluation.submit', { project: projectFrom.body() }), async (req, res) => {
+  try {
+    const { projectId } = req.body;
+    const userId = getActorId(req);
+    if (!projectId || !userId) {
+      return res.status(400).json({ error: 'projectId and userId are required' });
+    }
+
+    const ProjectAssignment = require('../models/projectAssignment');
+    const { initializeResponses } = require('../services/evaluationService');
+
+    const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    const assignment = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj });
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    await initializeResponses(projectIdObj, userIdObj, assignment.role, assignment.questionnaires || []);
+
+    res.json({
+      success: true,
+      message: `Initialized responses for ${assignment.questionnaires.length} questionnaires`
+    });
+  } catch (err) {
+    console.error('Error initializing responses:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Data integrity check endpoint
+router.get('/projects/:projectId/integrity', authorize('admin.debug'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = resolveSubjectUserId(req, req.query.userId);
+
+    if (!projectId || !userId) {
+      return res.status(400).json({ error: 'projectId and userId are required' });
+    }
+
+    const Response = require('../models/response');
+    const Question = require('../models/question');
+    const ProjectAssignment = require('../models/projectAssignment');
+    const { initializeResponses } = require('../services/evaluationService');
+
+    const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    console.log(`🔍 Integrity check: projectId=${projectId}, userId=${userId}`);
+
+    // Step 1: Get project assignment
+    const assignment = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj });
+    if (!assignment) {
+      return res.status(404).json({
+        error: 'Assignment not found',
+        totalAssigned: 0,
+        totalSavedAnswerEntries: 0,
+        missingQuestionnaireKeys: [],
+        missingQuestionCodes: [],
+        isConsistent: false
+      });
+    }
+
+    // Step 2: Get assigned questionnaire keys
+    const assignedQuestionnaireKeys = assignment.questionnaires || [];
+    if (assignedQuestionnaireKeys.length === 0) {
+      console.warn(`⚠️ No questionnaires assigned for project ${projectId}, user ${userId}`);
+      return res.json({
+        totalAssigned: 0,
+        totalSavedAnswerEntries: 0,
+        missingQuestionnaireKeys: [],
+        missingQuestionCodes: [],
+        isConsistent: true
+      });
+    }
+
+    console.log(`📋 Assigned questionnaires: ${assignedQuestionnaireKeys.join(', ')}`);
+
+    // Step 3: Count total assigned questions
+    const assignedQuestions = await Question.find({
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    }).select('code questionnaireKey').lean();
+
+    const totalAssigned = assignedQuestions.length;
+    console.log(`📊 Total assigned questions: ${totalAssigned}`);
+
+    // Step 4: Get all saved responses
+    const responses = await Response.find({
+      projectId: projectIdObj,
+      userId: userIdObj,
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    }).select('questionnaireKey answers').lean();
+
+    console.log(`📦 Found ${responses.length} response documents`);
+
+    // Step 5: Count total saved answer entries
+    let totalSavedAnswerEntries = 0;
+    const savedQuestionCodesByQuestionnaire = {};
+    const foundQuestionnaireKeys = new Set();
+
+    responses.forEach(response => {
+      foundQuestionnaireKeys.add(response.questionnaireKey);
+      if (response.answers && Array.isArray(response.answers)) {
+        totalSavedAnswerEntries += response.answers.length;
+        if (!savedQuestionCodesByQuestionnaire[response.questionnaireKey]) {
+          savedQuestionCodesByQuestionnaire[response.questionnaireKey] = new Set();
+        }
+        response.answers.forEach(answer => {
+          if (answer.questionCode) {
+            savedQuestionCodesByQuestionnaire[response.questionnaireKey].add(answer.questionCode);
+          }
+        });
+      }
+    });
+
+    console.log(`💾 Total saved answer entries: ${totalSavedAnswerEntries}`);
+
+    // Step 6: Find missing questionnaire keys
+    const missingQuestionnaireKeys = assignedQuestionnaireKeys.filter(
+      key => !foundQuestionnaireKeys.has(key)
+    );
+
+    // Step 7: Find missing question codes per questionnaire
+    const missingQuestionCodes = [];
+    const assignedQuestionsByQuestionnaire = {};
+
+    assignedQuestions.forEach(q => {
+      if (!assignedQuestionsByQuestionnaire[q.questionnaireKey]) {
+        assignedQuestionsByQuestionnaire[q.questionnaireKey] = new Set();
+      }
+      assignedQuestionsByQuestionnaire[q.questionnaireKey].add(q.code);
+    });
+
+    assignedQuestionnaireKeys.forEach(questionnaireKey => {
+      const assignedCodes = assignedQuestionsByQuestionnaire[questionnaireKey] || new Set();
+      const savedCodes = savedQuestionCodesByQuestionnaire[questionnaireKey] || new Set();
+
+      assignedCodes.forEach(code => {
+        if (!savedCodes.has(code)) {
+          missingQuestionCodes.push({
+            questionnaireKey,
+            questionCode: code
+          });
+        }
+      });
+    });
+
+    // Step 8: Validate consistency
+    const isConsistent =
+      missingQuestionnaireKeys.length === 0 &&
+      missingQuestionCodes.length === 0 &&
+      totalSavedAnswerEntries >= totalAssigned; // >= because there might be extra entries
+
+    // Step 9: Log errors if mismatch
+    if (!isConsistent) {
+      console.error(`❌ DATA INTEGRITY ERROR for project ${projectId}, user ${userId}:`);
+      if (missingQuestionnaireKeys.length > 0) {
+        console.error(`   Missing questionnaire keys: ${missingQuestionnaireKeys.join(', ')}`);
+      }
+      if (missingQuestionCodes.length > 0) {
+        console.error(`   Missing question codes: ${missingQuestionCodes.length} total`);
+        missingQuestionCodes.slice(0, 10).forEach(m => {
+          console.error(`     - ${m.questionnaireKey}:${m.questionCode}`);
+        });
+        if (missingQuestionCodes.length > 10) {
+          console.error(`     ... and ${missingQuestionCodes.length - 10} more`);
+        }
+      }
+      if (totalSavedAnswerEntries < totalAssigned) {
+        console.error(`   Answer count mismatch: ${totalSavedAnswerEntries} saved vs ${totalAssigned} assigned`);
+      }
+
+      // Optional auto-repair
+      const autoRepair = req.query.autoRepair === 'true';
+      if (autoRepair) {
+        console.log(`🔧 Auto-repair enabled, initializing missing responses...`);
+        try {
+          await initializeResponses(projectIdObj, userIdObj, assignment.role, assignedQuestionnaireKeys);
+          console.log(`✅ Auto-repair completed`);
+        } catch (repairError) {
+          console.error(`❌ Auto-repair failed: ${repairError.message}`);
+        }
+      }
+    } else {
+      console.log(`✅ Data integrity check passed for project ${projectId}, user ${userId}`);
+    }
+
+    res.json({
+      totalAssigned,
+      totalSavedAnswerEntries,
+      missingQuestionnaireKeys,
+      missingQuestionCodes: missingQuestionCodes.map(m => `${m.questionnaireKey}:${m.questionCode}`),
+      isConsistent
+    });
+  } catch (err) {
+    console.error('Error in integrity check:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Debug endpoint to check answer structure
+router.get('/projects/:projectId/debug-answers', authorize('admin.debug'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = resolveSubjectUserId(req, req.query.userId);
+
+    if (!projectId || !userId) {
+      return res.status(400).json({ error: 'projectId and userId are required' });
+    }
+
+    const Response = require('../models/response');
+
+    const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    const responses = await Response.find({
+      projectId: projectIdObj,
+      userId: userIdObj
+    }).select('questionnaireKey answers').lean();
+
+    const debugInfo = responses.map(response => ({
+      questionnaireKey: response.questionnaireKey,
+      totalAnswers: response.answers?.length || 0,
+      answers: response.answers?.slice(0, 5).map(answer => ({
+        questionCode: answer.questionCode,
+        answerStructure: answer.answer,
+        answerType: typeof answer.answer,
+        hasChoiceKey: answer.answer?.choiceKey !== undefined,
+        hasText: answer.answer?.text !== undefined,
+        hasNumeric: answer.answer?.numeric !== undefined,
+        hasMultiChoice: answer.answer?.multiChoiceKeys !== undefined,
+        score: answer.score
+      })) || []
+    }));
+
+    res.json({ responses: debugInfo });
+  } catch (err) {
+    console.error('Error in debug endpoint:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Progress endpoint (based on assigned questions and answered count)
+router.get('/projects/:projectId/progress', authorize('progress.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = resolveSubjectUserId(req, req.query.userId);
+
+    if (!projectId || !userId) {
+      return res.status(400).json({ error: 'projectId and userId are required' });
+    }
+
+    const Response = require('../models/response');
+    const Question = require('../models/question');
+    const ProjectAssignment = require('../models/projectAssignment');
+
+    const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    console.log(`📊 Progress request: projectId=${projectId}, userId=${userId}`);
+
+    // Step 1: Get project assignment
+    const assignment = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj });
+    if (!assignment) {
+      return res.json({
+        totalAssigned: 0,
+        answeredCount: 0,
+        progressPercent: 0
+      });
+    }
+
+    // Step 2: Get assigned questionnaire keys
+    const assignedQuestionnaireKeys = assignment.questionnaires || [];
+    if (assignedQuestionnaireKeys.length === 0) {
+      return res.json({
+        totalAssigned: 0,
+        answeredCount: 0,
+        progressPercent: 0
+      });
+    }
+
+    // Step 3: Count total assigned questions
+    const totalAssigned = await Question.countDocuments({
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    });
+
+    if (totalAssigned === 0) {
+      return res.json({
+        totalAssigned: 0,
+        answeredCount: 0,
+        progressPercent: 0
+      });
+    }
+
+    // Step 4: Get all responses
+    const responses = await Response.find({
+      projectId: projectIdObj,
+      userId: userIdObj,
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    }).select('answers.questionCode answers.questionId answers.answer answers.score').lean();
+
+    // Step 5: Count answered questions
+    // A question is answered if:
+    // - choice: answer.choiceKey exists
+    // - text: answer.text exists and trimmed length > 0
+    // - numeric: answer.numeric is not null
+    // - multiChoice: answer.multiChoiceKeys exists and has length > 0
+    // IMPORTANT: score=0 is valid and should be treated as answered
+    let answeredCount = 0;
+    const answeredQuestionCodes = new Set();
+
+    console.log(`🔍 Analyzing ${responses.length} response documents for answered questions...`);
+
+    responses.forEach((response, responseIndex) => {
+      console.log(`📋 Response ${responseIndex + 1}: questionnaireKey=${response.questionnaireKey}, answers.length=${response.answers?.length || 0}`);
+
+      if (response.answers && Array.isArray(response.answers)) {
+        response.answers.forEach((answer, answerIndex) => {
+          if (!answer.questionCode) {
+            console.log(`⚠️ Answer entry ${answerIndex} missing questionCode:`, JSON.stringify(answer));
+            return; // Skip entries without questionCode
+          }
+
+          // Check if already counted (avoid duplicates)
+          if (answeredQuestionCodes.has(answer.questionCode)) {
+            console.log(`⚠️ Duplicate questionCode detected: ${answer.questionCode}, skipping`);
+            return;
+          }
+
+          // Debug: log the answer structure
+          console.log(`🔍 Checking answer for ${answer.questionCode}:`, {
+            hasAnswer: !!answer.answer,
+            answerType: typeof answer.answer,
+            answerValue: answer.answer,
+            score: answer.score
+          });
+
+          // Check if answer has content
+          // Handle case where answer.answer might be null, undefined, or an empty object
+          let hasAnswer = false;
+
+          if (answer.answer) {
+            // Check for choiceKey
+            if (answer.answer.choiceKey !== null && answer.answer.choiceKey !== undefined && answer.answer.choiceKey !== '') {
+              hasAnswer = true;
+              console.log(`  ✅ Found choiceKey: ${answer.answer.choiceKey}`);
+            }
+            // Check for text
+            else if (answer.answer.text !== null && answer.answer.text !== undefined && String(answer.answer.text).trim().length > 0) {
+              hasAnswer = true;
+              console.log(`  ✅ Found text: ${String(answer.answer.text).substring(0, 50)}...`);
+            }
+            // Check for numeric
+            else if (answer.answer.numeric !== null && answer.answer.numeric !== undefined) {
+              hasAnswer = true;
+              console.log(`  ✅ Found numeric: ${answer.answer.numeric}`);
+            }
+            // Check for multiChoiceKeys
+            else if (answer.answer.multiChoiceKeys && Array.isArray(answer.answer.multiChoiceKeys) && answer.answer.multiChoiceKeys.length > 0) {
+              hasAnswer = true;
+              console.log(`  ✅ Found multiChoiceKeys: ${answer.answer.multiChoiceKeys.join(', ')}`);
+            } else {
+              console.log(`  ❌ No valid answer content found in answer.answer:`, JSON.stringify(answer.answer));
+            }
+          } else {
+            console.log(`  ❌ answer.answer is null/undefined for ${answer.questionCode}`);
+          }
+
+          if (hasAnswer) {
+            answeredQuestionCodes.add(answer.questionCode);
+            answeredCount++;
+            console.log(`✅ Counted answered question: ${answer.questionCode} (score: ${answer.score})`);
+          } else {
+            console.log(`⚠️ Question ${answer.questionCode} not counted as answered`);
+          }
+        });
+      } else {
+        console.log(`⚠️ Response ${responseIndex + 1} has no answers array`);
+      }
+    });
+
+    // Step 6: Calculate progress
+    const progressPercent = totalAssigned > 0
+      ? Math.round((answeredCount / totalAssigned) * 100)
+      : 0;
+
+    console.log(`📊 Progress: ${answeredCount}/${totalAssigned} = ${progressPercent}%`);
+
+    res.json({
+      totalAssigned,
+      answeredCount,
+      progressPercent: Math.max(0, Math.min(100, progressPercent))
+    });
+  } catch (err) {
+    console.error('Error calculating progress:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get scores for a project (or all projects if projectId not provided)
+router.get('/api/scores', authorize('score.view', { project: projectFrom.query() }), async (req, res) => {
+  try {
+    const Score = require('../models/score');
+    const { projectId } = req.query;
+
+    const query = {};
+    if (projectId) {
+      query.projectId = isValidObjectId(projectId)
+        ? new mongoose.Types.ObjectId(projectId)
+        : projectId;
+    }
+
+    const scores = await Score.find(query).lean();
+    res.json(scores);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1244 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const UseCase = require('../models/UseCase');
+const Evaluation = require('../models/Evaluation');
+const Tension = require('../models/Tension');
+const Message = require('../models/Message');
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId, resolveSubjectUserId } = require('../middleware/auth');
+const { authorize, projectFrom } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const projectSchemas = require('./schemas/projectSchemas');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditLogService');
+const { listScoringModels } = require('../services/scoringModels');
+const { safeRecomputeScores, checkScoreStatus } = require('../services/safeScoreRecompute');
+const { describeRiskThresholds } = require('../utils/riskScale');
+const { getThresholdSet, getDefaultThresholdSet, getProjectThresholdSet } = require('../services/thresholdSetService');
+const { getProjectAnalytics } = require('../services/analyticsService');
+const { getProjectRoleWeights } = require('../services/roleWeightService');
+const { getProjectProvenance } = require('../services/provenanceService');
+const { enqueueScoreRecompute, flushProjectRecompute, getScoreStaleness } = require('../services/scoreRecomputeQueue');
+const { getScoreHistory, getScoreTrend } = require('../services/scoreHistoryService');
+const { loadQuestionVisibilities } = require('../services/questionVisibilityService');
+const { resolveAssignedQuestionnaires } = require('../services/questionCatalogueService');
+const { DEFAULT_ROLE_WEIGHTS } = require('../config/roles.config');
+
+// -------------------------------------------------------------
+// NEW ARCHITECTURE: Assignments are tracked per-Project, not per-UseCase.
+// -------------------------------------------------------------
+router.put('/projects/:id/assign', validate(projectSchemas.assign), authorize('project.assign'), async (req, res) => {
+  try {
+    const { assignedExperts = [] } = req.body;
+    const projectId = req.params.id;
+
+    if (!isValidObjectId(projectId)) {
+      return res.status(400).json({ error: 'Invalid project ID' });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Validate and filter assigned experts
+    let validAssignedExperts = [];
+    if (assignedExperts && Array.isArray(assignedExperts) && assignedExperts.length > 0) {
+      validAssignedExperts = assignedExperts
+        .map(id => {
+          if (!id) return null;
+          const idStr = id.toString();
+          return isValidObjectId(idStr) ? new mongoose.Types.ObjectId(idStr) : null;
+        })
+        .filter(Boolean);
+
+      // Verify these are actual expert users (not admins)
+      if (validAssignedExperts.length > 0) {
+        const experts = await User.find({
+          _id: { $in: validAssignedExperts },
+          role: { $ne: 'admin' }
+        }).select('_id').lean();
+        validAssignedExperts = experts.map(e => e._id);
+      }
+    }
+
+    // Include the original Use Case Owner so they don't lose access
+    const usersToAssign = new Set();
+    const UseCase = mongoose.model('UseCase');
+    if (project.useCase) {
+      const uc = await UseCase.findById(project.useCase).select('ownerId').lean();
+      if (uc?.ownerId) {
+        usersToAssign.add(uc.ownerId.toString());
+      }
+    }
+
+    validAssignedExperts.forEach(expertId => {
+      usersToAssign.add(expertId.toString());
+    });
+
+    const newAssignedUsers = Array.from(usersToAssign).map(id => new mongoose.Types.ObjectId(id));
+
+    // Evaluate Project status
+    // A fresh project usually starts 'planning'. If it has experts, we consider it 'ongoing'.
+    let newStatus = project.status;
+    if (validAssignedExperts.length > 0 && (project.status === 'planning' || !project.status)) {
+      newStatus = 'ongoing';
+    } else if (validAssignedExperts.length === 0 && project.status === 'ongoing') {
+      newStatus = 'planning'; // Or 'created', depending on schema
+    }
+
+    // Update Project Document
+    const updatedProject = await Project.findByIdAndUpdate(
+      projectId,
+      { assignedUsers: newAssignedUsers, status: newStatus },
+      { new: true }
+    );
+
+    // Synchronize ProjectAssignment Collection
+    const ProjectAssignment = require('../models/projectAssignment');
+    const { calculateProjectProgress } = require('../services/evaluationService');
+
+    // Get currently assigned experts (ignoring the owner for the sake of task assignments)
+    const existingAssignmentsObj = await ProjectAssignment.find({ projectId }).lean();
+    const existingExpertIdsStrings = existingAssignmentsObj.map(pa => pa.userId.toString());
+
+    const newExpertIdsStrings = validAssignedExperts.map(id => id.toString());
+
+    // 1. Remove assignments for users who are no longer in validAssignedExperts
+    for (const existingId of existingExpertIdsStrings) {
+      if (!newExpertIdsStrings.includes(existingId)) {
+        // Did not check if it was UseCaseOwner because Owner shouldn't have an expert assignment record anyway, 
+        // but just in case, we only strip them if they were purely removed from the "experts" UI pool.
+        await ProjectAssignment.findOneAndDelete({ projectId: updatedProject._id, userId: existingId });
+      }
+    }
+
+    // 2. Create assignments for newly added users
+    for (const newId of newExpertIdsStrings) {
+      if (!existingExpertIdsStrings.includes(newId)) {
+        await ProjectAssignment.create({
+          projectId: updatedProject._id,
+          userId: newId,
+          status: 'assigned'
+        });
+      }
+    }
+
+    const addedExperts = newExpertIdsStrings.filter(id => !existingExpertIdsStrings.includes(id));
+    const removedExperts = existingExpertIdsStrings.filter(id => !newExpertIdsStrings.includes(id));
+    if (addedExperts.length || removedExperts.length) {
+      await recordAuditEvent(AUDIT_EVENTS.PROJECT_ASSIGNMENT_CHANGE, {
+        req,
+        projectId: updatedProject._id,
+        details: { added: addedExperts, removed: removedExperts, via: 'project' }
+      });
+    }
+
+    // Optional: Re-run global eval metrics
+    try {
+      await calculateProjectProgress(projectId);
+    } catch (err) {
+      console.warn('Progress calculation ignoring:', err);
+    }
+
+    res.json({ success: true, project: updatedProject });
+
+  } catch (err) {
+    console.error("Error updating project assignments:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Evolution completion (Finish Evolution) ---
+// GET /api/project-assignments?userId= (userId honoured for admins only)
+// Returns assignment records for a user (used to power "Commented" tab and Finish Evolution visibility)
+router.get('/project-assignments', authorize('project.list'), async (req, res) => {
+  try {
+    const userId = resolveSubjectUserId(req, req.query.userId);
+    if (!userId) return res.status(400).json({ error: 'Missing userId' });
+
+    const ProjectAssignment = require('../models/projectAssignment');
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+
+    const assignments = await ProjectAssignment.find({ userId: userIdObj })
+      .select('projectId userId role status completedAt evolutionCompletedAt')
+      .lean();
+
+    if (!assignments || assignments.length === 0) {
+      return res.json([]);
+    }
+
+    // OPTIMIZATION: Batch fetch all data at once instead of querying in a loop
+    const projectIds = assignments.map(a => a.projectId);
+
+    // 1. Fetch all projects in one query
+    const projects = await Project.find({ _id: { $in: projectIds } })
+      .select('_id useCase')
+      .lean();
+    const projectMap = new Map(projects.map(p => [String(p._id), p]));
+
+    // 2. Fetch all use cases in one query
+    const useCaseIds = projects.map(p => p.useCase).filter(Boolean);
+    const useCases = useCaseIds.length > 0
+      ? await mongoose.model('UseCase').find({ _id: { $in: useCaseIds } })
+        .select('_id ownerId')
+        .lean()
+      : [];
+    const useCaseMap = new Map(useCases.map(uc => [String(uc._id), uc]));
+
+    // 3. Fetch all expert assignments for all projects in one query
+    const allProjectAssignments = await ProjectAssignment.find({
+      projectId: { $in: projectIds },
+      status: { $in: ['assigned', 'in_progress', 'submitted'] }
+    })
+      .select('projectId userId evolutionCompletedAt')
+      .lean();
+
+    // Group assignments by project
+    const assignmentsByProject = new Map();
+    for (const assignment of allProjectAssignments) {
+      const projId = String(assignment.projectId);
+      if (!assignmentsByProject.has(projId)) {
+        assignmentsByProject.set(projId, []);
+      }
+      assignmentsByProject.get(projId).push(assignment);
+    }
+
+    // 4. Process each user assignment
+    const assignmentsWithStatus = assignments.map(a => {
+      let allExpertsCompleted = false;
+
+      try {
+        const projectId = String(a.projectId);
+        const project = projectMap.get(projectId);
+        const projectAssignments = assignmentsByProject.get(projectId) || [];
+
+        // Get expert IDs (excluding admins and use case owner)
+        let expertAssignments = projectAssignments.filter(pa => {
+          // TODO: Filter out admins if needed (would need user role data)
+          return true;
+        });
+
+        // Exclude use case owner
+        if (project?.useCase) {
+          const useCase = useCaseMap.get(String(project.useCase));
+          if (useCase?.ownerId) {
+            const ownerIdStr = String(useCase.ownerId);
+            expertAssignments = expertAssignments.filter(
+              pa => String(pa.userId) !== ownerIdStr
+            );
+          }
+        }
+
+        // Check if all experts have completed
+        if (expertAssignments.length > 0) {
+          allExpertsCompleted = expertAssignments.every(
+            pa => pa.evolutionCompletedAt
+          );
+        }
+      } catch (error) {
+        console.error(`Error checking allExpertsCompleted for project ${a.projectId}:`, error);
+      }
+
+      return {
+        ...a,
+        id: String(a._id),
+        projectId: String(a.projectId),
+        userId: String(a.userId),
+        allExpertsCompleted
+      };
+    });
+
+    res.json(assignmentsWithStatus);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/projects/:projectId/finish-evolution
+// Server-side check: user must have voted on ALL tensions in the project.
+// If ok, marks the user's ProjectAssignment as evolutionCompletedAt and notifies admin via notification message.
+router.post('/projects/:projectId/finish-evolution', validate(projectSchemas.finishEvolution), authorize('project.finishEvolution', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const userId = getActorId(req);
+
+    if (!projectId) return res.status(400).json({ error: 'Missing projectId' });
+    if (!userId) return res.status(400).json({ error: 'Missing userId' });
+
+    const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
+    const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
+    const userIdStr = String(userId);
+
+    const project = await Project.findById(projectIdObj).lean();
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const user = await User.findById(userIdObj).select('name role').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Check if user is the use case owner (owners don't need to vote on tensions)
+    let isUseCaseOwner = false;
+    if (project.useCase) {
+      const UseCase = mongoose.model('UseCase');
+      const useCase = await UseCase.findById(project.useCase).select('ownerId').lean();
+      if (useCase?.ownerId && String(useCase.ownerId) === userIdStr) {
+        isUseCaseOwner = true;
+      }
+    }
+
+    // Initialize tension voting variables (needed for response)
+    let totalTensions = 0;
+    let votedTensions = 0;
+
+    // Check tension votes (skip for use case owners - they are not experts)
+    if (!isUseCaseOwner) {
+      const allTensions = await Tension.find({ projectId: projectIdObj }).select('votes createdBy').lean();
+
+      // Exclude tensions created by the user (they can't vote on their own tensions)
+      const tensionsToVoteOn = allTensions.filter((t) => String(t.createdBy) !== userIdStr);
+      totalTensions = tensionsToVoteOn.length;
+
+      votedTensions = tensionsToVoteOn.filter((t) => {
+        const votes = Array.isArray(t.votes) ? t.votes : [];
+        return votes.some((v) => String(v.userId) === userIdStr);
+      }).length;
+
+      if (totalTensions > 0 && votedTensions < totalTensions) {
+        return res.status(400).json({
+          error: 'NOT_ALL_TENSIONS_VOTED',
+          totalTensions,
+          votedTensions,
+          expertNames: user.name || 'you'
+        });
+      }
+    }
+
+    // Check if all questions are answered
+    const Response = require('../models/response');
+    const Question = require('../models/question');
+
+    // Get assignment (will be created below if missing)
+    const ProjectAssignment = require('../models/projectAssignment');
+    let assignmentForCheck = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj });
+    if (!assignmentForCheck) {
+      // Create assignment if missing (should be rare)
+      try {
+        const { createAssignment } = require('../services/evaluationService');
+        const role = user.role || 'unknown';
+        const questionnaires = ['general-v1'];
+        assignmentForCheck = await createAssignment(projectIdObj, userIdObj, role, questionnaires);
+      } catch {
+        // fallback: create minimal assignment doc
+        assignmentForCheck = await ProjectAssignment.create({
+          projectId: projectIdObj,
+          userId: userIdObj,
+          role: user.role || 'unknown',
+          questionnaires: ['general-v1'],
+          status: 'assigned',
+        });
+      }
+    }
+
+    // Get all assigned questionnaires
+    const assignedQuestionnaireKeys = assignmentForCheck.questionnaires || [];
+    if (assignedQuestionnaireKeys.length === 0) {
+      // If no questionnaires assigned, try to determine from role
+      const role = user.role || 'unknown';
+      if (role === 'ethical-expert') assignedQuestionnaireKeys.push('ethical-expert-v1');
+      else if (role === 'medical-expert') assignedQuestionnaireKeys.push('medical-expert-v1');
+      else if (role === 'technical-expert') assignedQuestionnaireKeys.push('technical-expert-v1');
+      else if (role === 'legal-expert') assignedQuestionnaireKeys.push('legal-expert-v1');
+      else if (role === 'education-expert') assignedQuestionnaireKeys.push('education-expert-v1');
+      // assignedQuestionnaireKeys.push('general-v1'); // REMOVED: Do not force general-v1. Strict assignment only.
+      if (assignedQuestionnaireKeys.length === 0) assignedQuestionnaireKeys.push('general-v1'); // Only default to general if NOTHING else matched
+    }
+
+    // Check which questionnaires actually have responses in the database
+    const existingResponses = await Response.find({
+      projectId: projectIdObj,
+      userId: userIdObj,
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    }).select('questionnaireKey').lean();
+
+    const existingQuestionnaireKeys = new Set(existingResponses.map(r => r.questionnaireKey));
+
+    let questionnairesToCount = assignedQuestionnaireKeys.slice();
+    const hasGeneralResponse = existingQuestionnaireKeys.has('general-v1');
+    const hasRoleSpecificResponse = assignedQuestionnaireKeys.some(key =>
+      key.includes('-expert-v1') && existingQuestionnaireKeys.has(key)
+    );
+
+    // If both general-v1 and role-specific responses exist, count both
+    // If only role-specific exists and has 30+ questions, it likely includes general questions
+    // Logic removed: We no longer auto-exclude general-v1 based on question count.
+    // Strict questionnaire scoping applies.
+
+    // Get all assigned questions
+    const allAssignedQuestions = await Question.find({
+      questionnaireKey: { $in: questionnairesToCount }
+    }).select('code _id required').lean();
+
+    // Get all responses for this user and project across all assigned questionnaires
+    // questionnairesToCount is only for question count, but we need to fetch all responses
+    const responses = await Response.find({
+      projectId: projectIdObj,
+      userId: userIdObj,
+      questionnaireKey: { $in: assignedQuestionnaireKeys }
+    }).select('questionnaireKey answers').lean();
+
+    console.log(`📊 Finish evolution: Fetched ${responses.length} response(s) for questionnaires: ${responses.map(r => r.questionnaireKey).join(', ')}`);
+
+    // Check custom questions from Evaluation
+    const evaluation = await Evaluation.findOne({
+      projectId: projectIdObj,
+      userId: userIdObj
+    }).select('customQuestions answers').lean();
+
+    const customQuestions = evaluation?.customQuestions || [];
+    const customQuestionIds = customQuestions.map((q) => q.id).filter(Boolean);
+
+    // Helper function to check if answer is answered
+    const isAnswerAnswered = (answer) => {
+      if (answer === null || answer === undefined) return false;
+      if (typeof answer === 'string') return answer.trim().length > 0;
+      if (Array.isArray(answer)) return answer.length > 0;
+      if (typeof answer === 'object') {
+        // Check for answer object structure
+        if (answer.choiceKey) return true;
+        if (answer.text && answer.text.trim().length > 0) return true;
+        if (answer.numeric !== undefined && answer.numeric !== null) return true;
+        if (answer.multiChoiceKeys && answer.multiChoiceKeys.length > 0) return true;
+        return false;
+      }
+      return true; // numbers/booleans count as answered
+    };
+
+    // Check all assigned questions are answered
+    const unansweredQuestions = [];
+
+    for (const question of allAssignedQuestions) {
+      const questionCode = question.code;
+      const questionId = question._id.toString();
+
+      // Find response for this question
+      let isAnswered = false;
+      for (const response of responses) {
+        if (response.answers && Array.isArray(response.answers)) {
+          const answer = response.answers.find((a) =>
+            a.questionCode === questionCode ||
+            a.questionId?.toString() === questionId ||
+            String(a.questionId) === questionId
+          );
+          if (answer && isAnswerAnswered(answer.answer)) {
+            isAnswered = true;
+            break;
+          }
+        }
+      }
+
+      // Also check Evaluation answers for custom questions or legacy answers
+      if (!isAnswered && evaluation?.answers) {
+        const evalAnswer = evaluation.answers[questionId] || evaluation.answers[questionCode];
+        if (evalAnswer !== undefined && evalAnswer !== null) {
+          if (typeof evalAnswer === 'string' && evalAnswer.trim().length > 0) {
+            isAnswered = true;
+          } else if (typeof evalAnswer !== 'string') {
+            isAnswered = true;
+          }
+        }
+      }
+
+      if (!isAnswered && question.required !== false) {
+        unansweredQuestions.push(questionCode || questionId);
+      }
+    }
+
+    // Check custom questions are answered
+    for (const customQuestion of customQuestions) {
+      const customQuestionId = customQuestion.id;
+      if (!customQuestionId) continue;
+
+      let isAnswered = false;
+      if (evaluation?.answers) {
+        const customAnswer = evaluation.answers[customQuestionId];
+        if (customAnswer !== undefined && customAnswer !== null) {
+          if (typeof customAnswer === 'string' && customAnswer.trim().length > 0) {
+            isAnswered = true;
+          } else if (typeof customAnswer !== 'string') {
+            isAnswered = true;
+          }
+        }
+      }
+
+      if (!isAnswered && customQuestion.required !== false) {
+        unansweredQuestions.push(`custom_${customQuestionId}`);
+      }
+    }
+
+    if (unansweredQuestions.length > 0) {
+      return res.status(400).json({
+        error: 'NOT_ALL_QUESTIONS_ANSWERED',
+        unansweredCount: unansweredQuestions.length,
+        unansweredQuestions: unansweredQuestions.slice(0, 10), // Limit to first 10 for response size
+        totalQuestions: allAssignedQuestions.length + customQuestions.length,
+        answeredQuestions: (allAssignedQuestions.length + customQuestions.length) - unansweredQuestions.length,
+      });
+    }
+
+    // Check if ALL assigned experts have completed their evaluations (progress = 100%)
+    const { getAssignedExperts } = require('../services/notificationService');
+
+    let assignedExpertIds = await getAssignedExperts(projectIdObj);
+
+    // Exclude the use case owner from expert progress check (they are not an expert)
+    if (project.useCase) {
+      const UseCase = mongoose.model('UseCase');
+      const useCase = await UseCase.findById(project.useCase).select('ownerId').lean();
+      if (useCase?.ownerId) {
+        const ownerIdStr = String(useCase.ownerId);
+        assignedExpertIds = assignedExpertIds.filter(expertId => String(expertId) !== ownerIdStr);
+      }
+    }
+
+    if (assignedExpertIds.length > 0) {
+      // Check progress for all assigned experts using the same logic as /api/user-progress
+      const expertProgresses = [];
+      const visibilities = await loadQuestionVisibilities(projectIdObj, assignedExpertIds);
+
+      for (const expertId of assignedExpertIds) {
+        // Get assignment for this expert
+        const expertAssignment = await ProjectAssignment.findOne({ projectId: projectIdObj, userId: expertId });
+        if (!expertAssignment) {
+          expertProgresses.push({ userId: expertId, progress: 0 });
+          continue;
+        }
+
+        // Get assigned questionnaires (same as the question catalogue and /api/user-progress)
+        const assignedQuestionnaireKeys = await resolveAssignedQuestionnaires(expertAssignment);
+
+        // Check which questionnaires actually have responses in the database
+        const existingResponses = await Response.find({
+          projectId: projectIdObj,
+          userId: expertId,
+          questionnaireKey: { $in: assignedQuestionnaireKeys }
+        }).select('questionnaireKey').lean();
+
+        const existingQuestionnaireKeys = new Set(existingResponses.map(r => r.questionnaireKey));
+
+        let questionnairesToCount = assignedQuestionnaireKeys.slice();
+        const hasGeneralResponse = existingQuestionnaireKeys.has('general-v1');
+        const hasRoleSpecificResponse = assignedQuestionnaireKeys.some(key =>
+          key.includes('-expert-v1') && existingQuestionnaireKeys.has(key)
+        );
+
+        // If both general-v1 and role-specific responses exist, count both
+        // If only role-specific exists and has 30+ questions, it likely includes general questions
+        // If both general-v1 and role-specific responses exist, count both
+        // Logic removed: We no longer auto-exclude general-v1 based on question count.
+
+        // Count total questions (all questionnaires including role-specific)
+        const totalQuestions = await Question.countDocuments({
+          questionnaireKey: { $in: questionnairesToCount }
+        });
+
+        if (totalQuestions === 0) {
+          expertProgresses.push({ userId: expertId, progress: 0 });
+          continue;
+        }
+
+        // Get all responses for this expert across all assigned questionnaires
+        // questionnairesToCount is only for question count, but we need to fetch all responses
+        const responses = await Response.find({
+          projectId: projectIdObj,
+          userId: expertId,
+          questionnaireKey: { $in: assignedQuestionnaireKeys }
+        }).select('questionnaireKey answers').lean();
+
+        console.log(`📊 Expert ${expertId}: Fetched ${responses.length} response(s) for questionnaires: ${responses.map(r => r.questionnaireKey).join(', ')}`);
+
+        // Count answered questions (same logic as /api/user-progress)
+        const answeredKeys = new Set();
+        for (const r of (responses || [])) {
+          const qKey = r.questionnaireKey;
+          const arr = Array.isArray(r.answers) ? r.answers : [];
+          for (const a of arr) {
+            const idKey = a?.questionId ? String(a.questionId) : '';
+            const codeKey = a?.questionCode !== undefined && a?.questionCode !== null ? String(a.questionCode).trim() : '';
+            const key = idKey.length > 0 ? idKey : (codeKey.length > 0 ? `${qKey}:${codeKey}` : '');
+            if (!key || answeredKeys.has(key)) continue;
+
+            let hasAnswer = false;
+            if (a?.answer) {
+              if (a.answer.choiceKey !== null && a.answer.choiceKey !== undefined && a.answer.choiceKey !== '') hasAnswer = true;
+              else if (a.answer.text !== null && a.answer.text !== undefined && String(a.answer.text).trim().length > 0) hasAnswer = true;
+              else if (a.answer.numeric !== null && a.answer.numeric !== undefined) hasAnswer = true;
+              else if (Array.isArray(a.answer.multiChoiceKeys) && a.answer.multiChoiceKeys.length > 0) hasAnswer = true;
+            } else if (a.choiceKey || (a.text && String(a.text).trim().length > 0) || a.numeric !== undefined || (Array.isArray(a.multiChoiceKeys) && a.multiChoiceKeys.length > 0)) {
+              hasAnswer = true;
+            }
+
+            if (hasAnswer) answeredKeys.add(key);
+          }
+        }
+
+        // Questions hidden by their display conditions are not asked
+        const visibility = visibilities.get(String(expertId));
+        const regularTotal = totalQuestions - visibility.excludeHidden(questionnairesToCount, answeredKeys);
+
+        // Also check custom questions from Evaluation
+        const expertEvaluation = await Evaluation.findOne({
+          projectId: projectIdObj,
+          userId: expertId
+        }).select('customQuestions answers').lean();
+
+        const customQuestions = expertEvaluation?.customQuestions || [];
+        let customQuestionsTotal = 0;
+        let customQuestionsAnswered = 0;
+
+        for (const customQuestion of customQuestions) {
+          if (customQuestion.required !== false) {
+            customQuestionsTotal++;
+            const customQuestionId = customQuestion.id;
+            if (customQuestionId && expertEvaluation?.answers) {
+              const customAnswer = expertEvaluation.answers[customQuestionId];
+              if (customAnswer !== undefined && customAnswer !== null) {
+                if (typeof customAnswer === 'string' && customAnswer.trim().length > 0) {
+                  customQuestionsAnswered++;
+                } else if (typeof customAnswer !== 'string') {
+                  customQuestionsAnswered++;
+                }
+              }
+            }
+          }
+        }
+
+        // Total = regular questions + custom questions
+        const totalWithCustom = regularTotal + customQuestionsTotal;
+        const answeredWithCustom = answeredKeys.size + customQuestionsAnswered;
+        const progress = totalWithCustom > 0 ? Math.round((answeredWithCustom / totalWithCustom) * 100) : 0;
+
+        expertProgresses.push({
+          userId: expertId,
+          progress: Math.max(0, Math.min(100, progress))
+        });
+      }
+
+      // Check if all experts have 100% progress
+      const allExpertsCompleted = expertProgresses.every(ep => ep.progress >= 100);
+      if (!allExpertsCompleted) {
+        const incompleteExperts = expertProgresses.filter(ep => ep.progress < 100);
+        const incompleteCount = incompleteExperts.length;
+        const totalExperts = expertProgresses.length;
+
+        // Get expert names for better error message
+        const expertUsers = await User.find({ _id: { $in: assignedExpertIds } }).select('name email role').lean();
+        const expertNames = expertUsers.map(u => u.name || u.email).join(', ');
+
+        return res.status(400).json({
+          error: 'WAITING_FOR_OTHER_EXPERTS',
+          message: 'Not all experts have completed their evaluations',
+          totalExperts: totalExperts,
+          completedExperts: totalExperts - incompleteCount,
+          incompleteExperts: incompleteCount,
+          expertNames: expertNames,
+          expertProgresses: expertProgresses.map(ep => {
+            const expertUser = expertUsers.find(u => u._id.toString() === ep.userId.toString());
+            return {
+              userId: ep.userId.toString(),
+              name: expertUser?.name || expertUser?.email || 'Unknown',
+              progress: ep.progress
+            };
+          })
+        });
+      }
+    }
+
+    // Check if all tensions (if any) have been voted on by all assigned experts
+    const projectTensions = await Tension.find({ projectId: projectIdObj }).lean();
+    if (projectTensions.length > 0) {
+      let assignedExpertIds = await getAssignedExperts(projectIdObj);
+
+      // Exclude the use case owner from tension voting check (they are not an expert)
+      if (project.useCase) {
+        const UseCase = mongoose.model('UseCase');
+        const useCase = await UseCase.findById(project.useCase).select('ownerId').lean();
+        if (useCase?.ownerId) {
+          const ownerIdStr = String(useCase.ownerId);
+          assignedExpertIds = assignedExpertIds.filter(expertId => String(expertId) !== ownerIdStr);
+        }
+      }
+
+      const assignedExpertIdsStr = assignedExpertIds.map(id => id.toString());
+
+      for (const tension of projectTensions) {
+        const tensionVotes = tension.votes || [];
+        const votedUserIds = tensionVotes.map(v => String(v.userId));
+        const tensionCreatorId = String(tension.createdBy);
+
+        // Check if all assigned experts have voted on this tension
+        // CRITICAL FIX: Skip the creator of the tension (they cannot/should not vote on their own)
+        const missingVotes = assignedExpertIdsStr.filter(expertId =>
+          expertId !== tensionCreatorId && !votedUserIds.includes(expertId)
+        );
+
+        if (missingVotes.length > 0) {
+          const expertUsers = await User.find({ _id: { $in: missingVotes.map(id => new mongoose.Types.ObjectId(id)) } }).select('name email').lean();
+          const expertNames = expertUsers.map(u => u.name || u.email).join(', ');
+
+          return res.status(400).json({
+            error: 'NOT_ALL_TENSIONS_VOTED',
+            message: 'Not all experts have voted on all tensions',
+            totalTensions: projectTensions.length,
+            tensionsWithMissingVotes: projectTensions.map(t => ({
+              tensionId: t._id.toString(),
+              claimStatement: t.claimStatement,
+              missingVotes: assignedExpertIdsStr.filter(expertId => {
+                const votes = t.votes || [];
+                const votedUserIds = votes.map(v => String(v.userId));
+                return !votedUserIds.includes(expertId);
+              })
+            })).filter(t => t.missingVotes.length > 0),
+            expertNames: expertNames
+          });
+        }
+      }
+    }
+
+    // Get assignment for evolution completion (reuse if already fetched)
+    let assignment = assignmentForCheck || await ProjectAssignment.findOne({ projectId: projectIdObj, userId: userIdObj });
+
+    // Create assignment if missing (should be rare)
+    if (!assignment) {
+      try {
+        const { createAssignment } = require('../services/evaluationService');
+        const role = user.role || 'unknown';
+        // Preserve existing behavior: ensure general-v1 is included. Role-specific questionnaire is optional here.
+        const questionnaires = ['general-v1'];
+        assignment = await createAssignment(projectIdObj, userIdObj, role, questionnaires);
+      } catch {
+        // fallback: create minimal assignment doc
+        assignment = await ProjectAssignment.create({
+          projectId: projectIdObj,
+          userId: userIdObj,
+          role: user.role || 'unknown',
+          questionnaires: ['general-v1'],
+          status: 'assigned',
+        });
+      }
+    }
+
+    if (assignment.evolutionCompletedAt) {
+      return res.json({
+        success: true,
+        alreadyCompleted: true,
+        totalTensions,
+        votedTensions,
+        evolutionCompletedAt: assignment.evolutionCompletedAt,
+      });
+    }
+
+    assignment.evolutionCompletedAt = new Date();
+    await assignment.save();
+
+    // Check if ALL experts have now completed their evolution
+    let allExpertsCompleted = false;
+    let assignedExpertsForCheck = await getAssignedExperts(projectIdObj);
+
+    // Exclude use case owner from this check too
+    if (project.useCase) {
+      const UseCase = mongoose.model('UseCase');
+      const useCase = await UseCase.findById(project.useCase).select('ownerId').lean();
+      if (useCase?.ownerId) {
+        const ownerIdStr = String(useCase.ownerId);
+        assignedExpertsForCheck = assignedExpertsForCheck.filter(expertId => String(expertId) !== ownerIdStr);
+      }
+    }
+
+    if (assignedExpertsForCheck.length > 0) {
+      const allAssignments = await ProjectAssignment.find({
+        projectId: projectIdObj,
+        userId: { $in: assignedExpertsForCheck }
+      }).select('evolutionCompletedAt').lean();
+
+      allExpertsCompleted = allAssignments.length === assignedExpertsForCheck.length &&
+        allAssignments.every(a => a.evolutionCompletedAt);
+    }
+
+    // Notify ALL admins (case-insensitive match)
+    const adminUsers = await User.find({ role: { $regex: /^admin$/i } }).select('_id').lean();
+    if (Array.isArray(adminUsers) && adminUsers.length > 0) {
+      const notificationText = allExpertsCompleted
+        ? `[NOTIFICATION] ALL EXPERTS completed evolution for project "${project.title}"`
+        : `[NOTIFICATION] Evolution completed for project "${project.title}" by ${user.name}`;
+      await Promise.all(
+        adminUsers
+          .filter((a) => a?._id)
+          .map((a) =>
+            Message.create({
+              projectId: projectIdObj,
+              fromUserId: userIdObj,
+              toUserId: a._id,
+              text: notificationText,
+              isNotification: true,
+              createdAt: new Date(),
+              readAt: null,
+            })
+          )
+      );
+    }
+
+    res.json({
+      success: true,
+      alreadyCompleted: false,
+      totalTensions,
+      votedTensions,
+      evolutionCompletedAt: assignment.evolutionCompletedAt,
+      allExpertsCompleted: allExpertsCompleted, // Frontend will use this
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/projects', authorize('project.list'), async (req, res) => {
+  try {
+    // Check MongoDB connection
+    if (mongoose.connection.readyState !== 1) {
+      console.error('❌ MongoDB not connected. ReadyState:', mongoose.connection.readyState);
+      return res.status(503).json({
+        error: 'Database not connected',
+        readyState: mongoose.connection.readyState
+      });
+    }
+
+    const userId = getActorId(req);
+    console.log('📥 GET /api/projects - userId:', userId);
+
+    // Build query
+    const query = {};
+
+    // Check if user is admin - if so, only show projects created by this admin
+    if (userId && isValidObjectId(userId)) {
+      try {
+        const user = await User.findById(userId).select('role').lean();
+        if (user && user.role && user.role.toLowerCase().includes('admin')) {
+          // Admin users only see their OWN projects (strict filter)
+          console.log('🔐 Admin user detected - strictly filtering to own projects only');
+          query.$or = [
+            { createdByAdmin: new mongoose.Types.ObjectId(userId) },
+            { createdByAdmin: userId } // string fallback for older records
+          ];
+        } else {
+          // Non-admins: only see projects where they are assigned (or hide if needed)
+          console.log('👤 Non-admin user detected - seeing assigned/visible projects');
+          // For experts / owners, they should only see projects they are assigned to
+          query.assignedUsers = {
+            $in: [new mongoose.Types.ObjectId(userId), userId]
+          };
+
+          // Filter out projects hidden for this user (soft delete)
+          query.$and = [
+            {
+              $or: [
+                { hiddenForUsers: { $exists: false } },
+                { hiddenForUsers: { $nin: [new mongoose.Types.ObjectId(userId), userId] } }
+              ]
+            }
+          ];
+        }
+      } catch (err) {
+        console.warn('Could not verify user role:', err.message);
+      }
+    }
+
+    console.log('🔍 Query:', JSON.stringify(query));
+
+    // Check if Project model exists
+    if (!Project) {
+      console.error('❌ Project model is not defined');
+      return res.status(500).json({ error: 'Project model not available' });
+    }
+
+    const projects = await Project.find(query)
+      .select('-fullDescription') // Exclude large description for list view
+      .populate({
+        path: 'assignedUsers',
+        select: 'name email role _id',
+        model: 'User'
+      })
+      .lean()
+      .maxTimeMS(5000)
+      .limit(1000);
+
+    console.log(`✅ Found ${projects.length} projects`);
+
+    if (projects.length === 0) {
+      return res.json([]);
+    }
+
+    // OPTIMIZATION: Use Aggregation instead of N+1 Loop
+    const projectIds = projects.map(p => p._id);
+    const Response = mongoose.model('Response');
+    const Report = mongoose.model('Report');
+
+    // 1. Batch count answered questions per project
+    const responseCounts = await Response.aggregate([
+      { $match: { projectId: { $in: projectIds } } },
+      {
+        $project: {
+          projectId: 1,
+          answerCount: {
+            $cond: {
+              if: { $isArray: "$answers" },
+              then: { $size: "$answers" },
+              else: 0
+            }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: "$projectId",
+          totalAnswers: { $sum: "$answerCount" }
+        }
+      }
+    ]);
+    // Create map for fast lookup: projectId -> totalAnswers
+    const responseCountMap = new Map(responseCounts.map(r => [String(r._id), r.totalAnswers]));
+
+    // 2. Batch count reports per project
+    const reportCounts = await Report.aggregate([
+      { $match: { projectId: { $in: projectIds } } },
+      { $group: { _id: "$projectId", count: { $sum: 1 } } }
+    ]);
+    const reportCountMap = new Map(reportCounts.map(r => [String(r._id), r.count]));
+
+    const enrichedProjects = projects.map(project => {
+      const projIdStr = String(project._id);
+      const answeredQuestions = responseCountMap.get(projIdStr) || 0;
+      const reportCount = reportCountMap.get(projIdStr) || 0;
+
+      // Derive status based on exact rules:
+      // SETUP: answeredQuestions === 0
+      // ASSESS: answeredQuestions > 0 AND reportCount === 0
+      // RESOLVE: reportCount >= 1
+      let derivedStatus = 'setup';
+      if (reportCount >= 1) {
+        derivedStatus = 'resolve';
+      } else if (answeredQuestions > 0) {
+        derivedStatus = 'assess';
+      }
+
+      return {
+        ...project,
+        hasAnyAnswers: answeredQuestions > 0,
+        reportGenerated: reportCount > 0,
+        answeredQuestions,
+        reportCount,
+        derivedStatus
+      };
+    });
+
+    // Debug: Log enrichment summary (limit to first 5 for noise reduction)
+    if (process.env.NODE_ENV === 'development') {
+      const enrichmentSummary = enrichedProjects.slice(0, 5).map(p => ({
+        title: p.title,
+        status: p.derivedStatus,
+        answers: p.answeredQuestions
+      }));
+      console.log('📊 Project enrichment summary (first 5):', JSON.stringify(enrichmentSummary));
+    }
+
+    res.json(enrichedProjects);
+  } catch (err) {
+    console.error('❌ Error fetching projects:', err);
+    console.error('❌ Error stack:', err.stack);
+    res.status(500).json({
+      error: err.message || 'Failed to fetch projects',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+// GET /api/projects/:id/reports/latest - Get latest report for a project
+router.get('/projects/:projectId/reports/latest', authorize('report.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const reportController = require('../controllers/reportController');
+    await reportController.getLatestReport(req, res);
+  } catch (err) {
+    console.error('Error in /api/projects/:projectId/reports/latest:', err);
+    res.status(500).json({ error: err.message || 'Failed to fetch latest report' });
+  }
+});
+
+router.post('/projects', validate(projectSchemas.create), authorize('project.create'), async (req, res) => {
+  try {
+    // Acting user comes from the session token
+    const userId = getActorId(req);
+    delete req.body.createdByAdmin;
+
+    // If userId is provided and user is admin, set createdByAdmin
+    if (userId && isValidObjectId(userId)) {
+      try {
+        const user = await User.findById(userId).select('role').lean();
+        if (user && user.role && user.role.toLowerCase().includes('admin')) {
+          req.body.createdByAdmin = userId;
+        }
+      } catch (err) {
+        // If user lookup fails, continue without setting createdByAdmin
+        console.warn('Could not verify user role for createdByAdmin:', err.message);
+      }
+    }
+
+    // If a useCase is linked, ensure its owner is assigned to the project (server-side safety).
+    if (req.body?.useCase) {
+      try {
+        const uc = await UseCase.findById(req.body.useCase).select('ownerId status').lean();
+        const ownerId = uc?.ownerId?.toString();
+        if (ownerId) {
+          const currentAssigned = Array.isArray(req.body.assignedUsers) ? req.body.assignedUsers.map(String) : [];
+          req.body.assignedUsers = Array.from(new Set([...currentAssigned, ownerId]));
+        }
+
+        // Business rule: Once a usecase is linked to a project, it is no longer UNASSIGNED in the global pool.
+        // We set it to 'ASSIGNED' (claimed) so that it shows up properly, but the experts are managed per-project.
+        if (!uc?.status || uc?.status.toUpperCase() === 'UNASSIGNED') {
+          await UseCase.findByIdAndUpdate(req.body.useCase, { status: 'ASSIGNED', updatedAt: new Date() });
+        }
+      } catch {
+        // ignore; proceed with provided payload
+      }
+    }
+
+    // New projects are pinned to the current default threshold set
+    req.body.thresholdsVersion = (await getDefaultThresholdSet()).version;
+
+    const project = new Project(req.body);
+    await project.save();
+
+    const assignedUsers = (project.assignedUsers || []).map(String);
+    if (assignedUsers.length) {
+      await recordAuditEvent(AUDIT_EVENTS.PROJECT_ASSIGNMENT_CHANGE, {
+        req,
+        projectId: project._id,
+        details: { added: assignedUsers, removed: [], via: 'project-create' }
+      });
+    }
+    res.json(project);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/admin/claim-projects - Stamp all unclaimed projects to a specific admin
+// Used to migrate legacy projects created before the createdByAdmin field was tracked
+router.post('/admin/claim-projects', validate(projectSchemas.claimAll), authorize('project.claim'), async (req, res) => {
+  try {
+    const adminId = getActorId(req);
+    if (!adminId || !isValidObjectId(adminId)) {
+      return res.status(400).json({ error: 'adminId is required and must be a valid ObjectId' });
+    }
+
+    // Verify the user is actually an admin
+    const user = await User.findById(adminId).select('role').lean();
+    if (!user || !user.role.toLowerCase().includes('admin')) {
+      return res.status(403).json({ error: 'User is not an admin' });
+    }
+
+    // Stamp all projects that have no createdByAdmin with this admin's ID
+    const result = await Project.updateMany(
+      {
+        $or: [
+          { createdByAdmin: { $exists: false } },
+          { createdByAdmin: null }
+        ]
+      },
+      { $set: { createdByAdmin: new mongoose.Types.ObjectId(adminId) } }
+    );
+
+    console.log(`[migrate] Claimed ${result.modifiedCount} unclaimed projects for admin ${adminId}`);
+    res.json({
+      success: true,
+      claimedCount: result.modifiedCount,
+      message: `${result.modifiedCount} project(s) are now owned by this admin.`
+    });
+  } catch (err) {
+    console.error('[migrate] Error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/scoring-models - Registered scoring models a project can use
+router.get('/scoring-models', authorize('score.models'), (req, res) => {
+  res.json(listScoringModels());
+});
+
+// GET /api/risk-thresholds - Risk bands, labels and colors of the default threshold
+// set, so the frontend classifies scores exactly like the backend
+router.get('/risk-thresholds', authorize('score.thresholds'), async (req, res) => {
+  try {
+    res.json(describeRiskThresholds(await getDefaultThresholdSet()));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// GET /api/projects/:id/risk-thresholds - The threshold set the project is pinned to
+router.get('/projects/:id/risk-thresholds', authorize('score.view', { project: projectFrom.param('id') }), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('thresholdsVersion').lean();
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(describeRiskThresholds(await getProjectThresholdSet(project)));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// GET /api/projects/:projectId/analytics - Dashboard analytics, including inter-rater agreement
+router.get('/projects/:projectId/analytics', authorize('analytics.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    res.json(await getProjectAnalytics(req.params.projectId, req.query.questionnaireKey || 'general-v1'));
+  } catch (err) {
+    if (err.message === 'Project not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    console.error('Error in /api/projects/:projectId/analytics:', err);
+    res.status(500).json({ error: err.message || 'Failed to load analytics' });
+  }
+});
+
+// GET /api/projects/:projectId/provenance?principle=TRANSPARENCY - Where the report's
+// principle and overall values come from: Score documents, answers and their sources
+router.get('/projects/:projectId/provenance', authorize('score.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    res.json(await getProjectProvenance(req.params.projectId, req.query.principle));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// GET /api/projects/:projectId/score-status - Whether the project's scores are
+// behind its answers, questions or thresholds (queued, running or failed recomputations)
+router.get('/projects/:projectId/score-status', authorize('score.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    res.json(await getScoreStaleness(req.params.projectId));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// GET /api/projects/:projectId/score-history - Immutable score snapshots, newest first
+// (?userId, ?questionnaireKey, ?cause=draft_saved|response_submitted|reevaluation, ?limit)
+router.get('/projects/:projectId/score-history', authorize('score.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const { userId, questionnaireKey, cause, limit } = req.query;
+    res.json(await getScoreHistory(req.params.projectId, { userId, questionnaireKey, cause, limit }));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// GET /api/projects/:projectId/score-trend - ERC overall and per principle over time,
+// per stage (set-up → assess → resolve) and per report version
+router.get('/projects/:projectId/score-trend', authorize('score.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    res.json(await getScoreTrend(req.params.projectId));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// PUT /api/projects/:id/scoring-model - Select the project's scoring model and
+// recompute its scores with it (other projects are not touched)
+router.put('/projects/:id/scoring-model', validate(projectSchemas.setScoringModel), authorize('project.scoringModel', { project: projectFrom.param('id') }), async (req, res) => {
+  try {
+    const project = await Project.findByIdAndUpdate(
+      req.params.id,
+      { scoringModel: req.body.scoringModel },
+      { new: true }
+    ).lean();
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const recompute = await safeRecomputeScores(project._id, { model: project.scoringModel });
+    res.json({ project, recompute });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// PUT /api/projects/:id/thresholds - Pin the project to a published threshold set
+// and recompute its scores so they record the new version (other projects keep their pin)
+router.put('/projects/:id/thresholds', validate(projectSchemas.setThresholds), authorize('project.thresholds', { project: projectFrom.param('id') }), async (req, res) => {
+  try {
+    const thresholdSet = await getThresholdSet(req.body.thresholdsVersion);
+    const project = await Project.findByIdAndUpdate(
+      req.params.id,
+      { thresholdsVersion: thresholdSet.version },
+      { new: true }
+    ).lean();
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Rescore the whole project with the new thresholds right away, through the
+    // queue so pending recomputations of this project are absorbed
+    await enqueueScoreRecompute({ projectId: project._id, reason: 'thresholds_changed' });
+    const flushed = await flushProjectRecompute(project._id);
+    const { versionsCorrect, warnings } = await checkScoreStatus(project._id);
+    res.json({ project, recompute: { ...flushed, versionsCorrect, warnings } });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// GET /api/projects/:id/role-weights - Role weights applied when the project's answers are aggregated
+router.get('/projects/:id/role-weights', authorize('project.view', { project: projectFrom.param('id') }), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('roleWeights').lean();
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ ...getProjectRoleWeights(project), defaults: DEFAULT_ROLE_WEIGHTS });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// PUT /api/projects/:id/role-weights - Set the project's role weights (null = defaults).
+// Weights are applied when reports and analytics aggregate, so no recompute is needed
+router.put('/projects/:id/role-weights', validate(projectSchemas.setRoleWeights), authorize('project.roleWeights', { project: projectFrom.param('id') }), async (req, res) => {
+  try {
+    const { roleWeights } = req.body;
+    const project = await Project.findByIdAndUpdate(
+      req.params.id,
+      roleWeights ? { roleWeights } : { $unset: { roleWeights: 1 } },
+      { new: true }
+    ).lean();
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ project, roleWeights: { ...getProjectRoleWeights(project), defaults: DEFAULT_ROLE_WEIGHTS } });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+router.delete('/projects/:id', validate(projectSchemas.remove), authorize('project.delete'), async (req, res) => {
+  try {
+    const deletedProject = await Project.findByIdAndDelete(req.params.id);
+    if (!deletedProject) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,83 @@ const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
 const { testApiKey } = require('../services/geminiService');
+const { authorize, projectFrom } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const reportSchemas = require('./schemas/reportSchemas');
+
+// ============================================================
+// NEW ATOMIC REPORT ENDPOINTS
+// ============================================================
+
+// Generate report atomically (PDF + Word together)
+router.post('/generate-atomic', validate(reportSchemas.generate), authorize('report.generate', { project: projectFrom.body() }), async (req, res) => {
+  try {
+    await reportController.generateReportAtomic(req, res);
+  } catch (err) {
+    console.error('Error in /api/reports/generate-atomic:', err);
+    res.status(500).json({ error: err.message || 'Failed to generate report atomically' });
+  }
+});
+
+// Get latest report for a project (Admin + Expert)
+router.get('/latest/:projectId', authorize('report.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const reportRetrievalController = require('../controllers/reportRetrievalController');
+    await reportRetrievalController.getLatestReport(req, res);
+  } catch (err) {
+    console.error('Error in /api/reports/latest/:projectId:', err);
+    res.status(500).json({ error: err.message || 'Failed to fetch latest report' });
+  }
+});
+
+// Download PDF file
+router.get('/:reportId/pdf', authorize('report.view', { project: projectFrom.report('reportId') }), async (req, res) => {
+  try {
+    const reportRetrievalController = require('../controllers/reportRetrievalController');
+    await reportRetrievalController.downloadPDF(req, res);
+  } catch (err) {
+    console.error('Error in /api/reports/:reportId/pdf:', err);
+    res.status(500).json({ error: err.message || 'Failed to download PDF' });
+  }
+});
+
+// Download Word file
+router.get('/:reportId/word', authorize('report.view', { project: projectFrom.report('reportId') }), async (req, res) => {
+  try {
+    const reportRetrievalController = require('../controllers/reportRetrievalController');
+    await reportRetrievalController.downloadWord(req, res);
+  } catch (err) {
+    console.error('Error in /api/reports/:reportId/word:', err);
+    res.status(500).json({ error: err.message || 'Failed to download Word' });
+  }
+});
+
+// List all reports for a project (Admin - version history)
+router.get('/list/:projectId', authorize('report.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const reportRetrievalController = require('../controllers/reportRetrievalController');
+    await reportRetrievalController.listProjectReports(req, res);
+  } catch (err) {
+    console.error('Error in /api/reports/list/:projectId:', err);
+    res.status(500).json({ error: err.message || 'Failed to list reports' });
+  }
+});
+
+// Validate report consistency
+router.get('/validate/:reportId', authorize('report.view', { project: projectFrom.report('reportId') }), async (req, res) => {
+  try {
+    const reportRetrievalController = require('../controllers/reportRetrievalController');
+    await reportRetrievalController.validateReportConsistency(req, res);
+  } catch (err) {
+    console.error('Error in /api/reports/validate/:reportId:', err);
+    res.status(500).json({ error: err.message || 'Failed to validate report' });
+  }
+});
+
+// ============================================================
 
 // GET /api/reports/list-models - List available Gemini models (must be before /:id route)
-router.get('/list-models', async (req, res) => {
+router.get('/list-models', authorize('admin.debug'), async (req, res) => {
   try {
     const { listAvailableModels } = require('../services/geminiService');
     const models = await listAvailableModels();
@@ -22,7 +96,7 @@ router.get('/list-models', async (req, res) => {
 });
 
 // GET /api/reports/test-api-key - Test Gemini API key (must be before /:id route)
-router.get('/test-api-key', async (req, res) => {
+router.get('/test-api-key', authorize('admin.debug'), async (req, res) => {
   try {
     const result = await testApiKey();
     res.json(result);
@@ -35,52 +109,52 @@ router.get('/test-api-key', async (req, res) => {
 });
 
 // POST /api/reports/generate - Generate AI report
-router.post('/generate', reportController.generateReport);
+router.post('/generate', validate(reportSchemas.generate), authorize('report.generate', { project: projectFrom.body() }), reportController.generateReport);
 
 // GET /api/reports/assigned-to-me - Reports for projects assigned to user (must be before /:id route)
-router.get('/assigned-to-me', reportController.getAssignedToMe);
+router.get('/assigned-to-me', authorize('report.listOwn'), reportController.getAssignedToMe);
 
 // GET /api/reports/my-reports - Get reports for projects assigned to user (must be before /:id route)
-router.get('/my-reports', reportController.getMyReports);
+router.get('/my-reports', authorize('report.listOwn'), reportController.getMyReports);
 
 // GET /api/reports - Get all reports
-router.get('/', reportController.getAllReports);
+router.get('/', authorize('report.list'), reportController.getAllReports);
 
 // POST /api/reports/:id/finalize - Finalize & lock report (admin only)
-router.post('/:id/finalize', reportController.finalizeReport);
+router.post('/:id/finalize', validate(reportSchemas.finalize), authorize('report.finalize', { project: projectFrom.report() }), reportController.finalizeReport);
 
 // PATCH /api/reports/:id/sections/:principle/expert-edit - Update expert edit for a section (expert/admin)
-router.patch('/:id/sections/:principle/expert-edit', reportController.updateSectionExpertEdit);
+router.patch('/:id/sections/:principle/expert-edit', validate(reportSchemas.sectionExpertEdit), authorize('report.edit', { project: projectFrom.report() }), reportController.updateSectionExpertEdit);
 
 // POST /api/reports/:id/sections/:principle/comments - Add comment to a section (expert/admin)
-router.post('/:id/sections/:principle/comments', reportController.addSectionComment);
+router.post('/:id/sections/:principle/comments', validate(reportSchemas.sectionComment), authorize('report.comment', { project: projectFrom.report() }), reportController.addSectionComment);
 
 // POST /api/reports/:id/comments - Add expert comment to report
-router.post('/:id/comments', reportController.addReportComment);
+router.post('/:id/comments', validate(reportSchemas.reportComment), authorize('report.comment', { project: projectFrom.report() }), reportController.addReportComment);
 
 // GET /api/reports/:id/file - Serve report file (PDF) inline (must be before /:id route)
-router.get('/:id/file', reportController.getReportFile);
+router.get('/:id/file', authorize('report.view', { project: projectFrom.report() }), reportController.getReportFile);
 
 // GET /api/reports/:id/download-html - Download report as HTML (must be before /:id route)
-router.get('/:id/download-html', reportController.downloadReportHTML);
+router.get('/:id/download-html', authorize('report.view', { project: projectFrom.report() }), reportController.downloadReportHTML);
 
 // GET /api/reports/:id/download-pdf - Download report as PDF (always uses latest data)
-router.get('/:id/download-pdf', reportController.downloadReportPDF);
+router.get('/:id/download-pdf', authorize('report.view', { project: projectFrom.report() }), reportController.downloadReportPDF);
 
 // GET /api/reports/:id/download-docx - Download report as DOCX (always uses latest data)
-router.get('/:id/download-docx', reportController.downloadReportDOCX);
+router.get('/:id/download-docx', validate(reportSchemas.downloadDocx), authorize('report.view', { project: projectFrom.report() }), reportController.downloadReportDOCX);
 
 // GET /api/reports/:id/download - Download report as PDF (legacy, redirects to download-pdf)
-router.get('/:id/download', reportController.downloadReportPDF);
+router.get('/:id/download', authorize('report.view', { project: projectFrom.report() }), reportController.downloadReportPDF);
 
 // GET /api/reports/:id - Get specific report
-router.get('/:id', reportController.getReportById);
+router.get('/:id', authorize('report.view', { project: projectFrom.report() }), reportController.getReportById);
 
 // PUT /api/reports/:id - Update report status
-router.put('/:id', reportController.updateReport);
+router.put('/:id', validate(reportSchemas.update), authorize('report.update', { project: projectFrom.report() }), reportController.updateReport);
 
 // DELETE /api/reports/:id - Delete report
-router.delete('/:id', reportController.deleteReport);
+router.delete('/:id', validate(reportSchemas.remove), authorize('report.delete', { project: projectFrom.report() }), reportController.deleteReport);
 
 module.exports = router;
 
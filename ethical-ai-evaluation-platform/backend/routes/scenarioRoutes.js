@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId } = require('../middleware/auth');
+const { authorize, projectFrom } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const scenarioSchemas = require('./schemas/scenarioSchemas');
+const {
+  simulateScenario,
+  listScenarios,
+  createScenario,
+  updateScenario,
+  deleteScenario,
+  compareScenarios
+} = require('../services/scenarioService');
+
+const sendScenarioError = (res, err) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message, code: err.code });
+  }
+  console.error('Scenario error:', err);
+  return res.status(500).json({ error: err.message });
+};
+
+// POST /api/projects/:projectId/scenarios/simulate - Rescore the project with
+// hypothetical answer severities / mitigated tensions; nothing is saved
+router.post('/projects/:projectId/scenarios/simulate', validate(scenarioSchemas.simulate), authorize('scenario.simulate', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const { questionChanges, mitigatedTensionIds } = req.body;
+    res.json(await simulateScenario(req.params.projectId, { questionChanges, mitigatedTensionIds }));
+  } catch (err) {
+    sendScenarioError(res, err);
+  }
+});
+
+// GET /api/projects/:projectId/scenarios - Saved scenarios with their current results
+router.get('/projects/:projectId/scenarios', authorize('scenario.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    res.json(await listScenarios(req.params.projectId));
+  } catch (err) {
+    sendScenarioError(res, err);
+  }
+});
+
+// GET /api/projects/:projectId/scenarios/compare?ids=a,b,c - Saved scenarios side by side
+router.get('/projects/:projectId/scenarios/compare', authorize('scenario.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0 || !ids.every(isValidObjectId)) {
+      return res.status(400).json({ error: 'ids must be a comma-separated list of scenario IDs', code: 'INVALID_SCENARIO_IDS' });
+    }
+    res.json(await compareScenarios(req.params.projectId, [...new Set(ids)]));
+  } catch (err) {
+    sendScenarioError(res, err);
+  }
+});
+
+// POST /api/projects/:projectId/scenarios - Save a scenario
+router.post('/projects/:projectId/scenarios', validate(scenarioSchemas.create), authorize('scenario.edit', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    res.status(201).json(await createScenario(req.params.projectId, req.body, getActorId(req)));
+  } catch (err) {
+    sendScenarioError(res, err);
+  }
+});
+
+// PUT /api/projects/:projectId/scenarios/:scenarioId - Edit a saved scenario
+router.put('/projects/:projectId/scenarios/:scenarioId', validate(scenarioSchemas.update), authorize('scenario.edit', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    res.json(await updateScenario(req.params.projectId, req.params.scenarioId, req.body));
+  } catch (err) {
+    sendScenarioError(res, err);
+  }
+});
+
+// DELETE /api/projects/:projectId/scenarios/:scenarioId
+router.delete('/projects/:projectId/scenarios/:scenarioId', validate(scenarioSchemas.remove), authorize('scenario.edit', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    await deleteScenario(req.params.projectId, req.params.scenarioId);
+    res.json({ success: true });
+  } catch (err) {
+    sendScenarioError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const { v, ROLES, SHORT_TEXT, LONG_TEXT, idParams, importanceScore } = require('./common');
+
+const unlockUser = {
+  params: idParams('id')
+};
+
+const createInvitation = {
+  body: {
+    email: v.string({ required: true, format: 'email', max: 320 }),
+    role: v.string({ required: true, enum: ROLES }),
+    projectId: v.objectId({ nullable: true })
+  }
+};
+
+const revokeInvitation = {
+  params: idParams('id')
+};
+
+// Level order, contiguity and colors are checked by services/thresholdSetService
+const thresholdBands = (options = {}) => v.array(v.object({
+  level: v.string({ required: true, max: 20 }),
+  min: importanceScore({ required: true }),
+  max: importanceScore({ required: true }),
+  label: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+  color: v.string({ required: true, pattern: /^#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/ })
+}), { min: 1, max: 10, ...options });
+
+const versionParams = v.object({
+  version: v.string({ required: true, min: 1, max: 100 })
+});
+
+const createThresholdSet = {
+  body: {
+    version: v.string({ required: true, min: 1, max: 100, pattern: /^[A-Za-z0-9._-]+$/ }),
+    description: v.string({ max: LONG_TEXT }),
+    bands: thresholdBands({ required: true })
+  }
+};
+
+const updateThresholdSet = {
+  params: versionParams,
+  body: {
+    description: v.string({ max: LONG_TEXT }),
+    bands: thresholdBands()
+  }
+};
+
+const publishThresholdSet = {
+  params: versionParams,
+  body: {
+    makeDefault: v.boolean()
+  }
+};
+
+module.exports = {
+  unlockUser,
+  createInvitation,
+  revokeInvitation,
+  createThresholdSet,
+  updateThresholdSet,
+  publishThresholdSet
+};
@@ -0,0 +1,105 @@
+const { v, ROLES, SHORT_TEXT } = require('./common');
+
+const email = (options = {}) => v.string({ format: 'email', max: 320, ...options });
+const password = (options = {}) => v.string({ min: 1, max: 256, ...options });
+const token = (options = {}) => v.string({ min: 1, max: 512, ...options });
+const otpCode = (options = {}) => v.string({ min: 1, max: 32, ...options }); // TOTP or recovery code
+
+const requestCode = {
+  body: {
+    email: email({ required: true })
+  }
+};
+
+const register = {
+  body: {
+    email: email({ required: true }),
+    code: v.string({ required: true, pattern: /^\d{6}$/ }),
+    name: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+    password: password({ required: true }),
+    // Any role is accepted here so the handler can explain why admin is refused
+    role: v.string({ required: true, enum: ROLES })
+  }
+};
+
+const login = {
+  body: {
+    email: email({ required: true }),
+    password: password({ required: true }),
+    role: v.string({ enum: ROLES })
+  }
+};
+
+const logout = {};
+
+const twoFactorChallengeSetup = {
+  body: {
+    mfaToken: token({ required: true })
+  }
+};
+
+const twoFactorChallengeVerify = {
+  body: {
+    mfaToken: token({ required: true }),
+    code: otpCode(),
+    recoveryCode: otpCode()
+  }
+};
+
+const twoFactorSetup = {};
+
+const twoFactorCode = {
+  body: {
+    code: otpCode({ required: true })
+  }
+};
+
+const twoFactorDisable = {
+  body: {
+    code: otpCode(),
+    recoveryCode: otpCode()
+  }
+};
+
+const forgotPassword = {
+  body: {
+    email: email({ required: true })
+  }
+};
+
+const resetPassword = {
+  body: {
+    token: token({ required: true }),
+    newPassword: password({ required: true })
+  }
+};
+
+const invitationPreview = {
+  body: {
+    token: token({ required: true })
+  }
+};
+
+const invitationAccept = {
+  body: {
+    token: token({ required: true }),
+    name: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+    password: password({ required: true })
+  }
+};
+
+module.exports = {
+  requestCode,
+  register,
+  login,
+  logout,
+  twoFactorChallengeSetup,
+  twoFactorChallengeVerify,
+  twoFactorSetup,
+  twoFactorCode,
+  twoFactorDisable,
+  forgotPassword,
+  resetPassword,
+  invitationPreview,
+  invitationAccept
+};
@@ -0,0 +1,68 @@
+/**
+ * Building blocks shared by the request schemas in this folder
+ */
+
+const { v } = require('../../middleware/validate');
+const { ROLES, EXPERT_ROLES } = require('../../config/permissions.config');
+const { listScoringModels } = require('../../services/scoringModels');
+const { DEFAULT_LOCALE, LOCALE_CODES } = require('../../config/locales.config');
+
+const TENSION_SEVERITIES = ['low', 'medium', 'high'];
+const TENSION_STATUSES = ['ongoing', 'proven', 'disproven'];
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const EVALUATION_STAGES = ['set-up', 'assess', 'resolve'];
+const SCORING_MODELS = listScoringModels().map((model) => model.id);
+
+// Free text limits
+const SHORT_TEXT = 200;
+const LONG_TEXT = 20000;
+const COMMENT_TEXT = 2000;
+
+// Scores on the 0-4 importance/risk scale and the 0-1 answer scale
+const importanceScore = (options = {}) => v.number({ min: 0, max: 4, ...options });
+const unitScore = (options = {}) => v.number({ min: 0, max: 1, ...options });
+
+const idParams = (...names) => v.object(
+  Object.fromEntries(names.map((name) => [name, v.objectId({ required: true })]))
+);
+
+// Identity fields older clients still send alongside the session. The server
+// takes the actor from the session (see getActorId), so they are accepted
+// and ignored.
+const legacyActor = {
+  userId: v.any(),
+  createdBy: v.any(),
+  authorId: v.any(),
+  authorName: v.any(),
+  uploadedBy: v.any(),
+  fromUserId: v.any(),
+  userRole: v.any()
+};
+
+const legacy = (...names) => Object.fromEntries(names.map((name) => [name, legacyActor[name]]));
+
+// { en, tr, de, ... } for the registered locales; `options` apply to English
+const localizedText = (options = {}) => v.object(Object.fromEntries(LOCALE_CODES.map((code) => [
+  code,
+  code === DEFAULT_LOCALE ? v.string({ max: LONG_TEXT, ...options }) : v.string({ max: LONG_TEXT, nullable: true })
+])), { nullable: true });
+
+module.exports = {
+  v,
+  ROLES,
+  EXPERT_ROLES,
+  TENSION_SEVERITIES,
+  TENSION_STATUSES,
+  RISK_LEVELS,
+  EVALUATION_STAGES,
+  SCORING_MODELS,
+  LOCALE_CODES,
+  SHORT_TEXT,
+  LONG_TEXT,
+  COMMENT_TEXT,
+  importanceScore,
+  unitScore,
+  idParams,
+  legacy,
+  localizedText
+};
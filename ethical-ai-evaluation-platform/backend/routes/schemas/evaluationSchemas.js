@@ -0,0 +1,239 @@
+const {
+  v, ROLES, RISK_LEVELS, EVALUATION_STAGES, SHORT_TEXT, LONG_TEXT,
+  importanceScore, unitScore, idParams, legacy, localizedText
+} = require('./common');
+const { CONDITION_SOURCES, CONDITION_MATCHES } = require('../../utils/questionConditions');
+
+const questionnaireKey = (options = {}) => v.string({ min: 1, max: SHORT_TEXT, ...options });
+
+// POST /api/evaluations (legacy stage-based evaluation document)
+const save = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    stage: v.string({ required: true, enum: EVALUATION_STAGES }),
+    answers: v.record(v.any()),
+    questionPriorities: v.record(v.any()),
+    riskScores: v.record(importanceScore({ nullable: true })),
+    riskLevel: v.string({ enum: RISK_LEVELS }),
+    generalRisks: v.array(v.object({
+      id: v.string({ max: SHORT_TEXT }),
+      title: v.string({ max: SHORT_TEXT }),
+      description: v.string({ max: LONG_TEXT }),
+      severity: v.string({ enum: RISK_LEVELS }),
+      relatedQuestions: v.array(v.string({ max: SHORT_TEXT }))
+    })),
+    status: v.string({ max: SHORT_TEXT }),
+    ...legacy('userId')
+  }
+};
+
+const customQuestion = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    stage: v.string({ required: true, enum: EVALUATION_STAGES }),
+    // Client-side question object; the handler picks the fields it stores
+    question: v.object({
+      text: v.string({ required: true, min: 1, max: LONG_TEXT }),
+      type: v.string({ required: true, max: SHORT_TEXT })
+    }, { required: true, unknown: 'allow' }),
+    ...legacy('userId')
+  }
+};
+
+const generalQuestions = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    answers: v.record(v.any()),
+    risks: v.record(importanceScore({ nullable: true })),
+    principles: v.record(v.object({
+      answers: v.record(v.any()),
+      risks: v.record(importanceScore({ nullable: true }))
+    })),
+    ...legacy('userId', 'userRole')
+  }
+};
+
+const initializeResponses = {
+  body: {
+    projectId: v.objectId({ required: true })
+  }
+};
+
+// /api/evaluations/* (routes/evaluationRoutes.js)
+
+const assignment = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    userId: v.objectId({ required: true }),
+    role: v.string({ required: true, enum: ROLES }),
+    questionnaires: v.array(questionnaireKey())
+  }
+};
+
+// One answer in a Response document (see models/response.js for the scales)
+const responseAnswer = v.object({
+  questionCode: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+  questionId: v.objectId({ nullable: true }),
+  answer: v.object({
+    choiceKey: v.string({ max: SHORT_TEXT, nullable: true }),
+    text: v.string({ max: LONG_TEXT, nullable: true }),
+    numeric: v.number({ nullable: true }),
+    multiChoiceKeys: v.array(v.string({ max: SHORT_TEXT }))
+  }),
+  score: importanceScore({ nullable: true }),
+  importanceScore: importanceScore({ nullable: true }),
+  answerSeverity: unitScore({ nullable: true }),
+  answerScore: unitScore({ nullable: true }),
+  scoreSuggested: v.number({ nullable: true }),
+  scoreFinal: v.number({ nullable: true }),
+  reviewerId: v.objectId({ nullable: true }),
+  notes: v.string({ max: LONG_TEXT, nullable: true }),
+  evidence: v.array(v.object({
+    type: v.string({ max: SHORT_TEXT }),
+    description: v.string({ max: LONG_TEXT })
+  }))
+});
+
+const draftResponse = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    questionnaireKey: questionnaireKey({ required: true }),
+    answers: v.array(responseAnswer, { required: true })
+  }
+};
+
+const submitResponse = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    questionnaireKey: questionnaireKey({ required: true })
+  }
+};
+
+const questionOption = v.object({
+  _id: v.objectId(),
+  key: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+  label: localizedText(),
+  answerScore: unitScore({ nullable: true }),
+  answerQuality: unitScore({ nullable: true }),
+  score: importanceScore({ nullable: true })
+});
+
+const displayConditions = v.object({
+  match: v.string({ enum: CONDITION_MATCHES }),
+  conditions: v.array(v.object({
+    source: v.string({ enum: CONDITION_SOURCES }),
+    questionnaireKey: questionnaireKey(),
+    code: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+    anyOf: v.array(v.string({ max: SHORT_TEXT })),
+    noneOf: v.array(v.string({ max: SHORT_TEXT })),
+    answered: v.boolean()
+  }), { required: true, min: 1 })
+}, { nullable: true });
+
+// Mirrors models/question.js. The editor sends back whole documents, so the
+// stored metadata fields are accepted too (they are ignored by Mongoose).
+const questionFields = (required) => ({
+  _id: v.objectId(),
+  __v: v.integer(),
+  createdAt: v.date(),
+  updatedAt: v.date(),
+  questionnaireKey: questionnaireKey({ required }),
+  code: v.string({ required, min: 1, max: 50 }),
+  principleKey: v.string({ max: SHORT_TEXT }),
+  principleLabel: localizedText({ required }),
+  principle: v.string({ max: SHORT_TEXT, nullable: true }),
+  appliesToRoles: v.array(v.string({ enum: ['any', ...ROLES] })),
+  text: localizedText({ required }),
+  answerType: v.string({ required, enum: ['single_choice', 'multi_choice', 'open_text', 'numeric'] }),
+  options: v.array(questionOption),
+  optionScores: v.record(v.any()),
+  optionRiskMap: v.record(v.any()),
+  optionSeverityMap: v.record(v.any()),
+  riskScore: importanceScore(),
+  scoring: v.object({
+    answerScoreRange: v.string({ max: 20 }),
+    importanceHandledSeparately: v.boolean(),
+    method: v.string({ enum: ['mapped', 'rubric', 'manual_risk_input'] }),
+    answerScoreRequired: v.boolean(),
+    autoScoringAllowed: v.boolean(),
+    scale: v.string({ max: SHORT_TEXT })
+  }),
+  required: v.boolean(),
+  order: v.number({ nullable: true }),
+  tags: v.array(v.string({ max: SHORT_TEXT })),
+  showIf: displayConditions,
+  description: localizedText()
+});
+
+const createQuestion = {
+  body: questionFields(true)
+};
+
+const updateQuestion = {
+  params: idParams('id'),
+  body: questionFields(false)
+};
+
+const deleteQuestion = {
+  params: idParams('id')
+};
+
+const questionnaireParams = v.object({
+  key: questionnaireKey({ required: true })
+});
+
+const publishQuestionnaire = {
+  params: questionnaireParams,
+  body: {
+    notes: v.string({ max: LONG_TEXT })
+  }
+};
+
+const discardQuestionnaireDraft = {
+  params: questionnaireParams
+};
+
+// Bundle files are uploaded as text (JSON or YAML)
+const BUNDLE_TEXT = 2 * 1024 * 1024;
+
+const importQuestionnaire = {
+  body: {
+    content: v.string({ required: true, min: 1, max: BUNDLE_TEXT }),
+    format: v.string({ enum: ['json', 'yaml'] }),
+    dryRun: v.boolean(),
+    publish: v.boolean(),
+    notes: v.string({ max: LONG_TEXT })
+  }
+};
+
+const clearQuestionCache = {
+  body: {
+    questionnaireKey: questionnaireKey()
+  }
+};
+
+const computeScores = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    questionnaireKey: questionnaireKey(),
+    userId: v.objectId()
+  }
+};
+
+module.exports = {
+  save,
+  customQuestion,
+  generalQuestions,
+  initializeResponses,
+  assignment,
+  draftResponse,
+  submitResponse,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  publishQuestionnaire,
+  discardQuestionnaireDraft,
+  importQuestionnaire,
+  clearQuestionCache,
+  computeScores
+};
@@ -0,0 +1,17 @@
+/**
+ * Request schemas for every write endpoint, grouped by resource.
+ * Used with middleware/validate.js: validate(schemas.tension.create)
+ */
+
+module.exports = {
+  admin: require('./adminSchemas'),
+  auth: require('./authSchemas'),
+  evaluation: require('./evaluationSchemas'),
+  message: require('./messageSchemas'),
+  project: require('./projectSchemas'),
+  report: require('./reportSchemas'),
+  scenario: require('./scenarioSchemas'),
+  tension: require('./tensionSchemas'),
+  useCase: require('./useCaseSchemas'),
+  user: require('./userSchemas')
+};
@@ -0,0 +1,82 @@
+const { v, SHORT_TEXT, LONG_TEXT, idParams, legacy } = require('./common');
+
+const MESSAGE_TEXT = 10000;
+
+const send = {
+  body: {
+    toUserId: v.objectId({ required: true }),
+    text: v.string({ required: true, min: 1, max: MESSAGE_TEXT }),
+    isNotification: v.boolean(),
+    projectId: v.objectId({ nullable: true }),
+    ...legacy('fromUserId')
+  }
+};
+
+const sendEmail = {
+  body: {
+    to: v.string({ required: true, format: 'email' }),
+    toName: v.string({ max: SHORT_TEXT }),
+    fromName: v.string({ max: SHORT_TEXT }),
+    projectTitle: v.string({ max: SHORT_TEXT }),
+    message: v.string({ required: true, min: 1, max: MESSAGE_TEXT }),
+    projectId: v.objectId({ nullable: true })
+  }
+};
+
+const markRead = {
+  body: {
+    messageIds: v.array(v.objectId()),
+    projectId: v.objectId({ nullable: true }),
+    otherUserId: v.objectId(),
+    ...legacy('userId')
+  }
+};
+
+const deleteConversation = {
+  body: {
+    projectId: v.objectId({ nullable: true }),
+    otherUserId: v.objectId({ required: true }),
+    ...legacy('userId')
+  }
+};
+
+const markNotificationRead = {
+  params: idParams('id')
+};
+
+const markAllNotificationsRead = {
+  body: legacy('userId')
+};
+
+const postDiscussion = {
+  body: {
+    text: v.string({ required: true, min: 1, max: LONG_TEXT }),
+    projectId: v.objectId({ nullable: true }),
+    replyTo: v.objectId({ nullable: true }),
+    mentions: v.array(v.objectId()),
+    ...legacy('userId')
+  }
+};
+
+const pinDiscussion = {
+  params: idParams('id'),
+  body: {
+    isPinned: v.boolean({ required: true })
+  }
+};
+
+const deleteDiscussion = {
+  params: idParams('id')
+};
+
+module.exports = {
+  send,
+  sendEmail,
+  markRead,
+  deleteConversation,
+  markNotificationRead,
+  markAllNotificationsRead,
+  postDiscussion,
+  pinDiscussion,
+  deleteDiscussion
+};
@@ -0,0 +1,81 @@
+const { v, EXPERT_ROLES, EVALUATION_STAGES, SCORING_MODELS, SHORT_TEXT, LONG_TEXT, idParams, legacy } = require('./common');
+
+const create = {
+  body: {
+    title: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+    shortDescription: v.string({ max: LONG_TEXT }),
+    fullDescription: v.string({ max: LONG_TEXT }),
+    status: v.string({ max: 50 }),
+    stage: v.string({ enum: EVALUATION_STAGES }),
+    targetDate: v.string({ max: 50 }),
+    progress: v.number({ min: 0, max: 100 }),
+    assignedUsers: v.array(v.objectId()),
+    useCase: v.objectId({ nullable: true }),
+    scoringModel: v.string({ enum: SCORING_MODELS }),
+    inspectionContext: v.object({
+      requester: v.string({ max: LONG_TEXT }),
+      inspectionReason: v.string({ max: LONG_TEXT }),
+      relevantFor: v.string({ max: LONG_TEXT }),
+      isMandatory: v.string({ max: LONG_TEXT }),
+      conditionsToAnalyze: v.string({ max: LONG_TEXT }),
+      resultsUsage: v.string({ max: LONG_TEXT }),
+      resultsSharing: v.string({ max: LONG_TEXT })
+    }),
+    ...legacy('userId')
+  }
+};
+
+const remove = {
+  params: idParams('id')
+};
+
+const assign = {
+  params: idParams('id'),
+  body: {
+    assignedExperts: v.array(v.objectId()),
+    adminNotes: v.string({ max: LONG_TEXT })
+  }
+};
+
+const finishEvolution = {
+  params: idParams('projectId'),
+  body: legacy('userId')
+};
+
+const claimAll = {};
+
+const setScoringModel = {
+  params: idParams('id'),
+  body: {
+    scoringModel: v.string({ required: true, enum: SCORING_MODELS })
+  }
+};
+
+const setThresholds = {
+  params: idParams('id'),
+  body: {
+    thresholdsVersion: v.string({ required: true, min: 1, max: 100 })
+  }
+};
+
+// null resets the project to the default weights
+const setRoleWeights = {
+  params: idParams('id'),
+  body: {
+    roleWeights: v.object(
+      Object.fromEntries(EXPERT_ROLES.map((role) => [role, v.number({ min: 0, max: 10 })])),
+      { required: true, nullable: true }
+    )
+  }
+};
+
+module.exports = {
+  create,
+  remove,
+  assign,
+  finishEvolution,
+  claimAll,
+  setScoringModel,
+  setThresholds,
+  setRoleWeights
+};
@@ -0,0 +1,78 @@
+const { v, SHORT_TEXT, LONG_TEXT, COMMENT_TEXT, LOCALE_CODES, idParams, legacy } = require('./common');
+
+const REPORT_STATUSES = ['draft', 'final', 'archived', 'generating', 'failed']; // models/report.js
+
+const sectionParams = v.object({
+  id: v.objectId({ required: true }),
+  principle: v.string({ required: true, min: 1, max: SHORT_TEXT })
+});
+
+const generate = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    // Report language (config/locales.config.js); defaults to the user's preferred locale
+    locale: v.string({ enum: LOCALE_CODES }),
+    ...legacy('userId')
+  }
+};
+
+const downloadDocx = {
+  params: idParams('id'),
+  query: {
+    locale: v.string({ enum: LOCALE_CODES }),
+    ...legacy('userId')
+  }
+};
+
+const finalize = {
+  params: idParams('id'),
+  body: legacy('userId')
+};
+
+const sectionExpertEdit = {
+  params: sectionParams,
+  body: {
+    expertEdit: v.string({ required: true, max: LONG_TEXT }),
+    ...legacy('userId')
+  }
+};
+
+const sectionComment = {
+  params: sectionParams,
+  body: {
+    text: v.string({ required: true, min: 1, max: COMMENT_TEXT }),
+    ...legacy('userId')
+  }
+};
+
+const reportComment = {
+  params: idParams('id'),
+  body: {
+    text: v.string({ required: true, min: 1, max: COMMENT_TEXT }),
+    ...legacy('userId')
+  }
+};
+
+const update = {
+  params: idParams('id'),
+  body: {
+    status: v.string({ enum: REPORT_STATUSES }),
+    title: v.string({ min: 1, max: SHORT_TEXT })
+  }
+};
+
+const remove = {
+  params: idParams('id'),
+  query: legacy('userId')
+};
+
+module.exports = {
+  generate,
+  downloadDocx,
+  finalize,
+  sectionExpertEdit,
+  sectionComment,
+  reportComment,
+  update,
+  remove
+};
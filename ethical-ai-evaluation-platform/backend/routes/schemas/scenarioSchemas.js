@@ -0,0 +1,50 @@
+const { v, SHORT_TEXT, LONG_TEXT, idParams, unitScore } = require('./common');
+
+const questionChanges = v.array(v.object({
+  questionId: v.objectId({ required: true }),
+  answerSeverity: unitScore({ required: true })
+}), { max: 500 });
+
+const mitigatedTensionIds = v.array(v.objectId(), { max: 500 });
+
+const simulate = {
+  params: idParams('projectId'),
+  body: {
+    questionChanges,
+    mitigatedTensionIds
+  }
+};
+
+const scenarioFields = {
+  description: v.string({ max: LONG_TEXT }),
+  questionChanges,
+  mitigatedTensionIds,
+  includeInReport: v.boolean()
+};
+
+const create = {
+  params: idParams('projectId'),
+  body: {
+    name: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+    ...scenarioFields
+  }
+};
+
+const update = {
+  params: idParams('projectId', 'scenarioId'),
+  body: {
+    name: v.string({ min: 1, max: SHORT_TEXT }),
+    ...scenarioFields
+  }
+};
+
+const remove = {
+  params: idParams('projectId', 'scenarioId')
+};
+
+module.exports = {
+  simulate,
+  create,
+  update,
+  remove
+};
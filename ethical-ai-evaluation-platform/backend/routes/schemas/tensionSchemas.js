@@ -0,0 +1,100 @@
+const {
+  v, TENSION_SEVERITIES, TENSION_STATUSES, SHORT_TEXT, LONG_TEXT, COMMENT_TEXT, idParams, legacy
+} = require('./common');
+
+const tensionFields = {
+  principle1: v.string({ max: SHORT_TEXT }),
+  principle2: v.string({ max: SHORT_TEXT }),
+  claimStatement: v.string({ max: LONG_TEXT }),
+  description: v.string({ max: LONG_TEXT }),
+  severity: v.string({ enum: TENSION_SEVERITIES }),
+  status: v.string({ enum: TENSION_STATUSES })
+};
+
+const create = {
+  body: {
+    projectId: v.objectId({ required: true }),
+    ...tensionFields,
+    evidenceDescription: v.string({ max: LONG_TEXT }),
+    evidenceType: v.string({ max: SHORT_TEXT }),
+    evidenceFileName: v.string({ max: SHORT_TEXT }),
+    evidenceFileData: v.string({ nullable: true }),
+    impact: v.object({
+      areas: v.array(v.string({ max: SHORT_TEXT })),
+      affectedGroups: v.array(v.string({ max: SHORT_TEXT })),
+      description: v.string({ max: LONG_TEXT })
+    }),
+    mitigation: v.object({
+      proposed: v.string({ max: LONG_TEXT }),
+      tradeoff: v.object({
+        decision: v.string({ max: SHORT_TEXT }),
+        rationale: v.string({ max: LONG_TEXT })
+      }),
+      action: v.object({
+        ownerName: v.string({ max: SHORT_TEXT }),
+        dueDate: v.date({ nullable: true }),
+        status: v.string({ max: SHORT_TEXT })
+      })
+    }),
+    ...legacy('createdBy')
+  }
+};
+
+const update = {
+  params: idParams('id'),
+  body: tensionFields
+};
+
+const remove = {
+  params: idParams('id'),
+  query: legacy('userId')
+};
+
+const vote = {
+  params: idParams('id'),
+  body: {
+    voteType: v.string({ required: true, enum: ['agree', 'disagree'] }),
+    ...legacy('userId')
+  }
+};
+
+const comment = {
+  params: idParams('id'),
+  body: {
+    text: v.string({ required: true, min: 1, max: COMMENT_TEXT }),
+    ...legacy('authorId', 'authorName')
+  }
+};
+
+const evidence = {
+  params: idParams('id'),
+  body: {
+    title: v.string({ max: SHORT_TEXT }),
+    description: v.string({ max: LONG_TEXT }),
+    fileName: v.string({ max: SHORT_TEXT }),
+    fileData: v.string({ nullable: true }),
+    type: v.string({ max: SHORT_TEXT }),
+    ...legacy('uploadedBy')
+  }
+};
+
+const evidenceComment = {
+  params: v.object({
+    tensionId: v.objectId({ required: true }),
+    evidenceId: v.integer({ required: true, min: 0 }) // index into tension.evidences
+  }),
+  body: {
+    text: v.string({ required: true, min: 1, max: COMMENT_TEXT }),
+    ...legacy('userId')
+  }
+};
+
+module.exports = {
+  create,
+  update,
+  remove,
+  vote,
+  comment,
+  evidence,
+  evidenceComment
+};
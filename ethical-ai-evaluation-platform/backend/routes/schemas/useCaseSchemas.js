@@ -0,0 +1,73 @@
+const { v, SHORT_TEXT, LONG_TEXT, idParams } = require('./common');
+
+const supportingFile = v.object({
+  name: v.string({ required: true, min: 1, max: 500 }),
+  data: v.string({ nullable: true }), // Base64
+  contentType: v.string({ max: SHORT_TEXT, nullable: true }),
+  url: v.string({ max: 2000, nullable: true })
+});
+
+const create = {
+  body: {
+    title: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+    description: v.string({ max: LONG_TEXT }),
+    aiSystemCategory: v.string({ max: SHORT_TEXT }),
+    aiSystemLink: v.string({ max: 2000 }),
+    status: v.string({ max: 50 }),
+    progress: v.number({ min: 0, max: 100 }),
+    ownerId: v.objectId(),
+    createdAt: v.date(),
+    updatedAt: v.date(),
+    assignedExperts: v.array(v.objectId()),
+    supportingFiles: v.array(supportingFile),
+    answers: v.array(v.object({
+      questionId: v.string({ required: true, min: 1, max: SHORT_TEXT }),
+      questionKey: v.string({ max: SHORT_TEXT }),
+      answer: v.string({ max: LONG_TEXT })
+    })),
+    // Sectioned questionnaire answers (sectionI, sectionII, ...)
+    extendedInfo: v.record(v.record(v.any())),
+    adminNotes: v.string({ max: LONG_TEXT })
+  }
+};
+
+const remove = {
+  params: idParams('id')
+};
+
+const assign = {
+  params: idParams('id'),
+  body: {
+    assignedExperts: v.array(v.objectId()),
+    adminNotes: v.string({ max: LONG_TEXT })
+  }
+};
+
+const addSupportingFiles = {
+  params: idParams('id'),
+  body: {
+    files: v.array(supportingFile, { required: true, min: 1 })
+  }
+};
+
+const fileIdentifier = {
+  name: v.string({ max: 500 }),
+  url: v.string({ max: 2000 })
+};
+
+const removeSupportingFile = {
+  params: idParams('id'),
+  query: fileIdentifier,
+  body: fileIdentifier
+};
+
+const seedQuestions = {};
+
+module.exports = {
+  create,
+  remove,
+  assign,
+  addSupportingFiles,
+  removeSupportingFile,
+  seedQuestions
+};
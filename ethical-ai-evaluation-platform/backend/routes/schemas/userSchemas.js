@@ -0,0 +1,41 @@
+const { v, ROLES, LOCALE_CODES, SHORT_TEXT, idParams } = require('./common');
+
+const preconditionApproval = {
+  params: idParams('id')
+};
+
+const update = {
+  params: idParams('id'),
+  body: {
+    name: v.string({ min: 1, max: SHORT_TEXT }),
+    role: v.string({ enum: ROLES }),
+    preferredLocale: v.string({ enum: LOCALE_CODES })
+  }
+};
+
+const profileImage = {
+  params: idParams('id'),
+  body: {
+    image: v.string({ required: true, nullable: true }) // data URL; null removes the image
+  }
+};
+
+const changePassword = {
+  params: idParams('id'),
+  body: {
+    oldPassword: v.string({ required: true, min: 1, max: 256 }),
+    newPassword: v.string({ required: true, min: 1, max: 256 })
+  }
+};
+
+const deleteAccount = {
+  params: idParams('id')
+};
+
+module.exports = {
+  preconditionApproval,
+  update,
+  profileImage,
+  changePassword,
+  deleteAccount
+};
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const SharedDiscussion = require('../models/SharedDiscussion');
+const { isValidObjectId } = require('../utils/objectId');
+const { getActorId } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const messageSchemas = require('./schemas/messageSchemas');
+
+// Shared Discussion (Shared Area) Endpoints
+// GET /api/shared-discussions?projectId= (projectId opsiyonel, tüm mesajları getirir)
+router.get('/shared-discussions', authorize('discussion.view'), async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    const query = {};
+    if (projectId && projectId !== 'all') {
+      // Convert to ObjectId if valid
+      if (isValidObjectId(projectId)) {
+        query.projectId = new mongoose.Types.ObjectId(projectId);
+      } else {
+        query.projectId = projectId;
+      }
+    }
+
+    const discussions = await SharedDiscussion.find(query)
+      .populate('userId', 'name email role')
+      .populate('projectId', 'title')
+      .populate('replyTo', 'text userId')
+      .populate('mentions', 'name email')
+      .sort({ isPinned: -1, createdAt: -1 }); // Pinned mesajlar önce, sonra tarihe göre
+
+    res.json(discussions);
+  } catch (err) {
+    console.error('Error fetching shared discussions:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/shared-discussions
+router.post('/shared-discussions', validate(messageSchemas.postDiscussion), authorize('discussion.post'), async (req, res) => {
+  try {
+    console.log('📨 Received shared discussion request:', req.body);
+    const { text, projectId, replyTo, mentions } = req.body;
+    const userId = getActorId(req);
+
+    if (!userId || !text) {
+      console.error('❌ Missing required fields:', { userId: !!userId, text: !!text });
+      return res.status(400).json({ error: 'Missing required fields: userId, text' });
+    }
+
+    // Convert userId to ObjectId if valid
+    let userIdObj;
+    if (isValidObjectId(userId)) {
+      userIdObj = new mongoose.Types.ObjectId(userId);
+      // Verify user exists
+      const userExists = await User.findById(userIdObj);
+      if (!userExists) {
+        console.error('❌ User not found with id:', userId);
+        return res.status(400).json({ error: 'User not found' });
+      }
+    } else {
+      console.error('❌ Invalid userId format:', userId);
+      return res.status(400).json({ error: 'Invalid userId format' });
+    }
+
+    const projectIdObj = projectId && projectId !== 'all' && isValidObjectId(projectId)
+      ? new mongoose.Types.ObjectId(projectId)
+      : (projectId && projectId !== 'all' ? projectId : null);
+    const replyToObj = replyTo && isValidObjectId(replyTo)
+      ? new mongoose.Types.ObjectId(replyTo)
+      : (replyTo || null);
+    const mentionsObj = mentions && Array.isArray(mentions)
+      ? mentions.map(m => isValidObjectId(m) ? new mongoose.Types.ObjectId(m) : m)
+      : [];
+
+    console.log('✅ Creating discussion with:', { userIdObj, text: text.substring(0, 50), projectIdObj });
+
+    const discussion = new SharedDiscussion({
+      userId: userIdObj,
+      text,
+      projectId: projectIdObj,
+      replyTo: replyToObj,
+      mentions: mentionsObj,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    await discussion.save();
+    console.log('✅ Discussion saved:', discussion._id);
+
+    // Populate ile tam bilgileri getir
+    const populated = await SharedDiscussion.findById(discussion._id)
+      .populate('userId', 'name email role')
+      .populate('projectId', 'title')
+      .populate('replyTo', 'text userId')
+      .populate('mentions', 'name email');
+
+    console.log('✅ Discussion populated successfully');
+    res.json(populated);
+  } catch (err) {
+    console.error('❌ Error creating shared discussion:', err);
+    console.error('Error stack:', err.stack);
+    res.status(500).json({ error: err.message || 'Internal server error' });
+  }
+});
+
+// PUT /api/shared-discussions/:id/pin (Admin only - pin/unpin)
+router.put('/shared-discussions/:id/pin', validate(messageSchemas.pinDiscussion), authorize('discussion.pin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isPinned } = req.body;
+
+    const discussion = await SharedDiscussion.findByIdAndUpdate(
+      id,
+      { isPinned: isPinned === true, updatedAt: new Date() },
+      { new: true }
+    )
+      .populate('userId', 'name email role')
+      .populate('projectId', 'title')
+      .populate('replyTo', 'text userId')
+      .populate('mentions', 'name email');
+
+    if (!discussion) {
+      return res.status(404).json({ error: 'Discussion not found' });
+    }
+
+    res.json(discussion);
+  } catch (err) {
+    console.error('Error pinning/unpinning discussion:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/shared-discussions/:id
+router.delete('/shared-discussions/:id', validate(messageSchemas.deleteDiscussion), authorize('discussion.delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const discussion = await SharedDiscussion.findById(id).select('userId').lean();
+
+    if (!discussion) {
+      return res.status(404).json({ error: 'Discussion not found' });
+    }
+    // Only the author or an admin can delete a message
+    if (req.user.role !== 'admin' && String(discussion.userId) !== getActorId(req)) {
+      return res.status(403).json({ error: 'Not authorized to delete this message', code: 'NOT_RESOURCE_OWNER' });
+    }
+    await SharedDiscussion.findByIdAndDelete(id);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting discussion:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,293 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Tension = require('../models/Tension');
+const { getActorId } = require('../middleware/auth');
+const { authorize, projectFrom } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const tensionSchemas = require('./schemas/tensionSchemas');
+
+// Tensions - OLUŞTURMA (İlk evidence ile birlikte)
+router.post('/tensions', validate(tensionSchemas.create), authorize('tension.create', { project: projectFrom.body() }), async (req, res) => {
+  try {
+    const {
+      projectId, principle1, principle2, claimStatement, description,
+      evidenceDescription, evidenceType, evidenceFileName, evidenceFileData,
+      severity, status,
+      impact, mitigation
+    } = req.body;
+    const createdBy = getActorId(req);
+
+    const initialEvidences = [];
+    // Eğer formdan dosya veya açıklama geldiyse ilk kanıtı oluştur
+    if (evidenceDescription || evidenceFileName) {
+      initialEvidences.push({
+        title: 'Initial Claim Evidence',
+        description: evidenceDescription,
+        fileName: evidenceFileName,
+        fileData: evidenceFileData,
+        uploadedBy: createdBy,
+        uploadedAt: new Date()
+      });
+    }
+
+    const tensionData = {
+      projectId, principle1, principle2, claimStatement, description,
+      severity, status, createdBy,
+      evidences: initialEvidences,
+      comments: []
+    };
+
+    // Add evidenceType if provided (backward compatible)
+    if (evidenceType) {
+      tensionData.evidenceType = evidenceType;
+    }
+
+    // Add impact data if provided
+    if (impact) {
+      tensionData.impact = {
+        areas: impact.areas || [],
+        affectedGroups: impact.affectedGroups || [],
+        description: impact.description
+      };
+    }
+
+    // Add mitigation data if provided
+    if (mitigation) {
+      tensionData.mitigation = {
+        proposed: mitigation.proposed,
+        tradeoff: {
+          decision: mitigation.tradeoff?.decision,
+          rationale: mitigation.tradeoff?.rationale
+        },
+        action: {
+          ownerName: mitigation.action?.ownerName,
+          dueDate: mitigation.action?.dueDate ? new Date(mitigation.action.dueDate) : undefined,
+          status: mitigation.action?.status || 'Open'
+        }
+      };
+    }
+
+    const tension = new Tension(tensionData);
+
+    await tension.save();
+    console.log("⚡ Yeni Tension eklendi:", tension._id);
+    res.json(tension);
+  } catch (err) {
+    console.error("❌ Tension Ekleme Hatası:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tension getir (id ile)
+router.get('/tensions/id/:id', authorize('tension.view', { project: projectFrom.tension('id') }), async (req, res) => {
+  try {
+    const tension = await Tension.findById(req.params.id);
+    if (!tension) return res.status(404).json({ error: 'Not found' });
+    res.json(tension);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tension güncelle
+router.put('/tensions/:id', validate(tensionSchemas.update), authorize('tension.edit', { project: projectFrom.tension('id') }), async (req, res) => {
+  try {
+    const { principle1, principle2, claimStatement, description, severity, status } = req.body;
+    const updated = await Tension.findByIdAndUpdate(
+      req.params.id,
+      { principle1, principle2, claimStatement, description, severity, status },
+      { new: true }
+    );
+    if (!updated) return res.status(404).json({ error: 'Not found' });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tension sil
+router.delete('/tensions/:id', validate(tensionSchemas.remove), authorize('tension.delete', { project: projectFrom.tension('id') }), async (req, res) => {
+  try {
+    const requesterUserId = getActorId(req);
+    if (!requesterUserId) {
+      return res.status(400).json({ error: 'Missing userId' });
+    }
+
+    const tension = await Tension.findById(req.params.id);
+    if (!tension) return res.status(404).json({ error: 'Not found' });
+
+    // Verify requester role from DB (do not trust client-provided role)
+    let isAdmin = false;
+    try {
+      const user = await User.findById(requesterUserId).select('role');
+      isAdmin = user?.role === 'admin';
+    } catch {
+      // ignore (keep isAdmin=false)
+    }
+
+    const isCreator = Boolean(tension.createdBy) && tension.createdBy.toString() === requesterUserId;
+
+    // Backward-compat: if createdBy is missing, only admin can delete
+    if (!isAdmin && !isCreator) {
+      return res.status(403).json({ error: 'Not authorized to delete this tension' });
+    }
+
+    await Tension.findByIdAndDelete(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/tensions/:projectId', authorize('tension.view', { project: projectFrom.param() }), async (req, res) => {
+  try {
+    const userId = getActorId(req);
+    const tensions = await Tension.find({ projectId: req.params.projectId });
+    const formattedTensions = tensions.map(t => {
+      const agreeCount = t.votes ? t.votes.filter(v => v.voteType === 'agree').length : 0;
+      const disagreeCount = t.votes ? t.votes.filter(v => v.voteType === 'disagree').length : 0;
+      const myVote = userId && t.votes ? t.votes.find(v => v.userId === userId)?.voteType : null;
+      return {
+        ...t.toObject(),
+        consensus: { agree: agreeCount, disagree: disagreeCount },
+        userVote: myVote
+      };
+    });
+    res.json(formattedTensions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/tensions/:id/vote', validate(tensionSchemas.vote), authorize('tension.vote', { project: projectFrom.tension('id') }), async (req, res) => {
+  try {
+    const { voteType } = req.body;
+    const userId = getActorId(req);
+    const tension = await Tension.findById(req.params.id);
+    if (!tension) return res.status(404).send('Not found');
+    if (!tension.votes) tension.votes = [];
+    const existingVoteIndex = tension.votes.findIndex(v => v.userId === userId);
+    if (existingVoteIndex > -1) {
+      if (tension.votes[existingVoteIndex].voteType === voteType) tension.votes.splice(existingVoteIndex, 1);
+      else tension.votes[existingVoteIndex].voteType = voteType;
+    } else {
+      tension.votes.push({ userId, voteType });
+    }
+    await tension.save();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// YORUM EKLEME
+router.post('/tensions/:id/comment', validate(tensionSchemas.comment), authorize('tension.comment', { project: projectFrom.tension('id') }), async (req, res) => {
+  try {
+    const { text } = req.body;
+    const authorId = getActorId(req);
+    const authorName = req.user.name;
+    const tension = await Tension.findById(req.params.id);
+    if (!tension) return res.status(404).send('Not found');
+
+    if (!tension.comments) tension.comments = [];
+    tension.comments.push({ text, authorId, authorName, date: new Date() });
+
+    await tension.save();
+    res.json(tension.comments);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// EVIDENCE EKLEME (Sonradan ekleme)
+router.post('/tensions/:id/evidence', validate(tensionSchemas.evidence), authorize('tension.evidence', { project: projectFrom.tension('id') }), async (req, res) => {
+  try {
+    const { title, description, fileName, fileData, type } = req.body;
+    const uploadedBy = getActorId(req);
+    const tension = await Tension.findById(req.params.id);
+    if (!tension) return res.status(404).send('Not found');
+
+    if (!tension.evidences) tension.evidences = [];
+
+    // Build evidence object - only include type if it's a non-empty string
+    const evidenceObj = {
+      title,
+      description,
+      fileName,
+      fileData,
+      uploadedBy,
+      uploadedAt: new Date(),
+      comments: []
+    };
+
+    // Only add type if it's a valid string
+    if (type && typeof type === 'string' && type.trim().length > 0) {
+      evidenceObj.type = type.trim();
+    }
+
+    tension.evidences.push(evidenceObj);
+
+    await tension.save();
+    res.json(tension.evidences);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// EVIDENCE COMMENT EKLEME
+router.post('/tensions/:tensionId/evidence/:evidenceId/comments', validate(tensionSchemas.evidenceComment), authorize('tension.evidence', { project: projectFrom.tension('tensionId') }), async (req, res) => {
+  try {
+    const { tensionId, evidenceId } = req.params;
+    const { text } = req.body;
+    const userId = getActorId(req);
+
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const tension = await Tension.findById(tensionId);
+    if (!tension) return res.status(404).json({ error: 'Tension not found' });
+
+    if (!tension.evidences || !Array.isArray(tension.evidences)) {
+      return res.status(404).json({ error: 'Evidence array not found' });
+    }
+
+    // Find evidence by index (evidenceId is the array index as string)
+    const evidenceIndex = parseInt(evidenceId, 10);
+
+    if (isNaN(evidenceIndex) || evidenceIndex < 0 || evidenceIndex >= tension.evidences.length) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+
+    const evidence = tension.evidences[evidenceIndex];
+
+    if (!evidence) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+
+    // Initialize comments array if not exists
+    if (!evidence.comments) {
+      evidence.comments = [];
+    }
+
+    // Add comment
+    evidence.comments.push({
+      userId,
+      text: text.trim(),
+      createdAt: new Date()
+    });
+
+    await tension.save();
+
+    // Return updated evidence
+    const updatedEvidence = tension.evidences[evidenceIndex];
+    res.json(updatedEvidence);
+  } catch (err) {
+    console.error('Error adding evidence comment:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,422 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const UseCaseQuestion = require('../models/UseCaseQuestion');
+const UseCase = require('../models/UseCase');
+const { isValidObjectId } = require('../utils/objectId');
+const { serializeUseCase, serializeUseCases } = require('../utils/serializers');
+const { getActorId } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const useCaseSchemas = require('./schemas/useCaseSchemas');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditLogService');
+
+// Use Case Questions - Soruları getir (cached for performance)
+let questionsCache = null;
+let questionsCacheTime = 0;
+const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+
+router.get('/use-case-questions', authorize('usecase.view'), async (req, res) => {
+  try {
+    // Return cached data if available and fresh
+    const now = Date.now();
+    if (questionsCache && (now - questionsCacheTime) < CACHE_DURATION) {
+      return res.json(questionsCache);
+    }
+
+    // Fetch from database - only active questions by default
+    const questions = await UseCaseQuestion.find({ isActive: { $ne: false } }).sort({ order: 1 }).lean();
+    questionsCache = questions;
+    questionsCacheTime = now;
+    res.json(questions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Use Case Questions - Soruları seed et (ilk kurulum için)
+router.post('/use-case-questions/seed', validate(useCaseSchemas.seedQuestions), authorize('usecase.questions.seed'), async (req, res) => {
+  try {
+    const questions = [
+      { id: 'q1', questionEn: 'What is the name and version of the AI system used in this project?', questionTr: 'Bu projede kullanılan AI sisteminin adı ve versiyonu nedir?', type: 'text', options: [], order: 1 },
+      { id: 'q2', questionEn: 'Which organization or team is responsible for developing this AI system?', questionTr: 'Bu AI sistemini geliştiren organizasyon veya ekip kimdir?', type: 'text', options: [], order: 2 },
+      { id: 'q3', questionEn: 'Which application domain best describes how the system is used (e.g., healthcare, education, finance)?', questionTr: 'Sistemin kullanıldığı uygulama alanı nedir? (Örn. sağlık, eğitim, finans)', type: 'multiple-choice', options: ['Healthcare', 'Education', 'Finance', 'Transportation', 'Energy', 'Public Sector', 'Other'], order: 3 },
+      { id: 'q4', questionEn: 'What specific problem does this AI system aim to solve in your use case?', questionTr: 'Bu AI sistemi kullanım senaryonuzda hangi spesifik problemi çözmeyi amaçlıyor?', type: 'text', options: [], order: 4 },
+      { id: 'q5', questionEn: 'In what environment will the system be deployed (e.g., mobile app, hospital system, web app)?', questionTr: 'Sistem hangi ortamda kullanılacak? (Örn. mobil uygulama, hastane sistemi, web)', type: 'multiple-choice', options: ['Mobile App', 'Web App', 'Hospital System', 'Desktop Application', 'Cloud Platform', 'Edge Device', 'Other'], order: 5 },
+      { id: 'q6', questionEn: 'At what stage is the system currently (prototype, testing, live deployment)?', questionTr: 'Sistem şu anda hangi aşamada? (Prototip, test, aktif kullanım…)', type: 'multiple-choice', options: ['Prototype', 'Testing', 'Live Deployment', 'Pilot', 'Development'], order: 6 },
+      { id: 'q7', questionEn: 'What are the main performance or impact claims made about the system?', questionTr: 'Sistem hakkında yapılan temel performans, etki veya fayda iddiaları nelerdir?', type: 'text', options: [], order: 7 },
+      { id: 'q8', questionEn: 'Who are the primary and secondary users of this system?', questionTr: 'Bu sistemin birincil ve ikincil kullanıcıları kimlerdir?', type: 'text', options: [], order: 8 },
+      { id: 'q9', questionEn: 'What is the typical technical proficiency level of users interacting with the system?', questionTr: 'Sistemle etkileşime giren kullanıcıların tipik teknik yeterlilik seviyesi nedir?', type: 'text', options: [], order: 9 },
+      { id: 'q10', questionEn: 'How do you prevent users from over-relying on AI outputs?', questionTr: 'Kullanıcıların AI çıktısına aşırı güvenmesini nasıl engelliyorsunuz?', type: 'text', options: [], order: 10 },
+      { id: 'q11', questionEn: 'Does the system introduce delays or workflow challenges that affect usability?', questionTr: 'Sistem kullanımda gecikmelere veya iş akışında zorluklara neden oluyor mu?', type: 'text', options: [], order: 11 },
+      { id: 'q12', questionEn: 'What type of AI model does the system use?', questionTr: 'Sistem hangi tür AI modelini kullanıyor?', type: 'text', options: [], order: 12 },
+      { id: 'q13', questionEn: 'What data sources are used to train or run the AI system?', questionTr: 'AI sisteminin eğitimi veya çalışması için hangi veri kaynakları kullanılıyor?', type: 'text', options: [], order: 13 },
+      { id: 'q14', questionEn: 'What are the key characteristics (format, diversity, demographic range) of the training data?', questionTr: 'Eğitim verisinin formatı, çeşitliliği ve demografik kapsamı nedir?', type: 'text', options: [], order: 14 },
+      { id: 'q15', questionEn: 'Is the dataset size sufficient for reliable model performance?', questionTr: 'Veri seti boyutu güvenilir bir model performansı için yeterli mi?', type: 'text', options: [], order: 15 },
+      { id: 'q16', questionEn: 'Is the data relevant, high-quality, and free of major biases?', questionTr: 'Veri ilgili, yüksek kaliteli ve ciddi önyargılardan arındırılmış mı?', type: 'text', options: [], order: 16 },
+      { id: 'q17', questionEn: 'Is any federated learning or distributed method used, and how is quality monitored?', questionTr: 'Federated learning veya dağıtık öğrenme kullanılıyor mu? Kalite nasıl denetleniyor?', type: 'text', options: [], order: 17 },
+      { id: 'q18', questionEn: 'What ethical risks do you identify in this use case?', questionTr: 'Bu kullanım senaryosunda gördüğünüz etik riskler nelerdir?', type: 'text', options: [], order: 18 },
+      { id: 'q19', questionEn: 'Could system performance vary depending on users\' resources or access levels?', questionTr: 'Sistem performansı kullanıcıların kaynak seviyesine veya erişimine göre değişebilir mi?', type: 'text', options: [], order: 19 },
+      { id: 'q20', questionEn: 'What negative outcomes could arise from using this system in your use case?', questionTr: 'Bu sistemin kullanımından doğabilecek olumsuz sonuçlar nelerdir?', type: 'text', options: [], order: 20 },
+      { id: 'q21', questionEn: 'What explainability methods (SHAP, LIME, etc.) are used to make decisions understandable?', questionTr: 'Kararları anlaşılır kılmak için hangi açıklanabilirlik yöntemleri (SHAP, LIME vb.) kullanılıyor?', type: 'text', options: [], order: 21 },
+      { id: 'q22', questionEn: 'What documentation exists for the system (model card, data sheet, architecture notes)?', questionTr: 'Sistem için hangi dokümanlar mevcut? (model card, data sheet vb.)', type: 'text', options: [], order: 22 },
+      { id: 'q23', questionEn: 'How is user feedback collected and incorporated into system improvements?', questionTr: 'Kullanıcı geri bildirimleri nasıl toplanıyor ve sistem iyileştirmelerine nasıl dahil ediliyor?', type: 'text', options: [], order: 23 }
+    ];
+
+    // Mevcut soruları sil ve yenilerini ekle
+    await UseCaseQuestion.deleteMany({});
+    const inserted = await UseCaseQuestion.insertMany(questions);
+    // Clear cache after seeding
+    questionsCache = null;
+    questionsCacheTime = 0;
+    res.json({ message: 'Questions seeded successfully', count: inserted.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Use Cases - Optimize: don't fetch answers for list view
+router.get('/use-cases', authorize('usecase.view'), async (req, res) => {
+  try {
+    const { adminId } = req.query;
+    const ownerId = req.user.role === 'use-case-owner' ? getActorId(req) : req.query.ownerId;
+    let query = UseCase.find();
+
+    // Filter by ownerId if provided (for performance)
+    if (ownerId) {
+      query = query.where('ownerId').equals(ownerId);
+    }
+
+    // If an admin requests this, they need to see ALL use cases to create projects from them.
+    // The visual separation in the Admin Dashboard "Use Case Assignments" tab is handled strictly on the frontend.
+
+    const useCases = await query
+      .select('-answers -extendedInfo -supportingFiles.data') // Don't fetch file data or answers for list
+      .lean()
+      .limit(500) // Reduced limit for better performance
+      .maxTimeMS(8000) // Fail fast if Atlas is slow
+      .sort({ createdAt: -1 }); // Sort by newest first
+
+    // Set cache-control for quick re-fetches (5 second cache)
+    res.set('Cache-Control', 'private, max-age=5');
+    res.json(serializeUseCases(useCases, { viewer: req.user }));
+  } catch (err) {
+    if (err.name === 'MongooseError' && err.message.includes('maxTimeMS')) {
+      return res.status(503).json({ error: 'Database query timed out. Please try again.' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/use-cases/:id', authorize('usecase.view'), async (req, res) => {
+  try {
+    const useCase = await UseCase.findById(req.params.id);
+    if (!useCase) return res.status(404).json({ error: 'Not found' });
+    res.json(serializeUseCase(useCase, { viewer: req.user, includeFileData: true }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DEBUG route: show findById and attempt findByIdAndDelete but don't delete
+router.get('/debug/use-cases/:id', authorize('admin.debug'), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const found = await UseCase.findById(id);
+    const foundByQuery = await UseCase.findOne({ _id: id });
+    return res.json({ found: !!found, foundByQuery: !!foundByQuery, idType: typeof id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/use-cases', validate(useCaseSchemas.create), authorize('usecase.create'), async (req, res) => {
+  try {
+    const useCase = new UseCase({
+      ...req.body,
+      ownerId: req.user.role === 'admin' && req.body.ownerId ? req.body.ownerId : getActorId(req)
+    });
+    await useCase.save();
+    res.json(serializeUseCase(useCase, { viewer: req.user, includeFileData: true }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/use-cases/:id', validate(useCaseSchemas.remove), authorize('usecase.delete'), async (req, res) => {
+  try {
+    const useCase = await UseCase.findById(req.params.id).select('ownerId').lean();
+    if (!useCase) {
+      return res.status(404).json({ error: 'Use case not found' });
+    }
+    // Use case owners may only delete their own use cases
+    if (req.user.role !== 'admin' && String(useCase.ownerId) !== getActorId(req)) {
+      return res.status(403).json({ error: 'Not authorized to delete this use case', code: 'NOT_RESOURCE_OWNER' });
+    }
+    await UseCase.findByIdAndDelete(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put('/use-cases/:id/assign', validate(useCaseSchemas.assign), authorize('usecase.assign'), async (req, res) => {
+  try {
+    const { assignedExperts = [], adminNotes = '' } = req.body;
+    const useCaseId = req.params.id;
+
+    // Validate and filter assigned experts
+    let validAssignedExperts = [];
+    if (assignedExperts && Array.isArray(assignedExperts) && assignedExperts.length > 0) {
+      validAssignedExperts = assignedExperts
+        .map(id => {
+          if (!id) return null;
+          const idStr = id.toString();
+          return isValidObjectId(idStr) ? new mongoose.Types.ObjectId(idStr) : null;
+        })
+        .filter(Boolean);
+
+      // Verify these are actual expert users (not admins)
+      if (validAssignedExperts.length > 0) {
+        const experts = await User.find({
+          _id: { $in: validAssignedExperts },
+          role: { $ne: 'admin' }
+        }).select('_id').lean();
+        validAssignedExperts = experts.map(e => e._id);
+      }
+    }
+
+    // Set status based on assignment count
+    const newStatus = validAssignedExperts.length > 0 ? 'ASSIGNED' : 'UNASSIGNED';
+
+    // Update the use case
+    const updated = await UseCase.findByIdAndUpdate(
+      useCaseId,
+      { assignedExperts: validAssignedExperts, adminNotes, status: newStatus },
+      { new: true }
+    );
+    if (!updated) return res.status(404).json({ error: 'Not found' });
+
+    // Update all projects linked to this use case: sync assigned experts with project.assignedUsers
+    // Also create/remove ProjectAssignment records so experts can see/hide the projects
+    try {
+      const ProjectAssignment = require('../models/projectAssignment');
+      const { calculateProjectProgress } = require('../services/evaluationService');
+      const linkedProjects = await Project.find({ useCase: useCaseId });
+
+      // Prepare the list of users to assign: use case owner + assigned experts
+      const usersToAssign = new Set();
+
+      // Add use case owner if exists
+      if (updated.ownerId) {
+        usersToAssign.add(updated.ownerId.toString());
+      }
+
+      // Add all assigned experts
+      validAssignedExperts.forEach(expertId => {
+        usersToAssign.add(expertId.toString());
+      });
+
+      const usersToAssignArray = Array.from(usersToAssign).map(id => new mongoose.Types.ObjectId(id));
+
+      for (const project of linkedProjects) {
+        if (!project.assignedUsers) {
+          project.assignedUsers = [];
+        }
+
+        // Get current assigned user IDs as strings for comparison
+        const currentAssigned = project.assignedUsers.map((id) => id.toString());
+        const newUserIds = usersToAssignArray.map((id) => id.toString());
+
+        // Find users to add and remove
+        const usersToAdd = newUserIds.filter(id => !currentAssigned.includes(id));
+        const usersToRemove = currentAssigned.filter(id => !newUserIds.includes(id));
+
+        // Update project.assignedUsers to match the new assignment list exactly (owner + experts)
+        project.assignedUsers = usersToAssignArray;
+        await project.save();
+
+        if (usersToAdd.length || usersToRemove.length) {
+          await recordAuditEvent(AUDIT_EVENTS.PROJECT_ASSIGNMENT_CHANGE, {
+            req,
+            projectId: project._id,
+            details: { added: usersToAdd, removed: usersToRemove, via: 'use-case', useCaseId: String(useCaseId) }
+          });
+        }
+
+        // Create or update ProjectAssignment records for newly added experts (not owner)
+        for (const expertId of validAssignedExperts) {
+          try {
+            // Get user to determine role
+            const expertUser = await User.findById(expertId).select('role').lean();
+            if (!expertUser || expertUser.role === 'admin') continue;
+
+            // Create or update ProjectAssignment
+            // Use $set for mutable fields and $setOnInsert for default fields to avoid wiping existing data
+            const updateOps = {
+              $set: {
+                projectId: project._id,
+                userId: expertId,
+                role: expertUser.role, // Update role if it changed
+                status: 'assigned' // Re-activate if it was something else?
+                // Don't overwrite questionnaires or assignedAt
+              },
+              $setOnInsert: {
+                questionnaires: [],
+                assignedAt: new Date()
+              }
+            };
+
+            await ProjectAssignment.findOneAndUpdate(
+              { projectId: project._id, userId: expertId },
+              updateOps,
+              { new: true, upsert: true }
+            );
+          } catch (assignmentError) {
+            console.error(`Error creating ProjectAssignment for expert ${expertId} on project ${project._id}:`, assignmentError);
+            // Continue with other experts even if one fails
+          }
+        }
+
+        // Remove ProjectAssignment records for experts that were removed
+        for (const userIdStr of usersToRemove) {
+          try {
+            // Only remove if it's an expert (not the owner)
+            const isOwner = updated.ownerId && updated.ownerId.toString() === userIdStr;
+            if (isOwner) continue; // Don't remove owner's assignment
+
+            if (!isValidObjectId(userIdStr)) continue;
+            const userIdObj = new mongoose.Types.ObjectId(userIdStr);
+            await ProjectAssignment.deleteOne({ projectId: project._id, userId: userIdObj });
+          } catch (removalError) {
+            console.error(`Error removing ProjectAssignment for user ${userIdStr} on project ${project._id}:`, removalError);
+            // Continue with other removals even if one fails
+          }
+        }
+
+        // Recalculate project progress after assignment changes
+        try {
+          await calculateProjectProgress(project._id);
+        } catch (progressError) {
+          console.error(`Error recalculating progress for project ${project._id}:`, progressError);
+          // Don't fail the assignment if progress calculation fails
+        }
+      }
+    } catch (projectUpdateError) {
+      console.error('Error updating linked projects:', projectUpdateError);
+      // Don't fail the assignment if project update fails, but log it
+    }
+
+    res.json(serializeUseCase(updated, { viewer: req.user, includeFileData: true }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add supporting files to a use case (files should be sent as base64 data)
+router.post('/use-cases/:id/supporting-files', validate(useCaseSchemas.addSupportingFiles), authorize('usecase.edit'), async (req, res) => {
+  try {
+    const useCaseId = req.params.id;
+    const { files } = req.body; // expect [{ name, data, contentType, url? }]
+    const useCase = await UseCase.findById(useCaseId);
+    if (!useCase) return res.status(404).json({ error: 'Use case not found' });
+    // Use case owners may only add files to their own use cases
+    if (req.user.role !== 'admin' && String(useCase.ownerId) !== getActorId(req)) {
+      return res.status(403).json({ error: 'Not authorized to add supporting files to this use case', code: 'NOT_RESOURCE_OWNER' });
+    }
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({ error: 'No files provided' });
+    }
+
+    if (!useCase.supportingFiles) useCase.supportingFiles = [];
+    files.forEach(f => {
+      useCase.supportingFiles.push({
+        name: f.name,
+        data: f.data,
+        contentType: f.contentType,
+        url: f.url
+      });
+    });
+
+    await useCase.save();
+    res.json(serializeUseCase(useCase, { viewer: req.user, includeFileData: true }).supportingFiles);
+  } catch (err) {
+    console.error('Support file upload error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a supporting file from a use case
+// DELETE /api/use-cases/:id/supporting-files?name=...&url=...
+// body (optional): { name?: string, url?: string }
+router.delete('/use-cases/:id/supporting-files', validate(useCaseSchemas.removeSupportingFile), authorize('usecase.edit'), async (req, res) => {
+  try {
+    const useCaseId = req.params.id;
+    const requesterUserId = getActorId(req);
+    const name = (req.query.name || req.body?.name || '').toString() || undefined;
+    const url = (req.query.url || req.body?.url || '').toString() || undefined;
+
+    if (!requesterUserId) {
+      return res.status(400).json({ error: 'Missing userId' });
+    }
+    if (!isValidObjectId(useCaseId)) {
+      return res.status(400).json({ error: 'Invalid use case id' });
+    }
+    if (!isValidObjectId(requesterUserId)) {
+      return res.status(400).json({ error: 'Invalid userId' });
+    }
+    if (!name && !url) {
+      return res.status(400).json({ error: 'Missing file identifier (name or url)' });
+    }
+
+    const useCase = await UseCase.findById(useCaseId);
+    if (!useCase) return res.status(404).json({ error: 'Use case not found' });
+
+    // Verify requester role from DB (do not trust client-provided role)
+    let isAdmin = false;
+    try {
+      const user = await User.findById(requesterUserId).select('role');
+      isAdmin = user?.role === 'admin';
+    } catch {
+      // ignore
+    }
+
+    isAdmin = isAdmin || req.user.role === 'admin';
+    const isOwner = useCase.ownerId?.toString() === requesterUserId;
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({ error: 'Not authorized to delete supporting files' });
+    }
+
+    const list = Array.isArray(useCase.supportingFiles) ? useCase.supportingFiles : [];
+    if (list.length === 0) {
+      return res.status(404).json({ error: 'No supporting files found' });
+    }
+
+    // Remove first match by (name + url) if provided, otherwise by name, otherwise by url
+    const idx = list.findIndex((f) => {
+      if (name && url) return f?.name === name && f?.url === url;
+      if (name) return f?.name === name;
+      if (url) return f?.url === url;
+      return false;
+    });
+
+    if (idx === -1) {
+      return res.status(404).json({ error: 'Supporting file not found' });
+    }
+
+    list.splice(idx, 1);
+    useCase.supportingFiles = list;
+    useCase.updatedAt = new Date();
+    await useCase.save();
+
+    res.json(serializeUseCase(useCase, { viewer: req.user, includeFileData: true }).supportingFiles);
+  } catch (err) {
+    console.error('Support file delete error', err);
+    res.status(500).json({ error: err.message || 'Failed to delete supporting file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { isValidObjectId } = require('../utils/objectId');
+const { hashPassword, verifyPassword } = require('../utils/passwordHash');
+const { serializeUser, serializeUsers } = require('../utils/serializers');
+const { getActorId, requireSelfOrAdmin } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const userSchemas = require('./schemas/userSchemas');
+const { ROLES: PERMISSION_ROLES } = require('../config/permissions.config');
+const { revokeUserSessions } = require('../services/sessionService');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../services/auditLogService');
+
+// Mark user's precondition as approved (server-side)
+router.post('/users/:id/precondition-approval', validate(userSchemas.preconditionApproval), requireSelfOrAdmin('id'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { preconditionApproved: true, preconditionApprovedAt: new Date() },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json(serializeUser(user, { viewer: req.user }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/users', authorize('user.list'), async (req, res) => {
+  try {
+    const { includeProfileImages } = req.query;
+    // By default, exclude profileImage for performance (large base64 strings)
+    // But allow including them if explicitly requested
+    const selectFields = includeProfileImages === 'true'
+      ? '-password'
+      : '-password -profileImage';
+
+    const users = await User.find({}, selectFields)
+      .lean()
+      .maxTimeMS(5000)
+      .limit(1000);
+    res.json(serializeUsers(users, { viewer: req.user }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Profile endpoints - SPECIFIC routes must come BEFORE general /:id route
+// GET single user's profile image
+router.get('/users/:id/profile-image', authorize('user.list'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+
+    // Check if User model is available
+    if (!User) {
+      console.error('❌ User model is not defined');
+      return res.status(500).json({ error: 'User model not available' });
+    }
+
+    const user = await User.findById(userId).select('profileImage').lean();
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ profileImage: user.profileImage || null });
+  } catch (err) {
+    console.error('❌ Error fetching profile image:', err);
+    console.error('❌ Error stack:', err.stack);
+    res.status(500).json({
+      error: err.message || 'Failed to fetch profile image',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+// GET single user with profile image
+router.get('/users/:id', authorize('user.list'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(serializeUser(user, { viewer: req.user }));
+  } catch (err) {
+    console.error('❌ Error fetching user:', err);
+    res.status(500).json({ error: err.message || 'Failed to fetch user' });
+  }
+});
+
+// POST update profile image
+router.post('/users/:id/profile-image', validate(userSchemas.profileImage), requireSelfOrAdmin('id'), async (req, res) => {
+  console.log('🔍 Route hit: POST /api/users/:id/profile-image');
+  console.log('🔍 Request params:', req.params);
+  console.log('🔍 Request body keys:', Object.keys(req.body || {}));
+
+  try {
+    const { image } = req.body;
+    const userId = req.params.id;
+
+    console.log('📸 Profile image update request:', { userId, hasImage: !!image, imageLength: image?.length });
+
+    // Validate userId
+    if (!isValidObjectId(userId)) {
+      console.log('❌ Invalid user ID:', userId);
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { profileImage: image || null },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      console.log('❌ User not found:', userId);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log('✅ Profile image updated successfully for user:', userId);
+    res.json(serializeUser(user, { viewer: req.user }));
+  } catch (err) {
+    console.error('❌ Error updating profile image:', err);
+    res.status(500).json({ error: err.message || 'Failed to update profile image' });
+  }
+});
+
+router.post('/users/:id/change-password', validate(userSchemas.changePassword), requireSelfOrAdmin('id'), async (req, res) => {
+  console.log('🔍 Route hit: POST /api/users/:id/change-password');
+  console.log('🔍 Request params:', req.params);
+  console.log('🔍 Request body keys:', Object.keys(req.body || {}));
+
+  try {
+    const { oldPassword, newPassword } = req.body;
+    const userId = req.params.id;
+
+    console.log('🔐 Password change request:', { userId, hasOldPassword: !!oldPassword, hasNewPassword: !!newPassword });
+
+    if (!isValidObjectId(userId)) {
+      console.log('❌ Invalid user ID:', userId);
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      console.log('❌ User not found:', userId);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { valid } = await verifyPassword(oldPassword, user.password);
+    if (!valid) {
+      console.log('❌ Old password incorrect');
+      await recordAuditEvent(AUDIT_EVENTS.PASSWORD_CHANGE, {
+        req,
+        outcome: 'failure',
+        subjectUserId: user._id,
+        details: { reason: 'OLD_PASSWORD_INCORRECT' }
+      });
+      return res.status(400).json({ error: 'Old password is incorrect' });
+    }
+
+    if (!newPassword) {
+      return res.status(400).json({ error: 'New password is required' });
+    }
+
+    user.password = await hashPassword(newPassword);
+    user.passwordMigratedAt = user.passwordMigratedAt || new Date();
+    user.legacyPasswordFlagged = false;
+    await user.save();
+    // Sign out other devices; keep the caller's own session
+    await revokeUserSessions(user._id, req.sessionToken);
+    await recordAuditEvent(AUDIT_EVENTS.PASSWORD_CHANGE, { req, subjectUserId: user._id });
+    console.log('✅ Password changed successfully for user:', userId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Error changing password:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/users/:id/delete-account', validate(userSchemas.deleteAccount), requireSelfOrAdmin('id'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await User.findByIdAndDelete(userId);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await revokeUserSessions(user._id);
+    await recordAuditEvent(AUDIT_EVENTS.ACCOUNT_DELETE, {
+      req,
+      subjectUserId: user._id,
+      details: { email: user.email, name: user.name, role: user.role, self: String(user._id) === getActorId(req) }
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// General user update (must come AFTER specific routes)
+router.put('/users/:id', validate(userSchemas.update), requireSelfOrAdmin('id'), async (req, res) => {
+  try {
+    const { name, role, preferredLocale } = req.body;
+    const userId = req.params.id;
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const existing = await User.findById(userId).select('role').lean();
+    if (!existing) return res.status(404).json({ error: 'User not found' });
+
+    const update = {};
+    if (name !== undefined) update.name = name;
+    if (preferredLocale !== undefined) update.preferredLocale = preferredLocale;
+
+    const roleChanged = role !== undefined && role !== existing.role;
+    if (roleChanged) {
+      // Only admins change roles, and never their own (avoids locking the last admin out)
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can change roles', code: 'ROLE_NOT_PERMITTED' });
+      }
+      if (userId === getActorId(req)) {
+        return res.status(400).json({ error: 'Admins cannot change their own role' });
+      }
+      if (!PERMISSION_ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${PERMISSION_ROLES.join(', ')}` });
+      }
+      update.role = role;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      update,
+      { new: true }
+    ).select('-password');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (roleChanged) {
+      await recordAuditEvent(AUDIT_EVENTS.ROLE_CHANGE, {
+        req,
+        subjectUserId: user._id,
+        details: { from: existing.role, to: user.role }
+      });
+    }
+    res.json(serializeUser(user, { viewer: req.user }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
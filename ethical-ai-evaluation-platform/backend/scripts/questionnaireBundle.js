@@ -0,0 +1,121 @@
+/**
+ * Export and import questionnaire bundles (see services/questionnaireBundleService.js)
+ *
+ * Questionnaires are kept as bundle files in backend/questionnaires/. Importing
+ * one replaces the questionnaire's draft; publish it from the question editor
+ * or pass --publish.
+ *
+ * Usage:
+ *   node backend/scripts/questionnaireBundle.js export <questionnaireKey> [--version N] [--format yaml|json] [--out file]
+ *   node backend/scripts/questionnaireBundle.js import <file> [--dry-run] [--publish] [--notes "..."]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load environment variables (quietly: an export may be written to stdout)
+const envPath = path.resolve(__dirname, '../.env');
+dotenv.config({ path: envPath, quiet: true });
+
+const {
+  exportBundle,
+  serializeBundle,
+  parseBundle,
+  importBundle
+} = require('../services/questionnaireBundleService');
+
+const USAGE = [
+  'Usage:',
+  '  questionnaireBundle.js export <questionnaireKey> [--version N] [--format yaml|json] [--out file]',
+  '  questionnaireBundle.js import <file> [--dry-run] [--publish] [--notes "..."]'
+].join('\n');
+
+function parseArgs(argv) {
+  const [command, target, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--publish') options.publish = true;
+    else if (['--version', '--format', '--out', '--notes'].includes(arg)) options[arg.slice(2)] = rest[++i];
+    else throw new Error(`Unknown option ${arg}\n${USAGE}`);
+  }
+  if (!['export', 'import'].includes(command) || !target) {
+    throw new Error(USAGE);
+  }
+  return { command, target, options };
+}
+
+const formatOfFile = (file) => (path.extname(file).toLowerCase() === '.json' ? 'json' : 'yaml');
+
+function printReport(result) {
+  const { questionnaire, diff, errors } = result;
+  console.log(`📋 ${questionnaire.key}: ${questionnaire.exists ? `published v${questionnaire.currentVersion}` : 'new questionnaire'}`);
+  questionnaire.changes.forEach(change => {
+    console.log(`   ${change.field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+  });
+
+  if (errors.length > 0) {
+    console.log(`\n❌ ${errors.length} problem(s):`);
+    errors.forEach(e => console.log(`   ${e.path} ${e.message}`));
+    return;
+  }
+
+  console.log(`\n   Added: ${diff.added.length}, Removed: ${diff.removed.length}, Changed: ${diff.changed.length}, Unchanged: ${diff.unchanged}`);
+  diff.added.forEach(q => console.log(`   + ${q.code}`));
+  diff.removed.forEach(q => console.log(`   - ${q.code}`));
+  diff.changed.forEach(q => console.log(`   ~ ${q.code} (${q.changes.map(c => c.field).join(', ')})`));
+}
+
+async function run({ command, target, options }) {
+  try {
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+    if (!mongoUri) {
+      throw new Error('MONGODB_URI or MONGO_URI environment variable is required');
+    }
+    await mongoose.connect(mongoUri);
+
+    if (command === 'export') {
+      const format = options.format || (options.out ? formatOfFile(options.out) : 'yaml');
+      const content = serializeBundle(await exportBundle(target, { version: options.version }), format);
+      if (options.out) {
+        fs.writeFileSync(options.out, content);
+        console.log(`✅ Exported ${target} to ${options.out}`);
+      } else {
+        process.stdout.write(content);
+      }
+      return null;
+    }
+
+    const bundle = parseBundle(fs.readFileSync(target, 'utf8'), formatOfFile(target));
+    const result = await importBundle(bundle, { dryRun: true });
+    printReport(result);
+    if (!result.valid) {
+      throw new Error('Bundle is invalid, nothing was imported');
+    }
+    if (options.dryRun) {
+      console.log('\nℹ️  Dry run: no changes were written.');
+      return result;
+    }
+
+    const imported = await importBundle(bundle, { publish: options.publish, notes: options.notes });
+    console.log(`\n✅ Imported ${imported.questionnaire.key} as ${imported.status} version ${imported.version}`);
+    return imported;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseArgs(process.argv.slice(2))))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { run, parseArgs };
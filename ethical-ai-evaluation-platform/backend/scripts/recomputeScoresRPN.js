@@ -5,10 +5,11 @@
  * 
  * This script:
  * 1. Finds all projects with responses
- * 2. For each project, recomputes scores using RPN model
- * 3. Overwrites existing scores with new RPN-based scores
+ * 2. For each project, recomputes scores with the legacy RPN scoring model
+ *    (services/scoringModels/legacyRpn.js) via safeRecomputeScores
+ * 3. Overwrites that project's existing scores; other projects are not touched
  * 
- * Usage: node backend/scripts/recomputeScoresRPN.js [--projectId=xxx]
+ * Usage: node backend/scripts/recomputeScoresRPN.js [--projectId=xxx] [--model=<scoring model id>]
  */
 
 const mongoose = require('mongoose');
@@ -17,7 +18,9 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 // 1. Load Service FIRST (it will load its own dependencies like Response, Score, Question)
-const { computeEthicalScores, computeProjectEthicalScores } = require('../services/ethicalScoringService');
+const { safeRecomputeScores } = require('../services/safeScoreRecompute');
+const { getScoringModel } = require('../services/scoringModels');
+const legacyRpn = require('../services/scoringModels/legacyRpn');
 
 // 2. Check and Load/Define missing models required by THIS script
 // We check mongoose.models to see what's already legit loaded.
@@ -28,7 +31,7 @@ const ensureModel = (modelName, fileName) => {
   try {
     require(`../models/${fileName}`);
   } catch (e) {
-    // Only define dummy if NOT Project (handled specifically below) or if genuinely missing
+    // Only define dummy if genuinely missing
     if (!mongoose.models[modelName]) {
       console.log(`⚠️  Defining dummy schema for missing model file: ${modelName}`);
       mongoose.model(modelName, new mongoose.Schema({}, { strict: false }));
@@ -37,18 +40,11 @@ const ensureModel = (modelName, fileName) => {
 };
 
 ensureModel('Response', 'response');
-// ensureModel('Project', 'project'); // SKIP: File does not exist, defined manually below
 ensureModel('ProjectAssignment', 'projectAssignment');
 ensureModel('User', 'User'); // Casing might vary
-
-// Explicitly define Project if missing (since no file exists)
-if (!mongoose.models.Project) {
-  console.log('📝 Defining Project schema inline');
-  mongoose.model('Project', new mongoose.Schema({ title: String }, { strict: false }));
-}
+ensureModel('Project', 'Project');
 
 const Response = mongoose.model('Response');
-const Project = mongoose.model('Project');
 
 const isValidObjectId = (id) => {
   if (!id) return false;
@@ -59,8 +55,10 @@ const isValidObjectId = (id) => {
   }
 };
 
-async function recomputeAllScoresRPN(projectIdFilter = null) {
+async function recomputeAllScoresRPN(projectIdFilter = null, modelId = legacyRpn.id) {
   try {
+    const model = getScoringModel(modelId);
+
     // Connect to MongoDB
     const mongoUri = process.env.MONGO_URI || process.env.MONGODB_URI || 'mongodb://localhost:27017/ethical-ai-analysis';
     await mongoose.connect(mongoUri.replace(/&appName=[^&]*/i, ''));
@@ -90,43 +88,9 @@ async function recomputeAllScoresRPN(projectIdFilter = null) {
       try {
         console.log(`\n🔄 Processing project: ${projectId}`);
 
-        // Get all unique userId/questionnaireKey combinations for this project
-        // Include 'draft' status because ethicalScoringService supports scoring drafts
-        const responses = await Response.find({
-          projectId: projectId,
-          status: { $in: ['submitted', 'draft'] }
-        })
-          .select('userId questionnaireKey')
-          .lean();
-
-        const uniqueCombinations = new Set();
-        responses.forEach(r => {
-          if (r.userId && r.questionnaireKey) {
-            const userIdStr = r.userId.toString ? r.userId.toString() : String(r.userId);
-            uniqueCombinations.add(`${userIdStr}_${r.questionnaireKey}`);
-          }
-        });
-
-        console.log(`   Found ${uniqueCombinations.size} unique user/questionnaire combinations`);
-
-        // Compute scores for all combinations using RPN model
-        for (const combo of uniqueCombinations) {
-          const [userId, questionnaireKey] = combo.split('_');
-          try {
-            await computeEthicalScores(projectId, userId, questionnaireKey);
-            console.log(`   ✅ Computed RPN scores for user ${userId}, questionnaire ${questionnaireKey}`);
-          } catch (error) {
-            console.warn(`   ⚠️  Could not compute RPN scores for ${userId}/${questionnaireKey}:`, error.message);
-          }
-        }
-
-        // Compute project-level scores
-        try {
-          await computeProjectEthicalScores(projectId);
-          console.log(`   ✅ Computed project-level RPN scores`);
-        } catch (error) {
-          console.warn(`   ⚠️  Could not compute project-level RPN scores:`, error.message);
-        }
+        // Recompute every user/questionnaire of this project (drafts included)
+        const result = await safeRecomputeScores(projectId, { model: model.id, force: true });
+        console.log(`   ✅ Computed ${result.newScoreCount} ${model.id} score(s), versions correct: ${result.versionsCorrect}`);
 
         recomputed++;
         console.log(`   ✅ Completed project: ${projectId}`);
@@ -154,16 +118,20 @@ async function recomputeAllScoresRPN(projectIdFilter = null) {
 // Parse command line arguments
 const args = process.argv.slice(2);
 let projectIdFilter = null;
+let modelId = legacyRpn.id;
 
 for (const arg of args) {
   if (arg.startsWith('--projectId=')) {
     projectIdFilter = arg.split('=')[1];
   }
+  if (arg.startsWith('--model=')) {
+    modelId = arg.split('=')[1];
+  }
 }
 
 // Run recomputation
 if (require.main === module) {
-  recomputeAllScoresRPN(projectIdFilter)
+  recomputeAllScoresRPN(projectIdFilter, modelId)
     .then(() => {
       console.log('✅ Recomputation completed');
       process.exit(0);
@@ -0,0 +1,62 @@
+/**
+ * Account Lockout Service
+ *
+ * Counts consecutive failed logins on the User document and locks the
+ * account for LOGIN_LOCKOUT_MS once LOGIN_MAX_FAILED_ATTEMPTS is reached.
+ * Admins can lift a lock early (POST /api/admin/users/:id/unlock).
+ */
+
+const mongoose = require('mongoose');
+const { LOGIN_MAX_FAILED_ATTEMPTS, LOGIN_LOCKOUT_MS } = require('../config/security.config');
+
+const getUserModel = () => mongoose.models.User || require('../models/User');
+
+/**
+ * Is the account currently locked
+ * @param {Object} user - User document (lockedUntil)
+ * @param {Date} [now]
+ */
+const isLocked = (user, now = new Date()) =>
+  Boolean(user?.lockedUntil) && new Date(user.lockedUntil).getTime() > now.getTime();
+
+/**
+ * Record a failed login; locks the account when the threshold is reached
+ * @param {string|ObjectId} userId
+ * @returns {Promise<{locked: boolean, lockedUntil: Date|null, failedLoginAttempts: number}>}
+ */
+async function registerFailedLogin(userId) {
+  const User = getUserModel();
+  const updated = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts lockedUntil').lean();
+
+  if (!updated) return { locked: false, lockedUntil: null, failedLoginAttempts: 0 };
+
+  if (updated.failedLoginAttempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MS);
+    await User.updateOne({ _id: userId }, { $set: { lockedUntil, failedLoginAttempts: 0 } });
+    return { locked: true, lockedUntil, failedLoginAttempts: updated.failedLoginAttempts };
+  }
+
+  return { locked: false, lockedUntil: null, failedLoginAttempts: updated.failedLoginAttempts };
+}
+
+/**
+ * Reset the failure counter and remove any lock
+ * @param {string|ObjectId} userId
+ */
+async function unlockAccount(userId) {
+  const User = getUserModel();
+  return User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockedUntil: 1 } }
+  );
+}
+
+module.exports = {
+  isLocked,
+  registerFailedLogin,
+  unlockAccount
+};
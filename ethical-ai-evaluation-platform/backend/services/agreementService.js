@@ -0,0 +1,318 @@
+/**
+ * Inter-rater Agreement Service
+ *
+ * How much the evaluators agree with each other on the questions several of
+ * them answered (the shared general-v1 questions in practice):
+ *
+ * - Single-choice answers (answer.choiceKey): Krippendorff's alpha (nominal)
+ *   and Fleiss' kappa
+ * - answerSeverity (0-1) and importanceScore (0-4): Krippendorff's alpha
+ *   (interval) plus dispersion (sd, range)
+ *
+ * Chance-corrected coefficients need several questions (units) to estimate
+ * chance agreement, so they are reported per principle, per role pair and
+ * overall. A single question gets the observed pairwise agreement of its
+ * choice keys (the per-unit term of Fleiss' kappa) and the dispersion of its
+ * severity and importance ratings; questions above DISAGREEMENT_THRESHOLDS are
+ * flagged as discussion candidates for the resolve stage.
+ *
+ * Pure functions: callers pass the responses and questions they already loaded.
+ */
+
+const DISAGREEMENT_THRESHOLDS = {
+  // Share of rater pairs picking the same option below this → flagged
+  minChoiceAgreement: 0.5,
+  // Highest minus lowest answerSeverity (0-1) at or above this → flagged
+  maxSeverityRange: 0.5,
+  // Highest minus lowest importanceScore (0-4) at or above this → flagged
+  maxImportanceRange: 2
+};
+
+const round = (value) => (value === null || Number.isNaN(value) ? null : Math.round(value * 1000) / 1000);
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Sum of squared differences over all ordered pairs of values
+ * (interval metric): Σi≠j (a - b)² = 2(nΣa² - (Σa)²)
+ */
+function intervalPairDisagreement(values) {
+  const sum = values.reduce((s, v) => s + v, 0);
+  const sumSq = values.reduce((s, v) => s + v * v, 0);
+  return 2 * (values.length * sumSq - sum * sum);
+}
+
+/**
+ * Number of ordered pairs with different values (nominal metric): n² - Σ n_c²
+ */
+function nominalPairDisagreement(values) {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let same = 0;
+  counts.forEach(c => { same += c * c; });
+  return values.length * values.length - same;
+}
+
+/**
+ * Krippendorff's alpha
+ * @param {Array<Array>} units - Ratings per unit (question); units with fewer than 2 ratings are ignored
+ * @param {'nominal'|'interval'} [level='nominal']
+ * @returns {number|null} alpha (1 = perfect agreement, 0 = chance), null when
+ *   there is nothing to compare or the ratings do not vary at all
+ */
+function krippendorffAlpha(units, level = 'nominal') {
+  const pairable = units.filter(u => u.length >= 2);
+  const all = pairable.flat();
+  const n = all.length;
+  if (n < 2) return null;
+
+  const disagreement = level === 'interval' ? intervalPairDisagreement : nominalPairDisagreement;
+  const observed = pairable.reduce((sum, u) => sum + disagreement(u) / (u.length - 1), 0) / n;
+  const expected = disagreement(all) / (n * (n - 1));
+  if (expected === 0) return null;
+  return 1 - observed / expected;
+}
+
+/**
+ * Fleiss' kappa, generalized to a varying number of raters per unit
+ * @param {Array<Array>} units - Category per rater, per unit; units with fewer than 2 ratings are ignored
+ * @returns {number|null} kappa, null when there is nothing to compare or only one category is used
+ */
+function fleissKappa(units) {
+  const pairable = units.filter(u => u.length >= 2);
+  if (pairable.length === 0) return null;
+
+  const totals = new Map();
+  let ratings = 0;
+  const observed = pairable.map(u => {
+    const counts = new Map();
+    u.forEach(c => {
+      counts.set(c, (counts.get(c) || 0) + 1);
+      totals.set(c, (totals.get(c) || 0) + 1);
+    });
+    ratings += u.length;
+    let agreeingPairs = 0;
+    counts.forEach(k => { agreeingPairs += k * (k - 1); });
+    return agreeingPairs / (u.length * (u.length - 1));
+  });
+
+  const pBar = mean(observed);
+  let pExpected = 0;
+  totals.forEach(k => { pExpected += (k / ratings) ** 2; });
+  if (pExpected === 1) return null;
+  return (pBar - pExpected) / (1 - pExpected);
+}
+
+/**
+ * Share of rater pairs giving the same category on one unit
+ * @returns {number|null} null with fewer than 2 ratings
+ */
+function pairwiseAgreement(values) {
+  if (values.length < 2) return null;
+  return 1 - nominalPairDisagreement(values) / (values.length * (values.length - 1));
+}
+
+/**
+ * Spread of numeric ratings
+ * @returns {{ n, mean, sd, min, max, range }|null} null without ratings; sd is the population sd
+ */
+function dispersion(values) {
+  if (values.length === 0) return null;
+  const m = mean(values);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return {
+    n: values.length,
+    mean: round(m),
+    sd: round(Math.sqrt(mean(values.map(v => (v - m) ** 2)))),
+    min,
+    max,
+    range: round(max - min)
+  };
+}
+
+/**
+ * One rating per evaluator and question from the responses
+ * @returns {Map<string, Array<{ userId, role, choiceKey, severity, importance }>>} questionId → ratings
+ */
+function collectRatings(responses, questionMap) {
+  const byQuestion = new Map();
+  const seen = new Set();
+
+  responses.forEach(response => {
+    const userId = response.userId?.toString();
+    if (!userId || !Array.isArray(response.answers)) return;
+
+    response.answers.forEach(answer => {
+      const questionId = answer.questionId?.toString();
+      const question = questionMap.get(questionId);
+      if (!question || seen.has(`${questionId}:${userId}`)) return;
+
+      const choiceKey = question.answerType === 'single_choice' ? answer.answer?.choiceKey || null : null;
+      const severity = typeof answer.answerSeverity === 'number' ? answer.answerSeverity : null;
+      const importance = typeof answer.importanceScore === 'number' ? answer.importanceScore : null;
+      if (choiceKey === null && severity === null && importance === null) return;
+
+      seen.add(`${questionId}:${userId}`);
+      if (!byQuestion.has(questionId)) byQuestion.set(questionId, []);
+      byQuestion.get(questionId).push({ userId, role: response.role || 'unknown', choiceKey, severity, importance });
+    });
+  });
+  return byQuestion;
+}
+
+const valuesOf = (ratings, field) => ratings.map(r => r[field]).filter(v => v !== null);
+
+/**
+ * Chance-corrected agreement over a group of questions
+ * @param {Array<Array<Object>>} units - Ratings per question
+ */
+function summarizeUnits(units) {
+  const choices = units.map(u => valuesOf(u, 'choiceKey'));
+  const severities = units.map(u => valuesOf(u, 'severity'));
+  const importances = units.map(u => valuesOf(u, 'importance'));
+  const compared = (perUnit) => perUnit.filter(u => u.length >= 2).length;
+
+  return {
+    questions: units.length,
+    choice: {
+      units: compared(choices),
+      alpha: round(krippendorffAlpha(choices, 'nominal')),
+      kappa: round(fleissKappa(choices))
+    },
+    severity: {
+      units: compared(severities),
+      alpha: round(krippendorffAlpha(severities, 'interval'))
+    },
+    importance: {
+      units: compared(importances),
+      alpha: round(krippendorffAlpha(importances, 'interval'))
+    }
+  };
+}
+
+/**
+ * Inter-rater agreement per question, principle and role pair
+ * @param {Array} responses - Response documents (lean) with userId, role and answers
+ * @param {Array} questions - Question documents (lean) the answers refer to
+ * @param {Object} [thresholds=DISAGREEMENT_THRESHOLDS]
+ * @returns {Object} { method, thresholds, overall, byQuestion, byPrinciple, byRolePair, discussionCandidates }
+ */
+function computeAgreement(responses = [], questions = [], thresholds = DISAGREEMENT_THRESHOLDS) {
+  const questionMap = new Map(questions.map(q => [q._id.toString(), q]));
+  const ratingsByQuestion = collectRatings(responses, questionMap);
+
+  // Only questions at least two evaluators answered can show (dis)agreement
+  const shared = [...ratingsByQuestion.entries()].filter(([, ratings]) => ratings.length >= 2);
+
+  const byQuestion = shared.map(([questionId, ratings]) => {
+    const question = questionMap.get(questionId);
+    const choices = valuesOf(ratings, 'choiceKey');
+    const choiceAgreement = pairwiseAgreement(choices);
+    const severity = dispersion(valuesOf(ratings, 'severity'));
+    const importance = dispersion(valuesOf(ratings, 'importance'));
+
+    let modalKey = null;
+    let modalCount = 0;
+    choices.forEach(key => {
+      const count = choices.filter(c => c === key).length;
+      if (count > modalCount) {
+        modalKey = key;
+        modalCount = count;
+      }
+    });
+
+    const reasons = [];
+    if (choiceAgreement !== null && choiceAgreement < thresholds.minChoiceAgreement) {
+      reasons.push(`Only ${Math.round(choiceAgreement * 100)}% of evaluator pairs chose the same option`);
+    }
+    if (severity && severity.n >= 2 && severity.range >= thresholds.maxSeverityRange) {
+      reasons.push(`Answer severity ranges from ${severity.min} to ${severity.max}`);
+    }
+    if (importance && importance.n >= 2 && importance.range >= thresholds.maxImportanceRange) {
+      reasons.push(`Importance ranges from ${importance.min} to ${importance.max}`);
+    }
+
+    return {
+      questionId,
+      questionCode: question.code,
+      questionText: question.text?.en || question.code,
+      principleKey: question.principle || question.principleKey || 'Unknown',
+      raters: ratings.length,
+      roles: [...new Set(ratings.map(r => r.role))].sort(),
+      choice: choices.length >= 2
+        ? { n: choices.length, agreement: round(choiceAgreement), modalKey, modalShare: round(modalCount / choices.length) }
+        : null,
+      severity,
+      importance,
+      discussionCandidate: reasons.length > 0,
+      reasons
+    };
+  });
+
+  // Most disputed first: flagged questions, then widest severity spread, then lowest choice agreement
+  byQuestion.sort((a, b) =>
+    (b.discussionCandidate - a.discussionCandidate) ||
+    ((b.severity?.range ?? 0) - (a.severity?.range ?? 0)) ||
+    ((a.choice?.agreement ?? 1) - (b.choice?.agreement ?? 1))
+  );
+
+  const principleUnits = new Map();
+  shared.forEach(([questionId, ratings]) => {
+    const question = questionMap.get(questionId);
+    const principleKey = question.principle || question.principleKey || 'Unknown';
+    if (!principleUnits.has(principleKey)) principleUnits.set(principleKey, []);
+    principleUnits.get(principleKey).push(ratings);
+  });
+  const byPrinciple = [...principleUnits.entries()].map(([principleKey, units]) => ({
+    principleKey,
+    ...summarizeUnits(units),
+    discussionCandidates: byQuestion.filter(q => q.principleKey === principleKey && q.discussionCandidate).length
+  }));
+
+  const roles = [...new Set(shared.flatMap(([, ratings]) => ratings.map(r => r.role)))].sort();
+  const byRolePair = [];
+  roles.forEach((roleA, i) => {
+    roles.slice(i + 1).forEach(roleB => {
+      // Questions both roles answered, rated by evaluators of either role
+      const units = shared
+        .map(([, ratings]) => ratings.filter(r => r.role === roleA || r.role === roleB))
+        .filter(ratings => ratings.some(r => r.role === roleA) && ratings.some(r => r.role === roleB));
+      if (units.length === 0) return;
+
+      const gaps = units
+        .map(ratings => {
+          const a = valuesOf(ratings.filter(r => r.role === roleA), 'severity');
+          const b = valuesOf(ratings.filter(r => r.role === roleB), 'severity');
+          return a.length && b.length ? Math.abs(mean(a) - mean(b)) : null;
+        })
+        .filter(gap => gap !== null);
+
+      byRolePair.push({
+        roles: [roleA, roleB],
+        ...summarizeUnits(units),
+        meanSeverityGap: gaps.length ? round(mean(gaps)) : null
+      });
+    });
+  });
+
+  return {
+    method: "Krippendorff's alpha (nominal for single-choice answers, interval for answerSeverity and importanceScore) and Fleiss' kappa for single-choice answers over questions answered by at least two evaluators; per question: share of agreeing evaluator pairs and rating dispersion",
+    thresholds,
+    overall: summarizeUnits(shared.map(([, ratings]) => ratings)),
+    byQuestion,
+    byPrinciple,
+    byRolePair,
+    discussionCandidates: byQuestion
+      .filter(q => q.discussionCandidate)
+      .map(q => ({ questionId: q.questionId, questionCode: q.questionCode, principleKey: q.principleKey, reasons: q.reasons }))
+  };
+}
+
+module.exports = {
+  DISAGREEMENT_THRESHOLDS,
+  krippendorffAlpha,
+  fleissKappa,
+  pairwiseAgreement,
+  dispersion,
+  computeAgreement
+};
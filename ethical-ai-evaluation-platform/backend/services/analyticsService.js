@@ -5,6 +5,9 @@ const Tension = mongoose.model('Tension');
 const ProjectAssignment = require('../models/projectAssignment');
 const Question = require('../models/question');
 const User = mongoose.model('User');
+const { computeAgreement } = require('./agreementService');
+const { getProjectRoleWeights, compareRoleWeighting } = require('./roleWeightService');
+const { getProjectThresholdSet } = require('./thresholdSetService');
 // Lazy load getProjectEvaluators to avoid circular dependency
 // const { getProjectEvaluators } = require('./reportMetricsService');
 
@@ -488,6 +491,8 @@ async function getProjectAnalytics(projectId, questionnaireKey = 'general-v1') {
   // Filter questions that are NOT open_text
   const quantitativeQuestionsCount = questions.filter(q => q.answerType !== 'open_text').length;
 
+  const roleWeights = getProjectRoleWeights(project);
+
   // ============================================================
   // BUILD FINAL RESPONSE
   // ============================================================
@@ -531,6 +536,13 @@ async function getProjectAnalytics(projectId, questionnaireKey = 'general-v1') {
     overallTotals: {
       cumulativeRiskVolume: parseFloat(cumulativeRiskVolume.toFixed(2)),
       quantitativeQuestions: quantitativeQuestionsCount
+    },
+    // Inter-rater agreement on the questions several evaluators answered
+    agreement: computeAgreement(responses, questions),
+    // Normalized ERC with and without the project's role weights
+    roleWeighting: {
+      custom: roleWeights.custom,
+      ...compareRoleWeighting(scores, roleWeights.weights, await getProjectThresholdSet(project))
     }
   };
 }
@@ -0,0 +1,139 @@
+/**
+ * Audit Log Service
+ *
+ * Records authentication and privilege events in the append-only AuditEvent
+ * collection and answers the admin audit queries. Recording never throws: a
+ * failed audit write is logged and must not fail the request being audited.
+ */
+
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+const AUDIT_EVENTS = {
+  LOGIN_SUCCESS: 'auth.login.success',
+  LOGIN_FAILURE: 'auth.login.failure',
+  LOGOUT: 'auth.logout',
+  TWO_FACTOR_ENABLED: 'auth.2fa.enabled',
+  TWO_FACTOR_DISABLED: 'auth.2fa.disabled',
+  PASSWORD_CHANGE: 'password.change',
+  PASSWORD_RESET: 'password.reset',
+  ROLE_CHANGE: 'user.role.change',
+  ACCOUNT_DELETE: 'user.delete',
+  ACCOUNT_UNLOCK: 'user.unlock',
+  INVITATION_CREATE: 'user.invite',
+  INVITATION_REVOKE: 'user.invite.revoke',
+  INVITATION_ACCEPT: 'user.invite.accept',
+  PROJECT_ASSIGNMENT_CHANGE: 'project.assignment.change',
+  REPORT_FINALIZE: 'report.finalize',
+  REPORT_DELETE: 'report.delete'
+};
+
+const MAX_PAGE_SIZE = 200;
+
+const toObjectId = (id) => (id && mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(String(id)) : undefined);
+
+/**
+ * Record one audit event
+ * @param {string} type - One of AUDIT_EVENTS
+ * @param {Object} [params]
+ * @param {Object} [params.req] - Express request; supplies the actor (req.user), IP and user agent
+ * @param {Object} [params.actor] - Actor when there is no req.user yet (e.g. during login)
+ * @param {'success'|'failure'} [params.outcome='success']
+ * @param {string|ObjectId} [params.subjectUserId]
+ * @param {string|ObjectId} [params.projectId]
+ * @param {string|ObjectId} [params.targetId]
+ * @param {Object} [params.details]
+ * @returns {Promise<Object|null>} The stored event, or null if it could not be written
+ */
+async function recordAuditEvent(type, { req, actor, outcome = 'success', subjectUserId, projectId, targetId, details } = {}) {
+  try {
+    const who = actor || req?.user || null;
+    return await AuditEvent.create({
+      type,
+      outcome,
+      actorId: toObjectId(who?._id || who?.id),
+      actorRole: who?.role,
+      actorEmail: who?.email,
+      subjectUserId: toObjectId(subjectUserId),
+      projectId: toObjectId(projectId),
+      targetId: toObjectId(targetId),
+      ip: req?.ip,
+      userAgent: req?.headers?.['user-agent'],
+      details
+    });
+  } catch (err) {
+    console.error(`[audit] failed to record ${type}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Build the Mongo filter for an audit query
+ * @param {Object} filters
+ * @param {string} [filters.userId] - Matches the actor or the subject user
+ * @param {string} [filters.projectId]
+ * @param {string} [filters.type] - Exact type, or a prefix ending in "*" (e.g. "auth.*")
+ * @param {string|Date} [filters.from] - Inclusive lower bound on createdAt
+ * @param {string|Date} [filters.to] - Inclusive upper bound on createdAt
+ */
+function buildAuditQuery({ userId, projectId, type, from, to } = {}) {
+  const query = {};
+
+  const userIdObj = toObjectId(userId);
+  if (userId && !userIdObj) throw Object.assign(new Error('Invalid userId'), { statusCode: 400 });
+  if (userIdObj) query.$or = [{ actorId: userIdObj }, { subjectUserId: userIdObj }];
+
+  const projectIdObj = toObjectId(projectId);
+  if (projectId && !projectIdObj) throw Object.assign(new Error('Invalid projectId'), { statusCode: 400 });
+  if (projectIdObj) query.projectId = projectIdObj;
+
+  if (type) {
+    query.type = type.endsWith('*')
+      ? { $regex: `^${type.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : type;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    for (const [key, op] of [[from, '$gte'], [to, '$lte']]) {
+      if (!key) continue;
+      const date = new Date(key);
+      if (Number.isNaN(date.getTime())) throw Object.assign(new Error('Invalid date range'), { statusCode: 400 });
+      query.createdAt[op] = date;
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Query audit events, newest first
+ * @param {Object} filters - See buildAuditQuery, plus page (1-based) and limit
+ * @returns {Promise<{events: Object[], total: number, page: number, limit: number}>}
+ */
+async function queryAuditEvents(filters = {}) {
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const query = buildAuditQuery(filters);
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actorId', 'name email role')
+      .populate('subjectUserId', 'name email role')
+      .populate('projectId', 'title')
+      .lean(),
+    AuditEvent.countDocuments(query)
+  ]);
+
+  return { events, total, page, limit };
+}
+
+module.exports = {
+  AUDIT_EVENTS,
+  recordAuditEvent,
+  buildAuditQuery,
+  queryAuditEvents
+};
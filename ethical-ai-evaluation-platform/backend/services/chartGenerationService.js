@@ -86,6 +86,16 @@ if (usePuppeteer) {
       return null;
     });
 
+    // Error bars: confidence interval of the average ERC, scaled by the answer count
+    // like the cumulative bars themselves
+    const intervals = principles.map(p => {
+      const data = byPrincipleOverall[p];
+      const n = data?.questionCount || data?.n;
+      return data?.confidenceInterval && n
+        ? [data.confidenceInterval.lower * n, data.confidenceInterval.upper * n]
+        : null;
+    });
+
     // Add N/A labels for missing principles
     const labels = principles.map((p, idx) => {
       if (scores[idx] === null) {
@@ -99,6 +109,14 @@ if (usePuppeteer) {
       data: {
         labels: labels,
         datasets: [{
+          label: '95% Confidence Interval',
+          data: intervals,
+          backgroundColor: '#1f2937',
+          barPercentage: 0.04,
+          grouped: false,
+          order: 0,
+          datalabels: { display: false }
+        }, {
           label: 'Average Score',
           data: scores,
           backgroundColor: scores.map(s => {
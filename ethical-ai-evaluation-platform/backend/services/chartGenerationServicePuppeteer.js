@@ -136,6 +136,16 @@ async function generatePrincipleBarChart(byPrincipleOverall, browser = null) {
         data && typeof data.avg === 'number' ? data.avg : null;
   });
 
+  // Error bars: confidence interval of the average ERC, scaled by the answer count
+  // like the cumulative bars themselves
+  const intervals = principles.map(p => {
+    const data = byPrincipleOverall[p];
+    const n = data?.questionCount || data?.n;
+    return data?.confidenceInterval && n
+      ? [data.confidenceInterval.lower * n, data.confidenceInterval.upper * n]
+      : null;
+  });
+
   // Add N/A labels for missing principles
   const labels = principles.map((p, idx) => {
     if (scores[idx] === null) {
@@ -149,6 +159,14 @@ async function generatePrincipleBarChart(byPrincipleOverall, browser = null) {
     data: {
       labels: labels,
       datasets: [{
+        label: '95% Confidence Interval',
+        data: intervals,
+        backgroundColor: '#1f2937',
+        barPercentage: 0.04,
+        grouped: false,
+        order: 0,
+        datalabels: { display: false }
+      }, {
         label: 'Cumulative Risk Score',
         data: scores,
         backgroundColor: scores.map(s => {
@@ -209,7 +227,7 @@ async function generatePrincipleBarChart(byPrincipleOverall, browser = null) {
         y: {
           beginAtZero: true,
           // DYNAMIC SCALE for Cumulative Risk (Unbounded)
-          suggestedMax: Math.max(4, ...(scores.filter(s => typeof s === 'number') || [4])) * 1.1,
+          suggestedMax: Math.max(4, ...scores.filter(s => typeof s === 'number'), ...intervals.filter(Boolean).map(i => i[1])) * 1.1,
           ticks: {
             font: { size: 14, family: 'Arial, sans-serif' },
             // stepSize: 0.5 // Let Chart.js decide step size for large values
@@ -248,81 +266,6 @@ async function generatePrincipleBarChart(byPrincipleOverall, browser = null) {
 
 }
 
-/**
- * NEW: Generate Risk Radar Chart (Spider Chart)
- * Visualizes the risk profile across all principles
- */
-async function generateRiskRadarChart(byPrincipleOverall, browser = null) {
-  if (!byPrincipleOverall || typeof byPrincipleOverall !== 'object') {
-    throw new Error('byPrincipleOverall must be a non-null object');
-  }
-
-  const principles = Object.keys(byPrincipleOverall).filter(p => byPrincipleOverall[p] !== null);
-  if (principles.length === 0) throw new Error('No valid principles found');
-
-  const scores = principles.map(p => {
-    const data = byPrincipleOverall[p];
-    if (!data) return 0;
-    // Use Average Risk (Normalized 0-4) for consistent scale on Radar
-    return typeof data.averageRisk === 'number' ? data.averageRisk : (data.avg || 0);
-  });
-
-  const chartConfig = {
-    type: 'radar',
-    data: {
-      labels: principles,
-      datasets: [{
-        label: 'Ethical Risk Level (0-4)',
-        data: scores,
-        backgroundColor: 'rgba(239, 68, 68, 0.2)', // Red-ish with opacity
-        borderColor: '#ef4444', // Red
-        pointBackgroundColor: '#ef4444',
-        pointBorderColor: '#fff',
-        pointHoverBackgroundColor: '#fff',
-        pointHoverBorderColor: '#ef4444',
-        fill: true
-      }]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        title: {
-          display: true,
-          text: 'Ethical Risk Profile (Radar View)',
-          font: { size: 16, weight: 'bold' }
-        },
-        legend: { display: false },
-        datalabels: {
-          display: false // Too cluttered on radar usually
-        }
-      },
-      scales: {
-        r: {
-          angleLines: {
-            display: true
-          },
-          suggestedMin: 0,
-          suggestedMax: 4,
-          ticks: {
-            stepSize: 1,
-            backdropColor: 'transparent',
-            font: { size: 12 }
-          },
-          pointLabels: {
-            font: {
-              size: 11,
-              weight: 'bold'
-            }
-          }
-        }
-      }
-    }
-  };
-
-  return generateChartImagePuppeteer(chartConfig, 800, 700, browser);
-}
-
 /**
  * Generate ethical importance ranking chart
  */
@@ -241,9 +241,73 @@ async function sendPasswordResetEmail(to, resetLink) {
   }
 }
 
+/**
+ * Send an admin-issued invitation link
+ * @param {string} to - Recipient email address
+ * @param {string} inviteLink - Accept link containing the one-time token
+ * @param {string} role - Role the account will be created with
+ * @param {string|null} projectTitle - Project the invitee will be assigned to (optional)
+ */
+async function sendInvitationEmail(to, inviteLink, role, projectTitle = null) {
+  if (!resend || !process.env.RESEND_API_KEY) {
+    console.log('\n========================================================');
+    console.log('[MAIL] Email service not configured (RESEND_API_KEY missing)');
+    console.log(`[MAIL] Invitation for: ${to} (role: ${role})`);
+    console.log(`[MAIL] Invite Link: ${inviteLink}`);
+    console.log('========================================================\n');
+    return { status: 'simulated' };
+  }
+
+  const from = getFromEmail();
+  const subject = "You're invited to the Ethical AI Analysis Platform";
+  const projectLine = projectTitle
+    ? ` and assigned to the project <strong>${projectTitle}</strong>`
+    : '';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #1F2937; margin-bottom: 20px;">You're Invited</h2>
+      <p style="color: #374151; font-size: 16px; line-height: 1.6;">
+        An administrator has invited you to join the Ethical AI Analysis Platform as <strong>${role}</strong>${projectLine}.
+      </p>
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${inviteLink}" style="background-color: #4F46E5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+          Accept Invitation
+        </a>
+      </div>
+      <p style="color: #6B7280; font-size: 14px; line-height: 1.6;">
+        Or copy and paste this link into your browser:<br>
+        <a href="${inviteLink}" style="color: #4F46E5;">${inviteLink}</a>
+      </p>
+      <p style="color: #6B7280; font-size: 14px; margin-top: 20px;">
+        This invitation expires in 7 days. If you weren't expecting it, you can ignore this email.
+      </p>
+      <hr style="border: none; border-top: 1px solid #E5E7EB; margin: 30px 0;">
+      <p style="color: #9CA3AF; font-size: 12px;">
+        This is an automated message from Ethical AI Analysis Platform.
+      </p>
+    </div>
+  `;
+
+  try {
+    const result = await resend.emails.send({
+      from,
+      to,
+      subject,
+      html
+    });
+    console.log('[MAIL] Invitation email sent successfully to:', to);
+    return result;
+  } catch (error) {
+    console.error('[MAIL] Resend error:', error.message);
+    throw error;
+  }
+}
+
 module.exports = {
   sendVerificationEmail,
   sendEmail,
   sendWelcomeEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendInvitationEmail
 };
@@ -1,12 +1,18 @@
 const mongoose = require('mongoose');
 const Response = require('../models/response');
-const Question = require('../models/question');
 const Score = require('../models/score');
+const Project = require('../models/Project');
+const { getScoringModel, getProjectScoringModel } = require('./scoringModels');
+const { getProjectThresholdSet } = require('./thresholdSetService');
+const { bootstrapMeanInterval } = require('../utils/confidenceInterval');
+const { loadAnsweredQuestions } = require('./questionnaireVersionService');
+const { loadQuestionVisibilities } = require('./questionVisibilityService');
 
 /**
  * ETHICAL SCORING SERVICE — STRICT MODE
  * 
- * Enforces the mandatory ethical scoring formula:
+ * Extracts importance and severity from responses and scores them with the
+ * project's scoring model (services/scoringModels). The default model is:
  * FinalRiskContribution = questionImportance × (1 - answerScore)
  * 
  * Rules:
@@ -65,15 +71,125 @@ function normalizePrinciple(principle) {
   return null; // Invalid principle
 }
 
+/**
+ * Score extracted answers with a scoring model. Shared by computeEthicalScores
+ * and the what-if simulator (services/scenarioService), so a simulated score is
+ * computed exactly like a stored one.
+ * @param {Array} answers - [{ question, principle, importance, severity, importanceSource?, severitySource? }], principle canonical
+ * @param {Object} model - Scoring model (services/scoringModels)
+ * @returns {{ byPrinciple, totals, questionBreakdown }}
+ */
+function scoreAnswers(answers, model) {
+  // Initialize Aggregators
+  const principleStats = {};
+  CANONICAL_PRINCIPLES.forEach(p => {
+    principleStats[p] = {
+      count: 0,
+      maxImportance: 0,
+      sumImportance: 0, // NEW: For Average Importance
+      highImportanceCount: 0, // NEW: For High Importance Ratio
+      questions: []
+    };
+  });
+
+  let totalAnswers = 0;
+  const questionBreakdown = [];
+
+  for (const { question, principle: pKey, importance, severity, importanceSource, severitySource } of answers) {
+    // CALCULATION (per scoring model)
+    const scored = model.scoreQuestion({ importance, severity, question });
+    const riskContribution = scored.finalRiskContribution;
+
+    // Aggregation
+    principleStats[pKey].count += 1;
+    principleStats[pKey].maxImportance = Math.max(principleStats[pKey].maxImportance, importance);
+
+    // NEW: Importance Aggregation
+    principleStats[pKey].sumImportance += importance;
+    if (importance >= 3) {
+      principleStats[pKey].highImportanceCount += 1;
+    }
+
+    const qEntry = {
+      ...scored,
+      questionId: question._id,
+      principle: pKey,
+      importance: importance,
+      answerSeverity: severity, // Storing strict field
+      answerScore: undefined,   // REMOVED
+      finalRiskContribution: riskContribution,
+      importanceSource,
+      source: severitySource,
+      code: question.code
+    };
+
+    principleStats[pKey].questions.push(qEntry);
+    questionBreakdown.push(qEntry);
+
+    totalAnswers += 1;
+  }
+
+  // Build Output Document
+  const byPrinciple = {};
+  const principleRisks = {};
+  CANONICAL_PRINCIPLES.forEach(p => {
+    const stats = principleStats[p];
+    // Aggregation is up to the scoring model (cumulative sum, average, ...)
+    const totalRisk = model.principleRisk(stats.questions);
+    if (stats.count > 0) principleRisks[p] = totalRisk;
+
+    // Importance Metrics
+    const avgImportance = stats.count > 0 ? (stats.sumImportance / stats.count) : 0;
+    const highImportanceRatio = stats.count > 0 ? (stats.highImportanceCount / stats.count) : 0;
+
+    // How precisely the answers pin down the normalized ERC (mean contribution)
+    const confidenceInterval = bootstrapMeanInterval(stats.questions.map(q => q.finalRiskContribution));
+
+    byPrinciple[p] = {
+      risk: Math.round(totalRisk * 100) / 100,
+      n: stats.count,
+
+      // NEW EXPLICIT METRICS
+      avgImportance: Math.round(avgImportance * 100) / 100,
+      highImportanceRatio: Math.round(highImportanceRatio * 100) / 100,
+      confidenceInterval,
+
+      score: undefined, // meaningless
+      topDrivers: stats.questions
+        .sort((a, b) => b.finalRiskContribution - a.finalRiskContribution)
+        .slice(0, 5)
+    };
+  });
+
+  const overallRisk = model.overallRisk(questionBreakdown, principleRisks);
+
+  return {
+    byPrinciple,
+    totals: {
+      overallRisk: Math.round(overallRisk * 100) / 100,
+      n: totalAnswers,
+      confidenceInterval: bootstrapMeanInterval(questionBreakdown.map(q => q.finalRiskContribution))
+    },
+    questionBreakdown
+  };
+}
+
 /**
  * Compute ethical scores for a project context
+ * @param {Object} [options]
+ * @param {string} [options.model] - Scoring model id; defaults to the project's model
+ * @param {string} [options.cause] - Recorded with the score history: draft_saved, response_submitted or reevaluation
  */
-async function computeEthicalScores(projectId, userId = null, questionnaireKey = null) {
+async function computeEthicalScores(projectId, userId = null, questionnaireKey = null, options = {}) {
   try {
     // 1. Validate Types
     const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
     const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
 
+    const project = await Project.findById(projectIdObj).select('scoringModel thresholdsVersion').lean();
+    const model = options.model ? getScoringModel(options.model) : getProjectScoringModel(project);
+    const thresholdSet = await getProjectThresholdSet(project);
+
     // 2. Build Match Stage
     const matchStage = {
       projectId: projectIdObj,
@@ -87,14 +203,9 @@ async function computeEthicalScores(projectId, userId = null, questionnaireKey =
     if (responses.length === 0) return [];
 
     // 4. Fetch Questions Reference
-    // We need riskScore (Importance) and principle details
-    const questionIds = new Set();
-    responses.forEach(r => r.answers.forEach(a => {
-      if (a.questionId) questionIds.add(a.questionId.toString());
-    }));
-
-    const questionsFn = await Question.find({ _id: { $in: Array.from(questionIds) } }).lean();
-    const questionMap = new Map(questionsFn.map(q => [q._id.toString(), q]));
+    // We need riskScore (Importance) and principle details, as of the
+    // questionnaire version each answer was given on
+    const questionOf = await loadAnsweredQuestions(responses);
 
     // 5. Group Responses (One Score document per User+Role+Questionnaire)
     const grouped = {};
@@ -108,35 +219,27 @@ async function computeEthicalScores(projectId, userId = null, questionnaireKey =
           answers: []
         };
       }
-      grouped[gKey].answers.push(...res.answers);
+      grouped[gKey].answers.push(...res.answers.map(answer => ({ answer, question: questionOf(res, answer) })));
     }
 
     // 6. Compute Scores for each Group
     const scoresToSave = [];
+    // Answers to questions hidden by their display conditions are not scored
+    const answered = responses
+      .flatMap(r => r.answers.map(answer => questionOf(r, answer)))
+      .filter(Boolean);
+    const userIds = [...new Set(responses.map(r => String(r.userId)))];
+    const visibilityByUser = await loadQuestionVisibilities(projectIdObj, userIds, { questions: answered });
 
     for (const groupKey in grouped) {
       const group = grouped[groupKey];
 
-      // Initialize Aggregators
-      const principleStats = {};
-      CANONICAL_PRINCIPLES.forEach(p => {
-        principleStats[p] = {
-          sumRisk: 0,
-          count: 0,
-          maxImportance: 0,
-          sumImportance: 0, // NEW: For Average Importance
-          highImportanceCount: 0, // NEW: For High Importance Ratio
-          questions: []
-        };
-      });
+      const { isVisible } = visibilityByUser.get(String(group.userId));
 
-      let totalAnswers = 0;
-      let totalRiskSum = 0; // Sum of FinalRiskContributions
-      const questionBreakdown = [];
+      const extracted = [];
 
-      for (const ans of group.answers) {
-        const question = questionMap.get(ans.questionId?.toString());
-        if (!question) continue;
+      for (const { answer: ans, question } of group.answers) {
+        if (!question || !isVisible(question)) continue;
 
         // PRINCIPLE MAPPING
         const pKey = normalizePrinciple(question.principleKey || question.principle);
@@ -146,29 +249,40 @@ async function computeEthicalScores(projectId, userId = null, questionnaireKey =
         // 1. questionImportance (1-4) -- EXPERT PRIORITY
         // CHECK ORDER: Response Override -> Question Definition -> Default
         let importance = 2; // Default
+        let importanceSource = 'default';
         if (ans.importanceScore !== undefined && ans.importanceScore !== null) {
           importance = ans.importanceScore;
+          importanceSource = 'expert_provided';
         } else if (question.riskScore !== undefined && question.riskScore !== null) {
           importance = question.riskScore;
+          importanceSource = 'question_riskScore';
         } else if (question.importance !== undefined && question.importance !== null) {
           importance = question.importance;
+          importanceSource = 'question_importance';
         }
 
         importance = Number(importance);
-        if (isNaN(importance)) importance = 2;
+        if (isNaN(importance)) {
+          importance = 2;
+          importanceSource = 'default';
+        }
         importance = Math.max(0, Math.min(4, Math.round(importance))); // 0 is VALID (Low Priority)
 
         // 2. answerSeverity (0.0 - 1.0) -- OBSERVED RISK
         // CHECK ORDER: Response Override -> Question Definition (if any) -> FAIL
+        // The source is the one recorded when the answer was saved (Response.severitySource)
         let severity = null;
+        let severitySource = null;
 
         if (ans.answerSeverity !== undefined && ans.answerSeverity !== null) {
           severity = Number(ans.answerSeverity);
+          severitySource = ans.severitySource || null;
         } else if (ans.answerScore !== undefined && ans.answerScore !== null) {
           // LEGACY MAPPING: Enabled to support answers saved by evaluationService
           // Formula: Risk (Severity) = 1 - Safety (Answer Score)
           // User Requirement: "Risk Score = Etik Önemi × (1 – Cevap Ağırlığı)"
           severity = 1 - Number(ans.answerScore);
+          severitySource = ans.severitySource || 'legacy_answer_score';
         }
 
         // Check if question is unanswered (optional check)
@@ -192,66 +306,17 @@ async function computeEthicalScores(projectId, userId = null, questionnaireKey =
           continue;
         }
 
-        // CALCULATION (STRICT ERC)
-        // FinalRiskContribution = importance * severity
-        const riskContribution = importance * severity;
-
-        // Aggregation
-        principleStats[pKey].sumRisk += riskContribution;
-        principleStats[pKey].count += 1;
-        principleStats[pKey].maxImportance = Math.max(principleStats[pKey].maxImportance, importance);
-
-        // NEW: Importance Aggregation
-        principleStats[pKey].sumImportance += importance;
-        if (importance >= 3) {
-          principleStats[pKey].highImportanceCount += 1;
-        }
-
-        const qEntry = {
-          questionId: question._id,
+        extracted.push({
+          question,
           principle: pKey,
-          importance: importance,
-          answerSeverity: severity, // Storing strict field
-          answerScore: undefined,   // REMOVED
-          finalRiskContribution: riskContribution,
-          code: question.code
-        };
-
-        principleStats[pKey].questions.push(qEntry);
-        questionBreakdown.push(qEntry);
-
-        totalRiskSum += riskContribution;
-        totalAnswers += 1;
+          importance,
+          severity,
+          importanceSource,
+          severitySource
+        });
       }
 
-      // Build Output Document
-      const byPrinciple = {};
-      CANONICAL_PRINCIPLES.forEach(p => {
-        const stats = principleStats[p];
-        // Aggregation: SUM ONLY (Cumulative Risk)
-        const totalRisk = stats.sumRisk;
-
-        // Importance Metrics
-        const avgImportance = stats.count > 0 ? (stats.sumImportance / stats.count) : 0;
-        const highImportanceRatio = stats.count > 0 ? (stats.highImportanceCount / stats.count) : 0;
-
-        byPrinciple[p] = {
-          risk: Math.round(totalRisk * 100) / 100, // Cumulative Risk
-          n: stats.count,
-
-          // NEW EXPLICIT METRICS
-          avgImportance: Math.round(avgImportance * 100) / 100,
-          highImportanceRatio: Math.round(highImportanceRatio * 100) / 100,
-
-          score: undefined, // meaningless
-          topDrivers: stats.questions
-            .sort((a, b) => b.finalRiskContribution - a.finalRiskContribution)
-            .slice(0, 5)
-        };
-      });
-
-      // Overall Risk: Sum of all FinalRiskContributions
-      const overallRisk = totalRiskSum;
+      const { byPrinciple, totals, questionBreakdown } = scoreAnswers(extracted, model);
 
       scoresToSave.push({
         projectId: projectIdObj,
@@ -259,12 +324,10 @@ async function computeEthicalScores(projectId, userId = null, questionnaireKey =
         role: group.role,
         questionnaireKey: group.questionnaireKey,
         computedAt: new Date(),
-        scoringModelVersion: 'strict_ethical_v3_cumulative',
-        thresholdsVersion: 'erc-v1',  // Versioned threshold metadata for audit trail
-        totals: {
-          overallRisk: Math.round(overallRisk * 100) / 100,
-          n: totalAnswers
-        },
+        scoringModelVersion: model.id, // Always the model that produced this score
+        thresholdsVersion: thresholdSet.version,  // Threshold set the project is pinned to (audit trail)
+        computeCause: options.cause || 'reevaluation',
+        totals,
         byPrinciple: byPrinciple,
         questionBreakdown: questionBreakdown
       });
@@ -298,6 +361,8 @@ async function computeProjectEthicalScores(projectId) {
 }
 
 module.exports = {
+  CANONICAL_PRINCIPLES,
+  scoreAnswers,
   computeEthicalScores,
   computeProjectEthicalScores
 };
@@ -3,6 +3,10 @@ const ProjectAssignment = require('../models/projectAssignment');
 const Response = require('../models/response');
 const Question = require('../models/question');
 const Score = require('../models/score');
+const { enqueueScoreRecompute, requestScoreRecompute, flushProjectRecompute } = require('./scoreRecomputeQueue');
+const { loadQuestionVisibility, loadQuestionVisibilities } = require('./questionVisibilityService');
+const { resolveAssignedQuestionnaires } = require('./questionCatalogueService');
+const { ETHICAL_EXPERT_CARDINALITY } = require('../config/roles.config');
 
 // Helper function for ObjectId validation (compatible with Mongoose v9+)
 const isValidObjectId = (id) => {
@@ -12,6 +16,34 @@ const isValidObjectId = (id) => {
   return mongoose.Types.ObjectId.isValid(id);
 };
 
+/**
+ * Reject a new ethical-expert assignment when the project already has
+ * ETHICAL_EXPERT_CARDINALITY.max of them; other roles are not limited
+ * @param {string|ObjectId} projectId
+ * @param {string} role - Role of the assignment about to be created
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - Count inside the caller's transaction
+ * @throws {Error} 400 ROLE_CARDINALITY_EXCEEDED, with details and action
+ */
+async function assertRoleCardinality(projectId, role, { session } = {}) {
+  if (role !== 'ethical-expert') return;
+
+  const existingCount = await ProjectAssignment.countDocuments({ projectId, role }, { session });
+  if (existingCount < ETHICAL_EXPERT_CARDINALITY.max) return;
+
+  const err = new Error(`Only ${ETHICAL_EXPERT_CARDINALITY.max} ethical-expert allowed per project (Ethical AI Analysis methodology requirement)`);
+  err.statusCode = 400;
+  err.code = 'ROLE_CARDINALITY_EXCEEDED';
+  err.details = {
+    role,
+    currentCount: existingCount,
+    maxAllowed: ETHICAL_EXPERT_CARDINALITY.max,
+    projectId: String(projectId)
+  };
+  err.action = 'Remove existing ethical-expert before assigning a new one, or assign a different role';
+  throw err;
+}
+
 /**
  * Create or update a project assignment
  */
@@ -205,6 +237,9 @@ async function saveDraftResponse(projectId, userId, questionnaireKey, answers) {
       await ProjectAssignment.findByIdAndUpdate(assignment._id, { status: 'in_progress' });
     }
 
+    // Rescore this questionnaire once the user stops saving
+    await requestScoreRecompute({ projectId, userId, questionnaireKey, reason: 'draft_saved' });
+
     // Recalculate and save project progress
     try {
       await calculateProjectProgress(projectId);
@@ -266,10 +301,11 @@ async function submitResponse(projectId, userId, questionnaireKey) {
 
     // Compute and save scores for THIS user immediately
     // This ensures that even if project-level scoring fails or isn't ready, the individual score exists.
+    // Queued like any other change (absorbing the pending draft saves), then run right away.
     try {
-      const { computeEthicalScores } = require('./ethicalScoringService');
       console.log(`📊 Computing individual scores for ${projectId}/${userId}...`);
-      await computeEthicalScores(projectId, userId, questionnaireKey);
+      await enqueueScoreRecompute({ projectId, userId, questionnaireKey, reason: 'response_submitted' });
+      await flushProjectRecompute(projectId, { userId, questionnaireKey });
     } catch (scoreError) {
       console.error(`❌ Failed to compute individual scores for ${userId}:`, scoreError.message);
       // We do NOT rollback submission, but we log strictly.
@@ -341,6 +377,8 @@ async function validateAndMapAnswers(questionnaireKey, answers) {
     }
 
     let answerScore = 0;
+    // Recorded with the answer, so score provenance shows where its severity came from
+    let severitySource = null;
 
     // Compute score based on answer type
     if (question.answerType === 'single_choice') {
@@ -381,6 +419,7 @@ async function validateAndMapAnswers(questionnaireKey, answers) {
       }
 
       answerScore = option.answerScore;
+      severitySource = 'option_answerScore';
       console.log(`✅ [DEBUG validateAndMapAnswers] Question ${answer.questionCode}: Found option key="${option.key}", answerScore=${answerScore}`);
 
     } else if (question.answerType === 'multi_choice') {
@@ -404,6 +443,7 @@ async function validateAndMapAnswers(questionnaireKey, answers) {
 
       const sum = selectedOptions.reduce((acc, opt) => acc + opt.answerScore, 0);
       answerScore = sum / selectedOptions.length;
+      severitySource = 'option_answerScore';
 
     } else if (question.answerType === 'open_text') {
       // For open_text, answerScore must be provided explicitly via manual review or rubric
@@ -426,6 +466,7 @@ async function validateAndMapAnswers(questionnaireKey, answers) {
       if (answer.scoreFinal !== undefined) {
         answerScore = answer.scoreFinal;
       }
+      if (answerScore !== null) severitySource = 'expert_provided';
     } else if (question.answerType === 'numeric') {
       // Numeric questions not fully specified in prompt for mapping. 
       // Assuming they might be legacy or handled elsewhere. 
@@ -438,6 +479,7 @@ async function validateAndMapAnswers(questionnaireKey, answers) {
       questionCode: answer.questionCode,
       answer: answer.answer,
       answerScore: answerScore !== null ? Math.round(answerScore * 100) / 100 : null, // Store as answerScore
+      severitySource: answerScore !== null ? severitySource : null,
       // Legacy score field for compatibility if needed, otherwise ignore or set to null
       score: null,
       scoreSuggested: answer.scoreSuggested,
@@ -513,17 +555,66 @@ async function getHotspotQuestions(projectId, questionnaireKey = null) {
   }
 }
 
+/**
+ * Merge saved answers into an existing response by question code. New and
+ * changed answers record the questionnaire's live version they were given on;
+ * an answer saved again unchanged keeps its version, and so does the response,
+ * so loadAnsweredQuestions scores every answer against its own wording
+ * @param {Object} response - Response document
+ * @param {Array} answers - Answers being saved
+ * @param {number} [questionnaireVersion] - Live version of the questionnaire
+ * @returns {number} Answers added (the rest replaced existing ones)
+ */
+function mergeResponseAnswers(response, answers, questionnaireVersion) {
+  const existingByCode = new Map(response.answers.map(a => [a.questionCode, a]));
+  const versionOf = (answer) => {
+    const existing = existingByCode.get(answer.questionCode);
+    if (existing && sameAnswerValue(existing.answer, answer.answer)) {
+      return existing.questionnaireVersion ?? null;
+    }
+    return questionnaireVersion ?? null;
+  };
+  const stamped = answers.map(a => {
+    const version = versionOf(a);
+    // Given on the response's own version: leave it implied
+    return { ...a, questionnaireVersion: version === response.questionnaireVersion ? null : version };
+  });
+  const byCode = new Map(stamped.map(a => [a.questionCode, a]));
+
+  response.answers = response.answers.map(existing => byCode.get(existing.questionCode) || existing);
+  const added = stamped.filter(a => !existingByCode.has(a.questionCode));
+  added.forEach(a => response.answers.push(a));
+
+  return added.length;
+}
+
+/**
+ * Whether two stored answer values are the same choice, text or number
+ */
+function sameAnswerValue(a, b) {
+  const keys = (v) => [...(v?.multiChoiceKeys || [])].sort().join('\u0000');
+  return (a?.choiceKey ?? null) === (b?.choiceKey ?? null) &&
+    (a?.text ?? null) === (b?.text ?? null) &&
+    (a?.numeric ?? null) === (b?.numeric ?? null) &&
+    keys(a) === keys(b);
+}
+
 /**
  * Ensure all assigned questions are present in response, even if unanswered
  * This is called when saving answers to ensure data integrity
+ * Questions hidden by their display conditions are not asked, so they are not added
  */
 async function ensureAllQuestionsPresent(projectId, userId, questionnaireKey) {
   try {
     const projectIdObj = isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
     const userIdObj = isValidObjectId(userId) ? new mongoose.Types.ObjectId(userId) : userId;
 
-    // Get all questions for this questionnaire
-    const questions = await Question.find({ questionnaireKey }).sort({ order: 1 }).lean();
+    // Get all questions for this questionnaire the user is asked
+    const [allQuestions, visibility] = await Promise.all([
+      Question.find({ questionnaireKey }).sort({ order: 1 }).lean(),
+      loadQuestionVisibility(projectIdObj, userIdObj)
+    ]);
+    const questions = allQuestions.filter(visibility.isVisible);
 
     // Get existing response
     const response = await Response.findOne({
@@ -612,11 +703,12 @@ async function validateSubmission(projectId, userId, questionnaireKey) {
       throw new Error('Response not found');
     }
 
-    // Get all required questions
-    const requiredQuestions = await Question.find({
+    // Get all required questions, leaving out those hidden by their display conditions
+    const visibility = await loadQuestionVisibility(projectIdObj, userIdObj);
+    const requiredQuestions = (await Question.find({
       questionnaireKey,
       required: true
-    }).lean();
+    }).lean()).filter(visibility.isVisible);
 
     // Check which required questions are answered
     const answeredQuestionCodes = new Set();
@@ -644,7 +736,7 @@ async function validateSubmission(projectId, userId, questionnaireKey) {
     }
 
     // Validate data integrity: all assigned questions should be present
-    const allQuestions = await Question.find({ questionnaireKey }).lean();
+    const allQuestions = (await Question.find({ questionnaireKey }).lean()).filter(visibility.isVisible);
     const responseQuestionCodes = new Set(response.answers.map(a => a.questionCode));
     const missingQuestions = allQuestions.filter(q => !responseQuestionCodes.has(q.code));
 
@@ -873,6 +965,8 @@ async function calculateProjectProgress(projectId) {
 
     let totalUserProgressSum = 0;
     let validUserCount = 0;
+    // Questions hidden by their display conditions, for every expert at once
+    const visibilities = await loadQuestionVisibilities(projectIdObj, assignments.map(a => a.userId));
 
     // 2. Iterate through each assignment to calculate individual user progress
     for (const assignment of assignments) {
@@ -885,7 +979,8 @@ async function calculateProjectProgress(projectId) {
       if (!user) continue;
       if (user.role === 'admin' || user.role === 'use-case-owner' || user.role.includes('use-case-owner')) continue;
 
-      const assignedQuestionnaireKeys = assignment.questionnaires || [];
+      // Same questionnaires as the question catalogue and /api/user-progress
+      const assignedQuestionnaireKeys = await resolveAssignedQuestionnaires(assignment, { userRole: user.role });
       if (assignedQuestionnaireKeys.length === 0) continue;
 
       // 3. Count total assigned questions for this user
@@ -902,17 +997,17 @@ async function calculateProjectProgress(projectId) {
         projectId: projectIdObj,
         userId: assignment.userId,
         questionnaireKey: { $in: assignedQuestionnaireKeys }
-      }).select('answers.questionCode answers.answer').lean();
+      }).select('questionnaireKey answers.questionCode answers.answer').lean();
 
       // 5. Count answered questions
-      let answeredCount = 0;
       const answeredQuestionCodes = new Set();
 
       responses.forEach(response => {
         if (response.answers && Array.isArray(response.answers)) {
           response.answers.forEach(answer => {
             if (!answer.questionCode) return;
-            if (answeredQuestionCodes.has(answer.questionCode)) return;
+            const answerKey = `${response.questionnaireKey}:${answer.questionCode}`;
+            if (answeredQuestionCodes.has(answerKey)) return;
 
             let hasAnswer = false;
             // Robust check for answer content matching server.js logic
@@ -929,13 +1024,17 @@ async function calculateProjectProgress(projectId) {
             }
 
             if (hasAnswer) {
-              answeredQuestionCodes.add(answer.questionCode);
-              answeredCount++;
+              answeredQuestionCodes.add(answerKey);
             }
           });
         }
       });
 
+      // Questions hidden by their display conditions are not asked
+      const visibility = visibilities.get(String(assignment.userId));
+      const hiddenCount = visibility.excludeHidden(assignedQuestionnaireKeys, answeredQuestionCodes);
+      const answeredCount = answeredQuestionCodes.size;
+
       // 6. Custom questions logic
       let customQuestionsTotal = 0;
       let customQuestionsAnswered = 0;
@@ -958,7 +1057,7 @@ async function calculateProjectProgress(projectId) {
         }
       }
 
-      const finalTotal = totalAssigned + customQuestionsTotal;
+      const finalTotal = totalAssigned - hiddenCount + customQuestionsTotal;
       const finalAnswered = answeredCount + customQuestionsAnswered;
 
       if (finalTotal > 0) {
@@ -987,6 +1086,7 @@ async function calculateProjectProgress(projectId) {
 }
 
 module.exports = {
+  assertRoleCardinality,
   createAssignment,
   saveDraftResponse,
   submitResponse,
@@ -994,6 +1094,7 @@ module.exports = {
   getHotspotQuestions,
   initializeResponses,
   ensureAllQuestionsPresent,
+  mergeResponseAnswers,
   validateSubmission,
   calculateProjectProgress
 };
@@ -15,6 +15,7 @@ if (dotResult.error) {
 }
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { DEFAULT_LOCALE, normalizeLocale, localeInfo } = require('../utils/localization');
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 /* ============================================================
    1. API KEY KONTROLÜ
@@ -99,6 +100,21 @@ async function testApiKey() {
    4. RAPOR ÜRETİMİ (TEK VE STABİL MODEL)
 ============================================================ */
 
+/**
+ * Output language lines of the system instruction: the report locale
+ * (config/locales.config.js), English by default
+ */
+function languageInstructions(locale) {
+  const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+  if (code === DEFAULT_LOCALE) {
+    return `- Output entirely in English.
+- TRANSLATION REQUIREMENT: If expert responses (quotes) are in a non-English language (e.g., Turkish), you MUST translate them into English for the narrative. Do NOT include the original non-English text. Keep the translated quote in quotation marks to attribute it to the expert, but ensure the reader sees only English text.`;
+  }
+  const { name } = localeInfo(code);
+  return `- Output entirely in ${name}, except JSON keys and the 7 principle names above, which stay exactly as written in English.
+- TRANSLATION REQUIREMENT: If expert responses (quotes) are in another language, you MUST translate them into ${name} for the narrative. Do NOT include the original text. Keep the translated quote in quotation marks to attribute it to the expert, but ensure the reader sees only ${name} text.`;
+}
+
 async function generateReport(analysisData) {
   const userPrompt = buildUserPrompt(analysisData);
 
@@ -165,8 +181,7 @@ Important:
 - Do not default to governance-compliance language.
 - Reasoned interpretation is expected.
 - Academic tone. If you produce generic governance language, rewrite internally before finalizing the output.
-- Output entirely in English.
-- TRANSLATION REQUIREMENT: If expert responses (quotes) are in a non-English language (e.g., Turkish), you MUST translate them into English for the narrative. Do NOT include the original non-English text. Keep the translated quote in quotation marks to attribute it to the expert, but ensure the reader sees only English text.
+${languageInstructions(analysisData.locale)}
 
 --------------------------------------------------
 SECTION 6 – Ethical Tensions and Trade-Offs
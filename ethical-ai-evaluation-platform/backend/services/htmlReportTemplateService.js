@@ -5,6 +5,8 @@
  */
 
 const { getRiskLabel, colorForScore } = require('../utils/riskScale');
+const { formatInterval } = require('../utils/confidenceInterval');
+const { createReportTranslator } = require('../utils/reportTranslator');
 const fs = require('fs');
 const path = require('path');
 
@@ -13,7 +15,7 @@ const path = require('path');
  * @param {Object} reportMetrics - From reportMetricsService
  * @param {Object} geminiNarrative - Narrative from Gemini
  * @param {Object} chartImages - Base64 encoded chart images, used specifically for charts that are not HTML-based
- * @param {Object} options - Additional options including analytics data for heatmap
+ * @param {Object} options - Additional options including analytics data for heatmap, and i18n (utils/reportTranslator, English by default)
  * @returns {string} Complete HTML string
  */
 function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, options = {}) {
@@ -21,12 +23,13 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
   const scoring = reportMetrics.scoring || {};
   const tensions = reportMetrics.tensions || {};
   const evaluators = reportMetrics.evaluators || {};
+  const i18n = options.i18n || createReportTranslator();
+  const { t } = i18n;
 
   // Helper to format date
   const formatDate = (date) => {
     if (!date) return 'N/A';
-    const d = new Date(date);
-    return d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    return i18n.formatDate(date);
   };
 
   // Helper to get risk tier object
@@ -48,16 +51,16 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
 
   // Normalized Average is what determines the label
   const normalizedAverage = overallTotals.averageERC ?? 0;
-  const displayLabel = overallTotals.normalizedLabel || 'Unknown';
+  const displayLabel = i18n.riskLabel(overallTotals.normalizedLabel) || t('unknown');
   // FORCE RECALCULATION of color to ensure new palette matches code
   const displayColor = colorForScore(normalizedAverage);
 
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${i18n.locale}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Ethical AI Evaluation Report - ${project.title || 'Project'}</title>
+  <title>${t('title')} - ${project.title || t('project')}</title>
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     
@@ -134,6 +137,15 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
       font-style: italic;
       margin-top: 5px;
     }
+
+    .uncertainty-box {
+      background-color: #fffbeb;
+      border-left: 4px solid #f59e0b;
+      padding: 15px;
+      margin: 20px 0;
+      font-size: 10pt;
+      color: #78350f;
+    }
   </style>
 </head>
 <body>
@@ -141,16 +153,16 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
   <!-- PAGE 1: DASHBOARD & SUMMARY -->
   <div class="page" id="section-dashboard">
     <div class="header">
-      <h1>Ethical AI Evaluation Report</h1>
+      <h1>${t('title')}</h1>
       <div class="header-meta">
-        <span><strong>Project:</strong> ${project.title || 'Untitled Project'}</span>
-        <span><strong>Generated:</strong> ${formatDate(options.generatedAt || new Date())}</span>
+        <span><strong>${t('project')}:</strong> ${project.title || t('untitledProject')}</span>
+        <span><strong>${t('generated')}:</strong> ${formatDate(options.generatedAt || new Date())}</span>
       </div>
     </div>
 
     ${reportMetrics.validityStatus !== 'valid' ? `
     <div style="background-color: #fef2f2; border: 1px solid #ef4444; border-radius: 8px; padding: 15px; margin-bottom: 20px; color: #b91c1c;">
-      <strong>⚠️ DATA QUALITY NOTICE:</strong> The following data integrity issues were detected. Scores may be suppressed.
+      <strong>⚠️ ${t('dataQualityNotice')}:</strong> ${t('dataQualityText')}
       <ul style="margin-left: 20px; margin-top: 5px;">
         ${(reportMetrics.validationErrors || []).map(e => `<li>${e}</li>`).join('')}
       </ul>
@@ -160,10 +172,10 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
     <div class="dashboard-grid">
       <!-- Cumulative Risk Volume Card -->
       <div class="dashboard-card">
-        <h3>Cumulative Risk Volume</h3>
+        <h3>${t('cumulativeRiskVolume')}</h3>
         ${reportMetrics.overallTotals?._suppressed ? `
-          <div class="metric-value" style="color: #9ca3af; font-size: 20pt;">Scores Suppressed</div>
-          <div class="sub-metric">Data Validity Issue</div>
+          <div class="metric-value" style="color: #9ca3af; font-size: 20pt;">${t('scoresSuppressed')}</div>
+          <div class="sub-metric">${t('dataValidityIssue')}</div>
         ` : `
           <!-- Volume Display (Sum) -->
           <div class="metric-row">
@@ -174,31 +186,32 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
 
           <!-- MANDATORY CONTEXT -->
           <div style="font-size: 0.9em; color: #6b7280; margin-bottom: 10px;">
-            Based on ${scoringDisclosure.quantitativeQuestions || 'N/A'} quantitative questions<br>
-            (Maximum possible cumulative volume: ${scoringDisclosure.quantitativeQuestions ? (scoringDisclosure.quantitativeQuestions * 4).toFixed(2) : 'N/A'})
+            ${t('basedOnQuantitative', { count: scoringDisclosure.quantitativeQuestions || 'N/A' })}<br>
+            (${t('maxCumulativeVolume', { value: scoringDisclosure.quantitativeQuestions ? (scoringDisclosure.quantitativeQuestions * 4).toFixed(2) : 'N/A' })})
           </div>
           
           <!-- Normalized Average Display -->
           <div class="sub-metric">
-            <strong>Overall Average ERC (Mean):</strong> ${overallTotals.rawAverageERC ? overallTotals.rawAverageERC.toFixed(2) : normalizedAverage.toFixed(2)} / 4
+            <strong>${t('overallAverageErc')}:</strong> ${overallTotals.rawAverageERC ? overallTotals.rawAverageERC.toFixed(2) : normalizedAverage.toFixed(2)} / 4
+            ${overallTotals.confidenceInterval ? `<span style="color: #6b7280;">(${t('interval95', { interval: formatInterval(overallTotals.confidenceInterval) })})</span>` : ''}
           </div>
           <div class="sub-metric">
-            <strong>Max Principle Average (Sensitivity):</strong> ${overallTotals.maxPrincipleAverage ? overallTotals.maxPrincipleAverage.toFixed(2) : 'N/A'} / 4
+            <strong>${t('maxPrincipleAverage')}:</strong> ${overallTotals.maxPrincipleAverage ? overallTotals.maxPrincipleAverage.toFixed(2) : 'N/A'} / 4
           </div>
           
           ${overallTotals.maxPrincipleAverage > (overallTotals.rawAverageERC + 0.1) ? `
           <div style="font-size: 0.8em; color: #1e40af; margin-top: 5px; font-style: italic;">
-            ℹ️ Overall risk promoted due to Max Principle Sensitivity override.
+            ℹ️ ${t('riskPromoted')}
           </div>
           ` : ''}
 
           <div style="font-size: 0.8em; color: #9ca3af; margin-top: 5px;">
-            (ERC values are normalized on a 0–4 scale)
+            (${t('ercNormalized')})
           </div>
           
           <!-- Risk Level Display based on NORMALIZED average (potentially promoted) -->
           <div class="sub-metric" style="margin-top: 10px;">
-            Final Risk Label: 
+            ${t('finalRiskLabel')}: 
             <span class="risk-badge" style="background-color: ${displayColor}">${displayLabel}</span>
           </div>
         `}
@@ -206,43 +219,52 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
 
       <!-- Ethical Tensions Card -->
       <div class="dashboard-card">
-        <h3>Ethical Tensions</h3>
+        <h3>${t('ethicalTensions')}</h3>
         <div class="metric-row">
           <div class="metric-value">${tensions.summary?.total || 0}</div>
-          <div class="metric-label">Identified</div>
+          <div class="metric-label">${t('identified')}</div>
         </div>
         <div class="sub-metric">
-          ${tensions.summary?.accepted || 0} Accepted, ${tensions.summary?.underReview || 0} Under Review
+          ${t('tensionsReviewSummary', { accepted: tensions.summary?.accepted || 0, underReview: tensions.summary?.underReview || 0 })}
         </div>
       </div>
     </div>
 
     <!-- MANDATORY Qualitative Questions Disclosure -->
     <div class="disclosure-box">
-      <strong>Total Questions Assessed:</strong> ${scoringDisclosure.totalQuestions || 0} total (${scoringDisclosure.quantitativeQuestions || 0} Quantitative, ${scoringDisclosure.qualitativeQuestions || 0} Qualitative)
+      <strong>${t('totalQuestionsAssessed')}:</strong> ${t('questionTotals', { total: scoringDisclosure.totalQuestions || 0, quantitative: scoringDisclosure.quantitativeQuestions || 0, qualitative: scoringDisclosure.qualitativeQuestions || 0 })}
       <br><br>
-      ${scoringDisclosure.qualitativeQuestions || 0} qualitative (open-text) questions are excluded from quantitative risk scoring.
-      These questions provide narrative insights that complement the quantitative analysis.
-      ${scoringDisclosure.text ? `<br><br><span class="methodology-note">Note: ${scoringDisclosure.text}</span>` : ''}
+      ${t('qualitativeExcluded', { count: scoringDisclosure.qualitativeQuestions || 0 })}
+      ${t('qualitativeComplement')}
+      ${scoringDisclosure.text ? `<br><br><span class="methodology-note">${t('note')}: ${scoringDisclosure.text}</span>` : ''}
     </div>
 
+    ${(overallTotals.uncertaintyWarnings || []).length > 0 ? `
+    <div class="uncertainty-box">
+      <strong>⚠️ ${t('uncertainRiskLevels')}:</strong> ${t('uncertainRiskLevelsText')}
+      <ul style="margin: 8px 0 0 18px;">
+        ${overallTotals.uncertaintyWarnings.map(w => `<li>${w}</li>`).join('')}
+      </ul>
+    </div>
+    ` : ''}
+
     <!-- RESTORED: Ethical Principles Risk Overview Table -->
     <div class="section">
-      <h3>Ethical Principles Risk Overview</h3>
+      <h3>${t('principlesRiskOverview')}</h3>
       
       <!-- NEW: Radar and Bar Chart Visualization Side by Side -->
       <div style="display: flex; gap: 20px; align-items: start; margin-bottom: 20px; page-break-inside: avoid;">
         ${chartImages.riskRadarChart ? `
         <div style="flex: 1; text-align: center;">
           <img src="${chartImages.riskRadarChart}" style="max-width: 100%; max-height: 400px;" alt="Ethical Risk Radar Chart" />
-          <p style="font-size: 8pt; color: #6b7280; margin-top: 5px;">Risk Radar (Normalized average ERC)</p>
+          <p style="font-size: 8pt; color: #6b7280; margin-top: 5px;">${t('riskRadarCaption')}</p>
         </div>
         ` : ''}
         
         ${chartImages.principleBarChart ? `
         <div style="flex: 1; text-align: center;">
           <img src="${chartImages.principleBarChart}" style="max-width: 100%; max-height: 400px;" alt="Principle Risk Bar Chart" />
-          <p style="font-size: 8pt; color: #6b7280; margin-top: 5px;">Relative Risk Contribution</p>
+          <p style="font-size: 8pt; color: #6b7280; margin-top: 5px;">${t('relativeRiskContribution')}</p>
         </div>
         ` : ''}
       </div>
@@ -250,12 +272,12 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
       <!-- NEW: Importance Ranking Chart -->
       ${chartImages.ethicalImportanceRanking ? `
       <div style="margin-bottom: 30px; page-break-inside: avoid; background: #f9fafb; padding: 20px; border-radius: 8px;">
-        <h4 style="margin-top: 0; color: #374151; margin-bottom: 15px;">Ethical Importance Weighting</h4>
+        <h4 style="margin-top: 0; color: #374151; margin-bottom: 15px;">${t('importanceWeighting')}</h4>
         <div style="text-align: center;">
           <img src="${chartImages.ethicalImportanceRanking}" style="max-width: 90%; max-height: 350px;" alt="Principle Importance Chart" />
         </div>
         <p style="font-size: 8pt; color: #6b7280; margin-top: 10px; font-style: italic;">
-          This chart visualizes the importance weights assigned to each principle, influencing the final risk calculation.
+          ${t('importanceWeightingCaption')}
         </p>
       </div>
       ` : ''}
@@ -263,11 +285,12 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
       <table>
         <thead>
           <tr>
-            <th>Ethical Principle</th>
-            <th>Cumulative Risk Volume</th>
-            <th>Question Count</th>
-            <th>Average ERC ( / 4 )</th>
-            <th>Risk Level</th>
+            <th>${t('ethicalPrinciple')}</th>
+            <th>${t('cumulativeRiskVolume')}</th>
+            <th>${t('questionCount')}</th>
+            <th>${t('averageErc')}</th>
+            <th>${t('interval95Header')}</th>
+            <th>${t('riskLevel')}</th>
           </tr>
         </thead>
         <tbody>
@@ -275,19 +298,19 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
       const byPrinciple = scoring.byPrincipleOverall || {};
       const principles = Object.keys(byPrinciple);
       if (principles.length === 0) {
-        return '<tr><td colspan="5">No principle data available.</td></tr>';
+        return '<tr><td colspan="6">' + t('noPrincipleData') + '</td></tr>';
       }
       return principles.map(principle => {
         const data = byPrinciple[principle];
         if (data === null) {
-          return '<tr><td>' + principle + '</td><td>N/A</td><td>N/A</td><td>N/A</td><td>Not Evaluated</td></tr>';
+          return '<tr><td>' + i18n.principle(principle) + '</td><td>N/A</td><td>N/A</td><td>N/A</td><td>N/A</td><td>' + t('notEvaluated') + '</td></tr>';
         }
 
         // PHASE 6 FIX: Use correct fields from Phase 3 normalization
         const cumulativeRisk = data.cumulativeRisk ?? (data.risk || 0);
         // Average Risk IS the normalized ERC
         const averageRisk = data.averageRisk ?? 0;
-        const normalizedLabel = data.normalizedLabel || data.riskLabel || 'Unknown';
+        const normalizedLabel = i18n.riskLabel(data.normalizedLabel || data.riskLabel) || t('unknown');
 
         // FORCE RECALCULATION of color to ensure new palette matches code
         const normalizedColor = colorForScore(averageRisk);
@@ -295,10 +318,12 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
         const questionCount = data.questionCount || 0;
 
         return '<tr>' +
-          '<td>' + principle + '</td>' +
+          '<td>' + i18n.principle(principle) + '</td>' +
           '<td style="font-weight: bold; color: #4b5563;">' + cumulativeRisk.toFixed(2) + '</td>' +
           '<td>' + questionCount + '</td>' +
           '<td>' + averageRisk.toFixed(2) + ' / 4</td>' +
+          // Too few answers to resample: no interval
+          '<td>' + (formatInterval(data.confidenceInterval) || 'N/A') + '</td>' +
           '<td><span class="risk-badge" style="background-color: ' + normalizedColor + '; color: white;">' + normalizedLabel + '</span></td>' +
           '</tr>';
       }).join('');
@@ -310,40 +335,40 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
     <!-- NEW: QUALITATIVE ANALYSIS SECTION -->
     ${geminiNarrative?.qualitativeAnalysis ? `
     <div class="section" style="page-break-before: always;">
-      <h2>Qualitative Analysis of Open-Text Responses</h2>
+      <h2>${t('qualitativeAnalysis')}</h2>
       
       <div style="background: #f8fafc; padding: 15px; border-left: 4px solid #3b82f6; margin-bottom: 20px;">
-        <h4 style="margin-top: 0; color: #1e40af;">Methodology</h4>
-        <p style="margin-bottom: 10px; font-size: 10pt;">${geminiNarrative.qualitativeAnalysis.methodology || 'Qualitative analysis methodology.'}</p>
+        <h4 style="margin-top: 0; color: #1e40af;">${t('methodology')}</h4>
+        <p style="margin-bottom: 10px; font-size: 10pt;">${geminiNarrative.qualitativeAnalysis.methodology || t('defaultMethodology')}</p>
         <p style="margin-bottom: 0px; font-size: 10pt; font-style: italic;">${geminiNarrative.qualitativeAnalysis.interpretation || ''}</p>
       </div>
 
     ${geminiNarrative.qualitativeAnalysis.principleAnalysis ? geminiNarrative.qualitativeAnalysis.principleAnalysis.map(item => `
         <div style="margin-bottom: 25px; border-bottom: 1px solid #e5e7eb; padding-bottom: 20px; page-break-inside: avoid;">
           <h3 style="font-size: 14pt; color: #111827; margin-bottom: 15px; border-left: 4px solid #3b82f6; padding-left: 10px;">
-            ${item.principle}
+            ${i18n.principle(item.principle)}
           </h3>
 
           <div style="font-size: 11pt; line-height: 1.6; color: #374151; text-align: justify;">
-            ${item.analysis || item.insight || 'No analysis provided.'}
+            ${item.analysis || item.insight || t('noAnalysis')}
           </div>
         </div>
       `).join('') : (geminiNarrative.qualitativeAnalysis.insights ? geminiNarrative.qualitativeAnalysis.insights.map(item => `
         <div style="margin-bottom: 15px;">
-          <h3 style="font-size: 12pt; color: #374151; margin-bottom: 5px;">${item.principle} – Qualitative Insights</h3>
+          <h3 style="font-size: 12pt; color: #374151; margin-bottom: 5px;">${t('qualitativeInsights', { principle: i18n.principle(item.principle) })}</h3>
           <p>${item.insight}</p>
         </div>
-      `).join('') : '<p>No specific qualitative insights recorded.</p>')}
+      `).join('') : `<p>${t('noQualitativeInsights')}</p>`)}
 
       <div style="margin-top: 20px; padding: 10px; background: #fffbeb; border: 1px solid #fcd34d; color: #92400e; font-size: 9pt; border-radius: 4px;">
-        <strong>Disclaimer:</strong> ${geminiNarrative.qualitativeAnalysis.disclaimer || 'Qualitative insights are for context only.'}
+        <strong>${t('disclaimer')}:</strong> ${geminiNarrative.qualitativeAnalysis.disclaimer || t('defaultDisclaimer')}
       </div>
     </div>
     ` : ''}
 
     ${geminiNarrative?.executiveSummary && geminiNarrative.executiveSummary.length > 0 ? `
     <div class="section">
-      <h2>Executive Summary</h2>
+      <h2>${t('executiveSummary')}</h2>
       <ul style="margin-left: 1.5cm; margin-top: 0.5cm;">
         ${geminiNarrative.executiveSummary.map(point => `<li style="margin-bottom: 0.3cm;">${point}</li>`).join('')}
       </ul>
@@ -369,12 +394,12 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
       <!-- HEATMAP RESTORED --> 
     ${chartImages.principleEvaluatorHeatmap ? `
     <div class="section" style="page-break-before: always;">
-      <h3>Role x Principle Risk Heatmap</h3>
+      <h3>${t('heatmapTitle')}</h3>
       <div style="text-align: center; margin-bottom: 10px;">
         <img src="${chartImages.principleEvaluatorHeatmap}" style="max-width: 100%;" alt="Role Risk Heatmap" />
       </div>
       <p style="font-size: 9pt; color: #6b7280; text-align: center; font-style: italic;">
-        Visualizes the consensus and divergence in risk assessment across different expert roles.
+        ${t('heatmapCaption')}
       </p>
     </div>
     ` : ''}
@@ -383,20 +408,20 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
   <!-- PAGE 2: TENSIONS & RECOMMENDATIONS -->
   <div class="page">
     <div class="section" id="section-tensions">
-      <h2>Ethical Tensions</h2>
+      <h2>${t('ethicalTensions')}</h2>
       
       <!-- NEW: Tension Analytics Charts -->
       <div style="display: flex; gap: 20px; margin-bottom: 30px; page-break-inside: avoid;">
         ${chartImages.tensionSeverityChart ? `
         <div style="flex: 1; text-align: center; background: #fffcfc; padding: 15px; border-radius: 8px; border: 1px solid #fee2e2;">
-          <h4 style="font-size: 10pt; color: #991b1b; margin-bottom: 10px;">Severity Distribution</h4>
+          <h4 style="font-size: 10pt; color: #991b1b; margin-bottom: 10px;">${t('severityDistribution')}</h4>
           <img src="${chartImages.tensionSeverityChart}" style="max-width: 100%; max-height: 250px;" alt="Tension Severity Chart" />
         </div>
         ` : ''}
         
         ${chartImages.tensionReviewStateChart ? `
         <div style="flex: 1; text-align: center; background: #f8fafc; padding: 15px; border-radius: 8px; border: 1px solid #e2e8f0;">
-          <h4 style="font-size: 10pt; color: #1e40af; margin-bottom: 10px;">Review Progress</h4>
+          <h4 style="font-size: 10pt; color: #1e40af; margin-bottom: 10px;">${t('reviewProgress')}</h4>
           <img src="${chartImages.tensionReviewStateChart}" style="max-width: 100%; max-height: 250px;" alt="Tension Progress Chart" />
         </div>
         ` : ''}
@@ -405,31 +430,31 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
       <table>
         <thead>
           <tr>
-            <th>Conflict</th>
-            <th>Severity</th>
-            <th>State</th>
-            <th>Consensus</th>
-            <th>Evidence</th>
+            <th>${t('conflict')}</th>
+            <th>${t('severity')}</th>
+            <th>${t('state')}</th>
+            <th>${t('consensus')}</th>
+            <th>${t('evidence')}</th>
           </tr>
         </thead>
       <tbody>
-          ${(options.analytics?.tensionsTable || tensions.list || []).map(t => {
-        const conflictLabel = `${t.conflict?.principle1 || t.principle1 || ''} <-> ${t.conflict?.principle2 || t.principle2 || ''}`;
-        const agreePct = t.agreePct || t.consensus?.agreePct || 0;
-        const evidenceCount = t.evidenceCount || t.evidence?.count || 0;
+          ${(options.analytics?.tensionsTable || tensions.list || []).map(tension => {
+        const conflictLabel = `${i18n.principle(tension.conflict?.principle1 || tension.principle1 || '')} <-> ${i18n.principle(tension.conflict?.principle2 || tension.principle2 || '')}`;
+        const agreePct = tension.agreePct || tension.consensus?.agreePct || 0;
+        const evidenceCount = tension.evidenceCount || tension.evidence?.count || 0;
         return `
             <tr>
               <td>${conflictLabel}</td>
-              <td><span class="risk-badge" style="background:${t.severityLevel === 'Critical' ? '#b91c1c' : (t.severityLevel === 'High' ? '#ef4444' : '#f59e0b')}">${t.severityLevel || 'Unknown'}</span></td>
-              <td>${t.reviewState || 'Proposed'}</td>
+              <td><span class="risk-badge" style="background:${tension.severityLevel === 'Critical' ? '#b91c1c' : (tension.severityLevel === 'High' ? '#ef4444' : '#f59e0b')}">${tension.severityLevel || t('unknown')}</span></td>
+              <td>${tension.reviewState || 'Proposed'}</td>
               <td>${agreePct.toFixed(0)}%</td>
-              <td>${evidenceCount} items</td>
+              <td>${t('evidenceItems', { count: evidenceCount })}</td>
             </tr>
             `;
       }).join('')}
         </tbody>
       </table>
-      ` : '<p>No explicit ethical tensions were formally flagged within the scoring model. However, qualitative considerations highlight areas that warrant continued attention.</p>'}
+      ` : `<p>${t('noTensionsFlagged')}</p>`}
     </div>
 
   </div>
@@ -437,49 +462,72 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
   <!-- PAGE 3: METHODOLOGY & APPENDIX -->
   <div class="page">
     <div class="section">
-      <h2>Methodology & Evidence Coverage</h2>
+      <h2>${t('methodologyEvidence')}</h2>
       
       <!-- NEW: Evidence Analytics Charts -->
       <div style="display: flex; gap: 20px; margin-bottom: 30px; page-break-inside: avoid;">
         ${chartImages.evidenceCoverageDonut ? `
         <div style="flex: 1; text-align: center; background: #fcfdfd; padding: 15px; border-radius: 8px; border: 1px solid #ecfeff;">
-          <h4 style="font-size: 10pt; color: #0891b2; margin-bottom: 10px;">Evidence Participation</h4>
+          <h4 style="font-size: 10pt; color: #0891b2; margin-bottom: 10px;">${t('evidenceParticipation')}</h4>
           <img src="${chartImages.evidenceCoverageDonut}" style="max-width: 100%; max-height: 220px;" alt="Evidence Coverage" />
         </div>
         ` : ''}
         
         ${chartImages.evidenceTypeDonut ? `
         <div style="flex: 1; text-align: center; background: #fcfdfd; padding: 15px; border-radius: 8px; border: 1px solid #ecfeff;">
-          <h4 style="font-size: 10pt; color: #0891b2; margin-bottom: 10px;">Evidence Types</h4>
+          <h4 style="font-size: 10pt; color: #0891b2; margin-bottom: 10px;">${t('evidenceTypes')}</h4>
           <img src="${chartImages.evidenceTypeDonut}" style="max-width: 100%; max-height: 220px;" alt="Evidence Types" />
         </div>
         ` : ''}
       </div>
 
-      <p>This report matches the Ethical AI Analysis methodology for ethical AI evaluation.</p>
+      <p>${t('methodologyIntro')}</p>
       
-      <h3>Risk Calculation</h3>
+      <h3>${t('riskCalculation')}</h3>
       <ul>
-        <li><strong>Question Risk (ERC):</strong> Importance (0-4) x Unmitigated Ethical Risk (0-1).</li>
-        <li><strong>Cumulative Risk Volume:</strong> Sum of all ERC contributions. Used to understand total magnitude of risk for the project.</li>
-        <li><strong>Normalized Ethical Risk Level:</strong> Determined by the higher of the Overall average ERC and the Maximum individual Principle average. This promotes the risk label if any single principle (e.g. Accountability) identifies a critical failure, even if the overall project volume is low.</li>
+        <li><strong>${t('questionRiskTerm')}:</strong> ${t('questionRiskDefinition')}</li>
+        <li><strong>${t('cumulativeRiskVolume')}:</strong> ${t('cumulativeRiskDefinition')}</li>
+        <li><strong>${t('normalizedRiskTerm')}:</strong> ${t('normalizedRiskDefinition')}</li>
       </ul>
-      <p><em>Note: All numeric metrics are deterministic and traceable to MongoDB data.</em></p>
+
+      ${(scoring.roleWeighting?.roles || []).length > 0 ? `
+      <h3>${t('roleWeighting')}</h3>
+      <p>${scoring.roleWeighting.custom ? t('roleWeightingCustom') : t('roleWeightingDefault')}</p>
+      <table>
+        <thead>
+          <tr>
+            <th>${t('role')}</th>
+            <th>${t('weight')}</th>
+            <th>${t('answers')}</th>
+            <th>${t('shareOfRisk')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${scoring.roleWeighting.roles.map(r => `
+            <tr>
+              <td>${r.role}</td>
+              <td>${r.weight}</td>
+              <td>${r.answers}</td>
+              <td>${r.share}% (${r.unweightedShare}%)</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : ''}
+      <p><em>${t('deterministicNote')}</em></p>
     </div>
     
     <div class="section">
-      <h2>Appendix: Evaluators</h2>
+      <h2>${t('appendixEvaluators')}</h2>
       <p style="font-size: 10pt; color: #666; margin-bottom: 20px;">
-        The ethical risk metrics aggregate all expert responses at the question level.
-        While individual experts may differ, the normalized score reflects the combined
-        judgment across evaluators rather than any single opinion.
+        ${t('evaluatorsIntro')}
       </p>
       <table>
         <thead>
           <tr>
-            <th>Name</th>
-            <th>Role</th>
-            <th>Status</th>
+            <th>${t('name')}</th>
+            <th>${t('role')}</th>
+            <th>${t('status')}</th>
           </tr>
         </thead>
         <tbody>
@@ -498,9 +546,9 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
 
       return Array.from(uniqueMap.values()).map(e => `
               <tr>
-                <td>${e.name || 'Unknown'}</td>
+                <td>${e.name || t('unknown')}</td>
                 <td>${e.role || 'unknown'}</td>
-                <td>Submitted</td>
+                <td>${t('submitted')}</td>
               </tr>
             `).join('');
     })()}
@@ -511,11 +559,11 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
     <!-- IMPROVEMENT RECOMMENDATIONS SECTION (Moved to End) -->
     ${geminiNarrative?.improvementRecommendations ? `
     <div class="section" id="section-recommendations" style="margin-top: 40px; page-break-before: always;">
-      <h2>Improvement Recommendations</h2>
+      <h2>${t('improvementRecommendations')}</h2>
       
       ${geminiNarrative.improvementRecommendations.shortTerm && geminiNarrative.improvementRecommendations.shortTerm.length > 0 ? `
       <div style="margin-bottom: 20px;">
-        <h3 style="color: #ef4444; border-bottom: 1px solid #fee2e2; padding-bottom: 5px;">Short-Term (0-3 Months)</h3>
+        <h3 style="color: #ef4444; border-bottom: 1px solid #fee2e2; padding-bottom: 5px;">${t('shortTerm')}</h3>
         <ul style="margin-left: 20px;">
           ${geminiNarrative.improvementRecommendations.shortTerm.map(rec => `<li style="margin-bottom: 8px;">${rec}</li>`).join('')}
         </ul>
@@ -523,7 +571,7 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
 
       ${geminiNarrative.improvementRecommendations.mediumTerm && geminiNarrative.improvementRecommendations.mediumTerm.length > 0 ? `
       <div style="margin-bottom: 20px;">
-        <h3 style="color: #f59e0b; border-bottom: 1px solid #fef3c7; padding-bottom: 5px;">Medium-Term (3-12 Months)</h3>
+        <h3 style="color: #f59e0b; border-bottom: 1px solid #fef3c7; padding-bottom: 5px;">${t('mediumTerm')}</h3>
         <ul style="margin-left: 20px;">
           ${geminiNarrative.improvementRecommendations.mediumTerm.map(rec => `<li style="margin-bottom: 8px;">${rec}</li>`).join('')}
         </ul>
@@ -531,7 +579,7 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
 
       ${geminiNarrative.improvementRecommendations.longTerm && geminiNarrative.improvementRecommendations.longTerm.length > 0 ? `
       <div style="margin-bottom: 20px;">
-        <h3 style="color: #10b981; border-bottom: 1px solid #d1fae5; padding-bottom: 5px;">Long-Term (12+ Months)</h3>
+        <h3 style="color: #10b981; border-bottom: 1px solid #d1fae5; padding-bottom: 5px;">${t('longTerm')}</h3>
         <ul style="margin-left: 20px;">
           ${geminiNarrative.improvementRecommendations.longTerm.map(rec => `<li style="margin-bottom: 8px;">${rec}</li>`).join('')}
         </ul>
@@ -541,14 +589,14 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
     ` : (geminiNarrative?.recommendations && geminiNarrative.recommendations.length > 0 ? `
       <!-- Fallback to old table if new structure missing -->
       <div class="section" id="section-recommendations" style="margin-top: 40px; page-break-before: always;">
-      <h2>Prioritized Recommendations</h2>
+      <h2>${t('prioritizedRecommendations')}</h2>
       <table>
         <thead>
           <tr>
-            <th>Recommendation</th>
-            <th>Priority</th>
-            <th>Owner</th>
-            <th>Timeline</th>
+            <th>${t('recommendation')}</th>
+            <th>${t('priority')}</th>
+            <th>${t('owner')}</th>
+            <th>${t('timeline')}</th>
           </tr>
         </thead>
         <tbody>
@@ -564,11 +612,42 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
       </table>
     </div>
     ` : '')}
-    
+
+    <!-- MITIGATION SCENARIOS (saved what-if scenarios flagged for the report) -->
+    ${(reportMetrics.scenarios || []).length > 0 ? `
+    <div class="section" id="section-scenarios">
+      <h2>${t('mitigationScenarios')}</h2>
+      <p class="methodology-note">${t('scenariosNote')}</p>
+      <table>
+        <thead>
+          <tr>
+            <th>${t('scenario')}</th>
+            <th>${t('changes')}</th>
+            <th>${t('averageErc')}</th>
+            <th>${t('riskLevel')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${reportMetrics.scenarios.map(scenario => `
+            <tr>
+              <td><strong>${scenario.name}</strong>${scenario.description ? `<br><span style="color: #6b7280;">${scenario.description}</span>` : ''}</td>
+              <td>
+                ${scenario.changes.map(c => t('severityChange', { question: c.questionCode || c.questionId, from: c.fromSeverity.toFixed(2), to: c.toSeverity.toFixed(2) })).join('<br>')}
+                ${scenario.mitigatedTensions.length > 0 ? `${scenario.changes.length > 0 ? '<br>' : ''}${t('tensionMitigationsDone', { count: scenario.mitigatedTensions.length })}` : ''}
+              </td>
+              <td>${scenario.baseline.averageERC !== null ? scenario.baseline.averageERC.toFixed(2) : 'N/A'} → ${scenario.simulated.averageERC !== null ? scenario.simulated.averageERC.toFixed(2) : 'N/A'}${scenario.delta.averageERC !== null ? ` (${scenario.delta.averageERC > 0 ? '+' : ''}${scenario.delta.averageERC.toFixed(2)})` : ''}</td>
+              <td>${i18n.riskLabel(scenario.baseline.riskLabel)}${scenario.delta.riskLevelChanged ? ` → ${i18n.riskLabel(scenario.simulated.riskLabel)}` : ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    ` : ''}
+
     <!-- CONCLUSION SECTION (Moved to End) -->
     ${geminiNarrative?.conclusion && geminiNarrative.conclusion.length > 0 ? `
     <div class="section" id="section-conclusion">
-      <h2>Conclusion</h2>
+      <h2>${t('conclusion')}</h2>
       ${geminiNarrative.conclusion.map(para => `<p>${para}</p>`).join('')}
     </div>
     ` : ''}
@@ -576,7 +655,7 @@ function generateHTMLReport(reportMetrics, geminiNarrative, chartImages = {}, op
   </div>
 
   <div class="footer">
-    <p>Ethical AI Evaluation Report - ${project.title} | Generated: ${formatDate(new Date())}</p>
+    <p>${t('title')} - ${project.title} | ${t('generated')}: ${formatDate(new Date())}</p>
   </div>
 </body>
 </html>`;
@@ -0,0 +1,268 @@
+/**
+ * Invitation Service
+ *
+ * Admin-driven onboarding: an admin invites an email address with a pre-set
+ * role (and optionally a project). The invitee receives a one-time link and,
+ * on acceptance, the account, project membership and ProjectAssignment are
+ * created together in a single transaction.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const ProjectAssignment = require('../models/projectAssignment');
+const { ROLES } = require('../config/permissions.config');
+const { INVITATION_TTL_MS } = require('../config/security.config');
+const { hashPassword } = require('../utils/passwordHash');
+const { getQuestionnairesForRole } = require('../utils/questionnaireHelper');
+
+const getUserModel = () => mongoose.models.User || require('../models/User');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const invitationError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Status as shown to admins: pending invitations past expiresAt are "expired"
+ * @param {Object} invitation - Invitation document (status, expiresAt)
+ * @param {Date} [now]
+ * @returns {'pending'|'expired'|'accepted'|'revoked'}
+ */
+const effectiveStatus = (invitation, now = new Date()) => {
+  if (invitation.status === 'pending' && new Date(invitation.expiresAt).getTime() <= now.getTime()) {
+    return 'expired';
+  }
+  return invitation.status;
+};
+
+/**
+ * Create an invitation; any earlier pending invitation for the same email is revoked
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} params.role - One of ROLES (admins may invite admins)
+ * @param {string} [params.projectId] - Project to assign on acceptance
+ * @param {string|ObjectId} params.invitedBy - Admin user id
+ * @returns {Promise<{invitation: Object, token: string, project: Object|null}>} Raw token is only returned here
+ */
+async function createInvitation({ email, role, projectId, invitedBy }) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw invitationError(400, 'INVALID_EMAIL', 'A valid email address is required.');
+  }
+  if (!ROLES.includes(role)) {
+    throw invitationError(400, 'INVALID_ROLE', `Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const User = getUserModel();
+  const existingUser = await User.findOne({ email: normalizedEmail }).select('_id').lean();
+  if (existingUser) {
+    throw invitationError(409, 'USER_EXISTS', 'An account with this email already exists.');
+  }
+
+  let project = null;
+  if (projectId) {
+    if (!mongoose.isValidObjectId(projectId)) {
+      throw invitationError(400, 'INVALID_PROJECT', 'Invalid project ID.');
+    }
+    project = await mongoose.model('Project').findById(projectId).select('_id title').lean();
+    if (!project) {
+      throw invitationError(404, 'PROJECT_NOT_FOUND', 'Project not found.');
+    }
+  }
+
+  await Invitation.updateMany(
+    { email: normalizedEmail, status: 'pending' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: invitedBy } }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invitation = await Invitation.create({
+    email: normalizedEmail,
+    role,
+    projectId: project ? project._id : undefined,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+    invitedBy
+  });
+
+  return { invitation, token, project };
+}
+
+/**
+ * List invitations for the admin dashboard, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - pending | expired | accepted | revoked
+ * @returns {Promise<Object[]>}
+ */
+async function listInvitations({ status } = {}) {
+  const now = new Date();
+  const query = {};
+  if (status === 'pending') Object.assign(query, { status: 'pending', expiresAt: { $gt: now } });
+  else if (status === 'expired') Object.assign(query, { status: 'pending', expiresAt: { $lte: now } });
+  else if (status) query.status = status;
+
+  const invitations = await Invitation.find(query)
+    .select('-tokenHash')
+    .populate('projectId', 'title')
+    .populate('invitedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return invitations.map((invitation) => ({
+    ...invitation,
+    project: invitation.projectId || null,
+    projectId: invitation.projectId?._id || null,
+    status: effectiveStatus(invitation, now)
+  }));
+}
+
+/**
+ * Revoke a pending (or expired) invitation
+ * @param {string} id - Invitation id
+ * @param {string|ObjectId} actorId - Admin revoking it
+ */
+async function revokeInvitation(id, actorId) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw invitationError(404, 'INVITATION_NOT_FOUND', 'Invitation not found.');
+  }
+  const invitation = await Invitation.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: actorId } },
+    { new: true }
+  ).select('-tokenHash').lean();
+
+  if (!invitation) {
+    const exists = await Invitation.exists({ _id: id });
+    throw exists
+      ? invitationError(409, 'INVITATION_NOT_PENDING', 'Only pending invitations can be revoked.')
+      : invitationError(404, 'INVITATION_NOT_FOUND', 'Invitation not found.');
+  }
+  return invitation;
+}
+
+/**
+ * Resolve a raw invite token to a usable (pending, unexpired) invitation
+ * @param {string} token - Raw token from the invite link
+ */
+async function findPendingByToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw invitationError(400, 'INVITATION_INVALID', 'Invitation link is invalid.');
+  }
+  const invitation = await Invitation.findOne({ tokenHash: hashToken(token) })
+    .populate('projectId', 'title')
+    .lean();
+
+  if (!invitation || invitation.status === 'revoked') {
+    throw invitationError(400, 'INVITATION_INVALID', 'Invitation link is invalid or has been revoked.');
+  }
+  if (invitation.status === 'accepted') {
+    throw invitationError(400, 'INVITATION_USED', 'This invitation has already been used. Please sign in.');
+  }
+  if (effectiveStatus(invitation) === 'expired') {
+    throw invitationError(400, 'INVITATION_EXPIRED', 'This invitation has expired. Please ask an administrator for a new one.');
+  }
+  return invitation;
+}
+
+/**
+ * Accept an invitation: create the user, add them to the project and create
+ * their ProjectAssignment in one transaction
+ * @param {string} token - Raw invite token
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} params.password
+ * @returns {Promise<{user: Object, invitation: Object}>}
+ */
+async function acceptInvitation(token, { name, password }) {
+  if (!name || !password) {
+    throw invitationError(400, 'MISSING_FIELDS', 'Name and password are required.');
+  }
+
+  const invitation = await findPendingByToken(token);
+  const User = getUserModel();
+  const projectIdObj = invitation.projectId?._id || null;
+  const questionnaires = getQuestionnairesForRole(invitation.role);
+  const passwordHash = await hashPassword(password);
+
+  const session = await mongoose.startSession();
+  let user;
+  try {
+    await session.withTransaction(async () => {
+      // Claim the invitation first so a second concurrent accept cannot create another account
+      const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+        { $set: { status: 'accepted', acceptedAt: new Date() } },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw invitationError(400, 'INVITATION_USED', 'This invitation has already been used. Please sign in.');
+      }
+
+      const existingUser = await User.findOne({ email: invitation.email }).session(session).select('_id').lean();
+      if (existingUser) {
+        throw invitationError(409, 'USER_EXISTS', 'An account with this email already exists.');
+      }
+
+      [user] = await User.create([{
+        name,
+        email: invitation.email,
+        password: passwordHash,
+        role: invitation.role,
+        isVerified: true
+      }], { session });
+
+      claimed.acceptedUserId = user._id;
+      await claimed.save({ session });
+
+      if (projectIdObj) {
+        // Same limit as POST /api/evaluations/assignments, counted inside the transaction
+        const { assertRoleCardinality } = require('./evaluationService');
+        await assertRoleCardinality(projectIdObj, invitation.role, { session });
+
+        await mongoose.model('Project').updateOne(
+          { _id: projectIdObj },
+          { $addToSet: { assignedUsers: user._id } },
+          { session }
+        );
+        await ProjectAssignment.create([{
+          projectId: projectIdObj,
+          userId: user._id,
+          role: invitation.role,
+          questionnaires,
+          status: 'assigned'
+        }], { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (projectIdObj) {
+    // Same as createAssignment(): seed unanswered responses; failures here must not undo the account
+    try {
+      const { initializeResponses } = require('./evaluationService');
+      await initializeResponses(projectIdObj, user._id, invitation.role, questionnaires);
+    } catch (err) {
+      console.error('[invitation] initializeResponses failed (non-blocking):', err.message);
+    }
+  }
+
+  return { user, invitation };
+}
+
+module.exports = {
+  hashToken,
+  effectiveStatus,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  findPendingByToken,
+  acceptInvitation
+};
@@ -3,7 +3,7 @@ const Notification = require('../models/Notification');
 const User = require('../models/User');
 const ProjectAssignment = require('../models/projectAssignment');
 
-// These models are defined in server.js, so we get them from mongoose
+// These models are registered by models/index.js, so we get them from mongoose
 const getProject = () => mongoose.model('Project');
 const getTension = () => mongoose.model('Tension');
 
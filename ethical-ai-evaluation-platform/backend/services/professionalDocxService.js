@@ -17,6 +17,8 @@ const {
   InternalHyperlink
 } = require("docx");
 const { riskLabel } = require('../utils/riskLabel');
+const { formatInterval } = require('../utils/confidenceInterval');
+const { createReportTranslator } = require('../utils/reportTranslator');
 
 // Safe toFixed helper to prevent crashes
 const safeToFixed = (val, digits = 2, fallback = 'N/A') => {
@@ -27,9 +29,13 @@ const safeToFixed = (val, digits = 2, fallback = 'N/A') => {
 /**
  * Generate professional DOCX report from reportMetrics and geminiNarrative
  * This creates a structured, verifiable report with tables, charts, and proper formatting
+ * @param {Object} [options] - { i18n } report translator (utils/reportTranslator, English by default);
+ *   headings, labels, principle names, risk labels and question texts follow its locale
  */
-async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generatedAt = new Date(), chartBuffers = null) {
+async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generatedAt = new Date(), chartBuffers = null, options = {}) {
   const children = [];
+  const i18n = options.i18n || createReportTranslator();
+  const { t } = i18n;
 
   // Helper to add chart image to document with caption, legend, and threshold explanation
   const addChartImage = async (chartBuffer, title, width = 500, height = 300, options = {}) => {
@@ -142,28 +148,28 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // ============================================================
   // 1) COVER PAGE
   // ============================================================
-  children.push(createHeading(reportMetrics.project.title || 'Ethical AI Evaluation Report', 1, 'cover'));
+  children.push(createHeading(reportMetrics.project.title || t('title'), 1, 'cover'));
   children.push(createParagraph(''));
-  children.push(createParagraph(`Category: ${reportMetrics.project.category || 'Not provided'}`));
-  children.push(createParagraph(`Questionnaire: ${reportMetrics.project.questionnaireKey || 'general-v1'}`));
-  children.push(createParagraph(`Version: ${reportMetrics.project.questionnaireVersion || 1}`));
-  children.push(createParagraph(`Generated on: ${generatedAt.toISOString().split('T')[0]}`));
+  children.push(createParagraph(`${t('category')}: ${reportMetrics.project.category || t('notProvided')}`));
+  children.push(createParagraph(`${t('questionnaire')}: ${reportMetrics.project.questionnaireKey || 'general-v1'}`));
+  children.push(createParagraph(`${t('version')}: ${reportMetrics.project.questionnaireVersion || 1}`));
+  children.push(createParagraph(`${t('generatedOn')}: ${generatedAt.toISOString().split('T')[0]}`));
   children.push(createParagraph(''));
 
   // ============================================================
   // 1.1) NAVIGATION MENU (Clickable Internal Links)
   // ============================================================
-  children.push(createParagraph('Navigation:', { bold: true }));
-  children.push(createInternalLink('Dashboard', 'dashboard'));
-  children.push(createInternalLink('Risks', 'risks'));
-  children.push(createInternalLink('Tensions', 'tensions'));
-  children.push(createInternalLink('Recommendations', 'recommendations'));
+  children.push(createParagraph(`${t('navigation')}:`, { bold: true }));
+  children.push(createInternalLink(t('dashboard'), 'dashboard'));
+  children.push(createInternalLink(t('risks'), 'risks'));
+  children.push(createInternalLink(t('tensions'), 'tensions'));
+  children.push(createInternalLink(t('recommendations'), 'recommendations'));
   children.push(createParagraph(''));
 
   // ============================================================
   // 2) METHODOLOGY & DATA SOURCES
   // ============================================================
-  children.push(createHeading('Methodology & Data Sources', 1));
+  children.push(createHeading(t('methodologyDataSources'), 1));
   children.push(createParagraph('This report is generated using the Ethical AI Analysis methodology for ethical AI evaluation.'));
   children.push(createParagraph(''));
   children.push(createParagraph('Data Sources:', { bold: true }));
@@ -186,6 +192,19 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   children.push(createParagraph('Risk Percentage Formula: Percentage of evaluator scores with score > 2.5 (scores ≤ 2.5 are treated as safe)'));
   children.push(createParagraph(''));
 
+  // Role weights applied to the aggregate
+  const roleWeighting = reportMetrics.scoring?.roleWeighting;
+  if (roleWeighting?.roles?.length > 0) {
+    children.push(createParagraph('Role Weighting:', { bold: true }));
+    children.push(createParagraph(roleWeighting.custom
+      ? 'This project weights evaluator roles. Within each principle, every answer counts with its role\'s weight relative to the mean weight of the principle\'s answers.'
+      : 'Default role weights: every evaluator answer counts equally.'));
+    roleWeighting.roles.forEach(r => {
+      children.push(createParagraph(`• ${r.role}: weight ${r.weight}, ${r.answers} answers, ${r.share}% of risk (unweighted ${r.unweightedShare}%)`));
+    });
+    children.push(createParagraph(''));
+  }
+
   // Data Integrity Checks
   const consistencyChecks = reportMetrics.consistencyChecks || {};
   if (consistencyChecks && (consistencyChecks.errors?.length > 0 || consistencyChecks.warnings?.length > 0)) {
@@ -223,13 +242,13 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
 
   // Role breakdown table (submitted-only)
   if (Object.keys(reportMetrics.coverage.roles).length > 0) {
-    children.push(createParagraph('Role Breakdown:', { bold: true }));
+    children.push(createParagraph(`${t('roleBreakdown')}:`, { bold: true }));
 
     const roleTableRows = [
       new TableRow({
         children: [
-          new TableCell({ children: [createParagraph('Role', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Submitted', { bold: true })] })
+          new TableCell({ children: [createParagraph(t('role'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('submitted'), { bold: true })] })
         ]
       })
     ];
@@ -261,7 +280,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // ============================================================
   // 4) EXECUTIVE SUMMARY
   // ============================================================
-  children.push(createHeading('Executive Summary', 1));
+  children.push(createHeading(t('executiveSummary'), 1));
 
   if (geminiNarrative && Array.isArray(geminiNarrative.executiveSummary)) {
     geminiNarrative.executiveSummary.forEach(point => {
@@ -284,37 +303,41 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   const cumulativeVolume = overallTotals.cumulativeRiskVolume || 0;
 
   children.push(createParagraph(''));
-  children.push(createParagraph('Scoring Audit & Sensitivity:', { bold: true }));
-  children.push(createParagraph(`Cumulative Risk Volume: ${safeToFixed(cumulativeVolume, 2)}`));
-  children.push(createParagraph(`Raw Average ERC (Mean): ${safeToFixed(overallTotals.rawAverageERC, 2)}`));
-  children.push(createParagraph(`Max Principle Average (Sensitivity): ${safeToFixed(overallTotals.maxPrincipleAverage, 2)}`));
+  children.push(createParagraph(`${t('scoringAudit')}:`, { bold: true }));
+  children.push(createParagraph(`${t('cumulativeRiskVolume')}: ${safeToFixed(cumulativeVolume, 2)}`));
+  children.push(createParagraph(`${t('rawAverageErc')}: ${safeToFixed(overallTotals.rawAverageERC, 2)}${overallTotals.confidenceInterval ? ` (${t('interval95', { interval: formatInterval(overallTotals.confidenceInterval) })})` : ''}`));
+  children.push(createParagraph(`${t('maxPrincipleAverage')}: ${safeToFixed(overallTotals.maxPrincipleAverage, 2)}`));
 
   if (overallTotals.maxPrincipleAverage > (overallTotals.rawAverageERC + 0.1)) {
     children.push(createParagraph(`ℹ️ NOTE: Overall risk label promoted due to Max Principle Sensitivity override to prevent dilution.`, { italics: true, color: '1e40af' }));
   }
 
-  children.push(createParagraph(`Based on ${scoringDisclosure.quantitativeQuestions || 'N/A'} quantitative questions`));
-  children.push(createParagraph(`(Maximum possible cumulative volume: ${scoringDisclosure.quantitativeQuestions ? (scoringDisclosure.quantitativeQuestions * 4).toFixed(2) : 'N/A'})`, { italics: true }));
-  children.push(createParagraph('All ERC values are normalized on a 0–4 scale.', { italics: true }));
+  children.push(createParagraph(t('basedOnQuantitative', { count: scoringDisclosure.quantitativeQuestions || 'N/A' })));
+  children.push(createParagraph(`(${t('maxCumulativeVolume', { value: scoringDisclosure.quantitativeQuestions ? (scoringDisclosure.quantitativeQuestions * 4).toFixed(2) : 'N/A' })})`, { italics: true }));
+  children.push(createParagraph(t('allErcNormalized'), { italics: true }));
+
+  (overallTotals.uncertaintyWarnings || []).forEach(warning => {
+    children.push(createParagraph(`⚠️ ${t('uncertainRiskLevel')}: ${warning}`, { italics: true, color: 'b45309' }));
+  });
 
   children.push(createParagraph(''));
 
   // ============================================================
   // 5) ETHICS PRINCIPLES DASHBOARD
   // ============================================================
-  children.push(createHeading('Ethics Principles Dashboard', 1, 'dashboard'));
-  children.push(createInternalLink('Back to Top', 'cover'));
+  children.push(createHeading(t('principlesDashboard'), 1, 'dashboard'));
+  children.push(createInternalLink(t('backToTop'), 'cover'));
   children.push(createParagraph(''));
 
   const principleTableRows = [
     new TableRow({
       children: [
-        new TableCell({ children: [createParagraph('Principle', { bold: true })] }),
-        new TableCell({ children: [createParagraph('Avg Score\n( / 4 )', { bold: true })] }),
-        new TableCell({ children: [createParagraph('Risk %', { bold: true })] }),
-        new TableCell({ children: [createParagraph('Safe %', { bold: true })] }),
-        new TableCell({ children: [createParagraph('Safe/Not Safe', { bold: true })] }),
-        new TableCell({ children: [createParagraph('Notes', { bold: true })] })
+        new TableCell({ children: [createParagraph(t('principle'), { bold: true })] }),
+        new TableCell({ children: [createParagraph(t('avgScore'), { bold: true })] }),
+        new TableCell({ children: [createParagraph(t('riskPct'), { bold: true })] }),
+        new TableCell({ children: [createParagraph(t('safePct'), { bold: true })] }),
+        new TableCell({ children: [createParagraph(t('safeNotSafe'), { bold: true })] }),
+        new TableCell({ children: [createParagraph(t('notes'), { bold: true })] })
       ]
     })
   ];
@@ -343,8 +366,8 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
       principleTableRows.push(
         new TableRow({
           children: [
-            new TableCell({ children: [createParagraph(principle)] }),
-            new TableCell({ children: [createParagraph(safeToFixed(principleData.avg || principleData.avgScore || principleData.averageRisk, 2) + ' / 4')] }),
+            new TableCell({ children: [createParagraph(i18n.principle(principle))] }),
+            new TableCell({ children: [createParagraph(safeToFixed(principleData.avg || principleData.avgScore || principleData.averageRisk, 2) + ' / 4' + (principleData.confidenceInterval ? `\n(95%: ${formatInterval(principleData.confidenceInterval)})` : ''))] }),
             new TableCell({ children: [createParagraph(`${safeToFixed(principleData.riskPct, 1, '0.0')}%`)] }),
             new TableCell({ children: [createParagraph(`${safeToFixed(principleData.safePct, 1, '0.0')}%`)] }),
             new TableCell({ children: [createParagraph(`${principleData.safeCount || 0}/${principleData.notSafeCount || 0}`)] }),
@@ -398,27 +421,27 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
 
   // Add short version of top risky questions table in Dashboard
   if (reportMetrics.topRiskDrivers && reportMetrics.topRiskDrivers.questions.length > 0) {
-    children.push(createHeading('Top Risky Questions (Summary)', 2));
+    children.push(createHeading(t('topRiskyQuestions'), 2));
     children.push(createParagraph('See "Risks" section for detailed view with answer snippets.', { italics: true }));
 
     const shortRiskTableRows = [
       new TableRow({
         children: [
-          new TableCell({ children: [createParagraph('Question ID', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Principle', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Avg Risk', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Type', { bold: true })] })
+          new TableCell({ children: [createParagraph(t('questionId'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('principle'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('avgRisk'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('type'), { bold: true })] })
         ]
       })
     ];
 
     reportMetrics.topRiskDrivers.questions.slice(0, 5).forEach(q => {
-      const questionType = q.isCommonQuestion ? 'Common (Core)' : 'Role-Specific';
+      const questionType = q.isCommonQuestion ? t('commonCore') : t('roleSpecific');
       shortRiskTableRows.push(
         new TableRow({
           children: [
             new TableCell({ children: [createParagraph(q.questionCode || q.questionId)] }),
-            new TableCell({ children: [createParagraph(q.principle)] }),
+            new TableCell({ children: [createParagraph(i18n.principle(q.principle))] }),
             new TableCell({ children: [createParagraph(safeToFixed(q.avgRiskScore, 2))] }),
             new TableCell({ children: [createParagraph(questionType)] })
           ]
@@ -432,7 +455,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
         width: { size: 100, type: WidthType.PERCENTAGE }
       })
     );
-    children.push(createInternalLink('View Full Risks Table →', 'risks'));
+    children.push(createInternalLink(t('viewFullRisksTable'), 'risks'));
     children.push(createParagraph(''));
   }
 
@@ -440,7 +463,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // 5.1) PRINCIPLE-BY-PRINCIPLE TABLE (Dynamic Evaluator Columns)
   // ============================================================
   if (reportMetrics.scoring.byPrincipleTable && Object.keys(reportMetrics.scoring.byPrincipleTable).length > 0) {
-    children.push(createHeading('Principle-by-Principle Scores (Per Evaluator)', 2));
+    children.push(createHeading(t('principleByPrinciple'), 2));
     children.push(createParagraph('This table shows individual evaluator scores for each principle. Columns are dynamically generated based on actual evaluators who submitted responses.', { italics: true }));
     children.push(createParagraph(''));
 
@@ -461,12 +484,12 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
     const dynamicTableRows = [
       new TableRow({
         children: [
-          new TableCell({ children: [createParagraph('Principle', { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('principle'), { bold: true })] }),
           ...evaluatorList.map(e =>
             new TableCell({ children: [createParagraph(`${e.name}\n(${e.role})`, { bold: true })] })
           ),
-          new TableCell({ children: [createParagraph('Range\n(Min-Max)', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Average', { bold: true })] })
+          new TableCell({ children: [createParagraph(t('range'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('average'), { bold: true })] })
         ]
       })
     ];
@@ -474,7 +497,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
     // Build table rows for each principle
     Object.entries(reportMetrics.scoring.byPrincipleTable).forEach(([principle, principleData]) => {
       const rowCells = [
-        new TableCell({ children: [createParagraph(principle)] })
+        new TableCell({ children: [createParagraph(i18n.principle(principle))] })
       ];
 
       // Add evaluator scores (or N/A if they don't have a score for this principle)
@@ -523,27 +546,27 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // 5.2) QUALITATIVE ANALYSIS OF OPEN-TEXT RESPONSES (NEW SECTION)
   // ============================================================
   if (geminiNarrative && geminiNarrative.qualitativeAnalysis) {
-    children.push(createHeading('Qualitative Analysis of Open-Text Responses', 1));
+    children.push(createHeading(t('qualitativeAnalysis'), 1));
     children.push(createParagraph(''));
 
     // Methodology
-    children.push(createParagraph('Methodology:', { bold: true, color: '1e40af' }));
-    children.push(createParagraph(geminiNarrative.qualitativeAnalysis.methodology || 'Qualitative analysis methodology.'));
+    children.push(createParagraph(`${t('methodology')}:`, { bold: true, color: '1e40af' }));
+    children.push(createParagraph(geminiNarrative.qualitativeAnalysis.methodology || t('defaultMethodology')));
     children.push(createParagraph(geminiNarrative.qualitativeAnalysis.interpretation || '', { italics: true }));
     children.push(createParagraph(''));
 
     // Insights
     if (Array.isArray(geminiNarrative.qualitativeAnalysis.insights)) {
       geminiNarrative.qualitativeAnalysis.insights.forEach(item => {
-        children.push(createHeading(`${item.principle} – Qualitative Insights`, 2));
+        children.push(createHeading(t('qualitativeInsights', { principle: i18n.principle(item.principle) }), 2));
         children.push(createParagraph(item.insight));
         children.push(createParagraph(''));
       });
     }
 
     // Disclaimer
-    children.push(createParagraph('Disclaimer:', { bold: true, color: '92400e' }));
-    children.push(createParagraph(geminiNarrative.qualitativeAnalysis.disclaimer || 'Qualitative insights are for context only.', { italics: true }));
+    children.push(createParagraph(`${t('disclaimer')}:`, { bold: true, color: '92400e' }));
+    children.push(createParagraph(geminiNarrative.qualitativeAnalysis.disclaimer || t('defaultDisclaimer'), { italics: true }));
     children.push(createParagraph(''));
     children.push(createParagraph('---'));
     children.push(createParagraph(''));
@@ -552,21 +575,21 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // ============================================================
   // 6) TOP RISK DRIVERS (Question-level)
   // ============================================================
-  children.push(createHeading('Top Risk Drivers', 1, 'risks'));
-  children.push(createInternalLink('Back to Dashboard', 'dashboard'));
+  children.push(createHeading(t('topRiskDrivers'), 1, 'risks'));
+  children.push(createInternalLink(t('backToDashboard'), 'dashboard'));
   children.push(createParagraph(''));
 
   if (reportMetrics.topRiskDrivers.questions.length > 0) {
     const riskTableRows = [
       new TableRow({
         children: [
-          new TableCell({ children: [createParagraph('Question ID', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Question Text', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Principle', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Avg Risk Score', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Type', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Role(s) Who Answered', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Answer Snippet', { bold: true })] })
+          new TableCell({ children: [createParagraph(t('questionId'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('questionText'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('principle'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('avgRiskScore'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('type'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('rolesWhoAnswered'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('answerSnippet'), { bold: true })] })
         ]
       })
     ];
@@ -581,24 +604,24 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
           , '');
         // Check if it's the empty marker
         if (longestExcerpt === '[Answer is empty / not captured]') {
-          excerpt = 'Answer is empty / not captured';
+          excerpt = t('answerEmpty');
         } else {
           excerpt = longestExcerpt.trim().substring(0, 120) + (longestExcerpt.length > 120 ? '...' : '');
         }
       } else if (q.answerStatus === 'submitted_empty') {
-        excerpt = 'Answer is empty / not captured';
+        excerpt = t('answerEmpty');
       } else {
         // Skip questions without submitted text answers (should not appear in table)
         return;
       }
 
       // Use questionText if available, otherwise fallback to questionCode or questionId
-      const questionDisplay = q.questionText || q.questionCode || q.questionId;
+      const questionDisplay = i18n.text(q.questionText, q.questionCode || q.questionId) || q.questionCode || q.questionId;
 
       // Determine question type (first 12 = common/core)
       const questionType = q.isCommonQuestion !== undefined
-        ? (q.isCommonQuestion ? 'Common (Core)' : 'Role-Specific')
-        : (q.questionOrder && q.questionOrder <= 12 ? 'Common (Core)' : 'Role-Specific');
+        ? (q.isCommonQuestion ? t('commonCore') : t('roleSpecific'))
+        : (q.questionOrder && q.questionOrder <= 12 ? t('commonCore') : t('roleSpecific'));
 
       // Get roles who answered (prefer rolesWhoAnswered if available, fallback to rolesMostAtRisk)
       const rolesLabel = (q.rolesWhoAnswered && q.rolesWhoAnswered.length > 0)
@@ -612,7 +635,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
           children: [
             new TableCell({ children: [createParagraph(q.questionId || q.questionCode || 'N/A')] }), // Question ID
             new TableCell({ children: [createParagraph(questionDisplay)] }), // Question Text
-            new TableCell({ children: [createParagraph(q.principle)] }), // Principle
+            new TableCell({ children: [createParagraph(i18n.principle(q.principle))] }), // Principle
             new TableCell({ children: [createParagraph(safeToFixed(q.avgRiskScore, 2))] }), // Avg Risk Score
             new TableCell({ children: [createParagraph(questionType)] }), // Type (Common/Role-Specific)
             new TableCell({ children: [createParagraph(rolesLabel)] }), // Role(s) Who Answered
@@ -632,23 +655,23 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
 
     // Narrative from Gemini
     if (geminiNarrative && Array.isArray(geminiNarrative.topRiskDriversNarrative)) {
-      children.push(createParagraph('Analysis:', { bold: true }));
+      children.push(createParagraph(`${t('analysis')}:`, { bold: true }));
       geminiNarrative.topRiskDriversNarrative.slice(0, 3).forEach(narrative => {
         children.push(createParagraph(`• ${narrative.whyRisky}`));
-        children.push(createParagraph(`  Recommended: ${narrative.recommendedAction}`));
+        children.push(createParagraph(`  ${t('recommended')}: ${narrative.recommendedAction}`));
       });
       children.push(createParagraph(''));
     }
   } else {
-    children.push(createParagraph('No risk drivers identified.'));
+    children.push(createParagraph(t('noRiskDrivers')));
     children.push(createParagraph(''));
   }
 
   // ============================================================
   // 7) ETHICAL TENSIONS (Ethical AI Analysis style)
   // ============================================================
-  children.push(createHeading('Ethical Tensions', 1, 'tensions'));
-  children.push(createInternalLink('Back to Dashboard', 'dashboard'));
+  children.push(createHeading(t('ethicalTensions'), 1, 'tensions'));
+  children.push(createInternalLink(t('backToDashboard'), 'dashboard'));
   children.push(createParagraph(''));
 
   // Add tension visualizations
@@ -706,38 +729,38 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // 7.1) TENSIONS TABLE (Summary View)
   // ============================================================
   if (reportMetrics.tensions.list.length > 0) {
-    children.push(createHeading('Tensions Summary Table', 2));
+    children.push(createHeading(t('tensionsSummaryTable'), 2));
 
     const tensionsTableRows = [
       new TableRow({
         children: [
-          new TableCell({ children: [createParagraph('Conflict', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Severity', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Review State', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Votes (Agree/Disagree)', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Agree %', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Evidence Count', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Evidence Types', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Discussions', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Claim (One-line)', { bold: true })] })
+          new TableCell({ children: [createParagraph(t('conflict'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('severity'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('reviewState'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('votesAgreeDisagree'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('agreePct'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('evidenceCount'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('evidenceTypes'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('discussions'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('claimOneLine'), { bold: true })] })
         ]
       })
     ];
 
     reportMetrics.tensions.list.forEach(tension => {
-      const conflictLabel = `${tension.conflict.principle1} ↔ ${tension.conflict.principle2}`;
+      const conflictLabel = `${i18n.principle(tension.conflict.principle1)} ↔ ${i18n.principle(tension.conflict.principle2)}`;
       const votesLabel = `${tension.consensus.agreeCount}/${tension.consensus.disagreeCount}`;
       const evidenceTypesLabel = tension.evidence.types.length > 0
         ? tension.evidence.types.join(', ')
         : 'N/A';
-      const claimOneLine = (tension.claim || 'Not provided').substring(0, 80) +
+      const claimOneLine = (tension.claim || t('notProvided')).substring(0, 80) +
         ((tension.claim && tension.claim.length > 80) ? '...' : '');
 
       tensionsTableRows.push(
         new TableRow({
           children: [
             new TableCell({ children: [createParagraph(conflictLabel)] }),
-            new TableCell({ children: [createParagraph(tension.severityLevel || 'Unknown')] }),
+            new TableCell({ children: [createParagraph(tension.severityLevel || t('unknown'))] }),
             new TableCell({ children: [createParagraph(tension.consensus.reviewState)] }),
             new TableCell({ children: [createParagraph(votesLabel)] }),
             new TableCell({ children: [createParagraph(`${safeToFixed(tension.consensus.agreePct, 1, '0.0')}%`)] }),
@@ -765,80 +788,80 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // 7.2) TENSIONS DETAILED VIEW
   // ============================================================
   if (reportMetrics.tensions.list.length > 0) {
-    children.push(createHeading('Tensions Detailed View', 2));
+    children.push(createHeading(t('tensionsDetailedView'), 2));
 
     reportMetrics.tensions.list.forEach((tension, idx) => {
-      const header = `Conflict: ${tension.conflict.principle1} ↔ ${tension.conflict.principle2} | Severity: ${tension.severityLevel} | Review State: ${tension.consensus.reviewState}`;
-      children.push(createHeading(`Tension ${idx + 1}: ${header}`, 2));
+      const header = `${t('conflict')}: ${i18n.principle(tension.conflict.principle1)} ↔ ${i18n.principle(tension.conflict.principle2)} | ${t('severity')}: ${tension.severityLevel} | ${t('reviewState')}: ${tension.consensus.reviewState}`;
+      children.push(createHeading(`${t('tensionNumber', { number: idx + 1 })}: ${header}`, 2));
 
-      children.push(createParagraph('Claim:', { bold: true }));
-      children.push(createParagraph(tension.claim || 'Not provided'));
+      children.push(createParagraph(`${t('claim')}:`, { bold: true }));
+      children.push(createParagraph(tension.claim || t('notProvided')));
       children.push(createParagraph(''));
 
       if (tension.argument) {
-        children.push(createParagraph('Argument:', { bold: true }));
+        children.push(createParagraph(`${t('argument')}:`, { bold: true }));
         children.push(createParagraph(tension.argument));
         children.push(createParagraph(''));
       }
 
       if (tension.impactArea.length > 0 || tension.affectedGroups.length > 0 || tension.impactDescription) {
-        children.push(createParagraph('Impact:', { bold: true }));
+        children.push(createParagraph(`${t('impact')}:`, { bold: true }));
         if (tension.impactArea.length > 0) {
-          children.push(createParagraph(`Areas: ${tension.impactArea.join(', ')}`));
+          children.push(createParagraph(`${t('areas')}: ${tension.impactArea.join(', ')}`));
         }
         if (tension.affectedGroups.length > 0) {
-          children.push(createParagraph(`Affected Groups: ${tension.affectedGroups.join(', ')}`));
+          children.push(createParagraph(`${t('affectedGroups')}: ${tension.affectedGroups.join(', ')}`));
         }
         if (tension.impactDescription) {
-          children.push(createParagraph(`Description: ${tension.impactDescription}`));
+          children.push(createParagraph(`${t('description')}: ${tension.impactDescription}`));
         }
         children.push(createParagraph(''));
       }
 
       // Evidence section
-      children.push(createParagraph('Evidence:', { bold: true }));
-      children.push(createParagraph(`Evidence Count: ${tension.evidence.count}`));
+      children.push(createParagraph(`${t('evidence')}:`, { bold: true }));
+      children.push(createParagraph(`${t('evidenceCount')}: ${tension.evidence.count}`));
       if (tension.evidence.count > 0) {
-        children.push(createParagraph(`Evidence Types: ${tension.evidence.types.join(', ')}`));
+        children.push(createParagraph(`${t('evidenceTypes')}: ${tension.evidence.types.join(', ')}`));
         tension.evidence.items.forEach((item, i) => {
           children.push(createParagraph(`  ${i + 1}. [${item.evidenceType}] ${item.text.substring(0, 150)}${item.text.length > 150 ? '...' : ''}`));
           if (item.attachmentsCount > 0) {
-            children.push(createParagraph(`     Attachments: ${item.attachmentsCount}`));
+            children.push(createParagraph(`     ${t('attachments')}: ${item.attachmentsCount}`));
           }
         });
       } else {
-        children.push(createParagraph('No evidence attached', { italics: true }));
+        children.push(createParagraph(t('noEvidence'), { italics: true }));
       }
       children.push(createParagraph(''));
 
       // Mitigation
-      children.push(createParagraph('Mitigation/Resolution:', { bold: true }));
+      children.push(createParagraph(`${t('mitigationResolution')}:`, { bold: true }));
       if (tension.mitigation.proposedMitigations) {
-        children.push(createParagraph(`Proposed: ${tension.mitigation.proposedMitigations}`));
+        children.push(createParagraph(`${t('proposed')}: ${tension.mitigation.proposedMitigations}`));
       }
       if (tension.mitigation.tradeOffDecision) {
-        children.push(createParagraph(`Trade-off Decision: ${tension.mitigation.tradeOffDecision}`));
+        children.push(createParagraph(`${t('tradeOffDecision')}: ${tension.mitigation.tradeOffDecision}`));
       }
       if (tension.mitigation.tradeOffRationale) {
-        children.push(createParagraph(`Rationale: ${tension.mitigation.tradeOffRationale}`));
+        children.push(createParagraph(`${t('rationale')}: ${tension.mitigation.tradeOffRationale}`));
       }
       if (!tension.mitigation.proposedMitigations && !tension.mitigation.tradeOffDecision) {
-        children.push(createParagraph('No mitigation proposed', { italics: true }));
+        children.push(createParagraph(t('noMitigation'), { italics: true }));
       }
       children.push(createParagraph(''));
 
       // Consensus
-      children.push(createParagraph('Consensus:', { bold: true }));
-      children.push(createParagraph(`Votes: ${tension.consensus.agreeCount} agree, ${tension.consensus.disagreeCount} disagree`));
-      children.push(createParagraph(`Participation: ${tension.consensus.votesTotal}/${tension.consensus.assignedExpertsCount} (${safeToFixed(tension.consensus.participationPct, 1, '0.0')}%)`));
-      children.push(createParagraph(`Agree %: ${safeToFixed(tension.consensus.agreePct, 1, '0.0')}%`));
+      children.push(createParagraph(`${t('consensus')}:`, { bold: true }));
+      children.push(createParagraph(`${t('votes')}: ${t('votesLine', { agree: tension.consensus.agreeCount, disagree: tension.consensus.disagreeCount })}`));
+      children.push(createParagraph(`${t('participation')}: ${tension.consensus.votesTotal}/${tension.consensus.assignedExpertsCount} (${safeToFixed(tension.consensus.participationPct, 1, '0.0')}%)`));
+      children.push(createParagraph(`${t('agreePct')}: ${safeToFixed(tension.consensus.agreePct, 1, '0.0')}%`));
       children.push(createParagraph(''));
 
       // Next step from narrative
       if (geminiNarrative && Array.isArray(geminiNarrative.tensionsNarrative)) {
         const narrative = geminiNarrative.tensionsNarrative.find(n => n.tensionId === tension.tensionId);
         if (narrative && narrative.nextStep) {
-          children.push(createParagraph('Next Step:', { bold: true }));
+          children.push(createParagraph(`${t('nextStep')}:`, { bold: true }));
           children.push(createParagraph(narrative.nextStep));
           children.push(createParagraph(''));
         }
@@ -848,7 +871,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
       children.push(createParagraph(''));
     });
   } else {
-    children.push(createParagraph('No ethical tensions identified.'));
+    children.push(createParagraph(t('noTensionsIdentified')));
     children.push(createParagraph(''));
   }
 
@@ -865,7 +888,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // ============================================================
   // 9) LIMITATIONS & ASSUMPTIONS (DETERMINISTIC - from dataQuality)
   // ============================================================
-  children.push(createHeading('Limitations & Assumptions', 1));
+  children.push(createHeading(t('limitations'), 1));
 
   // Build deterministic limitations from dataQuality (NOT from Gemini)
   const dataQuality = reportMetrics.dataQuality || {};
@@ -927,7 +950,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // ============================================================
   // 10) APPENDIX
   // ============================================================
-  children.push(createHeading('Appendix', 1));
+  children.push(createHeading(t('appendix'), 1));
 
   children.push(createParagraph('Glossary:', { bold: true }));
   children.push(createParagraph('• Risk Score: 0-4 scale where 0 = lowest risk (no/negligible risk), 4 = highest risk (high risk requiring immediate mitigation)'));
@@ -953,19 +976,19 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // ============================================================
   // 10.1) EVALUATORS LIST (Moved from Section 3)
   // ============================================================
-  children.push(createHeading('Appendix: Evaluators', 2));
+  children.push(createHeading(t('appendixEvaluators'), 2));
   children.push(createParagraph('This list includes only evaluators who actively submitted responses.', { italics: true }));
   children.push(createParagraph(''));
 
   // Role breakdown table (submitted-only)
   if (reportMetrics.coverage && reportMetrics.coverage.roles && Object.keys(reportMetrics.coverage.roles).length > 0) {
-    children.push(createParagraph('Role Breakdown:', { bold: true }));
+    children.push(createParagraph(`${t('roleBreakdown')}:`, { bold: true }));
 
     const roleTableRows = [
       new TableRow({
         children: [
-          new TableCell({ children: [createParagraph('Role', { bold: true })] }),
-          new TableCell({ children: [createParagraph('Submitted', { bold: true })] })
+          new TableCell({ children: [createParagraph(t('role'), { bold: true })] }),
+          new TableCell({ children: [createParagraph(t('submitted'), { bold: true })] })
         ]
       })
     ];
@@ -994,7 +1017,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
 
   // Names list
   if (reportMetrics.evaluators && reportMetrics.evaluators.submitted.length > 0) {
-    children.push(createParagraph('Submitted Evaluators:', { bold: true }));
+    children.push(createParagraph(`${t('submittedEvaluators')}:`, { bold: true }));
     reportMetrics.evaluators.submitted.forEach(e => {
       children.push(createParagraph(`• ${e.name} (${e.role})`));
     });
@@ -1006,8 +1029,8 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // ============================================================
   // 11) IMPROVEMENT RECOMMENDATIONS (Moved to End)
   // ============================================================
-  children.push(createHeading('Improvement Recommendations', 1, 'recommendations'));
-  children.push(createInternalLink('Back to Dashboard', 'dashboard'));
+  children.push(createHeading(t('improvementRecommendations'), 1, 'recommendations'));
+  children.push(createInternalLink(t('backToDashboard'), 'dashboard'));
   children.push(createParagraph(''));
 
   // Handle new structured recommendations
@@ -1015,19 +1038,19 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
     const { shortTerm, mediumTerm, longTerm } = geminiNarrative.improvementRecommendations;
 
     if (shortTerm && shortTerm.length > 0) {
-      children.push(createHeading('Short-Term (0-3 Months)', 2));
+      children.push(createHeading(t('shortTerm'), 2));
       shortTerm.forEach(rec => children.push(createParagraph(`• ${rec}`, { spacing: { after: 120 } })));
       children.push(createParagraph(''));
     }
 
     if (mediumTerm && mediumTerm.length > 0) {
-      children.push(createHeading('Medium-Term (3-12 Months)', 2));
+      children.push(createHeading(t('mediumTerm'), 2));
       mediumTerm.forEach(rec => children.push(createParagraph(`• ${rec}`, { spacing: { after: 120 } })));
       children.push(createParagraph(''));
     }
 
     if (longTerm && longTerm.length > 0) {
-      children.push(createHeading('Long-Term (12+ Months)', 2));
+      children.push(createHeading(t('longTerm'), 2));
       longTerm.forEach(rec => children.push(createParagraph(`• ${rec}`, { spacing: { after: 120 } })));
       children.push(createParagraph(''));
     }
@@ -1039,15 +1062,37 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
       children.push(createParagraph(`• ${rec.title} (${rec.priority}) - ${rec.timeline}`));
     });
   } else {
-    children.push(createParagraph('No specific recommendations generated.'));
+    children.push(createParagraph(t('noRecommendations')));
   }
   children.push(createParagraph(''));
 
+  // Saved what-if scenarios flagged for the report (services/scenarioService)
+  const scenarios = reportMetrics.scenarios || [];
+  if (scenarios.length > 0) {
+    const formatERC = (value) => (value !== null && value !== undefined ? value.toFixed(2) : 'N/A');
+    children.push(createHeading(t('mitigationScenarios'), 2));
+    children.push(createParagraph(t('scenariosNote'), { italics: true }));
+    scenarios.forEach(scenario => {
+      const delta = scenario.delta.averageERC !== null ? ` (${scenario.delta.averageERC > 0 ? '+' : ''}${scenario.delta.averageERC.toFixed(2)})` : '';
+      const level = scenario.delta.riskLevelChanged ? `${i18n.riskLabel(scenario.baseline.riskLabel)} → ${i18n.riskLabel(scenario.simulated.riskLabel)}` : i18n.riskLabel(scenario.baseline.riskLabel);
+      children.push(createParagraph(scenario.name, { bold: true }));
+      if (scenario.description) children.push(createParagraph(scenario.description));
+      scenario.changes.forEach(c => {
+        children.push(createParagraph(`• ${t('severityChange', { question: c.questionCode || c.questionId, from: c.fromSeverity.toFixed(2), to: c.toSeverity.toFixed(2) })}`));
+      });
+      if (scenario.mitigatedTensions.length > 0) {
+        children.push(createParagraph(`• ${t('tensionMitigationsDone', { count: scenario.mitigatedTensions.length })}`));
+      }
+      children.push(createParagraph(`${t('averageErcShort')}: ${formatERC(scenario.baseline.averageERC)} → ${formatERC(scenario.simulated.averageERC)} / 4${delta}; ${level}`));
+    });
+    children.push(createParagraph(''));
+  }
+
   // ============================================================
   // 12) CONCLUSION (Moved to End)
   // ============================================================
   if (geminiNarrative && geminiNarrative.conclusion && geminiNarrative.conclusion.length > 0) {
-    children.push(createHeading('Conclusion', 1));
+    children.push(createHeading(t('conclusion'), 1));
     geminiNarrative.conclusion.forEach(para => {
       children.push(createParagraph(para));
     });
@@ -1059,7 +1104,7 @@ async function generateProfessionalDOCX(reportMetrics, geminiNarrative, generate
   // ============================================================
   const doc = new Document({
     creator: "Ethical AI Analysis Platform",
-    title: reportMetrics.project.title || "Ethical AI Evaluation Report",
+    title: reportMetrics.project.title || t('title'),
     sections: [
       {
         properties: {},
@@ -0,0 +1,231 @@
+/**
+ * Score Provenance Service
+ *
+ * Explains a principle or overall value of the report: which Score documents
+ * and which of their questionBreakdown entries produced it, and where each
+ * answer's importance and severity came from (importanceSource and source,
+ * set by ethicalScoringService). The tree is built from the same answers,
+ * role weights and scoring model as buildReportMetrics, so it adds up to the
+ * reported numbers.
+ *
+ * overall → principles → Score documents → answers → the expert's response
+ */
+
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Score = require('../models/score');
+const Response = require('../models/response');
+const Question = require('../models/question');
+const User = require('../models/User');
+const { CANONICAL_PRINCIPLES } = require('./ethicalScoringService');
+const { getScoringModel, isRegisteredScoringModel } = require('./scoringModels');
+const { getProjectThresholdSet } = require('./thresholdSetService');
+const { getProjectRoleWeights, applyRoleWeights } = require('./roleWeightService');
+
+const provenanceError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const idOf = (value) => (value ? String(value._id || value) : null);
+const answerKey = (userId, questionnaireKey, questionId) => `${userId}_${questionnaireKey}_${questionId}`;
+
+/**
+ * The expert's answer behind a questionBreakdown entry, option labels resolved
+ */
+function describeAnswer(answer, question) {
+  if (!answer) return null;
+  const { choiceKey, multiChoiceKeys, text, numeric } = answer.answer || {};
+  const labelOf = (key) => {
+    const option = (question?.options || []).find(o => o.key === key);
+    return option?.label?.en || option?.label?.tr || key;
+  };
+  return {
+    choiceKey: choiceKey || null,
+    choiceLabel: choiceKey ? labelOf(choiceKey) : null,
+    multiChoiceKeys: multiChoiceKeys || [],
+    multiChoiceLabels: (multiChoiceKeys || []).map(labelOf),
+    text: text || answer.answerText || null,
+    numeric: numeric ?? null,
+    notes: answer.notes || null
+  };
+}
+
+/**
+ * Provenance of the report's principle and overall values (pure)
+ * @param {Array} scores - Score documents; project aggregates and the combined score are skipped
+ * @param {Object} options
+ * @param {Object} options.thresholdSet - Risk levels (services/thresholdSetService)
+ * @param {Object} [options.roleWeights] - Role → weight (getProjectRoleWeights)
+ * @param {Array} [options.responses] - Response documents, for the expert answers
+ * @param {Array} [options.questions] - Question documents, for codes, texts and option labels
+ * @param {Array} [options.users] - Users ({ _id or userId, name }), for evaluator names
+ * @returns {{ scoringModel, overall, byPrinciple }}
+ */
+function buildProvenance(scores, { thresholdSet, roleWeights = null, responses = [], questions = [], users = [] }) {
+  const evaluatorScores = (scores || []).filter(s => s && s.role !== 'project' && s.userId && !s._isCombinedScore);
+  // Same model as the combined score (reportMetricsService.aggregateMultiQuestionnaireScores)
+  const modelVersion = evaluatorScores[0]?.scoringModelVersion;
+  const model = getScoringModel(isRegisteredScoringModel(modelVersion) ? modelVersion : undefined);
+
+  const questionMap = new Map(questions.map(q => [idOf(q), q]));
+  const userNames = new Map(users.map(u => [idOf(u.userId || u._id), u.name || null]));
+  const answerMap = new Map();
+  responses.forEach(response => (response.answers || []).forEach(answer => {
+    answerMap.set(answerKey(idOf(response.userId), response.questionnaireKey, idOf(answer.questionId)), answer);
+  }));
+
+  const entries = evaluatorScores.flatMap(score => (score.questionBreakdown || []).map(qb => ({ ...qb, role: score.role, score })));
+
+  const describeLevel = (value) => {
+    const { level, label, color } = thresholdSet.getRiskLevel(value);
+    return { riskLevel: level, riskLabel: label, riskColor: color };
+  };
+
+  const byPrinciple = {};
+  CANONICAL_PRINCIPLES.forEach(principle => {
+    const answers = entries.filter(e => e.principle === principle);
+    if (answers.length === 0) {
+      byPrinciple[principle] = null;
+      return;
+    }
+    const weighted = applyRoleWeights(answers, roleWeights)
+      .map(e => ({ ...e, finalRiskContribution: e.finalRiskContribution || 0 }));
+    const cumulativeRisk = model.principleRisk(weighted);
+    const averageRisk = cumulativeRisk / answers.length;
+
+    const byScore = new Map();
+    answers.forEach((entry, i) => {
+      const { score } = entry;
+      const scoreId = idOf(score._id) || `${idOf(score.userId)}_${score.questionnaireKey}`;
+      if (!byScore.has(scoreId)) {
+        byScore.set(scoreId, {
+          scoreId,
+          userId: idOf(score.userId),
+          evaluatorName: userNames.get(idOf(score.userId)) || null,
+          role: score.role,
+          questionnaireKey: score.questionnaireKey || null,
+          scoringModelVersion: score.scoringModelVersion || null,
+          contribution: 0,
+          entries: []
+        });
+      }
+      const node = byScore.get(scoreId);
+      const question = questionMap.get(idOf(entry.questionId));
+      const weightedContribution = weighted[i].finalRiskContribution;
+      node.contribution += weightedContribution;
+      node.entries.push({
+        questionId: idOf(entry.questionId),
+        questionCode: entry.code || question?.code || null,
+        questionText: question?.text?.en || null,
+        importance: entry.importance ?? null,
+        importanceSource: entry.importanceSource || null,
+        answerSeverity: entry.answerSeverity ?? null,
+        severitySource: entry.source || null,
+        finalRiskContribution: entry.finalRiskContribution || 0,
+        weightedContribution: round(weightedContribution),
+        answer: describeAnswer(
+          answerMap.get(answerKey(idOf(score.userId), score.questionnaireKey, idOf(entry.questionId))),
+          question
+        )
+      });
+    });
+
+    byPrinciple[principle] = {
+      principle,
+      cumulativeRisk: round(cumulativeRisk),
+      n: answers.length,
+      averageRisk: round(averageRisk),
+      ...describeLevel(averageRisk),
+      scores: [...byScore.values()].map(node => ({
+        ...node,
+        contribution: round(node.contribution),
+        entries: node.entries.sort((a, b) => b.weightedContribution - a.weightedContribution)
+      }))
+    };
+  });
+
+  // Overall: the higher of the mean over all answers and the highest principle
+  // mean, as in reportEnrichmentService.enrichReportMetrics
+  const principles = Object.values(byPrinciple).filter(Boolean);
+  let overall = null;
+  if (principles.length > 0) {
+    const cumulativeRisk = principles.reduce((sum, p) => sum + p.cumulativeRisk, 0);
+    const n = principles.reduce((sum, p) => sum + p.n, 0);
+    const rawAverageERC = cumulativeRisk / n;
+    const highest = principles.reduce((max, p) => (p.averageRisk > max.averageRisk ? p : max));
+    const averageERC = Math.max(rawAverageERC, highest.averageRisk);
+
+    overall = {
+      cumulativeRisk: round(cumulativeRisk),
+      n,
+      rawAverageERC: round(rawAverageERC),
+      maxPrincipleAverage: highest.averageRisk,
+      drivenBy: highest.averageRisk > rawAverageERC ? highest.principle : 'all_answers',
+      averageERC: round(averageERC),
+      ...describeLevel(averageERC),
+      principles: principles.map(({ principle, cumulativeRisk: risk, n: answers, averageRisk, riskLevel, riskLabel }) => (
+        { principle, cumulativeRisk: risk, n: answers, averageRisk, riskLevel, riskLabel }
+      )),
+      scores: evaluatorScores.map(score => ({
+        scoreId: idOf(score._id),
+        userId: idOf(score.userId),
+        evaluatorName: userNames.get(idOf(score.userId)) || null,
+        role: score.role,
+        questionnaireKey: score.questionnaireKey || null,
+        answers: (score.questionBreakdown || []).length
+      }))
+    };
+  }
+
+  return { scoringModel: model.id, overall, byPrinciple };
+}
+
+/**
+ * Provenance tree of a project's current scores, for the drill-down
+ * @param {string|ObjectId} projectId
+ * @param {string} [principle] - Only this principle's branch
+ * @throws 404 PROJECT_NOT_FOUND, 400 INVALID_PRINCIPLE
+ */
+async function getProjectProvenance(projectId, principle) {
+  if (principle && !CANONICAL_PRINCIPLES.includes(principle)) {
+    throw provenanceError(400, 'INVALID_PRINCIPLE', `Unknown principle: ${principle}`);
+  }
+  const project = await Project.findById(projectId).select('thresholdsVersion roleWeights').lean();
+  if (!project) {
+    throw provenanceError(404, 'PROJECT_NOT_FOUND', 'Project not found');
+  }
+
+  const scores = await Score.find({ projectId: project._id })
+    .select('userId role questionnaireKey scoringModelVersion questionBreakdown')
+    .lean();
+  const evaluatorScores = scores.filter(s => s && s.role !== 'project' && s.userId);
+
+  const questionIds = [...new Set(evaluatorScores.flatMap(s => (s.questionBreakdown || []).map(qb => idOf(qb.questionId))))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const [responses, questions, users, thresholdSet] = await Promise.all([
+    Response.find({ projectId: project._id }).select('userId questionnaireKey answers').lean(),
+    Question.find({ _id: { $in: questionIds } }).select('code text options').lean(),
+    User.find({ _id: { $in: [...new Set(evaluatorScores.map(s => idOf(s.userId)))] } }).select('_id name').lean(),
+    getProjectThresholdSet(project)
+  ]);
+
+  const provenance = buildProvenance(evaluatorScores, {
+    thresholdSet,
+    roleWeights: getProjectRoleWeights(project).weights,
+    responses,
+    questions,
+    users
+  });
+
+  if (!principle) return provenance;
+  return { scoringModel: provenance.scoringModel, principle: provenance.byPrinciple[principle] };
+}
+
+module.exports = {
+  buildProvenance,
+  getProjectProvenance
+};
@@ -0,0 +1,166 @@
+/**
+ * Question Catalogue Service
+ *
+ * Which questionnaires each role answers and how many questions they hold, so
+ * the frontend takes its question counts from the questions in the database
+ * instead of keeping its own question lists:
+ *
+ * - per role: general-v1 plus the role's questionnaire (utils/questionnaireHelper.js),
+ *   as given to experts when they are invited
+ * - per assignment: the questionnaires the expert was assigned on a project
+ *   (completed from the role, see resolveAssignedQuestionnaires), without the
+ *   questions hidden by their display conditions; calculateProjectProgress,
+ *   finish-evolution and /api/user-progress count the same questions
+ */
+
+const Question = require('../models/question');
+const Questionnaire = require('../models/questionnaire');
+const ProjectAssignment = require('../models/projectAssignment');
+const Response = require('../models/response');
+const User = require('../models/User');
+const { ROLES, EXPERT_ROLES } = require('../config/permissions.config');
+const { getQuestionnairesForRole } = require('../utils/questionnaireHelper');
+const { loadQuestionVisibility } = require('./questionVisibilityService');
+
+const catalogueError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+// general-v1 is answered in the set-up stage, role questionnaires in assess
+const stageOf = (questionnaireKey) => (questionnaireKey === 'general-v1' ? 'set-up' : 'assess');
+
+const sumOf = (entries, field) => entries.reduce((sum, entry) => sum + entry[field], 0);
+
+/**
+ * Questionnaires an assignment covers. Assignments made when a project is
+ * created or an expert is added list no questionnaires or only general-v1, so:
+ * - none listed: the role's (general-v1 and the role questionnaire)
+ * - only general-v1 listed: the role questionnaire too
+ * - general-v1 or the role questionnaire when the expert already answered it
+ * The role is the assignment's, else the user's.
+ * @param {Object} assignment - ProjectAssignment ({ projectId, userId, role, questionnaires })
+ * @param {Object} [options]
+ * @param {string} [options.userRole] - The user's role, when already loaded
+ * @returns {Promise<string[]>}
+ */
+async function resolveAssignedQuestionnaires(assignment, { userRole } = {}) {
+  const role = assignment.role
+    || userRole
+    || (assignment.userId ? (await User.findById(assignment.userId).select('role').lean())?.role : null);
+  const roleKeys = getQuestionnairesForRole(String(role || '').toLowerCase());
+  const listed = Array.isArray(assignment.questionnaires) ? assignment.questionnaires.slice() : [];
+
+  let keys = listed;
+  if (listed.length === 0) keys = roleKeys.slice();
+  else if (listed.length === 1 && listed[0] === 'general-v1') keys = [...new Set([...listed, ...roleKeys])];
+
+  const unlisted = roleKeys.filter(key => !keys.includes(key));
+  if (unlisted.length === 0 || !assignment.projectId || !assignment.userId) return keys;
+
+  const answered = await Response.distinct('questionnaireKey', {
+    projectId: assignment.projectId,
+    userId: assignment.userId,
+    questionnaireKey: { $in: unlisted },
+    answers: { $elemMatch: { answer: { $ne: null } } }
+  });
+  return [...keys, ...unlisted.filter(key => answered.includes(key))];
+}
+
+/**
+ * Questionnaires with their question counts, in the given order
+ * @param {string[]} questionnaireKeys
+ * @param {Array} [hidden] - Questions not asked (counted separately)
+ */
+async function describeQuestionnaires(questionnaireKeys, hidden = []) {
+  const [questionnaires, questions] = await Promise.all([
+    Questionnaire.find({ key: { $in: questionnaireKeys } }).select('key title version').lean(),
+    Question.find({ questionnaireKey: { $in: questionnaireKeys } }).select('questionnaireKey required').lean()
+  ]);
+  const hiddenIds = new Set(hidden.map(q => String(q._id)));
+
+  return questionnaireKeys.map(key => {
+    const questionnaire = questionnaires.find(q => q.key === key);
+    const own = questions.filter(q => q.questionnaireKey === key);
+    const asked = own.filter(q => !hiddenIds.has(String(q._id)));
+    return {
+      key,
+      title: questionnaire?.title || key,
+      version: questionnaire?.version || null,
+      stage: stageOf(key),
+      questionCount: asked.length,
+      requiredCount: asked.filter(q => q.required !== false).length,
+      hiddenCount: own.length - asked.length
+    };
+  });
+}
+
+/**
+ * Questionnaires answered by each expert role (or by the given role), and
+ * every questionnaire with its question counts
+ * @param {Object} [options]
+ * @param {string} [options.role] - Only this role; roles without a questionnaire of their own get general-v1
+ * @returns {Promise<Object>} { questionnaires, roles: [{ role, questionnaires, questionCount, requiredCount }] }
+ * @throws 400 INVALID_ROLE
+ */
+async function getQuestionCatalogue({ role } = {}) {
+  if (role && !ROLES.includes(role)) {
+    throw catalogueError(400, 'INVALID_ROLE', `Role must be one of: ${ROLES.join(', ')}`);
+  }
+  const roles = role ? [role] : EXPERT_ROLES;
+  const roleKeys = [...new Set(roles.flatMap(getQuestionnairesForRole))];
+  // Questionnaires no role answers by default (e.g. imported ones) can still be assigned
+  const otherKeys = role
+    ? []
+    : (await Questionnaire.find({ key: { $nin: roleKeys } }).select('key').sort({ key: 1 }).lean()).map(q => q.key);
+  const questionnaires = await describeQuestionnaires([...roleKeys, ...otherKeys]);
+
+  return {
+    questionnaires,
+    roles: roles.map(name => {
+      const own = getQuestionnairesForRole(name).map(key => questionnaires.find(q => q.key === key));
+      return {
+        role: name,
+        questionnaires: own,
+        questionCount: sumOf(own, 'questionCount'),
+        requiredCount: sumOf(own, 'requiredCount')
+      };
+    })
+  };
+}
+
+/**
+ * Questionnaires an expert answers on a project
+ * @param {ObjectId} projectId
+ * @param {ObjectId} userId
+ * @returns {Promise<Object>} { projectId, userId, role, questionnaires, questionCount, requiredCount, hiddenCount }
+ * @throws 404 ASSIGNMENT_NOT_FOUND
+ */
+async function getAssignmentCatalogue(projectId, userId) {
+  const assignment = await ProjectAssignment.findOne({ projectId, userId }).select('projectId userId role questionnaires').lean();
+  if (!assignment) {
+    throw catalogueError(404, 'ASSIGNMENT_NOT_FOUND', 'No assignment found for this user on this project');
+  }
+
+  const keys = await resolveAssignedQuestionnaires(assignment);
+  const visibility = await loadQuestionVisibility(projectId, userId);
+  const questionnaires = await describeQuestionnaires(keys, visibility.hiddenQuestions(keys));
+
+  return {
+    projectId,
+    userId,
+    role: assignment.role || null,
+    questionnaires,
+    questionCount: sumOf(questionnaires, 'questionCount'),
+    requiredCount: sumOf(questionnaires, 'requiredCount'),
+    hiddenCount: sumOf(questionnaires, 'hiddenCount')
+  };
+}
+
+module.exports = {
+  resolveAssignedQuestionnaires,
+  getQuestionCatalogue,
+  getAssignmentCatalogue
+};
@@ -0,0 +1,140 @@
+/**
+ * Question Visibility Service
+ *
+ * Which questions an expert is asked on a project, given the display
+ * conditions of the questions (utils/questionConditions.js), the expert's
+ * own answers and the use-case owner's answers. Hidden questions are not
+ * required, do not count towards progress and are left out of scoring.
+ */
+
+const mongoose = require('mongoose');
+const Question = require('../models/question');
+const Response = require('../models/response');
+const Project = require('../models/Project');
+const UseCase = require('../models/UseCase');
+const UseCaseQuestion = require('../models/UseCaseQuestion');
+const {
+  hasShowIf,
+  responseAnswerValues,
+  indexUseCaseAnswers,
+  createVisibility
+} = require('../utils/questionConditions');
+
+const ALWAYS_VISIBLE = Object.freeze({
+  hasConditions: false,
+  isVisible: () => true,
+  hiddenQuestions: () => [],
+  excludeHidden: () => 0
+});
+
+async function loadUseCaseAnswers(projectId) {
+  const project = await Project.findById(projectId).select('useCase').lean();
+  if (!project?.useCase || !mongoose.Types.ObjectId.isValid(project.useCase)) return new Map();
+
+  const [useCase, useCaseQuestions] = await Promise.all([
+    UseCase.findById(project.useCase).select('answers').lean(),
+    UseCaseQuestion.find({}).select('id key').lean()
+  ]);
+  return indexUseCaseAnswers(useCase?.answers, useCaseQuestions);
+}
+
+// Questionnaires whose answers the conditions refer to
+function referencedQuestionnaires(conditional) {
+  const keys = new Set();
+  conditional.forEach(q => q.showIf.conditions.forEach(condition => {
+    if (condition.source !== 'useCase') keys.add(condition.questionnaireKey || q.questionnaireKey);
+  }));
+  return [...keys];
+}
+
+function buildVisibility(live, answers, useCaseAnswers) {
+  const isVisible = createVisibility({
+    questions: live,
+    answerValues: (questionnaireKey, code) => answers.get(`${questionnaireKey}:${code}`) || [],
+    useCaseAnswers
+  });
+  const hiddenQuestions = (questionnaireKeys) => live.filter(q => questionnaireKeys.includes(q.questionnaireKey) && !isVisible(q));
+
+  return {
+    hasConditions: true,
+    isVisible,
+    hiddenQuestions,
+    /**
+     * Take hidden questions out of a progress count
+     * @param {string[]} questionnaireKeys
+     * @param {Set<string>} answeredKeys - Question ids or `${questionnaireKey}:${code}`; hidden ones are removed
+     * @returns {number} Number of hidden questions, to take off the total
+     */
+    excludeHidden(questionnaireKeys, answeredKeys) {
+      const hidden = hiddenQuestions(questionnaireKeys);
+      hidden.forEach(q => {
+        answeredKeys.delete(String(q._id));
+        answeredKeys.delete(`${q.questionnaireKey}:${q.code}`);
+      });
+      return hidden.length;
+    }
+  };
+}
+
+/**
+ * Visibility of questions for several experts on one project
+ *
+ * Loads the conditions, the use case and the referenced answers of every
+ * expert once, and nothing when no question has display conditions.
+ * @param {ObjectId} projectId
+ * @param {ObjectId[]} userIds
+ * @param {Object} [options]
+ * @param {Array} [options.questions] - Question definitions to be checked besides the
+ *   live ones (e.g. the questions of the version a response was answered on)
+ * @returns {Promise<Map<string, Object>>} visibility (see loadQuestionVisibility) by user id
+ */
+async function loadQuestionVisibilities(projectId, userIds, { questions = [] } = {}) {
+  const live = (await Question.find({ 'showIf.conditions.0': { $exists: true } })
+    .select('questionnaireKey code showIf')
+    .lean()).filter(hasShowIf);
+  const conditional = [...live, ...questions.filter(hasShowIf)];
+  if (conditional.length === 0) return new Map(userIds.map(userId => [String(userId), ALWAYS_VISIBLE]));
+
+  const questionnaireKeys = referencedQuestionnaires(conditional);
+  const needsUseCase = conditional.some(q => q.showIf.conditions.some(c => c.source === 'useCase'));
+  const [responses, useCaseAnswers] = await Promise.all([
+    questionnaireKeys.length > 0
+      ? Response.find({ projectId, userId: { $in: userIds }, questionnaireKey: { $in: questionnaireKeys } })
+        .select('userId questionnaireKey answers.questionCode answers.answer')
+        .lean()
+      : [],
+    needsUseCase ? loadUseCaseAnswers(projectId) : new Map()
+  ]);
+
+  const answersByUser = new Map(userIds.map(userId => [String(userId), new Map()]));
+  responses.forEach(response => {
+    const answers = answersByUser.get(String(response.userId));
+    if (!answers) return;
+    (response.answers || []).forEach(answer => {
+      if (!answer.questionCode) return;
+      const values = responseAnswerValues(answer.answer);
+      if (values.length > 0) answers.set(`${response.questionnaireKey}:${answer.questionCode}`, values);
+    });
+  });
+
+  return new Map([...answersByUser].map(([userId, answers]) => [userId, buildVisibility(live, answers, useCaseAnswers)]));
+}
+
+/**
+ * Visibility of questions for one expert on one project
+ *
+ * Only loads answers when some question has display conditions.
+ * @param {ObjectId} projectId
+ * @param {ObjectId} userId
+ * @param {Object} [options] - See loadQuestionVisibilities
+ * @returns {Promise<Object>} { hasConditions, isVisible(question),
+ *   hiddenQuestions(questionnaireKeys), excludeHidden(questionnaireKeys, answeredKeys) }
+ */
+async function loadQuestionVisibility(projectId, userId, options) {
+  return (await loadQuestionVisibilities(projectId, [userId], options)).get(String(userId));
+}
+
+module.exports = {
+  loadQuestionVisibility,
+  loadQuestionVisibilities
+};
@@ -0,0 +1,341 @@
+/**
+ * Questionnaire Bundle Service
+ *
+ * A bundle is a portable JSON or YAML file holding a questionnaire's metadata
+ * and all of its questions, so questionnaires can be kept as versioned files
+ * (backend/questionnaires/) instead of one-off seed scripts:
+ *
+ *   format: questionnaire-bundle
+ *   formatVersion: 1
+ *   questionnaire: { key, title, language, description }
+ *   questions: [{ code, principleKey, principleLabel, text, answerType,
+ *                 options: [{ key, label, answerScore }], riskScore, tags,
+ *                 appliesToRoles, order, showIf, ... }]
+ *
+ * Importing a bundle replaces the questionnaire's draft with the bundle's
+ * questions (see questionnaireVersionService). Questions are matched to the
+ * existing ones by code, so they keep their _id and the responses given on
+ * them stay attached. A dry run only validates the bundle and reports the
+ * difference with the published version.
+ */
+
+const yaml = require('js-yaml');
+const mongoose = require('mongoose');
+const Questionnaire = require('../models/questionnaire');
+const Question = require('../models/question');
+const QuestionnaireVersion = require('../models/QuestionnaireVersion');
+const { ROLES } = require('../config/permissions.config');
+const { LOCALE_CODES } = require('../config/locales.config');
+const {
+  VERSIONED_FIELDS,
+  freezeQuestion,
+  buildQuestion,
+  replaceDraftQuestions,
+  publishDraft,
+  requestLiveQuestionRecompute,
+  getVersion,
+  diffQuestionSets
+} = require('./questionnaireVersionService');
+
+const BUNDLE_FORMAT = 'questionnaire-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+const BUNDLE_FILE_FORMATS = ['json', 'yaml'];
+
+// The questionnaire is implied by the bundle
+const BUNDLE_QUESTION_FIELDS = VERSIONED_FIELDS.filter(field => field !== 'questionnaireKey');
+const METADATA_FIELDS = ['title', 'language', 'description'];
+const KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+const APPLIES_TO_ROLES = ['any', ...ROLES];
+
+const bundleError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Localized texts of a question entry, by bundle path
+const localizedTextsOf = (entry) => [
+  ['principleLabel', entry.principleLabel],
+  ['text', entry.text],
+  ['description', entry.description],
+  ...(Array.isArray(entry.options) ? entry.options : []).map((option, i) => [`options[${i}].label`, option?.label])
+].filter(([, text]) => isPlainObject(text));
+
+function assertFileFormat(format) {
+  if (!BUNDLE_FILE_FORMATS.includes(format)) {
+    throw bundleError(400, 'INVALID_FORMAT', `Bundle format must be one of: ${BUNDLE_FILE_FORMATS.join(', ')}`);
+  }
+}
+
+// Question definition as it appears in a bundle: no ids, no empty fields
+function toBundleQuestion(question) {
+  const entry = {};
+  BUNDLE_QUESTION_FIELDS.forEach(field => {
+    const value = question[field];
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value) && value.length === 0) return;
+    if (isPlainObject(value) && Object.keys(value).length === 0) return;
+    entry[field] = field === 'options' ? value.map(({ _id, ...option }) => option) : value;
+  });
+  return entry;
+}
+
+/**
+ * A questionnaire as a bundle: its published questions, or those of a given version
+ * @param {string} questionnaireKey
+ * @param {Object} [options] - { version }
+ * @throws 404 QUESTIONNAIRE_NOT_FOUND, 400 INVALID_VERSION, 404 VERSION_NOT_FOUND
+ */
+async function exportBundle(questionnaireKey, { version } = {}) {
+  const questionnaire = await Questionnaire.findOne({ key: questionnaireKey }).lean();
+
+  let questions;
+  let sourceVersion;
+  if (version !== undefined && version !== null && version !== '') {
+    const doc = await getVersion(questionnaireKey, version);
+    questions = [...doc.questions].sort((a, b) => (a.order || 0) - (b.order || 0));
+    sourceVersion = doc.version;
+  } else {
+    questions = await Question.find({ questionnaireKey }).sort({ order: 1 }).lean();
+    sourceVersion = questionnaire?.version || 1;
+  }
+  if (!questionnaire && questions.length === 0) {
+    throw bundleError(404, 'QUESTIONNAIRE_NOT_FOUND', `Questionnaire ${questionnaireKey} not found`);
+  }
+
+  const metadata = { key: questionnaireKey };
+  METADATA_FIELDS.forEach(field => {
+    if (questionnaire?.[field]) metadata[field] = questionnaire[field];
+  });
+
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    // Informative only; an import always creates the next version
+    sourceVersion,
+    questionnaire: metadata,
+    questions: questions.map(toBundleQuestion)
+  };
+}
+
+/**
+ * Bundle as file content
+ * @param {Object} bundle
+ * @param {string} [format] - 'json' or 'yaml'
+ */
+function serializeBundle(bundle, format = 'yaml') {
+  assertFileFormat(format);
+  if (format === 'json') return `${JSON.stringify(bundle, null, 2)}\n`;
+  return yaml.dump(bundle, { noRefs: true, lineWidth: 120 });
+}
+
+/**
+ * Bundle from file content. YAML is read with the core schema (no dates or
+ * custom types) and also accepts JSON, so the format is only a hint.
+ * @param {string} content
+ * @param {string} [format] - 'json' or 'yaml'
+ * @throws 400 INVALID_FORMAT, 400 INVALID_BUNDLE
+ */
+function parseBundle(content, format) {
+  if (format !== undefined) assertFileFormat(format);
+  try {
+    return format === 'json' ? JSON.parse(content) : yaml.load(content, { schema: yaml.CORE_SCHEMA });
+  } catch (error) {
+    throw bundleError(400, 'INVALID_BUNDLE', `Bundle could not be parsed: ${error.message}`);
+  }
+}
+
+/**
+ * Check a parsed bundle and build its questions
+ *
+ * Every problem is collected rather than stopping at the first one, so a
+ * dry run can list all of them.
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} [options]
+ * @param {Function} [options.idForCode] - code => existing question _id (or undefined)
+ * @returns {Promise<Object>} { questionnaire, questions, errors: [{ path, message }] }
+ */
+async function validateBundle(bundle, { idForCode = () => undefined } = {}) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  if (!isPlainObject(bundle)) {
+    fail('', 'must be an object');
+    return { questionnaire: null, questions: [], errors };
+  }
+  if (bundle.format !== BUNDLE_FORMAT) fail('format', `must be "${BUNDLE_FORMAT}"`);
+  if (bundle.formatVersion !== BUNDLE_FORMAT_VERSION) fail('formatVersion', `must be ${BUNDLE_FORMAT_VERSION}`);
+
+  const metadata = isPlainObject(bundle.questionnaire) ? bundle.questionnaire : {};
+  if (!isPlainObject(bundle.questionnaire)) fail('questionnaire', 'must be an object');
+  if (typeof metadata.key !== 'string' || !KEY_PATTERN.test(metadata.key)) {
+    fail('questionnaire.key', 'must be letters, digits, ".", "_" or "-"');
+  }
+  if (typeof metadata.title !== 'string' || !metadata.title.trim()) fail('questionnaire.title', 'is required');
+  ['language', 'description'].forEach(field => {
+    if (metadata[field] !== undefined && typeof metadata[field] !== 'string') fail(`questionnaire.${field}`, 'must be a string');
+  });
+  const questionnaire = { key: metadata.key };
+  METADATA_FIELDS.forEach(field => {
+    if (metadata[field] !== undefined) questionnaire[field] = metadata[field];
+  });
+
+  if (!Array.isArray(bundle.questions) || bundle.questions.length === 0) {
+    fail('questions', 'must be a non-empty list');
+    return { questionnaire, questions: [], errors };
+  }
+
+  const questions = [];
+  const codes = new Set();
+  for (const [index, entry] of bundle.questions.entries()) {
+    const path = `questions[${index}]`;
+    if (!isPlainObject(entry)) {
+      fail(path, 'must be an object');
+      continue;
+    }
+    const label = entry.code ? `${path} (${entry.code})` : path;
+
+    if (entry.questionnaireKey !== undefined && entry.questionnaireKey !== metadata.key) {
+      fail(label, `belongs to questionnaire ${entry.questionnaireKey}, not ${metadata.key}`);
+    }
+    if (entry.code !== undefined && codes.has(entry.code)) {
+      fail(label, `code ${entry.code} is used by another question`);
+    }
+    codes.add(entry.code);
+    const roles = Array.isArray(entry.appliesToRoles) ? entry.appliesToRoles : [];
+    roles.filter(role => !APPLIES_TO_ROLES.includes(role)).forEach(role => {
+      fail(`${label}.appliesToRoles`, `unknown role ${role}`);
+    });
+    // Texts in other locales would be dropped on import
+    localizedTextsOf(entry).forEach(([field, text]) => {
+      Object.keys(text).filter(locale => !LOCALE_CODES.includes(locale)).forEach(locale => {
+        fail(`${label}.${field}`, `unknown locale ${locale}`);
+      });
+    });
+
+    try {
+      questions.push(await buildQuestion({
+        ...entry,
+        questionnaireKey: metadata.key,
+        order: entry.order ?? index + 1,
+        _id: idForCode(entry.code)
+      }));
+    } catch (error) {
+      fail(label, error.message);
+    }
+  }
+
+  // Display conditions within the questionnaire must refer to one of its questions
+  bundle.questions.forEach((entry, index) => {
+    const conditions = Array.isArray(entry?.showIf?.conditions) ? entry.showIf.conditions : [];
+    conditions
+      .filter(c => c?.source !== 'useCase' && (!c?.questionnaireKey || c.questionnaireKey === metadata.key) && !codes.has(c?.code))
+      .forEach(c => fail(`questions[${index}] (${entry.code}).showIf`, `refers to unknown question ${c?.code}`));
+  });
+
+  return { questionnaire, questions, errors };
+}
+
+/**
+ * Import a bundle as the questionnaire's draft
+ *
+ * The questionnaire is created when it does not exist yet; otherwise its
+ * title, language and description are updated. Questions missing from the
+ * bundle are removed from the draft (and from the live questions once it is
+ * published). All writes happen in one transaction.
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only validate and diff
+ * @param {boolean} [options.publish] - Publish the draft right away
+ * @param {string} [options.notes] - Version notes when publishing
+ * @param {ObjectId} [options.userId]
+ * @returns {Promise<Object>} { dryRun, valid, errors, questionnaire, diff, version?, status? }
+ * @throws 400 INVALID_BUNDLE (with `fields`) when applying an invalid bundle
+ */
+async function importBundle(bundle, { dryRun = false, publish = false, notes, userId } = {}) {
+  const questionnaireKey = typeof bundle?.questionnaire?.key === 'string' ? bundle.questionnaire.key : null;
+
+  const [existing, live, draft] = questionnaireKey
+    ? await Promise.all([
+      Questionnaire.findOne({ key: questionnaireKey }).lean(),
+      Question.find({ questionnaireKey }).sort({ order: 1 }).lean(),
+      QuestionnaireVersion.findOne({ questionnaireKey, status: 'draft' }).select('version questions').lean()
+    ])
+    : [null, [], null];
+
+  // Live questions first: their _id is what responses point to
+  const ids = new Map();
+  [...live, ...(draft?.questions || [])].forEach(q => {
+    if (!ids.has(q.code)) ids.set(q.code, q._id);
+  });
+
+  const { questionnaire, questions, errors } = await validateBundle(bundle, { idForCode: (code) => ids.get(code) });
+  const exists = Boolean(existing) || live.length > 0;
+  const metadataChanges = METADATA_FIELDS
+    .filter(field => questionnaire && questionnaire[field] !== undefined && questionnaire[field] !== existing?.[field])
+    .map(field => ({ field, from: existing?.[field] ?? null, to: questionnaire[field] }));
+
+  const report = {
+    dryRun,
+    valid: errors.length === 0,
+    errors,
+    questionnaire: {
+      key: questionnaireKey,
+      exists,
+      currentVersion: exists ? existing?.version || 1 : null,
+      draftVersion: draft?.version ?? null,
+      changes: metadataChanges
+    },
+    // Defaults applied to both sides, so older documents do not show them as changes
+    diff: errors.length === 0 ? diffQuestionSets(live.map(q => freezeQuestion(new Question(q))), questions) : null
+  };
+  if (dryRun) return report;
+
+  if (errors.length > 0) {
+    const err = bundleError(400, 'INVALID_BUNDLE', `Invalid bundle: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    err.fields = errors;
+    throw err;
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      if (!existing) {
+        await Questionnaire.create([{ ...questionnaire, version: 1, isActive: true }], { session });
+      } else if (metadataChanges.length > 0) {
+        await Questionnaire.updateOne(
+          { key: questionnaireKey },
+          { $set: Object.fromEntries(metadataChanges.map(change => [change.field, change.to])) },
+          { session }
+        );
+      }
+
+      const imported = await replaceDraftQuestions(questionnaireKey, questions, { userId, session });
+      if (publish) {
+        const published = await publishDraft(questionnaireKey, { publishedBy: userId, notes, session });
+        result = { ...report, version: published.version, status: 'published' };
+      } else {
+        result = { ...report, version: imported.version, status: 'draft' };
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+  if (publish) await requestLiveQuestionRecompute(questionnaireKey);
+  return result;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_FORMAT_VERSION,
+  BUNDLE_FILE_FORMATS,
+  exportBundle,
+  serializeBundle,
+  parseBundle,
+  validateBundle,
+  importBundle
+};
@@ -0,0 +1,503 @@
+/**
+ * Questionnaire Version Service
+ *
+ * Questionnaires move through draft → published → retired versions
+ * (models/QuestionnaireVersion.js). The live Question documents are always the
+ * published version: evaluators answer them and responses record its number
+ * (Response.questionnaireVersion); answers saved after a later version was
+ * published record the one they were given on (answers.questionnaireVersion).
+ * Admin edits (POST/PUT/DELETE /api/evaluations/questions) change the
+ * questionnaire's draft, created from the published version on the first
+ * edit; a bundle import
+ * (services/questionnaireBundleService.js) replaces its questions at once.
+ * Publishing freezes the draft's questions, options and optionScores, makes
+ * them the live questions and retires the previous version.
+ * Responses answered on a version that was never frozen are scored against
+ * the live questions, so publishing queues their projects' rescore
+ * (requestLiveQuestionRecompute).
+ *
+ * Questionnaires edited before versioning existed have no stored version; the
+ * first edit freezes their live questions as the version responses were saved
+ * with. Scores and responses are resolved against the version each answer was
+ * given on (loadAnsweredQuestions), falling back to the live questions for
+ * versions that were never frozen.
+ */
+
+const mongoose = require('mongoose');
+const QuestionnaireVersion = require('../models/QuestionnaireVersion');
+const Questionnaire = require('../models/questionnaire');
+const Question = require('../models/question');
+const Response = require('../models/response');
+const { requestScoreRecompute } = require('./scoreRecomputeQueue');
+
+// Question fields a version freezes (everything but bookkeeping)
+const VERSIONED_FIELDS = [
+  'questionnaireKey', 'code', 'principleKey', 'principleLabel', 'principle', 'appliesToRoles',
+  'text', 'answerType', 'options', 'optionScores', 'optionRiskMap', 'optionSeverityMap',
+  'riskScore', 'scoring', 'required', 'order', 'tags', 'showIf', 'description'
+];
+
+const versionError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+const isSameId = (a, b) => String(a) === String(b);
+
+/**
+ * Frozen copy of a question definition (keeps the Question's _id)
+ * @param {Object} question - Question document or plain object
+ */
+function freezeQuestion(question) {
+  const source = typeof question.toObject === 'function' ? question.toObject() : question;
+  const frozen = { _id: source._id };
+  VERSIONED_FIELDS.forEach(field => {
+    if (source[field] !== undefined) frozen[field] = source[field];
+  });
+  return frozen;
+}
+
+/**
+ * Validate a question against models/question.js and freeze it
+ * @throws 400 INVALID_QUESTION
+ */
+async function buildQuestion(data) {
+  const doc = new Question(freezeQuestion(data));
+  try {
+    await doc.validate();
+  } catch (error) {
+    throw versionError(400, 'INVALID_QUESTION', error.message);
+  }
+  return freezeQuestion(doc);
+}
+
+function assertUniqueCode(questions, question) {
+  if (questions.some(q => q.code === question.code && !isSameId(q._id, question._id))) {
+    throw versionError(400, 'QUESTION_CODE_EXISTS', 'A question with this code already exists in the selected questionnaire.');
+  }
+}
+
+/**
+ * The questionnaire's published version; freezes the live questions as that
+ * version when the questionnaire predates versioning
+ * @param {Object} [options] - { session }
+ * @throws 404 QUESTIONNAIRE_NOT_FOUND
+ */
+async function ensurePublishedVersion(questionnaireKey, { session } = {}) {
+  const published = await QuestionnaireVersion.findOne({ questionnaireKey, status: 'published' }, null, { session }).lean();
+  if (published) return published;
+
+  const [questionnaire, questions] = await Promise.all([
+    Questionnaire.findOne({ key: questionnaireKey }, null, { session }).select('version').lean(),
+    Question.find({ questionnaireKey }, null, { session }).sort({ order: 1 }).lean()
+  ]);
+  if (!questionnaire && questions.length === 0) {
+    throw versionError(404, 'QUESTIONNAIRE_NOT_FOUND', `Questionnaire ${questionnaireKey} not found`);
+  }
+
+  const [baseline] = await QuestionnaireVersion.create([{
+    questionnaireKey,
+    version: questionnaire?.version || 1,
+    status: 'published',
+    questions: questions.map(freezeQuestion),
+    notes: 'Questions in use before versioning',
+    publishedAt: new Date()
+  }], { session });
+  return baseline.toObject();
+}
+
+/**
+ * The questionnaire's draft, created from the published version if there is none
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Document>} QuestionnaireVersion document
+ */
+async function ensureDraft(questionnaireKey, createdBy, { session } = {}) {
+  const draft = await QuestionnaireVersion.findOne({ questionnaireKey, status: 'draft' }, null, { session });
+  if (draft) return draft;
+
+  const published = await ensurePublishedVersion(questionnaireKey, { session });
+  const latest = await QuestionnaireVersion.findOne({ questionnaireKey }, null, { session }).sort({ version: -1 }).select('version').lean();
+  try {
+    const [created] = await QuestionnaireVersion.create([{
+      questionnaireKey,
+      version: Math.max(latest?.version || 0, published.version) + 1,
+      status: 'draft',
+      questions: published.questions,
+      createdBy
+    }], { session });
+    return created;
+  } catch (error) {
+    // Another admin opened the draft at the same time (inside a transaction the
+    // whole transaction is retried instead)
+    if (error.code === 11000 && !session) return QuestionnaireVersion.findOne({ questionnaireKey, status: 'draft' });
+    throw error;
+  }
+}
+
+async function saveDraftQuestions(draft, questions) {
+  draft.questions = questions;
+  draft.markModified('questions');
+  await draft.save();
+}
+
+// Questionnaire an edited question belongs to: its draft, else the live question
+async function questionnaireKeyOf(questionId) {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) {
+    throw versionError(404, 'QUESTION_NOT_FOUND', 'Question not found');
+  }
+  const id = new mongoose.Types.ObjectId(String(questionId));
+  const draft = await QuestionnaireVersion.findOne({ status: 'draft', 'questions._id': id }).select('questionnaireKey').lean();
+  if (draft) return draft.questionnaireKey;
+
+  const question = await Question.findById(id).select('questionnaireKey').lean();
+  if (!question) {
+    throw versionError(404, 'QUESTION_NOT_FOUND', 'Question not found');
+  }
+  return question.questionnaireKey;
+}
+
+/**
+ * Add a question to the questionnaire's draft
+ * @param {Object} data - Question fields (models/question.js); order defaults to last
+ * @param {Object} [options] - { userId }
+ * @returns {Promise<Object>} the draft question
+ * @throws 400 INVALID_QUESTION / QUESTION_CODE_EXISTS
+ */
+async function createDraftQuestion(data, { userId } = {}) {
+  const draft = await ensureDraft(data.questionnaireKey, userId);
+  const questions = draft.questions;
+
+  const order = data.order ?? (questions.length > 0 ? Math.max(...questions.map(q => q.order || 0)) + 1 : 1);
+  const question = await buildQuestion({ ...data, order, _id: new mongoose.Types.ObjectId() });
+  assertUniqueCode(questions, question);
+
+  await saveDraftQuestions(draft, [...questions, question]);
+  return question;
+}
+
+/**
+ * Change a question in its questionnaire's draft
+ * @returns {Promise<Object>} the draft question
+ * @throws 404 QUESTION_NOT_FOUND, 400 INVALID_QUESTION / QUESTION_CODE_EXISTS
+ */
+async function updateDraftQuestion(questionId, changes, { userId } = {}) {
+  const questionnaireKey = await questionnaireKeyOf(questionId);
+  const draft = await ensureDraft(questionnaireKey, userId);
+  const questions = draft.questions;
+
+  const index = questions.findIndex(q => isSameId(q._id, questionId));
+  if (index === -1) {
+    throw versionError(404, 'QUESTION_NOT_FOUND', 'Question not found in the draft');
+  }
+  // A question cannot move to another questionnaire
+  const question = await buildQuestion({ ...questions[index], ...changes, _id: questions[index]._id, questionnaireKey });
+  assertUniqueCode(questions, question);
+
+  await saveDraftQuestions(draft, questions.map((q, i) => (i === index ? question : q)));
+  return question;
+}
+
+/**
+ * Remove a question from its questionnaire's draft
+ * @throws 404 QUESTION_NOT_FOUND
+ */
+async function deleteDraftQuestion(questionId, { userId } = {}) {
+  const questionnaireKey = await questionnaireKeyOf(questionId);
+  const draft = await ensureDraft(questionnaireKey, userId);
+
+  const questions = draft.questions.filter(q => !isSameId(q._id, questionId));
+  if (questions.length === draft.questions.length) {
+    throw versionError(404, 'QUESTION_NOT_FOUND', 'Question not found in the draft');
+  }
+  await saveDraftQuestions(draft, questions);
+  return { questionnaireKey, version: draft.version };
+}
+
+/**
+ * Replace every question of the questionnaire's draft (bundle imports). A
+ * questionnaire with no questions and no versions yet gets version 1 as its draft.
+ * @param {Array} questions - Built with buildQuestion, _ids already assigned
+ * @param {Object} [options] - { userId, session }
+ * @returns {Promise<Document>} the draft
+ */
+async function replaceDraftQuestions(questionnaireKey, questions, { userId, session } = {}) {
+  const [hasVersions, hasQuestions] = await Promise.all([
+    QuestionnaireVersion.exists({ questionnaireKey }, { session }),
+    Question.exists({ questionnaireKey }, { session })
+  ]);
+  if (!hasVersions && !hasQuestions) {
+    const [draft] = await QuestionnaireVersion.create([{ questionnaireKey, version: 1, status: 'draft', questions, createdBy: userId }], { session });
+    return draft;
+  }
+
+  const draft = await ensureDraft(questionnaireKey, userId, { session });
+  await saveDraftQuestions(draft, questions);
+  return draft;
+}
+
+/**
+ * What the question editor works on: the draft, or the published (live)
+ * questions while there is no draft
+ * @returns {Promise<Object>} { questionnaireKey, version, status, questions }
+ */
+async function getEditableQuestions(questionnaireKey) {
+  const draft = await QuestionnaireVersion.findOne({ questionnaireKey, status: 'draft' }).lean();
+  if (draft) {
+    const questions = [...draft.questions].sort((a, b) => (a.order || 0) - (b.order || 0));
+    return { questionnaireKey, version: draft.version, status: 'draft', questions };
+  }
+
+  const [questionnaire, questions] = await Promise.all([
+    Questionnaire.findOne({ key: questionnaireKey }).select('version').lean(),
+    Question.find({ questionnaireKey }).sort({ order: 1 }).lean()
+  ]);
+  return { questionnaireKey, version: questionnaire?.version || 1, status: 'published', questions };
+}
+
+/**
+ * Publish the draft: its questions become the live questions, the previous
+ * version is retired and new responses record the new version number. All of
+ * it happens in one transaction, so evaluators never see half a version.
+ * @param {Object} [options] - { publishedBy, notes, session }; with a session
+ *   the caller's transaction is used (bundle imports), and the caller runs
+ *   requestLiveQuestionRecompute once it has committed
+ * @throws 404 NO_DRAFT, 400 EMPTY_QUESTIONNAIRE
+ */
+async function publishDraft(questionnaireKey, { publishedBy, notes, session } = {}) {
+  if (session) return publishInSession(questionnaireKey, { publishedBy, notes }, session);
+
+  const ownSession = await mongoose.startSession();
+  let published;
+  try {
+    await ownSession.withTransaction(async () => {
+      published = await publishInSession(questionnaireKey, { publishedBy, notes }, ownSession);
+    });
+  } finally {
+    await ownSession.endSession();
+  }
+  await requestLiveQuestionRecompute(questionnaireKey);
+  return published;
+}
+
+/**
+ * Queue a question_changed rescore for every project with responses that
+ * resolve against the live questions (answered on a version never frozen),
+ * after a publish has replaced them. Like requestScoreRecompute, failing to
+ * queue is logged and never fails the publish.
+ * @returns {Promise<number>} Projects queued
+ */
+async function requestLiveQuestionRecompute(questionnaireKey) {
+  try {
+    const frozen = await QuestionnaireVersion.distinct('version', { questionnaireKey, status: { $in: ['published', 'retired'] } });
+    const projectIds = await Response.distinct('projectId', { questionnaireKey, questionnaireVersion: { $nin: frozen } });
+    await Promise.all(projectIds.map(projectId => requestScoreRecompute({ projectId, questionnaireKey, reason: 'question_changed' })));
+    return projectIds.length;
+  } catch (error) {
+    console.error(`⚠️ Could not queue score recomputation after publishing ${questionnaireKey}:`, error.message);
+    return 0;
+  }
+}
+
+async function publishInSession(questionnaireKey, { publishedBy, notes }, session) {
+  const draft = await QuestionnaireVersion.findOne({ questionnaireKey, status: 'draft' }, null, { session });
+  if (!draft) {
+    throw versionError(404, 'NO_DRAFT', `Questionnaire ${questionnaireKey} has no draft to publish`);
+  }
+  if (draft.questions.length === 0) {
+    throw versionError(400, 'EMPTY_QUESTIONNAIRE', 'A questionnaire version needs at least one question');
+  }
+
+  const ids = draft.questions.map(q => q._id);
+  await Question.deleteMany({ questionnaireKey, _id: { $nin: ids } }, { session });
+  await Question.bulkWrite(draft.questions.map(question => ({
+    replaceOne: { filter: { _id: question._id }, replacement: question, upsert: true }
+  })), { session });
+
+  const now = new Date();
+  await QuestionnaireVersion.updateMany(
+    { questionnaireKey, status: 'published' },
+    { $set: { status: 'retired', retiredAt: now } },
+    { session }
+  );
+  draft.status = 'published';
+  draft.publishedBy = publishedBy;
+  draft.publishedAt = now;
+  if (notes !== undefined) draft.notes = notes;
+  await draft.save({ session });
+
+  await Questionnaire.updateOne({ key: questionnaireKey }, { $set: { version: draft.version } }, { session });
+  return draft.toObject();
+}
+
+/**
+ * Throw the draft away; the published version stays live
+ * @throws 404 NO_DRAFT
+ */
+async function discardDraft(questionnaireKey) {
+  const { deletedCount } = await QuestionnaireVersion.deleteOne({ questionnaireKey, status: 'draft' });
+  if (deletedCount === 0) {
+    throw versionError(404, 'NO_DRAFT', `Questionnaire ${questionnaireKey} has no draft`);
+  }
+  return { questionnaireKey, discarded: true };
+}
+
+/**
+ * Version history, newest first (questions omitted, counted)
+ * @returns {Promise<Object>} { questionnaireKey, currentVersion, versions }
+ */
+async function listVersions(questionnaireKey) {
+  const [questionnaire, versions] = await Promise.all([
+    Questionnaire.findOne({ key: questionnaireKey }).select('version').lean(),
+    QuestionnaireVersion.find({ questionnaireKey })
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email')
+      .populate('publishedBy', 'name email')
+      .lean()
+  ]);
+
+  return {
+    questionnaireKey,
+    currentVersion: questionnaire?.version || 1,
+    versions: versions.map(({ questions, ...version }) => ({ ...version, questionCount: questions.length }))
+  };
+}
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw versionError(400, 'INVALID_VERSION', `Invalid questionnaire version: ${value}`);
+  }
+  return version;
+};
+
+/**
+ * One version with its questions
+ * @throws 400 INVALID_VERSION, 404 VERSION_NOT_FOUND
+ */
+async function getVersion(questionnaireKey, version) {
+  const number = parseVersion(version);
+  const doc = await QuestionnaireVersion.findOne({ questionnaireKey, version: number }).lean();
+  if (!doc) {
+    throw versionError(404, 'VERSION_NOT_FOUND', `Questionnaire ${questionnaireKey} has no version ${number}`);
+  }
+  return doc;
+}
+
+// Option ids are regenerated when the editor rebuilds the options; compare content only
+const comparable = (field, value) => {
+  if (field === 'options' && Array.isArray(value)) {
+    return JSON.stringify(value.map(({ _id, ...option }) => option));
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Questions added, removed and changed (field by field) between two question sets
+ * @param {Array} fromQuestions
+ * @param {Array} toQuestions
+ * @returns {Object} { added, removed, changed, unchanged }
+ */
+function diffQuestionSets(fromQuestions, toQuestions) {
+  const summary = (q) => ({ _id: q._id, code: q.code, text: q.text });
+  const before = new Map(fromQuestions.map(q => [String(q._id), q]));
+  const after = new Map(toQuestions.map(q => [String(q._id), q]));
+
+  const changed = [];
+  let unchanged = 0;
+  after.forEach((question, id) => {
+    const previous = before.get(id);
+    if (!previous) return;
+    const changes = VERSIONED_FIELDS
+      .filter(field => comparable(field, previous[field]) !== comparable(field, question[field]))
+      .map(field => ({ field, from: previous[field] ?? null, to: question[field] ?? null }));
+    if (changes.length > 0) changed.push({ ...summary(question), changes });
+    else unchanged++;
+  });
+
+  return {
+    added: toQuestions.filter(q => !before.has(String(q._id))).map(summary),
+    removed: fromQuestions.filter(q => !after.has(String(q._id))).map(summary),
+    changed,
+    unchanged
+  };
+}
+
+/**
+ * Differences between two versions of a questionnaire
+ * @throws 400 INVALID_VERSION, 404 VERSION_NOT_FOUND
+ */
+async function diffVersions(questionnaireKey, from, to) {
+  const [fromVersion, toVersion] = await Promise.all([
+    getVersion(questionnaireKey, from),
+    getVersion(questionnaireKey, to)
+  ]);
+  return {
+    questionnaireKey,
+    from: { version: fromVersion.version, status: fromVersion.status },
+    to: { version: toVersion.version, status: toVersion.status },
+    ...diffQuestionSets(fromVersion.questions, toVersion.questions)
+  };
+}
+
+/**
+ * Resolve the questions of responses against the version each answer was given
+ * on: its own questionnaireVersion, else the response's
+ * @param {Array} responses - Need questionnaireKey, questionnaireVersion and answers
+ * @returns {Promise<Function>} (response, answer) => question definition or undefined
+ */
+async function loadAnsweredQuestions(responses) {
+  const versionKey = (key, version) => `${key}@${version}`;
+  const answerVersion = (response, answer) => answer?.questionnaireVersion ?? response.questionnaireVersion;
+  const answered = responses.flatMap(r => (r.answers || []).map(a => ({
+    questionnaireKey: r.questionnaireKey,
+    version: answerVersion(r, a),
+    questionId: a.questionId
+  })));
+  const pairs = [...new Map(answered
+    .filter(a => a.version != null)
+    .map(a => [versionKey(a.questionnaireKey, a.version), { questionnaireKey: a.questionnaireKey, version: a.version }])
+  ).values()];
+
+  const frozen = new Map();
+  if (pairs.length > 0) {
+    const versions = await QuestionnaireVersion.find({ $or: pairs, status: { $in: ['published', 'retired'] } })
+      .select('questionnaireKey version questions')
+      .lean();
+    versions.forEach(v => {
+      frozen.set(versionKey(v.questionnaireKey, v.version), new Map(v.questions.map(q => [String(q._id), q])));
+    });
+  }
+
+  // Versions never frozen are answered on the live questions
+  const liveIds = new Set(answered
+    .filter(a => a.questionId && !frozen.has(versionKey(a.questionnaireKey, a.version)))
+    .map(a => String(a.questionId)));
+  const live = liveIds.size > 0 ? await Question.find({ _id: { $in: [...liveIds] } }).lean() : [];
+  const liveMap = new Map(live.map(q => [String(q._id), q]));
+
+  return (response, answer) => {
+    const questions = frozen.get(versionKey(response.questionnaireKey, answerVersion(response, answer))) || liveMap;
+    return questions.get(String(answer.questionId));
+  };
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  freezeQuestion,
+  buildQuestion,
+  createDraftQuestion,
+  updateDraftQuestion,
+  deleteDraftQuestion,
+  replaceDraftQuestions,
+  getEditableQuestions,
+  publishDraft,
+  requestLiveQuestionRecompute,
+  discardDraft,
+  listVersions,
+  getVersion,
+  diffQuestionSets,
+  diffVersions,
+  loadAnsweredQuestions
+};
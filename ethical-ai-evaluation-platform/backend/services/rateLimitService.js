@@ -0,0 +1,63 @@
+/**
+ * Rate Limit Service
+ *
+ * Fixed-window counters stored in the RateLimitBucket collection, so limits
+ * are shared by every backend instance and survive restarts.
+ */
+
+const RateLimitBucket = require('../models/RateLimitBucket');
+
+/**
+ * Count one request against `key`
+ * @param {string} key - Bucket key (e.g. "login:ip:203.0.113.7")
+ * @param {Object} rule
+ * @param {number} rule.limit - Requests allowed per window
+ * @param {number} rule.windowMs - Window length in milliseconds
+ * @returns {Promise<{allowed: boolean, count: number, remaining: number, retryAfterSeconds: number}>}
+ */
+async function hit(key, { limit, windowMs }, attempt = 0) {
+  const now = new Date();
+
+  // Start a fresh window when the previous one has ended (the TTL monitor only runs once a minute)
+  await RateLimitBucket.updateOne(
+    { key, expiresAt: { $lte: now } },
+    { $set: { count: 0, windowStart: now, expiresAt: new Date(now.getTime() + windowMs) } }
+  );
+
+  let bucket;
+  try {
+    bucket = await RateLimitBucket.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { windowStart: now, expiresAt: new Date(now.getTime() + windowMs) }
+      },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (err) {
+    // Two concurrent upserts for a new key: one loses on the unique index, retry once
+    if (err.code === 11000 && attempt === 0) return hit(key, { limit, windowMs }, 1);
+    throw err;
+  }
+
+  const retryAfterSeconds = Math.max(1, Math.ceil((new Date(bucket.expiresAt).getTime() - now.getTime()) / 1000));
+  return {
+    allowed: bucket.count <= limit,
+    count: bucket.count,
+    remaining: Math.max(0, limit - bucket.count),
+    retryAfterSeconds
+  };
+}
+
+/**
+ * Clear a counter (e.g. after a successful login)
+ * @param {string} key
+ */
+async function reset(key) {
+  await RateLimitBucket.deleteOne({ key });
+}
+
+module.exports = {
+  hit,
+  reset
+};
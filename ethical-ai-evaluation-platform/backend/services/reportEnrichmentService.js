@@ -7,12 +7,37 @@
  * This is a Phase 3 incremental fix for backward compatibility.
  */
 
-const ercConfig = require('../config/ercThresholds.v1');
+const ercConfig = require('../config/ercThresholds');
+const { intervalRiskBands, formatInterval } = require('../utils/confidenceInterval');
+
+/**
+ * Warnings for confidence intervals that cross a risk band boundary: the
+ * answers do not settle which risk level applies
+ * @param {Object} scoring - reportMetrics.scoring
+ * @param {Object} thresholds - Threshold set the intervals are classified with
+ * @returns {string[]}
+ */
+function buildUncertaintyWarnings(scoring, thresholds) {
+    const describe = (name, interval) => {
+        const bands = intervalRiskBands(interval, thresholds);
+        if (!bands || !bands.spansMultipleBands) return null;
+        const lower = thresholds.thresholds[bands.lowerLevel]?.label || bands.lowerLevel;
+        const upper = thresholds.thresholds[bands.upperLevel]?.label || bands.upperLevel;
+        return `${name}: the ${Math.round(interval.level * 100)}% interval of the average ERC (${formatInterval(interval)}) spans ${lower} to ${upper}, based on ${interval.n} answers`;
+    };
+
+    const warnings = Object.entries(scoring.byPrincipleOverall || {})
+        .map(([principle, data]) => describe(principle, data?.confidenceInterval))
+        .filter(Boolean);
+    const overall = describe('Overall', scoring.totalsOverall?.confidenceInterval);
+    return overall ? [overall, ...warnings] : warnings;
+}
 
 /**
  * Enrich report metrics with Phase 3 ERC-compliant fields
+ * @param {Object} [thresholds] - The project's pinned threshold set (services/thresholdSetService)
  */
-function enrichReportMetrics(reportMetrics, counts = {}) {
+function enrichReportMetrics(reportMetrics, counts = {}, thresholds = ercConfig) {
     if (!reportMetrics || !reportMetrics.scoring) {
         return reportMetrics;
     }
@@ -32,6 +57,8 @@ function enrichReportMetrics(reportMetrics, counts = {}) {
             normalizedRiskLevel: 'UNKNOWN',
             normalizedLabel: 'No Data',
             normalizedColor: '#9E9E9E',
+            confidenceInterval: null,
+            uncertaintyWarnings: [],
             overallRisk: 0,  // DEPRECATED
             riskLabel: 'No Data'  // DEPRECATED
         };
@@ -57,7 +84,7 @@ function enrichReportMetrics(reportMetrics, counts = {}) {
 
         // Final sensitivity: use the higher of the overall average or the maximum principle average
         const effectiveERC = Math.max(averageERCPerQuestion, maxPrincipleAverage);
-        const normalized = ercConfig.getRiskLevel(effectiveERC);
+        const normalized = thresholds.getRiskLevel(effectiveERC);
 
         // REGRESSION GUARD & LOGGING
         if (maxPrincipleAverage > averageERCPerQuestion + 0.5) {
@@ -73,6 +100,9 @@ function enrichReportMetrics(reportMetrics, counts = {}) {
             normalizedRiskLevel: normalized.level,
             normalizedLabel: normalized.label,
             normalizedColor: normalized.color,
+            // Interval of rawAverageERC (all answers resampled), see utils/confidenceInterval.js
+            confidenceInterval: scoring.totalsOverall?.confidenceInterval || null,
+            uncertaintyWarnings: buildUncertaintyWarnings(scoring, thresholds),
 
             // DEPRECATED (Backward compat - Phase 5 cleanup)
             overallRisk: Math.round(totalCumulativeRisk * 100) / 100,
@@ -90,7 +120,8 @@ function enrichReportMetrics(reportMetrics, counts = {}) {
         quantitativeQuestions: quantQ,
         qualitativeQuestions: qualQ,
         text: `${qualQ} qualitative (open-text) questions are excluded from quantitative scoring. Quantitative risk assessment is based on ${quantQ} questions with predefined answer options.`,
-        methodology: 'ERC (Ethical Risk Contribution) = Importance × Severity'
+        methodology: 'ERC (Ethical Risk Contribution) = Importance × Severity',
+        thresholdsVersion: thresholds.version
     };
 
     // Return enriched metrics
@@ -16,14 +16,20 @@ const Response = require('../models/response');
 const Tension = mongoose.model('Tension');
 const ProjectAssignment = require('../models/projectAssignment');
 
-// PHASE 3: ERC Threshold Configuration
-const ercConfig = require('../config/ercThresholds.v1');
+const { getScoringModel, isRegisteredScoringModel } = require('./scoringModels');
+// PHASE 3: ERC thresholds, per project (Project.thresholdsVersion)
+const { getProjectThresholdSet } = require('./thresholdSetService');
 const Question = require('../models/question');
 const User = mongoose.model('User');
 // Use canonical risk scale utility
 const { classifyRisk, riskLabelEN, getRiskLabel, validateRiskScaleNotInverted } = require('../utils/riskScale');
 const { computeReviewState } = require('./analyticsService');
 const { enrichReportMetrics } = require('./reportEnrichmentService');
+const { computeAgreement } = require('./agreementService');
+const { getReportScenarios } = require('./scenarioService');
+const { getProjectRoleWeights, applyRoleWeights, weightByPrinciple, summarizeRoleWeights } = require('./roleWeightService');
+const { buildProvenance } = require('./provenanceService');
+const { bootstrapMeanInterval } = require('../utils/confidenceInterval');
 
 // Report semantics:
 // - For reports, we treat "included evaluators" as those who have responses WITH answers.
@@ -684,12 +690,15 @@ async function getProjectEvaluators(projectId) {
 /**
  * CRITICAL: Aggregate scores from multiple questionnaires
  * Merges questionBreakdown arrays from all Score documents and recalculates
- * principle-level metrics (byPrinciple) from the combined data.
+ * principle-level metrics (byPrinciple) from the combined data, using the
+ * scoring model the scores were computed with. Each answer counts with its
+ * evaluator's role weight (services/roleWeightService.js).
  * 
  * @param {Array} scores - All Score documents from all questionnaires
+ * @param {Object} [roleWeights] - Role → weight; omitted = every answer counts once
  * @returns {Object} Combined score object with merged metrics
  */
-function aggregateMultiQuestionnaireScores(scores) {
+function aggregateMultiQuestionnaireScores(scores, roleWeights) {
   console.log(`🔄 [aggregateMultiQuestionnaireScores] Merging ${scores.length} Score documents from all questionnaires`);
 
   if (!scores || scores.length === 0) {
@@ -710,13 +719,22 @@ function aggregateMultiQuestionnaireScores(scores) {
 
     if (score.questionBreakdown && Array.isArray(score.questionBreakdown)) {
       console.log(`  Adding ${score.questionBreakdown.length} questions from ${qKey} (userId: ${score.userId})`);
-      allQuestionBreakdowns.push(...score.questionBreakdown);
+      // Tagged with the evaluator's role for role weighting
+      allQuestionBreakdowns.push(...score.questionBreakdown.map(qb => ({ ...qb, role: score.role })));
     }
   });
 
   console.log(`📊 Questionnaire distribution:`, scoresByQuestionnaire);
   console.log(`📊 Total combined questions: ${allQuestionBreakdowns.length}`);
 
+  // Unregistered (legacy) versions are combined with the default model; buildReportMetrics flags them
+  const modelVersion = scores[0]?.scoringModelVersion;
+  const model = getScoringModel(isRegisteredScoringModel(modelVersion) ? modelVersion : undefined);
+  const withContribution = (questions) => questions.map(q => ({ ...q, finalRiskContribution: q.finalRiskContribution || 0 }));
+  const principleRisks = {};
+  // Role-weighted copy of each answer (weights are normalized per principle)
+  const weightedEntries = new Map();
+
   // Group by principle and recalculate metrics
   const byPrinciple = {};
   CANONICAL_PRINCIPLES.forEach(principle => {
@@ -734,7 +752,6 @@ function aggregateMultiQuestionnaireScores(scores) {
   CANONICAL_PRINCIPLES.forEach(p => {
     principleData[p] = {
       questions: [],
-      totalRisk: 0,
       totalImportance: 0,
       highImportanceCount: 0
     };
@@ -748,7 +765,6 @@ function aggregateMultiQuestionnaireScores(scores) {
     }
 
     principleData[principle].questions.push(qb);
-    principleData[principle].totalRisk += (qb.finalRiskContribution || 0);
     principleData[principle].totalImportance += (qb.importance || 0);
     if (qb.importance >= 3) {
       principleData[principle].highImportanceCount++;
@@ -761,12 +777,17 @@ function aggregateMultiQuestionnaireScores(scores) {
     const n = data.questions.length;
 
     if (n > 0) {
+      const weighted = withContribution(applyRoleWeights(data.questions, roleWeights));
+      data.questions.forEach((q, i) => weightedEntries.set(q, weighted[i]));
+      const risk = model.principleRisk(weighted);
+      principleRisks[principle] = risk;
       byPrinciple[principle] = {
         n,
-        risk: data.totalRisk,
+        risk,
         totalAnswers: n, // CRITICAL: Added for correct N calculation in reportEnrichmentService
         avgImportance: data.totalImportance / n,
         highImportanceRatio: data.highImportanceCount / n,
+        confidenceInterval: bootstrapMeanInterval(weighted.map(q => q.finalRiskContribution)),
         topDrivers: data.questions
           .sort((a, b) => (b.finalRiskContribution || 0) - (a.finalRiskContribution || 0))
           .slice(0, 5)
@@ -778,12 +799,13 @@ function aggregateMultiQuestionnaireScores(scores) {
           }))
       };
 
-      console.log(`  ${principle}: ${n} questions, risk=${data.totalRisk.toFixed(2)}`);
+      console.log(`  ${principle}: ${n} questions, risk=${risk.toFixed(2)}`);
     }
   });
 
   // Calculate totals
-  const totalRisk = allQuestionBreakdowns.reduce((sum, qb) => sum + (qb.finalRiskContribution || 0), 0);
+  const weightedBreakdowns = allQuestionBreakdowns.map(qb => weightedEntries.get(qb) || qb);
+  const totalRisk = model.overallRisk(withContribution(weightedBreakdowns), principleRisks);
   const totalQuestions = allQuestionBreakdowns.length;
 
   console.log(`✅ Combined totals: ${totalQuestions} questions, total risk=${totalRisk.toFixed(2)}`);
@@ -792,7 +814,8 @@ function aggregateMultiQuestionnaireScores(scores) {
     byPrinciple,
     totals: {
       overallRisk: totalRisk,
-      n: totalQuestions
+      n: totalQuestions,
+      confidenceInterval: bootstrapMeanInterval(withContribution(weightedBreakdowns).map(q => q.finalRiskContribution))
     },
     questionBreakdown: allQuestionBreakdowns,
     // Preserve metadata from first score (for role, version, etc.)
@@ -825,6 +848,10 @@ async function buildReportMetrics(projectId, questionnaireKey) {
   if (!project) {
     throw new Error('Project not found');
   }
+  // Risk levels/labels/colors come from the threshold set the project is pinned to
+  const thresholdSet = await getProjectThresholdSet(project);
+  // Role weights for byPrincipleOverall and byRole (defaults unless the project overrides them)
+  const { weights: roleWeights, custom: customRoleWeights } = getProjectRoleWeights(project);
 
   // Get responses - CRITICAL: Get ALL responses (draft and submitted) for started count
   // Submitted responses are used for submitted count, all responses for started count
@@ -894,7 +921,7 @@ async function buildReportMetrics(projectId, questionnaireKey) {
   // This merges questionBreakdown arrays from all Score documents (general-v1, ethical-expert-v1, etc.)
   // and recalculates principle-level metrics from the combined data
   console.log(`🔄 [buildReportMetrics] Aggregating ${evaluatorScores.length} Score documents from all questionnaires`);
-  const combinedScore = aggregateMultiQuestionnaireScores(evaluatorScores);
+  const combinedScore = aggregateMultiQuestionnaireScores(evaluatorScores, roleWeights);
 
   if (combinedScore) {
     console.log(`✅ Combined score created: ${combinedScore.totals.n} total questions, ${combinedScore.totals.overallRisk.toFixed(2)} total risk`);
@@ -966,8 +993,8 @@ async function buildReportMetrics(projectId, questionnaireKey) {
     // If average importance > 2 but risk is 0, that's impossible unless severity is 0 everywhere.
     // If severity is missing (legacy), it defaults to 0 -> broken.
     // We'll lean on the "scoringModelVersion" to detect legacy if present, or this heuristic.
-    // For now, let's trust the new 'strict_ethical_v3_cumulative' version tag.
-    const legacyScores = evaluatorScores.filter(s => s.scoringModelVersion !== 'strict_ethical_v3_cumulative');
+    // Scores from a registered scoring model (services/scoringModels) are trusted.
+    const legacyScores = evaluatorScores.filter(s => !isRegisteredScoringModel(s.scoringModelVersion));
     if (legacyScores.length > 0) {
       validityStatus = 'invalid_scoring_pipeline';
       invalidityReasons.push('Some scores were computed with an obsolete model/schema. They may incorrectly show "Minimal Risk".');
@@ -1161,6 +1188,17 @@ async function buildReportMetrics(projectId, questionnaireKey) {
     // Support ERC format (risk field) and old format (avg field)
     console.log(`🔍 [DEBUG buildReportMetrics] Mapping ${Object.keys(principleScoresData).length} principles to byPrincipleOverall`);
 
+    // Every answer behind the aggregate (combined score if present, else all evaluators),
+    // role-weighted and resampled for the confidence intervals of the normalized ERC
+    const pooledBreakdown = (evaluatorScores.some(s => s._isCombinedScore)
+      ? evaluatorScores.filter(s => s._isCombinedScore)
+      : evaluatorScores
+    ).flatMap(s => (s.questionBreakdown || []).map(qb => ({ role: s.role, ...qb })));
+    const pooledContributions = (principle) => (principle
+      ? applyRoleWeights(pooledBreakdown.filter(qb => qb.principle === principle), roleWeights)
+      : weightByPrinciple(pooledBreakdown, roleWeights)
+    ).map(qb => qb.finalRiskContribution || 0);
+
     Object.entries(principleScoresData).forEach(([principle, data]) => {
       if (data === null || data === undefined) {
         // TASK 3: Missing = null, NOT 0
@@ -1214,10 +1252,10 @@ async function buildReportMetrics(projectId, questionnaireKey) {
             // PHASE 3: Calculate normalized values
             const questionCount = data.n || 1; // Prevent division by zero
             const averageRiskPerQuestion = sumRisk / questionCount;
-            const normalizedRiskLevel = ercConfig.getRiskLevel(averageRiskPerQuestion);
+            const normalizedRiskLevel = thresholdSet.getRiskLevel(averageRiskPerQuestion);
 
             // REGRESSION GUARD: Ensure labels NOT applied to cumulative sums
-            const wrongLabel = ercConfig.getRiskLevel(sumRisk);
+            const wrongLabel = thresholdSet.getRiskLevel(sumRisk);
             if (normalizedRiskLevel.level === wrongLabel.level && sumRisk !== averageRiskPerQuestion) {
               console.warn(`⚠️  REGRESSION DETECTED: Risk label would be same for sum and average on ${principle}`);
             }
@@ -1230,6 +1268,7 @@ async function buildReportMetrics(projectId, questionnaireKey) {
               normalizedLevel: normalizedRiskLevel.level,
               normalizedLabel: normalizedRiskLevel.label,
               normalizedColor: normalizedRiskLevel.color,
+              confidenceInterval: bootstrapMeanInterval(pooledContributions(principle)), // Of averageRisk
 
               // ===== DEPRECATED FIELDS (Backward Compatibility - Remove in Phase 5) =====
               risk: Math.round(sumRisk * 100) / 100, // DEPRECATED: Use cumulativeRisk
@@ -1281,6 +1320,21 @@ async function buildReportMetrics(projectId, questionnaireKey) {
       }
     });
 
+    scoring.totalsOverall.confidenceInterval = bootstrapMeanInterval(pooledContributions(null));
+
+    // Provenance of each value (Score documents → answers → expert responses) for the drill-down
+    const provenance = buildProvenance(evaluatorScores, {
+      thresholdSet,
+      roleWeights,
+      responses: allResponses,
+      questions,
+      users: evaluators.submitted
+    });
+    Object.entries(scoring.byPrincipleOverall).forEach(([principle, data]) => {
+      if (data) data.provenance = provenance.byPrinciple[principle] || null;
+    });
+    scoring.totalsOverall.provenance = provenance.overall;
+
     // CRITICAL DEBUG: Log final byPrincipleOverall
     const populatedPrinciples = Object.entries(scoring.byPrincipleOverall)
       .filter(([_, data]) => data !== null)
@@ -1339,7 +1393,16 @@ async function buildReportMetrics(projectId, questionnaireKey) {
         });
       }
     });
+    // Applied weight of each role and its share (%) of the weighted risk
+    const roleWeighting = summarizeRoleWeights(pooledBreakdown, roleWeights);
+    roleWeighting.forEach(({ role, weight, share }) => {
+      if (roleGroups[role]) {
+        roleGroups[role].weight = weight;
+        roleGroups[role].weightedShare = share;
+      }
+    });
     scoring.byRole = roleGroups;
+    scoring.roleWeighting = { custom: customRoleWeights, roles: roleWeighting };
 
     // Build dynamic principle-by-principle table with actual evaluators
     // TASK 2: Use canonical principles from buildPrincipleScores
@@ -1798,7 +1861,7 @@ async function buildReportMetrics(projectId, questionnaireKey) {
 
 
       // PHASE 3: Enrich with ERC-compliant overallTotals and scoringDisclosure
-      reportMetrics = enrichReportMetrics(reportMetrics, counts);
+      reportMetrics = enrichReportMetrics(reportMetrics, counts, thresholdSet);
       // NEW: Generate Ethical Importance Ranking Chart
       try {
         charts.ethicalImportanceRanking = await chartGenerationService.generatePrincipleImportanceChart(
@@ -1916,6 +1979,10 @@ async function buildReportMetrics(projectId, questionnaireKey) {
       summary: tensionsSummary,
       list: tensionsList
     },
+    // Inter-rater agreement; high-disagreement questions are discussion candidates for the resolve stage
+    agreement: computeAgreement(responses, questions),
+    // Saved what-if scenarios the project chose to list under recommendations
+    scenarios: await getReportScenarios(projectIdObj),
     dataQuality: {
       notes: dataQualityNotes,
       evaluatorsWithMissingScores: evaluators.submitted
@@ -2603,7 +2670,9 @@ async function buildDashboardMetrics(projectId, questionnaireKey, evaluators, in
     console.warn('⚠️ [buildDashboardMetrics] No combinedScore available for question counting, counts will be 0');
   }
 
-  const finalMetrics = enrichReportMetrics(dashboardMetrics, counts);
+  const Project = mongoose.model('Project');
+  const thresholdSet = await getProjectThresholdSet(await Project.findById(projectIdObj).select('thresholdsVersion').lean());
+  const finalMetrics = enrichReportMetrics(dashboardMetrics, counts, thresholdSet);
   debugFileLog('🏁 [DEBUG buildDashboardMetrics] Final Metrics keys: ' + (finalMetrics ? Object.keys(finalMetrics).join(',') : 'null/undefined'));
   return finalMetrics;
 }
@@ -10,7 +10,8 @@
 
 const mongoose = require('mongoose');
 const { ETHICAL_EXPERT_CARDINALITY, MIN_TOTAL_EVALUATORS } = require('../config/roles.config');
-const ercConfig = require('../config/ercThresholds.v1');
+const { getProjectScoringModel } = require('./scoringModels');
+const { getProjectThresholdSet } = require('./thresholdSetService');
 
 /**
  * Validate project data before report generation
@@ -30,6 +31,7 @@ async function validateProjectForReporting(projectId) {
     const ProjectAssignment = require('../models/projectAssignment');
     const Response = require('../models/response');
     const Score = require('../models/score');
+    const Project = require('../models/Project');
 
     // ============================================================
     // 1. EVALUATOR ROLE CARDINALITY VALIDATION
@@ -114,11 +116,14 @@ async function validateProjectForReporting(projectId) {
     // ============================================================
     // 4. SCORING VERSION VALIDATION
     // ============================================================
-    const currentScoringVersion = 'strict_ethical_v3_cumulative';
+    // Scores must come from the scoring model selected for this project
+    const project = await Project.findById(projectIdObj).select('scoringModel thresholdsVersion').lean();
+    const scoringModel = getProjectScoringModel(project);
+    const currentScoringVersion = scoringModel.id;
     const legacyScores = scores.filter(s => s.scoringModelVersion !== currentScoringVersion);
 
     if (legacyScores.length > 0) {
-        warnings.push(`${legacyScores.length} scores computed with outdated scoring version`);
+        warnings.push(`${legacyScores.length} scores not computed with the project's scoring model (${currentScoringVersion})`);
         warnings.push('Consider recomputing scores with current methodology');
     }
 
@@ -128,6 +133,13 @@ async function validateProjectForReporting(projectId) {
         warnings.push(`${scoresWithoutThresholdVersion.length} scores missing threshold version metadata`);
     }
 
+    // Scores must use the threshold set the project is pinned to
+    const thresholdsVersion = (await getProjectThresholdSet(project)).version;
+    const unpinnedScores = scores.filter(s => s.thresholdsVersion && s.thresholdsVersion !== thresholdsVersion);
+    if (unpinnedScores.length > 0) {
+        warnings.push(`${unpinnedScores.length} scores not computed with the project's pinned thresholds (${thresholdsVersion})`);
+    }
+
     // ============================================================
     // FINAL VALIDATION RESULT
     // ============================================================
@@ -140,7 +152,8 @@ async function validateProjectForReporting(projectId) {
             projectId: projectIdObj.toString(),
             validatedAt: new Date().toISOString(),
             validationVersion: 'v1.0',
-            ercThresholdsVersion: ercConfig.version,
+            ercThresholdsVersion: thresholdsVersion,
+            scoringModelVersion: currentScoringVersion,
             evaluatorCount: {
                 total: assignments.length,
                 ethicalExperts: ethicalExpertCount,
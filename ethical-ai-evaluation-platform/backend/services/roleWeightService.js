@@ -0,0 +1,142 @@
+/**
+ * Role Weight Service
+ *
+ * By default every evaluator's answers count once when a project is
+ * aggregated, so three technical experts outweigh the single mandated
+ * ethical-expert. A project can weight the roles instead (Project.roleWeights,
+ * defaults in config/roles.config.js).
+ *
+ * Weights are applied per principle: each answer's finalRiskContribution is
+ * multiplied by its role's weight divided by the mean weight of that
+ * principle's answers. Averages become role-weighted averages and sums keep the
+ * scale of the answer count, so equal weights change nothing and every scoring
+ * model (services/scoringModels) aggregates the weighted entries unchanged.
+ *
+ * Entries are questionBreakdown entries tagged with their evaluator's `role`.
+ */
+
+const { DEFAULT_ROLE_WEIGHTS } = require('../config/roles.config');
+
+const round = (value) => Math.round(value * 100) / 100;
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const contributionOf = (entry) => entry.finalRiskContribution || 0;
+
+/**
+ * Weights that apply to a project: its overrides on top of the defaults
+ * @param {Object|null} project - Project (document or lean) with roleWeights
+ * @returns {{ weights: Object<string, number>, custom: boolean }}
+ */
+function getProjectRoleWeights(project) {
+  const overrides = project?.roleWeights instanceof Map
+    ? Object.fromEntries(project.roleWeights)
+    : (project?.roleWeights || {});
+  return {
+    weights: { ...DEFAULT_ROLE_WEIGHTS, ...overrides },
+    custom: Object.keys(overrides).length > 0
+  };
+}
+
+const roleWeightOf = (weights, role) => (typeof weights?.[role] === 'number' ? weights[role] : 1);
+
+/**
+ * Copies of `entries` with finalRiskContribution scaled by role weight, the
+ * entries' mean weight normalized to 1. `entries` is returned as is without
+ * weights, or when every weight is 0.
+ * @param {Array} entries - Answers aggregated together (one principle)
+ * @param {Object|null} weights - Role → weight
+ */
+function applyRoleWeights(entries, weights) {
+  if (!weights || entries.length === 0) return entries;
+  const meanWeight = mean(entries.map(entry => roleWeightOf(weights, entry.role)));
+  if (!meanWeight) return entries;
+  return entries.map(entry => ({
+    ...entry,
+    finalRiskContribution: contributionOf(entry) * roleWeightOf(weights, entry.role) / meanWeight
+  }));
+}
+
+/**
+ * applyRoleWeights within each principle, keeping the order of `entries`
+ * (the confidence interval bootstrap is seeded, so order matters)
+ */
+function weightByPrinciple(entries, weights) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    if (!groups.has(entry.principle)) groups.set(entry.principle, []);
+    groups.get(entry.principle).push(entry);
+  });
+  const weighted = new Map();
+  groups.forEach(group => {
+    applyRoleWeights(group, weights).forEach((entry, i) => weighted.set(group[i], entry));
+  });
+  return entries.map(entry => weighted.get(entry));
+}
+
+/**
+ * Applied weight of every role present, with its answer count and its share (%)
+ * of the total risk contribution, weighted and unweighted
+ * @returns {Array<{ role, weight, answers, share, unweightedShare }>}
+ */
+function summarizeRoleWeights(entries, weights) {
+  const shares = (list) => {
+    const total = list.reduce((sum, entry) => sum + contributionOf(entry), 0);
+    const byRole = {};
+    list.forEach(entry => {
+      const role = entry.role || 'unknown';
+      byRole[role] = (byRole[role] || 0) + contributionOf(entry);
+    });
+    return (role) => (total > 0 ? round(100 * (byRole[role] || 0) / total) : 0);
+  };
+  const weighted = shares(weightByPrinciple(entries, weights));
+  const unweighted = shares(entries);
+
+  return [...new Set(entries.map(entry => entry.role || 'unknown'))].sort().map(role => ({
+    role,
+    weight: roleWeightOf(weights, role),
+    answers: entries.filter(entry => (entry.role || 'unknown') === role).length,
+    share: weighted(role),
+    unweightedShare: unweighted(role)
+  }));
+}
+
+/**
+ * Normalized ERC (mean contribution) per principle and overall, with and
+ * without role weights, for the Analytics dashboard toggle
+ * @param {Array} scores - Score documents (role, userId, questionBreakdown); project aggregates are skipped
+ * @param {Object} weights - Role → weight (getProjectRoleWeights)
+ * @param {Object} thresholdSet - Risk levels for the averages (services/thresholdSetService)
+ */
+function compareRoleWeighting(scores, weights, thresholdSet) {
+  const entries = scores
+    .filter(s => s && s.role !== 'project' && s.userId)
+    .flatMap(s => (s.questionBreakdown || []).map(qb => ({ ...qb, role: s.role })));
+
+  const describe = (list) => {
+    const averageERC = mean(list.map(contributionOf));
+    if (averageERC === null) return null;
+    const { level, label } = thresholdSet.getRiskLevel(averageERC);
+    return { averageERC: round(averageERC), n: list.length, riskLevel: level, riskLabel: label };
+  };
+  const summarize = (roleWeights) => {
+    const weighted = weightByPrinciple(entries, roleWeights);
+    const byPrinciple = {};
+    [...new Set(weighted.map(entry => entry.principle))].forEach(principle => {
+      byPrinciple[principle] = describe(weighted.filter(entry => entry.principle === principle));
+    });
+    return { overall: describe(weighted), byPrinciple };
+  };
+
+  return {
+    roles: summarizeRoleWeights(entries, weights),
+    weighted: summarize(weights),
+    unweighted: summarize(null)
+  };
+}
+
+module.exports = {
+  getProjectRoleWeights,
+  applyRoleWeights,
+  weightByPrinciple,
+  summarizeRoleWeights,
+  compareRoleWeighting
+};
@@ -1,23 +1,53 @@
 /**
  * Safe Score Recomputation Utility
  * 
- * REVISION 3: Prevents accidental deletion of scores from other projects.
+ * REVISION 4: Recomputes under any registered scoring model (services/scoringModels),
+ * by default the project's own. Prevents accidental deletion of scores from other projects.
  * Only recomputes when necessary (version mismatch or missing data).
+ *
+ * Scores are tagged with the threshold set the project is pinned to
+ * (services/thresholdSetService). A pin that is no longer the default is kept
+ * but reported in `warnings`.
  * 
  * NEVER use global Score.deleteMany() without project filter!
  */
 
 const mongoose = require('mongoose');
-const ercConfig = require('../config/ercThresholds.v1');
+const { DEFAULT_SCORING_MODEL, getScoringModel, getProjectScoringModel } = require('./scoringModels');
+const { BUILT_IN_VERSION, getDefaultThresholdSet, getProjectThresholdSet } = require('./thresholdSetService');
 
-const CURRENT_SCORING_VERSION = 'strict_ethical_v3_cumulative';
-const CURRENT_THRESHOLDS_VERSION = ercConfig.version;
+// Default model/thresholds; a project may select another model (Project.scoringModel)
+// and is pinned to a threshold set (Project.thresholdsVersion)
+const CURRENT_SCORING_VERSION = DEFAULT_SCORING_MODEL;
+const CURRENT_THRESHOLDS_VERSION = BUILT_IN_VERSION;
+
+/**
+ * Scoring model to (re)compute a project with (the requested one, else the
+ * project's), the project's pinned threshold version, and warnings about the pin
+ */
+async function resolveScoringContext(projectIdObj, modelId) {
+    const Project = require('../models/Project');
+    const project = await Project.findById(projectIdObj).select('scoringModel thresholdsVersion').lean();
+    const model = modelId ? getScoringModel(modelId) : getProjectScoringModel(project);
+    const thresholdsVersion = (await getProjectThresholdSet(project)).version;
+    const defaultThresholdsVersion = (await getDefaultThresholdSet()).version;
+
+    const warnings = [];
+    if (thresholdsVersion !== defaultThresholdsVersion) {
+        warnings.push(
+            `Project is pinned to threshold set ${thresholdsVersion}, but the default is now ${defaultThresholdsVersion}. ` +
+            'Scores keep the pinned version; re-pin the project to adopt the new thresholds.'
+        );
+    }
+    return { model, thresholdsVersion, defaultThresholdsVersion, warnings };
+}
 
 /**
  * Safely recompute scores for a specific project
  * 
  * @param {string} projectId - Project ID
  * @param {Object} options - Recomputation options
+ * @param {string} [options.model] - Scoring model id (defaults to the project's model)
  * @returns {Promise<Object>} result
  */
 async function safeRecomputeScores(projectId, options = {}) {
@@ -31,7 +61,9 @@ async function safeRecomputeScores(projectId, options = {}) {
         : projectId;
 
     const Score = require('../models/score');
-    const { computeProjectEthicalScores } = require('./ethicalScoringService');
+    const { computeEthicalScores } = require('./ethicalScoringService');
+    const { model, thresholdsVersion, defaultThresholdsVersion, warnings } = await resolveScoringContext(projectIdObj, options.model);
+    warnings.forEach(warning => console.warn(`⚠️  ${projectId}: ${warning}`));
 
     // Check existing scores
     const existingScores = await Score.find({ projectId: projectIdObj }).lean();
@@ -45,7 +77,7 @@ async function safeRecomputeScores(projectId, options = {}) {
     } else {
         // Check for version mismatch
         const legacyScores = existingScores.filter(
-            s => s.scoringModelVersion !== CURRENT_SCORING_VERSION
+            s => s.scoringModelVersion !== model.id
         );
 
         if (legacyScores.length > 0) {
@@ -55,12 +87,12 @@ async function safeRecomputeScores(projectId, options = {}) {
 
         // Check for missing threshold version
         const scoresWithoutThresholds = existingScores.filter(
-            s => !s.thresholdsVersion || s.thresholdsVersion !== CURRENT_THRESHOLDS_VERSION
+            s => !s.thresholdsVersion || s.thresholdsVersion !== thresholdsVersion
         );
 
         if (scoresWithoutThresholds.length > 0) {
             needsRecompute = true;
-            reasons.push(`${scoresWithoutThresholds.length} scores missing current threshold version`);
+            reasons.push(`${scoresWithoutThresholds.length} scores missing the pinned threshold version`);
         }
     }
 
@@ -68,8 +100,10 @@ async function safeRecomputeScores(projectId, options = {}) {
         return {
             recomputed: false,
             reason: 'Scores are up-to-date',
-            currentVersion: CURRENT_SCORING_VERSION,
-            thresholdsVersion: CURRENT_THRESHOLDS_VERSION,
+            currentVersion: model.id,
+            thresholdsVersion,
+            defaultThresholdsVersion,
+            warnings,
             scoreCount: existingScores.length
         };
     }
@@ -80,17 +114,18 @@ async function safeRecomputeScores(projectId, options = {}) {
         console.log(`🗑️  Deleted ${deleteResult.deletedCount} old scores for project ${projectId}`);
     }
 
-    // Recompute using current methodology
-    console.log(`🔄 Recomputing scores for project ${projectId}...`);
+    // Recompute every user/questionnaire of this project with the selected model
+    console.log(`🔄 Recomputing scores for project ${projectId} with ${model.id}...`);
     console.log(`   Reasons: ${reasons.join(', ')}`);
 
-    const computeResult = await computeProjectEthicalScores(projectId);
+    const computed = await computeEthicalScores(projectIdObj, null, null, { model: model.id });
+    const computeResult = { computedScores: computed.length };
 
     // Verify scores were created with correct versions
     const newScores = await Score.find({ projectId: projectIdObj }).lean();
     const versionsCorrect = newScores.every(
-        s => s.scoringModelVersion === CURRENT_SCORING_VERSION &&
-            s.thresholdsVersion === CURRENT_THRESHOLDS_VERSION
+        s => s.scoringModelVersion === model.id &&
+            s.thresholdsVersion === thresholdsVersion
     );
 
     return {
@@ -99,21 +134,26 @@ async function safeRecomputeScores(projectId, options = {}) {
         oldScoreCount: existingScores.length,
         newScoreCount: newScores.length,
         versionsCorrect,
-        currentVersion: CURRENT_SCORING_VERSION,
-        thresholdsVersion: CURRENT_THRESHOLDS_VERSION,
+        currentVersion: model.id,
+        thresholdsVersion,
+        defaultThresholdsVersion,
+        warnings,
         computeResult
     };
 }
 
 /**
  * Check if project needs score recomputation
+ * @param {Object} [options]
+ * @param {string} [options.model] - Scoring model id (defaults to the project's model)
  */
-async function checkScoreStatus(projectId) {
+async function checkScoreStatus(projectId, options = {}) {
     const projectIdObj = mongoose.isValidObjectId(projectId)
         ? new mongoose.Types.ObjectId(projectId)
         : projectId;
 
     const Score = require('../models/score');
+    const { model, thresholdsVersion, defaultThresholdsVersion, warnings } = await resolveScoringContext(projectIdObj, options.model);
     const scores = await Score.find({ projectId: projectIdObj }).lean();
 
     if (scores.length === 0) {
@@ -121,13 +161,14 @@ async function checkScoreStatus(projectId) {
             needsRecompute: true,
             reason: 'No scores exist',
             currentVersion: null,
-            thresholdsVersion: null
+            thresholdsVersion: null,
+            warnings
         };
     }
 
     const versionMismatches = scores.filter(
-        s => s.scoringModelVersion !== CURRENT_SCORING_VERSION ||
-            s.thresholdsVersion !== CURRENT_THRESHOLDS_VERSION
+        s => s.scoringModelVersion !== model.id ||
+            s.thresholdsVersion !== thresholdsVersion
     );
 
     return {
@@ -135,8 +176,10 @@ async function checkScoreStatus(projectId) {
         reason: versionMismatches.length > 0 ? 'Version mismatch detected' : 'Scores are current',
         scoreCount: scores.length,
         versionsCorrect: versionMismatches.length === 0,
-        currentScoringVersion: CURRENT_SCORING_VERSION,
-        currentThresholdsVersion: CURRENT_THRESHOLDS_VERSION,
+        currentScoringVersion: model.id,
+        currentThresholdsVersion: thresholdsVersion,
+        defaultThresholdsVersion,
+        warnings,
         foundVersions: {
             scoring: [...new Set(scores.map(s => s.scoringModelVersion))],
             thresholds: [...new Set(scores.map(s => s.thresholdsVersion))]
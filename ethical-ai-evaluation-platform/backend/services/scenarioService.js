@@ -0,0 +1,376 @@
+/**
+ * Scenario Service
+ *
+ * What-if simulation of mitigations ("if we fix these three issues, how much
+ * does our risk drop?"). A scenario hypothetically sets the answerSeverity of
+ * selected questions and/or marks tension mitigations as done. The changes are
+ * applied to the answers in the project's current Score.questionBreakdown,
+ * which are rescored in memory with the project's scoring model
+ * (ethicalScoringService.scoreAnswers). Scores are never written.
+ *
+ * Baseline and scenario pool the answers of every evaluator, like the report's
+ * combined score, and are classified on the normalized ERC (mean contribution,
+ * 0-4) with the threshold set the project is pinned to.
+ *
+ * ERC is computed from answers only, so a mitigated tension changes the
+ * scenario's tension summary, not ERC.
+ *
+ * Saved scenarios (models/Scenario.js) store their changes only and are
+ * recomputed whenever they are read. Scenarios flagged includeInReport are
+ * listed in the report's recommendations section.
+ */
+
+const Scenario = require('../models/Scenario');
+const Score = require('../models/score');
+const Question = require('../models/question');
+const Tension = require('../models/Tension');
+const Project = require('../models/Project');
+const { CANONICAL_PRINCIPLES, scoreAnswers } = require('./ethicalScoringService');
+const { getProjectScoringModel } = require('./scoringModels');
+const { getProjectThresholdSet } = require('./thresholdSetService');
+
+// Tension.mitigation.action.status values that count as already mitigated
+const MITIGATION_DONE = /^(done|completed|closed|resolved)$/i;
+
+const TENSION_SEVERITIES = ['low', 'medium', 'high'];
+
+const scenarioError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+const diff = (to, from) => (to === null || from === null ? null : round(to - from));
+
+/**
+ * Risk, normalized ERC and level of scored answers, overall and per principle
+ */
+function summarizeScore({ byPrinciple, totals, questionBreakdown }, thresholdSet) {
+  const summarize = (risk, entries) => {
+    const averageERC = entries.length > 0 ? round(mean(entries.map(e => e.finalRiskContribution))) : null;
+    const level = thresholdSet.getRiskLevel(averageERC);
+    return { risk, n: entries.length, averageERC, riskLevel: level.level, riskLabel: level.label };
+  };
+
+  return {
+    overall: summarize(totals.overallRisk, questionBreakdown),
+    byPrinciple: Object.fromEntries(CANONICAL_PRINCIPLES.map(principle => {
+      const entries = questionBreakdown.filter(e => e.principle === principle);
+      return [principle, entries.length > 0 ? summarize(byPrinciple[principle].risk, entries) : null];
+    }))
+  };
+}
+
+/**
+ * Open/mitigated tension counts, open ones by severity
+ * @param {Array} tensions
+ * @param {Function} isMitigated - (tension) => boolean
+ */
+function summarizeTensions(tensions, isMitigated) {
+  const open = tensions.filter(t => !isMitigated(t));
+  return {
+    total: tensions.length,
+    mitigated: tensions.length - open.length,
+    open: open.length,
+    openBySeverity: Object.fromEntries(TENSION_SEVERITIES.map(severity => [
+      severity,
+      open.filter(t => String(t.severity || '').toLowerCase() === severity).length
+    ]))
+  };
+}
+
+const isMitigationDone = (tension) => MITIGATION_DONE.test(tension.mitigation?.action?.status || '');
+
+/**
+ * Answered questions with their current average severity and contribution,
+ * highest contribution first (the candidates a scenario can fix)
+ */
+function listAnsweredQuestions(answers, model) {
+  const byQuestion = new Map();
+  answers.forEach(answer => {
+    const key = String(answer.question._id);
+    if (!byQuestion.has(key)) byQuestion.set(key, []);
+    byQuestion.get(key).push(answer);
+  });
+
+  return [...byQuestion.values()]
+    .map(group => {
+      const { question, principle } = group[0];
+      const contributions = group.map(a => model.scoreQuestion(a).finalRiskContribution);
+      return {
+        questionId: question._id,
+        questionCode: question.code || null,
+        questionText: question.text?.en || '',
+        principle,
+        answers: group.length,
+        averageSeverity: round(mean(group.map(a => a.severity))),
+        averageContribution: round(mean(contributions))
+      };
+    })
+    .sort((a, b) => b.averageContribution - a.averageContribution);
+}
+
+/**
+ * Everything a simulation needs, loaded once per request
+ * @param {string|ObjectId} projectId
+ * @returns {Promise<Object>} { project, model, thresholdSet, answers, tensions, baseline, questions }
+ * @throws 404 PROJECT_NOT_FOUND
+ */
+async function loadScenarioContext(projectId) {
+  const project = await Project.findById(projectId).select('scoringModel thresholdsVersion').lean();
+  if (!project) {
+    throw scenarioError(404, 'PROJECT_NOT_FOUND', 'Project not found');
+  }
+
+  const scores = await Score.find({ projectId: project._id }).select('role userId questionBreakdown').lean();
+  // Project-level aggregate docs would count every answer twice
+  const breakdown = scores
+    .filter(s => s && s.role !== 'project' && s.userId)
+    .flatMap(s => s.questionBreakdown || [])
+    .filter(e => e.questionId && e.principle && typeof e.importance === 'number' && typeof e.answerSeverity === 'number');
+
+  const questionIds = [...new Set(breakdown.map(e => e.questionId.toString()))];
+  const questions = await Question.find({ _id: { $in: questionIds } }).select('code principle text').lean();
+  const questionMap = new Map(questions.map(q => [q._id.toString(), q]));
+
+  const tensions = await Tension.find({ projectId: project._id })
+    .select('principle1 principle2 claimStatement severity status mitigation')
+    .lean();
+
+  const model = getProjectScoringModel(project);
+  const thresholdSet = await getProjectThresholdSet(project);
+  const answers = breakdown.map(e => ({
+    question: questionMap.get(e.questionId.toString()) || { _id: e.questionId },
+    principle: e.principle,
+    importance: e.importance,
+    severity: e.answerSeverity
+  }));
+
+  return {
+    project,
+    model,
+    thresholdSet,
+    answers,
+    tensions,
+    baseline: summarizeScore(scoreAnswers(answers, model), thresholdSet),
+    questions: listAnsweredQuestions(answers, model)
+  };
+}
+
+/**
+ * Apply a scenario to the loaded answers and tensions (pure, nothing is saved)
+ * @param {Object} context - From loadScenarioContext
+ * @param {Object} scenario
+ * @param {Array} [scenario.questionChanges] - [{ questionId, answerSeverity (0-1) }], applied to every evaluator's answer
+ * @param {Array} [scenario.mitigatedTensionIds]
+ * @returns {Object} { scoringModel, thresholdsVersion, baseline, simulated, delta, changes, tensions, unmatched }
+ */
+function runScenario(context, { questionChanges = [], mitigatedTensionIds = [] } = {}) {
+  const { model, thresholdSet, answers, tensions, baseline } = context;
+
+  const severityByQuestion = new Map(questionChanges.map(c => [String(c.questionId), c.answerSeverity]));
+  const changedAnswers = answers.map(answer => {
+    const severity = severityByQuestion.get(String(answer.question._id));
+    return severity === undefined ? answer : { ...answer, severity };
+  });
+  const simulated = summarizeScore(scoreAnswers(changedAnswers, model), thresholdSet);
+
+  const changes = questionChanges.map(({ questionId, answerSeverity }) => {
+    const matching = answers.filter(a => String(a.question._id) === String(questionId));
+    return {
+      questionId,
+      questionCode: matching[0]?.question.code || null,
+      principle: matching[0]?.principle || null,
+      answers: matching.length,
+      fromSeverity: matching.length > 0 ? round(mean(matching.map(a => a.severity))) : null,
+      toSeverity: answerSeverity
+    };
+  });
+
+  const mitigatedIds = new Set(mitigatedTensionIds.map(String));
+  const mitigatedTensions = tensions.filter(t => mitigatedIds.has(String(t._id)));
+
+  return {
+    scoringModel: model.id,
+    thresholdsVersion: thresholdSet.version,
+    baseline,
+    simulated,
+    delta: {
+      averageERC: diff(simulated.overall.averageERC, baseline.overall.averageERC),
+      risk: diff(simulated.overall.risk, baseline.overall.risk),
+      riskLevelChanged: simulated.overall.riskLevel !== baseline.overall.riskLevel,
+      byPrinciple: Object.fromEntries(CANONICAL_PRINCIPLES.map(principle => [
+        principle,
+        baseline.byPrinciple[principle]
+          ? diff(simulated.byPrinciple[principle].averageERC, baseline.byPrinciple[principle].averageERC)
+          : null
+      ]))
+    },
+    changes,
+    tensions: {
+      baseline: summarizeTensions(tensions, isMitigationDone),
+      simulated: summarizeTensions(tensions, t => isMitigationDone(t) || mitigatedIds.has(String(t._id))),
+      mitigated: mitigatedTensions.map(t => ({
+        tensionId: t._id,
+        claimStatement: t.claimStatement || '',
+        principles: [t.principle1, t.principle2].filter(Boolean),
+        severity: t.severity || null
+      }))
+    },
+    // Questions no evaluator answered / tensions not in the project (e.g. after a recompute or a deletion)
+    unmatched: {
+      questionIds: changes.filter(c => c.answers === 0).map(c => c.questionId),
+      tensionIds: mitigatedTensionIds.filter(id => !tensions.some(t => String(t._id) === String(id)))
+    }
+  };
+}
+
+/**
+ * Simulate a scenario against the project's current scores without saving it
+ * @returns {Promise<Object>} runScenario's result plus `questions`, the answered questions to pick from
+ * @throws 404 PROJECT_NOT_FOUND
+ */
+async function simulateScenario(projectId, scenario) {
+  const context = await loadScenarioContext(projectId);
+  return { ...runScenario(context, scenario), questions: context.questions };
+}
+
+const withResult = (context, scenario) => ({ ...scenario, result: runScenario(context, scenario) });
+
+async function findScenario(projectId, scenarioId) {
+  const scenario = await Scenario.findOne({ _id: scenarioId, projectId });
+  if (!scenario) {
+    throw scenarioError(404, 'SCENARIO_NOT_FOUND', 'Scenario not found');
+  }
+  return scenario;
+}
+
+/**
+ * Saved scenarios of a project, newest first, each with its current result
+ * @throws 404 PROJECT_NOT_FOUND
+ */
+async function listScenarios(projectId) {
+  const context = await loadScenarioContext(projectId);
+  const scenarios = await Scenario.find({ projectId: context.project._id })
+    .sort({ createdAt: -1 })
+    .populate('createdBy', 'name email')
+    .lean();
+  return scenarios.map(scenario => withResult(context, scenario));
+}
+
+/**
+ * Save a scenario
+ * @param {Object} fields - { name, description?, questionChanges?, mitigatedTensionIds?, includeInReport? }
+ * @param {string|ObjectId} [createdBy]
+ * @throws 404 PROJECT_NOT_FOUND
+ */
+async function createScenario(projectId, { name, description, questionChanges, mitigatedTensionIds, includeInReport }, createdBy) {
+  const context = await loadScenarioContext(projectId);
+  const doc = await Scenario.create({
+    projectId: context.project._id,
+    name,
+    description,
+    questionChanges,
+    mitigatedTensionIds,
+    includeInReport,
+    createdBy
+  });
+  return withResult(context, doc.toObject());
+}
+
+/**
+ * Edit a saved scenario; omitted fields are kept
+ * @throws 404 PROJECT_NOT_FOUND, 404 SCENARIO_NOT_FOUND
+ */
+async function updateScenario(projectId, scenarioId, changes) {
+  const context = await loadScenarioContext(projectId);
+  const doc = await findScenario(context.project._id, scenarioId);
+  ['name', 'description', 'questionChanges', 'mitigatedTensionIds', 'includeInReport'].forEach(field => {
+    if (changes[field] !== undefined) doc[field] = changes[field];
+  });
+  await doc.save();
+  return withResult(context, doc.toObject());
+}
+
+/**
+ * @throws 404 SCENARIO_NOT_FOUND
+ */
+async function deleteScenario(projectId, scenarioId) {
+  const doc = await findScenario(projectId, scenarioId);
+  await doc.deleteOne();
+}
+
+/**
+ * Saved scenarios side by side against one baseline, in the requested order
+ * @param {Array<string>} scenarioIds
+ * @throws 404 PROJECT_NOT_FOUND, 404 SCENARIO_NOT_FOUND
+ */
+async function compareScenarios(projectId, scenarioIds) {
+  const context = await loadScenarioContext(projectId);
+  const scenarios = await Scenario.find({ _id: { $in: scenarioIds }, projectId: context.project._id }).lean();
+  const byId = new Map(scenarios.map(s => [String(s._id), s]));
+  const missing = scenarioIds.filter(id => !byId.has(String(id)));
+  if (missing.length > 0) {
+    throw scenarioError(404, 'SCENARIO_NOT_FOUND', `Scenario not found: ${missing.join(', ')}`);
+  }
+
+  return {
+    baseline: context.baseline,
+    tensions: summarizeTensions(context.tensions, isMitigationDone),
+    scenarios: scenarioIds.map(id => {
+      const scenario = byId.get(String(id));
+      const { simulated, delta, changes, tensions, unmatched } = runScenario(context, scenario);
+      return {
+        _id: scenario._id,
+        name: scenario.name,
+        description: scenario.description,
+        simulated,
+        delta,
+        changes,
+        tensions: tensions.simulated,
+        unmatched
+      };
+    })
+  };
+}
+
+/**
+ * Scenarios flagged includeInReport, in the shape the report templates list
+ * under recommendations; [] when there are none
+ * @returns {Promise<Array>} [{ name, description, changes, mitigatedTensions, baseline, simulated, delta }]
+ */
+async function getReportScenarios(projectId) {
+  const flagged = await Scenario.find({ projectId, includeInReport: true }).sort({ createdAt: 1 }).lean();
+  if (flagged.length === 0) return [];
+
+  const context = await loadScenarioContext(projectId);
+  return flagged.map(scenario => {
+    const { baseline, simulated, delta, changes, tensions } = runScenario(context, scenario);
+    return {
+      name: scenario.name,
+      description: scenario.description || '',
+      changes: changes.filter(c => c.answers > 0),
+      mitigatedTensions: tensions.mitigated,
+      baseline: baseline.overall,
+      simulated: simulated.overall,
+      delta
+    };
+  });
+}
+
+module.exports = {
+  loadScenarioContext,
+  runScenario,
+  simulateScenario,
+  listScenarios,
+  createScenario,
+  updateScenario,
+  deleteScenario,
+  compareScenarios,
+  getReportScenarios
+};
@@ -0,0 +1,259 @@
+/**
+ * Score History Service
+ *
+ * computeEthicalScores keeps one Score per user and questionnaire and
+ * overwrites it on every recomputation. Each write also appends an immutable
+ * ScoreSnapshot (models/score.js post hook), tagged with why it was computed
+ * (draft save, submission, re-evaluation), the project's stage (Project.stage)
+ * and the latest report version at that moment.
+ *
+ * A snapshot keeps the sum of finalRiskContribution and the number of answers
+ * per principle, so the project's normalized ERC (mean contribution, 0-4,
+ * pooled over every evaluator like the report's combined score) can be
+ * replayed for any point in time. buildScoreTrend does that replay for the
+ * analytics dashboard: one point per snapshot, plus the last point of each
+ * stage (set-up → assess → resolve) and the state at each report version.
+ */
+
+const mongoose = require('mongoose');
+const ScoreSnapshot = require('../models/ScoreSnapshot');
+const Project = require('../models/Project');
+const Report = require('../models/report');
+const { CANONICAL_PRINCIPLES } = require('./ethicalScoringService');
+const { getProjectThresholdSet } = require('./thresholdSetService');
+
+const STAGES = ['set-up', 'assess', 'resolve'];
+
+// Reports that count as a version of the project's report
+const PUBLISHED_REPORT = { $nin: ['generating', 'failed'] };
+
+const HISTORY_DEFAULT_LIMIT = 100;
+const HISTORY_MAX_LIMIT = 500;
+
+const historyError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+const toObjectId = (id) => (id && mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(String(id)) : id);
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Sum of contributions and answer count per principle, from a Score's questionBreakdown
+ */
+function summarizeBreakdown(questionBreakdown = []) {
+  const byPrinciple = {};
+  let sum = 0;
+  questionBreakdown.forEach(({ principle, finalRiskContribution }) => {
+    const value = Number(finalRiskContribution);
+    if (!principle || !Number.isFinite(value)) return;
+    if (!byPrinciple[principle]) byPrinciple[principle] = { sum: 0, n: 0 };
+    byPrinciple[principle].sum += value;
+    byPrinciple[principle].n++;
+    sum += value;
+  });
+  const n = Object.values(byPrinciple).reduce((total, p) => total + p.n, 0);
+  return { byPrinciple, totals: { sum, n } };
+}
+
+const sameValues = (a, b) => JSON.stringify([a.totals, a.byPrinciple]) === JSON.stringify([b.totals, b.byPrinciple]);
+
+/**
+ * Append a snapshot of a freshly computed Score
+ *
+ * Recomputations that change nothing (same values, stage and report version)
+ * are not recorded again, except submissions, which are always kept. Never
+ * throws: losing a history entry must not fail the scoring itself.
+ * @param {Object} score - Score document as written by computeEthicalScores
+ * @returns {Promise<Object|null>} the snapshot, or null when skipped
+ */
+async function recordScoreSnapshot(score) {
+  try {
+    // Project-level aggregates are derived from the per-user scores
+    if (!score || score.role === 'project') return null;
+
+    const scope = { projectId: score.projectId, userId: score.userId, questionnaireKey: score.questionnaireKey };
+    const [project, report, previous] = await Promise.all([
+      Project.findById(score.projectId).select('stage').lean(),
+      Report.findOne({ projectId: score.projectId, status: PUBLISHED_REPORT })
+        .sort({ version: -1 })
+        .select('version')
+        .lean(),
+      ScoreSnapshot.findOne(scope)
+        .sort({ computedAt: -1 })
+        .select('totals byPrinciple stage reportVersion')
+        .lean()
+    ]);
+
+    const { byPrinciple, totals } = summarizeBreakdown(score.questionBreakdown);
+    const reportVersion = report?.version || 0;
+    // Projects saved before stages were tracked default to set-up, like the model
+    const stage = STAGES.includes(project?.stage) ? project.stage : 'set-up';
+    const cause = score.computeCause || 'reevaluation';
+
+    if (previous && cause !== 'response_submitted' &&
+      previous.stage === stage && previous.reportVersion === reportVersion &&
+      sameValues(previous, { byPrinciple, totals })) {
+      return null;
+    }
+
+    return await ScoreSnapshot.create({
+      ...scope,
+      scoreId: score._id,
+      role: score.role,
+      computedAt: score.computedAt || new Date(),
+      cause,
+      stage,
+      reportVersion,
+      scoringModelVersion: score.scoringModelVersion,
+      thresholdsVersion: score.thresholdsVersion,
+      byPrinciple,
+      totals
+    });
+  } catch (error) {
+    console.error(`⚠️ Could not record score history for project ${score?.projectId}:`, error.message);
+    return null;
+  }
+}
+
+async function findProject(projectId) {
+  const project = await Project.findById(toObjectId(projectId)).select('thresholdsVersion').lean();
+  if (!project) {
+    throw historyError(404, 'PROJECT_NOT_FOUND', 'Project not found');
+  }
+  return project;
+}
+
+/**
+ * A project's score snapshots, newest first
+ * @param {string|ObjectId} projectId
+ * @param {Object} [filters] - { userId, questionnaireKey, cause, limit }
+ * @throws 400 INVALID_USER_ID, 404 PROJECT_NOT_FOUND
+ */
+async function getScoreHistory(projectId, { userId, questionnaireKey, cause, limit } = {}) {
+  const project = await findProject(projectId);
+
+  const filter = { projectId: project._id };
+  if (userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw historyError(400, 'INVALID_USER_ID', 'Invalid userId');
+    }
+    filter.userId = toObjectId(userId);
+  }
+  if (questionnaireKey) filter.questionnaireKey = questionnaireKey;
+  if (cause) filter.cause = cause;
+
+  const max = Math.min(Math.max(parseInt(limit, 10) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+  const [snapshots, total] = await Promise.all([
+    ScoreSnapshot.find(filter).sort({ computedAt: -1 }).limit(max).lean(),
+    ScoreSnapshot.countDocuments(filter)
+  ]);
+
+  return { projectId: String(project._id), total, snapshots };
+}
+
+/**
+ * Replay snapshots into the project's ERC over time
+ *
+ * Every snapshot replaces the previous one of its user and questionnaire; a
+ * point pools the latest snapshot of each. Pure, so it can be tested without
+ * a database.
+ * @param {Array} snapshots - ScoreSnapshot documents (any order)
+ * @param {Object} options
+ * @param {Array} [options.reports] - [{ version, generatedAt }]
+ * @param {Object} options.thresholdSet - classifies the overall ERC
+ * @returns {Object} { points, byStage, byReportVersion }
+ */
+function buildScoreTrend(snapshots, { reports = [], thresholdSet }) {
+  const ordered = [...snapshots].sort((a, b) => new Date(a.computedAt) - new Date(b.computedAt));
+  const latest = new Map();
+
+  const pool = () => {
+    const principles = Object.fromEntries(CANONICAL_PRINCIPLES.map(p => [p, { sum: 0, n: 0 }]));
+    let sum = 0;
+    let n = 0;
+    latest.forEach(snapshot => {
+      Object.entries(snapshot.byPrinciple || {}).forEach(([principle, value]) => {
+        if (!principles[principle]) return;
+        principles[principle].sum += value.sum;
+        principles[principle].n += value.n;
+      });
+      sum += snapshot.totals?.sum || 0;
+      n += snapshot.totals?.n || 0;
+    });
+
+    const averageERC = n > 0 ? round(sum / n) : null;
+    const level = thresholdSet.getRiskLevel(averageERC);
+    return {
+      overall: { averageERC, n, riskLevel: level.level, riskLabel: level.label },
+      byPrinciple: Object.fromEntries(Object.entries(principles).map(([principle, p]) => [
+        principle,
+        p.n > 0 ? round(p.sum / p.n) : null
+      ]))
+    };
+  };
+
+  const points = ordered.map(snapshot => {
+    latest.set(`${snapshot.userId}_${snapshot.questionnaireKey}`, snapshot);
+    return {
+      computedAt: snapshot.computedAt,
+      cause: snapshot.cause,
+      stage: snapshot.stage,
+      reportVersion: snapshot.reportVersion,
+      ...pool()
+    };
+  });
+
+  const byStage = STAGES
+    .map(stage => {
+      const last = points.filter(p => p.stage === stage).pop();
+      return last ? { stage, ...last } : null;
+    })
+    .filter(Boolean);
+
+  // The state the report was generated from: the last point before it
+  const byReportVersion = [...reports]
+    .sort((a, b) => a.version - b.version)
+    .map(report => {
+      const last = points.filter(p => new Date(p.computedAt) <= new Date(report.generatedAt)).pop();
+      return last ? { ...last, reportVersion: report.version, generatedAt: report.generatedAt } : null;
+    })
+    .filter(Boolean);
+
+  return { points, byStage, byReportVersion };
+}
+
+/**
+ * How a project's ERC evolved, overall and per principle
+ * @throws 404 PROJECT_NOT_FOUND
+ */
+async function getScoreTrend(projectId) {
+  const project = await findProject(projectId);
+
+  const [snapshots, reports, thresholdSet] = await Promise.all([
+    ScoreSnapshot.find({ projectId: project._id })
+      .select('userId questionnaireKey computedAt cause stage reportVersion byPrinciple totals')
+      .lean(),
+    Report.find({ projectId: project._id, status: PUBLISHED_REPORT })
+      .select('version generatedAt')
+      .lean(),
+    getProjectThresholdSet(project)
+  ]);
+
+  return {
+    projectId: String(project._id),
+    thresholdsVersion: thresholdSet.version,
+    principles: CANONICAL_PRINCIPLES,
+    ...buildScoreTrend(snapshots, { reports, thresholdSet })
+  };
+}
+
+module.exports = {
+  STAGES,
+  recordScoreSnapshot,
+  getScoreHistory,
+  buildScoreTrend,
+  getScoreTrend
+};
@@ -0,0 +1,373 @@
+/**
+ * Score Recomputation Queue
+ *
+ * Keeps Score documents in step with the answers, questions and thresholds
+ * they are computed from. Each event queues a ScoreRecomputeJob for the
+ * narrowest scope it affects: one user's questionnaire, a questionnaire
+ * across a project, or a whole project. Events for a scope that already has
+ * a pending job are merged into it, so a burst of draft saves is recomputed
+ * once (config/scoreRecompute.config.js). The in-process worker started by
+ * server.js runs due jobs through computeEthicalScores.
+ *
+ * getScoreStaleness tells whether a project's scores are behind its data;
+ * report generation runs the project's queue first (flushProjectRecompute)
+ * and refuses to build on stale scores.
+ */
+
+const mongoose = require('mongoose');
+const ScoreRecomputeJob = require('../models/ScoreRecomputeJob');
+const Project = require('../models/Project');
+const Response = require('../models/response');
+const Score = require('../models/score');
+const { getProjectScoringModel } = require('./scoringModels');
+const { getProjectThresholdSet } = require('./thresholdSetService');
+const {
+  RECOMPUTE_DEBOUNCE_MS,
+  RECOMPUTE_MAX_DELAY_MS,
+  RECOMPUTE_POLL_INTERVAL_MS,
+  RECOMPUTE_RETRY_DELAY_MS,
+  RECOMPUTE_MAX_ATTEMPTS,
+  RECOMPUTE_STALE_RUNNING_MS,
+  RECOMPUTE_JOB_TTL_MS,
+  RECOMPUTE_FLUSH_TIMEOUT_MS
+} = require('../config/scoreRecompute.config');
+
+const recomputeError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+const toObjectId = (id) => (id && mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(String(id)) : id || null);
+const later = (date, ms) => new Date(date.getTime() + ms);
+
+// Jobs whose scope includes the given one (null = every user / questionnaire)
+const coveringScope = ({ projectId, userId, questionnaireKey }) => ({
+  projectId,
+  userId: userId ? { $in: [null, userId] } : null,
+  questionnaireKey: questionnaireKey ? { $in: [null, questionnaireKey] } : null
+});
+
+// Jobs within the given scope
+const coveredScope = ({ projectId, userId, questionnaireKey }) => ({
+  projectId,
+  ...(userId ? { userId } : {}),
+  ...(questionnaireKey ? { questionnaireKey } : {})
+});
+
+/**
+ * Queue a recomputation, or push back the pending job that already covers it
+ * @param {Object} scope
+ * @param {string|ObjectId} scope.projectId
+ * @param {string|ObjectId} [scope.userId] - Omit for every user of the project
+ * @param {string} [scope.questionnaireKey] - Omit for every questionnaire
+ * @param {string} scope.reason - draft_saved, response_submitted, question_changed, thresholds_changed, report_requested
+ * @param {Date} [now]
+ * @returns {Promise<Object>} the pending job
+ */
+async function enqueueScoreRecompute({ projectId, userId = null, questionnaireKey = null, reason }, now = new Date()) {
+  const scope = {
+    projectId: toObjectId(projectId),
+    userId: toObjectId(userId),
+    questionnaireKey: questionnaireKey || null
+  };
+  const update = {
+    $set: { runAfter: later(now, RECOMPUTE_DEBOUNCE_MS) },
+    $addToSet: { reasons: reason },
+    $inc: { events: 1 }
+  };
+
+  const merged = await ScoreRecomputeJob.findOneAndUpdate(
+    { ...coveringScope(scope), status: 'pending' },
+    update,
+    { new: true }
+  ).lean();
+  if (merged) return merged;
+
+  let job;
+  try {
+    job = await ScoreRecomputeJob.findOneAndUpdate(
+      { ...scope, status: 'pending' },
+      { ...update, $setOnInsert: { requestedAt: now } },
+      { new: true, upsert: true }
+    ).lean();
+  } catch (error) {
+    // A concurrent enqueue inserted the scope's pending job first: merge into it
+    if (error.code !== 11000) throw error;
+    job = await ScoreRecomputeJob.findOneAndUpdate({ ...scope, status: 'pending' }, update, { new: true }).lean();
+  }
+
+  // A wider job replaces the narrower pending ones; it keeps their reasons and
+  // their first event, so the maximum delay still counts from there
+  if (!scope.userId || !scope.questionnaireKey) {
+    const narrower = await ScoreRecomputeJob.find({ ...coveredScope(scope), status: 'pending', _id: { $ne: job._id } })
+      .select('reasons events requestedAt')
+      .lean();
+    if (narrower.length > 0) {
+      await ScoreRecomputeJob.deleteMany({ _id: { $in: narrower.map(j => j._id) } });
+      job = await ScoreRecomputeJob.findOneAndUpdate(
+        { _id: job._id },
+        {
+          $addToSet: { reasons: { $each: [...new Set(narrower.flatMap(j => j.reasons || []))] } },
+          $inc: { events: narrower.reduce((sum, j) => sum + (j.events || 1), 0) },
+          $min: { requestedAt: new Date(Math.min(...narrower.map(j => j.requestedAt))) }
+        },
+        { new: true }
+      ).lean();
+    }
+  }
+  return job;
+}
+
+/**
+ * enqueueScoreRecompute for event hooks: failing to queue is logged and never
+ * fails the request that triggered it (getScoreStaleness still reports it)
+ */
+async function requestScoreRecompute(scope) {
+  try {
+    return await enqueueScoreRecompute(scope);
+  } catch (error) {
+    console.error(`⚠️ Could not queue score recomputation for project ${scope.projectId}:`, error.message);
+    return null;
+  }
+}
+
+// Due: the burst is over, or its first event is older than the maximum
+// delay. Retries always wait for their runAfter.
+const dueFilter = (now) => ({
+  status: 'pending',
+  $or: [
+    { runAfter: { $lte: now } },
+    { attempts: 0, requestedAt: { $lte: later(now, -RECOMPUTE_MAX_DELAY_MS) } }
+  ]
+});
+
+/**
+ * Put a job back in the queue. If its scope got a new pending job meanwhile,
+ * the job is merged into that one instead (one pending job per scope).
+ */
+async function requeueJob(job, $set) {
+  try {
+    await ScoreRecomputeJob.updateOne({ _id: job._id }, { $set: { ...$set, status: 'pending' } });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    await ScoreRecomputeJob.updateOne(
+      { projectId: job.projectId, userId: job.userId, questionnaireKey: job.questionnaireKey, status: 'pending' },
+      {
+        $addToSet: { reasons: { $each: job.reasons || [] } },
+        $inc: { events: job.events || 1 },
+        $min: { requestedAt: job.requestedAt, runAfter: $set.runAfter }
+      }
+    );
+    await ScoreRecomputeJob.deleteOne({ _id: job._id });
+  }
+}
+
+// One at a time: two requeued jobs of the same scope are merged as well
+async function requeueJobs(filter, runAfter) {
+  const jobs = await ScoreRecomputeJob.find(filter)
+    .select('projectId userId questionnaireKey reasons events requestedAt')
+    .lean();
+  for (const job of jobs) {
+    await requeueJob(job, { runAfter });
+  }
+}
+
+// Atomically take one job, so two workers never run the same one
+function claimJob(filter, now = new Date()) {
+  return ScoreRecomputeJob.findOneAndUpdate(
+    filter,
+    { $set: { status: 'running', startedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { requestedAt: 1 } }
+  ).lean();
+}
+
+// Cause recorded with the score history: a submission wins, a burst of draft
+// saves alone stays a draft save, anything else re-evaluates existing answers
+function computeCauseOf(job) {
+  const reasons = job.reasons || [];
+  if (reasons.includes('response_submitted')) return 'response_submitted';
+  if (reasons.length > 0 && reasons.every(r => r === 'draft_saved')) return 'draft_saved';
+  return 'reevaluation';
+}
+
+/**
+ * Recompute a claimed job's scope; failures are retried with a growing delay
+ * until RECOMPUTE_MAX_ATTEMPTS, then the job stays failed
+ */
+async function runJob(job) {
+  const { computeEthicalScores } = require('./ethicalScoringService');
+  try {
+    const scores = await computeEthicalScores(job.projectId, job.userId, job.questionnaireKey, {
+      cause: computeCauseOf(job)
+    });
+    const finishedAt = new Date();
+    await ScoreRecomputeJob.updateOne({ _id: job._id }, {
+      $set: {
+        status: 'done',
+        finishedAt,
+        lastError: null,
+        computedScores: scores.length,
+        expiresAt: later(finishedAt, RECOMPUTE_JOB_TTL_MS)
+      }
+    });
+    // Earlier failures within this scope are resolved now
+    await ScoreRecomputeJob.deleteMany({ ...coveredScope(job), status: 'failed' });
+    return 'done';
+  } catch (error) {
+    const failed = job.attempts >= RECOMPUTE_MAX_ATTEMPTS;
+    console.error(`❌ Score recomputation failed for project ${job.projectId} (attempt ${job.attempts}):`, error.message);
+    if (failed) {
+      await ScoreRecomputeJob.updateOne({ _id: job._id }, {
+        $set: { status: 'failed', finishedAt: new Date(), lastError: error.message }
+      });
+    } else {
+      await requeueJob(job, { runAfter: later(new Date(), RECOMPUTE_RETRY_DELAY_MS * job.attempts), lastError: error.message });
+    }
+    return failed ? 'failed' : 'retry';
+  }
+}
+
+/**
+ * One worker pass: requeue jobs lost by a stopped process, then run every due job
+ * @returns {Promise<number>} jobs run
+ */
+async function processDueJobs(now = new Date()) {
+  await requeueJobs({ status: 'running', startedAt: { $lte: later(now, -RECOMPUTE_STALE_RUNNING_MS) } }, now);
+
+  let ran = 0;
+  let job;
+  while ((job = await claimJob(dueFilter(now)))) {
+    await runJob(job);
+    ran++;
+  }
+  return ran;
+}
+
+let workerTimer = null;
+let workerBusy = false;
+
+/**
+ * Start the in-process worker (once per process; server.js, after MongoDB connects)
+ */
+function startScoreRecomputeWorker() {
+  if (workerTimer) return workerTimer;
+  workerTimer = setInterval(async () => {
+    if (workerBusy || mongoose.connection.readyState !== 1) return;
+    workerBusy = true;
+    try {
+      await processDueJobs();
+    } catch (error) {
+      console.error('⚠️ Score recompute worker pass failed:', error.message);
+    } finally {
+      workerBusy = false;
+    }
+  }, RECOMPUTE_POLL_INTERVAL_MS);
+  // Never keep the process alive just for the queue
+  workerTimer.unref();
+  return workerTimer;
+}
+
+/**
+ * Run a project's queued jobs now, without waiting for the debounce, and wait
+ * for the ones another worker is running. Failed jobs get one more attempt.
+ * With userId / questionnaireKey only the jobs covering that scope run.
+ * @returns {Promise<{ ran: number, timedOut: boolean }>}
+ */
+async function flushProjectRecompute(projectId, { userId = null, questionnaireKey = null, timeoutMs = RECOMPUTE_FLUSH_TIMEOUT_MS } = {}) {
+  const scope = {
+    projectId: toObjectId(projectId),
+    userId: toObjectId(userId),
+    questionnaireKey: questionnaireKey || null
+  };
+  const jobs = scope.userId || scope.questionnaireKey ? coveringScope(scope) : { projectId: scope.projectId };
+
+  await requeueJobs({ ...jobs, status: 'failed' }, new Date());
+
+  let ran = 0;
+  let job;
+  while ((job = await claimJob({ ...jobs, status: 'pending' }))) {
+    await runJob(job);
+    ran++;
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  while (await ScoreRecomputeJob.exists({ ...jobs, status: 'running' })) {
+    if (Date.now() >= deadline) return { ran, timedOut: true };
+    await new Promise(resolve => setTimeout(resolve, RECOMPUTE_POLL_INTERVAL_MS));
+  }
+  return { ran, timedOut: false };
+}
+
+/**
+ * Whether a project's scores are behind its data
+ *
+ * Stale when recomputations are queued, running or failed, when a response
+ * changed after its Score was computed (or was never scored), or when a Score
+ * was computed with another scoring model or threshold set than the project's.
+ * @throws 404 PROJECT_NOT_FOUND
+ */
+async function getScoreStaleness(projectId) {
+  const projectIdObj = toObjectId(projectId);
+  const project = await Project.findById(projectIdObj).select('scoringModel thresholdsVersion').lean();
+  if (!project) {
+    throw recomputeError(404, 'PROJECT_NOT_FOUND', 'Project not found');
+  }
+
+  const [jobs, responses, scores, thresholdSet] = await Promise.all([
+    ScoreRecomputeJob.find({ projectId: projectIdObj, status: { $in: ['pending', 'running', 'failed'] } })
+      .select('reasons status runAfter lastError')
+      .lean(),
+    Response.find({ projectId: projectIdObj, status: { $in: ['draft', 'submitted'] } })
+      .select('userId questionnaireKey updatedAt answers.answerSeverity answers.answerScore')
+      .lean(),
+    Score.find({ projectId: projectIdObj, role: { $ne: 'project' } })
+      .select('userId questionnaireKey computedAt scoringModelVersion thresholdsVersion')
+      .lean(),
+    getProjectThresholdSet(project)
+  ]);
+  const modelId = getProjectScoringModel(project).id;
+
+  const scoreMap = new Map(scores.map(s => [`${s.userId}_${s.questionnaireKey}`, s]));
+  const outdated = responses.filter(r => {
+    const score = scoreMap.get(`${r.userId}_${r.questionnaireKey}`);
+    // Responses with nothing to score yet (freshly assigned) need no Score
+    if (!score) return (r.answers || []).some(a => a.answerSeverity != null || a.answerScore != null);
+    return !score.computedAt || (r.updatedAt && r.updatedAt > score.computedAt);
+  });
+  const mismatched = scores.filter(s => s.scoringModelVersion !== modelId || s.thresholdsVersion !== thresholdSet.version);
+
+  const reasons = new Set(jobs.flatMap(j => j.reasons || []));
+  if (outdated.length > 0) reasons.add('responses_changed');
+  if (mismatched.length > 0) reasons.add('scoring_settings_changed');
+
+  const pending = jobs.filter(j => j.status === 'pending');
+  const failed = jobs.filter(j => j.status === 'failed');
+  const computedAt = scores.map(s => s.computedAt).filter(Boolean);
+
+  return {
+    projectId: String(projectIdObj),
+    stale: jobs.length > 0 || outdated.length > 0 || mismatched.length > 0,
+    reasons: [...reasons],
+    queue: {
+      pending: pending.length,
+      running: jobs.filter(j => j.status === 'running').length,
+      failed: failed.length,
+      nextRunAt: pending.length > 0 ? new Date(Math.min(...pending.map(j => j.runAfter))) : null,
+      lastError: failed[0]?.lastError || null
+    },
+    outdatedResponses: outdated.length,
+    mismatchedScores: mismatched.length,
+    lastComputedAt: computedAt.length > 0 ? new Date(Math.max(...computedAt)) : null
+  };
+}
+
+module.exports = {
+  enqueueScoreRecompute,
+  requestScoreRecompute,
+  processDueJobs,
+  startScoreRecomputeWorker,
+  flushProjectRecompute,
+  getScoreStaleness
+};
@@ -0,0 +1,39 @@
+/**
+ * ERC average scoring model
+ *
+ * Same per-question contribution as the cumulative model, averaged instead of
+ * summed, so principle and overall risk stay on the 0-4 scale the
+ * risk thresholds are defined for.
+ */
+
+const mean = (entries) => (entries.length > 0
+  ? entries.reduce((total, entry) => total + entry.finalRiskContribution, 0) / entries.length
+  : 0);
+
+module.exports = {
+  id: 'erc_average_v1',
+  label: 'ERC (average)',
+  description: 'Mean of importance × severity per principle and overall, 0-4',
+
+  input: {
+    importance: 'integer 0-4 (answer override, else question riskScore/importance)',
+    severity: 'number 0-1 (answerSeverity, else 1 - answerScore)'
+  },
+  output: {
+    contribution: 'importance × severity, 0-4',
+    principleRisk: 'mean contribution of the principle\'s answered questions, 0-4',
+    overallRisk: 'mean contribution of all answered questions, 0-4'
+  },
+
+  scoreQuestion({ importance, severity }) {
+    return { finalRiskContribution: importance * severity };
+  },
+
+  principleRisk(entries) {
+    return mean(entries);
+  },
+
+  overallRisk(entries) {
+    return mean(entries);
+  }
+};
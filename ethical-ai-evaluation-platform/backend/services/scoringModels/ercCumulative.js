@@ -0,0 +1,37 @@
+/**
+ * ERC cumulative scoring model (default)
+ *
+ * FinalRiskContribution = importance × severity, summed per principle and
+ * overall. Sums grow with the number of answered questions, so they are not
+ * compared against the normalized ERC thresholds directly.
+ */
+
+const sum = (entries) => entries.reduce((total, entry) => total + entry.finalRiskContribution, 0);
+
+module.exports = {
+  id: 'strict_ethical_v3_cumulative',
+  label: 'ERC (cumulative)',
+  description: 'Sum of importance × severity per principle and overall',
+
+  input: {
+    importance: 'integer 0-4 (answer override, else question riskScore/importance)',
+    severity: 'number 0-1 (answerSeverity, else 1 - answerScore)'
+  },
+  output: {
+    contribution: 'importance × severity, 0-4',
+    principleRisk: 'sum of contributions',
+    overallRisk: 'sum of all contributions'
+  },
+
+  scoreQuestion({ importance, severity }) {
+    return { finalRiskContribution: importance * severity };
+  },
+
+  principleRisk(entries) {
+    return sum(entries);
+  },
+
+  overallRisk(entries) {
+    return sum(entries);
+  }
+};
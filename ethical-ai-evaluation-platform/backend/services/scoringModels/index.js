@@ -0,0 +1,104 @@
+/**
+ * Scoring model registry
+ *
+ * Each scoring model is a self-contained module (see ercCumulative.js):
+ *
+ *   {
+ *     id,                  // stored as Score.scoringModelVersion
+ *     label, description,
+ *     input, output,       // documented contract
+ *     scoreQuestion({ importance, severity, question }) -> { finalRiskContribution, ...extraFields },
+ *     principleRisk(entries) -> number,
+ *     overallRisk(entries, principleRisks) -> number
+ *   }
+ *
+ * ethicalScoringService extracts importance (0-4) and severity (0-1) from
+ * responses and calls the model; `entries` are the scored question entries and
+ * `principleRisks` maps each principle with answers to its principle risk.
+ *
+ * Projects pick a model with `Project.scoringModel`; unset means the default.
+ * Models are independent of the risk thresholds: a score records the threshold
+ * set its project is pinned to (services/thresholdSetService).
+ */
+
+const ercCumulative = require('./ercCumulative');
+const ercAverage = require('./ercAverage');
+const legacyRpn = require('./legacyRpn');
+
+const DEFAULT_SCORING_MODEL = ercCumulative.id;
+
+const REQUIRED_FUNCTIONS = ['scoreQuestion', 'principleRisk', 'overallRisk'];
+
+const models = new Map();
+
+const scoringModelError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Add a scoring model to the registry
+ * @param {Object} model - See the module comment for the shape
+ */
+function registerScoringModel(model) {
+  if (!model || typeof model.id !== 'string' || !model.id) {
+    throw new Error('Scoring model needs a string id');
+  }
+  if (models.has(model.id)) {
+    throw new Error(`Scoring model "${model.id}" is already registered`);
+  }
+  const missing = REQUIRED_FUNCTIONS.filter((name) => typeof model[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Scoring model "${model.id}" is missing ${missing.join(', ')}`);
+  }
+  if (!model.input || !model.output) {
+    throw new Error(`Scoring model "${model.id}" must declare input and output`);
+  }
+  models.set(model.id, Object.freeze({ ...model }));
+}
+
+const isRegisteredScoringModel = (id) => models.has(id);
+
+/**
+ * @param {string} [id] - Model id; defaults to DEFAULT_SCORING_MODEL
+ * @returns {Object} the registered model
+ * @throws 400 UNKNOWN_SCORING_MODEL
+ */
+function getScoringModel(id) {
+  const model = models.get(id || DEFAULT_SCORING_MODEL);
+  if (!model) {
+    throw scoringModelError(400, 'UNKNOWN_SCORING_MODEL', `Unknown scoring model: ${id}`);
+  }
+  return model;
+}
+
+/**
+ * Model selected for a project (Project.scoringModel), or the default
+ * @param {Object|null} project
+ */
+const getProjectScoringModel = (project) => getScoringModel(project?.scoringModel);
+
+/**
+ * Public description of every registered model (for model pickers)
+ */
+const listScoringModels = () => [...models.values()].map((model) => ({
+  id: model.id,
+  label: model.label,
+  description: model.description,
+  input: model.input,
+  output: model.output,
+  isDefault: model.id === DEFAULT_SCORING_MODEL
+}));
+
+[ercCumulative, ercAverage, legacyRpn].forEach(registerScoringModel);
+
+module.exports = {
+  DEFAULT_SCORING_MODEL,
+  registerScoringModel,
+  isRegisteredScoringModel,
+  getScoringModel,
+  getProjectScoringModel,
+  listScoringModels
+};
@@ -0,0 +1,48 @@
+/**
+ * Legacy RPN scoring model
+ *
+ * rawRpn = riskScore (importance, 0-4) × answerRisk (0-4), normalized to 0-4.
+ * Principle risk is the mean normalized contribution; overall risk is the mean
+ * of the principles that have at least one answered question.
+ */
+
+module.exports = {
+  id: 'rpn_v1',
+  label: 'RPN (legacy)',
+  description: 'Risk priority number: mean per principle, mean of principles overall',
+
+  input: {
+    importance: 'integer 0-4, used as riskScore',
+    severity: 'number 0-1, scaled to answerRisk 0-4'
+  },
+  output: {
+    contribution: 'normalizedContribution = rawRpn / 4, 0-4 (also riskScore, answerRisk, rawRpn)',
+    principleRisk: 'mean normalizedContribution, 0-4',
+    overallRisk: 'mean principle risk over answered principles, 0-4'
+  },
+
+  scoreQuestion({ importance, severity }) {
+    const answerRisk = severity * 4;
+    const rawRpn = importance * answerRisk;
+    const normalizedContribution = rawRpn / 4;
+    return {
+      finalRiskContribution: normalizedContribution,
+      riskScore: importance,
+      answerRisk,
+      rawRpn,
+      normalizedContribution
+    };
+  },
+
+  principleRisk(entries) {
+    if (entries.length === 0) return 0;
+    // finalRiskContribution is the normalizedContribution (see scoreQuestion)
+    return entries.reduce((total, entry) => total + entry.finalRiskContribution, 0) / entries.length;
+  },
+
+  overallRisk(entries, principleRisks) {
+    const answered = Object.values(principleRisks);
+    if (answered.length === 0) return 0;
+    return answered.reduce((total, risk) => total + risk, 0) / answered.length;
+  }
+};
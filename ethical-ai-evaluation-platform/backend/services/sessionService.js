@@ -0,0 +1,89 @@
+/**
+ * Session Service
+ *
+ * Issues and resolves opaque session tokens (stored hashed in the Session
+ * collection). Tokens are revocable server-side, which is why this codebase
+ * uses Mongo-backed tokens instead of stateless JWTs.
+ */
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a new session for a user
+ * @param {Object} user - User document (needs _id)
+ * @param {Object} [meta] - Request metadata ({ ip, userAgent })
+ * @returns {Promise<{token: string, expiresAt: Date}>} Raw token (only returned once)
+ */
+async function createSession(user, meta = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+
+  await Session.create({
+    tokenHash: hashToken(token),
+    userId: user._id,
+    expiresAt,
+    ip: meta.ip,
+    userAgent: meta.userAgent
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Resolve a raw token to its session and user
+ * @param {string} token - Raw session token
+ * @returns {Promise<{session: Object, user: Object}|null>} null if unknown, expired or revoked
+ */
+async function resolveSession(token) {
+  if (!token) return null;
+
+  const session = await Session.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).lean();
+  if (!session) return null;
+
+  const mongoose = require('mongoose');
+  const User = mongoose.models.User || require('../models/User');
+  const user = await User.findById(session.userId).select('_id name email role preferredLocale').lean();
+  if (!user) return null;
+
+  // Best-effort activity stamp; never block the request on it
+  Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(() => { });
+
+  return { session, user };
+}
+
+/**
+ * Revoke a single session (logout)
+ * @param {string} token - Raw session token
+ */
+async function revokeSession(token) {
+  if (!token) return;
+  await Session.updateOne({ tokenHash: hashToken(token) }, { revokedAt: new Date() });
+}
+
+/**
+ * Revoke every active session of a user (password change/reset, account deletion)
+ * @param {string|ObjectId} userId
+ * @param {string} [exceptToken] - Keep this session alive (e.g. the caller's own)
+ */
+async function revokeUserSessions(userId, exceptToken) {
+  const filter = { userId, revokedAt: { $exists: false } };
+  if (exceptToken) filter.tokenHash = { $ne: hashToken(exceptToken) };
+  await Session.updateMany(filter, { revokedAt: new Date() });
+}
+
+module.exports = {
+  createSession,
+  resolveSession,
+  revokeSession,
+  revokeUserSessions,
+  SESSION_TTL_HOURS
+};
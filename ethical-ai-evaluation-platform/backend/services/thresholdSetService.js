@@ -0,0 +1,239 @@
+/**
+ * Threshold Set Service
+ *
+ * Risk threshold sets: the built-in config/ercThresholds.v1.js plus the sets
+ * admins draft and publish in the ThresholdSet collection, so a methodology
+ * change no longer needs a deploy.
+ *
+ * Every project pins the version it is scored and reported with
+ * (Project.thresholdsVersion). New projects are pinned to the default set when
+ * they are created; projects without a pin predate threshold sets and keep
+ * the built-in version. Published sets never change, so they are cached once
+ * loaded and historic reports can always be reproduced.
+ *
+ * A threshold set has the same shape as config/ercThresholds.js
+ * ({ version, description, scale, thresholds, notEvaluated, getRiskLevel }),
+ * so it can be passed wherever that config is used.
+ */
+
+const ThresholdSet = require('../models/ThresholdSet');
+const builtInThresholds = require('../config/ercThresholds');
+
+const BUILT_IN_VERSION = builtInThresholds.version;
+const RISK_LEVELS = Object.keys(builtInThresholds.thresholds);
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/;
+
+// version -> threshold set; only published (immutable) sets are cached
+const publishedSets = new Map([[BUILT_IN_VERSION, builtInThresholds]]);
+
+const thresholdSetError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Threshold set from a ThresholdSet document; classifies exactly like
+ * ercThresholds.v1.js (min <= value < max, the top band is open-ended)
+ * @param {Object} doc - ThresholdSet document (lean)
+ * @returns {Object} threshold set
+ */
+function toThresholdSet(doc) {
+  const thresholds = Object.fromEntries(doc.bands.map(({ level, min, max, label, color }) => [level, { min, max, label, color }]));
+  const notEvaluated = builtInThresholds.notEvaluated;
+  const top = RISK_LEVELS[RISK_LEVELS.length - 1];
+
+  return Object.freeze({
+    version: doc.version,
+    description: doc.description,
+    scale: builtInThresholds.scale,
+    thresholds,
+    notEvaluated,
+    getRiskLevel(value) {
+      if (value === null || value === undefined || isNaN(value)) {
+        return { ...notEvaluated, label: 'Data Unavailable' };
+      }
+      const score = Number(value);
+      for (const [level, threshold] of Object.entries(thresholds)) {
+        if (score >= threshold.min && (score < threshold.max || level === top)) {
+          return { level, ...threshold };
+        }
+      }
+      return { ...notEvaluated, label: 'Out of Range' };
+    }
+  });
+}
+
+/**
+ * Bands must cover the 0-4 scale once, in level order, without gaps
+ * @param {Array} bands - [{ level, min, max, label, color }]
+ * @throws 400 INVALID_THRESHOLD_SET
+ */
+function validateBands(bands) {
+  const fail = (message) => {
+    throw thresholdSetError(400, 'INVALID_THRESHOLD_SET', message);
+  };
+
+  if (!Array.isArray(bands) || bands.length !== RISK_LEVELS.length) {
+    fail(`A threshold set needs one band per level: ${RISK_LEVELS.join(', ')}`);
+  }
+  bands.forEach((band, index) => {
+    const expectedMin = index === 0 ? builtInThresholds.scale.min : bands[index - 1].max;
+    if (band.level !== RISK_LEVELS[index]) fail(`Band ${index + 1} must be ${RISK_LEVELS[index]}`);
+    if (band.min !== expectedMin) fail(`${band.level} must start at ${expectedMin}`);
+    if (!(band.max > band.min)) fail(`${band.level} must end above ${band.min}`);
+    if (!band.label || !String(band.label).trim()) fail(`${band.level} needs a label`);
+    if (!COLOR_PATTERN.test(band.color || '')) fail(`${band.level} color must be a hex color such as #D32F2F`);
+  });
+  if (bands[bands.length - 1].max !== builtInThresholds.scale.max) {
+    fail(`${RISK_LEVELS[RISK_LEVELS.length - 1]} must end at ${builtInThresholds.scale.max}`);
+  }
+}
+
+/**
+ * Published threshold set by version (built-in or stored)
+ * @param {string} version
+ * @returns {Promise<Object>} threshold set
+ * @throws 404 UNKNOWN_THRESHOLD_SET
+ */
+async function getThresholdSet(version) {
+  if (publishedSets.has(version)) return publishedSets.get(version);
+
+  const doc = await ThresholdSet.findOne({ version, status: 'published' }).lean();
+  if (!doc) {
+    throw thresholdSetError(404, 'UNKNOWN_THRESHOLD_SET', `Unknown or unpublished threshold set: ${version}`);
+  }
+  const set = toThresholdSet(doc);
+  publishedSets.set(version, set);
+  return set;
+}
+
+/**
+ * Set new projects are pinned to: the published default, else the built-in set
+ * @returns {Promise<Object>} threshold set
+ */
+async function getDefaultThresholdSet() {
+  const doc = await ThresholdSet.findOne({ status: 'published', isDefault: true }).select('version').lean();
+  return doc ? getThresholdSet(doc.version) : builtInThresholds;
+}
+
+/**
+ * Set a project is pinned to (Project.thresholdsVersion); unpinned = built-in
+ * @param {Object|null} project - Needs thresholdsVersion
+ * @returns {Promise<Object>} threshold set
+ */
+async function getProjectThresholdSet(project) {
+  return project?.thresholdsVersion ? getThresholdSet(project.thresholdsVersion) : builtInThresholds;
+}
+
+/**
+ * Admin listing: built-in set first, then stored sets newest first (drafts included)
+ * @returns {Promise<Array>} [{ version, description, status, isDefault, builtIn, bands, ... }]
+ */
+async function listThresholdSets() {
+  const docs = await ThresholdSet.find({})
+    .sort({ createdAt: -1 })
+    .populate('createdBy', 'name email')
+    .populate('publishedBy', 'name email')
+    .lean();
+  const hasStoredDefault = docs.some((doc) => doc.status === 'published' && doc.isDefault);
+
+  const builtIn = {
+    version: BUILT_IN_VERSION,
+    description: builtInThresholds.description,
+    status: 'published',
+    isDefault: !hasStoredDefault,
+    builtIn: true,
+    bands: Object.entries(builtInThresholds.thresholds).map(([level, threshold]) => ({ level, ...threshold }))
+  };
+  return [builtIn, ...docs.map((doc) => ({ ...doc, builtIn: false }))];
+}
+
+/**
+ * Create a draft threshold set
+ * @param {Object} params
+ * @param {string} params.version - Unique version id
+ * @param {string} [params.description]
+ * @param {Array} params.bands - [{ level, min, max, label, color }], MINIMAL → CRITICAL
+ * @param {string|ObjectId} [params.createdBy] - Admin user id
+ * @throws 400 INVALID_THRESHOLD_SET, 409 THRESHOLD_VERSION_EXISTS
+ */
+async function createThresholdDraft({ version, description, bands, createdBy }) {
+  const trimmed = String(version || '').trim();
+  if (trimmed === BUILT_IN_VERSION || await ThresholdSet.exists({ version: trimmed })) {
+    throw thresholdSetError(409, 'THRESHOLD_VERSION_EXISTS', `Threshold set ${trimmed} already exists`);
+  }
+  validateBands(bands);
+
+  const doc = await ThresholdSet.create({ version: trimmed, description, bands, createdBy });
+  return doc.toObject();
+}
+
+/**
+ * Edit a draft (published sets are immutable)
+ * @param {string} version
+ * @param {Object} changes - { description?, bands? }
+ * @throws 404 UNKNOWN_THRESHOLD_SET, 409 THRESHOLD_SET_PUBLISHED, 400 INVALID_THRESHOLD_SET
+ */
+async function updateThresholdDraft(version, { description, bands }) {
+  const doc = await ThresholdSet.findOne({ version });
+  if (!doc) {
+    throw thresholdSetError(404, 'UNKNOWN_THRESHOLD_SET', `Unknown threshold set: ${version}`);
+  }
+  if (doc.status !== 'draft') {
+    throw thresholdSetError(409, 'THRESHOLD_SET_PUBLISHED', `Threshold set ${version} is published and can no longer change`);
+  }
+  if (bands !== undefined) {
+    validateBands(bands);
+    doc.bands = bands;
+  }
+  if (description !== undefined) doc.description = description;
+
+  await doc.save();
+  return doc.toObject();
+}
+
+/**
+ * Publish a draft and (by default) make it the set new projects are pinned to.
+ * Existing projects keep their pin until an admin re-pins them.
+ * @param {string} version
+ * @param {Object} [options]
+ * @param {string|ObjectId} [options.publishedBy] - Admin user id
+ * @param {boolean} [options.makeDefault=true]
+ * @throws 404 UNKNOWN_THRESHOLD_SET, 409 THRESHOLD_SET_PUBLISHED
+ */
+async function publishThresholdSet(version, { publishedBy, makeDefault = true } = {}) {
+  const doc = await ThresholdSet.findOne({ version });
+  if (!doc) {
+    throw thresholdSetError(404, 'UNKNOWN_THRESHOLD_SET', `Unknown threshold set: ${version}`);
+  }
+  if (doc.status !== 'draft') {
+    throw thresholdSetError(409, 'THRESHOLD_SET_PUBLISHED', `Threshold set ${version} is already published`);
+  }
+  validateBands(doc.bands.map((band) => band.toObject()));
+
+  if (makeDefault) {
+    await ThresholdSet.updateMany({ isDefault: true }, { isDefault: false });
+  }
+  doc.status = 'published';
+  doc.isDefault = makeDefault;
+  doc.publishedBy = publishedBy;
+  doc.publishedAt = new Date();
+  await doc.save();
+  return doc.toObject();
+}
+
+module.exports = {
+  BUILT_IN_VERSION,
+  RISK_LEVELS,
+  toThresholdSet,
+  validateBands,
+  getThresholdSet,
+  getDefaultThresholdSet,
+  getProjectThresholdSet,
+  listThresholdSets,
+  createThresholdDraft,
+  updateThresholdDraft,
+  publishThresholdSet
+};
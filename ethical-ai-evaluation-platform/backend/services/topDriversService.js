@@ -9,7 +9,7 @@ const mongoose = require('mongoose');
 const Score = require('../models/score');
 const Response = require('../models/response');
 const Question = require('../models/question');
-const User = mongoose.model('User'); // User model is registered in server.js
+const User = mongoose.model('User'); // User model is registered by models/index.js
 
 const isValidObjectId = (id) => {
   if (typeof mongoose.isValidObjectId === 'function') {
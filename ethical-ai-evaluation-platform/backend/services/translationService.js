@@ -0,0 +1,132 @@
+/**
+ * Translation Service
+ *
+ * How completely each questionnaire's live questions are translated into the
+ * registered locales (config/locales.config.js). A question's translatable
+ * texts are its text, principle label, description and option labels; each
+ * counts once per locale when it has an English text. Untranslated texts are
+ * shown in English (utils/localization.js).
+ */
+
+const Question = require('../models/question');
+const Questionnaire = require('../models/questionnaire');
+const { DEFAULT_LOCALE, LOCALES, hasText, hasTranslation } = require('../utils/localization');
+
+const translationError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+// Locales translated from English
+const TARGET_LOCALES = LOCALES.filter(locale => locale.code !== DEFAULT_LOCALE);
+
+/**
+ * Texts of a question to translate, by field ('text', 'options.yes', ...)
+ * @param {Object} question
+ * @returns {Array<[string, Object]>}
+ */
+function translatableTexts(question) {
+  return [
+    ['text', question.text],
+    ['principleLabel', question.principleLabel],
+    ['description', question.description],
+    ...(question.options || []).map(option => [`options.${option.key}`, option.label])
+  ].filter(([, text]) => hasText(text?.[DEFAULT_LOCALE]));
+}
+
+/**
+ * Translation status of questions in one locale
+ * @param {Array} questions
+ * @param {string} locale
+ * @returns {Object} { translated, total, percent, complete, missing: [{ code, fields }] }
+ */
+function describeCompleteness(questions, locale) {
+  let translated = 0;
+  let total = 0;
+  const missing = [];
+
+  questions.forEach(question => {
+    const texts = translatableTexts(question);
+    const fields = texts.filter(([, text]) => !hasTranslation(text, locale)).map(([field]) => field);
+    total += texts.length;
+    translated += texts.length - fields.length;
+    if (fields.length > 0) missing.push({ code: question.code, fields });
+  });
+
+  return {
+    translated,
+    total,
+    percent: total > 0 ? Math.round((translated / total) * 1000) / 10 : 100,
+    complete: translated === total,
+    missing
+  };
+}
+
+/**
+ * Translation completeness of one questionnaire, per locale
+ * @param {string} questionnaireKey
+ * @returns {Promise<Object>} { questionnaireKey, title, questionCount, locales: [{ locale, name, nativeName, translated, total, percent, complete, missing }] }
+ * @throws 404 QUESTIONNAIRE_NOT_FOUND
+ */
+async function getQuestionnaireTranslations(questionnaireKey) {
+  const [questionnaire, questions] = await Promise.all([
+    Questionnaire.findOne({ key: questionnaireKey }).select('key title').lean(),
+    Question.find({ questionnaireKey }).sort({ order: 1 }).select('code text principleLabel description options').lean()
+  ]);
+  if (!questionnaire && questions.length === 0) {
+    throw translationError(404, 'QUESTIONNAIRE_NOT_FOUND', `Questionnaire ${questionnaireKey} not found`);
+  }
+
+  return {
+    questionnaireKey,
+    title: questionnaire?.title || questionnaireKey,
+    questionCount: questions.length,
+    locales: TARGET_LOCALES.map(({ code, name, nativeName }) => ({
+      locale: code,
+      name,
+      nativeName,
+      ...describeCompleteness(questions, code)
+    }))
+  };
+}
+
+/**
+ * Translation completeness of every questionnaire (without the missing texts)
+ * @returns {Promise<Object>} { defaultLocale, locales, questionnaires: [{ questionnaireKey, title, questionCount, locales: [{ locale, translated, total, percent, complete }] }] }
+ */
+async function getTranslationOverview() {
+  const [questionnaires, questions] = await Promise.all([
+    Questionnaire.find({}).select('key title').sort({ key: 1 }).lean(),
+    Question.find({}).select('questionnaireKey code text principleLabel description options').lean()
+  ]);
+  const keys = [...new Set([
+    ...questionnaires.map(q => q.key),
+    ...questions.map(q => q.questionnaireKey)
+  ])];
+
+  return {
+    defaultLocale: DEFAULT_LOCALE,
+    locales: LOCALES,
+    questionnaires: keys.map(key => {
+      const own = questions.filter(q => q.questionnaireKey === key);
+      return {
+        questionnaireKey: key,
+        title: questionnaires.find(q => q.key === key)?.title || key,
+        questionCount: own.length,
+        locales: TARGET_LOCALES.map(({ code }) => {
+          const { translated, total, percent, complete } = describeCompleteness(own, code);
+          return { locale: code, translated, total, percent, complete };
+        })
+      };
+    })
+  };
+}
+
+module.exports = {
+  translatableTexts,
+  describeCompleteness,
+  getQuestionnaireTranslations,
+  getTranslationOverview
+};
@@ -0,0 +1,336 @@
+/**
+ * Two-Factor Authentication Service (TOTP)
+ *
+ * Enrollment: setup() stores a pending secret and returns the otpauth URI,
+ * enable() promotes it once the user proves a code, and hands out one-time
+ * recovery codes (stored hashed).
+ *
+ * Login: for users with 2FA enabled, or whose role is listed in
+ * TWO_FACTOR_REQUIRED_ROLES, POST /api/login issues a short-lived challenge
+ * instead of a session. completeChallenge() exchanges it (plus a TOTP or
+ * recovery code) for the user id; users of a required role who have not
+ * enrolled yet enroll inside that same challenge.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const TwoFactorChallenge = require('../models/TwoFactorChallenge');
+const { isLocked, registerFailedLogin } = require('./accountLockoutService');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  TWO_FACTOR_REQUIRED_ROLES,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_TTL_MS,
+  TWO_FACTOR_MAX_ATTEMPTS,
+  RECOVERY_CODE_COUNT
+} = require('../config/security.config');
+
+const getUserModel = () => mongoose.models.User || require('../models/User');
+
+const hashValue = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const twoFactorError = (statusCode, code, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Is 2FA mandatory for this user's role
+ * @param {Object} user - needs role
+ */
+const isTwoFactorRequired = (user) => TWO_FACTOR_REQUIRED_ROLES.includes(user?.role);
+
+/**
+ * Does logging in as this user need a second step
+ * @param {Object} user - needs role, twoFactor.enabled
+ */
+const needsSecondFactor = (user) => Boolean(user?.twoFactor?.enabled) || isTwoFactorRequired(user);
+
+/**
+ * Recovery codes are compared case- and separator-insensitively
+ * @param {string} code
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{codes: string[], hashes: string[]}} Plain codes (shown once) and their hashes (stored)
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashValue(normalizeRecoveryCode(code))) };
+}
+
+const loadUserWithSecrets = async (userId) => {
+  const User = getUserModel();
+  const user = await User.findById(userId)
+    // List twoFactor fields individually: projecting `twoFactor` and `twoFactor.secret` together is a path collision
+    .select([
+      'email', 'role', 'lockedUntil', 'twoFactor.enabled', 'twoFactor.enabledAt', 'twoFactor.lastUsedStep',
+      '+twoFactor.secret', '+twoFactor.pendingSecret', '+twoFactor.recoveryCodes'
+    ].join(' '))
+    .lean();
+  if (!user) throw twoFactorError(404, 'USER_NOT_FOUND', 'User not found.');
+  return user;
+};
+
+/**
+ * 2FA status for the profile screen
+ * @param {string|ObjectId} userId
+ */
+async function getStatus(userId) {
+  const user = await loadUserWithSecrets(userId);
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    required: isTwoFactorRequired(user),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+  };
+}
+
+/**
+ * Start enrollment: store a pending secret and return it as an otpauth URI
+ * @param {string|ObjectId} userId
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+async function setup(userId) {
+  const user = await loadUserWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError(409, 'TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled.');
+  }
+
+  const secret = generateSecret();
+  await getUserModel().updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string|ObjectId} userId
+ * @param {string} code
+ * @returns {Promise<{recoveryCodes: string[]}>} Plain recovery codes, only returned here
+ */
+async function enable(userId, code) {
+  const user = await loadUserWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError(409, 'TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled.');
+  }
+  const pendingSecret = user.twoFactor?.pendingSecret;
+  if (!pendingSecret) {
+    throw twoFactorError(400, 'TWO_FACTOR_SETUP_REQUIRED', 'Start two-factor setup first.');
+  }
+
+  const step = verifyTotp(pendingSecret, code);
+  if (step === null) {
+    throw twoFactorError(400, 'INVALID_TWO_FACTOR_CODE', 'The code is incorrect. Check the time on your device and try again.');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await getUserModel().updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Check a TOTP code (rejecting replays) or consume a recovery code
+ * @param {string|ObjectId} userId
+ * @param {Object} factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode]
+ * @returns {Promise<{method: 'totp'|'recovery', recoveryCodesRemaining: number}>}
+ */
+async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const user = await loadUserWithSecrets(userId);
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+    throw twoFactorError(400, 'TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled.');
+  }
+  const User = getUserModel();
+  const storedCodes = user.twoFactor.recoveryCodes || [];
+
+  if (recoveryCode) {
+    const hash = hashValue(normalizeRecoveryCode(recoveryCode));
+    // $pull only matches an unused code, so each recovery code works once even under concurrent use
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount !== 1) {
+      throw twoFactorError(401, 'INVALID_TWO_FACTOR_CODE', 'The recovery code is incorrect or has already been used.');
+    }
+    return { method: 'recovery', recoveryCodesRemaining: storedCodes.length - 1 };
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) {
+    throw twoFactorError(401, 'INVALID_TWO_FACTOR_CODE', 'The code is incorrect. Check the time on your device and try again.');
+  }
+  // Each time step may be used once
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (result.modifiedCount !== 1) {
+    throw twoFactorError(401, 'INVALID_TWO_FACTOR_CODE', 'This code has already been used. Wait for the next one.');
+  }
+  return { method: 'totp', recoveryCodesRemaining: storedCodes.length };
+}
+
+/**
+ * Turn 2FA off (not allowed for roles that require it)
+ * @param {string|ObjectId} userId
+ * @param {Object} factor - { code } or { recoveryCode }
+ */
+async function disable(userId, factor) {
+  const user = await loadUserWithSecrets(userId);
+  if (isTwoFactorRequired(user)) {
+    throw twoFactorError(403, 'TWO_FACTOR_REQUIRED_FOR_ROLE', 'Two-factor authentication is mandatory for your role.');
+  }
+  await verifySecondFactor(userId, factor);
+  await getUserModel().updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.lastUsedStep': 0 },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.enabledAt': 1
+      }
+    }
+  );
+}
+
+/**
+ * Replace all recovery codes (requires a current TOTP code)
+ * @param {string|ObjectId} userId
+ * @param {string} code
+ * @returns {Promise<{recoveryCodes: string[]}>}
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  await verifySecondFactor(userId, { code });
+  const { codes, hashes } = generateRecoveryCodes();
+  await getUserModel().updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Issue the second-step challenge after a correct password
+ * @param {Object} user - needs _id, role, twoFactor.enabled
+ * @param {Object} [meta] - { ip, userAgent }
+ * @returns {Promise<{mfaToken: string, expiresAt: Date, enrollmentRequired: boolean}>}
+ */
+async function createChallenge(user, meta = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS);
+  await TwoFactorChallenge.create({
+    tokenHash: hashValue(token),
+    userId: user._id,
+    expiresAt,
+    ip: meta.ip,
+    userAgent: meta.userAgent
+  });
+  return { mfaToken: token, expiresAt, enrollmentRequired: !user.twoFactor?.enabled };
+}
+
+const findChallenge = async (mfaToken) => {
+  if (!mfaToken || typeof mfaToken !== 'string') {
+    throw twoFactorError(401, 'TWO_FACTOR_CHALLENGE_INVALID', 'Your sign-in attempt has expired. Please log in again.');
+  }
+  const challenge = await TwoFactorChallenge.findOne({
+    tokenHash: hashValue(mfaToken),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!challenge) {
+    throw twoFactorError(401, 'TWO_FACTOR_CHALLENGE_INVALID', 'Your sign-in attempt has expired. Please log in again.');
+  }
+  return challenge;
+};
+
+/**
+ * Enrollment during login, for required roles that have not set up 2FA yet
+ * @param {string} mfaToken
+ */
+async function setupForChallenge(mfaToken) {
+  const challenge = await findChallenge(mfaToken);
+  return setup(challenge.userId);
+}
+
+/**
+ * Exchange a challenge and a second factor for the user id
+ * @param {string} mfaToken
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<{userId: ObjectId, recoveryCodes?: string[], recoveryCodesRemaining?: number}>}
+ */
+async function completeChallenge(mfaToken, factor = {}) {
+  const challenge = await findChallenge(mfaToken);
+
+  try {
+    const user = await loadUserWithSecrets(challenge.userId);
+    if (isLocked(user)) {
+      await TwoFactorChallenge.deleteOne({ _id: challenge._id });
+      throw twoFactorError(423, 'ACCOUNT_LOCKED', 'This account is temporarily locked after too many failed login attempts.');
+    }
+    let result;
+    if (user.twoFactor?.enabled) {
+      result = await verifySecondFactor(challenge.userId, factor);
+    } else {
+      // First login since the role made 2FA mandatory: the code confirms enrollment
+      result = await enable(challenge.userId, factor.code);
+    }
+    await TwoFactorChallenge.deleteOne({ _id: challenge._id });
+    return { userId: challenge.userId, ...result };
+  } catch (err) {
+    // Lets the caller audit the failed attempt against the right account
+    err.userId = challenge.userId;
+    if (err.code !== 'INVALID_TWO_FACTOR_CODE') throw err;
+
+    // Wrong second factors count towards the account lockout like wrong passwords
+    await registerFailedLogin(challenge.userId);
+    challenge.attempts += 1;
+    if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      await TwoFactorChallenge.deleteOne({ _id: challenge._id });
+      throw Object.assign(
+        twoFactorError(401, 'TWO_FACTOR_ATTEMPTS_EXCEEDED', 'Too many incorrect codes. Please log in again.'),
+        { userId: challenge.userId }
+      );
+    }
+    await challenge.save();
+    throw err;
+  }
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  needsSecondFactor,
+  normalizeRecoveryCode,
+  generateRecoveryCodes,
+  getStatus,
+  setup,
+  enable,
+  verifySecondFactor,
+  disable,
+  regenerateRecoveryCodes,
+  createChallenge,
+  setupForChallenge,
+  completeChallenge
+};
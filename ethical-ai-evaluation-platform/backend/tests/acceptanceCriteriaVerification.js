@@ -114,8 +114,9 @@ function verifyAcceptanceCriteria() {
 
   // 5. Top risky questions table with answer snippets
   log('\n5. Top Risky Questions Table:', 'blue');
+  // DOCX headings and table labels come from the report catalogue (locales/<code>.json)
   if (checkFileContains(
-    'services/professionalDocxService.js',
+    'locales/en.json',
     'Top Risk Drivers',
     'Top risky questions section exists'
   )) passed++; else failed++;
@@ -141,7 +142,7 @@ function verifyAcceptanceCriteria() {
   )) passed++; else failed++;
   
   if (checkFileContains(
-    'services/professionalDocxService.js',
+    'locales/en.json',
     'Evidence Count',
     'Evidence Count column in tensions table'
   )) passed++; else failed++;
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for inter-rater agreement
+ * Tests: Krippendorff's alpha and Fleiss' kappa against published reference
+ * values, dispersion, and per question / principle / role pair agreement with
+ * discussion candidates from computeAgreement
+ */
+
+const mongoose = require('mongoose');
+const {
+  krippendorffAlpha,
+  fleissKappa,
+  pairwiseAgreement,
+  dispersion,
+  computeAgreement
+} = require('../services/agreementService');
+
+describe('coefficients', () => {
+  // Krippendorff (2011), "Computing Krippendorff's Alpha-Reliability": 4 observers, 12 units
+  const observers = [
+    [1, 2, 3, 3, 2, 1, 4, 1, 2, null, null, null],
+    [1, 2, 3, 3, 2, 2, 4, 1, 2, 5, null, 3],
+    [null, 3, 3, 3, 2, 3, 4, 2, 2, 5, 1, null],
+    [1, 2, 3, 3, 2, 4, 4, 1, 2, 5, 1, null]
+  ];
+  const units = observers[0].map((_, i) => observers.map(o => o[i]).filter(v => v !== null));
+
+  test('Krippendorff alpha matches the reference example', () => {
+    expect(krippendorffAlpha(units, 'nominal')).toBeCloseTo(0.743, 3);
+    expect(krippendorffAlpha(units, 'interval')).toBeCloseTo(0.849, 3);
+  });
+
+  test('Fleiss kappa matches the reference example', () => {
+    // Fleiss (1971) as reproduced on Wikipedia: 10 subjects, 14 raters, 5 categories
+    const table = [
+      [0, 0, 0, 0, 14], [0, 2, 6, 4, 2], [0, 0, 3, 5, 6], [0, 3, 9, 2, 0], [2, 2, 8, 1, 1],
+      [7, 7, 0, 0, 0], [3, 2, 6, 3, 0], [2, 5, 3, 2, 2], [6, 5, 2, 1, 0], [0, 2, 2, 3, 7]
+    ];
+    const subjects = table.map(row => row.flatMap((count, category) => Array(count).fill(category)));
+    expect(fleissKappa(subjects)).toBeCloseTo(0.210, 3);
+  });
+
+  test('nothing to compare or no variation is null, not a number', () => {
+    expect(krippendorffAlpha([[1], [2]])).toBeNull();
+    expect(krippendorffAlpha([['a', 'a'], ['a', 'a']])).toBeNull();
+    expect(fleissKappa([['a', 'a'], ['a', 'a']])).toBeNull();
+    expect(pairwiseAgreement(['a'])).toBeNull();
+  });
+
+  test('pairwise agreement and dispersion of a single question', () => {
+    expect(pairwiseAgreement(['a', 'a', 'b'])).toBeCloseTo(1 / 3);
+    expect(dispersion([0, 0.5, 1])).toEqual({ n: 3, mean: 0.5, sd: 0.408, min: 0, max: 1, range: 1 });
+    expect(dispersion([])).toBeNull();
+  });
+});
+
+describe('computeAgreement', () => {
+  const question = (code, principle, answerType = 'single_choice') => ({
+    _id: new mongoose.Types.ObjectId(),
+    code,
+    principle,
+    answerType,
+    text: { en: `${code} text` }
+  });
+  const agreed = question('T1', 'TRANSPARENCY');
+  const disputed = question('T2', 'TRANSPARENCY');
+  const openText = question('A1', 'ACCOUNTABILITY', 'open_text');
+  const solo = question('P1', 'PRIVACY & DATA GOVERNANCE');
+  const questions = [agreed, disputed, openText, solo];
+
+  const response = (role, answers) => ({
+    userId: new mongoose.Types.ObjectId(),
+    role,
+    answers: answers.map(([q, choiceKey, answerSeverity, importanceScore]) => ({
+      questionId: q._id,
+      answer: { choiceKey },
+      answerSeverity,
+      importanceScore
+    }))
+  });
+
+  const responses = [
+    response('ethical-expert', [[agreed, 'yes', 0, 3], [disputed, 'yes', 0, 4], [openText, null, 0.5, 2], [solo, 'no', 1, 4]]),
+    response('legal-expert', [[agreed, 'yes', 0, 3], [disputed, 'no', 1, 1], [openText, null, 0.5, 2]]),
+    response('technical-expert', [[agreed, 'yes', 0.1, 3], [disputed, 'partly', 0.5, 2]])
+  ];
+
+  const agreement = computeAgreement(responses, questions);
+  const byCode = Object.fromEntries(agreement.byQuestion.map(q => [q.questionCode, q]));
+
+  test('only questions answered by at least two evaluators are compared', () => {
+    expect(Object.keys(byCode).sort()).toEqual(['A1', 'T1', 'T2']);
+    expect(agreement.overall.questions).toBe(3);
+  });
+
+  test('per question: option agreement, modal answer and dispersion', () => {
+    expect(byCode.T1.choice).toEqual({ n: 3, agreement: 1, modalKey: 'yes', modalShare: 1 });
+    expect(byCode.T2.choice.agreement).toBe(0);
+    expect(byCode.T2.severity).toMatchObject({ min: 0, max: 1, range: 1 });
+    // Open-text answers have no option to agree on, only severity and importance
+    expect(byCode.A1.choice).toBeNull();
+    expect(byCode.A1.importance).toMatchObject({ n: 2, sd: 0 });
+  });
+
+  test('high-disagreement questions are discussion candidates, listed first', () => {
+    expect(agreement.byQuestion[0].questionCode).toBe('T2');
+    expect(byCode.T2.reasons).toEqual([
+      'Only 0% of evaluator pairs chose the same option',
+      'Answer severity ranges from 0 to 1',
+      'Importance ranges from 1 to 4'
+    ]);
+    expect(byCode.T1.discussionCandidate).toBe(false);
+    expect(agreement.discussionCandidates).toEqual([
+      expect.objectContaining({ questionCode: 'T2', principleKey: 'TRANSPARENCY' })
+    ]);
+  });
+
+  test('per principle and per role pair', () => {
+    const transparency = agreement.byPrinciple.find(p => p.principleKey === 'TRANSPARENCY');
+    expect(transparency).toMatchObject({ questions: 2, discussionCandidates: 1 });
+    expect(transparency.choice.units).toBe(2);
+    expect(transparency.choice.alpha).toBeLessThan(0.667);
+
+    expect(agreement.byRolePair.map(p => p.roles)).toEqual([
+      ['ethical-expert', 'legal-expert'],
+      ['ethical-expert', 'technical-expert'],
+      ['legal-expert', 'technical-expert']
+    ]);
+    const ethicalLegal = agreement.byRolePair[0];
+    expect(ethicalLegal.questions).toBe(3);
+    expect(ethicalLegal.meanSeverityGap).toBeCloseTo(1 / 3, 3);
+  });
+
+  test('no responses is an empty result', () => {
+    expect(computeAgreement([], questions)).toMatchObject({
+      overall: { questions: 0, choice: { alpha: null, kappa: null } },
+      byQuestion: [],
+      byPrinciple: [],
+      byRolePair: [],
+      discussionCandidates: []
+    });
+  });
+});
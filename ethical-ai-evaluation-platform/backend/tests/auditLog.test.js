@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for the security audit log
+ * Tests: query filters (user/project/type/date range), input validation, append-only model
+ */
+
+const mongoose = require('mongoose');
+const { AUDIT_EVENTS, buildAuditQuery } = require('../services/auditLogService');
+const AuditEvent = require('../models/AuditEvent');
+
+describe('audit query filters', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const projectId = new mongoose.Types.ObjectId().toString();
+
+  test('no filters returns an empty query', () => {
+    expect(buildAuditQuery({})).toEqual({});
+  });
+
+  test('user filter matches the actor or the subject', () => {
+    const query = buildAuditQuery({ userId });
+    expect(query.$or).toHaveLength(2);
+    expect(String(query.$or[0].actorId)).toBe(userId);
+    expect(String(query.$or[1].subjectUserId)).toBe(userId);
+  });
+
+  test('project and exact type filters', () => {
+    const query = buildAuditQuery({ projectId, type: AUDIT_EVENTS.ROLE_CHANGE });
+    expect(String(query.projectId)).toBe(projectId);
+    expect(query.type).toBe('user.role.change');
+  });
+
+  test('type ending in * is an escaped prefix match', () => {
+    const { type } = buildAuditQuery({ type: 'auth.*' });
+    const regex = new RegExp(type.$regex);
+    expect(regex.test(AUDIT_EVENTS.LOGIN_SUCCESS)).toBe(true);
+    expect(regex.test(AUDIT_EVENTS.LOGOUT)).toBe(true);
+    expect(regex.test('authXlogin')).toBe(false);
+    expect(regex.test(AUDIT_EVENTS.PASSWORD_CHANGE)).toBe(false);
+  });
+
+  test('date range bounds are inclusive', () => {
+    const query = buildAuditQuery({ from: '2025-01-01T00:00:00Z', to: '2025-01-31T23:59:59Z' });
+    expect(query.createdAt.$gte).toEqual(new Date('2025-01-01T00:00:00Z'));
+    expect(query.createdAt.$lte).toEqual(new Date('2025-01-31T23:59:59Z'));
+  });
+
+  test('invalid ids and dates are rejected with 400', () => {
+    expect(() => buildAuditQuery({ userId: 'nope' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => buildAuditQuery({ projectId: '123' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => buildAuditQuery({ from: 'yesterday' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('append-only audit events', () => {
+  test('update and delete queries are rejected', async () => {
+    await expect(AuditEvent.updateOne({}, { $set: { outcome: 'failure' } })).rejects.toThrow('append-only');
+    await expect(AuditEvent.findOneAndUpdate({}, { $set: { type: 'x' } })).rejects.toThrow('append-only');
+    await expect(AuditEvent.deleteMany({})).rejects.toThrow('append-only');
+    await expect(AuditEvent.findOneAndDelete({})).rejects.toThrow('append-only');
+  });
+
+  test('stored documents cannot be re-saved or deleted', async () => {
+    const event = AuditEvent.hydrate({ _id: new mongoose.Types.ObjectId(), type: AUDIT_EVENTS.LOGOUT });
+    event.outcome = 'failure';
+    await expect(event.save()).rejects.toThrow('append-only');
+    await expect(event.deleteOne()).rejects.toThrow('append-only');
+  });
+});
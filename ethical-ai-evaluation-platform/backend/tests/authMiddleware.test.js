@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for the session authentication middleware
+ * Tests: token extraction, missing-token rejection, actor/subject resolution, self-or-admin guard
+ */
+
+const {
+  authenticate,
+  extractToken,
+  getActorId,
+  resolveSubjectUserId,
+  requireSelfOrAdmin
+} = require('../middleware/auth');
+
+function createMockRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (data) => { res.body = data; return res; };
+  return res;
+}
+
+describe('auth middleware', () => {
+  test('extractToken reads the Bearer header', () => {
+    const req = { method: 'POST', headers: { authorization: 'Bearer abc123' }, query: {} };
+    expect(extractToken(req)).toBe('abc123');
+  });
+
+  test('extractToken ignores a token in the query string', () => {
+    expect(extractToken({ method: 'GET', headers: {}, query: { access_token: 'tok' } })).toBeNull();
+    expect(extractToken({ method: 'POST', headers: {}, query: { access_token: 'tok' } })).toBeNull();
+  });
+
+  test('authenticate rejects requests without a token', async () => {
+    const res = createMockRes();
+    let nextCalled = false;
+    await authenticate({ method: 'GET', headers: {}, query: {} }, res, () => { nextCalled = true; });
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('AUTH_REQUIRED');
+  });
+
+  test('getActorId ignores userId supplied by the client', () => {
+    const req = { user: { id: 'u1', role: 'medical-expert' }, body: { userId: 'u2' }, query: { userId: 'u3' } };
+    expect(getActorId(req)).toBe('u1');
+  });
+
+  test('resolveSubjectUserId lets only admins inspect another user', () => {
+    expect(resolveSubjectUserId({ user: { id: 'a1', role: 'admin' } }, 'u2')).toBe('u2');
+    expect(resolveSubjectUserId({ user: { id: 'a1', role: 'admin' } }, undefined)).toBe('a1');
+    expect(resolveSubjectUserId({ user: { id: 'e1', role: 'legal-expert' } }, 'u2')).toBe('e1');
+  });
+
+  test('requireSelfOrAdmin blocks editing someone else\'s account', () => {
+    const guard = requireSelfOrAdmin('id');
+
+    const res = createMockRes();
+    let nextCalled = false;
+    guard({ user: { id: 'e1', role: 'technical-expert' }, params: { id: 'e2' } }, res, () => { nextCalled = true; });
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(403);
+
+    nextCalled = false;
+    guard({ user: { id: 'e1', role: 'technical-expert' }, params: { id: 'e1' } }, createMockRes(), () => { nextCalled = true; });
+    expect(nextCalled).toBe(true);
+
+    nextCalled = false;
+    guard({ user: { id: 'a1', role: 'admin' }, params: { id: 'e2' } }, createMockRes(), () => { nextCalled = true; });
+    expect(nextCalled).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for login lockout and auth rate-limit configuration
+ * Tests: lock expiry, limits defined for every throttled endpoint, wiring guard,
+ * the per-email login counter cleared once a session is issued
+ */
+
+const { isLocked } = require('../services/accountLockoutService');
+const { rateLimit, resetRateLimit, normalizeEmail } = require('../middleware/rateLimit');
+const RateLimitBucket = require('../models/RateLimitBucket');
+const {
+  RATE_LIMITS,
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  VERIFICATION_CODE_MAX_ATTEMPTS
+} = require('../config/security.config');
+
+describe('account lockout', () => {
+  test('isLocked only while lockedUntil is in the future', () => {
+    const now = new Date('2025-01-01T12:00:00Z');
+
+    expect(isLocked({}, now)).toBe(false);
+    expect(isLocked({ lockedUntil: null }, now)).toBe(false);
+    expect(isLocked({ lockedUntil: new Date('2025-01-01T12:10:00Z') }, now)).toBe(true);
+    expect(isLocked({ lockedUntil: new Date('2025-01-01T11:59:59Z') }, now)).toBe(false);
+  });
+
+  test('thresholds are positive', () => {
+    expect(LOGIN_MAX_FAILED_ATTEMPTS).toBeGreaterThan(0);
+    expect(VERIFICATION_CODE_MAX_ATTEMPTS).toBeGreaterThan(0);
+  });
+});
+
+describe('rate limits', () => {
+  test('every auth endpoint has a per-IP limit', () => {
+    for (const name of ['login', 'requestCode', 'verifyCode', 'forgotPassword', 'resetPassword']) {
+      expect(RATE_LIMITS[name].ip.limit).toBeGreaterThan(0);
+      expect(RATE_LIMITS[name].ip.windowMs).toBeGreaterThan(0);
+    }
+  });
+
+  test('rateLimit() rejects an unconfigured endpoint name', () => {
+    expect(() => rateLimit('nope')).toThrow();
+    expect(typeof rateLimit('login')).toBe('function');
+  });
+
+  test('emails are normalized so case variants share a bucket', () => {
+    expect(normalizeEmail('  Jane@Example.COM ')).toBe('jane@example.com');
+    expect(normalizeEmail(undefined)).toBe('');
+  });
+
+  describe('resetRateLimit', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('clears the per-email bucket only, never the per-IP one', async () => {
+      const deleteOne = jest.spyOn(RateLimitBucket, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await resetRateLimit('login', ' Jane@Example.com');
+      expect(deleteOne).toHaveBeenCalledTimes(1);
+      expect(deleteOne).toHaveBeenCalledWith({ key: 'login:email:jane@example.com' });
+
+      await resetRateLimit('login', undefined);
+      expect(deleteOne).toHaveBeenCalledTimes(1);
+    });
+
+    test('a failing counter store does not fail the login', async () => {
+      jest.spyOn(RateLimitBucket, 'deleteOne').mockRejectedValue(new Error('Mongo went away'));
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(resetRateLimit('login', 'jane@example.com')).resolves.toBeUndefined();
+      expect(error).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for the permission matrix and authorize() middleware
+ * Tests: role checks, admin bypass of project membership, reason codes, route wiring guards
+ */
+
+const { checkPermission, authorize } = require('../middleware/authorize');
+const { PERMISSIONS, ROLES } = require('../config/permissions.config');
+
+function createMockRes() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (data) => { res.body = data; return res; };
+  return res;
+}
+
+describe('permission matrix', () => {
+  test('every action lists only known roles and a valid scope', () => {
+    for (const [action, rule] of Object.entries(PERMISSIONS)) {
+      expect(['project', 'global']).toContain(rule.scope);
+      expect(rule.roles.length).toBeGreaterThan(0);
+      rule.roles.forEach(role => expect(ROLES).toContain(role));
+      expect(action).toMatch(/^[a-z]+\.[a-zA-Z.]+$/);
+    }
+  });
+
+  test('only admins can finalize reports', async () => {
+    const expert = await checkPermission({ id: 'e1', role: 'ethical-expert' }, 'report.finalize', { projectId: '507f1f77bcf86cd799439011' });
+    expect(expert.allowed).toBe(false);
+    expect(expert.code).toBe('ROLE_NOT_PERMITTED');
+    expect(expert.requiredRoles).toEqual(['admin']);
+
+    const admin = await checkPermission({ id: 'a1', role: 'admin' }, 'report.finalize', { projectId: '507f1f77bcf86cd799439011' });
+    expect(admin.allowed).toBe(true);
+  });
+
+  test('use-case owners cannot vote on tensions', async () => {
+    const result = await checkPermission({ id: 'o1', role: 'use-case-owner' }, 'tension.vote', { projectId: '507f1f77bcf86cd799439011' });
+    expect(result).toMatchObject({ allowed: false, code: 'ROLE_NOT_PERMITTED' });
+  });
+
+  test('project-scoped action without a project is rejected for non-admins', async () => {
+    const result = await checkPermission({ id: 'e1', role: 'legal-expert' }, 'tension.vote', {});
+    expect(result).toMatchObject({ allowed: false, code: 'PROJECT_REQUIRED' });
+  });
+
+  test('precomputed membership decides project-scoped actions', async () => {
+    const user = { id: '507f1f77bcf86cd799439012', role: 'medical-expert' };
+    const projectId = '507f1f77bcf86cd799439011';
+
+    expect((await checkPermission(user, 'tension.vote', { projectId, isMember: true })).allowed).toBe(true);
+    expect(await checkPermission(user, 'tension.vote', { projectId, isMember: false }))
+      .toMatchObject({ allowed: false, code: 'NOT_PROJECT_MEMBER' });
+  });
+
+  test('unknown actions are denied', async () => {
+    const result = await checkPermission({ id: 'a1', role: 'admin' }, 'report.burn');
+    expect(result).toMatchObject({ allowed: false, code: 'UNKNOWN_ACTION' });
+  });
+});
+
+describe('authorize middleware', () => {
+  test('rejects wiring mistakes at startup', () => {
+    expect(() => authorize('report.burn')).toThrow();
+    expect(() => authorize('report.finalize')).toThrow(/project resolver/);
+  });
+
+  test('responds 403 with a reason code for a forbidden role', async () => {
+    const res = createMockRes();
+    let nextCalled = false;
+    await authorize('question.edit')({ user: { id: 'e1', role: 'technical-expert' } }, res, () => { nextCalled = true; });
+
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ code: 'ROLE_NOT_PERMITTED', action: 'question.edit', requiredRoles: ['admin'] });
+  });
+
+  test('calls next for a permitted global action', async () => {
+    let nextCalled = false;
+    await authorize('message.use')({ user: { id: 'e1', role: 'education-expert' } }, createMockRes(), () => { nextCalled = true; });
+    expect(nextCalled).toBe(true);
+  });
+
+  test('requires an authenticated user', async () => {
+    const res = createMockRes();
+    await authorize('message.use')({}, res, () => { });
+    expect(res.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for ERC confidence intervals
+ * Tests: seeded bootstrap is reproducible and order independent, intervals
+ * narrow with more answers, risk band spans, report warnings and the
+ * intervals stored on scores
+ */
+
+const mongoose = require('mongoose');
+const {
+  bootstrapMeanInterval,
+  intervalRiskBands,
+  formatInterval
+} = require('../utils/confidenceInterval');
+const { computeEthicalScores } = require('../services/ethicalScoringService');
+const { enrichReportMetrics } = require('../services/reportEnrichmentService');
+const ThresholdSet = require('../models/ThresholdSet');
+const Response = require('../models/response');
+const Question = require('../models/question');
+const Score = require('../models/score');
+const Project = require('../models/Project');
+const { query } = require('./helpers/query');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('bootstrapMeanInterval', () => {
+  const answers = [0, 0.5, 1, 1.5, 2, 3, 0.25, 0.75];
+  const mean = answers.reduce((a, b) => a + b, 0) / answers.length;
+
+  test('same answers give the same interval, whatever their order', () => {
+    const interval = bootstrapMeanInterval(answers);
+    expect(bootstrapMeanInterval(answers)).toEqual(interval);
+    expect(bootstrapMeanInterval([...answers].reverse())).toEqual(interval);
+    expect(interval).toMatchObject({ level: 0.95, n: 8, iterations: 2000, method: 'percentile bootstrap' });
+  });
+
+  test('the interval contains the mean and stays within the 0-4 scale', () => {
+    const { lower, upper } = bootstrapMeanInterval(answers);
+    expect(lower).toBeLessThan(mean);
+    expect(upper).toBeGreaterThan(mean);
+    expect(lower).toBeGreaterThanOrEqual(0);
+    expect(upper).toBeLessThanOrEqual(4);
+  });
+
+  test('more answers give a narrower interval', () => {
+    const few = bootstrapMeanInterval(answers);
+    const many = bootstrapMeanInterval([].concat(answers, answers, answers, answers, answers));
+    expect(many.upper - many.lower).toBeLessThan(few.upper - few.lower);
+  });
+
+  test('fewer than two answers have no interval', () => {
+    expect(bootstrapMeanInterval([2])).toBeNull();
+    expect(bootstrapMeanInterval([])).toBeNull();
+    expect(bootstrapMeanInterval([1, NaN, null])).toBeNull();
+    expect(formatInterval(null)).toBe('');
+  });
+
+  test('identical answers collapse to a point', () => {
+    expect(bootstrapMeanInterval([1, 1, 1])).toMatchObject({ lower: 1, upper: 1 });
+  });
+});
+
+describe('risk bands', () => {
+  test('an interval across a threshold spans more than one band', () => {
+    expect(intervalRiskBands({ lower: 0.1, upper: 0.3 })).toEqual({ lowerLevel: 'MINIMAL', upperLevel: 'MINIMAL', spansMultipleBands: false });
+    expect(intervalRiskBands({ lower: 0.3, upper: 1.2 })).toMatchObject({ lowerLevel: 'MINIMAL', spansMultipleBands: true });
+    expect(intervalRiskBands(null)).toBeNull();
+  });
+
+  test('report enrichment warns about intervals that span bands', () => {
+    const metrics = {
+      scoring: {
+        totalsOverall: { confidenceInterval: { lower: 0.6, upper: 0.7, level: 0.95, n: 12 } },
+        byPrincipleOverall: {
+          TRANSPARENCY: { cumulativeRisk: 1.2, n: 3, confidenceInterval: { lower: 0.2, upper: 1.4, level: 0.95, n: 3 } },
+          ACCOUNTABILITY: { cumulativeRisk: 2.4, n: 4, confidenceInterval: { lower: 0.5, upper: 0.7, level: 0.95, n: 4 } },
+          PRIVACY: null
+        }
+      }
+    };
+
+    const { overallTotals } = enrichReportMetrics(metrics, {});
+    expect(overallTotals.confidenceInterval).toEqual(metrics.scoring.totalsOverall.confidenceInterval);
+    expect(overallTotals.uncertaintyWarnings).toEqual([
+      'TRANSPARENCY: the 95% interval of the average ERC (0.20–1.40) spans Minimal Risk to Low Risk, based on 3 answers'
+    ]);
+  });
+});
+
+describe('stored scores', () => {
+  const projectId = new mongoose.Types.ObjectId();
+  const question = (code, principle) => ({ _id: new mongoose.Types.ObjectId(), code, principle, riskScore: 3 });
+  const questions = [question('T1', 'TRANSPARENCY'), question('T2', 'TRANSPARENCY'), question('A1', 'ACCOUNTABILITY')];
+  const responses = [{
+    projectId,
+    userId: new mongoose.Types.ObjectId(),
+    role: 'ethical-expert',
+    questionnaireKey: 'ethical-expert-v1',
+    answers: [
+      { questionId: questions[0]._id, answer: { choiceKey: 'a' }, answerSeverity: 0, importanceScore: 4 },
+      { questionId: questions[1]._id, answer: { choiceKey: 'b' }, answerSeverity: 1, importanceScore: 4 },
+      { questionId: questions[2]._id, answer: { choiceKey: 'c' }, answerSeverity: 0.5, importanceScore: 2 }
+    ]
+  }];
+
+  test('principle and overall intervals are computed with the scores', async () => {
+    jest.spyOn(ThresholdSet, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query({ _id: projectId }));
+    jest.spyOn(Response, 'find').mockImplementation(() => query(responses));
+    jest.spyOn(Question, 'find').mockImplementation(() => query(questions));
+    jest.spyOn(Score, 'findOneAndUpdate').mockImplementation(async (filter, doc) => doc);
+
+    const [score] = await computeEthicalScores(projectId);
+    expect(score.byPrinciple.TRANSPARENCY.confidenceInterval).toMatchObject({ n: 2, lower: 0, upper: 4 });
+    // A single answer cannot be resampled
+    expect(score.byPrinciple.ACCOUNTABILITY.confidenceInterval).toBeNull();
+    expect(score.totals.confidenceInterval).toMatchObject({ n: 3, level: 0.95 });
+  });
+});
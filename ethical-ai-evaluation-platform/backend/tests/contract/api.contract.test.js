@@ -0,0 +1,291 @@
+/**
+ * HTTP contract tests against an in-memory MongoDB
+ * Tests: status codes and response shapes per router (auth, users, projects,
+ * use cases, tensions, messages, notifications, shared discussions, progress),
+ * validation and authorization errors
+ */
+
+const mongoose = require('mongoose');
+const { PASSWORD, startMemoryApp, signIn } = require('./memoryApp');
+const { User, RateLimitBucket, AuditEvent } = require('../../models');
+
+let server;
+let api;
+let admin;
+let expert;
+let owner;
+let outsider;
+
+beforeAll(async () => {
+  server = await startMemoryApp();
+  api = server.api;
+  admin = await signIn('admin');
+  expert = await signIn('legal-expert');
+  owner = await signIn('use-case-owner');
+  outsider = await signIn('technical-expert');
+}, 120000);
+
+afterAll(async () => {
+  if (server) await server.stop();
+});
+
+const createProject = async (fields = {}) => {
+  const res = await api().post('/api/projects').set(admin.auth)
+    .send({ title: 'Contract project', assignedUsers: [expert.id, owner.id], ...fields });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+describe('auth', () => {
+  test('login returns the self view and a session token', async () => {
+    const res = await api().post('/api/login').send({ email: owner.email, password: PASSWORD, role: 'use-case-owner' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ _id: owner.id, email: owner.email, role: 'use-case-owner', token: expect.any(String) });
+    expect(res.body).toHaveProperty('tokenExpiresAt');
+    expect(res.body).not.toHaveProperty('password');
+  });
+
+  test('login for a role that requires 2FA returns a challenge instead of a session', async () => {
+    const res = await api().post('/api/login').send({ email: admin.email, password: PASSWORD, role: 'admin' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.mfaRequired).toBe(true);
+    expect(res.body).not.toHaveProperty('token');
+  });
+
+  test('failed attempts are cleared by a complete login, not by the password step of a 2FA one', async () => {
+    const { user: twoFactorUser } = await signIn('admin', { failedLoginAttempts: 3 });
+    const challenge = await api().post('/api/login').send({ email: twoFactorUser.email, password: PASSWORD, role: 'admin' });
+    expect(challenge.body.mfaRequired).toBe(true);
+    expect((await User.findById(twoFactorUser._id).lean()).failedLoginAttempts).toBe(3);
+
+    const { user } = await signIn('use-case-owner', { failedLoginAttempts: 3 });
+    const res = await api().post('/api/login').send({ email: user.email, password: PASSWORD, role: 'use-case-owner' });
+    expect(res.body.token).toEqual(expect.any(String));
+    expect((await User.findById(user._id).lean()).failedLoginAttempts).toBe(0);
+  });
+
+  test('the per-email login counter is cleared once a session is issued, not at the password step', async () => {
+    const { user: twoFactorUser } = await signIn('admin');
+    await api().post('/api/login').send({ email: twoFactorUser.email, password: PASSWORD, role: 'admin' });
+    expect(await RateLimitBucket.exists({ key: `login:email:${twoFactorUser.email}` })).toBeTruthy();
+
+    const { user } = await signIn('use-case-owner');
+    await api().post('/api/login').send({ email: user.email, password: PASSWORD, role: 'use-case-owner' });
+    expect(await RateLimitBucket.exists({ key: `login:email:${user.email}` })).toBeNull();
+  });
+
+  test('wrong password is a 401 with a message', async () => {
+    const res = await api().post('/api/login').send({ email: owner.email, password: 'wrong-password', role: 'use-case-owner' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ message: 'Invalid email, password, or role.' });
+  });
+
+  test('GET /api/auth/me returns the session user', async () => {
+    const res = await api().get('/api/auth/me').set(expert.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: expert.id, role: 'legal-expert', email: expert.email });
+  });
+
+  test('logout revokes the session', async () => {
+    const session = await signIn('education-expert');
+    expect((await api().post('/api/logout').set(session.auth)).body).toEqual({ success: true });
+
+    const res = await api().get('/api/auth/me').set(session.auth);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('SESSION_INVALID');
+  });
+});
+
+describe('users', () => {
+  test('GET /api/users serializes every user without secrets', async () => {
+    const res = await api().get('/api/users').set(expert.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.length).toBeGreaterThanOrEqual(4);
+    res.body.forEach(user => {
+      expect(user).not.toHaveProperty('password');
+      expect(user).not.toHaveProperty('failedLoginAttempts');
+    });
+  });
+
+  test('users may not update someone else', async () => {
+    const res = await api().put(`/api/users/${owner.id}`).set(expert.auth).send({ name: 'Renamed' });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('projects', () => {
+  test('admins create projects they then see in their list', async () => {
+    const project = await createProject({ title: 'Listed project' });
+    expect(project).toMatchObject({ title: 'Listed project', createdByAdmin: admin.id, status: 'ongoing' });
+
+    const res = await api().get('/api/projects').set(admin.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.find(p => p._id === project._id)).toMatchObject({
+      derivedStatus: 'setup',
+      answeredQuestions: 0,
+      reportCount: 0
+    });
+  });
+
+  test('the initial assignment is audited', async () => {
+    const project = await createProject();
+
+    const events = await AuditEvent.find({ projectId: project._id, type: 'project.assignment.change' }).lean();
+    expect(events).toHaveLength(1);
+    expect(events[0].details).toMatchObject({ removed: [], via: 'project-create' });
+    expect(events[0].details.added.sort()).toEqual([expert.id, owner.id].sort());
+  });
+
+  test('experts only list projects they are assigned to', async () => {
+    const project = await createProject();
+
+    const assigned = await api().get('/api/projects').set(expert.auth);
+    const other = await api().get('/api/projects').set(outsider.auth);
+    expect(assigned.body.map(p => p._id)).toContain(project._id);
+    expect(other.body.map(p => p._id)).not.toContain(project._id);
+  });
+
+  test('only admins create projects', async () => {
+    const res = await api().post('/api/projects').set(expert.auth).send({ title: 'Nope' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ code: 'ROLE_NOT_PERMITTED', action: 'project.create' });
+  });
+
+  test('DELETE /api/projects/:id', async () => {
+    const project = await createProject();
+
+    expect((await api().delete(`/api/projects/${project._id}`).set(admin.auth)).body).toEqual({ success: true });
+    const again = await api().delete(`/api/projects/${project._id}`).set(admin.auth);
+    expect(again.status).toBe(404);
+    expect(again.body).toEqual({ error: 'Project not found' });
+  });
+});
+
+describe('use cases', () => {
+  test('owners create use cases they own', async () => {
+    const created = await api().post('/api/use-cases').set(owner.auth).send({ title: 'Triage assistant' });
+    expect(created.status).toBe(200);
+    expect(created.body).toMatchObject({ title: 'Triage assistant', ownerId: owner.id, status: 'assigned' });
+
+    const res = await api().get(`/api/use-cases/${created.body._id}`).set(owner.auth);
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(created.body._id);
+  });
+
+  test('unknown use case is a 404', async () => {
+    const res = await api().get(`/api/use-cases/${new mongoose.Types.ObjectId()}`).set(owner.auth);
+    expect(res.status).toBe(404);
+  });
+
+  test('only the owner or an admin adds supporting files', async () => {
+    const created = await api().post('/api/use-cases').set(owner.auth).send({ title: 'Owned use case' });
+    const otherOwner = await signIn('use-case-owner');
+    const files = [{ name: 'notes.txt', data: 'aGVsbG8=', contentType: 'text/plain' }];
+
+    const byOther = await api().post(`/api/use-cases/${created.body._id}/supporting-files`).set(otherOwner.auth).send({ files });
+    expect(byOther.status).toBe(403);
+    expect(byOther.body.code).toBe('NOT_RESOURCE_OWNER');
+
+    expect((await api().post(`/api/use-cases/${created.body._id}/supporting-files`).set(owner.auth).send({ files })).status).toBe(200);
+    const byAdmin = await api().post(`/api/use-cases/${created.body._id}/supporting-files`).set(admin.auth).send({ files });
+    expect(byAdmin.status).toBe(200);
+    expect(byAdmin.body).toHaveLength(2);
+  });
+});
+
+describe('tensions', () => {
+  test('create, vote and list with consensus counts', async () => {
+    const project = await createProject();
+    const created = await api().post('/api/tensions').set(expert.auth)
+      .send({ projectId: project._id, principle1: 'Privacy', principle2: 'Fairness', severity: 'high' });
+    expect(created.status).toBe(200);
+    expect(created.body).toMatchObject({ principle1: 'Privacy', createdBy: expert.id, status: 'ongoing' });
+
+    const vote = await api().post(`/api/tensions/${created.body._id}/vote`).set(expert.auth).send({ voteType: 'agree' });
+    expect(vote.body).toEqual({ success: true });
+
+    const list = await api().get(`/api/tensions/${project._id}`).set(expert.auth);
+    expect(list.status).toBe(200);
+    expect(list.body[0]).toMatchObject({ consensus: { agree: 1, disagree: 0 }, userVote: 'agree' });
+
+    const byId = await api().get(`/api/tensions/id/${created.body._id}`).set(expert.auth);
+    expect(byId.body._id).toBe(created.body._id);
+  });
+
+  test('non-members may not see a project\'s tensions', async () => {
+    const project = await createProject();
+    const res = await api().get(`/api/tensions/${project._id}`).set(outsider.auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('NOT_PROJECT_MEMBER');
+  });
+
+  test('invalid bodies are rejected before authorization', async () => {
+    const res = await api().post('/api/tensions').set(outsider.auth).send({ projectId: 'nope', severity: 'critical' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.fields.map(f => f.path)).toEqual(expect.arrayContaining(['projectId', 'severity']));
+  });
+});
+
+describe('messages and notifications', () => {
+  test('POST /api/messages then GET /api/messages/thread', async () => {
+    const sent = await api().post('/api/messages').set(expert.auth).send({ toUserId: owner.id, text: 'Hello' });
+    expect(sent.status).toBe(200);
+    expect(sent.body).toMatchObject({ text: 'Hello', fromUserId: { _id: expert.id }, toUserId: { _id: owner.id } });
+
+    const thread = await api().get('/api/messages/thread').query({ user2: expert.id }).set(owner.auth);
+    expect(thread.status).toBe(200);
+    expect(thread.body.map(m => m.text)).toContain('Hello');
+  });
+
+  test('GET /api/notifications', async () => {
+    const res = await api().get('/api/notifications').set(owner.auth);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ notifications: expect.any(Array), unreadCount: expect.any(Number) });
+  });
+});
+
+describe('shared discussions', () => {
+  test('post, list, pin and delete', async () => {
+    const posted = await api().post('/api/shared-discussions').set(expert.auth).send({ text: 'Shared note' });
+    expect(posted.status).toBe(200);
+    expect(posted.body).toMatchObject({ text: 'Shared note', userId: { _id: expert.id }, isPinned: false });
+
+    const list = await api().get('/api/shared-discussions').set(owner.auth);
+    expect(list.body.map(d => d._id)).toContain(posted.body._id);
+
+    const pinByExpert = await api().put(`/api/shared-discussions/${posted.body._id}/pin`).set(expert.auth).send({ isPinned: true });
+    expect(pinByExpert.status).toBe(403);
+    const pinned = await api().put(`/api/shared-discussions/${posted.body._id}/pin`).set(admin.auth).send({ isPinned: true });
+    expect(pinned.body.isPinned).toBe(true);
+
+    const deleteByOther = await api().delete(`/api/shared-discussions/${posted.body._id}`).set(owner.auth);
+    expect(deleteByOther.status).toBe(403);
+    expect(deleteByOther.body.code).toBe('NOT_RESOURCE_OWNER');
+    expect((await api().delete(`/api/shared-discussions/${posted.body._id}`).set(expert.auth)).body).toEqual({ success: true });
+  });
+});
+
+describe('progress', () => {
+  test('/projects/:projectId/progress is served without the /api prefix', async () => {
+    const project = await createProject();
+
+    expect((await api().get(`/projects/${project._id}/progress`).set(outsider.auth)).status).toBe(403);
+    expect((await api().get(`/api/projects/${project._id}/progress`).set(outsider.auth)).status).toBe(404);
+  });
+
+  test('GET /api/user-progress needs a project', async () => {
+    const res = await api().get('/api/user-progress').set(expert.auth);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PROJECT_REQUIRED');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Contract tests for the route table
+ * routes.json was recorded from the single-file server.js before it was split
+ * into routers: every method + URL with its middleware chain, in order. Routes
+ * added since are recorded by the change that adds them.
+ * Tests: each recorded URL resolves to the same route (nothing shadowed by a
+ * route registered earlier), middleware chains unchanged, no unrecorded routes,
+ * public paths and unauthenticated responses. Runs without a database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+process.env.GEMINI_API_KEY = process.env.GEMINI_API_KEY || 'contract-test';
+
+const createApp = require('../../app');
+const recorded = require('./routes.json');
+
+const backendDir = path.join(__dirname, '..', '..');
+const SAMPLE_ID = '64b7f0c2a1b2c3d4e5f60718';
+const SAMPLE_PARAMS = { principle: 'TRANSPARENCY', evidenceId: '0' };
+
+const toUrl = (routePath) => routePath.replace(/:(\w+)/g, (_, name) => SAMPLE_PARAMS[name] || SAMPLE_ID);
+const joinPath = (base, routePath) => (base + (routePath === '/' ? '' : routePath)) || '/';
+
+/**
+ * First route the app would dispatch `method url` to, walking the same
+ * layers Express does (app-level routes and mounted routers, in order)
+ */
+function resolveRoute(stack, method, url, base = '') {
+  for (const layer of stack) {
+    if (!layer.match(url)) continue;
+    if (layer.route) {
+      if (layer.route.methods[method.toLowerCase()]) {
+        return { path: joinPath(base, layer.route.path), route: layer.route, mounted: stack !== appStack };
+      }
+      continue;
+    }
+    if (layer.handle && layer.handle.stack) {
+      const found = resolveRoute(layer.handle.stack, method, url.slice(layer.path.length) || '/', base + layer.path);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+const countRoutes = (stack) => stack.reduce((total, layer) => {
+  if (layer.route) return total + 1;
+  if (layer.handle && layer.handle.stack) return total + countRoutes(layer.handle.stack);
+  return total;
+}, 0);
+
+const app = createApp();
+const appStack = app.router.stack;
+
+const routerSources = fs.readdirSync(path.join(backendDir, 'routes'))
+  .filter(file => file.endsWith('.js'))
+  .map(file => fs.readFileSync(path.join(backendDir, 'routes', file), 'utf8'));
+
+describe('recorded route table', () => {
+  test('the recording has no duplicates', () => {
+    const keys = recorded.map(r => `${r.method} ${r.path}`);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  test('the app registers exactly the recorded routes', () => {
+    expect(countRoutes(appStack)).toBe(recorded.length);
+  });
+
+  test.each(recorded.map(r => [r.method, r.path, r]))('%s %s resolves to the same route', (method, routePath, entry) => {
+    const found = resolveRoute(appStack, method, toUrl(routePath));
+    expect(found && found.path).toBe(routePath);
+    expect(found.route.stack).toHaveLength(entry.middleware.length + 1);
+  });
+
+  test.each(recorded.map(r => [r.method, r.path, r]))('%s %s keeps its middleware chain', (method, routePath, entry) => {
+    const found = resolveRoute(appStack, method, toUrl(routePath));
+    const prefix = `${found.mounted ? 'router' : 'app'}.${method.toLowerCase()}('${found.route.path}', ${entry.middleware.map(m => `${m}, `).join('')}`;
+    const sources = found.mounted ? routerSources : [fs.readFileSync(path.join(backendDir, 'app.js'), 'utf8')];
+    const lines = sources.flatMap(source => source.split('\n')).map(line => line.trim());
+    expect(lines.filter(line => line.startsWith(prefix))).toHaveLength(1);
+  });
+});
+
+describe('public paths', () => {
+  const protectedRoutes = recorded.filter(r => !createApp.PUBLIC_PATHS.includes(r.path));
+
+  test('every public path is a recorded route', () => {
+    const recordedPaths = new Set(recorded.map(r => r.path));
+    expect(createApp.PUBLIC_PATHS.filter(p => !recordedPaths.has(p))).toEqual([]);
+  });
+
+  test('health check is public and reports the database state', async () => {
+    const res = await request(app).get('/api/health');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      ok: true,
+      time: expect.any(String),
+      mongo: { readyState: expect.any(Number), connected: false, host: null, name: null }
+    });
+  });
+
+  test.each(protectedRoutes.map(r => [r.method, r.path]))('%s %s requires a session', async (method, routePath) => {
+    const res = await request(app)[method.toLowerCase()](toUrl(routePath));
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+  });
+});
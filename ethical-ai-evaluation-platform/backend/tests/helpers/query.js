@@ -0,0 +1,22 @@
+/**
+ * Stand-in for a Mongoose query in unit tests, e.g.
+ * jest.spyOn(Model, 'find').mockImplementation(() => query([doc]))
+ */
+
+/**
+ * Awaitable like a Mongoose query, with the chain helpers the services use
+ * @param {*} result - What the query resolves to
+ * @returns {Object}
+ */
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    populate: () => chain,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+module.exports = { query };
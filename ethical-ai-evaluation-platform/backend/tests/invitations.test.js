@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for admin invitations and self-registration roles
+ * Tests: expired status derivation, token hashing, input validation, admin not self-registrable,
+ * the ethical-expert limit on acceptance
+ */
+
+const mongoose = require('mongoose');
+const {
+  effectiveStatus,
+  hashToken,
+  createInvitation,
+  acceptInvitation
+} = require('../services/invitationService');
+const evaluationService = require('../services/evaluationService');
+const { SELF_REGISTRATION_ROLES, PERMISSIONS } = require('../config/permissions.config');
+const Invitation = require('../models/Invitation');
+const ProjectAssignment = require('../models/projectAssignment');
+const User = require('../models/User');
+require('../models/Project');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('invitation status', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+
+  test('pending invitations past expiresAt are reported as expired', () => {
+    expect(effectiveStatus({ status: 'pending', expiresAt: new Date('2025-01-02T00:00:00Z') }, now)).toBe('pending');
+    expect(effectiveStatus({ status: 'pending', expiresAt: new Date('2025-01-01T11:00:00Z') }, now)).toBe('expired');
+  });
+
+  test('accepted and revoked invitations keep their status', () => {
+    expect(effectiveStatus({ status: 'accepted', expiresAt: new Date('2024-01-01') }, now)).toBe('accepted');
+    expect(effectiveStatus({ status: 'revoked', expiresAt: new Date('2024-01-01') }, now)).toBe('revoked');
+  });
+
+  test('tokens are stored as a stable hash, never raw', () => {
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken('abc')).not.toBe('abc');
+    expect(hashToken('abc')).toHaveLength(64);
+  });
+});
+
+describe('invitation input validation', () => {
+  test('rejects an invalid email or unknown role before touching the database', async () => {
+    await expect(createInvitation({ email: 'not-an-email', role: 'medical-expert', invitedBy: 'x' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_EMAIL' });
+    await expect(createInvitation({ email: 'jane@example.com', role: 'superuser', invitedBy: 'x' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_ROLE' });
+  });
+});
+
+describe('self-registration', () => {
+  test('admin cannot be chosen at sign-up; invitations are admin-only', () => {
+    expect(SELF_REGISTRATION_ROLES).not.toContain('admin');
+    expect(SELF_REGISTRATION_ROLES).toContain('medical-expert');
+    expect(PERMISSIONS['user.invite'].roles).toEqual(['admin']);
+  });
+});
+
+describe('invitation acceptance', () => {
+  const projectId = new mongoose.Types.ObjectId();
+  const session = { withTransaction: (fn) => fn(), endSession: jest.fn() };
+
+  const mockAccept = (role) => {
+    const invitation = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'jane@example.com',
+      role,
+      projectId: { _id: projectId, title: 'Triage assistant' },
+      status: 'pending',
+      expiresAt: new Date(Date.now() + 60000)
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Invitation, 'findOne').mockReturnValue({ populate: () => ({ lean: () => Promise.resolve(invitation) }) });
+    jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue({ save: jest.fn() });
+    jest.spyOn(User, 'findOne').mockReturnValue({ session: () => ({ select: () => ({ lean: () => Promise.resolve(null) }) }) });
+    jest.spyOn(User, 'create').mockResolvedValue([{ _id: new mongoose.Types.ObjectId(), email: invitation.email, role }]);
+    jest.spyOn(mongoose.model('Project'), 'updateOne').mockResolvedValue({});
+    return jest.spyOn(ProjectAssignment, 'create').mockResolvedValue([{}]);
+  };
+
+  test('an ethical-expert invitation cannot exceed the one ethical-expert per project', async () => {
+    const createAssignment = mockAccept('ethical-expert');
+    const count = jest.spyOn(ProjectAssignment, 'countDocuments').mockResolvedValue(1);
+
+    await expect(acceptInvitation('token', { name: 'Jane', password: 'Secret123!' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'ROLE_CARDINALITY_EXCEEDED' });
+    expect(count).toHaveBeenCalledWith({ projectId, role: 'ethical-expert' }, { session });
+    expect(createAssignment).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('the limit is checked only for ethical-experts', async () => {
+    const createAssignment = mockAccept('legal-expert');
+    const count = jest.spyOn(ProjectAssignment, 'countDocuments');
+    jest.spyOn(evaluationService, 'initializeResponses').mockResolvedValue();
+
+    await acceptInvitation('token', { name: 'Jane', password: 'Secret123!' });
+    expect(count).not.toHaveBeenCalled();
+    expect(createAssignment).toHaveBeenCalledWith([expect.objectContaining({ projectId, role: 'legal-expert' })], { session });
+  });
+});
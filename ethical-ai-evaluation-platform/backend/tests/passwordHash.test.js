@@ -0,0 +1,48 @@
+/**
+ * Unit Tests for password hashing helpers
+ * Tests: hash format, verification, legacy plain-text migration path
+ */
+
+const { hashPassword, verifyPassword, isHashedPassword } = require('../utils/passwordHash');
+
+describe('passwordHash', () => {
+  test('hashPassword produces a salted scrypt hash', async () => {
+    const a = await hashPassword('correct horse');
+    const b = await hashPassword('correct horse');
+
+    expect(isHashedPassword(a)).toBe(true);
+    expect(a.startsWith('scrypt$')).toBe(true);
+    expect(a).not.toBe(b); // random salt
+    expect(a.includes('correct horse')).toBe(false);
+  });
+
+  test('verifyPassword accepts the right password and rejects a wrong one', async () => {
+    const stored = await hashPassword('s3cret!');
+
+    expect(await verifyPassword('s3cret!', stored)).toEqual({ valid: true, needsRehash: false });
+    expect(await verifyPassword('wrong', stored)).toEqual({ valid: false, needsRehash: false });
+  });
+
+  test('legacy plain-text password is accepted once and flagged for rehash', async () => {
+    expect(isHashedPassword('plainpass')).toBe(false);
+    expect(await verifyPassword('plainpass', 'plainpass')).toEqual({ valid: true, needsRehash: true });
+    expect(await verifyPassword('other', 'plainpass')).toEqual({ valid: false, needsRehash: false });
+  });
+
+  test('hash with outdated cost parameters is flagged for rehash', async () => {
+    const current = await hashPassword('pw');
+    const parts = current.split('$');
+    // Re-derive with a lower N to simulate a hash created under older settings
+    const crypto = require('crypto');
+    const salt = Buffer.from(parts[4], 'base64');
+    const key = crypto.scryptSync('pw', salt, 64, { N: 1024, r: 8, p: 1 });
+    const outdated = ['scrypt', 1024, 8, 1, parts[4], key.toString('base64')].join('$');
+
+    expect(await verifyPassword('pw', outdated)).toEqual({ valid: true, needsRehash: true });
+  });
+
+  test('missing stored password never verifies', async () => {
+    expect(await verifyPassword('pw', undefined)).toEqual({ valid: false, needsRehash: false });
+    expect(await verifyPassword(undefined, 'pw')).toEqual({ valid: false, needsRehash: false });
+  });
+});
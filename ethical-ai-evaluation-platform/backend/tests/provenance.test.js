@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for score provenance
+ * Tests: importance/severity sources (as recorded on the answers) stored on questionBreakdown entries,
+ * the principle → Score → answer → expert response tree, role weights in the
+ * tree, what drives the overall value and the drill-down endpoint's errors
+ */
+
+const mongoose = require('mongoose');
+const { computeEthicalScores } = require('../services/ethicalScoringService');
+const { buildProvenance, getProjectProvenance } = require('../services/provenanceService');
+const Response = require('../models/response');
+const Question = require('../models/question');
+const Score = require('../models/score');
+const Project = require('../models/Project');
+const builtInThresholds = require('../config/ercThresholds');
+const { query } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const projectId = id();
+const ethicalId = id();
+const technicalId = id();
+
+const options = [
+  { key: 'yes', label: { en: 'Yes, documented' }, score: 4 },
+  { key: 'partly', label: { en: 'Partly' }, score: 2 },
+  { key: 'no', label: { en: 'No' }, score: 0 }
+];
+const questions = {
+  // Importance from the question's riskScore
+  P1: { _id: id(), code: 'P1', principle: 'PRIVACY & DATA GOVERNANCE', riskScore: 4, options },
+  // Importance from the question
+  P2: { _id: id(), code: 'P2', principle: 'PRIVACY & DATA GOVERNANCE', importance: 3, riskScore: null, options },
+  // No importance anywhere: default
+  T1: { _id: id(), code: 'T1', principle: 'TRANSPARENCY', riskScore: null, options }
+};
+
+describe('sources on questionBreakdown entries', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    const responses = [{
+      projectId,
+      userId: ethicalId,
+      role: 'ethical-expert',
+      questionnaireKey: 'general-v1',
+      answers: [
+        { questionId: questions.P1._id, answer: { choiceKey: 'partly' }, answerSeverity: 0.5, severitySource: 'option_score' },
+        { questionId: questions.P2._id, answer: { choiceKey: 'partly' }, answerSeverity: 0.75, severitySource: 'expert_provided', importanceScore: 1 },
+        // Saved before sources were recorded: not guessed from the value
+        { questionId: questions.T1._id, answer: { choiceKey: 'yes' }, answerSeverity: 0.5 }
+      ]
+    }, {
+      projectId,
+      userId: technicalId,
+      role: 'technical-expert',
+      questionnaireKey: 'general-v1',
+      answers: [
+        { questionId: questions.P2._id, answer: { choiceKey: 'no' }, answerScore: 0, severitySource: 'option_answerScore' },
+        // Legacy answer: severity = 1 - answerScore
+        { questionId: questions.T1._id, answer: { choiceKey: 'no' }, answerScore: 0.25 }
+      ]
+    }];
+    jest.spyOn(Response, 'find').mockImplementation(() => query(responses));
+    jest.spyOn(Question, 'find').mockImplementation(() => query(Object.values(questions)));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query({ _id: projectId }));
+    jest.spyOn(Score, 'findOneAndUpdate').mockImplementation(async (filter, doc) => {
+      saved.push(doc);
+      return doc;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('importance and severity sources are stored per answer', async () => {
+    await computeEthicalScores(projectId);
+    const sources = (userId) => saved
+      .find(s => String(s.userId) === String(userId))
+      .questionBreakdown.map(e => [e.code, e.importanceSource, e.source]);
+
+    expect(sources(ethicalId)).toEqual([
+      ['P1', 'question_riskScore', 'option_score'],
+      ['P2', 'expert_provided', 'expert_provided'],
+      ['T1', 'default', null]
+    ]);
+    expect(sources(technicalId)).toEqual([
+      ['P2', 'question_importance', 'option_answerScore'],
+      ['T1', 'default', 'legacy_answer_score']
+    ]);
+  });
+});
+
+describe('buildProvenance', () => {
+  const breakdown = (code, importance, answerSeverity, importanceSource, source) => ({
+    questionId: questions[code]._id,
+    code,
+    principle: questions[code].principle,
+    importance,
+    answerSeverity,
+    importanceSource,
+    source,
+    finalRiskContribution: importance * answerSeverity
+  });
+
+  const ethicalScore = {
+    _id: id(),
+    userId: ethicalId,
+    role: 'ethical-expert',
+    questionnaireKey: 'general-v1',
+    scoringModelVersion: 'strict_ethical_v3_cumulative',
+    questionBreakdown: [
+      breakdown('P1', 4, 0.75, 'question_riskScore', 'option_score'),
+      breakdown('P2', 1, 0.5, 'expert_provided', 'option_score'),
+      breakdown('T1', 2, 0.25, 'default', 'expert_provided')
+    ]
+  };
+  const technicalScore = {
+    _id: id(),
+    userId: technicalId,
+    role: 'technical-expert',
+    questionnaireKey: 'general-v1',
+    scoringModelVersion: 'strict_ethical_v3_cumulative',
+    questionBreakdown: [breakdown('P2', 3, 1, 'question_importance', 'option_score')]
+  };
+  const scores = [
+    ethicalScore,
+    technicalScore,
+    // Project aggregate and the report's combined score are not evaluators
+    { role: 'project', questionBreakdown: [breakdown('P1', 4, 1)] },
+    { _isCombinedScore: true, userId: ethicalId, questionBreakdown: ethicalScore.questionBreakdown }
+  ];
+  const responses = [{
+    userId: ethicalId,
+    questionnaireKey: 'general-v1',
+    answers: [
+      { questionId: questions.P1._id, answer: { choiceKey: 'partly' }, notes: 'Only the DPIA exists' },
+      { questionId: questions.P2._id, answer: { choiceKey: 'partly' } }
+    ]
+  }];
+  const users = [{ _id: ethicalId, name: 'Ada' }, { userId: String(technicalId), name: 'Tom' }];
+
+  test('principle value → Score documents → answers → expert response', () => {
+    const { scoringModel, byPrinciple } = buildProvenance(scores, {
+      thresholdSet: builtInThresholds,
+      responses,
+      questions: Object.values(questions),
+      users
+    });
+    const privacy = byPrinciple['PRIVACY & DATA GOVERNANCE'];
+
+    expect(scoringModel).toBe('strict_ethical_v3_cumulative');
+    // 3 + 0.5 + 3 over three answers
+    expect(privacy).toMatchObject({ cumulativeRisk: 6.5, n: 3, averageRisk: 2.17, riskLevel: 'MEDIUM' });
+    expect(privacy.scores.map(s => [s.evaluatorName, s.role, s.contribution, s.entries.length])).toEqual([
+      ['Ada', 'ethical-expert', 3.5, 2],
+      ['Tom', 'technical-expert', 3, 1]
+    ]);
+    expect(privacy.scores[0].scoreId).toBe(String(ethicalScore._id));
+    expect(privacy.scores[0].entries[0]).toMatchObject({
+      questionCode: 'P1',
+      importance: 4,
+      importanceSource: 'question_riskScore',
+      answerSeverity: 0.75,
+      severitySource: 'option_score',
+      weightedContribution: 3,
+      answer: { choiceKey: 'partly', choiceLabel: 'Partly', notes: 'Only the DPIA exists' }
+    });
+    // No response stored for this answer
+    expect(privacy.scores[1].entries[0].answer).toBeNull();
+    expect(byPrinciple.ACCOUNTABILITY).toBeNull();
+  });
+
+  test('role weights are applied like in the report', () => {
+    const { byPrinciple } = buildProvenance(scores, {
+      thresholdSet: builtInThresholds,
+      roleWeights: { 'ethical-expert': 1, 'technical-expert': 4 }
+    });
+    const privacy = byPrinciple['PRIVACY & DATA GOVERNANCE'];
+    // Mean weight 2: ethical answers × 0.5, technical × 2
+    expect(privacy.scores.map(s => s.contribution)).toEqual([1.75, 6]);
+    expect(privacy.scores[0].entries.map(e => [e.finalRiskContribution, e.weightedContribution])).toEqual([[3, 1.5], [0.5, 0.25]]);
+    expect(privacy.cumulativeRisk).toBe(7.75);
+  });
+
+  test('overall is driven by the highest principle mean when it exceeds the mean of all answers', () => {
+    const { overall } = buildProvenance(scores, { thresholdSet: builtInThresholds, users });
+
+    // (6.5 + 0.5) / 4 = 1.75 < PRIVACY 2.17
+    expect(overall).toMatchObject({
+      cumulativeRisk: 7,
+      n: 4,
+      rawAverageERC: 1.75,
+      maxPrincipleAverage: 2.17,
+      drivenBy: 'PRIVACY & DATA GOVERNANCE',
+      averageERC: 2.17,
+      riskLevel: 'MEDIUM'
+    });
+    expect(overall.principles.map(p => p.principle)).toEqual(['TRANSPARENCY', 'PRIVACY & DATA GOVERNANCE']);
+    expect(overall.scores.map(s => [s.evaluatorName, s.answers])).toEqual([['Ada', 3], ['Tom', 1]]);
+  });
+
+  test('no scores: nothing to explain', () => {
+    const { overall, byPrinciple } = buildProvenance([], { thresholdSet: builtInThresholds });
+    expect(overall).toBeNull();
+    expect(Object.values(byPrinciple).every(p => p === null)).toBe(true);
+  });
+});
+
+describe('getProjectProvenance', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('unknown principle is a 400, unknown project a 404', async () => {
+    await expect(getProjectProvenance(projectId, 'PRIVACY')).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PRINCIPLE' });
+
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(null));
+    await expect(getProjectProvenance(projectId)).rejects.toMatchObject({ statusCode: 404, code: 'PROJECT_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for the question catalogue
+ * Tests: questionnaires per role with question counts, roles without a
+ * questionnaire of their own, an assignment's questionnaires without hidden
+ * questions, and the role and answered-questionnaire fallbacks
+ */
+
+const mongoose = require('mongoose');
+const {
+  resolveAssignedQuestionnaires,
+  getQuestionCatalogue,
+  getAssignmentCatalogue
+} = require('../services/questionCatalogueService');
+const Question = require('../models/question');
+const Questionnaire = require('../models/questionnaire');
+const ProjectAssignment = require('../models/projectAssignment');
+const Response = require('../models/response');
+const User = require('../models/User');
+const { query } = require('./helpers/query');
+
+const question = (questionnaireKey, code, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  questionnaireKey,
+  code,
+  required: true,
+  ...overrides
+});
+
+const questions = [
+  question('general-v1', 'T1'),
+  question('general-v1', 'T2', { required: false }),
+  question('legal-expert-v1', 'L1'),
+  question('legal-expert-v1', 'L2', { showIf: { match: 'all', conditions: [{ questionnaireKey: 'general-v1', code: 'T1', anyOf: ['yes'] }] } }),
+  question('ethical-expert-v1', 'E1'),
+  question('custom-v1', 'C1')
+];
+
+// Stands in for the $in / $exists filters the services use
+const mockQuestions = () => jest.spyOn(Question, 'find').mockImplementation((filter) => {
+  if (filter['showIf.conditions.0']) return query(questions.filter(q => q.showIf));
+  return query(questions.filter(q => filter.questionnaireKey.$in.includes(q.questionnaireKey)));
+});
+
+const mockQuestionnaires = () => jest.spyOn(Questionnaire, 'find').mockImplementation((filter) => query(
+  filter.key.$nin
+    ? [{ key: 'custom-v1' }]
+    : [{ key: 'general-v1', title: 'General Questions', version: 3 }, { key: 'legal-expert-v1', title: 'Legal Expert Questions v1', version: 1 }]
+));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('getQuestionCatalogue', () => {
+  test('general-v1 and the role questionnaire per expert role, with counts', async () => {
+    mockQuestions();
+    mockQuestionnaires();
+
+    const catalogue = await getQuestionCatalogue();
+    const legal = catalogue.roles.find(r => r.role === 'legal-expert');
+
+    expect(legal).toEqual({
+      role: 'legal-expert',
+      questionnaires: [
+        { key: 'general-v1', title: 'General Questions', version: 3, stage: 'set-up', questionCount: 2, requiredCount: 1, hiddenCount: 0 },
+        { key: 'legal-expert-v1', title: 'Legal Expert Questions v1', version: 1, stage: 'assess', questionCount: 2, requiredCount: 2, hiddenCount: 0 }
+      ],
+      questionCount: 4,
+      requiredCount: 3
+    });
+    expect(catalogue.roles.find(r => r.role === 'education-expert').questionCount).toBe(2);
+    // Imported questionnaires no role answers by default are listed last
+    expect(catalogue.questionnaires.map(q => q.key)).toEqual([
+      'general-v1', 'ethical-expert-v1', 'medical-expert-v1', 'technical-expert-v1', 'legal-expert-v1', 'education-expert-v1', 'custom-v1'
+    ]);
+  });
+
+  test('one role, including roles without a questionnaire of their own', async () => {
+    mockQuestions();
+    mockQuestionnaires();
+
+    const { roles } = await getQuestionCatalogue({ role: 'use-case-owner' });
+    expect(roles.map(r => [r.role, r.questionnaires.map(q => q.key), r.questionCount])).toEqual([['use-case-owner', ['general-v1'], 2]]);
+
+    await expect(getQuestionCatalogue({ role: 'lawyer' })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_ROLE' });
+  });
+});
+
+describe('getAssignmentCatalogue', () => {
+  const projectId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  test('the assigned questionnaires without the questions hidden from this expert', async () => {
+    mockQuestions();
+    mockQuestionnaires();
+    jest.spyOn(ProjectAssignment, 'findOne').mockImplementation(() => query({ projectId, userId, role: 'legal-expert', questionnaires: [] }));
+    jest.spyOn(Response, 'find').mockImplementation(() => query([
+      { questionnaireKey: 'general-v1', answers: [{ questionCode: 'T1', answer: { choiceKey: 'no' } }] }
+    ]));
+
+    const catalogue = await getAssignmentCatalogue(projectId, userId);
+
+    expect(catalogue.questionnaires.map(q => [q.key, q.questionCount, q.hiddenCount])).toEqual([
+      ['general-v1', 2, 0],
+      ['legal-expert-v1', 1, 1]
+    ]);
+    expect(catalogue).toMatchObject({ role: 'legal-expert', questionCount: 3, requiredCount: 2, hiddenCount: 1 });
+  });
+
+  test('no assignment is a 404', async () => {
+    jest.spyOn(ProjectAssignment, 'findOne').mockImplementation(() => query(null));
+    await expect(getAssignmentCatalogue(projectId, userId)).rejects.toMatchObject({ statusCode: 404, code: 'ASSIGNMENT_NOT_FOUND' });
+  });
+});
+
+describe('resolveAssignedQuestionnaires', () => {
+  const projectId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  test('without role or questionnaires (added on project creation), the user\'s role decides', async () => {
+    const findUser = jest.spyOn(User, 'findById').mockImplementation(() => query({ role: 'legal-expert' }));
+
+    expect(await resolveAssignedQuestionnaires({ projectId, userId, questionnaires: [] }))
+      .toEqual(['general-v1', 'legal-expert-v1']);
+    expect(findUser).toHaveBeenCalledWith(userId);
+    // Already loaded by the caller
+    expect(await resolveAssignedQuestionnaires({ projectId, userId }, { userRole: 'Medical-Expert' }))
+      .toEqual(['general-v1', 'medical-expert-v1']);
+    expect(findUser).toHaveBeenCalledTimes(1);
+  });
+
+  test('only general-v1 listed (expert added to a project) includes the role questionnaire', async () => {
+    expect(await resolveAssignedQuestionnaires({ projectId, userId, role: 'ethical-expert', questionnaires: ['general-v1'] }))
+      .toEqual(['general-v1', 'ethical-expert-v1']);
+  });
+
+  test('other listed questionnaires are kept, plus the role\'s ones the expert already answered', async () => {
+    const distinct = jest.spyOn(Response, 'distinct').mockResolvedValue(['general-v1']);
+
+    expect(await resolveAssignedQuestionnaires({ projectId, userId, role: 'legal-expert', questionnaires: ['legal-expert-v1', 'custom-v1'] }))
+      .toEqual(['legal-expert-v1', 'custom-v1', 'general-v1']);
+    expect(distinct).toHaveBeenCalledWith('questionnaireKey', {
+      projectId,
+      userId,
+      questionnaireKey: { $in: ['general-v1'] },
+      answers: { $elemMatch: { answer: { $ne: null } } }
+    });
+
+    distinct.mockResolvedValue([]);
+    expect(await resolveAssignedQuestionnaires({ projectId, userId, role: 'legal-expert', questionnaires: ['legal-expert-v1'] }))
+      .toEqual(['legal-expert-v1']);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for question display conditions
+ * Tests: anyOf/noneOf/answered and all/any matching, use-case answers by id
+ * or key, questions hidden by hidden questions, loops, the shared cases run
+ * against the backend and frontend evaluators, answers loaded once for several
+ * experts, and hidden questions left out of submission checks and progress
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const mongoose = require('mongoose');
+const {
+  responseAnswerValues,
+  indexUseCaseAnswers,
+  createVisibility
+} = require('../utils/questionConditions');
+const backendConditions = require('../utils/questionConditions');
+const { loadQuestionVisibility, loadQuestionVisibilities } = require('../services/questionVisibilityService');
+const { validateSubmission } = require('../services/evaluationService');
+const Question = require('../models/question');
+const Response = require('../models/response');
+const Project = require('../models/Project');
+const UseCase = require('../models/UseCase');
+const UseCaseQuestion = require('../models/UseCaseQuestion');
+const { query } = require('./helpers/query');
+
+const question = (code, showIf, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  questionnaireKey: 'general-v1',
+  code,
+  required: true,
+  ...(showIf ? { showIf } : {}),
+  ...overrides
+});
+
+const visibilityFor = (answers, { questions = [], useCaseAnswers } = {}) => createVisibility({
+  questions,
+  answerValues: (questionnaireKey, code) => answers[`${questionnaireKey}:${code}`] || [],
+  useCaseAnswers
+});
+
+// The evaluation form's copy of the evaluator, compiled as the build would
+const loadFrontendConditions = () => {
+  const file = path.join(__dirname, '../../frontend/src/utils/questionConditions.ts');
+  const { outputText } = ts.transpileModule(fs.readFileSync(file, 'utf8'), {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 }
+  });
+  const module = { exports: {} };
+  new Function('module', 'exports', 'require', outputText)(module, module.exports, require);
+  return module.exports;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('shared cases', () => {
+  const cases = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/questionConditions.cases.json'), 'utf8'));
+  const evaluators = [['backend', backendConditions], ['frontend', loadFrontendConditions()]];
+
+  describe.each(evaluators)('%s evaluator', (_side, { createVisibility: visibility, indexUseCaseAnswers: indexAnswers }) => {
+    test.each(cases.map(c => [c.name, c]))('%s', (_name, { answers = {}, questions, useCase, visible }) => {
+      const defined = questions.map(q => ({ questionnaireKey: 'general-v1', ...q }));
+      const isVisible = visibility({
+        questions: defined,
+        answerValues: (questionnaireKey, code) => answers[`${questionnaireKey}:${code}`] || [],
+        useCaseAnswers: useCase ? indexAnswers(useCase.answers, useCase.questions) : undefined
+      });
+
+      expect(Object.fromEntries(defined.map(q => [q.code, isVisible(q)]))).toEqual(visible);
+    });
+  });
+});
+
+describe('createVisibility', () => {
+  test('anyOf, noneOf and answered, combined with all or any', () => {
+    const isVisible = visibilityFor({ 'general-v1:T1': ['Yes'], 'general-v1:T2': [] });
+
+    expect(isVisible(question('A'))).toBe(true);
+    expect(isVisible(question('B', { conditions: [{ code: 'T1', anyOf: ['yes', 'partially'] }] }))).toBe(true);
+    expect(isVisible(question('C', { conditions: [{ code: 'T1', noneOf: ['YES'] }] }))).toBe(false);
+    // Unanswered: fails anyOf, passes noneOf, fails a bare condition
+    expect(isVisible(question('D', { conditions: [{ code: 'T2', anyOf: ['yes'] }] }))).toBe(false);
+    expect(isVisible(question('E', { conditions: [{ code: 'T2', noneOf: ['yes'] }] }))).toBe(true);
+    expect(isVisible(question('F', { conditions: [{ code: 'T2' }] }))).toBe(false);
+    expect(isVisible(question('G', { conditions: [{ code: 'T2', answered: false }] }))).toBe(true);
+
+    const both = [{ code: 'T1', anyOf: ['yes'] }, { code: 'T2', answered: true }];
+    expect(isVisible(question('H', { match: 'all', conditions: both }))).toBe(false);
+    expect(isVisible(question('I', { match: 'any', conditions: both }))).toBe(true);
+  });
+
+  test('questions of another questionnaire and the use-case owner\'s answers', () => {
+    const useCaseAnswers = indexUseCaseAnswers(
+      [{ questionId: 'q7', answer: ' No ' }, { questionId: 'S2_Q1', answer: 'Hospital' }],
+      [{ id: 'q7', key: 'S1_Q3' }, { id: 'q9', key: 'S2_Q1' }]
+    );
+    const isVisible = visibilityFor({ 'general-v1:T1': ['yes'] }, { useCaseAnswers });
+
+    const personalData = { conditions: [{ source: 'useCase', code: 'S1_Q3', noneOf: ['no'] }] };
+    expect(isVisible(question('L1', personalData, { questionnaireKey: 'legal-expert-v1' }))).toBe(false);
+    expect(isVisible(question('L2', { conditions: [{ source: 'useCase', code: 'q9', anyOf: ['hospital'] }] }))).toBe(true);
+    expect(isVisible(question('L3', { conditions: [{ questionnaireKey: 'general-v1', code: 'T1', anyOf: ['yes'] }] }, {
+      questionnaireKey: 'legal-expert-v1'
+    }))).toBe(true);
+  });
+
+  test('a question that depends on a hidden question is hidden; loops count as met', () => {
+    const t2 = question('T2', { conditions: [{ code: 'T1', anyOf: ['yes'] }] });
+    const t3 = question('T3', { conditions: [{ code: 'T2', anyOf: ['b'] }] });
+    const x = question('X', { conditions: [{ code: 'Y', noneOf: ['skip'] }] });
+    const y = question('Y', { conditions: [{ code: 'X', noneOf: ['skip'] }] });
+    // T2 still holds an answer from before T1 was changed to "no"
+    const isVisible = visibilityFor({ 'general-v1:T1': ['no'], 'general-v1:T2': ['b'] }, { questions: [t2, t3, x, y] });
+
+    expect(isVisible(t2)).toBe(false);
+    expect(isVisible(t3)).toBe(false);
+    expect(isVisible(x)).toBe(true);
+    expect(isVisible(y)).toBe(true);
+  });
+
+  test('Response answer values', () => {
+    expect(responseAnswerValues({ choiceKey: 'Yes' })).toEqual(['yes']);
+    expect(responseAnswerValues({ multiChoiceKeys: ['a', 'B'], text: '  ' })).toEqual(['a', 'b']);
+    expect(responseAnswerValues({ numeric: 0 })).toEqual(['0']);
+    expect(responseAnswerValues(null)).toEqual([]);
+  });
+});
+
+describe('loadQuestionVisibility', () => {
+  const projectId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  test('without conditional questions nothing else is loaded', async () => {
+    jest.spyOn(Question, 'find').mockImplementation(() => query([question('T1')]));
+    const responses = jest.spyOn(Response, 'find');
+
+    const visibility = await loadQuestionVisibility(projectId, userId);
+
+    expect(visibility.hasConditions).toBe(false);
+    expect(visibility.isVisible(question('T2', { conditions: [{ code: 'T1' }] }))).toBe(true);
+    expect(responses).not.toHaveBeenCalled();
+  });
+
+  test('hidden questions come out of the total and the answered keys', async () => {
+    const followUp = question('D2', { conditions: [{ source: 'useCase', code: 'S1_Q3', noneOf: ['No'] }] });
+    const other = question('T4', { conditions: [{ code: 'T1', anyOf: ['yes'] }] });
+    jest.spyOn(Question, 'find').mockImplementation(() => query([followUp, other]));
+    jest.spyOn(Response, 'find').mockImplementation(() => query([{
+      userId,
+      questionnaireKey: 'general-v1',
+      answers: [{ questionCode: 'T1', answer: { choiceKey: 'yes' } }, { questionCode: 'D2', answer: { choiceKey: 'a' } }]
+    }]));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query({ useCase: String(new mongoose.Types.ObjectId()) }));
+    jest.spyOn(UseCase, 'findById').mockImplementation(() => query({ answers: [{ questionId: 'q7', answer: 'No' }] }));
+    jest.spyOn(UseCaseQuestion, 'find').mockImplementation(() => query([{ id: 'q7', key: 'S1_Q3' }]));
+
+    const visibility = await loadQuestionVisibility(projectId, userId);
+    const answeredKeys = new Set([String(followUp._id), 'general-v1:T1']);
+
+    expect(visibility.excludeHidden(['general-v1'], answeredKeys)).toBe(1);
+    expect([...answeredKeys]).toEqual(['general-v1:T1']);
+    expect(visibility.isVisible(other)).toBe(true);
+  });
+
+  test('several experts\' referenced answers are loaded at once', async () => {
+    const otherUserId = new mongoose.Types.ObjectId();
+    const legal = question('L1', { conditions: [{ questionnaireKey: 'general-v1', code: 'T1', anyOf: ['yes'] }] }, {
+      questionnaireKey: 'legal-expert-v1'
+    });
+    jest.spyOn(Question, 'find').mockImplementation(() => query([legal]));
+    const responses = jest.spyOn(Response, 'find').mockImplementation(() => query([
+      { userId, questionnaireKey: 'general-v1', answers: [{ questionCode: 'T1', answer: { choiceKey: 'yes' } }] },
+      { userId: otherUserId, questionnaireKey: 'general-v1', answers: [{ questionCode: 'T1', answer: { choiceKey: 'no' } }] }
+    ]));
+
+    const visibilities = await loadQuestionVisibilities(projectId, [userId, otherUserId]);
+
+    expect(responses).toHaveBeenCalledTimes(1);
+    // Only the questionnaires the conditions refer to
+    expect(responses).toHaveBeenCalledWith({ projectId, userId: { $in: [userId, otherUserId] }, questionnaireKey: { $in: ['general-v1'] } });
+    expect(visibilities.get(String(userId)).isVisible(legal)).toBe(true);
+    expect(visibilities.get(String(otherUserId)).isVisible(legal)).toBe(false);
+  });
+});
+
+describe('validateSubmission', () => {
+  test('hidden required questions are not missing', async () => {
+    const t1 = question('T1');
+    const t2 = question('T2', { conditions: [{ code: 'T1', anyOf: ['yes'] }] });
+    const projectId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    const response = { answers: [{ questionCode: 'T1', answer: { choiceKey: 'no' } }] };
+    jest.spyOn(Response, 'findOne').mockImplementation(() => query(response));
+    jest.spyOn(Response, 'find').mockImplementation(() => query([{ userId, questionnaireKey: 'general-v1', ...response }]));
+    jest.spyOn(Question, 'find').mockImplementation((filter) => query(filter.questionnaireKey ? [t1, t2] : [t2]));
+
+    await expect(validateSubmission(projectId, userId, 'general-v1')).resolves.toBe(true);
+
+    response.answers[0].answer.choiceKey = 'yes';
+    await expect(validateSubmission(projectId, userId, 'general-v1'))
+      .rejects.toThrow('Missing required questions: T2');
+  });
+});
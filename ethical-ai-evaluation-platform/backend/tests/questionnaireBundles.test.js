@@ -0,0 +1,207 @@
+/**
+ * Unit Tests for questionnaire bundles
+ * Tests: export without ids, YAML/JSON round trip, validation collecting every
+ * problem, display conditions referring to the bundle's questions, the dry-run
+ * diff against the published questions, imports keeping question ids by code,
+ * and the bundle files checked into questionnaires/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+  exportBundle,
+  serializeBundle,
+  parseBundle,
+  validateBundle,
+  importBundle
+} = require('../services/questionnaireBundleService');
+const QuestionnaireVersion = require('../models/QuestionnaireVersion');
+const Questionnaire = require('../models/questionnaire');
+const Question = require('../models/question');
+const { query } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const question = (code, overrides = {}) => ({
+  code,
+  principleKey: 'lawfulness_compliance',
+  principleLabel: { en: 'Lawfulness & Compliance' },
+  appliesToRoles: ['legal-expert'],
+  text: { en: `Question ${code}` },
+  answerType: 'single_choice',
+  options: [{ key: 'yes', label: { en: 'Yes' }, answerScore: 1 }, { key: 'no', label: { en: 'No' }, answerScore: 0 }],
+  riskScore: 3,
+  order: 1,
+  ...overrides
+});
+
+const liveQuestion = (code, overrides = {}) => ({
+  ...question(code, overrides),
+  _id: id(),
+  questionnaireKey: 'legal-expert-v1',
+  options: question(code).options.map(option => ({ ...option, _id: id() })),
+  createdAt: new Date(),
+  __v: 0
+});
+
+const bundleOf = (questions, questionnaire = {}) => ({
+  format: 'questionnaire-bundle',
+  formatVersion: 1,
+  questionnaire: { key: 'legal-expert-v1', title: 'Legal Expert Questions v1', language: 'en-tr', ...questionnaire },
+  questions
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('exportBundle', () => {
+  test('published questions without ids, bookkeeping or questionnaire key, and back', async () => {
+    jest.spyOn(Questionnaire, 'findOne').mockImplementation(() => query({ key: 'legal-expert-v1', title: 'Legal Expert Questions v1', language: 'en-tr', version: 4 }));
+    jest.spyOn(Question, 'find').mockImplementation(() => query([liveQuestion('L1'), liveQuestion('L2', { order: 2 })]));
+
+    const bundle = await exportBundle('legal-expert-v1');
+
+    expect(bundle).toMatchObject({ format: 'questionnaire-bundle', formatVersion: 1, sourceVersion: 4 });
+    expect(bundle.questionnaire).toEqual({ key: 'legal-expert-v1', title: 'Legal Expert Questions v1', language: 'en-tr' });
+    expect(bundle.questions[0]).toEqual(question('L1'));
+
+    expect(parseBundle(serializeBundle(bundle, 'yaml'))).toEqual(bundle);
+    expect(parseBundle(serializeBundle(bundle, 'json'), 'json')).toEqual(bundle);
+  });
+
+  test('unknown questionnaire is a 404', async () => {
+    jest.spyOn(Questionnaire, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(Question, 'find').mockImplementation(() => query([]));
+    await expect(exportBundle('nope-v1')).rejects.toMatchObject({ statusCode: 404, code: 'QUESTIONNAIRE_NOT_FOUND' });
+  });
+});
+
+describe('parseBundle / validateBundle', () => {
+  test('unreadable content and unknown formats are rejected', () => {
+    expect(() => parseBundle('questions: [unclosed', 'yaml')).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_BUNDLE' }));
+    expect(() => parseBundle('{}', 'xml')).toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_FORMAT' }));
+  });
+
+  test('every problem is reported, per question', async () => {
+    const { errors, questions } = await validateBundle({
+      ...bundleOf([
+        question('L1'),
+        question('L1', { appliesToRoles: ['legal-expert', 'lawyer'] }),
+        question('L3', { answerType: 'essay' })
+      ], { key: 'legal expert', title: '' }),
+      formatVersion: 2
+    });
+
+    expect(errors.map(e => e.path)).toEqual([
+      'formatVersion',
+      'questionnaire.key',
+      'questionnaire.title',
+      'questions[1] (L1)',
+      'questions[1] (L1).appliesToRoles',
+      'questions[2] (L3)'
+    ]);
+    expect(errors[4].message).toBe('unknown role lawyer');
+    expect(questions).toHaveLength(2);
+  });
+
+  test('display conditions must refer to questions of the bundle', async () => {
+    const { errors, questions } = await validateBundle(bundleOf([
+      question('L1'),
+      question('L2', { showIf: { conditions: [{ code: 'L1', anyOf: ['yes'] }, { source: 'useCase', code: 'S1_Q3', noneOf: ['No'] }] } }),
+      question('L3', { showIf: { match: 'any', conditions: [{ code: 'L9' }, { questionnaireKey: 'general-v1', code: 'T1' }] } })
+    ]));
+
+    expect(errors).toEqual([{ path: 'questions[2] (L3).showIf', message: 'refers to unknown question L9' }]);
+    expect(questions[1].showIf).toEqual({
+      match: 'all',
+      conditions: [{ source: 'question', code: 'L1', anyOf: ['yes'] }, { source: 'useCase', code: 'S1_Q3', noneOf: ['No'] }]
+    });
+  });
+
+  test('the bundles in questionnaires/ are valid', async () => {
+    const dir = path.join(__dirname, '../questionnaires');
+    for (const file of fs.readdirSync(dir)) {
+      const bundle = parseBundle(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const { errors, questions } = await validateBundle(bundle);
+      expect({ file, errors }).toEqual({ file, errors: [] });
+      expect(questions.length).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('importBundle', () => {
+  const l1 = liveQuestion('L1');
+  const l2 = liveQuestion('L2', { order: 2 });
+
+  const session = { withTransaction: jest.fn((fn) => fn()), endSession: jest.fn() };
+  beforeEach(() => {
+    session.withTransaction.mockClear();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  });
+
+  const mockCurrent = ({ questionnaire, live, draft = null }) => {
+    jest.spyOn(Questionnaire, 'findOne').mockImplementation(() => query(questionnaire));
+    jest.spyOn(Question, 'find').mockImplementation(() => query(live));
+    jest.spyOn(QuestionnaireVersion, 'findOne').mockImplementation(() => query(draft));
+  };
+
+  test('a dry run diffs against the published questions and writes nothing', async () => {
+    mockCurrent({ questionnaire: { key: 'legal-expert-v1', title: 'Legal Questions', version: 2 }, live: [l1, l2] });
+    const create = jest.spyOn(QuestionnaireVersion, 'create');
+    const update = jest.spyOn(Questionnaire, 'updateOne');
+
+    const report = await importBundle(bundleOf([
+      question('L1', { text: { en: 'Reworded' } }),
+      question('L3', { order: 3 })
+    ]), { dryRun: true });
+
+    expect(report).toMatchObject({ dryRun: true, valid: true, errors: [] });
+    expect(report.questionnaire).toMatchObject({ key: 'legal-expert-v1', exists: true, currentVersion: 2, draftVersion: null });
+    expect(report.questionnaire.changes).toEqual([
+      { field: 'title', from: 'Legal Questions', to: 'Legal Expert Questions v1' },
+      { field: 'language', from: null, to: 'en-tr' }
+    ]);
+    // L1 keeps its id, so it is a change rather than a removal and an addition
+    expect(report.diff.changed.map(c => [String(c._id), c.changes.map(x => x.field)])).toEqual([[String(l1._id), ['text']]]);
+    expect(report.diff.added.map(q => q.code)).toEqual(['L3']);
+    expect(report.diff.removed.map(q => q.code)).toEqual(['L2']);
+    expect(create).not.toHaveBeenCalled();
+    expect(update).not.toHaveBeenCalled();
+    expect(session.withTransaction).not.toHaveBeenCalled();
+  });
+
+  test('a new questionnaire is created with the bundle as its first draft', async () => {
+    mockCurrent({ questionnaire: null, live: [] });
+    jest.spyOn(QuestionnaireVersion, 'exists').mockImplementation(() => query(null));
+    jest.spyOn(Question, 'exists').mockImplementation(() => query(null));
+    const createQuestionnaire = jest.spyOn(Questionnaire, 'create').mockImplementation(async (docs) => docs);
+    const createVersion = jest.spyOn(QuestionnaireVersion, 'create').mockImplementation(async (docs) => docs);
+
+    const result = await importBundle(bundleOf([question('L1'), question('L2', { order: 2 })]));
+
+    // Both writes are part of one transaction
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(createQuestionnaire).toHaveBeenCalledWith([{
+      key: 'legal-expert-v1', title: 'Legal Expert Questions v1', language: 'en-tr', version: 1, isActive: true
+    }], { session });
+    const [[draft], options] = createVersion.mock.calls[0];
+    expect(options).toEqual({ session });
+    expect(draft).toMatchObject({ questionnaireKey: 'legal-expert-v1', version: 1, status: 'draft' });
+    expect(draft.questions.map(q => [q.code, q.questionnaireKey])).toEqual([
+      ['L1', 'legal-expert-v1'], ['L2', 'legal-expert-v1']
+    ]);
+    expect(result).toMatchObject({ dryRun: false, status: 'draft', version: 1 });
+  });
+
+  test('an invalid bundle is not applied', async () => {
+    mockCurrent({ questionnaire: null, live: [] });
+    const create = jest.spyOn(Questionnaire, 'create');
+
+    await expect(importBundle(bundleOf([]))).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'INVALID_BUNDLE',
+      fields: [{ path: 'questions', message: 'must be a non-empty list' }]
+    });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
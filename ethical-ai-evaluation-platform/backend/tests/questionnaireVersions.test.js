@@ -0,0 +1,289 @@
+/**
+ * Unit Tests for questionnaire versioning
+ * Tests: edits collected in a draft created from the published version,
+ * publishing (live questions replaced, previous version retired, rescores
+ * queued for responses on the live questions), the version diff, and answers
+ * resolved against the version they were given on, including answers saved
+ * after a publish
+ */
+
+const mongoose = require('mongoose');
+const {
+  createDraftQuestion,
+  updateDraftQuestion,
+  publishDraft,
+  diffQuestionSets,
+  loadAnsweredQuestions
+} = require('../services/questionnaireVersionService');
+const { mergeResponseAnswers } = require('../services/evaluationService');
+const { computeEthicalScores } = require('../services/ethicalScoringService');
+const QuestionnaireVersion = require('../models/QuestionnaireVersion');
+const Questionnaire = require('../models/questionnaire');
+const Question = require('../models/question');
+const Response = require('../models/response');
+const Score = require('../models/score');
+const Project = require('../models/Project');
+const ScoreRecomputeJob = require('../models/ScoreRecomputeJob');
+const { query } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const question = (code, overrides = {}) => ({
+  _id: id(),
+  questionnaireKey: 'general-v1',
+  code,
+  principleKey: 'transparency',
+  principleLabel: { en: 'TRANSPARENCY' },
+  text: { en: `Question ${code}` },
+  answerType: 'single_choice',
+  options: [{ key: 'yes', label: { en: 'Yes' }, answerScore: 1 }, { key: 'no', label: { en: 'No' }, answerScore: 0 }],
+  riskScore: 3,
+  order: 1,
+  ...overrides
+});
+
+const draftDoc = (version, questions) => ({
+  questionnaireKey: 'general-v1',
+  version,
+  status: 'draft',
+  questions,
+  markModified: jest.fn(),
+  save: jest.fn().mockResolvedValue(undefined),
+  toObject() { return { questionnaireKey: this.questionnaireKey, version: this.version, status: this.status, questions: this.questions }; }
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('draft editing', () => {
+  const t1 = question('T1');
+  const t2 = question('T2', { order: 2 });
+
+  test('the first edit freezes the live questions and opens the next version as a draft', async () => {
+    jest.spyOn(QuestionnaireVersion, 'findOne').mockImplementation((filter) => query(
+      filter.status === 'draft' ? null : filter.status === 'published' ? null : { version: 2 }
+    ));
+    jest.spyOn(Questionnaire, 'findOne').mockImplementation(() => query({ version: 2 }));
+    jest.spyOn(Question, 'find').mockImplementation(() => query([t1, t2]));
+    const draft = draftDoc(3, [t1, t2]);
+    const create = jest.spyOn(QuestionnaireVersion, 'create').mockImplementation(async ([doc]) => [
+      doc.status === 'draft' ? draft : { toObject: () => doc }
+    ]);
+
+    const created = await createDraftQuestion({ ...question('T3'), _id: undefined, order: undefined });
+
+    // Responses saved so far were answered on v2
+    expect(create.mock.calls[0][0][0]).toMatchObject({ version: 2, status: 'published' });
+    expect(create.mock.calls[0][0][0].questions.map(q => q.code)).toEqual(['T1', 'T2']);
+    expect(create.mock.calls[1][0][0]).toMatchObject({ version: 3, status: 'draft' });
+    // Appended last; the live questions are not touched
+    expect(created).toMatchObject({ code: 'T3', order: 3 });
+    expect(draft.questions.map(q => q.code)).toEqual(['T1', 'T2', 'T3']);
+    expect(draft.save).toHaveBeenCalled();
+  });
+
+  test('an edit changes the draft copy and keeps codes unique', async () => {
+    const draft = draftDoc(3, [t1, t2]);
+    jest.spyOn(QuestionnaireVersion, 'findOne').mockImplementation((filter) => query(
+      filter['questions._id'] ? { questionnaireKey: 'general-v1' } : draft
+    ));
+
+    const updated = await updateDraftQuestion(t1._id, { text: { en: 'Reworded' }, questionnaireKey: 'other-v1' });
+    expect(updated).toMatchObject({ _id: t1._id, code: 'T1', text: { en: 'Reworded' }, questionnaireKey: 'general-v1' });
+    expect(draft.questions[0].text.en).toBe('Reworded');
+
+    await expect(updateDraftQuestion(t1._id, { code: 'T2' })).rejects.toMatchObject({ statusCode: 400, code: 'QUESTION_CODE_EXISTS' });
+    await expect(updateDraftQuestion(t1._id, { answerType: 'essay' })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_QUESTION' });
+  });
+});
+
+describe('publishDraft', () => {
+  const session = { withTransaction: jest.fn((fn) => fn()), endSession: jest.fn() };
+  beforeEach(() => {
+    session.withTransaction.mockClear();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(QuestionnaireVersion, 'distinct').mockResolvedValue([2, 3]);
+    jest.spyOn(Response, 'distinct').mockResolvedValue([]);
+  });
+
+  test('the draft becomes the live questions and the previous version is retired', async () => {
+    const kept = question('T1');
+    const draft = draftDoc(3, [kept]);
+    jest.spyOn(QuestionnaireVersion, 'findOne').mockImplementation(() => query(draft));
+    const deleteMany = jest.spyOn(Question, 'deleteMany').mockResolvedValue({});
+    const bulkWrite = jest.spyOn(Question, 'bulkWrite').mockResolvedValue({});
+    const retire = jest.spyOn(QuestionnaireVersion, 'updateMany').mockResolvedValue({});
+    const bump = jest.spyOn(Questionnaire, 'updateOne').mockResolvedValue({});
+
+    const published = await publishDraft('general-v1', { notes: 'Reworded T1' });
+
+    expect(deleteMany).toHaveBeenCalledWith({ questionnaireKey: 'general-v1', _id: { $nin: [kept._id] } }, { session });
+    expect(bulkWrite.mock.calls[0]).toEqual([
+      [{ replaceOne: { filter: { _id: kept._id }, replacement: kept, upsert: true } }],
+      { session }
+    ]);
+    expect(retire.mock.calls[0][0]).toEqual({ questionnaireKey: 'general-v1', status: 'published' });
+    expect(retire.mock.calls[0][2]).toEqual({ session });
+    expect(published).toMatchObject({ version: 3, status: 'published' });
+    expect(draft.notes).toBe('Reworded T1');
+    expect(draft.save).toHaveBeenCalledWith({ session });
+    // New responses record the new version
+    expect(bump).toHaveBeenCalledWith({ key: 'general-v1' }, { $set: { version: 3 } }, { session });
+    // Every write is part of one transaction
+    expect(session.withTransaction).toHaveBeenCalledTimes(1);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('projects with responses on the live questions are queued for a rescore', async () => {
+    const [onLive, other] = [id(), id()];
+    jest.spyOn(QuestionnaireVersion, 'findOne').mockImplementation(() => query(draftDoc(3, [question('T1')])));
+    jest.spyOn(Question, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Question, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(QuestionnaireVersion, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Questionnaire, 'updateOne').mockResolvedValue({});
+    const responses = jest.spyOn(Response, 'distinct').mockResolvedValue([onLive, other]);
+    const enqueue = jest.spyOn(ScoreRecomputeJob, 'findOneAndUpdate').mockImplementation(() => query({ _id: id() }));
+
+    await publishDraft('general-v1');
+
+    // Frozen versions resolve on their own; the rest were answered on the live questions
+    expect(QuestionnaireVersion.distinct).toHaveBeenCalledWith('version', { questionnaireKey: 'general-v1', status: { $in: ['published', 'retired'] } });
+    expect(responses).toHaveBeenCalledWith('projectId', { questionnaireKey: 'general-v1', questionnaireVersion: { $nin: [2, 3] } });
+    expect(enqueue.mock.calls.map(([filter, update]) => [filter.projectId, filter.questionnaireKey, update.$addToSet.reasons]))
+      .toEqual([
+        [onLive, { $in: [null, 'general-v1'] }, 'question_changed'],
+        [other, { $in: [null, 'general-v1'] }, 'question_changed']
+      ]);
+  });
+
+  test('without a draft there is nothing to publish', async () => {
+    jest.spyOn(QuestionnaireVersion, 'findOne').mockImplementation(() => query(null));
+    await expect(publishDraft('general-v1')).rejects.toMatchObject({ statusCode: 404, code: 'NO_DRAFT' });
+  });
+});
+
+describe('diffQuestionSets', () => {
+  test('added, removed and changed questions, field by field', () => {
+    const t1 = question('T1');
+    const t2 = question('T2');
+    const t3 = question('T3');
+    const reworded = {
+      ...t1,
+      text: { en: 'Reworded' },
+      // Rebuilt by the editor: new option ids, one score changed
+      options: [{ _id: id(), key: 'yes', label: { en: 'Yes' }, answerScore: 0.8 }, { _id: id(), key: 'no', label: { en: 'No' }, answerScore: 0 }]
+    };
+    const sameT2 = { ...t2, options: t2.options.map(o => ({ ...o, _id: id() })) };
+
+    const diff = diffQuestionSets([t1, t2, t3], [reworded, sameT2, question('T4')]);
+
+    expect(diff.added.map(q => q.code)).toEqual(['T4']);
+    expect(diff.removed.map(q => q.code)).toEqual(['T3']);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0].changes.map(c => c.field)).toEqual(['text', 'options']);
+    expect(diff.changed[0].changes[0]).toEqual({ field: 'text', from: { en: 'Question T1' }, to: { en: 'Reworded' } });
+    expect(diff.unchanged).toBe(1);
+  });
+});
+
+describe('loadAnsweredQuestions', () => {
+  test('answers resolve against their version, unfrozen versions against the live questions', async () => {
+    const questionId = id();
+    const v1 = { _id: questionId, code: 'T1', riskScore: 1 };
+    const live = { _id: questionId, code: 'T1', riskScore: 4 };
+    const find = jest.spyOn(QuestionnaireVersion, 'find').mockImplementation(() => query([
+      { questionnaireKey: 'general-v1', version: 1, questions: [v1] }
+    ]));
+    jest.spyOn(Question, 'find').mockImplementation(() => query([live]));
+
+    const onV1 = { questionnaireKey: 'general-v1', questionnaireVersion: 1, answers: [{ questionId }] };
+    const legacy = { questionnaireKey: 'general-v1', answers: [{ questionId }] };
+    const questionOf = await loadAnsweredQuestions([onV1, legacy]);
+
+    expect(find.mock.calls[0][0]).toEqual({
+      $or: [{ questionnaireKey: 'general-v1', version: 1 }],
+      status: { $in: ['published', 'retired'] }
+    });
+    expect(questionOf(onV1, onV1.answers[0])).toBe(v1);
+    expect(questionOf(legacy, legacy.answers[0])).toBe(live);
+  });
+
+  test("an answer's own version wins over the response's", async () => {
+    const questionId = id();
+    const v1 = { _id: questionId, code: 'T1', text: { en: 'Old wording' } };
+    const v2 = { _id: questionId, code: 'T1', text: { en: 'New wording' } };
+    jest.spyOn(QuestionnaireVersion, 'find').mockImplementation(() => query([
+      { questionnaireKey: 'general-v1', version: 1, questions: [v1] },
+      { questionnaireKey: 'general-v1', version: 2, questions: [v2] }
+    ]));
+    const live = jest.spyOn(Question, 'find');
+
+    const onV1 = { questionId };
+    const onV2 = { questionId, questionnaireVersion: 2 };
+    const response = { questionnaireKey: 'general-v1', questionnaireVersion: 1, answers: [onV1, onV2] };
+    const questionOf = await loadAnsweredQuestions([response]);
+
+    expect(QuestionnaireVersion.find.mock.calls[0][0].$or).toEqual([
+      { questionnaireKey: 'general-v1', version: 1 },
+      { questionnaireKey: 'general-v1', version: 2 }
+    ]);
+    expect(questionOf(response, onV1)).toBe(v1);
+    expect(questionOf(response, onV2)).toBe(v2);
+    expect(live).not.toHaveBeenCalled();
+  });
+});
+
+describe('answers saved after a new version is published', () => {
+  test('new and changed answers record the live version, unchanged ones keep theirs', async () => {
+    const projectId = id();
+    const t1 = question('T1');
+    const t2 = question('T2', { order: 2 });
+    const t3 = question('T3', { order: 3 });
+    // The response was started on v1; v2 reworded T2 and added T3
+    const versions = [
+      { questionnaireKey: 'general-v1', version: 1, questions: [t1, { ...t2, riskScore: 1 }] },
+      { questionnaireKey: 'general-v1', version: 2, questions: [t1, { ...t2, riskScore: 4 }, t3] }
+    ];
+    jest.spyOn(QuestionnaireVersion, 'find').mockImplementation((filter) => query(
+      versions.filter(v => filter.$or.some(pair => pair.version === v.version))
+    ));
+    const response = {
+      projectId,
+      userId: id(),
+      role: 'ethical-expert',
+      questionnaireKey: 'general-v1',
+      questionnaireVersion: 1,
+      status: 'draft',
+      answers: [
+        { questionId: t1._id, questionCode: 'T1', answer: { choiceKey: 'yes' }, answerSeverity: 0.5 },
+        { questionId: t2._id, questionCode: 'T2', answer: { choiceKey: 'yes' }, answerSeverity: 0.5 }
+      ]
+    };
+
+    const added = mergeResponseAnswers(response, [
+      { questionId: t1._id, questionCode: 'T1', answer: { choiceKey: 'yes' }, answerSeverity: 0.5 },
+      { questionId: t2._id, questionCode: 'T2', answer: { choiceKey: 'no' }, answerSeverity: 1 },
+      { questionId: t3._id, questionCode: 'T3', answer: { choiceKey: 'no' }, answerSeverity: 1 }
+    ], 2);
+
+    expect(added).toBe(1);
+    expect(response.questionnaireVersion).toBe(1);
+    expect(response.answers.map(a => [a.questionCode, a.questionnaireVersion])).toEqual([['T1', null], ['T2', 2], ['T3', 2]]);
+
+    const questionOf = await loadAnsweredQuestions([response]);
+    expect(response.answers.map(a => questionOf(response, a).riskScore)).toEqual([t1.riskScore, 4, t3.riskScore]);
+
+    const saved = [];
+    jest.spyOn(Response, 'find').mockImplementation(() => query([response]));
+    jest.spyOn(Question, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query({ _id: projectId }));
+    jest.spyOn(Score, 'findOneAndUpdate').mockImplementation(async (filter, doc) => {
+      saved.push(doc);
+      return doc;
+    });
+
+    await computeEthicalScores(projectId);
+
+    expect(saved).toHaveLength(1);
+    expect(saved[0].questionBreakdown.map(e => e.code)).toEqual(['T1', 'T2', 'T3']);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Consistency tests for the risk thresholds
+ * Every consumer must classify, label and color a score exactly like
+ * config/ercThresholds.js: riskScale, riskClassification, riskUtils, riskLabel
+ * and the GET /api/risk-thresholds payload the frontend SeverityBadge uses.
+ */
+
+const ercConfig = require('../config/ercThresholds');
+const riskScale = require('../utils/riskScale');
+const riskClassification = require('../utils/riskClassification');
+const riskUtils = require('../utils/riskUtils');
+const { riskLabel } = require('../utils/riskLabel');
+
+const levels = Object.entries(ercConfig.thresholds);
+const boundaries = levels.flatMap(([, t]) => [t.min, t.max]);
+const sweep = Array.from({ length: 81 }, (_, i) => i * 0.05);
+const scores = [...new Set([...sweep, ...boundaries, ...boundaries.map(b => b - 0.001), 4.5, 10])]
+  .filter(score => score >= 0)
+  .sort((a, b) => a - b);
+
+// Level straight from the config bands: min <= score < max, top band open-ended
+const expectedLevel = (score) => {
+  const index = levels.findIndex(([, t], i) => score >= t.min && (score < t.max || i === levels.length - 1));
+  return levels[index][0];
+};
+
+test('config bands are contiguous, ordered and cover 0 to the scale max', () => {
+  expect(levels.map(([level]) => level)).toEqual(['MINIMAL', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL']);
+  expect(levels[0][1].min).toBe(ercConfig.scale.min);
+  expect(levels[levels.length - 1][1].max).toBe(ercConfig.scale.max);
+  levels.slice(1).forEach(([, t], i) => expect(t.min).toBe(levels[i][1].max));
+});
+
+describe.each(scores)('score %p', (score) => {
+  const level = expectedLevel(score);
+  const { label, color } = ercConfig.thresholds[level];
+
+  test('every classifier agrees with the config', () => {
+    expect(ercConfig.getRiskLevel(score).level).toBe(level);
+    expect(riskScale.classifyRisk(score)).toBe(`${level}_RISK`);
+    expect(riskScale.getRiskLabel(score, 'short')).toBe(level);
+    expect(riskClassification.classifyRisk(score)).toBe(`${level}_RISK`);
+    expect(riskUtils.riskLevelFromScore(score)).toBe(level);
+    expect(riskLabel(score)).toBe(level);
+  });
+
+  test('every label and color agrees with the config', () => {
+    expect(riskScale.riskLabelEN(score)).toBe(label);
+    expect(riskScale.getRiskLabel(score)).toBe(label);
+    expect(riskClassification.getRiskLabel(score)).toBe(label);
+    expect(riskScale.colorForScore(score)).toBe(color);
+    expect(riskUtils.colorForScore(score)).toBe(color);
+    expect(riskUtils.getRiskTier(score)).toEqual({ label: level, color });
+  });
+
+  test('cumulative sums are normalized by question count first', () => {
+    expect(riskScale.classifyCumulativeRisk(score * 3, 3)).toBe(`${level}_RISK`);
+    expect(riskClassification.classifyCumulativeRisk(score * 3, 3)).toBe(`${level}_RISK`);
+    expect(riskScale.getCumulativeRiskLabel(score * 3, 3)).toBe(label);
+    expect(riskClassification.getCumulativeRiskLabel(score * 3, 3)).toBe(label);
+    expect(riskScale.colorForCumulativeRisk(score * 3, 3)).toBe(color);
+  });
+});
+
+test('not-evaluated scores agree across consumers', () => {
+  const { label, color } = ercConfig.notEvaluated;
+  [null, undefined, NaN].forEach((score) => {
+    expect(riskScale.classifyRisk(score)).toBe('N/A');
+    expect(riskClassification.classifyRisk(score)).toBe('N/A');
+    expect(riskScale.riskLabelEN(score)).toBe(label);
+    expect(riskClassification.getRiskLabel(score)).toBe(label);
+    expect(riskScale.colorForScore(score)).toBe(color);
+    expect(riskUtils.colorForScore(score)).toBe(color);
+    expect(riskUtils.riskLevelFromScore(score)).toBe('UNKNOWN');
+  });
+  expect(riskScale.getCumulativeRiskLabel(5, 0)).toBe(label);
+  expect(riskScale.colorForCumulativeRisk(5, 0)).toBe(color);
+});
+
+test('GET /api/risk-thresholds serves the config unchanged', () => {
+  const payload = JSON.parse(JSON.stringify(riskScale.describeRiskThresholds()));
+  expect(payload.version).toBe(ercConfig.version);
+  expect(payload.notEvaluated).toEqual(ercConfig.notEvaluated);
+  expect(payload.levels).toEqual(levels.map(([level, t]) => ({ level, classification: `${level}_RISK`, ...t })));
+});
@@ -3,16 +3,7 @@
  * Refactored for lightweight runner compatibility
  */
 
-// Simulated Middleware
-function requireAdmin(req, res, next) {
-    if (!req.user) {
-        return res.status(401).json({ message: "Unauthorized" });
-    }
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: "Forbidden: Admins only" });
-    }
-    next();
-}
+const { requireAdmin } = require('../middleware/authorize');
 
 describe('Role-Based Authorization (Middleware)', () => {
 
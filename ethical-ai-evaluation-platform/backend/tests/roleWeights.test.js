@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for role weighting in project-level aggregation
+ * Tests: project overrides on top of the defaults, weighted averages per
+ * principle, cumulative sums keep their scale, weighted vs. unweighted
+ * comparison for analytics and the weights shown in the report methodology
+ */
+
+const {
+  getProjectRoleWeights,
+  applyRoleWeights,
+  weightByPrinciple,
+  compareRoleWeighting
+} = require('../services/roleWeightService');
+const { generateHTMLReport } = require('../services/htmlReportTemplateService');
+const { DEFAULT_ROLE_WEIGHTS } = require('../config/roles.config');
+const builtInThresholds = require('../config/ercThresholds');
+
+const entry = (role, principle, finalRiskContribution) => ({ role, principle, finalRiskContribution });
+const contributions = (entries) => entries.map(e => e.finalRiskContribution);
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// One ethical-expert rating TRANSPARENCY high, three technical experts rating it low
+const transparency = [
+  entry('ethical-expert', 'TRANSPARENCY', 4),
+  entry('technical-expert', 'TRANSPARENCY', 1),
+  entry('technical-expert', 'TRANSPARENCY', 1),
+  entry('technical-expert', 'TRANSPARENCY', 1)
+];
+
+describe('getProjectRoleWeights', () => {
+  test('defaults from roles.config.js when the project sets none', () => {
+    expect(getProjectRoleWeights({})).toEqual({ weights: DEFAULT_ROLE_WEIGHTS, custom: false });
+    expect(getProjectRoleWeights(null).custom).toBe(false);
+  });
+
+  test('project overrides apply on top of the defaults (lean object or Map)', () => {
+    const lean = getProjectRoleWeights({ roleWeights: { 'ethical-expert': 3 } });
+    expect(lean.custom).toBe(true);
+    expect(lean.weights).toMatchObject({ 'ethical-expert': 3, 'technical-expert': 1 });
+
+    const doc = getProjectRoleWeights({ roleWeights: new Map([['technical-expert', 0.5]]) });
+    expect(doc.weights).toMatchObject({ 'ethical-expert': 1, 'technical-expert': 0.5 });
+  });
+});
+
+describe('applyRoleWeights', () => {
+  test('equal weights change nothing', () => {
+    expect(contributions(applyRoleWeights(transparency, DEFAULT_ROLE_WEIGHTS))).toEqual([4, 1, 1, 1]);
+    expect(applyRoleWeights(transparency, null)).toBe(transparency);
+  });
+
+  test('the mean becomes the role-weighted mean', () => {
+    const weighted = applyRoleWeights(transparency, { 'ethical-expert': 3, 'technical-expert': 1 });
+    // (3×4 + 1 + 1 + 1) / (3 + 1 + 1 + 1) = 2.5, unweighted 1.75
+    expect(mean(contributions(weighted))).toBeCloseTo(2.5);
+    expect(mean(contributions(transparency))).toBeCloseTo(1.75);
+  });
+
+  test('sums keep the scale of the answer count', () => {
+    const weighted = applyRoleWeights(transparency, { 'ethical-expert': 3, 'technical-expert': 1 });
+    expect(contributions(weighted).reduce((a, b) => a + b, 0)).toBeCloseTo(4 * 2.5);
+  });
+
+  test('roles without a weight count 1; all-zero weights leave answers unweighted', () => {
+    const mixed = [entry('ethical-expert', 'TRANSPARENCY', 4), entry('use-case-owner', 'TRANSPARENCY', 0)];
+    expect(mean(contributions(applyRoleWeights(mixed, { 'ethical-expert': 3 })))).toBeCloseTo(3);
+    expect(applyRoleWeights(transparency, { 'ethical-expert': 0, 'technical-expert': 0 })).toBe(transparency);
+  });
+});
+
+describe('weightByPrinciple', () => {
+  test('normalizes within each principle and keeps the order', () => {
+    const entries = [
+      entry('technical-expert', 'ACCOUNTABILITY', 2),
+      ...transparency,
+      entry('technical-expert', 'ACCOUNTABILITY', 2)
+    ];
+    const weighted = weightByPrinciple(entries, { 'ethical-expert': 3, 'technical-expert': 1 });
+    expect(weighted.map(e => e.principle)).toEqual(entries.map(e => e.principle));
+    // ACCOUNTABILITY has a single role: unchanged
+    expect(weighted[0].finalRiskContribution).toBe(2);
+    expect(weighted[5].finalRiskContribution).toBe(2);
+  });
+});
+
+describe('compareRoleWeighting', () => {
+  const scores = [
+    { role: 'ethical-expert', userId: 'e1', questionBreakdown: [{ principle: 'TRANSPARENCY', finalRiskContribution: 4 }] },
+    ...[1, 2, 3].map(i => ({
+      role: 'technical-expert',
+      userId: `t${i}`,
+      questionBreakdown: [{ principle: 'TRANSPARENCY', finalRiskContribution: 1 }]
+    })),
+    // Project aggregate: not an evaluator
+    { role: 'project', questionBreakdown: [{ principle: 'TRANSPARENCY', finalRiskContribution: 4 }] }
+  ];
+
+  test('weighted and unweighted normalized ERC side by side', () => {
+    const result = compareRoleWeighting(scores, { 'ethical-expert': 5, 'technical-expert': 1 }, builtInThresholds);
+
+    // (5×4 + 1 + 1 + 1) / 8 = 2.875
+    expect(result.unweighted.overall).toMatchObject({ averageERC: 1.75, n: 4, riskLevel: 'MEDIUM' });
+    expect(result.weighted.overall).toMatchObject({ averageERC: 2.88, n: 4, riskLevel: 'HIGH' });
+    expect(result.weighted.byPrinciple.TRANSPARENCY.averageERC).toBe(2.88);
+    expect(result.roles).toEqual([
+      { role: 'ethical-expert', weight: 5, answers: 1, share: 86.96, unweightedShare: 57.14 },
+      { role: 'technical-expert', weight: 1, answers: 3, share: 13.04, unweightedShare: 42.86 }
+    ]);
+  });
+
+  test('no answers: nothing to compare', () => {
+    const result = compareRoleWeighting([], DEFAULT_ROLE_WEIGHTS, builtInThresholds);
+    expect(result).toEqual({
+      roles: [],
+      weighted: { overall: null, byPrinciple: {} },
+      unweighted: { overall: null, byPrinciple: {} }
+    });
+  });
+});
+
+describe('report methodology', () => {
+  test('lists the applied role weights', () => {
+    const html = generateHTMLReport({
+      project: { title: 'Weighted project' },
+      scoring: {
+        byPrincipleOverall: {},
+        roleWeighting: {
+          custom: true,
+          roles: [{ role: 'ethical-expert', weight: 3, answers: 1, share: 80, unweightedShare: 57.14 }]
+        }
+      },
+      overallTotals: {}
+    }, {});
+
+    expect(html).toContain('Role Weighting');
+    expect(html).toContain('This project weights evaluator roles');
+    expect(html).toContain('80% (57.14%)');
+  });
+});
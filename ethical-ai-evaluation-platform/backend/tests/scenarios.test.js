@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for the what-if scenario simulator
+ * Tests: answers rescored in memory with the project's scoring model, principle
+ * and overall deltas, tension mitigations, unmatched changes, side-by-side
+ * comparison and the scenarios listed in the report
+ */
+
+const mongoose = require('mongoose');
+const {
+  simulateScenario,
+  compareScenarios,
+  getReportScenarios
+} = require('../services/scenarioService');
+const { generateHTMLReport } = require('../services/htmlReportTemplateService');
+const Scenario = require('../models/Scenario');
+const Score = require('../models/score');
+const Question = require('../models/question');
+const Tension = require('../models/Tension');
+const Project = require('../models/Project');
+const { query } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const projectId = id();
+const questions = {
+  T1: { _id: id(), code: 'T1', principle: 'TRANSPARENCY' },
+  T2: { _id: id(), code: 'T2', principle: 'TRANSPARENCY' },
+  A1: { _id: id(), code: 'A1', principle: 'ACCOUNTABILITY' }
+};
+
+const entry = (code, importance, answerSeverity) => ({
+  questionId: questions[code]._id,
+  principle: questions[code].principle,
+  importance,
+  answerSeverity
+});
+
+// Contributions (importance × severity): T1 4 and 2, T2 1, A1 0 and 3
+const scores = [
+  { role: 'ethical-expert', userId: id(), questionBreakdown: [entry('T1', 4, 1), entry('T2', 2, 0.5), entry('A1', 3, 0)] },
+  { role: 'legal-expert', userId: id(), questionBreakdown: [entry('T1', 4, 0.5), entry('A1', 3, 1)] },
+  // Project-level aggregate: must not be counted again
+  { role: 'project', questionBreakdown: [entry('T1', 4, 1)] }
+];
+
+const tensions = [
+  { _id: id(), principle1: 'TRANSPARENCY', principle2: 'PRIVACY & DATA GOVERNANCE', claimStatement: 'Logs vs privacy', severity: 'high' },
+  { _id: id(), principle1: 'ACCOUNTABILITY', severity: 'medium', mitigation: { action: { status: 'Done' } } },
+  { _id: id(), principle1: 'TRANSPARENCY', severity: 'low', mitigation: { action: { status: 'Open' } } }
+];
+
+beforeEach(() => {
+  jest.spyOn(Project, 'findById').mockImplementation(() => query({ _id: projectId }));
+  jest.spyOn(Score, 'find').mockImplementation(() => query(scores));
+  jest.spyOn(Question, 'find').mockImplementation(() => query(Object.values(questions)));
+  jest.spyOn(Tension, 'find').mockImplementation(() => query(tensions));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('simulateScenario', () => {
+  test('no changes reproduces the current score', async () => {
+    const result = await simulateScenario(projectId, {});
+    expect(result.scoringModel).toBe('strict_ethical_v3_cumulative');
+    expect(result.baseline.overall).toEqual({ risk: 10, n: 5, averageERC: 2, riskLevel: 'MEDIUM', riskLabel: 'Medium Risk' });
+    expect(result.baseline.byPrinciple.TRANSPARENCY).toMatchObject({ risk: 7, n: 3, averageERC: 2.33 });
+    expect(result.baseline.byPrinciple['PRIVACY & DATA GOVERNANCE']).toBeNull();
+    expect(result.simulated).toEqual(result.baseline);
+    expect(result.delta).toMatchObject({ averageERC: 0, risk: 0, riskLevelChanged: false });
+    // Candidates to fix, highest contribution first
+    expect(result.questions.map(q => [q.questionCode, q.answers, q.averageSeverity, q.averageContribution])).toEqual([
+      ['T1', 2, 0.75, 3],
+      ['A1', 2, 0.5, 1.5],
+      ['T2', 1, 0.5, 1]
+    ]);
+  });
+
+  test('a fixed question lowers its principle and the overall ERC', async () => {
+    const result = await simulateScenario(projectId, {
+      questionChanges: [{ questionId: questions.T1._id.toString(), answerSeverity: 0 }]
+    });
+
+    expect(result.simulated.overall).toMatchObject({ risk: 4, averageERC: 0.8, riskLevel: 'LOW' });
+    expect(result.delta).toMatchObject({ averageERC: -1.2, risk: -6, riskLevelChanged: true });
+    expect(result.delta.byPrinciple).toMatchObject({ TRANSPARENCY: -2, ACCOUNTABILITY: 0, 'PRIVACY & DATA GOVERNANCE': null });
+    // Applied to both evaluators' answers
+    expect(result.changes).toEqual([
+      expect.objectContaining({ questionCode: 'T1', principle: 'TRANSPARENCY', answers: 2, fromSeverity: 0.75, toSeverity: 0 })
+    ]);
+  });
+
+  test('uses the project\'s scoring model', async () => {
+    Project.findById.mockImplementation(() => query({ _id: projectId, scoringModel: 'erc_average_v1' }));
+    const result = await simulateScenario(projectId, {});
+    expect(result.scoringModel).toBe('erc_average_v1');
+    expect(result.baseline.overall.risk).toBe(2);
+  });
+
+  test('mitigated tensions change the tension summary, not ERC', async () => {
+    const result = await simulateScenario(projectId, { mitigatedTensionIds: [tensions[0]._id.toString()] });
+
+    expect(result.tensions.baseline).toEqual({ total: 3, mitigated: 1, open: 2, openBySeverity: { low: 1, medium: 0, high: 1 } });
+    expect(result.tensions.simulated).toEqual({ total: 3, mitigated: 2, open: 1, openBySeverity: { low: 1, medium: 0, high: 0 } });
+    expect(result.tensions.mitigated).toEqual([expect.objectContaining({ claimStatement: 'Logs vs privacy', severity: 'high' })]);
+    expect(result.delta.averageERC).toBe(0);
+  });
+
+  test('changes that match nothing are reported, not applied', async () => {
+    const stray = id().toString();
+    const result = await simulateScenario(projectId, {
+      questionChanges: [{ questionId: stray, answerSeverity: 0 }],
+      mitigatedTensionIds: [stray]
+    });
+    expect(result.unmatched).toEqual({ questionIds: [stray], tensionIds: [stray] });
+    expect(result.delta.averageERC).toBe(0);
+  });
+
+  test('unknown project is a 404', async () => {
+    Project.findById.mockImplementation(() => query(null));
+    await expect(simulateScenario(projectId, {})).rejects.toMatchObject({ statusCode: 404, code: 'PROJECT_NOT_FOUND' });
+  });
+});
+
+describe('saved scenarios', () => {
+  const fixT1 = {
+    _id: id(),
+    projectId,
+    name: 'Fix logging',
+    description: 'Turn on decision logs',
+    questionChanges: [{ questionId: questions.T1._id, answerSeverity: 0 }],
+    mitigatedTensionIds: [],
+    includeInReport: true
+  };
+  const fixA1 = {
+    _id: id(),
+    projectId,
+    name: 'Assign owner',
+    questionChanges: [{ questionId: questions.A1._id, answerSeverity: 0 }],
+    mitigatedTensionIds: [tensions[0]._id]
+  };
+
+  test('compared side by side against one baseline, in the requested order', async () => {
+    jest.spyOn(Scenario, 'find').mockImplementation(() => query([fixT1, fixA1]));
+    const comparison = await compareScenarios(projectId, [fixA1._id.toString(), fixT1._id.toString()]);
+
+    expect(comparison.baseline.overall.averageERC).toBe(2);
+    expect(comparison.scenarios.map(s => [s.name, s.simulated.overall.averageERC])).toEqual([
+      ['Assign owner', 1.4],
+      ['Fix logging', 0.8]
+    ]);
+    expect(comparison.scenarios[0].tensions.open).toBe(1);
+  });
+
+  test('comparing a scenario of another project is a 404', async () => {
+    jest.spyOn(Scenario, 'find').mockImplementation(() => query([fixT1]));
+    await expect(compareScenarios(projectId, [fixT1._id.toString(), id().toString()]))
+      .rejects.toMatchObject({ statusCode: 404, code: 'SCENARIO_NOT_FOUND' });
+  });
+
+  test('scenarios flagged for the report are listed under recommendations', async () => {
+    jest.spyOn(Scenario, 'find').mockImplementation(() => query([fixT1]));
+    const scenarios = await getReportScenarios(projectId);
+
+    expect(scenarios).toEqual([expect.objectContaining({
+      name: 'Fix logging',
+      baseline: expect.objectContaining({ averageERC: 2, riskLabel: 'Medium Risk' }),
+      simulated: expect.objectContaining({ averageERC: 0.8, riskLabel: 'Low Risk' })
+    })]);
+
+    const html = generateHTMLReport({
+      project: { title: 'Scenario project' },
+      scoring: { byPrincipleOverall: {} },
+      overallTotals: {},
+      scenarios
+    }, {});
+    expect(html).toContain('Mitigation Scenarios');
+    expect(html).toContain('T1: severity 0.75 → 0.00');
+    expect(html).toContain('2.00 → 0.80 (-1.20)');
+  });
+
+  test('no flagged scenarios: nothing is loaded', async () => {
+    jest.spyOn(Scenario, 'find').mockImplementation(() => query([]));
+    expect(await getReportScenarios(projectId)).toEqual([]);
+    expect(Score.find).not.toHaveBeenCalled();
+  });
+});
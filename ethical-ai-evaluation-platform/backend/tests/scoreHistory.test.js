@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for the score history
+ * Tests: snapshots recorded per computation (stage, report version, cause),
+ * unchanged recomputations skipped, and the ERC trend replayed across stages
+ * and report versions
+ */
+
+const mongoose = require('mongoose');
+const {
+  recordScoreSnapshot,
+  buildScoreTrend,
+  getScoreHistory
+} = require('../services/scoreHistoryService');
+const ScoreSnapshot = require('../models/ScoreSnapshot');
+const Project = require('../models/Project');
+const Report = require('../models/report');
+const ercThresholds = require('../config/ercThresholds');
+const { query } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+
+const projectId = id();
+const userId = id();
+const otherUserId = id();
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('recordScoreSnapshot', () => {
+  const score = (computeCause, breakdown) => ({
+    _id: id(),
+    projectId,
+    userId,
+    role: 'technical-expert',
+    questionnaireKey: 'general-v1',
+    computedAt: at(0),
+    computeCause,
+    scoringModelVersion: 'strict_ethical_v3_cumulative',
+    thresholdsVersion: 'erc-v1',
+    questionBreakdown: breakdown
+  });
+  const breakdown = [
+    { principle: 'TRANSPARENCY', finalRiskContribution: 1.5 },
+    { principle: 'TRANSPARENCY', finalRiskContribution: 2.5 },
+    { principle: 'ACCOUNTABILITY', finalRiskContribution: 1 }
+  ];
+
+  const mockLatest = ({ stage = 'assess', report = null, previous = null }) => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => query({ _id: projectId, stage }));
+    jest.spyOn(Report, 'findOne').mockImplementation(() => query(report));
+    jest.spyOn(ScoreSnapshot, 'findOne').mockImplementation(() => query(previous));
+    return jest.spyOn(ScoreSnapshot, 'create').mockImplementation(async (doc) => doc);
+  };
+
+  test('records sums per principle, the cause and the stage', async () => {
+    const create = mockLatest({});
+
+    const snapshot = await recordScoreSnapshot(score('draft_saved', breakdown));
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(snapshot).toMatchObject({
+      projectId,
+      userId,
+      questionnaireKey: 'general-v1',
+      cause: 'draft_saved',
+      stage: 'assess',
+      reportVersion: 0,
+      byPrinciple: { TRANSPARENCY: { sum: 4, n: 2 }, ACCOUNTABILITY: { sum: 1, n: 1 } },
+      totals: { sum: 5, n: 3 }
+    });
+  });
+
+  test('the stage is the project\'s, whatever has been answered', async () => {
+    mockLatest({ stage: 'resolve' });
+    expect((await recordScoreSnapshot(score('draft_saved', []))).stage).toBe('resolve');
+
+    jest.restoreAllMocks();
+    mockLatest({ stage: 'set-up', report: { version: 2 } });
+    expect(await recordScoreSnapshot(score('reevaluation', breakdown))).toMatchObject({ stage: 'set-up', reportVersion: 2 });
+
+    // Projects without a stage are in set-up
+    jest.restoreAllMocks();
+    mockLatest({ stage: null });
+    expect((await recordScoreSnapshot(score('reevaluation', breakdown))).stage).toBe('set-up');
+  });
+
+  test('an unchanged recomputation is skipped, a submission is always kept', async () => {
+    const previous = {
+      stage: 'assess',
+      reportVersion: 0,
+      totals: { sum: 5, n: 3 },
+      byPrinciple: { TRANSPARENCY: { sum: 4, n: 2 }, ACCOUNTABILITY: { sum: 1, n: 1 } }
+    };
+    const create = mockLatest({ previous });
+
+    expect(await recordScoreSnapshot(score('reevaluation', breakdown))).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+
+    await recordScoreSnapshot(score('response_submitted', breakdown));
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failure is logged, never thrown', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Report, 'findOne').mockImplementation(() => { throw new Error('Mongo went away'); });
+
+    await expect(recordScoreSnapshot(score('draft_saved', breakdown))).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('buildScoreTrend', () => {
+  const snapshot = (user, minutes, stage, reportVersion, transparency, accountability) => ({
+    userId: user,
+    questionnaireKey: 'general-v1',
+    computedAt: at(minutes),
+    cause: 'reevaluation',
+    stage,
+    reportVersion,
+    byPrinciple: {
+      TRANSPARENCY: { sum: transparency * 2, n: 2 },
+      ACCOUNTABILITY: { sum: accountability * 2, n: 2 }
+    },
+    totals: { sum: (transparency + accountability) * 2, n: 4 }
+  });
+
+  const snapshots = [
+    // Given out of order on purpose
+    snapshot(userId, 30, 'resolve', 1, 1, 1),
+    snapshot(userId, 0, 'assess', 0, 3, 2),
+    snapshot(otherUserId, 10, 'assess', 0, 1, 2)
+  ];
+
+  test('each point pools the latest snapshot of every evaluator', () => {
+    const { points } = buildScoreTrend(snapshots, { thresholdSet: ercThresholds });
+
+    expect(points.map(p => p.computedAt)).toEqual([at(0), at(10), at(30)]);
+    expect(points[0].byPrinciple).toMatchObject({ TRANSPARENCY: 3, ACCOUNTABILITY: 2, 'PRIVACY & DATA GOVERNANCE': null });
+    // (3 + 1) / 2 and (2 + 2) / 2
+    expect(points[1].byPrinciple).toMatchObject({ TRANSPARENCY: 2, ACCOUNTABILITY: 2 });
+    expect(points[1].overall).toMatchObject({ averageERC: 2, n: 8 });
+    // The first evaluator's later snapshot replaces their earlier one
+    expect(points[2].byPrinciple).toMatchObject({ TRANSPARENCY: 1, ACCOUNTABILITY: 1.5 });
+    expect(points[2].overall.riskLevel).toBe(ercThresholds.getRiskLevel(1.25).level);
+  });
+
+  test('last point of each stage and the state each report version was generated from', () => {
+    const reports = [{ version: 2, generatedAt: at(40) }, { version: 1, generatedAt: at(20) }];
+    const { byStage, byReportVersion } = buildScoreTrend(snapshots, { reports, thresholdSet: ercThresholds });
+
+    expect(byStage.map(p => [p.stage, p.computedAt])).toEqual([['assess', at(10)], ['resolve', at(30)]]);
+    expect(byReportVersion.map(p => [p.reportVersion, p.computedAt])).toEqual([[1, at(10)], [2, at(30)]]);
+  });
+});
+
+describe('getScoreHistory', () => {
+  test('unknown project is a 404', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(null));
+    await expect(getScoreHistory(projectId)).rejects.toMatchObject({ statusCode: 404, code: 'PROJECT_NOT_FOUND' });
+  });
+
+  test('an invalid userId filter is a 400', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => query({ _id: projectId }));
+    await expect(getScoreHistory(projectId, { userId: 'nope' })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_USER_ID' });
+  });
+});
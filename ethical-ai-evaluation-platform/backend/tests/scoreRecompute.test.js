@@ -0,0 +1,249 @@
+/**
+ * Unit Tests for the score recomputation queue
+ * Tests: bursts of events merged into one pending job, wider jobs replacing
+ * narrower ones, one pending job per scope under concurrent writes, the
+ * worker's debounce / maximum delay, retries and failures, and the per-project
+ * staleness indicator
+ */
+
+const mongoose = require('mongoose');
+const ethicalScoringService = require('../services/ethicalScoringService');
+const {
+  enqueueScoreRecompute,
+  processDueJobs,
+  getScoreStaleness
+} = require('../services/scoreRecomputeQueue');
+const ScoreRecomputeJob = require('../models/ScoreRecomputeJob');
+const Project = require('../models/Project');
+const Response = require('../models/response');
+const Score = require('../models/score');
+const { DEFAULT_SCORING_MODEL } = require('../services/scoringModels');
+const { BUILT_IN_VERSION } = require('../services/thresholdSetService');
+const { query } = require('./helpers/query');
+
+const id = () => new mongoose.Types.ObjectId();
+const at = (seconds) => new Date(Date.UTC(2026, 0, 1, 12, 0, seconds));
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const projectId = id();
+const userId = id();
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('enqueueScoreRecompute', () => {
+  test('a burst of draft saves is merged into the pending job covering it', async () => {
+    const pending = { _id: id(), projectId, userId, questionnaireKey: 'general-v1', status: 'pending' };
+    const findOneAndUpdate = jest.spyOn(ScoreRecomputeJob, 'findOneAndUpdate').mockImplementation(() => query(pending));
+
+    const job = await enqueueScoreRecompute({ projectId, userId, questionnaireKey: 'general-v1', reason: 'draft_saved' }, at(0));
+
+    expect(job).toBe(pending);
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    // The user's own job or a project/questionnaire-wide one
+    expect(filter).toEqual({
+      projectId,
+      userId: { $in: [null, userId] },
+      questionnaireKey: { $in: [null, 'general-v1'] },
+      status: 'pending'
+    });
+    // Debounced: pushed back to 5s after the latest event
+    expect(update).toEqual({
+      $set: { runAfter: at(5) },
+      $addToSet: { reasons: 'draft_saved' },
+      $inc: { events: 1 }
+    });
+  });
+
+  test('a project-wide job replaces the narrower pending ones and keeps their first event', async () => {
+    const created = { _id: id(), projectId, userId: null, questionnaireKey: null, status: 'pending' };
+    const narrower = { _id: id(), reasons: ['draft_saved'], events: 3, requestedAt: at(-30) };
+    const findOneAndUpdate = jest.spyOn(ScoreRecomputeJob, 'findOneAndUpdate')
+      .mockImplementationOnce(() => query(null))
+      .mockImplementation(() => query(created));
+    jest.spyOn(ScoreRecomputeJob, 'find').mockImplementation(() => query([narrower]));
+    const deleteMany = jest.spyOn(ScoreRecomputeJob, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    await enqueueScoreRecompute({ projectId, reason: 'thresholds_changed' }, at(0));
+
+    expect(findOneAndUpdate.mock.calls[1][0]).toEqual({ projectId, userId: null, questionnaireKey: null, status: 'pending' });
+    expect(findOneAndUpdate.mock.calls[1][1].$setOnInsert).toEqual({ requestedAt: at(0) });
+    expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: [narrower._id] } });
+    expect(findOneAndUpdate.mock.calls[2][1]).toEqual({
+      $addToSet: { reasons: { $each: ['draft_saved'] } },
+      $inc: { events: 3 },
+      $min: { requestedAt: at(-30) }
+    });
+  });
+
+  test('a pending job inserted concurrently for the same scope is merged into', async () => {
+    const winner = { _id: id(), projectId, userId, questionnaireKey: 'general-v1', status: 'pending' };
+    const findOneAndUpdate = jest.spyOn(ScoreRecomputeJob, 'findOneAndUpdate')
+      .mockImplementationOnce(() => query(null))
+      .mockImplementationOnce(() => ({ lean: () => Promise.reject(duplicateKey()) }))
+      .mockImplementation(() => query(winner));
+
+    const job = await enqueueScoreRecompute({ projectId, userId, questionnaireKey: 'general-v1', reason: 'draft_saved' }, at(0));
+
+    expect(job).toBe(winner);
+    const [filter, update, options] = findOneAndUpdate.mock.calls[2];
+    expect(filter).toEqual({ projectId, userId, questionnaireKey: 'general-v1', status: 'pending' });
+    expect(update).toEqual({ $set: { runAfter: at(5) }, $addToSet: { reasons: 'draft_saved' }, $inc: { events: 1 } });
+    expect(options).toEqual({ new: true });
+  });
+
+  test('the schema allows one pending job per scope', () => {
+    expect(ScoreRecomputeJob.schema.indexes()).toContainEqual([
+      { projectId: 1, userId: 1, questionnaireKey: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { status: 'pending' } })
+    ]);
+  });
+});
+
+describe('processDueJobs', () => {
+  const job = (attempts, reasons = ['draft_saved']) => ({
+    _id: id(), projectId, userId, questionnaireKey: 'general-v1', reasons, events: 2, requestedAt: at(0), attempts
+  });
+
+  const runOnce = (claimed) => {
+    // No running jobs left behind by a stopped process
+    jest.spyOn(ScoreRecomputeJob, 'find').mockImplementation(() => query([]));
+    const claim = jest.spyOn(ScoreRecomputeJob, 'findOneAndUpdate')
+      .mockImplementationOnce(() => query(claimed))
+      .mockImplementation(() => query(null));
+    const updateOne = jest.spyOn(ScoreRecomputeJob, 'updateOne').mockResolvedValue({});
+    const deleteMany = jest.spyOn(ScoreRecomputeJob, 'deleteMany').mockResolvedValue({});
+    return { claim, updateOne, deleteMany };
+  };
+
+  test('runs jobs whose burst is over or whose first event passed the maximum delay', async () => {
+    const claimed = job(1, ['draft_saved', 'response_submitted']);
+    const { claim, updateOne, deleteMany } = runOnce(claimed);
+    const compute = jest.spyOn(ethicalScoringService, 'computeEthicalScores').mockResolvedValue([{}, {}]);
+
+    expect(await processDueJobs(at(60))).toBe(1);
+
+    expect(claim.mock.calls[0][0]).toEqual({
+      status: 'pending',
+      $or: [
+        { runAfter: { $lte: at(60) } },
+        // Retries (attempts > 0) always wait for their runAfter
+        { attempts: 0, requestedAt: { $lte: at(0) } }
+      ]
+    });
+    // Only the affected user's questionnaire is recomputed; the submission is its cause
+    expect(compute).toHaveBeenCalledWith(projectId, userId, 'general-v1', { cause: 'response_submitted' });
+    expect(updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'done', computedScores: 2, lastError: null });
+    // Earlier failures in this scope are resolved
+    expect(deleteMany).toHaveBeenCalledWith({ projectId, userId, questionnaireKey: 'general-v1', status: 'failed' });
+  });
+
+  describe('when the recomputation fails', () => {
+    beforeEach(() => {
+      jest.spyOn(ethicalScoringService, 'computeEthicalScores').mockRejectedValue(new Error('Mongo went away'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('it is retried after attempts × the retry delay', async () => {
+      const { updateOne } = runOnce(job(2));
+      const before = Date.now();
+      await processDueJobs(at(60));
+
+      const retry = updateOne.mock.calls[0][1].$set;
+      expect(retry).toMatchObject({ status: 'pending', lastError: 'Mongo went away' });
+      expect(retry.runAfter.getTime()).toBeGreaterThanOrEqual(before + 2 * 30000);
+    });
+
+    test('a retry whose scope got a new pending job meanwhile is merged into it', async () => {
+      const failing = job(1);
+      const { updateOne } = runOnce(failing);
+      updateOne.mockRejectedValueOnce(duplicateKey());
+      const deleteOne = jest.spyOn(ScoreRecomputeJob, 'deleteOne').mockResolvedValue({});
+      await processDueJobs(at(60));
+
+      const [filter, update] = updateOne.mock.calls[1];
+      expect(filter).toEqual({ projectId, userId, questionnaireKey: 'general-v1', status: 'pending' });
+      expect(update).toMatchObject({
+        $addToSet: { reasons: { $each: ['draft_saved'] } },
+        $inc: { events: 2 },
+        $min: { requestedAt: at(0) }
+      });
+      expect(deleteOne).toHaveBeenCalledWith({ _id: failing._id });
+    });
+
+    test('after the last attempt the job stays failed', async () => {
+      const { updateOne } = runOnce(job(3));
+      await processDueJobs(at(60));
+      expect(updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'failed', lastError: 'Mongo went away' });
+    });
+  });
+});
+
+describe('getScoreStaleness', () => {
+  const otherUserId = id();
+  const newUserId = id();
+  const score = (user, questionnaireKey, computedAt, thresholdsVersion = BUILT_IN_VERSION) => ({
+    userId: user,
+    questionnaireKey,
+    computedAt,
+    scoringModelVersion: DEFAULT_SCORING_MODEL,
+    thresholdsVersion
+  });
+
+  const mockProject = ({ jobs = [], responses = [], scores = [] }) => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => query({ _id: projectId }));
+    jest.spyOn(ScoreRecomputeJob, 'find').mockImplementation(() => query(jobs));
+    jest.spyOn(Response, 'find').mockImplementation(() => query(responses));
+    jest.spyOn(Score, 'find').mockImplementation(() => query(scores));
+  };
+
+  test('current scores are not stale', async () => {
+    mockProject({
+      responses: [{ userId, questionnaireKey: 'general-v1', updatedAt: at(0) }],
+      scores: [score(userId, 'general-v1', at(10))]
+    });
+
+    const status = await getScoreStaleness(projectId);
+    expect(status).toMatchObject({
+      stale: false,
+      reasons: [],
+      queue: { pending: 0, running: 0, failed: 0, nextRunAt: null },
+      lastComputedAt: at(10)
+    });
+  });
+
+  test('queued jobs, answers changed after scoring and scores from other thresholds', async () => {
+    mockProject({
+      jobs: [
+        { status: 'pending', reasons: ['draft_saved'], runAfter: at(30) },
+        { status: 'failed', reasons: ['question_changed'], lastError: 'Mongo went away' }
+      ],
+      responses: [
+        // Saved after its score was computed
+        { userId, questionnaireKey: 'general-v1', updatedAt: at(20) },
+        // Answered but never scored
+        { userId: otherUserId, questionnaireKey: 'general-v1', updatedAt: at(0), answers: [{ answerSeverity: 0.5 }] },
+        // Freshly assigned, nothing to score yet
+        { userId: newUserId, questionnaireKey: 'general-v1', updatedAt: at(0), answers: [{ answerSeverity: null }] }
+      ],
+      scores: [
+        score(userId, 'general-v1', at(10)),
+        score(userId, 'ethical-expert-v1', at(10), 'old-v0')
+      ]
+    });
+
+    const status = await getScoreStaleness(projectId);
+    expect(status).toMatchObject({
+      stale: true,
+      queue: { pending: 1, running: 0, failed: 1, nextRunAt: at(30), lastError: 'Mongo went away' },
+      outdatedResponses: 2,
+      mismatchedScores: 1
+    });
+    expect(status.reasons).toEqual(['draft_saved', 'question_changed', 'responses_changed', 'scoring_settings_changed']);
+  });
+
+  test('unknown project is a 404', async () => {
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(null));
+    await expect(getScoreStaleness(projectId)).rejects.toMatchObject({ statusCode: 404, code: 'PROJECT_NOT_FOUND' });
+  });
+});
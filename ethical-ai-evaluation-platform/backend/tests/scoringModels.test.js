@@ -0,0 +1,189 @@
+/**
+ * Unit Tests for the scoring model registry
+ * Tests: registry contract, ERC cumulative / ERC average / legacy RPN maths,
+ * per-project model selection and Score.scoringModelVersion, safe per-project recompute
+ */
+
+const mongoose = require('mongoose');
+const {
+  DEFAULT_SCORING_MODEL,
+  registerScoringModel,
+  isRegisteredScoringModel,
+  getScoringModel,
+  listScoringModels
+} = require('../services/scoringModels');
+const { computeEthicalScores } = require('../services/ethicalScoringService');
+const { safeRecomputeScores } = require('../services/safeScoreRecompute');
+const Response = require('../models/response');
+const Question = require('../models/question');
+const Score = require('../models/score');
+const Project = require('../models/Project');
+const ThresholdSet = require('../models/ThresholdSet');
+const { query } = require('./helpers/query');
+
+const projectId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const questions = [
+  { _id: new mongoose.Types.ObjectId(), code: 'T1', principle: 'TRANSPARENCY', riskScore: 4 },
+  { _id: new mongoose.Types.ObjectId(), code: 'T2', principle: 'TRANSPARENCY', riskScore: 2 },
+  { _id: new mongoose.Types.ObjectId(), code: 'A1', principle: 'ACCOUNTABILITY', riskScore: 3 }
+];
+const severities = [0.5, 1, 0];
+const responses = [{
+  projectId,
+  userId,
+  role: 'ethical-expert',
+  questionnaireKey: 'ethical-expert-v1',
+  answers: questions.map((q, i) => ({
+    questionId: q._id,
+    answer: { choiceKey: 'x' },
+    answerSeverity: severities[i]
+  }))
+}];
+
+describe('registry', () => {
+  test('lists the built-in models with their contracts', () => {
+    const ids = listScoringModels().map(m => m.id);
+    expect(ids).toEqual(['strict_ethical_v3_cumulative', 'erc_average_v1', 'rpn_v1']);
+    expect(DEFAULT_SCORING_MODEL).toBe('strict_ethical_v3_cumulative');
+    listScoringModels().forEach(m => {
+      expect(m).toMatchObject({ input: expect.any(Object), output: expect.any(Object) });
+    });
+  });
+
+  test('no id means the default model; unknown ids are a 400', () => {
+    expect(getScoringModel().id).toBe(DEFAULT_SCORING_MODEL);
+    expect(isRegisteredScoringModel('erc_v1')).toBe(false);
+    expect(() => getScoringModel('erc_v1')).toThrow(expect.objectContaining({ statusCode: 400, code: 'UNKNOWN_SCORING_MODEL' }));
+  });
+
+  test('models must be complete and unique', () => {
+    expect(() => registerScoringModel({ id: 'rpn_v1' })).toThrow('already registered');
+    expect(() => registerScoringModel({ id: 'partial', scoreQuestion: () => ({}) })).toThrow('missing principleRisk, overallRisk');
+    expect(() => registerScoringModel({ id: 'undocumented', scoreQuestion() {}, principleRisk() {}, overallRisk() {} })).toThrow('input and output');
+    expect(() => registerScoringModel({ label: 'no id' })).toThrow('string id');
+  });
+});
+
+describe('models', () => {
+  const entriesFor = (model) => questions.map((q, i) => ({
+    principle: q.principle,
+    ...model.scoreQuestion({ importance: q.riskScore, severity: severities[i], question: q })
+  }));
+  const principleRisks = (model, entries) => ({
+    TRANSPARENCY: model.principleRisk(entries.filter(e => e.principle === 'TRANSPARENCY')),
+    ACCOUNTABILITY: model.principleRisk(entries.filter(e => e.principle === 'ACCOUNTABILITY'))
+  });
+
+  test('ERC cumulative sums importance × severity', () => {
+    const model = getScoringModel('strict_ethical_v3_cumulative');
+    const entries = entriesFor(model);
+    expect(entries.map(e => e.finalRiskContribution)).toEqual([2, 2, 0]);
+    expect(principleRisks(model, entries)).toEqual({ TRANSPARENCY: 4, ACCOUNTABILITY: 0 });
+    expect(model.overallRisk(entries, principleRisks(model, entries))).toBe(4);
+  });
+
+  test('ERC average averages the same contributions', () => {
+    const model = getScoringModel('erc_average_v1');
+    const entries = entriesFor(model);
+    expect(principleRisks(model, entries)).toEqual({ TRANSPARENCY: 2, ACCOUNTABILITY: 0 });
+    expect(model.overallRisk(entries, principleRisks(model, entries))).toBeCloseTo(4 / 3);
+    expect(model.principleRisk([])).toBe(0);
+  });
+
+  test('legacy RPN: rawRpn / 4 per question, mean of principle means overall', () => {
+    const model = getScoringModel('rpn_v1');
+    const entries = entriesFor(model);
+    expect(entries[0]).toMatchObject({ riskScore: 4, answerRisk: 2, rawRpn: 8, normalizedContribution: 2 });
+    expect(principleRisks(model, entries)).toEqual({ TRANSPARENCY: 2, ACCOUNTABILITY: 0 });
+    expect(model.overallRisk(entries, principleRisks(model, entries))).toBe(1);
+  });
+});
+
+describe('computeEthicalScores', () => {
+  let saved;
+  let project;
+
+  beforeEach(() => {
+    saved = [];
+    project = { _id: projectId };
+    jest.spyOn(Response, 'find').mockImplementation(() => query(responses));
+    jest.spyOn(Question, 'find').mockImplementation(() => query(questions));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+    jest.spyOn(Score, 'findOneAndUpdate').mockImplementation(async (filter, doc) => {
+      saved.push(doc);
+      return doc;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('uses the default model when the project has none', async () => {
+    const [score] = await computeEthicalScores(projectId);
+    expect(score).toMatchObject({
+      scoringModelVersion: 'strict_ethical_v3_cumulative',
+      thresholdsVersion: 'erc-v1',
+      totals: { overallRisk: 4, n: 3 }
+    });
+    expect(score.byPrinciple.TRANSPARENCY).toMatchObject({ risk: 4, n: 2 });
+  });
+
+  test('uses the model selected for the project', async () => {
+    project.scoringModel = 'erc_average_v1';
+    const [score] = await computeEthicalScores(projectId);
+    expect(score.scoringModelVersion).toBe('erc_average_v1');
+    expect(score.totals.overallRisk).toBe(1.33);
+    expect(score.byPrinciple.TRANSPARENCY.risk).toBe(2);
+  });
+
+  test('an explicit model overrides the project and tags the score with it', async () => {
+    project.scoringModel = 'erc_average_v1';
+    const [score] = await computeEthicalScores(projectId, null, null, { model: 'rpn_v1' });
+    expect(score.scoringModelVersion).toBe('rpn_v1');
+    expect(score.totals.overallRisk).toBe(1);
+    expect(score.questionBreakdown[0]).toMatchObject({ rawRpn: 8, normalizedContribution: 2, finalRiskContribution: 2 });
+  });
+
+  test('unknown models are rejected before anything is saved', async () => {
+    await expect(computeEthicalScores(projectId, null, null, { model: 'nope' })).rejects.toMatchObject({ code: 'UNKNOWN_SCORING_MODEL' });
+    expect(saved).toHaveLength(0);
+  });
+});
+
+describe('safeRecomputeScores', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [{ projectId, userId, scoringModelVersion: 'strict_ethical_v3_cumulative', thresholdsVersion: 'erc-v1' }];
+    jest.spyOn(Response, 'find').mockImplementation(() => query(responses));
+    jest.spyOn(Question, 'find').mockImplementation(() => query(questions));
+    jest.spyOn(Project, 'findById').mockImplementation(() => query({ _id: projectId }));
+    jest.spyOn(ThresholdSet, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(Score, 'find').mockImplementation(() => query(stored));
+    jest.spyOn(Score, 'deleteMany').mockImplementation(async () => {
+      const deletedCount = stored.length;
+      stored = [];
+      return { deletedCount };
+    });
+    jest.spyOn(Score, 'findOneAndUpdate').mockImplementation(async (filter, doc) => {
+      stored.push(doc);
+      return doc;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('scores from the project\'s model are left alone', async () => {
+    const result = await safeRecomputeScores(projectId);
+    expect(result).toMatchObject({ recomputed: false, currentVersion: 'strict_ethical_v3_cumulative' });
+    expect(Score.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('recomputes one project under another registered model', async () => {
+    const result = await safeRecomputeScores(projectId, { model: 'rpn_v1' });
+
+    expect(result).toMatchObject({ recomputed: true, newScoreCount: 1, versionsCorrect: true, currentVersion: 'rpn_v1' });
+    expect(Score.deleteMany).toHaveBeenCalledWith({ projectId });
+    expect(stored.map(s => s.scoringModelVersion)).toEqual(['rpn_v1']);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for response serializers
+ * Tests: user views never contain secrets, view selection by viewer, use case file/reflection redaction,
+ * route wiring guard (no router sends raw user documents)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+  USER_VIEWS,
+  userViewFor,
+  serializeUser,
+  serializeUsers,
+  serializeUseCase
+} = require('../utils/serializers');
+const User = require('../models/User');
+
+const SECRET_FIELDS = ['password', 'resetPasswordToken', 'resetPasswordExpires'];
+
+const userId = new mongoose.Types.ObjectId();
+const storedUser = {
+  _id: userId,
+  name: 'Jane Expert',
+  email: 'jane@example.com',
+  role: 'medical-expert',
+  password: 'scrypt$16384$8$1$c2FsdA==$aGFzaA==',
+  resetPasswordToken: 'reset-token',
+  resetPasswordExpires: new Date(),
+  profileImage: 'data:image/png;base64,AAAA',
+  failedLoginAttempts: 2,
+  lockedUntil: new Date(),
+  preconditionApproved: true,
+  twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP', pendingSecret: 'X', recoveryCodes: ['hash'], lastUsedStep: 123 }
+};
+
+describe('user serializer', () => {
+  test.each(Object.keys(USER_VIEWS))('%s view never contains passwords, reset tokens or TOTP secrets', (view) => {
+    const out = serializeUser(storedUser, { view });
+    SECRET_FIELDS.forEach(field => expect(out).not.toHaveProperty(field));
+    expect(JSON.stringify(out)).not.toMatch(/JBSWY3DPEHPK3PXP|reset-token|scrypt\$/);
+    if (out.twoFactor) expect(Object.keys(out.twoFactor).sort()).toEqual(['enabled', 'enabledAt']);
+  });
+
+  test('works on mongoose documents as well as lean objects', () => {
+    const doc = User.hydrate({ ...storedUser });
+    const out = serializeUser(doc, { view: 'admin' });
+    expect(out).toMatchObject({ name: 'Jane Expert', failedLoginAttempts: 2 });
+    SECRET_FIELDS.forEach(field => expect(out).not.toHaveProperty(field));
+  });
+
+  test('viewer decides the view', () => {
+    expect(userViewFor({ _id: 'a', role: 'admin' }, storedUser)).toBe('admin');
+    expect(userViewFor({ _id: userId, id: String(userId), role: 'medical-expert' }, storedUser)).toBe('self');
+    expect(userViewFor({ id: 'someone-else', role: 'legal-expert' }, storedUser)).toBe('public');
+    expect(userViewFor(undefined, storedUser)).toBe('public');
+  });
+
+  test('lockout state is admin-only and precondition state is self or admin', () => {
+    const [publicView] = serializeUsers([storedUser], { viewer: { id: 'other', role: 'legal-expert' } });
+    expect(publicView).not.toHaveProperty('lockedUntil');
+    expect(publicView).not.toHaveProperty('preconditionApproved');
+    expect(publicView).not.toHaveProperty('twoFactor');
+
+    const selfView = serializeUser(storedUser, { view: 'self' });
+    expect(selfView.preconditionApproved).toBe(true);
+    expect(selfView).not.toHaveProperty('failedLoginAttempts');
+    expect(selfView.twoFactor.enabled).toBe(true);
+  });
+
+  test('unknown views are a programming error', () => {
+    expect(() => serializeUser(storedUser, { view: 'everything' })).toThrow();
+  });
+});
+
+describe('use case serializer', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const useCase = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Triage assistant',
+    ownerId,
+    supportingFiles: [{ _id: new mongoose.Types.ObjectId(), name: 'spec.pdf', contentType: 'application/pdf', data: 'JVBERi0=' }],
+    adminReflections: [
+      { id: 'r1', text: 'shared', visibleToExperts: true },
+      { id: 'r2', text: 'internal', visibleToExperts: false }
+    ]
+  };
+
+  test('file payloads are only included in detail views', () => {
+    expect(serializeUseCase(useCase).supportingFiles[0]).not.toHaveProperty('data');
+    expect(serializeUseCase(useCase, { includeFileData: true }).supportingFiles[0].data).toBe('JVBERi0=');
+  });
+
+  test('internal admin reflections are hidden from experts', () => {
+    const expert = { id: String(new mongoose.Types.ObjectId()), role: 'legal-expert' };
+    expect(serializeUseCase(useCase, { viewer: expert }).adminReflections.map(r => r.id)).toEqual(['r1']);
+    expect(serializeUseCase(useCase, { viewer: { id: String(ownerId), role: 'use-case-owner' } }).adminReflections).toHaveLength(2);
+    expect(serializeUseCase(useCase, { viewer: { id: 'a', role: 'admin' } }).adminReflections).toHaveLength(2);
+  });
+});
+
+describe('route wiring guard', () => {
+  const routesDir = path.join(__dirname, '..', 'routes');
+  const routerSource = fs.readdirSync(routesDir)
+    .filter(file => file.endsWith('.js'))
+    .map(file => fs.readFileSync(path.join(routesDir, file), 'utf8'))
+    .join('\n');
+
+  test('no route sends a raw user document', () => {
+    const rawUserResponses = routerSource.match(/res\.(json|send)\(\s*(user|users|userObj|newUser|existingUser|updatedUser)\s*\)/g);
+    expect(rawUserResponses).toBeNull();
+  });
+
+  test('login responses go through the serializer', () => {
+    expect(routerSource).toMatch(/serializeUser\(user, \{ view: 'self' \}\)/);
+    expect(routerSource).not.toMatch(/\.\.\.user,\s*token/);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Unit Tests for admin-editable threshold sets
+ * Tests: band validation, stored sets classify like the built-in config,
+ * draft/publish lifecycle, per-project pinning on scores and reports,
+ * safeRecomputeScores warning when the pin is no longer the default
+ */
+
+const mongoose = require('mongoose');
+const ercConfig = require('../config/ercThresholds');
+const {
+  BUILT_IN_VERSION,
+  toThresholdSet,
+  validateBands,
+  getThresholdSet,
+  getProjectThresholdSet,
+  createThresholdDraft,
+  updateThresholdDraft,
+  publishThresholdSet
+} = require('../services/thresholdSetService');
+const { computeEthicalScores } = require('../services/ethicalScoringService');
+const { safeRecomputeScores } = require('../services/safeScoreRecompute');
+const { enrichReportMetrics } = require('../services/reportEnrichmentService');
+const { describeRiskThresholds } = require('../utils/riskScale');
+const ThresholdSet = require('../models/ThresholdSet');
+const Response = require('../models/response');
+const Question = require('../models/question');
+const Score = require('../models/score');
+const Project = require('../models/Project');
+const { query } = require('./helpers/query');
+
+const builtInBands = () => Object.entries(ercConfig.thresholds).map(([level, t]) => ({ level, ...t }));
+
+// erc-v2: LOW starts at 0.25, labels renamed
+const v2Bands = () => builtInBands().map((band) => ({
+  ...band,
+  min: band.level === 'LOW' ? 0.25 : band.min,
+  max: band.level === 'MINIMAL' ? 0.25 : band.max,
+  label: `${band.label} (v2)`
+}));
+
+const storedSet = (version, fields = {}) => ({
+  version,
+  description: `${version} thresholds`,
+  status: 'published',
+  bands: v2Bands(),
+  ...fields
+});
+
+// findOne by { version, status } or { isDefault: true }
+const mockStoredSets = (sets) => jest.spyOn(ThresholdSet, 'findOne').mockImplementation((filter) => query(
+  sets.find((set) => (filter.isDefault ? set.isDefault : set.version === filter.version)) || null
+));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('bands', () => {
+  test('the built-in bands are valid', () => {
+    expect(() => validateBands(builtInBands())).not.toThrow();
+  });
+
+  test.each([
+    ['a missing level', (bands) => bands.slice(1), 'one band per level'],
+    ['levels out of order', (bands) => [bands[1], bands[0], ...bands.slice(2)], 'Band 1 must be MINIMAL'],
+    ['a gap', (bands) => bands.map((b) => (b.level === 'HIGH' ? { ...b, min: 2.6 } : b)), 'HIGH must start at 2.5'],
+    ['an empty band', (bands) => bands.map((b) => (b.level === 'LOW' ? { ...b, max: 0.5 } : b)), 'LOW must end above 0.5'],
+    ['a bad color', (bands) => bands.map((b) => (b.level === 'LOW' ? { ...b, color: 'yellow' } : b)), 'hex color'],
+    ['a short scale', (bands) => bands.map((b) => (b.level === 'CRITICAL' ? { ...b, max: 3.9 } : b)), 'must end at 4']
+  ])('rejects %s', (_, change, message) => {
+    expect(() => validateBands(change(builtInBands()))).toThrow(expect.objectContaining({
+      statusCode: 400,
+      code: 'INVALID_THRESHOLD_SET',
+      message: expect.stringContaining(message)
+    }));
+  });
+
+  test('a stored copy of the built-in bands classifies exactly like the config', () => {
+    const copy = toThresholdSet({ version: 'copy', bands: builtInBands() });
+    [null, NaN, -1, 0, 0.49, 0.5, 1.49, 1.5, 2.5, 3.49, 3.5, 4, 7].forEach((score) => {
+      expect(copy.getRiskLevel(score)).toEqual(ercConfig.getRiskLevel(score));
+    });
+    expect(describeRiskThresholds(copy).levels).toEqual(describeRiskThresholds(ercConfig).levels);
+  });
+});
+
+describe('lookup', () => {
+  test('unpinned projects use the built-in set', async () => {
+    expect(await getProjectThresholdSet({})).toBe(ercConfig);
+    expect(await getThresholdSet(BUILT_IN_VERSION)).toBe(ercConfig);
+  });
+
+  test('published sets are loaded once; unknown or draft versions are a 404', async () => {
+    mockStoredSets([storedSet('lookup-v2')]);
+
+    const set = await getThresholdSet('lookup-v2');
+    expect(set.getRiskLevel(0.3)).toMatchObject({ level: 'LOW', label: 'Low Risk (v2)' });
+    expect(await getProjectThresholdSet({ thresholdsVersion: 'lookup-v2' })).toBe(set);
+    expect(ThresholdSet.findOne).toHaveBeenCalledTimes(1);
+
+    await expect(getThresholdSet('missing')).rejects.toMatchObject({ statusCode: 404, code: 'UNKNOWN_THRESHOLD_SET' });
+  });
+});
+
+describe('drafts', () => {
+  beforeEach(() => {
+    jest.spyOn(ThresholdSet.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+  });
+
+  test('the built-in version cannot be redefined', async () => {
+    await expect(createThresholdDraft({ version: BUILT_IN_VERSION, bands: builtInBands() }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'THRESHOLD_VERSION_EXISTS' });
+  });
+
+  test('publishing makes the draft the default and freezes it', async () => {
+    const draft = new ThresholdSet({ version: 'draft-v2', status: 'draft', bands: v2Bands() });
+    jest.spyOn(ThresholdSet, 'findOne').mockResolvedValue(draft);
+    jest.spyOn(ThresholdSet, 'updateMany').mockResolvedValue({});
+
+    const edited = await updateThresholdDraft('draft-v2', { description: 'Lower LOW band' });
+    expect(edited.description).toBe('Lower LOW band');
+
+    const published = await publishThresholdSet('draft-v2', { publishedBy: new mongoose.Types.ObjectId() });
+    expect(published).toMatchObject({ status: 'published', isDefault: true, publishedAt: expect.any(Date) });
+    expect(ThresholdSet.updateMany).toHaveBeenCalledWith({ isDefault: true }, { isDefault: false });
+
+    await expect(updateThresholdDraft('draft-v2', { bands: builtInBands() }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'THRESHOLD_SET_PUBLISHED' });
+    await expect(publishThresholdSet('draft-v2'))
+      .rejects.toMatchObject({ statusCode: 409, code: 'THRESHOLD_SET_PUBLISHED' });
+  });
+});
+
+describe('pinning', () => {
+  const projectId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const question = { _id: new mongoose.Types.ObjectId(), code: 'T1', principle: 'TRANSPARENCY', riskScore: 4 };
+  const responses = [{
+    projectId,
+    userId,
+    role: 'ethical-expert',
+    questionnaireKey: 'ethical-expert-v1',
+    answers: [{ questionId: question._id, answer: { choiceKey: 'x' }, answerSeverity: 0.5 }]
+  }];
+  let project;
+  let stored;
+
+  beforeEach(() => {
+    project = { _id: projectId };
+    stored = [];
+    mockStoredSets([storedSet('pin-v2', { isDefault: true })]);
+    jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+    jest.spyOn(Response, 'find').mockImplementation(() => query(responses));
+    jest.spyOn(Question, 'find').mockImplementation(() => query([question]));
+    jest.spyOn(Score, 'find').mockImplementation(() => query(stored));
+    jest.spyOn(Score, 'deleteMany').mockImplementation(async () => {
+      const deletedCount = stored.length;
+      stored = [];
+      return { deletedCount };
+    });
+    jest.spyOn(Score, 'findOneAndUpdate').mockImplementation(async (filter, doc) => {
+      stored.push(doc);
+      return doc;
+    });
+  });
+
+  test('scores record the version the project is pinned to', async () => {
+    project.thresholdsVersion = 'pin-v2';
+    const [score] = await computeEthicalScores(projectId);
+    expect(score.thresholdsVersion).toBe('pin-v2');
+  });
+
+  test('recompute keeps an old pin but warns that it is not the default', async () => {
+    const result = await safeRecomputeScores(projectId);
+    expect(result).toMatchObject({ recomputed: true, thresholdsVersion: BUILT_IN_VERSION, defaultThresholdsVersion: 'pin-v2' });
+    expect(result.warnings).toEqual([expect.stringContaining(`pinned to threshold set ${BUILT_IN_VERSION}, but the default is now pin-v2`)]);
+    expect(stored.map((s) => s.thresholdsVersion)).toEqual([BUILT_IN_VERSION]);
+  });
+
+  test('no warning once the project is pinned to the default', async () => {
+    project.thresholdsVersion = 'pin-v2';
+    const result = await safeRecomputeScores(projectId);
+    expect(result.warnings).toEqual([]);
+    expect(result.versionsCorrect).toBe(true);
+  });
+
+  test('report enrichment labels risk with the pinned set', async () => {
+    const metrics = { scoring: { byPrincipleOverall: { TRANSPARENCY: { cumulativeRisk: 0.3, n: 1 } } } };
+    const pinned = await getThresholdSet('pin-v2');
+
+    expect(enrichReportMetrics(metrics, {}, pinned).overallTotals).toMatchObject({ normalizedRiskLevel: 'LOW', normalizedLabel: 'Low Risk (v2)' });
+    expect(enrichReportMetrics(metrics, {}).overallTotals).toMatchObject({ normalizedRiskLevel: 'MINIMAL', normalizedLabel: 'Minimal Risk' });
+    expect(enrichReportMetrics(metrics, {}, pinned).scoringDisclosure.thresholdsVersion).toBe('pin-v2');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for localization
+ * Tests: locale codes and the English fallback, translation completeness per
+ * questionnaire, complete report catalogues, reports rendered in a locale and
+ * the preflight warnings for texts shown in English
+ */
+
+const { LOCALE_CODES } = require('../config/locales.config');
+const { normalizeLocale, hasTranslation, localize } = require('../utils/localization');
+const { createReportTranslator } = require('../utils/reportTranslator');
+const { validateReportTranslations } = require('../utils/reportPreflightValidator');
+const {
+  translatableTexts,
+  describeCompleteness,
+  getQuestionnaireTranslations
+} = require('../services/translationService');
+const { generateHTMLReport } = require('../services/htmlReportTemplateService');
+const Question = require('../models/question');
+const Questionnaire = require('../models/questionnaire');
+const { query } = require('./helpers/query');
+
+const questions = [
+  {
+    code: 'T1',
+    text: { en: 'Is the model documented?', tr: 'Model belgelenmiş mi?', de: 'Ist das Modell dokumentiert?' },
+    principleLabel: { en: 'Transparency', tr: 'Şeffaflık', de: 'Transparenz' },
+    options: [
+      { key: 'yes', label: { en: 'Yes', tr: 'Evet', de: 'Ja' } },
+      { key: 'no', label: { en: 'No', tr: 'Hayır' } }
+    ]
+  },
+  {
+    code: 'T2',
+    text: { en: 'Who reviews the outputs?', tr: 'Çıktıları kim inceliyor?' },
+    principleLabel: { en: 'Transparency', tr: 'Şeffaflık', de: 'Transparenz' }
+  }
+];
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('localization', () => {
+  test('normalizes registered locale codes and rejects the rest', () => {
+    expect(normalizeLocale('de')).toBe('de');
+    expect(normalizeLocale('FR-fr')).toBe('fr');
+    expect(normalizeLocale('es_ES')).toBe('es');
+    expect(normalizeLocale('it')).toBeNull();
+    expect(normalizeLocale(undefined)).toBeNull();
+  });
+
+  test('falls back to English when a text is not translated', () => {
+    const text = { en: 'Yes', tr: 'Evet', de: '  ' };
+    expect(localize(text, 'tr')).toBe('Evet');
+    expect(localize(text, 'de')).toBe('Yes');
+    expect(localize('Plain', 'fr')).toBe('Plain');
+    expect(hasTranslation(text, 'tr')).toBe(true);
+    expect(hasTranslation(text, 'de')).toBe(false);
+  });
+});
+
+describe('translation completeness', () => {
+  test('counts text, principle label and option labels that have an English text', () => {
+    expect(translatableTexts(questions[0]).map(([field]) => field))
+      .toEqual(['text', 'principleLabel', 'options.yes', 'options.no']);
+  });
+
+  test('reports translated texts and what is missing per question', () => {
+    expect(describeCompleteness(questions, 'tr')).toEqual({
+      translated: 6, total: 6, percent: 100, complete: true, missing: []
+    });
+    expect(describeCompleteness(questions, 'de')).toEqual({
+      translated: 4,
+      total: 6,
+      percent: 66.7,
+      complete: false,
+      missing: [{ code: 'T1', fields: ['options.no'] }, { code: 'T2', fields: ['text'] }]
+    });
+  });
+
+  test('lists every non-English locale of a questionnaire', async () => {
+    jest.spyOn(Questionnaire, 'findOne').mockReturnValue(query({ key: 'general-v1', title: 'General' }));
+    jest.spyOn(Question, 'find').mockReturnValue(query(questions));
+
+    const result = await getQuestionnaireTranslations('general-v1');
+
+    expect(result).toMatchObject({ questionnaireKey: 'general-v1', title: 'General', questionCount: 2 });
+    expect(result.locales.map(l => l.locale)).toEqual(LOCALE_CODES.filter(code => code !== 'en'));
+    expect(result.locales.find(l => l.locale === 'fr')).toMatchObject({ translated: 0, total: 6, complete: false });
+  });
+
+  test('unknown questionnaire is a 404', async () => {
+    jest.spyOn(Questionnaire, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Question, 'find').mockReturnValue(query([]));
+
+    await expect(getQuestionnaireTranslations('missing-v1'))
+      .rejects.toMatchObject({ statusCode: 404, code: 'QUESTIONNAIRE_NOT_FOUND' });
+  });
+});
+
+describe('report catalogues', () => {
+  test.each(LOCALE_CODES)('%s translates every report text', (locale) => {
+    expect(createReportTranslator(locale).missingKeys()).toEqual([]);
+  });
+
+  test('unknown locales render in English', () => {
+    const i18n = createReportTranslator('it');
+    expect(i18n.locale).toBe('en');
+    expect(i18n.t('tensionNumber', { number: 2 })).toBe('Tension 2');
+  });
+});
+
+describe('report in a locale', () => {
+  const reportData = {
+    project: { title: 'Triage assistant' },
+    scoring: {
+      byPrincipleOverall: {
+        TRANSPARENCY: { avgScore: 3.2, n: 4, riskLabel: 'High Risk', normalizedLabel: 'High Risk' }
+      }
+    },
+    overallTotals: { normalizedLabel: 'High Risk' }
+  };
+
+  test('renders labels, principle names and risk labels in German', () => {
+    const html = generateHTMLReport(reportData, {}, {}, { i18n: createReportTranslator('de') });
+
+    expect(html).toContain('<html lang="de">');
+    expect(html).toContain('TRANSPARENZ');
+    expect(html).toContain('Hohes Risiko');
+    expect(html).toContain('Ethische Spannungen');
+    expect(html).toContain('Kumuliertes Risikovolumen');
+  });
+
+  test('renders in English by default', () => {
+    const html = generateHTMLReport(reportData, {}, {});
+
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('TRANSPARENCY');
+    expect(html).toContain('High Risk');
+  });
+
+  test('preflight warns about texts shown in English', () => {
+    const i18n = createReportTranslator('de');
+    expect(i18n.text({ en: 'Who reviews the outputs?' }, 'T2')).toBe('Who reviews the outputs?');
+    expect(i18n.text({ en: 'Is the model documented?', de: 'Ist das Modell dokumentiert?' }, 'T1'))
+      .toBe('Ist das Modell dokumentiert?');
+
+    const result = validateReportTranslations(i18n, { narrativeFallback: true });
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toHaveLength(2);
+    expect(result.warnings[0]).toContain('1 question text(s) have no German translation');
+    expect(result.warnings[0]).toContain('T2');
+    expect(result.warnings[1]).toContain('fallback narrative is in English');
+  });
+
+  test('English reports have nothing to flag', () => {
+    const i18n = createReportTranslator('en');
+    i18n.text({ en: 'Who reviews the outputs?' }, 'T2');
+
+    expect(validateReportTranslations(i18n, { narrativeFallback: true }).warnings).toEqual([]);
+  });
+});
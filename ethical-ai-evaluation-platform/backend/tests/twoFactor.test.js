@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for TOTP two-factor authentication
+ * Tests: RFC 6238 vectors, drift window, base32 round trip, otpauth URI, role enforcement, recovery codes
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../utils/totp');
+const {
+  needsSecondFactor,
+  isTwoFactorRequired,
+  normalizeRecoveryCode,
+  generateRecoveryCodes
+} = require('../services/twoFactorService');
+
+// RFC 6238 Appendix B, SHA-1 key "12345678901234567890" (last 6 of the 8-digit values)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(generateTotp(RFC_SECRET, 20000000000 * 1000)).toBe('353130');
+  });
+
+  test('accepts one step of clock drift and returns the matched step', () => {
+    const now = 1111111109 * 1000;
+    const previous = generateTotp(RFC_SECRET, now - 30 * 1000);
+    expect(verifyTotp(RFC_SECRET, previous, { timeMs: now })).toBe(Math.floor(now / 30000) - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 90 * 1000), { timeMs: now })).toBeNull();
+  });
+
+  test('rejects malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '', { timeMs: 59000 })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '28708', { timeMs: 59000 })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { timeMs: 59000 })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '287 082', { timeMs: 59000 })).not.toBeNull();
+  });
+
+  test('base32 round trip and generated secrets', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+    expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  test('otpauth URI carries issuer, account and secret', () => {
+    const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'jane@example.com', issuer: 'Ethical AI' });
+    expect(uri.startsWith('otpauth://totp/Ethical%20AI%3Ajane%40example.com?')).toBe(true);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+    expect(uri).toContain('issuer=Ethical+AI');
+  });
+});
+
+describe('two-factor policy', () => {
+  test('mandatory for admin and ethical-expert, optional for others', () => {
+    expect(isTwoFactorRequired({ role: 'admin' })).toBe(true);
+    expect(isTwoFactorRequired({ role: 'ethical-expert' })).toBe(true);
+    expect(isTwoFactorRequired({ role: 'medical-expert' })).toBe(false);
+    expect(needsSecondFactor({ role: 'medical-expert' })).toBe(false);
+    expect(needsSecondFactor({ role: 'medical-expert', twoFactor: { enabled: true } })).toBe(true);
+  });
+
+  test('recovery codes are unique and compared without case or separators', () => {
+    const { codes, hashes } = generateRecoveryCodes(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(hashes).toHaveLength(10);
+    expect(hashes[0]).not.toContain(codes[0]);
+    expect(normalizeRecoveryCode(' AB12C-34DEF ')).toBe('ab12c34def');
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for request validation
+ * Tests: schema builders, every invalid field reported, unknown fields rejected, query/params coercion,
+ * scoring ranges (answerSeverity 0-1, importanceScore 0-4), tension enums, ObjectId formats,
+ * middleware 400 response, route wiring guard (every write route is validated)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { v, validate, validateRequest } = require('../middleware/validate');
+const schemas = require('../routes/schemas');
+
+const id = () => String(new mongoose.Types.ObjectId());
+const paths = (errors) => errors.map(e => `${e.location}:${e.path}`);
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('schema builders', () => {
+  const schema = {
+    body: {
+      name: v.string({ required: true, min: 1, max: 5 }),
+      count: v.integer({ min: 0 }),
+      tags: v.array(v.string()),
+      nested: v.object({ flag: v.boolean() })
+    }
+  };
+
+  test('valid body passes', () => {
+    expect(validateRequest(schema, { body: { name: 'abc', count: 2, tags: ['x'], nested: { flag: true } } })).toEqual([]);
+  });
+
+  test('reports every invalid field with its path', () => {
+    const errors = validateRequest(schema, { body: { count: 1.5, tags: ['ok', 3], nested: { flag: 'yes' } } });
+    expect(paths(errors)).toEqual(['body:name', 'body:count', 'body:tags[1]', 'body:nested.flag']);
+    expect(errors[0].message).toBe('is required');
+  });
+
+  test('unknown fields are rejected at every level', () => {
+    const errors = validateRequest(schema, { body: { name: 'abc', isAdmin: true, nested: { extra: 1 } } });
+    expect(paths(errors)).toEqual(['body:nested.extra', 'body:isAdmin']);
+    expect(errors.every(e => e.message === 'is not allowed')).toBe(true);
+  });
+
+  test('objects can opt in to unknown fields', () => {
+    const open = { body: { meta: v.object({ id: v.string() }, { unknown: 'allow' }) } };
+    expect(validateRequest(open, { body: { meta: { id: 'a', anything: 1 } } })).toEqual([]);
+  });
+
+  test('null is only accepted for nullable fields', () => {
+    const s = { body: { a: v.string({ nullable: true }), b: v.string() } };
+    expect(paths(validateRequest(s, { body: { a: null, b: null } }))).toEqual(['body:b']);
+  });
+
+  test('undeclared query and body must be empty; params are only checked when declared', () => {
+    expect(paths(validateRequest({}, { params: { id: 'x' }, query: { debug: '1' }, body: { a: 1 } })))
+      .toEqual(['query:debug', 'body:a']);
+    expect(validateRequest({}, { params: { id: 'x' }, query: {}, body: undefined })).toEqual([]);
+  });
+
+  test('query and params strings are parsed for numbers and booleans, bodies are not', () => {
+    const s = { params: { n: v.integer({ min: 0 }) }, query: { on: v.boolean() }, body: { n: v.number() } };
+    expect(validateRequest(s, { params: { n: '3' }, query: { on: 'true' }, body: { n: 1 } })).toEqual([]);
+    expect(paths(validateRequest(s, { params: { n: '-1' }, query: { on: 'yes' }, body: { n: '1' } })))
+      .toEqual(['params:n', 'query:on', 'body:n']);
+  });
+
+  test('validate() rejects unknown request locations at startup', () => {
+    expect(() => validate({ headers: {} })).toThrow(/unknown request location/);
+  });
+});
+
+describe('middleware', () => {
+  test('invalid request gets a 400 listing all fields and never reaches the handler', () => {
+    const res = mockRes();
+    const next = jest.fn();
+    validate(schemas.tension.vote)({ params: { id: 'nope' }, query: {}, body: { voteType: 'maybe' } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    const body = res.json.mock.calls[0][0];
+    expect(body.code).toBe('VALIDATION_FAILED');
+    expect(paths(body.fields)).toEqual(['params:id', 'body:voteType']);
+    expect(body.error).toMatch(/^Invalid request: id must be a valid id; voteType must be one of: agree, disagree$/);
+    expect(body.message).toBe(body.error);
+  });
+
+  test('valid request calls next', () => {
+    const next = jest.fn();
+    validate(schemas.tension.vote)({ params: { id: id() }, query: {}, body: { voteType: 'agree' } }, mockRes(), next);
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('scoring ranges', () => {
+  const draft = (answer) => ({
+    body: { projectId: id(), questionnaireKey: 'general-v1', answers: [{ questionCode: 'T1', ...answer }] }
+  });
+
+  test.each([0, 0.5, 1, null])('answerSeverity %p is accepted', (answerSeverity) => {
+    expect(validateRequest(schemas.evaluation.draftResponse, draft({ answerSeverity }))).toEqual([]);
+  });
+
+  test.each([-0.1, 1.01, 4, '0.5'])('answerSeverity %p is rejected', (answerSeverity) => {
+    expect(paths(validateRequest(schemas.evaluation.draftResponse, draft({ answerSeverity }))))
+      .toEqual(['body:answers[0].answerSeverity']);
+  });
+
+  test.each([0, 2.5, 4])('importanceScore %p is accepted', (importanceScore) => {
+    expect(validateRequest(schemas.evaluation.draftResponse, draft({ importanceScore }))).toEqual([]);
+  });
+
+  test.each([-1, 4.5, 10])('importanceScore %p is rejected', (importanceScore) => {
+    expect(paths(validateRequest(schemas.evaluation.draftResponse, draft({ importanceScore }))))
+      .toEqual(['body:answers[0].importanceScore']);
+  });
+
+  test('risk scores keyed by question are range-checked', () => {
+    const body = { projectId: id(), stage: 'assess', riskScores: { T1: 3, T2: 7 } };
+    expect(paths(validateRequest(schemas.evaluation.save, { body }))).toEqual(['body:riskScores.T2']);
+  });
+
+  test('question option scores are range-checked', () => {
+    const body = {
+      questionnaireKey: 'general-v1',
+      code: 'T1',
+      principleLabel: { en: 'Transparency' },
+      text: { en: 'Is the model documented?' },
+      answerType: 'single_choice',
+      options: [{ key: 'yes', label: { en: 'Yes' }, answerScore: 1 }, { key: 'no', label: { en: 'No' }, answerScore: 2 }]
+    };
+    expect(paths(validateRequest(schemas.evaluation.createQuestion, { body }))).toEqual(['body:options[1].answerScore']);
+  });
+});
+
+describe('tensions', () => {
+  const create = (fields) => ({ body: { projectId: id(), principle1: 'Privacy', principle2: 'Fairness', ...fields } });
+
+  test.each(['low', 'medium', 'high'])('severity %s is accepted', (severity) => {
+    expect(validateRequest(schemas.tension.create, create({ severity }))).toEqual([]);
+  });
+
+  test.each(['critical', 'HIGH', 3])('severity %p is rejected', (severity) => {
+    expect(paths(validateRequest(schemas.tension.create, create({ severity })))).toEqual(['body:severity']);
+  });
+
+  test('status must be a known tension status', () => {
+    expect(paths(validateRequest(schemas.tension.create, create({ status: 'resolved' })))).toEqual(['body:status']);
+  });
+
+  test('evidence comments take an evidence index, not an id', () => {
+    const req = (evidenceId) => ({ params: { tensionId: id(), evidenceId }, body: { text: 'Looks right' } });
+    expect(validateRequest(schemas.tension.evidenceComment, req('0'))).toEqual([]);
+    expect(paths(validateRequest(schemas.tension.evidenceComment, req('abc')))).toEqual(['params:evidenceId']);
+  });
+});
+
+describe('ObjectId formats', () => {
+  test.each(['123', 'zzzzzzzzzzzzzzzzzzzzzzzz', 'aaaaaaaaaaaa', 12345])('%p is not a valid id', (value) => {
+    expect(paths(validateRequest(schemas.report.generate, { body: { projectId: value } }))).toEqual(['body:projectId']);
+  });
+
+  test('route params are checked before authorization runs', () => {
+    expect(paths(validateRequest(schemas.project.remove, { params: { id: 'not-an-id' } }))).toEqual(['params:id']);
+  });
+
+  test('array items are checked individually', () => {
+    const body = { title: 'Audit', assignedUsers: [id(), ''] };
+    expect(paths(validateRequest(schemas.project.create, { body }))).toEqual(['body:assignedUsers[1]']);
+  });
+});
+
+describe('route wiring guard', () => {
+  const routesDir = path.join(__dirname, '..', 'routes');
+  const routerFiles = fs.readdirSync(routesDir).filter(file => file.endsWith('.js'));
+  const writeRoutes = (file) => fs.readFileSync(path.join(routesDir, file), 'utf8')
+    .split('\n')
+    .filter(line => /^router\.(post|put|patch|delete)\(/.test(line));
+
+  test('server.js defines no routes of its own', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+    expect(source).not.toMatch(/^app\.(get|post|put|patch|delete)\(/m);
+  });
+
+  test.each(routerFiles.filter(file => writeRoutes(file).length > 0))('every write route in routes/%s is validated', (file) => {
+    expect(writeRoutes(file).filter(line => !/validate\(\w+\.[\w.]+\)/.test(line))).toEqual([]);
+  });
+
+  test('validation runs before authorization', () => {
+    const lines = routerFiles.flatMap(writeRoutes).filter(line => line.includes('authorize('));
+    expect(lines.length).toBeGreaterThan(0);
+    lines.forEach(line => expect(line.indexOf('validate(')).toBeLessThan(line.indexOf('authorize(')));
+  });
+});
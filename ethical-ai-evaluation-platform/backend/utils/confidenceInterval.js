@@ -0,0 +1,103 @@
+/**
+ * CONFIDENCE INTERVALS FOR NORMALIZED ERC
+ *
+ * A normalized ERC is the mean contribution (importance × severity, 0-4) of the
+ * answers behind it, so a principle backed by three answers is far less certain
+ * than one backed by thirty. The interval is a percentile bootstrap of that mean:
+ * the answers are resampled with replacement, the mean of each resample is
+ * recorded, and the middle `level` share of those means is the interval.
+ *
+ * The generator is seeded, so the same answers always give the same interval
+ * (stored scores and regenerated reports stay reproducible).
+ *
+ * Fewer than two answers cannot be resampled meaningfully: no interval (null).
+ */
+
+const ercConfig = require('../config/ercThresholds');
+
+const CONFIDENCE_LEVEL = 0.95;
+const BOOTSTRAP_ITERATIONS = 2000;
+const BOOTSTRAP_SEED = 20240601;
+
+// mulberry32: small, fast, seedable; Math.random cannot be seeded
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Percentile bootstrap interval of the mean
+ * @param {number[]} values - e.g. the finalRiskContribution of each answer
+ * @param {Object} [options]
+ * @param {number} [options.level=0.95]
+ * @param {number} [options.iterations=2000]
+ * @param {number} [options.seed]
+ * @returns {{ lower, upper, level, n, iterations, method }|null} null with fewer than 2 values
+ */
+function bootstrapMeanInterval(values, { level = CONFIDENCE_LEVEL, iterations = BOOTSTRAP_ITERATIONS, seed = BOOTSTRAP_SEED } = {}) {
+  // Sorted so the interval does not depend on the order the answers were loaded in
+  const sample = (values || []).filter(v => typeof v === 'number' && !isNaN(v)).sort((a, b) => a - b);
+  const n = sample.length;
+  if (n < 2) return null;
+
+  const random = seededRandom(seed);
+  const means = new Array(iterations);
+  for (let i = 0; i < iterations; i++) {
+    let sum = 0;
+    for (let j = 0; j < n; j++) {
+      sum += sample[Math.floor(random() * n)];
+    }
+    means[i] = sum / n;
+  }
+  means.sort((a, b) => a - b);
+
+  const tail = (1 - level) / 2;
+  const at = (p) => means[Math.min(iterations - 1, Math.max(0, Math.floor(p * iterations)))];
+  return {
+    lower: round(at(tail)),
+    upper: round(at(1 - tail)),
+    level,
+    n,
+    iterations,
+    method: 'percentile bootstrap'
+  };
+}
+
+/**
+ * Risk bands an interval covers
+ * @param {Object|null} interval - From bootstrapMeanInterval
+ * @param {Object} [thresholds] - Threshold set (config/ercThresholds.js shape)
+ * @returns {{ lowerLevel, upperLevel, spansMultipleBands }|null}
+ */
+function intervalRiskBands(interval, thresholds = ercConfig) {
+  if (!interval) return null;
+  const lowerLevel = thresholds.getRiskLevel(interval.lower).level;
+  const upperLevel = thresholds.getRiskLevel(interval.upper).level;
+  return { lowerLevel, upperLevel, spansMultipleBands: lowerLevel !== upperLevel };
+}
+
+/**
+ * "0.85–1.42" for tables, '' without an interval
+ * @param {Object|null} interval
+ * @param {number} [scale=1] - e.g. the answer count to show the interval of a cumulative sum
+ */
+function formatInterval(interval, scale = 1) {
+  if (!interval) return '';
+  return `${(interval.lower * scale).toFixed(2)}–${(interval.upper * scale).toFixed(2)}`;
+}
+
+module.exports = {
+  CONFIDENCE_LEVEL,
+  BOOTSTRAP_ITERATIONS,
+  bootstrapMeanInterval,
+  intervalRiskBands,
+  formatInterval
+};
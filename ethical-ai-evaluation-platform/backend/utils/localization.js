@@ -0,0 +1,64 @@
+/**
+ * Localized texts
+ *
+ * Question texts, principle labels, option labels and descriptions are
+ * stored per locale ({ en, tr, de, ... }, see config/locales.config.js).
+ * English is always there; other locales fall back to it.
+ */
+
+const { DEFAULT_LOCALE, LOCALES, LOCALE_CODES } = require('../config/locales.config');
+
+const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Registered locale for a code ('de', 'DE', 'de-DE', 'de_CH'), or null
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeLocale(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALE_CODES.includes(code) ? code : null;
+}
+
+/**
+ * Registry entry of a locale (the default locale's for unknown codes)
+ * @param {string} locale
+ * @returns {{ code: string, name: string, nativeName: string }}
+ */
+const localeInfo = (locale) => LOCALES.find(l => l.code === locale) || LOCALES.find(l => l.code === DEFAULT_LOCALE);
+
+/**
+ * Whether a localized text has its own translation in the locale
+ * @param {Object|string} text - { en, tr, ... } or a plain string (English)
+ * @param {string} locale
+ */
+function hasTranslation(text, locale) {
+  if (typeof text === 'string') return locale === DEFAULT_LOCALE && hasText(text);
+  return hasText(text?.[locale]);
+}
+
+/**
+ * Text in the locale, else in English, else in any locale it has
+ * @param {Object|string} text - { en, tr, ... } or a plain string
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function localize(text, locale = DEFAULT_LOCALE) {
+  if (typeof text === 'string') return text;
+  if (!text || typeof text !== 'object') return '';
+  if (hasText(text[locale])) return text[locale];
+  if (hasText(text[DEFAULT_LOCALE])) return text[DEFAULT_LOCALE];
+  return LOCALE_CODES.map(code => text[code]).find(hasText) || '';
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  LOCALE_CODES,
+  hasText,
+  normalizeLocale,
+  localeInfo,
+  hasTranslation,
+  localize
+};
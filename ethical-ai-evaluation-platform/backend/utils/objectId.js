@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Helper function for ObjectId validation (compatible with Mongoose v9+)
+const isValidObjectId = (id) => {
+  if (typeof mongoose.isValidObjectId === 'function') {
+    return mongoose.isValidObjectId(id);
+  }
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+module.exports = {
+  isValidObjectId
+};
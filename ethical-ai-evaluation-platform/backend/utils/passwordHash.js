@@ -0,0 +1,88 @@
+/**
+ * Password hashing helpers (Node crypto scrypt)
+ *
+ * Stored format: "scrypt$<N>$<r>$<p>$<saltBase64>$<hashBase64>"
+ *
+ * Legacy accounts still hold their password as plain text. verifyPassword()
+ * accepts those once and reports `needsRehash: true`, so the login route can
+ * replace the value with a proper hash (transparent migration).
+ */
+
+const crypto = require('crypto');
+
+const HASH_PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+function scryptAsync(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(derivedKey);
+    });
+  });
+}
+
+/**
+ * Check whether a stored password value is already in hashed format
+ * @param {string} stored - Value of User.password
+ * @returns {boolean}
+ */
+function isHashedPassword(stored) {
+  if (typeof stored !== 'string') return false;
+  const parts = stored.split('$');
+  return parts.length === 6 && parts[0] === HASH_PREFIX;
+}
+
+/**
+ * Hash a plain-text password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash string
+ */
+async function hashPassword(password) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password must be a non-empty string');
+  }
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derivedKey = await scryptAsync(password, salt, SCRYPT_PARAMS);
+  return [HASH_PREFIX, N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$');
+}
+
+/**
+ * Verify a plain-text password against a stored value (hashed or legacy plain text)
+ * @param {string} password - Plain-text password supplied by the user
+ * @param {string} stored - Value of User.password
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string' || stored.length === 0) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashedPassword(stored)) {
+    // Legacy plain-text value: constant-time compare, then ask caller to rehash
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, saltB64, hashB64] = stored.split('$');
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  const expected = Buffer.from(hashB64, 'base64');
+  const derivedKey = await scryptAsync(password, Buffer.from(saltB64, 'base64'), params);
+  const valid = derivedKey.length === expected.length && crypto.timingSafeEqual(derivedKey, expected);
+
+  // Rehash when the cost parameters have been raised since the hash was created
+  const outdated = params.N !== SCRYPT_PARAMS.N || params.r !== SCRYPT_PARAMS.r || params.p !== SCRYPT_PARAMS.p;
+  return { valid, needsRehash: valid && outdated };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isHashedPassword,
+  SCRYPT_PARAMS
+};
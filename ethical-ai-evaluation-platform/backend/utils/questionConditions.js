@@ -0,0 +1,145 @@
+/**
+ * Display conditions of questions (Question.showIf)
+ *
+ * A question with display conditions is only asked when they hold, e.g. the
+ * data-governance follow-ups only when the use case processes personal data:
+ *
+ *   showIf:
+ *     match: all                # or any
+ *     conditions:
+ *       - source: useCase       # the use-case owner's answer, by UseCaseQuestion id or key
+ *         code: S1_Q3
+ *         noneOf: ['No']
+ *       - code: T1              # another question, in the same questionnaire
+ *         anyOf: [yes, partially]  # unless questionnaireKey is given
+ *
+ * A condition holds when all of its tests pass:
+ *   anyOf    - the answer is one of the values (option keys, or use-case answer text)
+ *   noneOf   - the answer is none of the values (an unanswered question passes)
+ *   answered - the question is (true) or is not (false) answered
+ * A condition without tests requires an answer. Values are compared trimmed
+ * and case-insensitively. A question hidden by its own conditions counts as
+ * unanswered; conditions that refer to each other in a loop count as met.
+ *
+ * frontend/src/utils/questionConditions.ts is the same logic for the
+ * evaluation form; keep the two in step. The cases in
+ * tests/fixtures/questionConditions.cases.json are run against both.
+ */
+
+const CONDITION_SOURCES = ['question', 'useCase'];
+const CONDITION_MATCHES = ['all', 'any'];
+
+const normalizeValue = (value) => String(value).trim().toLowerCase();
+
+const refKey = (questionnaireKey, code) => `${questionnaireKey}:${code}`;
+
+const hasShowIf = (question) => Array.isArray(question?.showIf?.conditions) && question.showIf.conditions.length > 0;
+
+/**
+ * Answer values of a Response answer, normalized
+ * @param {Object} answer - Response answer ({ choiceKey, text, numeric, multiChoiceKeys })
+ * @returns {string[]}
+ */
+function responseAnswerValues(answer) {
+  if (!answer) return [];
+  const values = [];
+  if (answer.choiceKey !== null && answer.choiceKey !== undefined && answer.choiceKey !== '') values.push(answer.choiceKey);
+  if (Array.isArray(answer.multiChoiceKeys)) values.push(...answer.multiChoiceKeys);
+  if (answer.text !== null && answer.text !== undefined) values.push(answer.text);
+  if (answer.numeric !== null && answer.numeric !== undefined) values.push(answer.numeric);
+  return values.map(normalizeValue).filter(value => value.length > 0);
+}
+
+/**
+ * The use-case owner's answers by every name their question goes by
+ * (UseCase answers may store the UseCaseQuestion id or its key)
+ * @param {Array} answers - UseCase.answers ({ questionId, questionKey, answer })
+ * @param {Array} [useCaseQuestions] - UseCaseQuestion ({ id, key })
+ * @returns {Map<string, string[]>}
+ */
+function indexUseCaseAnswers(answers = [], useCaseQuestions = []) {
+  const index = new Map();
+  (answers || []).forEach(entry => {
+    const value = normalizeValue(entry?.answer ?? '');
+    if (!value) return;
+    const question = useCaseQuestions.find(q => q.id === entry.questionId || (q.key && q.key === entry.questionId));
+    [entry.questionId, entry.questionKey, question?.id, question?.key]
+      .filter(name => name !== undefined && name !== null && name !== '')
+      .forEach(name => index.set(String(name), [value]));
+  });
+  return index;
+}
+
+function conditionHolds(condition, values) {
+  const matches = (list) => list.some(value => values.includes(normalizeValue(value)));
+  let tested = false;
+
+  if (Array.isArray(condition.anyOf) && condition.anyOf.length > 0) {
+    tested = true;
+    if (!matches(condition.anyOf)) return false;
+  }
+  if (Array.isArray(condition.noneOf) && condition.noneOf.length > 0) {
+    tested = true;
+    if (matches(condition.noneOf)) return false;
+  }
+  if (typeof condition.answered === 'boolean') {
+    tested = true;
+    if ((values.length > 0) !== condition.answered) return false;
+  }
+  return tested || values.length > 0;
+}
+
+/**
+ * Visibility of questions for one set of answers
+ * @param {Object} context
+ * @param {Array} [context.questions] - Question definitions conditions may refer to
+ * @param {Function} [context.answerValues] - (questionnaireKey, code) => answer values
+ * @param {Map<string, string[]>} [context.useCaseAnswers] - See indexUseCaseAnswers
+ * @returns {Function} question => whether it is shown
+ */
+function createVisibility({ questions = [], answerValues = () => [], useCaseAnswers = new Map() } = {}) {
+  const byCode = new Map();
+  questions.forEach(q => {
+    const key = refKey(q.questionnaireKey, q.code);
+    if (!byCode.has(key)) byCode.set(key, q);
+  });
+
+  const visited = new Map();
+  const evaluating = new Set();
+
+  function valuesOf(condition, questionnaireKey) {
+    if (condition.source === 'useCase') {
+      return useCaseAnswers.get(String(condition.code)) || [];
+    }
+    const key = condition.questionnaireKey || questionnaireKey;
+    const referenced = byCode.get(refKey(key, condition.code));
+    if (referenced && !isVisible(referenced)) return [];
+    return (answerValues(key, condition.code) || []).map(normalizeValue).filter(value => value.length > 0);
+  }
+
+  function isVisible(question) {
+    if (!hasShowIf(question)) return true;
+    if (visited.has(question)) return visited.get(question);
+    if (evaluating.has(question)) return true;
+
+    evaluating.add(question);
+    const { match, conditions } = question.showIf;
+    const holds = (condition) => conditionHolds(condition, valuesOf(condition, question.questionnaireKey));
+    const visible = match === 'any' ? conditions.some(holds) : conditions.every(holds);
+    evaluating.delete(question);
+
+    visited.set(question, visible);
+    return visible;
+  }
+
+  return isVisible;
+}
+
+module.exports = {
+  CONDITION_SOURCES,
+  CONDITION_MATCHES,
+  hasShowIf,
+  responseAnswerValues,
+  indexUseCaseAnswers,
+  createVisibility
+};
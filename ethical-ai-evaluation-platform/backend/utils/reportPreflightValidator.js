@@ -9,6 +9,7 @@
 
 const { classifyRisk, riskLabelEN } = require('./riskScale');
 const { validateChartContract, CHART_STATUS } = require('../services/chartContract');
+const { DEFAULT_LOCALE } = require('./localization');
 
 /**
  * Validate report data consistency
@@ -205,7 +206,49 @@ function validateReportPreflight(reportData) {
   };
 }
 
+const listSome = (items, max = 10) =>
+  items.slice(0, max).join(', ') + (items.length > max ? `, ... (+${items.length - max} more)` : '');
+
+/**
+ * Validate the translation of a rendered report (never fails, only warns)
+ * @param {Object} i18n - Report translator used to render it (utils/reportTranslator)
+ * @param {Object} [options] - { narrativeFallback: true when the English fallback narrative was used }
+ * @returns {Object} { valid: true, errors: [], warnings: string[] }
+ */
+function validateReportTranslations(i18n, { narrativeFallback = false } = {}) {
+  const warnings = [];
+  const fallbacks = i18n.fallbacks();
+  const labels = fallbacks.filter(key => !key.startsWith('question.'));
+  const questions = fallbacks.filter(key => key.startsWith('question.')).map(key => key.slice('question.'.length));
+
+  if (labels.length > 0) {
+    warnings.push(
+      `${labels.length} report text(s) have no ${i18n.language} translation (locales/${i18n.locale}.json) ` +
+      `and are shown in English: ${listSome(labels)}`
+    );
+  }
+
+  if (questions.length > 0) {
+    warnings.push(
+      `${questions.length} question text(s) have no ${i18n.language} translation and are shown in English: ${listSome(questions)}`
+    );
+  }
+
+  if (narrativeFallback && i18n.locale !== DEFAULT_LOCALE) {
+    warnings.push(
+      `The AI narrative was unavailable; the fallback narrative is in English, not ${i18n.language}`
+    );
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    warnings
+  };
+}
+
 module.exports = {
-  validateReportPreflight
+  validateReportPreflight,
+  validateReportTranslations
 };
 
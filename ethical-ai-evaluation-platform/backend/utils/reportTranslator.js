@@ -0,0 +1,94 @@
+/**
+ * Report Translator
+ *
+ * Texts of the HTML and DOCX reports in a registered locale, from
+ * locales/<code>.json ({ report, principles, riskLabels }). Anything the
+ * locale's catalogue (or a question) lacks is shown in English and recorded,
+ * so the preflight validator can flag it (validateReportTranslations).
+ */
+
+const { DEFAULT_LOCALE, normalizeLocale, localeInfo, hasText, hasTranslation, localize } = require('./localization');
+
+const catalogues = new Map();
+
+/**
+ * Report catalogue of a locale ({} when it has none)
+ * @param {string} locale
+ * @returns {Object}
+ */
+function loadCatalogue(locale) {
+  if (!catalogues.has(locale)) {
+    let catalogue = {};
+    try {
+      catalogue = require(`../locales/${locale}.json`);
+    } catch (err) {
+      if (err.code !== 'MODULE_NOT_FOUND') throw err;
+    }
+    catalogues.set(locale, catalogue);
+  }
+  return catalogues.get(locale);
+}
+
+const interpolate = (template, vars = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match));
+
+/**
+ * Translator for one report
+ * @param {string} [locale] - Unknown locales render in English
+ * @returns {Object} { locale, language, t, principle, riskLabel, text, formatDate, missingKeys, fallbacks }
+ */
+function createReportTranslator(locale) {
+  const code = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const english = loadCatalogue(DEFAULT_LOCALE);
+  const own = loadCatalogue(code);
+  const fallbacks = new Set();
+
+  const lookup = (section, key) => {
+    if (hasText(own[section]?.[key])) return own[section][key];
+    const source = english[section]?.[key];
+    if (code !== DEFAULT_LOCALE && hasText(source)) fallbacks.add(`${section}.${key}`);
+    return source;
+  };
+
+  return {
+    locale: code,
+    language: localeInfo(code).name,
+
+    /** Report text by key, with {name} placeholders filled from vars */
+    t: (key, vars) => interpolate(lookup('report', key) ?? key, vars),
+
+    /** Principle name (any case); names outside the catalogue are kept as is */
+    principle: (name) => {
+      if (!name || code === DEFAULT_LOCALE) return name;
+      return lookup('principles', name) ?? lookup('principles', String(name).toUpperCase()) ?? name;
+    },
+
+    /** Risk label ('High Risk', ...); labels outside the catalogue are kept as is */
+    riskLabel: (label) => (label && code !== DEFAULT_LOCALE ? lookup('riskLabels', label) ?? label : label),
+
+    /**
+     * Localized question text ({ en, tr, ... })
+     * @param {Object|string} value
+     * @param {string} ref - Recorded when the text falls back (e.g. the question code)
+     */
+    text: (value, ref) => {
+      if (code !== DEFAULT_LOCALE && value && typeof value === 'object' && !hasTranslation(value, code) && hasText(localize(value))) {
+        fallbacks.add(`question.${ref}`);
+      }
+      return localize(value, code);
+    },
+
+    formatDate: (date) => new Date(date).toLocaleDateString(code === DEFAULT_LOCALE ? 'en-US' : code, { year: 'numeric', month: 'long', day: 'numeric' }),
+
+    /** Catalogue keys the locale does not translate */
+    missingKeys: () => (code === DEFAULT_LOCALE ? [] : Object.keys(english).flatMap(section =>
+      Object.keys(english[section]).filter(key => !hasText(own[section]?.[key])).map(key => `${section}.${key}`))),
+
+    /** Texts shown in English so far */
+    fallbacks: () => [...fallbacks]
+  };
+}
+
+module.exports = {
+  createReportTranslator
+};
@@ -1,3 +1,5 @@
+const riskScale = require('./riskScale');
+
 /**
  * CANONICAL RISK CLASSIFICATION FUNCTION
  * 
@@ -15,8 +17,11 @@
  * 
  * NULL/undefined = Not evaluated (N/A)
  * 
+ * Bands come from config/ercThresholds.js (via utils/riskScale.js); this module
+ * only adds the stricter input checks.
+ * 
  * @param {number|null|undefined} score - Risk score (0-4) or null/undefined
- * @returns {string} Risk classification: "MINIMAL_RISK" | "LOW_RISK" | "MEDIUM_RISK" | "HIGH_RISK" | "MAX_RISK" | "N/A"
+ * @returns {string} Risk classification: "MINIMAL_RISK" | "LOW_RISK" | "MEDIUM_RISK" | "HIGH_RISK" | "CRITICAL_RISK" | "N/A"
  */
 function classifyRisk(score) {
   // NULL/undefined means not evaluated
@@ -29,12 +34,8 @@ function classifyRisk(score) {
     throw new Error(`INVALID RISK SCORE: ${score} is negative. Score must be >= 0.`);
   }
 
-  // CORRECT SCALE: Higher score = Higher risk (UNBOUNDED)
-  if (score >= 4) return "MAX_RISK"; // 4+ = Critical
-  if (score >= 3) return "HIGH_RISK";
-  if (score >= 2) return "MEDIUM_RISK";
-  if (score >= 1) return "LOW_RISK";
-  return "MINIMAL_RISK"; // score < 1 (typically 0)
+  // CORRECT SCALE: Higher score = Higher risk (UNBOUNDED - the top band is open)
+  return riskScale.classifyRisk(score);
 }
 
 /**
@@ -43,16 +44,8 @@ function classifyRisk(score) {
  * @returns {string} Human-readable label
  */
 function getRiskLabel(score) {
-  const classification = classifyRisk(score);
-  const labels = {
-    "MINIMAL_RISK": "Minimal Risk",
-    "LOW_RISK": "Low Risk",
-    "MEDIUM_RISK": "Medium Risk",
-    "HIGH_RISK": "High Risk",
-    "MAX_RISK": "Critical Risk",
-    "N/A": "Not Evaluated"
-  };
-  return labels[classification] || "Unknown";
+  classifyRisk(score); // rejects negative scores
+  return riskScale.riskLabelEN(score);
 }
 
 /**
@@ -88,28 +81,10 @@ function validateRiskClassification(score, classification) {
  * 
  * @param {number} cumulativeScore - Sum of finalRiskContribution values
  * @param {number} questionCount - Number of questions contributing to this sum
- * @returns {string} Risk classification: "MINIMAL_RISK" | "LOW_RISK" | "MEDIUM_RISK" | "HIGH_RISK" | "MAX_RISK" | "N/A"
+ * @returns {string} Risk classification: "MINIMAL_RISK" | "LOW_RISK" | "MEDIUM_RISK" | "HIGH_RISK" | "CRITICAL_RISK" | "N/A"
  */
 function classifyCumulativeRisk(cumulativeScore, questionCount) {
-  // NULL/undefined means not evaluated
-  if (cumulativeScore === null || cumulativeScore === undefined || isNaN(cumulativeScore)) {
-    return "N/A";
-  }
-
-  // No questions = N/A
-  if (!questionCount || questionCount <= 0) {
-    return "N/A";
-  }
-
-  // Normalize: average risk per question
-  const normalizedRisk = cumulativeScore / questionCount;
-
-  // Apply standard 0-4 thresholds to normalized value
-  if (normalizedRisk >= 4) return "MAX_RISK";
-  if (normalizedRisk >= 3) return "HIGH_RISK";
-  if (normalizedRisk >= 2) return "MEDIUM_RISK";
-  if (normalizedRisk >= 1) return "LOW_RISK";
-  return "MINIMAL_RISK";
+  return riskScale.classifyCumulativeRisk(cumulativeScore, questionCount);
 }
 
 /**
@@ -119,16 +94,7 @@ function classifyCumulativeRisk(cumulativeScore, questionCount) {
  * @returns {string} Human-readable label
  */
 function getCumulativeRiskLabel(cumulativeScore, questionCount) {
-  const classification = classifyCumulativeRisk(cumulativeScore, questionCount);
-  const labels = {
-    "MINIMAL_RISK": "Minimal Risk",
-    "LOW_RISK": "Low Risk",
-    "MEDIUM_RISK": "Medium Risk",
-    "HIGH_RISK": "High Risk",
-    "MAX_RISK": "Critical Risk",
-    "N/A": "Not Evaluated"
-  };
-  return labels[classification] || "Unknown";
+  return riskScale.getCumulativeRiskLabel(cumulativeScore, questionCount);
 }
 
 module.exports = {
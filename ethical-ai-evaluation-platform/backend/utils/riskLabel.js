@@ -10,6 +10,8 @@
  * 
  * CRITICAL RULE: Higher numeric score = Higher ethical risk
  * 
+ * Bands are the ones in config/ercThresholds.js (via riskUtils.riskLevelFromScore).
+ * 
  * @param {number} score - Risk score (0-4)
  * @returns {string} Risk label: "MINIMAL", "LOW", "MEDIUM", "HIGH", or "CRITICAL"
  */
@@ -1,8 +1,11 @@
 /**
  * Core Risk Calculation Logic
- * Extracted from EthicalScoringService for pure unit testing
+ * Per-question contribution of the default scoring model (services/scoringModels),
+ * for callers that only have an answerScore (1.0 = safe)
  */
 
+const { getScoringModel } = require('../services/scoringModels');
+
 function calculateRiskScore(questionImportance, answerScore) {
     // Validation
     if (questionImportance < 1 || questionImportance > 4) {
@@ -13,7 +16,10 @@ function calculateRiskScore(questionImportance, answerScore) {
     }
 
     // Formula: FinalRiskContribution = importance * (1 - answerScore)
-    const risk = questionImportance * (1 - answerScore);
+    const risk = getScoringModel().scoreQuestion({
+        importance: questionImportance,
+        severity: 1 - answerScore
+    }).finalRiskContribution;
 
     // Return precision normalized
     return Math.round(risk * 100) / 100;
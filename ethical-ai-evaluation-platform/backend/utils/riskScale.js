@@ -15,12 +15,15 @@
  * Lower numeric score = Lower ethical risk
  * 
  * NULL/undefined = Not evaluated (N/A) - NOT the same as 0
+ *
+ * Bands, labels and colors come from config/ercThresholds.js; nothing in this
+ * file (or in riskClassification.js / riskUtils.js / riskLabel.js, which build
+ * on it) hardcodes a threshold.
  */
 
-const ercConfig = require('../config/ercThresholds.v1');
+const ercConfig = require('../config/ercThresholds');
 
 /**
-
  * Clamp score to valid range [0, 4]
  * @param {number|null|undefined} score - Input score
  * @returns {number|null} Clamped score or null if invalid
@@ -46,7 +49,14 @@ function classifyRisk(score) {
   return `${result.level}_RISK`;
 }
 
-
+/**
+ * Threshold entry for a classification ("HIGH_RISK" -> thresholds.HIGH)
+ * @param {string} classification - Result of classifyRisk / classifyCumulativeRisk
+ * @returns {Object|null} { min, max, label, color } or null for N/A
+ */
+function thresholdFor(classification) {
+  return ercConfig.thresholds[String(classification).replace(/_RISK$/, '')] || null;
+}
 
 /**
  * Get English risk label
@@ -54,16 +64,8 @@ function classifyRisk(score) {
  * @returns {string} English label
  */
 function riskLabelEN(score) {
-  const classification = classifyRisk(score);
-  const labels = {
-    "MINIMAL_RISK": "Minimal Risk",
-    "LOW_RISK": "Low Risk",
-    "MEDIUM_RISK": "Medium Risk",
-    "HIGH_RISK": "High Risk",
-    "CRITICAL_RISK": "Critical Risk",
-    "N/A": "Not Evaluated"
-  };
-  return labels[classification] || "Unknown";
+  const threshold = thresholdFor(classifyRisk(score));
+  return threshold ? threshold.label : ercConfig.notEvaluated.label;
 }
 
 /**
@@ -77,15 +79,7 @@ function getRiskLabel(score, format = 'label') {
 
   // Short format (e.g., "MINIMAL", "LOW", "MEDIUM", "HIGH", "CRITICAL")
   if (format === 'short') {
-    const shortLabels = {
-      "MINIMAL_RISK": "MINIMAL",
-      "LOW_RISK": "LOW",
-      "MEDIUM_RISK": "MEDIUM",
-      "HIGH_RISK": "HIGH",
-      "CRITICAL_RISK": "CRITICAL",
-      "N/A": "N/A"
-    };
-    return shortLabels[classification] || "UNKNOWN";
+    return classification.replace(/_RISK$/, '');
   }
 
   // Classification format (e.g., "MINIMAL_RISK", "LOW_RISK", etc.)
@@ -135,8 +129,7 @@ function validateRiskScaleNotInverted(score, interpretedRisk) {
  * @returns {string} Hex color code
  */
 function colorForScore(score) {
-  const result = ercConfig.getRiskLevel(score);
-  return result.color || "#9ca3af";
+  return ercConfig.getRiskLevel(score).color;
 }
 
 /**
@@ -160,15 +153,8 @@ function classifyCumulativeRisk(cumulativeScore, questionCount) {
     return "N/A";
   }
 
-  // Normalize: average risk per question
-  const normalizedRisk = cumulativeScore / questionCount;
-
-  // Apply standard 0-4 thresholds to normalized value
-  if (normalizedRisk >= 3.5) return "CRITICAL_RISK";
-  if (normalizedRisk >= 2.5) return "HIGH_RISK";
-  if (normalizedRisk >= 1.5) return "MEDIUM_RISK";
-  if (normalizedRisk >= 0.5) return "LOW_RISK";
-  return "MINIMAL_RISK";
+  // Normalize: average risk per question, then apply the standard 0-4 thresholds
+  return classifyRisk(cumulativeScore / questionCount);
 }
 
 /**
@@ -182,31 +168,14 @@ function classifyCumulativeRisk(cumulativeScore, questionCount) {
 function getCumulativeRiskLabel(cumulativeScore, questionCount, format = 'label', lang = 'en') {
   const classification = classifyCumulativeRisk(cumulativeScore, questionCount);
 
-  const labelsEN = {
-    "MINIMAL_RISK": "Minimal Risk",
-    "LOW_RISK": "Low Risk",
-    "MEDIUM_RISK": "Medium Risk",
-    "HIGH_RISK": "High Risk",
-    "CRITICAL_RISK": "Critical Risk",
-    "N/A": "Not Evaluated"
-  };
-
-  const shortLabelsEN = {
-    "MINIMAL_RISK": "MINIMAL",
-    "LOW_RISK": "LOW",
-    "MEDIUM_RISK": "MEDIUM",
-    "HIGH_RISK": "HIGH",
-    "CRITICAL_RISK": "CRITICAL",
-    "N/A": "N/A"
-  };
-
   if (format === 'short') {
-    return shortLabelsEN[classification] || "N/A";
+    return classification.replace(/_RISK$/, '');
   }
   if (format === 'class') {
     return classification.toLowerCase().replace('_', '-');
   }
-  return labelsEN[classification] || "Unknown";
+  const threshold = thresholdFor(classification);
+  return threshold ? threshold.label : ercConfig.notEvaluated.label;
 }
 
 /**
@@ -217,16 +186,29 @@ function getCumulativeRiskLabel(cumulativeScore, questionCount, format = 'label'
  */
 function colorForCumulativeRisk(cumulativeScore, questionCount) {
   if (cumulativeScore === null || cumulativeScore === undefined || !questionCount || questionCount <= 0) {
-    return "#9ca3af"; // Gray
+    return ercConfig.notEvaluated.color;
   }
 
-  const normalizedRisk = cumulativeScore / questionCount;
+  return colorForScore(cumulativeScore / questionCount);
+}
 
-  if (normalizedRisk < 0.5) return "#4CAF50";   // Green - MINIMAL
-  if (normalizedRisk < 1.5) return "#FBC02D";   // Yellow - LOW
-  if (normalizedRisk < 2.5) return "#EF6C00";   // Dark Orange - MEDIUM
-  if (normalizedRisk < 3.5) return "#D32F2F";   // Dark Red - HIGH
-  return "#B71C1C";                             // Very Dark Red - CRITICAL
+/**
+ * Threshold set as served to the frontend (GET /api/risk-thresholds)
+ * @param {Object} [thresholds] - Threshold set (services/thresholdSetService); defaults to config/ercThresholds.js
+ * @returns {Object} { version, scale, levels: [{ level, classification, min, max, label, color }], notEvaluated }
+ */
+function describeRiskThresholds(thresholds = ercConfig) {
+  return {
+    version: thresholds.version,
+    description: thresholds.description,
+    scale: thresholds.scale,
+    levels: Object.entries(thresholds.thresholds).map(([level, threshold]) => ({
+      level,
+      classification: `${level}_RISK`,
+      ...threshold
+    })),
+    notEvaluated: thresholds.notEvaluated
+  };
 }
 
 module.exports = {
@@ -238,5 +220,6 @@ module.exports = {
   colorForScore,
   classifyCumulativeRisk,
   getCumulativeRiskLabel,
-  colorForCumulativeRisk
+  colorForCumulativeRisk,
+  describeRiskThresholds
 };
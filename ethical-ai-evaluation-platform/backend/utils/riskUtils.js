@@ -14,8 +14,13 @@
  * - 2   → MEDIUM RISK
  * - 3   → HIGH RISK
  * - 4   → MAX/CRITICAL RISK
+ *
+ * Risk bands and colors come from config/ercThresholds.js; the performance
+ * helpers below keep their own palette (high score = good).
  */
 
+const ercConfig = require('../config/ercThresholds');
+
 /**
  * Get risk level label from numeric score
  * @param {number} score - Score from 0 to 4
@@ -26,12 +31,8 @@ function riskLevelFromScore(score) {
     return "UNKNOWN";
   }
   
-  // CORRECT SCALE: Higher score = Higher risk
-  if (score < 0.5) return "MINIMAL";
-  if (score < 1.5) return "LOW";
-  if (score < 2.5) return "MEDIUM";
-  if (score < 3.5) return "HIGH";
-  return "CRITICAL"; // score >= 3.5
+  // CORRECT SCALE: Higher score = Higher risk (negative scores count as minimal)
+  return ercConfig.getRiskLevel(Math.max(0, score)).level;
 }
 
 /**
@@ -42,24 +43,16 @@ function riskLevelFromScore(score) {
  */
 function colorForScore(score, isPerformance = false) {
   if (score === null || score === undefined || isNaN(score)) {
-    return "#9ca3af"; // Gray for N/A or unknown
+    return ercConfig.notEvaluated.color;
   }
   
   if (isPerformance) {
     // PERFORMANCE MODE: High score = good (green), Low score = bad (red)
-    if (score >= 3.5) return "#10b981";   // Green - EXCELLENT (3.5-4.0)
-    if (score >= 2.5) return "#84cc16";   // Light green - GOOD (2.5-3.4)
-    if (score >= 1.5) return "#fbbf24";   // Yellow - FAIR (1.5-2.4)
-    if (score >= 0.5) return "#f97316";   // Orange - POOR (0.5-1.4)
-    return "#ef4444";                     // Red - CRITICAL (0-0.4)
-  } else {
-    // RISK MODE: High score = bad (red), Low score = good (green)
-    if (score < 0.5) return "#10b981";   // Green - MINIMAL RISK (0)
-    if (score < 1.5) return "#84cc16";   // Light green - LOW RISK (1)
-    if (score < 2.5) return "#fbbf24";   // Yellow/Amber - MEDIUM RISK (2)
-    if (score < 3.5) return "#f97316";   // Orange - HIGH RISK (3)
-    return "#ef4444";                    // Red - CRITICAL RISK (4)
+    return colorForPerformance(score);
   }
+
+  // RISK MODE: High score = bad (red), Low score = good (green)
+  return ercConfig.getRiskLevel(Math.max(0, score)).color;
 }
 
 /**
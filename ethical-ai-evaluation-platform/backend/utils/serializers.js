@@ -0,0 +1,141 @@
+/**
+ * Response serializers
+ *
+ * Every route that sends a User (or a UseCase) to the client goes through
+ * these helpers instead of returning the raw document. Fields are
+ * whitelisted per view, so a field added to the schema later stays private
+ * until it is listed here.
+ *
+ * User views:
+ *   public - what any signed-in member may see about another member
+ *   self   - the user's own account (profile, login response)
+ *   admin  - account management (lockout state, password migration flags)
+ *
+ * Password hashes, reset tokens and TOTP secrets are in no view.
+ */
+
+const USER_PUBLIC_FIELDS = ['_id', 'name', 'email', 'role', 'isOnline', 'lastSeen', 'profileImage'];
+const USER_SELF_FIELDS = [...USER_PUBLIC_FIELDS, 'isVerified', 'preconditionApproved', 'preconditionApprovedAt', 'preferredLocale', 'createdAt'];
+const USER_ADMIN_FIELDS = [...USER_SELF_FIELDS, 'failedLoginAttempts', 'lockedUntil', 'passwordMigratedAt', 'legacyPasswordFlagged'];
+
+const USER_VIEWS = {
+  public: USER_PUBLIC_FIELDS,
+  self: USER_SELF_FIELDS,
+  admin: USER_ADMIN_FIELDS
+};
+
+const SUPPORTING_FILE_FIELDS = ['_id', 'name', 'contentType', 'url'];
+
+const toPlain = (doc) => (doc && typeof doc.toJSON === 'function' ? doc.toJSON() : doc);
+
+const idOf = (value) => (value ? String(value._id || value.id || value) : '');
+
+const pick = (source, fields) => {
+  const out = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) out[field] = source[field];
+  }
+  return out;
+};
+
+/**
+ * View a viewer gets of a user: admins see the admin view, users see
+ * themselves in the self view, everyone else gets the public view.
+ * @param {Object} [viewer] - req.user
+ * @param {Object} user
+ * @returns {'public'|'self'|'admin'}
+ */
+function userViewFor(viewer, user) {
+  if (viewer?.role === 'admin') return 'admin';
+  if (viewer && idOf(viewer) === idOf(user)) return 'self';
+  return 'public';
+}
+
+/**
+ * Serialize a User document or lean object
+ * @param {Object} user
+ * @param {Object} [options]
+ * @param {Object} [options.viewer] - req.user; picks the view when `view` is not given
+ * @param {'public'|'self'|'admin'} [options.view]
+ * @returns {Object|null}
+ */
+function serializeUser(user, { viewer, view } = {}) {
+  const source = toPlain(user);
+  if (!source) return null;
+
+  const resolvedView = view || userViewFor(viewer, source);
+  const fields = USER_VIEWS[resolvedView];
+  if (!fields) throw new Error(`Unknown user view: ${resolvedView}`);
+
+  const out = pick(source, fields);
+  if (resolvedView !== 'public' && source.twoFactor) {
+    out.twoFactor = {
+      enabled: Boolean(source.twoFactor.enabled),
+      enabledAt: source.twoFactor.enabledAt
+    };
+  }
+  return out;
+}
+
+/**
+ * @param {Object[]} users
+ * @param {Object} [options] - See serializeUser
+ */
+const serializeUsers = (users, options) => (users || []).map((user) => serializeUser(user, options));
+
+/**
+ * Serialize one supporting file; the base64 payload is only sent when asked for
+ * @param {Object} file
+ * @param {Object} [options]
+ * @param {boolean} [options.includeData=false]
+ */
+function serializeSupportingFile(file, { includeData = false } = {}) {
+  const source = toPlain(file);
+  if (!source) return null;
+  const out = pick(source, SUPPORTING_FILE_FIELDS);
+  if (includeData && source.data !== undefined) out.data = source.data;
+  return out;
+}
+
+/**
+ * Serialize a UseCase. Admin reflections not marked visibleToExperts are
+ * only sent to admins and the use case owner.
+ * @param {Object} useCase
+ * @param {Object} [options]
+ * @param {Object} [options.viewer] - req.user
+ * @param {boolean} [options.includeFileData=false] - Include supporting file payloads (detail views)
+ * @returns {Object|null}
+ */
+function serializeUseCase(useCase, { viewer, includeFileData = false } = {}) {
+  const source = toPlain(useCase);
+  if (!source) return null;
+
+  const out = { ...source };
+  delete out.__v;
+
+  if (Array.isArray(source.supportingFiles)) {
+    out.supportingFiles = source.supportingFiles.map((file) => serializeSupportingFile(file, { includeData: includeFileData }));
+  }
+
+  const seesAllReflections = viewer?.role === 'admin' || (viewer && idOf(viewer) === idOf(source.ownerId));
+  if (Array.isArray(source.adminReflections) && !seesAllReflections) {
+    out.adminReflections = source.adminReflections.filter((reflection) => reflection.visibleToExperts);
+  }
+  return out;
+}
+
+/**
+ * @param {Object[]} useCases
+ * @param {Object} [options] - See serializeUseCase
+ */
+const serializeUseCases = (useCases, options) => (useCases || []).map((useCase) => serializeUseCase(useCase, options));
+
+module.exports = {
+  USER_VIEWS,
+  userViewFor,
+  serializeUser,
+  serializeUsers,
+  serializeSupportingFile,
+  serializeUseCase,
+  serializeUseCases
+};
@@ -19,17 +19,22 @@ import {
   Project,
   Tension,
   UseCase,
+  TwoFactorChallenge,
 } from "./types";
-import { api } from "./api";
-import { saveUser, loadUser, clearUser } from "./utils/auth";
+import { api, apiFetch, setUnauthorizedHandler } from "./api";
+import { saveUser, loadUser, clearUser, saveToken, loadToken, clearToken } from "./utils/auth";
 import { saveViewState, loadViewState, clearViewState } from "./utils/persistence";
 import { ForgotPassword } from "./components/ForgotPassword";
 import { ResetPassword } from "./components/ResetPassword";
+import { AcceptInvitation } from "./components/AcceptInvitation";
+import { useI18n } from "./i18n/I18nProvider";
 function App() {
   // Load initial view state from storage if available
   const initialViewState = loadViewState();
 
-  const [currentUser, setCurrentUser] = useState<User | null>(() => loadUser());
+  // A stored user without a session token (e.g. saved before token auth) must log in again
+  const { setLocale } = useI18n();
+  const [currentUser, setCurrentUser] = useState<User | null>(() => (loadToken() ? loadUser() : null));
   const [currentView, setCurrentView] = useState<string>(initialViewState?.currentView || "dashboard");
   const [selectedProject, setSelectedProject] = useState<Project | null>(initialViewState?.selectedProject || null);
   const [selectedTension, setSelectedTension] = useState<Tension | null>(initialViewState?.selectedTension || null);
@@ -60,9 +65,9 @@ function App() {
         const userId = currentUser?.id || (currentUser as any)?._id;
         const useCasesQuery = currentUser?.role === 'admin' ? `?adminId=${userId}` : (userId ? `?ownerId=${userId}` : '');
         const [projectsRes, usersRes, useCasesRes] = await Promise.all([
-          fetch(api(`/api/projects${userId ? `?userId=${userId}` : ''}`), { signal: controller.signal }),
-          fetch(api('/api/users'), { signal: controller.signal }),
-          fetch(api(`/api/use-cases${useCasesQuery}`), { signal: controller.signal })
+          apiFetch(`/api/projects${userId ? `?userId=${userId}` : ''}`, { signal: controller.signal }),
+          apiFetch('/api/users', { signal: controller.signal }),
+          apiFetch(`/api/use-cases${useCasesQuery}`, { signal: controller.signal })
         ]);
 
         clearTimeout(timeoutId);
@@ -133,7 +138,7 @@ function App() {
       if (currentUser) {
         // Pass userId for all users (for strict backend project filtering)
         const userId = currentUser?.id || (currentUser as any)?._id;
-        fetch(api(`/api/projects${userId ? `?userId=${userId}` : ''}`))
+        apiFetch(`/api/projects${userId ? `?userId=${userId}` : ''}`)
           .then(res => res.ok ? res.json() : null)
           .then(data => {
             if (data) {
@@ -199,11 +204,51 @@ function App() {
   // --- LOGIN ---
   const [loginRetrying, setLoginRetrying] = useState(false);
 
+  // Store the session and user returned by /api/login or /api/auth/2fa/challenge/verify
+  const completeLogin = (data: any) => {
+    const { token, tokenExpiresAt, recoveryCodes, recoveryCodesRemaining, ...userDB } = data;
+    const userFrontend = {
+      ...userDB,
+      id: userDB._id
+    };
+
+    saveToken(token);
+    setCurrentUser(userFrontend);
+    saveUser(userFrontend);
+    setLocale(userFrontend.preferredLocale);
+
+    // Fetch profile image separately (login response excludes profileImage for performance)
+    (async () => {
+      try {
+        const userId = userDB._id || userDB.id;
+        if (!userId) return;
+        const imgRes = await apiFetch(`/api/users/${userId}/profile-image`);
+        if (imgRes.ok) {
+          const img = await imgRes.json();
+          setCurrentUser((prev) => {
+            if (!prev) return prev;
+            const updated = { ...(prev as any), profileImage: img.profileImage || null } as any;
+            saveUser(updated);
+            return updated;
+          });
+        }
+      } catch (e) {
+        // ignore; avatar fallback will be used
+      }
+    })();
+
+    if (userDB.role !== "admin") {
+      // Server provides `preconditionApproved` flag on the user object
+      const approved = (userFrontend as any).preconditionApproved;
+      setNeedsPrecondition(!Boolean(approved));
+    }
+  };
+
   const handleLogin = async (
     email: string,
     password: string,
     role: string,
-  ) => {
+  ): Promise<TwoFactorChallenge | void> => {
     const MAX_RETRIES = 5;
     const RETRY_DELAY_MS = 2500;
 
@@ -231,44 +276,19 @@ function App() {
         setLoginRetrying(false);
 
         if (response.ok) {
-          const userDB = await response.json();
-          const userFrontend = {
-            ...userDB,
-            id: userDB._id
-          };
-
-          setCurrentUser(userFrontend);
-          saveUser(userFrontend);
-
-          // Fetch profile image separately (login response excludes profileImage for performance)
-          (async () => {
-            try {
-              const userId = userDB._id || userDB.id;
-              if (!userId) return;
-              const imgRes = await fetch(api(`/api/users/${userId}/profile-image`));
-              if (imgRes.ok) {
-                const img = await imgRes.json();
-                setCurrentUser((prev) => {
-                  if (!prev) return prev;
-                  const updated = { ...(prev as any), profileImage: img.profileImage || null } as any;
-                  saveUser(updated);
-                  return updated;
-                });
-              }
-            } catch (e) {
-              // ignore; avatar fallback will be used
-            }
-          })();
-
-          if (role !== "admin") {
-            // Server provides `preconditionApproved` flag on the user object
-            const approved = (userFrontend as any).preconditionApproved;
-            setNeedsPrecondition(!Boolean(approved));
+          const data = await response.json();
+          if (data.mfaRequired) {
+            // Password accepted; LoginScreen asks for the authenticator code next
+            return data as TwoFactorChallenge;
           }
+          completeLogin(data);
           return; // success
         } else {
           const errorData = await response.json().catch(() => ({ error: 'Unknown error', message: 'Unknown error' }));
-          const errorMessage = errorData.error || errorData.message || "Login failed! Please check your credentials.";
+          let errorMessage = errorData.error || errorData.message || "Login failed! Please check your credentials.";
+          if (errorData.code === 'ACCOUNT_LOCKED' && errorData.lockedUntil) {
+            errorMessage += `\n\nTry again after ${new Date(errorData.lockedUntil).toLocaleTimeString()} or ask an administrator to unlock your account.`;
+          }
           alert(errorMessage);
           return; // don't retry on real errors (wrong password, etc.)
         }
@@ -295,7 +315,7 @@ function App() {
     if (!currentUser?.id) return;
     (async () => {
       try {
-        const res = await fetch(api(`/api/users/${currentUser.id}/precondition-approval`), {
+        const res = await apiFetch(`/api/users/${currentUser.id}/precondition-approval`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' }
         });
@@ -317,14 +337,25 @@ function App() {
   };
 
   const handleLogout = () => {
+    // Revoke the session server-side; ignore failures (token may already be expired)
+    if (loadToken()) {
+      apiFetch('/api/logout', { method: 'POST' }).catch(() => { });
+    }
     setCurrentUser(null);
     clearUser();
+    clearToken();
     clearViewState();
     setCurrentView("dashboard");
     setSelectedProject(null);
     setNeedsPrecondition(false);
   };
 
+  // Expired or revoked session (401 from apiFetch): return to the login screen
+  useEffect(() => {
+    setUnauthorizedHandler(() => handleLogout());
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
   // --- NAVIGATION ---
   const handleViewProject = (project: Project) => {
     setSelectedProject(project);
@@ -366,7 +397,7 @@ function App() {
       const userId = currentUser?.id || (currentUser as any)?._id;
       if (!projectId || !userId) return;
 
-      const res = await fetch(api(`/api/projects/${projectId}/finish-evolution`), {
+      const res = await apiFetch(`/api/projects/${projectId}/finish-evolution`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ userId }),
@@ -480,7 +511,7 @@ function App() {
       // Only send userId for admin users (so backend can set createdByAdmin)
       const isAdmin = currentUser?.role?.toLowerCase().includes('admin');
       const userId = isAdmin ? (currentUser?.id || (currentUser as any)?._id) : null;
-      const response = await fetch(api('/api/projects'), {
+      const response = await apiFetch('/api/projects', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -517,7 +548,7 @@ function App() {
 
   const handleDeleteProject = async (projectId: string) => {
     try {
-      const response = await fetch(api(`/api/projects/${projectId}`), {
+      const response = await apiFetch(`/api/projects/${projectId}`, {
         method: 'DELETE'
       });
 
@@ -536,7 +567,7 @@ function App() {
   const handleCreateUseCase = async (useCaseData: Partial<UseCase>) => {
     try {
       console.log('Creating use case with data:', useCaseData);
-      const response = await fetch(api('/api/use-cases'), {
+      const response = await apiFetch('/api/use-cases', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -572,7 +603,7 @@ function App() {
 
   const handleDeleteUseCase = async (useCaseId: string) => {
     try {
-      const response = await fetch(api(`/api/use-cases/${useCaseId}`), {
+      const response = await apiFetch(`/api/use-cases/${useCaseId}`, {
         method: 'DELETE'
       });
 
@@ -593,7 +624,7 @@ function App() {
     if (!selectedProject) return;
 
     try {
-      const response = await fetch(api('/api/tensions'), {
+      const response = await apiFetch('/api/tensions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -613,7 +644,7 @@ function App() {
     }
   };
 
-  // Check URL manually for forgot-password and reset-password routes
+  // Check URL manually for forgot-password, reset-password and accept-invite routes
   if (!currentUser) {
     const path = window.location.pathname;
 
@@ -637,7 +668,17 @@ function App() {
       );
     }
 
-    return <LoginScreen onLogin={handleLogin} />;
+    if (path === '/accept-invite') {
+      return (
+        <AcceptInvitation
+          onBackToLogin={() => {
+            window.location.href = '/';
+          }}
+        />
+      );
+    }
+
+    return <LoginScreen onLogin={handleLogin} onLoginComplete={completeLogin} />;
   }
 
   if (needsPrecondition) {
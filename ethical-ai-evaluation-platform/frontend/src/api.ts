@@ -1,5 +1,7 @@
 /// <reference types="vite/client" />
 
+import { loadToken } from './utils/auth';
+
 /**
  * API URL resolution strategy:
  * - DEV: use relative paths (Vite proxy handles forwarding to backend).
@@ -56,7 +58,54 @@ export const api = (path: string) => {
   return `${API_BASE_URL}${p}`;
 };
 
+/**
+ * Called when the backend rejects the session token (401).
+ * App registers a handler that logs the user out and returns to LoginScreen.
+ */
+let unauthorizedHandler: (() => void) | null = null;
+
+export const setUnauthorizedHandler = (handler: (() => void) | null) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * fetch() against the backend with the session token attached as a Bearer header.
+ */
 export async function apiFetch(path: string, init?: RequestInit) {
-  return fetch(api(path), init);
+  const token = loadToken();
+  const headers = new Headers(init?.headers);
+  if (token && !headers.has('Authorization')) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await fetch(api(path), { ...init, headers });
+
+  if (response.status === 401 && token && unauthorizedHandler) {
+    unauthorizedHandler();
+  }
+  return response;
+}
+
+/**
+ * Fetch a backend file with the session token as a Bearer header and return a blob: URL for it,
+ * so report PDFs / HTML can be embedded or opened without the token in the URL.
+ * Release it with URL.revokeObjectURL when done.
+ */
+export async function fetchObjectUrl(path: string) {
+  const response = await apiFetch(path);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${path} (${response.status})`);
+  }
+  return URL.createObjectURL(await response.blob());
+}
+
+/**
+ * Open a backend file in a new tab through fetchObjectUrl.
+ */
+export async function openInNewTab(path: string) {
+  const url = await fetchObjectUrl(path);
+  window.open(url, '_blank', 'noopener,noreferrer');
+  // The tab has read the blob long before this
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
 }
 
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+interface AcceptInvitationProps {
+    onBackToLogin: () => void;
+}
+
+interface InvitationPreview {
+    email: string;
+    role: string;
+    projectTitle: string | null;
+    expiresAt: string;
+}
+
+const formatRole = (role: string) =>
+    role.split('-').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+
+export function AcceptInvitation({ onBackToLogin }: AcceptInvitationProps) {
+    const [token, setToken] = useState<string | null>(null);
+    const [invitation, setInvitation] = useState<InvitationPreview | null>(null);
+    const [name, setName] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        const tokenParam = new URLSearchParams(window.location.search).get('token');
+        if (!tokenParam) {
+            setError('Invalid or missing invitation link. Please use the link in your email.');
+            return;
+        }
+        setToken(tokenParam);
+
+        (async () => {
+            try {
+                const response = await apiFetch('/api/invitations/preview', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token: tokenParam })
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    setInvitation(data);
+                } else {
+                    setError(data.message || 'This invitation is not valid.');
+                }
+            } catch (err) {
+                console.error('Invitation preview error:', err);
+                setError('Could not connect to the server.');
+            }
+        })();
+    }, []);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+
+        if (!name || !password || !confirmPassword) {
+            setError('Please fill in all fields.');
+            return;
+        }
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match.');
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+
+        try {
+            const response = await apiFetch('/api/invitations/accept', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token, name, password })
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setMessage('Your account has been created. You can now login.');
+                setTimeout(() => {
+                    onBackToLogin();
+                }, 3000);
+            } else {
+                setError(data.message || 'An error occurred.');
+            }
+        } catch (err) {
+            console.error('Accept invitation error:', err);
+            setError('Could not connect to the server.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex">
+            <div className="w-full flex flex-col justify-center px-12 bg-white lg:w-1/2 mx-auto">
+                <div className="max-w-md mx-auto w-full">
+                    <div className="mb-8">
+                        <h1 className="text-4xl mb-2 text-gray-900 font-black tracking-tight" style={{ fontWeight: 900, fontFamily: 'Inter, sans-serif' }}>Ethical AI Analysis Platform</h1>
+                        <p className="text-xl text-gray-900 font-medium">Accept Invitation</p>
+                    </div>
+
+                    {invitation && !message && (
+                        <div className="mb-6">
+                            <p className="text-base text-gray-900">
+                                You have been invited as <strong>{formatRole(invitation.role)}</strong>
+                                {invitation.projectTitle && <> to the project <strong>{invitation.projectTitle}</strong></>}.
+                            </p>
+                            <p className="text-sm text-gray-500 mt-1">Account email: {invitation.email}</p>
+                        </div>
+                    )}
+
+                    {error && (
+                        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-base">
+                            {error}
+                        </div>
+                    )}
+                    {message && (
+                        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg text-green-700 text-base">
+                            {message}
+                        </div>
+                    )}
+
+                    {!message && invitation && (
+                        <form onSubmit={handleSubmit} className="space-y-6">
+                            <div>
+                                <label className="block text-sm mb-2 text-gray-700 font-semibold">Full Name</label>
+                                <input
+                                    type="text"
+                                    value={name}
+                                    onChange={(e) => setName(e.target.value)}
+                                    className="w-full px-4 h-12 text-base border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 box-border"
+                                    placeholder="Enter your full name"
+                                    required
+                                />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm mb-2 text-gray-700 font-semibold">Password</label>
+                                <input
+                                    type="password"
+                                    value={password}
+                                    onChange={(e) => setPassword(e.target.value)}
+                                    className="w-full px-4 h-12 text-base border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 box-border"
+                                    placeholder="Choose a password"
+                                    required
+                                />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm mb-2 text-gray-700 font-semibold">Confirm Password</label>
+                                <input
+                                    type="password"
+                                    value={confirmPassword}
+                                    onChange={(e) => setConfirmPassword(e.target.value)}
+                                    className="w-full px-4 h-12 text-base border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 box-border"
+                                    placeholder="Confirm your password"
+                                    required
+                                />
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="w-full py-3 px-4 rounded-lg text-white transition-colors hover:opacity-90 cursor-pointer font-medium text-base disabled:opacity-50 disabled:cursor-not-allowed bg-blue-600"
+                            >
+                                {loading ? 'Creating account...' : 'Create Account'}
+                            </button>
+                        </form>
+                    )}
+
+                    <div className="mt-6 text-center">
+                        <button
+                            onClick={onBackToLogin}
+                            className="w-full py-2.5 px-4 text-gray-600 hover:text-gray-800 text-base"
+                        >
+                            ← Back to login
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
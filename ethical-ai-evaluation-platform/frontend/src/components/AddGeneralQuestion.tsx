@@ -1,7 +1,7 @@
 import React, { useState, FormEvent } from 'react';
 import { ChevronRight, XCircle, Plus } from 'lucide-react';
 import { Project, User, Question, QuestionType } from '../types';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface AddGeneralQuestionProps {
   project: Project;
@@ -59,7 +59,7 @@ export function AddGeneralQuestion({ project, currentUser, onBack, onComplete }:
     try {
       const projectId = project.id || (project as any)._id;
       const userId = currentUser.id || (currentUser as any)._id;
-      const res = await fetch(api('/api/evaluations/custom-questions'), {
+      const res = await apiFetch('/api/evaluations/custom-questions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ projectId, userId, stage: 'assess', question: newQuestion }),
@@ -1,12 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { saveAdminDashboardTab, loadAdminDashboardTab } from '../utils/persistence';
-import { Plus, Folder, MessageSquare, Users, LogOut, Search, BarChart3, UserPlus, X, Link as LinkIcon, CheckCircle2, Trash2, Bell, Clock, FileText, Download } from 'lucide-react';
+import { Plus, Folder, MessageSquare, Users, LogOut, Search, BarChart3, UserPlus, X, Link as LinkIcon, CheckCircle2, Trash2, Bell, Clock, FileText, Download, Lock, Unlock, ShieldCheck, SlidersHorizontal, Scale } from 'lucide-react';
 import { Project, User, UseCase } from '../types';
 import { fetchUserProgress } from '../utils/userProgress';
 import { ChatPanel } from './ChatPanel';
 import { ProfileModal } from './ProfileModal';
 import { ExpertQuestionManager } from './ExpertQuestionManager';
-import { api } from '../api';
+import { apiFetch } from '../api';
+import { forgetRiskThresholds } from '../hooks/useRiskThresholds';
+import { useI18n } from '../i18n/I18nProvider';
 
 interface AdminDashboardEnhancedProps {
   currentUser: User;
@@ -56,7 +58,7 @@ const ProjectCard: React.FC<{
       try {
         if (currentUser.role === 'admin') {
           // Admin: Fetch project details to get overall team average progress
-          const res = await fetch(api(`/api/projects/${project.id}`));
+          const res = await apiFetch(`/api/projects/${project.id}`);
           if (res.ok) {
             const data = await res.json();
             if (mounted) setUserProgress(data.progress || 0);
@@ -172,8 +174,8 @@ export function AdminDashboardEnhanced({
   onLogout,
   onUpdateUser
 }: AdminDashboardEnhancedProps) {
-  const [activeTab, setActiveTab] = useState<'dashboard' | 'use-case-assignments' | 'project-creation' | 'reports' | 'chats' | 'created-reports' | 'expert-questions'>(() =>
-    loadAdminDashboardTab('dashboard') as 'dashboard' | 'use-case-assignments' | 'project-creation' | 'reports' | 'chats' | 'created-reports' | 'expert-questions'
+  const [activeTab, setActiveTab] = useState<'dashboard' | 'use-case-assignments' | 'project-creation' | 'reports' | 'chats' | 'created-reports' | 'expert-questions' | 'user-accounts' | 'invitations' | 'audit-log' | 'risk-thresholds' | 'role-weights'>(() =>
+    loadAdminDashboardTab('dashboard') as 'dashboard' | 'use-case-assignments' | 'project-creation' | 'reports' | 'chats' | 'created-reports' | 'expert-questions' | 'user-accounts' | 'invitations' | 'audit-log' | 'risk-thresholds' | 'role-weights'
   );
 
   // Persist tab changes
@@ -215,7 +217,7 @@ export function AdminDashboardEnhanced({
     // Refresh every time the tab is opened
     setUseCasesLoading(true);
     const userId = currentUser?.id || (currentUser as any)?._id;
-    fetch(api(`/api/use-cases?adminId=${userId}`))
+    apiFetch(`/api/use-cases?adminId=${userId}`)
       .then(res => res.ok ? res.json() : Promise.reject(res.status))
       .then(data => {
         const formatted = data.map((u: any) => ({ ...u, id: u._id }));
@@ -229,7 +231,7 @@ export function AdminDashboardEnhanced({
   // Fetch all conversations (chats)
   const fetchConversations = async () => {
     try {
-      const response = await fetch(api(`/api/messages/conversations?userId=${encodeURIComponent(currentUser.id)}`));
+      const response = await apiFetch(`/api/messages/conversations?userId=${encodeURIComponent(currentUser.id)}`);
       if (response.ok) {
         const data = await response.json();
         setAllConversations(data || []);
@@ -266,7 +268,7 @@ export function AdminDashboardEnhanced({
     if (!commProject) {
       try {
         const userId = currentUser?.id || (currentUser as any)?._id;
-        const response = await fetch(api('/api/projects'), {
+        const response = await apiFetch('/api/projects', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -328,7 +330,7 @@ export function AdminDashboardEnhanced({
 
   const handleDeleteConversation = async (projectId: string, otherUserId: string) => {
     try {
-      const response = await fetch(api('/api/messages/delete-conversation'), {
+      const response = await apiFetch('/api/messages/delete-conversation', {
         method: 'DELETE',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -378,7 +380,7 @@ export function AdminDashboardEnhanced({
   // Fetch unread count for ALERTS (Bell icon) - Should ONLY show system notifications
   const fetchUnreadCount = async () => {
     try {
-      const response = await fetch(api(`/api/messages/unread-count?userId=${encodeURIComponent(currentUser.id)}`));
+      const response = await apiFetch(`/api/messages/unread-count?userId=${encodeURIComponent(currentUser.id)}`);
       if (response.ok) {
         const data = await response.json();
         const conversations = data.conversations || [];
@@ -404,7 +406,7 @@ export function AdminDashboardEnhanced({
   // Fetch all system notifications (for history view)
   const fetchAllNotifications = async () => {
     try {
-      const response = await fetch(api(`/api/messages/history?userId=${encodeURIComponent(currentUser.id)}&limit=100`));
+      const response = await apiFetch(`/api/messages/history?userId=${encodeURIComponent(currentUser.id)}&limit=100`);
       if (response.ok) {
         const data = await response.json();
         setAllSystemNotifications(data.messages || []);
@@ -417,7 +419,7 @@ export function AdminDashboardEnhanced({
   // Fetch unread message count for message notifications (excludes notification messages)
   const fetchMessageUnreadCount = async () => {
     try {
-      const response = await fetch(api(`/api/messages/unread-count?userId=${encodeURIComponent(currentUser.id)}`));
+      const response = await apiFetch(`/api/messages/unread-count?userId=${encodeURIComponent(currentUser.id)}`);
       if (response.ok) {
         const data = await response.json();
         const conversations = data.conversations || [];
@@ -524,7 +526,7 @@ export function AdminDashboardEnhanced({
     if (project && otherUser) {
       // Mark messages as read
       try {
-        await fetch(api('/api/messages/mark-read'), {
+        await apiFetch('/api/messages/mark-read', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -629,6 +631,46 @@ export function AdminDashboardEnhanced({
             <FileText className="h-5 w-5 mr-3 text-pink-600" />
             Expert Questions
           </button>
+          <button
+            onClick={() => setActiveTab('user-accounts')}
+            className={`w-full px-4 py-3 flex items-center rounded-lg text-sm font-medium transition-colors ${activeTab === 'user-accounts' ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+          >
+            <Lock className="h-5 w-5 mr-3 text-red-600" />
+            Accounts
+          </button>
+          <button
+            onClick={() => setActiveTab('invitations')}
+            className={`w-full px-4 py-3 flex items-center rounded-lg text-sm font-medium transition-colors ${activeTab === 'invitations' ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+          >
+            <UserPlus className="h-5 w-5 mr-3 text-indigo-600" />
+            Invitations
+          </button>
+          <button
+            onClick={() => setActiveTab('audit-log')}
+            className={`w-full px-4 py-3 flex items-center rounded-lg text-sm font-medium transition-colors ${activeTab === 'audit-log' ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+          >
+            <ShieldCheck className="h-5 w-5 mr-3 text-gray-600" />
+            Audit Log
+          </button>
+          <button
+            onClick={() => setActiveTab('risk-thresholds')}
+            className={`w-full px-4 py-3 flex items-center rounded-lg text-sm font-medium transition-colors ${activeTab === 'risk-thresholds' ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+          >
+            <SlidersHorizontal className="h-5 w-5 mr-3 text-orange-600" />
+            Risk Thresholds
+          </button>
+          <button
+            onClick={() => setActiveTab('role-weights')}
+            className={`w-full px-4 py-3 flex items-center rounded-lg text-sm font-medium transition-colors ${activeTab === 'role-weights' ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+          >
+            <Scale className="h-5 w-5 mr-3 text-purple-600" />
+            Role Weights
+          </button>
           <button
             onClick={() => onNavigate('other-members')}
             className="w-full px-4 py-3 flex items-center rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-100 transition-colors"
@@ -669,6 +711,11 @@ export function AdminDashboardEnhanced({
               {activeTab === 'project-creation' && 'Create Project'}
               {activeTab === 'created-reports' && 'Created Reports'}
               {activeTab === 'expert-questions' && 'Expert Questions'}
+              {activeTab === 'user-accounts' && 'Accounts'}
+              {activeTab === 'invitations' && 'Invitations'}
+              {activeTab === 'audit-log' && 'Audit Log'}
+              {activeTab === 'risk-thresholds' && 'Risk Thresholds'}
+              {activeTab === 'role-weights' && 'Role Weights'}
               {activeTab === 'chats' && 'Chats'}
             </h2>
           </div>
@@ -1037,13 +1084,13 @@ export function AdminDashboardEnhanced({
               }}
               onDeleteUseCase={async (useCaseId: string) => {
                 try {
-                  const response = await fetch(api(`/api/use-cases/${useCaseId}`), {
+                  const response = await apiFetch(`/api/use-cases/${useCaseId}`, {
                     method: 'DELETE',
                   });
                   if (response.ok) {
                     // Reload use cases after deletion
                     const adminId = currentUser?.id || (currentUser as any)?._id;
-                    const useCasesRes = await fetch(api(`/api/use-cases?adminId=${adminId}`));
+                    const useCasesRes = await apiFetch(`/api/use-cases?adminId=${adminId}`);
                     if (useCasesRes.ok) {
                       const useCasesData = await useCasesRes.json();
                       const formattedUseCases = useCasesData.map((uc: any) => ({ ...uc, id: uc._id }));
@@ -1077,6 +1124,12 @@ export function AdminDashboardEnhanced({
               currentUser={currentUser}
             />
           )}
+
+          {activeTab === 'user-accounts' && <UserAccountsTab />}
+          {activeTab === 'invitations' && <InvitationsTab projects={projects} />}
+          {activeTab === 'audit-log' && <AuditLogTab projects={projects} users={users} />}
+          {activeTab === 'risk-thresholds' && <ThresholdSetsTab projects={projects} />}
+          {activeTab === 'role-weights' && <RoleWeightsTab projects={projects} />}
         </div>
       </div>
 
@@ -1092,7 +1145,7 @@ export function AdminDashboardEnhanced({
             }}
             onAssign={async (expertIds, notes) => {
               try {
-                const response = await fetch(api(`/api/projects/${selectedProjectForAssignment.id}/assign`), {
+                const response = await apiFetch(`/api/projects/${selectedProjectForAssignment.id}/assign`, {
                   method: 'PUT',
                   headers: { 'Content-Type': 'application/json' },
                   body: JSON.stringify({
@@ -1105,7 +1158,7 @@ export function AdminDashboardEnhanced({
                   // Reload projects to reflect updated assignments and progress
                   try {
                     const userId = currentUser?.id || (currentUser as any)?._id;
-                    const projectsRes = await fetch(api(`/api/projects${userId ? `?userId=${userId}` : ''}`));
+                    const projectsRes = await apiFetch(`/api/projects${userId ? `?userId=${userId}` : ''}`);
                     if (projectsRes.ok) {
                       const data = await projectsRes.json();
                       const formattedProjects = data.map((p: any) => {
@@ -1403,6 +1456,1062 @@ function DashboardTab({ projects, users, searchQuery, setSearchQuery, onViewProj
   );
 }
 
+function UserAccountsTab() {
+  const [accounts, setAccounts] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [unlockingId, setUnlockingId] = useState<string | null>(null);
+  const [showLockedOnly, setShowLockedOnly] = useState(true);
+
+  const fetchAccounts = async () => {
+    setLoading(true);
+    try {
+      const res = await apiFetch('/api/users');
+      if (res.ok) setAccounts(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch accounts:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const isLocked = (account: any) => Boolean(account.lockedUntil) && new Date(account.lockedUntil).getTime() > Date.now();
+
+  const handleUnlock = async (account: any) => {
+    setUnlockingId(account._id);
+    try {
+      const res = await apiFetch(`/api/admin/users/${account._id}/unlock`, { method: 'POST' });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        alert(err.error || 'Failed to unlock account');
+        return;
+      }
+      await fetchAccounts();
+    } catch (err) {
+      console.error('Unlock error:', err);
+      alert('Failed to unlock account');
+    } finally {
+      setUnlockingId(null);
+    }
+  };
+
+  const visible = showLockedOnly
+    ? accounts.filter((a) => isLocked(a) || (a.failedLoginAttempts || 0) > 0)
+    : accounts;
+
+  return (
+    <div className="px-8 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-1">Account Security</h1>
+          <p className="text-gray-600">Accounts are locked temporarily after repeated failed logins</p>
+        </div>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showLockedOnly}
+            onChange={(e) => setShowLockedOnly(e.target.checked)}
+            className="mr-2"
+          />
+          Only locked / failed-login accounts
+        </label>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-xl overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500 text-sm">Loading accounts...</div>
+        ) : visible.length === 0 ? (
+          <div className="p-8 text-center text-gray-500 text-sm">No accounts to show.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-3 font-medium">Name</th>
+                <th className="px-4 py-3 font-medium">Email</th>
+                <th className="px-4 py-3 font-medium">Role</th>
+                <th className="px-4 py-3 font-medium">Failed logins</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {visible.map((account) => {
+                const locked = isLocked(account);
+                return (
+                  <tr key={account._id}>
+                    <td className="px-4 py-3 text-gray-900">{account.name}</td>
+                    <td className="px-4 py-3 text-gray-600">{account.email}</td>
+                    <td className="px-4 py-3 text-gray-600 capitalize">{String(account.role || '').replace(/-/g, ' ')}</td>
+                    <td className="px-4 py-3 text-gray-600">{account.failedLoginAttempts || 0}</td>
+                    <td className="px-4 py-3">
+                      {locked ? (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                          <Lock className="h-3 w-3 mr-1" />
+                          Locked until {new Date(account.lockedUntil).toLocaleTimeString()}
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          Active
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      {(locked || (account.failedLoginAttempts || 0) > 0) && (
+                        <button
+                          onClick={() => handleUnlock(account)}
+                          disabled={unlockingId === account._id}
+                          className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+                        >
+                          <Unlock className="h-3 w-3 mr-1" />
+                          {locked ? 'Unlock' : 'Reset counter'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const INVITABLE_ROLES = [
+  'ethical-expert',
+  'medical-expert',
+  'technical-expert',
+  'legal-expert',
+  'education-expert',
+  'use-case-owner',
+  'admin'
+];
+
+const INVITATION_STATUS_STYLES: Record<string, string> = {
+  pending: 'bg-blue-100 text-blue-800',
+  expired: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  revoked: 'bg-gray-100 text-gray-600'
+};
+
+function InvitationsTab({ projects }: { projects: Project[] }) {
+  const [invitations, setInvitations] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState(INVITABLE_ROLES[0]);
+  const [projectId, setProjectId] = useState('');
+  const [sending, setSending] = useState(false);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+
+  const fetchInvitations = async () => {
+    setLoading(true);
+    try {
+      const res = await apiFetch(`/api/admin/invitations${statusFilter ? `?status=${statusFilter}` : ''}`);
+      if (res.ok) setInvitations(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch invitations:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [statusFilter]);
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!email) return;
+    setSending(true);
+    try {
+      const res = await apiFetch('/api/admin/invitations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, role, projectId: projectId || undefined })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.message || 'Failed to send invitation');
+        return;
+      }
+      if (data.emailSent === false) {
+        alert('Invitation created, but the email could not be sent. Revoke it and try again later.');
+      }
+      setEmail('');
+      setProjectId('');
+      await fetchInvitations();
+    } catch (err) {
+      console.error('Invite error:', err);
+      alert('Failed to send invitation');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleRevoke = async (invitation: any) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+    setRevokingId(invitation._id);
+    try {
+      const res = await apiFetch(`/api/admin/invitations/${invitation._id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        alert(err.message || 'Failed to revoke invitation');
+        return;
+      }
+      await fetchInvitations();
+    } catch (err) {
+      console.error('Revoke error:', err);
+      alert('Failed to revoke invitation');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="px-8 py-8">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Invitations</h1>
+        <p className="text-gray-600">Invite new members with a pre-set role; accepting the invitation creates the account and project assignment</p>
+      </div>
+
+      <form onSubmit={handleInvite} className="bg-white border border-gray-200 rounded-xl p-4 mb-6 flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[220px]">
+          <label className="block text-xs font-medium text-gray-600 mb-1">Email</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="name@example.com"
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Role</label>
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg capitalize"
+          >
+            {INVITABLE_ROLES.map((r) => (
+              <option key={r} value={r}>{r.replace(/-/g, ' ')}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Project (optional)</label>
+          <select
+            value={projectId}
+            onChange={(e) => setProjectId(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg max-w-[240px]"
+          >
+            <option value="">No project</option>
+            {projects.map((p) => (
+              <option key={p.id} value={p.id}>{p.title}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={sending}
+          className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+        >
+          <UserPlus className="h-4 w-4 mr-2" />
+          {sending ? 'Sending...' : 'Send Invitation'}
+        </button>
+      </form>
+
+      <div className="flex items-center justify-end mb-3">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+        >
+          <option value="">All invitations</option>
+          <option value="pending">Pending</option>
+          <option value="expired">Expired</option>
+          <option value="accepted">Accepted</option>
+          <option value="revoked">Revoked</option>
+        </select>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-xl overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500 text-sm">Loading invitations...</div>
+        ) : invitations.length === 0 ? (
+          <div className="p-8 text-center text-gray-500 text-sm">No invitations to show.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-3 font-medium">Email</th>
+                <th className="px-4 py-3 font-medium">Role</th>
+                <th className="px-4 py-3 font-medium">Project</th>
+                <th className="px-4 py-3 font-medium">Invited by</th>
+                <th className="px-4 py-3 font-medium">Expires</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {invitations.map((invitation) => (
+                <tr key={invitation._id}>
+                  <td className="px-4 py-3 text-gray-900">{invitation.email}</td>
+                  <td className="px-4 py-3 text-gray-600 capitalize">{String(invitation.role || '').replace(/-/g, ' ')}</td>
+                  <td className="px-4 py-3 text-gray-600">{invitation.project?.title || '—'}</td>
+                  <td className="px-4 py-3 text-gray-600">{invitation.invitedBy?.name || '—'}</td>
+                  <td className="px-4 py-3 text-gray-600">{new Date(invitation.expiresAt).toLocaleDateString()}</td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium capitalize ${INVITATION_STATUS_STYLES[invitation.status] || 'bg-gray-100 text-gray-600'}`}>
+                      {invitation.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {(invitation.status === 'pending' || invitation.status === 'expired') && (
+                      <button
+                        onClick={() => handleRevoke(invitation)}
+                        disabled={revokingId === invitation._id}
+                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-red-600 hover:bg-red-50 disabled:opacity-60"
+                      >
+                        <X className="h-3 w-3 mr-1" />
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const AUDIT_EVENT_TYPES: { value: string; label: string }[] = [
+  { value: 'auth.*', label: 'All authentication' },
+  { value: 'auth.login.success', label: 'Login success' },
+  { value: 'auth.login.failure', label: 'Login failure' },
+  { value: 'auth.logout', label: 'Logout' },
+  { value: 'auth.2fa.*', label: 'Two-factor changes' },
+  { value: 'password.change', label: 'Password change' },
+  { value: 'password.reset', label: 'Password reset' },
+  { value: 'user.role.change', label: 'Role change' },
+  { value: 'user.delete', label: 'Account deletion' },
+  { value: 'user.unlock', label: 'Account unlock' },
+  { value: 'user.invite*', label: 'Invitations' },
+  { value: 'project.assignment.change', label: 'Project assignment change' },
+  { value: 'report.finalize', label: 'Report finalized' },
+  { value: 'report.delete', label: 'Report deleted' }
+];
+
+const AUDIT_PAGE_SIZE = 50;
+
+const describeAuditDetails = (event: any) => {
+  const d = event.details || {};
+  switch (event.type) {
+    case 'auth.login.success':
+      return d.method ? `via ${d.method}` : '';
+    case 'auth.login.failure':
+      return [d.reason, d.email].filter(Boolean).join(' · ');
+    case 'user.role.change':
+      return `${d.from} → ${d.to}`;
+    case 'project.assignment.change':
+      return `+${(d.added || []).length} / -${(d.removed || []).length} (${d.via || 'project'})`;
+    case 'user.delete':
+      return [d.email, d.role].filter(Boolean).join(' · ');
+    case 'report.finalize':
+    case 'report.delete':
+      return [d.title, d.version ? `v${d.version}` : null].filter(Boolean).join(' · ');
+    default:
+      return [d.email, d.role, d.reason].filter(Boolean).join(' · ');
+  }
+};
+
+function AuditLogTab({ projects, users }: { projects: Project[]; users: User[] }) {
+  const [events, setEvents] = useState<any[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [userId, setUserId] = useState('');
+  const [projectId, setProjectId] = useState('');
+  const [type, setType] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const fetchEvents = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: String(page), limit: String(AUDIT_PAGE_SIZE) });
+      if (userId) params.set('userId', userId);
+      if (projectId) params.set('projectId', projectId);
+      if (type) params.set('type', type);
+      if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+      if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+      const res = await apiFetch(`/api/admin/audit-events?${params.toString()}`);
+      if (res.ok) {
+        const data = await res.json();
+        setEvents(data.events || []);
+        setTotal(data.total || 0);
+      }
+    } catch (err) {
+      console.error('Failed to fetch audit events:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEvents();
+  }, [page, userId, projectId, type, from, to]);
+
+  // Any filter change starts again from the first page
+  const withReset = (setter: (value: string) => void) => (value: string) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  const selectClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg';
+
+  return (
+    <div className="px-8 py-8">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Audit Log</h1>
+        <p className="text-gray-600">Logins, password and role changes, account deletions, assignments and report finalization</p>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-xl p-4 mb-6 flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">User</label>
+          <select value={userId} onChange={(e) => withReset(setUserId)(e.target.value)} className={`${selectClass} max-w-[220px]`}>
+            <option value="">All users</option>
+            {users.map((u) => (
+              <option key={u.id} value={u.id}>{u.name} ({u.email})</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Project</label>
+          <select value={projectId} onChange={(e) => withReset(setProjectId)(e.target.value)} className={`${selectClass} max-w-[220px]`}>
+            <option value="">All projects</option>
+            {projects.map((p) => (
+              <option key={p.id} value={p.id}>{p.title}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Event</label>
+          <select value={type} onChange={(e) => withReset(setType)(e.target.value)} className={selectClass}>
+            <option value="">All events</option>
+            {AUDIT_EVENT_TYPES.map((t) => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+          <input type="date" value={from} onChange={(e) => withReset(setFrom)(e.target.value)} className={selectClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+          <input type="date" value={to} onChange={(e) => withReset(setTo)(e.target.value)} className={selectClass} />
+        </div>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-xl overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500 text-sm">Loading audit events...</div>
+        ) : events.length === 0 ? (
+          <div className="p-8 text-center text-gray-500 text-sm">No events match these filters.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-3 font-medium">Time</th>
+                <th className="px-4 py-3 font-medium">Event</th>
+                <th className="px-4 py-3 font-medium">Actor</th>
+                <th className="px-4 py-3 font-medium">Subject</th>
+                <th className="px-4 py-3 font-medium">Project</th>
+                <th className="px-4 py-3 font-medium">Details</th>
+                <th className="px-4 py-3 font-medium">IP</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {events.map((event) => (
+                <tr key={event._id}>
+                  <td className="px-4 py-3 text-gray-600 whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${event.outcome === 'failure' ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-700'}`}>
+                      {event.type}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-900">{event.actorId?.name || event.actorEmail || '—'}</td>
+                  <td className="px-4 py-3 text-gray-600">{event.subjectUserId?.name || event.details?.email || '—'}</td>
+                  <td className="px-4 py-3 text-gray-600">{event.projectId?.title || '—'}</td>
+                  <td className="px-4 py-3 text-gray-600">{describeAuditDetails(event)}</td>
+                  <td className="px-4 py-3 text-gray-500 font-mono text-xs">{event.ip || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+        <span>{total} event{total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            disabled={page <= 1}
+            className="px-3 py-1.5 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {totalPages}</span>
+          <button
+            onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+            disabled={page >= totalPages}
+            className="px-3 py-1.5 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+interface ThresholdBand {
+  level: string;
+  min: number;
+  max: number;
+  label: string;
+  color: string;
+}
+
+interface ThresholdSetSummary {
+  version: string;
+  description?: string;
+  status: 'draft' | 'published';
+  isDefault: boolean;
+  builtIn: boolean;
+  bands: ThresholdBand[];
+  publishedAt?: string;
+  publishedBy?: { name?: string };
+}
+
+interface ThresholdDraft {
+  mode: 'create' | 'edit';
+  version: string;
+  description: string;
+  bands: ThresholdBand[];
+}
+
+function ThresholdSetsTab({ projects }: { projects: Project[] }) {
+  const [sets, setSets] = useState<ThresholdSetSummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState<ThresholdDraft | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [pinned, setPinned] = useState<Record<string, string>>({});
+  const [pinChoice, setPinChoice] = useState<Record<string, string>>({});
+  const [pinningId, setPinningId] = useState<string | null>(null);
+
+  const fetchSets = async () => {
+    setLoading(true);
+    try {
+      const res = await apiFetch('/api/admin/threshold-sets');
+      if (res.ok) setSets(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch threshold sets:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSets();
+  }, []);
+
+  const builtInVersion = sets.find((s) => s.builtIn)?.version || 'erc-v1';
+  const publishedVersions = sets.filter((s) => s.status === 'published').map((s) => s.version);
+  const pinnedVersion = (project: Project) => pinned[project.id] || project.thresholdsVersion || builtInVersion;
+
+  const startDraft = (from: ThresholdSetSummary) =>
+    setDraft({ mode: 'create', version: '', description: from.description || '', bands: from.bands.map((b) => ({ ...b })) });
+
+  const editDraft = (set: ThresholdSetSummary) =>
+    setDraft({ mode: 'edit', version: set.version, description: set.description || '', bands: set.bands.map((b) => ({ ...b })) });
+
+  // Bands stay contiguous: moving a band's upper bound moves the next band's lower bound
+  const updateBand = (index: number, field: 'max' | 'label' | 'color', value: string) => {
+    if (!draft) return;
+    const bands = draft.bands.map((b) => ({ ...b }));
+    if (field === 'max') {
+      bands[index].max = Number(value);
+      if (bands[index + 1]) bands[index + 1].min = Number(value);
+    } else {
+      bands[index][field] = value;
+    }
+    setDraft({ ...draft, bands });
+  };
+
+  const saveDraft = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+    setSaving(true);
+    try {
+      const bands = draft.bands.map(({ level, min, max, label, color }) => ({ level, min, max, label, color }));
+      const res = draft.mode === 'create'
+        ? await apiFetch('/api/admin/threshold-sets', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ version: draft.version.trim(), description: draft.description, bands })
+        })
+        : await apiFetch(`/api/admin/threshold-sets/${encodeURIComponent(draft.version)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ description: draft.description, bands })
+        });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to save threshold set');
+        return;
+      }
+      setDraft(null);
+      await fetchSets();
+    } catch (err) {
+      console.error('Save threshold set error:', err);
+      alert('Failed to save threshold set');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const publish = async (set: ThresholdSetSummary) => {
+    if (!window.confirm(`Publish ${set.version}? It can no longer be edited and new projects will be pinned to it.`)) return;
+    try {
+      const res = await apiFetch(`/api/admin/threshold-sets/${encodeURIComponent(set.version)}/publish`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ makeDefault: true })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to publish threshold set');
+        return;
+      }
+      forgetRiskThresholds();
+      await fetchSets();
+    } catch (err) {
+      console.error('Publish threshold set error:', err);
+      alert('Failed to publish threshold set');
+    }
+  };
+
+  const pinProject = async (project: Project) => {
+    const version = pinChoice[project.id] || pinnedVersion(project);
+    if (version === pinnedVersion(project)) return;
+    if (!window.confirm(`Pin "${project.title}" to ${version}? Its scores are recomputed with the new thresholds.`)) return;
+    setPinningId(project.id);
+    try {
+      const res = await apiFetch(`/api/projects/${project.id}/thresholds`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ thresholdsVersion: version })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to pin thresholds');
+        return;
+      }
+      setPinned((prev) => ({ ...prev, [project.id]: version }));
+      forgetRiskThresholds();
+      const warnings: string[] = data.recompute?.warnings || [];
+      if (warnings.length > 0) alert(warnings.join('\n'));
+    } catch (err) {
+      console.error('Pin thresholds error:', err);
+      alert('Failed to pin thresholds');
+    } finally {
+      setPinningId(null);
+    }
+  };
+
+  const inputClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="px-8 py-8">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Risk Thresholds</h1>
+        <p className="text-gray-600">Draft and publish risk threshold sets; each project stays pinned to the version its reports were produced with</p>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-xl overflow-hidden mb-6">
+        {loading ? (
+          <div className="p-8 text-center text-gray-500 text-sm">Loading threshold sets...</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-3 font-medium">Version</th>
+                <th className="px-4 py-3 font-medium">Bands</th>
+                <th className="px-4 py-3 font-medium">Published</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {sets.map((set) => (
+                <tr key={set.version}>
+                  <td className="px-4 py-3 align-top">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-900">{set.version}</span>
+                      {set.isDefault && <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Default</span>}
+                      {set.builtIn && <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">Built-in</span>}
+                      {set.status === 'draft' && <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Draft</span>}
+                    </div>
+                    {set.description && <div className="text-xs text-gray-500 mt-1">{set.description}</div>}
+                  </td>
+                  <td className="px-4 py-3 align-top">
+                    <div className="flex flex-wrap gap-2">
+                      {set.bands.map((band) => (
+                        <span key={band.level} className="inline-flex items-center text-xs text-gray-700" title={band.level}>
+                          <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: band.color }} />
+                          {band.label} ({band.min}–{band.max})
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 align-top text-gray-600">
+                    {set.publishedAt ? new Date(set.publishedAt).toLocaleDateString() : set.builtIn ? '—' : 'Not yet'}
+                    {set.publishedBy?.name && <div className="text-xs text-gray-500">{set.publishedBy.name}</div>}
+                  </td>
+                  <td className="px-4 py-3 align-top text-right whitespace-nowrap">
+                    {set.status === 'draft' && (
+                      <>
+                        <button
+                          onClick={() => editDraft(set)}
+                          className="px-3 py-1.5 mr-2 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => publish(set)}
+                          className="px-3 py-1.5 mr-2 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700"
+                        >
+                          Publish
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => startDraft(set)}
+                      className="px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50"
+                    >
+                      New draft from this
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {draft && (
+        <form onSubmit={saveDraft} className="bg-white border border-gray-200 rounded-xl p-4 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">
+            {draft.mode === 'create' ? 'New threshold set' : `Edit draft ${draft.version}`}
+          </h2>
+          <div className="flex flex-wrap gap-3 mb-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Version</label>
+              <input
+                value={draft.version}
+                onChange={(e) => setDraft({ ...draft, version: e.target.value })}
+                placeholder="erc-v2"
+                disabled={draft.mode === 'edit'}
+                className={`${inputClass} disabled:bg-gray-100`}
+                required
+              />
+            </div>
+            <div className="flex-1 min-w-[260px]">
+              <label className="block text-xs font-medium text-gray-600 mb-1">Description</label>
+              <input
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                className={`${inputClass} w-full`}
+              />
+            </div>
+          </div>
+
+          <table className="w-full text-sm mb-4">
+            <thead className="text-gray-600 text-left">
+              <tr>
+                <th className="py-2 font-medium">Level</th>
+                <th className="py-2 font-medium">From</th>
+                <th className="py-2 font-medium">To</th>
+                <th className="py-2 font-medium">Label</th>
+                <th className="py-2 font-medium">Color</th>
+              </tr>
+            </thead>
+            <tbody>
+              {draft.bands.map((band, index) => (
+                <tr key={band.level}>
+                  <td className="py-1 pr-3 font-mono text-xs text-gray-700">{band.level}</td>
+                  <td className="py-1 pr-3 text-gray-600">{band.min}</td>
+                  <td className="py-1 pr-3">
+                    <input
+                      type="number"
+                      step="0.05"
+                      min={band.min}
+                      max={4}
+                      value={band.max}
+                      onChange={(e) => updateBand(index, 'max', e.target.value)}
+                      disabled={index === draft.bands.length - 1}
+                      className={`${inputClass} w-24 disabled:bg-gray-100`}
+                    />
+                  </td>
+                  <td className="py-1 pr-3">
+                    <input value={band.label} onChange={(e) => updateBand(index, 'label', e.target.value)} className={inputClass} required />
+                  </td>
+                  <td className="py-1 pr-3">
+                    <div className="flex items-center gap-2">
+                      <span className="w-5 h-5 rounded border border-gray-200" style={{ backgroundColor: band.color }} />
+                      <input value={band.color} onChange={(e) => updateBand(index, 'color', e.target.value)} className={`${inputClass} w-28 font-mono`} required />
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 text-sm font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+            >
+              {saving ? 'Saving...' : 'Save Draft'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-xl overflow-hidden">
+        <div className="px-4 py-3 border-b border-gray-100">
+          <h2 className="text-lg font-semibold text-gray-900">Project pinning</h2>
+          <p className="text-xs text-gray-500">Re-pinning a project recomputes its scores; earlier reports keep the version they recorded</p>
+        </div>
+        {projects.length === 0 ? (
+          <div className="p-8 text-center text-gray-500 text-sm">No projects yet.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-3 font-medium">Project</th>
+                <th className="px-4 py-3 font-medium">Pinned version</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {projects.map((project) => (
+                <tr key={project.id}>
+                  <td className="px-4 py-3 text-gray-900">{project.title}</td>
+                  <td className="px-4 py-3">
+                    <select
+                      value={pinChoice[project.id] || pinnedVersion(project)}
+                      onChange={(e) => setPinChoice((prev) => ({ ...prev, [project.id]: e.target.value }))}
+                      className="px-3 py-2 text-sm border border-gray-300 rounded-lg"
+                    >
+                      {[...new Set([pinnedVersion(project), ...publishedVersions])].map((version) => (
+                        <option key={version} value={version}>{version}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={() => pinProject(project)}
+                      disabled={pinningId === project.id || (pinChoice[project.id] || pinnedVersion(project)) === pinnedVersion(project)}
+                      className="px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {pinningId === project.id ? 'Pinning...' : 'Pin'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+interface ProjectRoleWeights {
+  weights: Record<string, number>;
+  defaults: Record<string, number>;
+  custom: boolean;
+}
+
+function RoleWeightsTab({ projects }: { projects: Project[] }) {
+  const [projectId, setProjectId] = useState(projects[0]?.id || '');
+  const [current, setCurrent] = useState<ProjectRoleWeights | null>(null);
+  const [draft, setDraft] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const applyWeights = (data: ProjectRoleWeights) => {
+    setCurrent(data);
+    setDraft(Object.fromEntries(Object.entries(data.weights).map(([role, weight]) => [role, String(weight)])));
+  };
+
+  useEffect(() => {
+    if (!projectId) return;
+    const fetchWeights = async () => {
+      setLoading(true);
+      try {
+        const res = await apiFetch(`/api/projects/${projectId}/role-weights`);
+        if (res.ok) applyWeights(await res.json());
+      } catch (err) {
+        console.error('Failed to fetch role weights:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchWeights();
+  }, [projectId]);
+
+  const save = async (roleWeights: Record<string, number> | null) => {
+    setSaving(true);
+    try {
+      const res = await apiFetch(`/api/projects/${projectId}/role-weights`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ roleWeights })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to save role weights');
+        return;
+      }
+      applyWeights(data.roleWeights);
+    } catch (err) {
+      console.error('Save role weights error:', err);
+      alert('Failed to save role weights');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    save(Object.fromEntries(Object.entries(draft).map(([role, weight]) => [role, Number(weight)])));
+  };
+
+  const resetToDefaults = () => {
+    if (!window.confirm('Reset this project to the default role weights?')) return;
+    save(null);
+  };
+
+  const inputClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="px-8 py-8">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">Role Weights</h1>
+        <p className="text-gray-600">How much each evaluator role counts when a project's answers are aggregated into principle and overall scores</p>
+      </div>
+
+      {projects.length === 0 ? (
+        <div className="p-8 text-center text-gray-500 text-sm">No projects yet.</div>
+      ) : (
+        <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-xl p-4">
+          <div className="mb-4">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Project</label>
+            <select value={projectId} onChange={(e) => setProjectId(e.target.value)} className={inputClass}>
+              {projects.map((project) => (
+                <option key={project.id} value={project.id}>{project.title}</option>
+              ))}
+            </select>
+            {current && (
+              <span className={`ml-3 px-2 py-0.5 rounded-full text-xs font-medium ${current.custom ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'}`}>
+                {current.custom ? 'Custom' : 'Defaults'}
+              </span>
+            )}
+          </div>
+
+          {loading || !current ? (
+            <div className="p-8 text-center text-gray-500 text-sm">Loading role weights...</div>
+          ) : (
+            <>
+              <table className="w-full text-sm mb-4">
+                <thead className="text-gray-600 text-left">
+                  <tr>
+                    <th className="py-2 font-medium">Role</th>
+                    <th className="py-2 font-medium">Weight</th>
+                    <th className="py-2 font-medium">Default</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.keys(current.defaults).map((role) => (
+                    <tr key={role}>
+                      <td className="py-1 pr-3 text-gray-900">{role}</td>
+                      <td className="py-1 pr-3">
+                        <input
+                          type="number"
+                          step="0.1"
+                          min={0}
+                          max={10}
+                          value={draft[role] ?? ''}
+                          onChange={(e) => setDraft((prev) => ({ ...prev, [role]: e.target.value }))}
+                          className={`${inputClass} w-24`}
+                          required
+                        />
+                      </td>
+                      <td className="py-1 pr-3 text-gray-500">{current.defaults[role]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mb-4">
+                Within each principle an answer counts with its role's weight relative to the mean weight of the principle's answers. Equal weights give the unweighted result.
+              </p>
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={resetToDefaults}
+                  disabled={saving || !current.custom}
+                  className="px-4 py-2 text-sm font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Reset to defaults
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+                >
+                  {saving ? 'Saving...' : 'Save Weights'}
+                </button>
+              </div>
+            </>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
+
 function UseCaseAssignmentsTab({ useCases, projects, users, onAssignExperts, onDeleteUseCase, loading }: any) {
   const handleDelete = async (project: Project) => {
     const confirmed = window.confirm(`Are you sure you want to delete the project "${project.title}"? This action cannot be undone.`);
@@ -1884,10 +2993,10 @@ function CreatedReportsTab({ projects, currentUser }: any) {
         return;
       }
       const url = filterProjectId
-        ? api(`/api/reports?userId=${userId}&projectId=${filterProjectId}`)
-        : api(`/api/reports?userId=${userId}`);
+        ? `/api/reports?userId=${userId}&projectId=${filterProjectId}`
+        : `/api/reports?userId=${userId}`;
       console.log('📥 [CreatedReportsTab] Fetching reports from:', url);
-      const response = await fetch(url);
+      const response = await apiFetch(url);
       if (response.ok) {
         const data = await response.json();
         console.log('✅ [CreatedReportsTab] Reports fetched:', data.length);
@@ -1907,7 +3016,7 @@ function CreatedReportsTab({ projects, currentUser }: any) {
   const handleViewReport = async (reportId: string) => {
     try {
       const userId = currentUser.id || (currentUser as any)._id;
-      const response = await fetch(api(`/api/reports/${reportId}?userId=${userId}`));
+      const response = await apiFetch(`/api/reports/${reportId}?userId=${userId}`);
       if (response.ok) {
         const data = await response.json();
         setSelectedReport(data);
@@ -1936,7 +3045,7 @@ function CreatedReportsTab({ projects, currentUser }: any) {
     try {
       const userId = currentUser?.id || (currentUser as any)?._id;
       // Use /download-pdf endpoint which always uses latest data
-      const response = await fetch(api(`/api/reports/${reportId}/download-pdf?userId=${userId}`));
+      const response = await apiFetch(`/api/reports/${reportId}/download-pdf?userId=${userId}`);
       if (response.ok) {
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
@@ -1977,7 +3086,7 @@ function CreatedReportsTab({ projects, currentUser }: any) {
 
     try {
       const userId = currentUser.id || (currentUser as any)._id;
-      const response = await fetch(api(`/api/reports/${reportId}?userId=${userId}`), {
+      const response = await apiFetch(`/api/reports/${reportId}?userId=${userId}`, {
         method: 'DELETE'
       });
       if (response.ok) {
@@ -2175,6 +3284,7 @@ function CreatedReportsTab({ projects, currentUser }: any) {
 }
 
 function ReportsTab({ projects, currentUser, users }: any) {
+  const { locale } = useI18n();
   const [reports, setReports] = useState<any[]>([]);
   const [loading, setLoading] = useState(false);
   const [generating, setGenerating] = useState<string | null>(null);
@@ -2194,10 +3304,10 @@ function ReportsTab({ projects, currentUser, users }: any) {
         return;
       }
       const url = filterProjectId
-        ? api(`/api/reports?userId=${userId}&projectId=${filterProjectId}`)
-        : api(`/api/reports?userId=${userId}`);
+        ? `/api/reports?userId=${userId}&projectId=${filterProjectId}`
+        : `/api/reports?userId=${userId}`;
       console.log('📥 [ReportsTab] Fetching reports from:', url);
-      const response = await fetch(url);
+      const response = await apiFetch(url);
       if (response.ok) {
         const data = await response.json();
         console.log('✅ [ReportsTab] Reports fetched:', data.length);
@@ -2218,12 +3328,13 @@ function ReportsTab({ projects, currentUser, users }: any) {
     try {
       setGenerating(projectId);
       setShowGeneratingMessage(true);
-      const response = await fetch(api('/api/reports/generate'), {
+      const response = await apiFetch('/api/reports/generate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           projectId: projectId,
-          userId: currentUser?.id || currentUser?._id
+          userId: currentUser?.id || currentUser?._id,
+          locale
         })
       });
 
@@ -2249,7 +3360,7 @@ function ReportsTab({ projects, currentUser, users }: any) {
   // View report
   const handleViewReport = async (reportId: string) => {
     try {
-      const response = await fetch(api(`/api/reports/${reportId}`));
+      const response = await apiFetch(`/api/reports/${reportId}`);
       if (response.ok) {
         const data = await response.json();
         setSelectedReport(data);
@@ -2278,7 +3389,7 @@ function ReportsTab({ projects, currentUser, users }: any) {
     try {
       const userId = currentUser?.id || (currentUser as any)?._id;
       // Use /download-pdf endpoint which always uses latest data
-      const response = await fetch(api(`/api/reports/${reportId}/download-pdf?userId=${userId}`));
+      const response = await apiFetch(`/api/reports/${reportId}/download-pdf?userId=${userId}`);
       if (response.ok) {
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
@@ -2320,7 +3431,7 @@ function ReportsTab({ projects, currentUser, users }: any) {
 
     try {
       const userId = currentUser.id || (currentUser as any)._id;
-      const response = await fetch(api(`/api/reports/${reportId}?userId=${userId}`), {
+      const response = await apiFetch(`/api/reports/${reportId}?userId=${userId}`, {
         method: 'DELETE'
       });
       if (response.ok) {
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, PieChart, Pie } from 'recharts';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, PieChart, Pie } from 'recharts';
 import { api, apiFetch } from '../api';
 import { AlertCircle, TrendingUp, Users, AlertTriangle, FileText, Eye, Activity } from 'lucide-react';
+import { ProvenanceDrilldown } from './ProvenanceDrilldown';
 
 interface AnalyticsDashboardProps {
   projectId: string;
@@ -78,8 +79,92 @@ interface AnalyticsData {
     cumulativeRiskVolume: number;
     quantitativeQuestions: number;
   };
+  agreement?: AgreementMetrics;
+  roleWeighting?: RoleWeighting;
 }
 
+interface WeightedERC {
+  averageERC: number;
+  n: number;
+  riskLevel: string;
+  riskLabel: string;
+}
+
+interface WeightingSummary {
+  overall: WeightedERC | null;
+  byPrinciple: Record<string, WeightedERC | null>;
+}
+
+interface RoleWeighting {
+  custom: boolean;
+  roles: Array<{ role: string; weight: number; answers: number; share: number; unweightedShare: number }>;
+  weighted: WeightingSummary;
+  unweighted: WeightingSummary;
+}
+
+interface RatingDispersion {
+  n: number;
+  mean: number;
+  sd: number;
+  min: number;
+  max: number;
+  range: number;
+}
+
+interface AgreementSummary {
+  questions: number;
+  choice: { units: number; alpha: number | null; kappa: number | null };
+  severity: { units: number; alpha: number | null };
+  importance: { units: number; alpha: number | null };
+}
+
+interface AgreementMetrics {
+  method: string;
+  thresholds: { minChoiceAgreement: number; maxSeverityRange: number; maxImportanceRange: number };
+  overall: AgreementSummary;
+  byQuestion: Array<{
+    questionId: string;
+    questionCode: string;
+    questionText: string;
+    principleKey: string;
+    raters: number;
+    roles: string[];
+    choice: { n: number; agreement: number; modalKey: string; modalShare: number } | null;
+    severity: RatingDispersion | null;
+    importance: RatingDispersion | null;
+    discussionCandidate: boolean;
+    reasons: string[];
+  }>;
+  byPrinciple: Array<AgreementSummary & { principleKey: string; discussionCandidates: number }>;
+  byRolePair: Array<AgreementSummary & { roles: [string, string]; meanSeverityGap: number | null }>;
+  discussionCandidates: Array<{ questionId: string; questionCode: string; principleKey: string; reasons: string[] }>;
+}
+
+interface TrendPoint {
+  computedAt: string;
+  cause: 'draft_saved' | 'response_submitted' | 'reevaluation';
+  stage: 'set-up' | 'assess' | 'resolve';
+  reportVersion: number;
+  overall: { averageERC: number | null; n: number; riskLevel: string; riskLabel: string };
+  byPrinciple: Record<string, number | null>;
+}
+
+interface ScoreTrend {
+  principles: string[];
+  points: TrendPoint[];
+  byStage: Array<TrendPoint & { stage: string }>;
+  byReportVersion: Array<TrendPoint & { generatedAt: string }>;
+}
+
+const STAGE_LABELS: Record<string, string> = {
+  'set-up': 'Set-up',
+  assess: 'Assess',
+  resolve: 'Resolve'
+};
+
+// One line per principle in the score trend chart
+const PRINCIPLE_LINE_COLORS = ['#2563eb', '#0891b2', '#059669', '#65a30d', '#ca8a04', '#ea580c', '#db2777'];
+
 const COLORS = {
   low: '#8BC34A',      // Light Green - LOW
   moderate: '#FF9800', // Amber - MODERATE
@@ -97,6 +182,15 @@ const getRiskColor = (score: number) => {
   return COLORS.minimal; // < 0.5
 };
 
+// Krippendorff's alpha / Fleiss' kappa: >= 0.8 reliable, >= 0.667 tentative, below that low
+const formatCoefficient = (value: number | null | undefined) => (value === null || value === undefined ? '—' : value.toFixed(2));
+const coefficientClass = (value: number | null | undefined) => {
+  if (value === null || value === undefined) return 'text-gray-400';
+  if (value >= 0.8) return 'text-green-700';
+  if (value >= 0.667) return 'text-amber-600';
+  return 'text-red-600';
+};
+
 const getStatusColor = (status: string) => {
   const s = status.toLowerCase();
   if (s.includes('low')) return COLORS.low;
@@ -110,19 +204,25 @@ export function AnalyticsDashboard({ projectId, questionnaireKey = 'general-v1',
   const [analytics, setAnalytics] = useState<AnalyticsData | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [showWeighted, setShowWeighted] = useState(true);
+  // Principle whose score provenance is open (null = overall, undefined = closed)
+  const [provenanceOf, setProvenanceOf] = useState<string | null | undefined>(undefined);
   const [selectedQuestion, setSelectedQuestion] = useState<string | null>(null);
   const [questions, setQuestions] = useState<Record<string, any>>({});
+  const [trend, setTrend] = useState<ScoreTrend | null>(null);
+  const [trendBy, setTrendBy] = useState<'stage' | 'report'>('stage');
 
   useEffect(() => {
     fetchAnalytics();
     fetchQuestions();
+    fetchTrend();
   }, [projectId, questionnaireKey]);
 
   const fetchAnalytics = async () => {
     try {
       setLoading(true);
       setError(null);
-      const path = `/projects/${projectId}/analytics` + (questionnaireKey ? `?questionnaireKey=${questionnaireKey}` : '');
+      const path = `/api/projects/${projectId}/analytics` + (questionnaireKey ? `?questionnaireKey=${questionnaireKey}` : '');
       const response = await apiFetch(path);
 
       if (!response.ok) {
@@ -160,6 +260,17 @@ export function AnalyticsDashboard({ projectId, questionnaireKey = 'general-v1',
     }
   };
 
+  const fetchTrend = async () => {
+    try {
+      const response = await apiFetch(`/api/projects/${projectId}/score-trend`);
+      if (response && response.ok) {
+        setTrend(await response.json());
+      }
+    } catch (err) {
+      console.warn('Could not fetch score trend:', err);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center p-12">
@@ -203,7 +314,11 @@ export function AnalyticsDashboard({ projectId, questionnaireKey = 'general-v1',
       {/* KPI Cards - Expanded grid for 5 cards */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
         {/* Card 1: Overall Risk (Normalized Avg) */}
-        <div className="bg-white p-4 rounded-lg shadow-sm border">
+        <div
+          className="bg-white p-4 rounded-lg shadow-sm border cursor-pointer hover:border-blue-300"
+          onClick={() => setProvenanceOf(null)}
+          title="Where does this number come from?"
+        >
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm text-gray-600">Normalized Avg ERC</p>
@@ -289,14 +404,14 @@ export function AnalyticsDashboard({ projectId, questionnaireKey = 'general-v1',
                   formatter={(value: number) => [`${value.toFixed(2)}/4.0`, 'Average Score']}
                   labelFormatter={(label) => `Principle: ${label}`}
                 />
-                <Bar dataKey="avgScore" name="Average Score">
+                <Bar dataKey="avgScore" name="Average Score" cursor="pointer" onClick={(entry: any) => setProvenanceOf(entry.principleKey)}>
                   {principleBarData.map((entry, index) => (
                     <Cell key={`cell-${index}`} fill={entry.color} />
                   ))}
                 </Bar>
               </BarChart>
             </ResponsiveContainer>
-            <p className="text-xs text-gray-500 mt-2">Averages exclude N/A responses.</p>
+            <p className="text-xs text-gray-500 mt-2">Averages exclude N/A responses. Click a bar to see which answers produced it.</p>
           </div>
           <div className="lg:col-span-1">
             <div className="bg-gray-50 p-4 rounded-lg">
@@ -324,6 +439,73 @@ export function AnalyticsDashboard({ projectId, questionnaireKey = 'general-v1',
         </div>
       </div>
 
+      {/* Score Trend: principle ERC across stages and report versions */}
+      {trend && trend.points.length > 0 && (() => {
+        const rows = trendBy === 'stage'
+          ? trend.byStage.map(p => ({ label: STAGE_LABELS[p.stage] || p.stage, point: p }))
+          : trend.byReportVersion.map(p => ({ label: `Report v${p.reportVersion}`, point: p }));
+        const data = rows.map(({ label, point }) => ({
+          label,
+          Overall: point.overall.averageERC,
+          ...point.byPrinciple
+        }));
+        return (
+          <div className="bg-white p-6 rounded-lg shadow-sm border">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-semibold">Score Trend</h3>
+                <p className="text-xs text-gray-500 mt-1">
+                  {trendBy === 'stage'
+                    ? 'Normalized ERC at the end of each evaluation stage (the current stage shows the latest scores).'
+                    : 'Normalized ERC each report version was generated from.'}
+                </p>
+              </div>
+              <div className="flex rounded-lg border overflow-hidden text-xs font-medium">
+                <button
+                  onClick={() => setTrendBy('stage')}
+                  className={`px-3 py-1.5 ${trendBy === 'stage' ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+                >
+                  By stage
+                </button>
+                <button
+                  onClick={() => setTrendBy('report')}
+                  className={`px-3 py-1.5 ${trendBy === 'report' ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+                >
+                  By report version
+                </button>
+              </div>
+            </div>
+            {data.length === 0 ? (
+              <p className="text-sm text-gray-500">No report has been generated from recorded scores yet.</p>
+            ) : (
+              <ResponsiveContainer width="100%" height={320}>
+                <LineChart data={data}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" fontSize={12} />
+                  <YAxis domain={[0, 4]} label={{ value: 'ERC (0-4)', angle: -90, position: 'insideLeft' }} />
+                  <Tooltip formatter={(value: number) => (value === null || value === undefined ? '—' : `${value.toFixed(2)}/4.0`)} />
+                  <Legend wrapperStyle={{ fontSize: 12 }} />
+                  <Line type="monotone" dataKey="Overall" stroke="#111827" strokeWidth={3} connectNulls />
+                  {trend.principles.map((principle, index) => (
+                    <Line
+                      key={principle}
+                      type="monotone"
+                      dataKey={principle}
+                      stroke={PRINCIPLE_LINE_COLORS[index % PRINCIPLE_LINE_COLORS.length]}
+                      strokeWidth={1.5}
+                      connectNulls
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+            <p className="text-xs text-gray-500 mt-2">
+              Based on {trend.points.length} recorded score computations (draft saves, submissions and re-evaluations).
+            </p>
+          </div>
+        );
+      })()}
+
       {/* Role × Principle Heatmap */}
       <div className="bg-white p-6 rounded-lg shadow-sm border">
         <h3 className="text-lg font-semibold mb-4">Role × Principle Score Matrix</h3>
@@ -423,6 +605,227 @@ export function AnalyticsDashboard({ projectId, questionnaireKey = 'general-v1',
         </div>
       </div>
 
+      {/* Role Weighting: weighted vs. unweighted aggregation */}
+      {analytics.roleWeighting && analytics.roleWeighting.weighted.overall && (() => {
+        const weighting = analytics.roleWeighting;
+        const shown = showWeighted ? weighting.weighted : weighting.unweighted;
+        const other = showWeighted ? weighting.unweighted : weighting.weighted;
+        return (
+          <div className="bg-white p-6 rounded-lg shadow-sm border">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-semibold">Role Weighting</h3>
+                <p className="text-xs text-gray-500 mt-1">
+                  {weighting.custom
+                    ? 'This project weights evaluator roles when answers are aggregated.'
+                    : 'Default role weights: every evaluator answer counts equally.'}
+                </p>
+              </div>
+              <div className="flex rounded-lg border overflow-hidden text-xs font-medium">
+                <button
+                  onClick={() => setShowWeighted(true)}
+                  className={`px-3 py-1.5 ${showWeighted ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+                >
+                  Weighted
+                </button>
+                <button
+                  onClick={() => setShowWeighted(false)}
+                  className={`px-3 py-1.5 ${!showWeighted ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+                >
+                  Unweighted
+                </button>
+              </div>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2 overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50 text-gray-600 text-left">
+                    <tr>
+                      <th className="px-3 py-2 font-medium">Principle</th>
+                      <th className="px-3 py-2 font-medium">{showWeighted ? 'Weighted' : 'Unweighted'} ERC</th>
+                      <th className="px-3 py-2 font-medium">{showWeighted ? 'Unweighted' : 'Weighted'}</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    <tr className="font-semibold hover:bg-blue-50 cursor-pointer" onClick={() => setProvenanceOf(null)}>
+                      <td className="px-3 py-2 text-blue-600">Overall</td>
+                      <td className="px-3 py-2" style={{ color: getRiskColor(shown.overall?.averageERC ?? 0) }}>
+                        {shown.overall?.averageERC.toFixed(2)} <span className="text-xs font-normal text-gray-500">{shown.overall?.riskLabel}</span>
+                      </td>
+                      <td className="px-3 py-2 text-gray-500 font-normal">{other.overall?.averageERC.toFixed(2)}</td>
+                    </tr>
+                    {Object.entries(shown.byPrinciple).map(([principle, value]) => (
+                      <tr key={principle} className="hover:bg-blue-50 cursor-pointer" onClick={() => setProvenanceOf(principle)}>
+                        <td className="px-3 py-2 text-blue-600">{principle}</td>
+                        <td className="px-3 py-2" style={{ color: getRiskColor(value?.averageERC ?? 0) }}>
+                          {value ? value.averageERC.toFixed(2) : '—'} <span className="text-xs text-gray-500">{value?.riskLabel}</span>
+                        </td>
+                        <td className="px-3 py-2 text-gray-500">{other.byPrinciple[principle]?.averageERC.toFixed(2) ?? '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <h4 className="font-semibold text-sm mb-3">Share of risk by role</h4>
+                <div className="space-y-2 text-xs">
+                  {weighting.roles.map(r => (
+                    <div key={r.role} className="flex items-center justify-between">
+                      <span className="text-gray-700">{r.role} <span className="text-gray-500">(×{r.weight}, {r.answers} answers)</span></span>
+                      <span className="font-semibold">{showWeighted ? r.share : r.unweightedShare}%</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Evaluator Disagreement */}
+      {analytics.agreement && (
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold">Evaluator Agreement</h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Krippendorff's α and Fleiss' κ over the {analytics.agreement.overall.questions} questions answered by at least two evaluators
+                (≥ 0.80 reliable, ≥ 0.67 tentative)
+              </p>
+            </div>
+            <div className="flex gap-4 text-right">
+              <div>
+                <p className="text-xs text-gray-600">Choice α / κ</p>
+                <p className="text-lg font-bold">
+                  <span className={coefficientClass(analytics.agreement.overall.choice.alpha)}>{formatCoefficient(analytics.agreement.overall.choice.alpha)}</span>
+                  {' / '}
+                  <span className={coefficientClass(analytics.agreement.overall.choice.kappa)}>{formatCoefficient(analytics.agreement.overall.choice.kappa)}</span>
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-600">Severity α</p>
+                <p className={`text-lg font-bold ${coefficientClass(analytics.agreement.overall.severity.alpha)}`}>
+                  {formatCoefficient(analytics.agreement.overall.severity.alpha)}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-600">Discussion candidates</p>
+                <p className="text-lg font-bold text-red-600">{analytics.agreement.discussionCandidates.length}</p>
+              </div>
+            </div>
+          </div>
+
+          {analytics.agreement.discussionCandidates.length > 0 && (
+            <div className="mb-6">
+              <h4 className="font-semibold text-sm mb-2 flex items-center">
+                <AlertTriangle className="h-4 w-4 mr-1 text-red-500" />
+                Discuss in the resolve stage
+              </h4>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="bg-gray-50">
+                      <th className="px-4 py-2 text-left border-b">Question</th>
+                      <th className="px-4 py-2 text-left border-b">Principle</th>
+                      <th className="px-4 py-2 text-center border-b">Evaluators</th>
+                      <th className="px-4 py-2 text-center border-b">Same option</th>
+                      <th className="px-4 py-2 text-center border-b">Severity spread</th>
+                      <th className="px-4 py-2 text-center border-b">Importance spread</th>
+                      <th className="px-4 py-2 text-left border-b">Why</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analytics.agreement.byQuestion.filter(q => q.discussionCandidate).map(q => (
+                      <tr key={q.questionId} className="hover:bg-gray-50">
+                        <td className="px-4 py-2 border-b max-w-md">
+                          <span className="font-medium mr-1">{q.questionCode}</span>
+                          <span className="text-gray-600" title={q.questionText}>
+                            {q.questionText.length > 60 ? q.questionText.substring(0, 60) + '...' : q.questionText}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 border-b">{q.principleKey}</td>
+                        <td className="px-4 py-2 text-center border-b" title={q.roles.join(', ')}>{q.raters}</td>
+                        <td className="px-4 py-2 text-center border-b">
+                          {q.choice ? `${Math.round(q.choice.agreement * 100)}%` : '—'}
+                        </td>
+                        <td className="px-4 py-2 text-center border-b">
+                          {q.severity ? `${q.severity.min}–${q.severity.max}` : '—'}
+                        </td>
+                        <td className="px-4 py-2 text-center border-b">
+                          {q.importance ? `${q.importance.min}–${q.importance.max}` : '—'}
+                        </td>
+                        <td className="px-4 py-2 border-b text-xs text-gray-600">{q.reasons.join('; ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="overflow-x-auto">
+              <h4 className="font-semibold text-sm mb-2">By principle</h4>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="px-3 py-2 text-left border-b">Principle</th>
+                    <th className="px-3 py-2 text-center border-b">Qs</th>
+                    <th className="px-3 py-2 text-center border-b">Choice α</th>
+                    <th className="px-3 py-2 text-center border-b">κ</th>
+                    <th className="px-3 py-2 text-center border-b">Severity α</th>
+                    <th className="px-3 py-2 text-center border-b">Flagged</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.agreement.byPrinciple.map(p => (
+                    <tr key={p.principleKey}>
+                      <td className="px-3 py-2 border-b" title={p.principleKey}>
+                        {p.principleKey.length > 25 ? p.principleKey.substring(0, 25) + '...' : p.principleKey}
+                      </td>
+                      <td className="px-3 py-2 text-center border-b">{p.questions}</td>
+                      <td className={`px-3 py-2 text-center border-b ${coefficientClass(p.choice.alpha)}`}>{formatCoefficient(p.choice.alpha)}</td>
+                      <td className={`px-3 py-2 text-center border-b ${coefficientClass(p.choice.kappa)}`}>{formatCoefficient(p.choice.kappa)}</td>
+                      <td className={`px-3 py-2 text-center border-b ${coefficientClass(p.severity.alpha)}`}>{formatCoefficient(p.severity.alpha)}</td>
+                      <td className="px-3 py-2 text-center border-b">{p.discussionCandidates}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="overflow-x-auto">
+              <h4 className="font-semibold text-sm mb-2">By role pair</h4>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="px-3 py-2 text-left border-b">Roles</th>
+                    <th className="px-3 py-2 text-center border-b">Qs</th>
+                    <th className="px-3 py-2 text-center border-b">Choice α</th>
+                    <th className="px-3 py-2 text-center border-b">Severity α</th>
+                    <th className="px-3 py-2 text-center border-b">Severity gap</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.agreement.byRolePair.map(pair => (
+                    <tr key={pair.roles.join('|')}>
+                      <td className="px-3 py-2 border-b">{pair.roles.join(' ↔ ')}</td>
+                      <td className="px-3 py-2 text-center border-b">{pair.questions}</td>
+                      <td className={`px-3 py-2 text-center border-b ${coefficientClass(pair.choice.alpha)}`}>{formatCoefficient(pair.choice.alpha)}</td>
+                      <td className={`px-3 py-2 text-center border-b ${coefficientClass(pair.severity.alpha)}`}>{formatCoefficient(pair.severity.alpha)}</td>
+                      <td className="px-3 py-2 text-center border-b">{pair.meanSeverityGap === null ? '—' : pair.meanSeverityGap.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {analytics.agreement.byRolePair.length === 0 && (
+                <p className="text-xs text-gray-500 mt-2">No questions were answered by more than one role.</p>
+              )}
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">— = not enough variation or overlap to compute. Severity gap = mean difference of the two roles' answer severity (0-1).</p>
+        </div>
+      )}
+
       {/* Tensions Table */}
       <div className="bg-white p-6 rounded-lg shadow-sm border">
         <h3 className="text-lg font-semibold mb-4">Ethical Tensions</h3>
@@ -604,6 +1007,10 @@ export function AnalyticsDashboard({ projectId, questionnaireKey = 'general-v1',
           </div>
         </div>
       )}
+
+      {provenanceOf !== undefined && (
+        <ProvenanceDrilldown projectId={projectId} principle={provenanceOf} onClose={() => setProvenanceOf(undefined)} />
+      )}
     </div>
   );
 }
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { X, Send, MessageSquare, Maximize2, Trash2 } from 'lucide-react';
 import { Message, User, Project } from '../types';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 
 interface ChatPanelProps {
@@ -61,9 +61,9 @@ export function ChatPanel({
       if (!normalizedProjectId || !currentUserId || !otherUserId) return;
 
       setLoading(true);
-      const response = await fetch(api(
+      const response = await apiFetch(
         `/api/messages/thread?projectId=${normalizedProjectId}&user1=${currentUserId}&user2=${otherUserId}`
-      ));
+      );
 
       if (response.ok) {
         const data = await response.json();
@@ -90,7 +90,7 @@ export function ChatPanel({
     try {
       if (!normalizedProjectId || !currentUserId || !otherUserId) return;
 
-      await fetch(api('/api/messages/mark-read'), {
+      await apiFetch('/api/messages/mark-read', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -110,7 +110,7 @@ export function ChatPanel({
     }
 
     try {
-      const response = await fetch(api('/api/messages/delete-conversation'), {
+      const response = await apiFetch('/api/messages/delete-conversation', {
         method: 'DELETE',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -147,7 +147,7 @@ export function ChatPanel({
     try {
       setSending(true);
 
-      const response = await fetch(api('/api/messages'), {
+      const response = await apiFetch('/api/messages', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -5,10 +5,12 @@ import {
 } from 'lucide-react';
 
 import { Project, User, Question, StageKey, QuestionType, UseCase, EthicalPrinciple, Tension, QuestionOption } from '../types';
-import { getQuestionsByRole } from '../data/questions';
-import { api } from '../api';
+import { apiFetch } from '../api';
 import { EthicalTensionSelector } from './EthicalTensionSelector';
 import { fetchUserProgress } from '../utils/userProgress';
+import { createVisibility, formAnswerValues, indexUseCaseAnswers } from '../utils/questionConditions';
+import { fetchQuestionnaireKeys } from '../utils/questionCatalogue';
+import { useI18n } from '../i18n/I18nProvider';
 
 interface EvaluationFormProps {
   project: Project;
@@ -73,6 +75,7 @@ const getScoreClasses = (value: number, selected: number | null | undefined) =>
 };
 
 export function EvaluationForm({ project, currentUser, onBack, onSubmit }: EvaluationFormProps) {
+  const { text } = useI18n();
   // Projenin mevcut stage'ini başlangıç değeri olarak alabiliriz veya 'set-up' ile başlatabiliriz.
   // Ancak kullanıcının kaldığı yerden devam etmesi için 'set-up' ile başlatıp veriyi çekmek daha güvenli.
   const [currentStage, setCurrentStage] = useState<StageKey>('set-up');
@@ -90,6 +93,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
   const [saving, setSaving] = useState(false);   // Kaydediliyor durumu
   const [pendingFocusQuestionId, setPendingFocusQuestionId] = useState<string | null>(null);
   const [linkedUseCase, setLinkedUseCase] = useState<UseCase | null>(null);
+  const [useCaseAnswers, setUseCaseAnswers] = useState<Map<string, string[]>>(new Map()); // For display conditions on use-case answers
   const [generalRisks, setGeneralRisks] = useState<Array<{ id: string; title: string; description: string; severity?: 'low' | 'medium' | 'high' | 'critical'; relatedQuestions?: string[] }>>([]);
   const [showReviewScreen, setShowReviewScreen] = useState(false);
   const [showQuestionNav, setShowQuestionNav] = useState(false);
@@ -166,19 +170,31 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
     return true;
   };
 
+  // Questions hidden by their display conditions are skipped, not required and not counted
+  // (same rules as the backend, see utils/questionConditions.ts)
+  const isQuestionVisible = useMemo(() => {
+    const byCode = new Map(loadedQuestions.map(q => [`${q.questionnaireKey}:${q.code}`, q]));
+    return createVisibility({
+      questions: loadedQuestions,
+      answerValues: (questionnaireKey, code) => {
+        const question = byCode.get(`${questionnaireKey}:${code}`);
+        return question ? formAnswerValues(getAnswerValue(question)) : [];
+      },
+      useCaseAnswers
+    });
+  }, [loadedQuestions, answers, useCaseAnswers]);
+
   const currentQuestions = useMemo(() => {
-    // Use loaded questions from MongoDB if available, otherwise fall back to hardcoded
-    const roleQuestions = loadedQuestions.length > 0 ? loadedQuestions : getQuestionsByRole(roleKey);
-    const allQuestions = [...roleQuestions, ...customQuestions];
-    return allQuestions.filter(q => q.stage === currentStage);
-  }, [roleKey, currentStage, customQuestions, loadedQuestions]);
+    // Questions loaded from MongoDB for the assigned questionnaires
+    const allQuestions = [...loadedQuestions, ...customQuestions];
+    return allQuestions.filter(q => q.stage === currentStage && isQuestionVisible(q));
+  }, [currentStage, customQuestions, loadedQuestions, isQuestionVisible]);
 
   // Assess stage'indeki tüm soruları almak için
   const assessQuestions = useMemo(() => {
-    const roleQuestions = getQuestionsByRole(roleKey);
-    const allQuestions = [...roleQuestions, ...customQuestions];
-    return allQuestions.filter(q => q.stage === 'assess');
-  }, [roleKey, customQuestions]);
+    const allQuestions = [...loadedQuestions, ...customQuestions];
+    return allQuestions.filter(q => q.stage === 'assess' && isQuestionVisible(q));
+  }, [customQuestions, loadedQuestions, isQuestionVisible]);
 
   // Helper function to determine questionnaireKey from role
   const getQuestionnaireKeyForRole = useCallback((role: string): string => {
@@ -325,31 +341,13 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
         const userId = currentUser.id || (currentUser as any)._id;
         const role = currentUser.role || 'any';
 
-        // Step 1: Fetch projectassignments to get assigned questionnaires
+        // Step 1: Questionnaires to answer, from the question catalogue (the same ones
+        // the backend counts for progress)
         let assignedQuestionnaires: string[] = [];
         try {
-          const assignmentResponse = await fetch(
-            api(`/api/project-assignments?userId=${userId}`)
-          );
-          if (assignmentResponse.ok) {
-            const assignments = await assignmentResponse.json();
-            const assignment = assignments.find((a: any) =>
-              String(a.projectId) === String(projectId)
-            );
-            if (assignment && assignment.questionnaires && Array.isArray(assignment.questionnaires)) {
-              assignedQuestionnaires = assignment.questionnaires;
-              // Ensure general-v1 is included if not already present
-              if (!assignedQuestionnaires.includes('general-v1')) {
-                assignedQuestionnaires.unshift('general-v1');
-              }
-            }
-          }
+          assignedQuestionnaires = await fetchQuestionnaireKeys(project, currentUser);
         } catch (error) {
-          console.error('Error fetching project assignments:', error);
-        }
-
-        // Fallback: if no assignments found, use role-based logic
-        if (assignedQuestionnaires.length === 0) {
+          console.error('Error fetching assigned questionnaires:', error);
           const roleQuestionnaireKey = getQuestionnaireKeyForRole(role);
           assignedQuestionnaires = roleQuestionnaireKey !== 'general-v1'
             ? ['general-v1', roleQuestionnaireKey]
@@ -361,8 +359,8 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
         // Step 2: Fetch responses for all assigned questionnaires
         const responsePromises = assignedQuestionnaires.map(async (questionnaireKey) => {
           try {
-            const response = await fetch(
-              api(`/api/evaluations/responses?projectId=${projectId}&userId=${userId}&questionnaireKey=${questionnaireKey}`)
+            const response = await apiFetch(
+              `/api/evaluations/responses?projectId=${projectId}&userId=${userId}&questionnaireKey=${questionnaireKey}`
             );
             if (response.ok) {
               const data = await response.json();
@@ -382,8 +380,8 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
         const allLoadedQuestions: Question[] = [];
         const questionsPromises = assignedQuestionnaires.map(async (questionnaireKey) => {
           try {
-            const questionsResponse = await fetch(
-              api(`/api/evaluations/questions?questionnaireKey=${questionnaireKey}&role=${role}`)
+            const questionsResponse = await apiFetch(
+              `/api/evaluations/questions?questionnaireKey=${questionnaireKey}&role=${role}`
             );
             if (questionsResponse.ok) {
               const questions = await questionsResponse.json();
@@ -398,7 +396,9 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
                   id: q._id ? String(q._id) : q.code,
                   _id: q._id,
                   code: q.code,
-                  text: typeof q.text === 'object' ? (q.text.en || '') : q.text || '',
+                  questionnaireKey,
+                  showIf: q.showIf,
+                  text: text(q.text),
                   stage: stage,
                   type: q.answerType === 'single_choice' ? 'radio' :
                     q.answerType === 'multi_choice' ? 'checkbox' :
@@ -407,9 +407,9 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
                   required: q.required !== false,
                   options: q.options ? q.options.map((opt: any) => ({
                     value: opt.key,
-                    label: typeof opt.label === 'object' ? (opt.label.en || '') : opt.label || ''
+                    label: text(opt.label)
                   })) : undefined,
-                  description: q.description ? (typeof q.description === 'object' ? (q.description.en || '') : q.description) : undefined
+                  description: q.description ? text(q.description) : undefined
                 };
                 allLoadedQuestions.push(frontendQuestion);
               });
@@ -694,7 +694,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
       // Still fetch legacy evaluation data for generalRisks and other metadata
       const fetchLegacyData = async () => {
         try {
-          const response = await fetch(api(`/api/evaluations?projectId=${project.id || (project as any)._id}&userId=${currentUser.id || (currentUser as any)._id}&stage=${currentStage}`));
+          const response = await apiFetch(`/api/evaluations?projectId=${project.id || (project as any)._id}&userId=${currentUser.id || (currentUser as any)._id}&stage=${currentStage}`);
           if (response.ok) {
             const data = await response.json();
             // Only load generalRisks and riskLevel from legacy endpoint
@@ -721,7 +721,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
     const fetchEvaluation = async () => {
       setLoading(true);
       try {
-        const response = await fetch(api(`/api/evaluations?projectId=${project.id || (project as any)._id}&userId=${currentUser.id || (currentUser as any)._id}&stage=${currentStage}`));
+        const response = await apiFetch(`/api/evaluations?projectId=${project.id || (project as any)._id}&userId=${currentUser.id || (currentUser as any)._id}&stage=${currentStage}`);
         if (response.ok) {
           const data = await response.json();
           // Only load if we haven't loaded from MongoDB responses yet
@@ -791,7 +791,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
     const fetchSetUpRisks = async () => {
       if (showReviewScreen || (currentStage === 'assess' && !showReviewScreen)) {
         try {
-          const response = await fetch(api(`/api/evaluations?projectId=${project.id || (project as any)._id}&userId=${currentUser.id || (currentUser as any)._id}&stage=set-up`));
+          const response = await apiFetch(`/api/evaluations?projectId=${project.id || (project as any)._id}&userId=${currentUser.id || (currentUser as any)._id}&stage=set-up`);
           if (response.ok) {
             const data = await response.json();
             if (data.generalRisks && Array.isArray(data.generalRisks)) {
@@ -815,10 +815,15 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
       const useCaseId = typeof project.useCase === 'string' ? project.useCase : (project.useCase as any)?.id;
       if (useCaseId) {
         try {
-          const response = await fetch(api(`/api/use-cases/${useCaseId}`));
+          const [response, questionsResponse] = await Promise.all([
+            apiFetch(`/api/use-cases/${useCaseId}`),
+            apiFetch('/api/use-case-questions')
+          ]);
           if (response.ok) {
             const data = await response.json();
             setLinkedUseCase(data);
+            const useCaseQuestions = questionsResponse.ok ? await questionsResponse.json() : [];
+            setUseCaseAnswers(indexUseCaseAnswers(data.answers, useCaseQuestions));
           }
         } catch (error) {
           console.error("Use Case çekme hatası:", error);
@@ -848,7 +853,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
     try {
       const projectId = project.id || (project as any)._id;
       const userId = currentUser.id || (currentUser as any)._id;
-      const res = await fetch(api('/api/evaluations/custom-questions'), {
+      const res = await apiFetch('/api/evaluations/custom-questions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -1035,7 +1040,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
     if (showReviewScreen) {
       const fetchTensions = async () => {
         try {
-          const response = await fetch(api(`/api/tensions/${project.id || (project as any)._id}?userId=${currentUser.id || (currentUser as any)._id}`));
+          const response = await apiFetch(`/api/tensions/${project.id || (project as any)._id}?userId=${currentUser.id || (currentUser as any)._id}`);
           if (response.ok) {
             const data = await response.json();
             setTensions(data.map((t: any) => ({
@@ -1152,7 +1157,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
       // Save each questionnaire separately using new API
       const savePromises = Object.entries(answersByQuestionnaire).map(async ([questionnaireKey, questionnaireAnswers]) => {
         try {
-          const response = await fetch(api('/api/evaluations/responses/save'), {
+          const response = await apiFetch('/api/evaluations/responses/save', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
@@ -1274,7 +1279,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
       // Review screen açılmadan önce set-up risklerini yükle
       const fetchSetUpRisksForReview = async () => {
         try {
-          const response = await fetch(api(`/api/evaluations?projectId=${project.id || (project as any)._id}&userId=${currentUser.id || (currentUser as any)._id}&stage=set-up`));
+          const response = await apiFetch(`/api/evaluations?projectId=${project.id || (project as any)._id}&userId=${currentUser.id || (currentUser as any)._id}&stage=set-up`);
           if (response.ok) {
             const data = await response.json();
             if (data.generalRisks && Array.isArray(data.generalRisks)) {
@@ -1326,7 +1331,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
   // Tension ekleme fonksiyonu
   const handleCreateTension = async (tensionData: any) => {
     try {
-      const response = await fetch(api('/api/tensions'), {
+      const response = await apiFetch('/api/tensions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -1340,7 +1345,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
       if (response.ok) {
         alert('Tension created successfully!');
         // Tensionları yeniden yükle
-        const tensionsResponse = await fetch(api(`/api/tensions/${project.id || (project as any)._id}?userId=${currentUser.id || (currentUser as any)._id}`));
+        const tensionsResponse = await apiFetch(`/api/tensions/${project.id || (project as any)._id}?userId=${currentUser.id || (currentUser as any)._id}`);
         if (tensionsResponse.ok) {
           const data = await tensionsResponse.json();
           setTensions(data.map((t: any) => ({
@@ -1422,7 +1427,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
     });
 
     try {
-      const response = await fetch(api(`/api/tensions/${tensionId}/vote`), {
+      const response = await apiFetch(`/api/tensions/${tensionId}/vote`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -1444,7 +1449,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
         alert('Failed to vote. Please try again.');
       } else {
         // Başarılı olduğunda backend'den güncel veriyi al ve sadece bu tension'ı güncelle
-        const tensionsResponse = await fetch(api(`/api/tensions/${project.id || (project as any)._id}?userId=${userId}`));
+        const tensionsResponse = await apiFetch(`/api/tensions/${project.id || (project as any)._id}?userId=${userId}`);
         if (tensionsResponse.ok) {
           const data = await tensionsResponse.json();
           const updatedTension = data.find((t: any) => (t._id || t.id) === tensionId);
@@ -1486,7 +1491,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
     if (!confirm('Are you sure you want to delete this tension?')) return;
 
     try {
-      const response = await fetch(api(`/api/tensions/${tensionId}`), {
+      const response = await apiFetch(`/api/tensions/${tensionId}`, {
         method: 'DELETE'
       });
 
@@ -1513,7 +1518,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
 
   const handleUpdateTension = async (tensionId: string) => {
     try {
-      const response = await fetch(api(`/api/tensions/${tensionId}`), {
+      const response = await apiFetch(`/api/tensions/${tensionId}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -1646,8 +1651,7 @@ export function EvaluationForm({ project, currentUser, onBack, onSubmit }: Evalu
   const getCompletionPercentage = () => {
     // Calculate local progress for immediate feedback
     // This provides instant visual feedback while user is answering
-    const roleQuestions = getQuestionsByRole(roleKey);
-    const allRoleQuestions = [...roleQuestions, ...customQuestions]; // Tüm stage'lerdeki sorular
+    const allRoleQuestions = [...loadedQuestions, ...customQuestions].filter(isQuestionVisible); // Tüm stage'lerdeki sorular
 
     let localProgress = 0;
     if (allRoleQuestions.length > 0) {
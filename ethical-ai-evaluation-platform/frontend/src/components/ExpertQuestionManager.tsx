@@ -1,6 +1,8 @@
-﻿import React, { useState, useEffect } from 'react';
-import { api } from '../api';
-import { Plus, Edit2, Trash2, X, RefreshCw, Save } from 'lucide-react';
+﻿import React, { useState, useEffect, useRef } from 'react';
+import { apiFetch } from '../api';
+import { CatalogueQuestionnaire, DisplayConditions } from '../types';
+import { fetchQuestionCatalogue } from '../utils/questionCatalogue';
+import { Plus, Edit2, Trash2, X, RefreshCw, Save, History, GitCompare, Send, Undo2, Download, Upload } from 'lucide-react';
 
 interface QuestionOption {
     key: string;
@@ -19,12 +21,138 @@ interface Question {
     options: QuestionOption[];
     order: number;
     required: boolean;
+    // Display conditions; authored in questionnaire bundles
+    showIf?: DisplayConditions | null;
+}
+
+interface QuestionnaireVersion {
+    _id: string;
+    version: number;
+    status: 'draft' | 'published' | 'retired';
+    questionCount: number;
+    notes?: string;
+    createdAt: string;
+    publishedAt?: string;
+    retiredAt?: string;
+    publishedBy?: { name?: string; email?: string };
+}
+
+interface QuestionSummary {
+    _id: string;
+    code: string;
+    text?: { en: string; tr?: string };
+}
+
+interface QuestionSetDiff {
+    added: QuestionSummary[];
+    removed: QuestionSummary[];
+    changed: Array<QuestionSummary & { changes: Array<{ field: string; from: any; to: any }> }>;
+    unchanged: number;
+}
+
+interface VersionDiff extends QuestionSetDiff {
+    from: { version: number; status: string };
+    to: { version: number; status: string };
+}
+
+// POST /questionnaires/import response (dry run or applied)
+interface BundleImportReport {
+    dryRun: boolean;
+    valid: boolean;
+    errors: Array<{ path: string; message: string }>;
+    questionnaire: {
+        key: string | null;
+        exists: boolean;
+        currentVersion: number | null;
+        draftVersion: number | null;
+        changes: Array<{ field: string; from: any; to: any }>;
+    };
+    diff: QuestionSetDiff | null;
+    version?: number;
+    status?: string;
+}
+
+// GET /questionnaires/:key/translations, one entry per non-English locale
+interface LocaleTranslationStatus {
+    locale: string;
+    nativeName: string;
+    translated: number;
+    total: number;
+    percent: number;
+    complete: boolean;
+    missing: Array<{ code: string; fields: string[] }>;
+}
+
+const VERSION_STATUS_STYLES: Record<string, string> = {
+    draft: 'bg-amber-100 text-amber-800',
+    published: 'bg-green-100 text-green-800',
+    retired: 'bg-gray-100 text-gray-600'
+};
+
+// Diff values: localized text shows its English wording, everything else as JSON
+const formatDiffValue = (value: any) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'object' && !Array.isArray(value) && 'en' in value) return value.en;
+    if (typeof value === 'object') return JSON.stringify(value, null, 1);
+    return String(value);
+};
+
+// Display conditions in one line, e.g. "Shown if T1 is yes and use case S1_Q3 is not No"
+const describeConditions = ({ match, conditions }: DisplayConditions) => 'Shown if ' + conditions.map(c => {
+    const subject = c.source === 'useCase' ? `use case ${c.code}` : (c.questionnaireKey ? `${c.questionnaireKey} ${c.code}` : c.code);
+    const tests = [
+        c.anyOf?.length ? `is ${c.anyOf.join(' or ')}` : null,
+        c.noneOf?.length ? `is not ${c.noneOf.join(' or ')}` : null,
+        typeof c.answered === 'boolean' ? (c.answered ? 'is answered' : 'is not answered') : null
+    ].filter(Boolean);
+    return `${subject} ${tests.length ? tests.join(' and ') : 'is answered'}`;
+}).join(match === 'any' ? ' or ' : ' and ');
+
+// Questions added, removed and changed (field by field) between two question sets
+function QuestionDiffList({ diff, emptyText }: { diff: QuestionSetDiff; emptyText: string }) {
+    return (
+        <>
+            {diff.added.length + diff.removed.length + diff.changed.length === 0 && (
+                <p className="text-gray-500">{emptyText}</p>
+            )}
+            {diff.added.map(q => (
+                <div key={q._id} className="border-l-4 border-green-500 bg-green-50 px-3 py-2 rounded">
+                    <span className="font-semibold text-green-800 mr-2">+ {q.code}</span>
+                    <span className="text-gray-700">{q.text?.en}</span>
+                </div>
+            ))}
+            {diff.removed.map(q => (
+                <div key={q._id} className="border-l-4 border-red-500 bg-red-50 px-3 py-2 rounded">
+                    <span className="font-semibold text-red-800 mr-2">− {q.code}</span>
+                    <span className="text-gray-700 line-through">{q.text?.en}</span>
+                </div>
+            ))}
+            {diff.changed.map(q => (
+                <div key={q._id} className="border-l-4 border-amber-500 bg-amber-50 px-3 py-2 rounded">
+                    <div className="font-semibold text-amber-800 mb-1">~ {q.code} <span className="font-normal text-gray-700">{q.text?.en}</span></div>
+                    <table className="min-w-full text-xs">
+                        <tbody>
+                            {q.changes.map(change => (
+                                <tr key={change.field} className="align-top">
+                                    <td className="pr-3 py-1 font-medium text-gray-600 whitespace-nowrap">{change.field}</td>
+                                    <td className="pr-3 py-1 text-red-700 whitespace-pre-wrap break-all">{formatDiffValue(change.from)}</td>
+                                    <td className="py-1 text-green-700 whitespace-pre-wrap break-all">{formatDiffValue(change.to)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ))}
+        </>
+    );
 }
 
 export function ExpertQuestionManager() {
     const [questions, setQuestions] = useState<Question[]>([]);
     const [loading, setLoading] = useState(false);
     const [questionnaireKey, setQuestionnaireKey] = useState('ethical-expert-v1');
+    // Questionnaires to choose from, with their question counts
+    const [catalogue, setCatalogue] = useState<CatalogueQuestionnaire[]>([]);
 
     // Modal State
     const [isModalOpen, setIsModalOpen] = useState(false);
@@ -34,13 +162,26 @@ export function ExpertQuestionManager() {
     // Options State for Modal
     const [editingOptions, setEditingOptions] = useState<QuestionOption[]>([]);
 
+    // Versioning: edits go to a draft until it is published
+    const [editable, setEditable] = useState<{ version: number; status: string } | null>(null);
+    const [versions, setVersions] = useState<QuestionnaireVersion[]>([]);
+    const [showHistory, setShowHistory] = useState(false);
+    const [diff, setDiff] = useState<VersionDiff | null>(null);
+
+    // Bundle import: the uploaded file is checked with a dry run before it is applied
+    const importInputRef = useRef<HTMLInputElement>(null);
+    const [importPreview, setImportPreview] = useState<{ fileName: string; content: string; format: 'json' | 'yaml'; report: BundleImportReport } | null>(null);
+    const [importing, setImporting] = useState(false);
+    const [translations, setTranslations] = useState<LocaleTranslationStatus[]>([]);
+
     const fetchQuestions = async () => {
         setLoading(true);
         try {
-            const res = await fetch(api(`/api/evaluations/questions?questionnaireKey=${questionnaireKey}`));
+            const res = await apiFetch(`/api/evaluations/questionnaires/${questionnaireKey}/draft`);
             if (res.ok) {
                 const data = await res.json();
-                setQuestions(data);
+                setQuestions(data.questions);
+                setEditable({ version: data.version, status: data.status });
             } else {
                 console.error('Failed to fetch questions');
             }
@@ -51,10 +192,165 @@ export function ExpertQuestionManager() {
         }
     };
 
-    useEffect(() => {
+    const fetchVersions = async () => {
+        try {
+            const res = await apiFetch(`/api/evaluations/questionnaires/${questionnaireKey}/versions`);
+            if (res.ok) {
+                const data = await res.json();
+                setVersions(data.versions);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const fetchTranslations = async () => {
+        try {
+            const res = await apiFetch(`/api/evaluations/questionnaires/${questionnaireKey}/translations`);
+            setTranslations(res.ok ? (await res.json()).locales : []);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const fetchCatalogue = async () => {
+        try {
+            const data = await fetchQuestionCatalogue();
+            setCatalogue(data.questionnaires);
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const refresh = () => {
         fetchQuestions();
+        fetchVersions();
+        fetchCatalogue();
+        fetchTranslations();
+    };
+
+    useEffect(() => {
+        refresh();
+        setDiff(null);
     }, [questionnaireKey]);
 
+    const publishDraft = async () => {
+        const notes = window.prompt(`Publish version ${editable?.version} of ${questionnaireKey}? Evaluators will answer the new questions; existing answers keep the version they were given on.\n\nRelease notes (optional):`);
+        if (notes === null) return;
+        try {
+            const res = await apiFetch(`/api/evaluations/questionnaires/${questionnaireKey}/publish`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ notes })
+            });
+            if (res.ok) {
+                refresh();
+            } else {
+                const err = await res.json();
+                alert(`Error publishing questionnaire: ${err.error}`);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const discardDraft = async () => {
+        if (!window.confirm(`Discard all unpublished changes to ${questionnaireKey}?`)) return;
+        try {
+            const res = await apiFetch(`/api/evaluations/questionnaires/${questionnaireKey}/draft`, {
+                method: 'DELETE'
+            });
+            if (res.ok) {
+                refresh();
+            } else {
+                const err = await res.json();
+                alert(`Error discarding draft: ${err.error}`);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const compareVersions = async (from: number, to: number) => {
+        try {
+            const res = await apiFetch(`/api/evaluations/questionnaires/${questionnaireKey}/diff?from=${from}&to=${to}`);
+            if (res.ok) {
+                setDiff(await res.json());
+            } else {
+                const err = await res.json();
+                alert(`Error comparing versions: ${err.error}`);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const exportBundle = async () => {
+        try {
+            const res = await apiFetch(`/api/evaluations/questionnaires/${questionnaireKey}/export?format=yaml`);
+            if (res.ok) {
+                const blob = await res.blob();
+                const url = window.URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                // Same name as the bundle files kept in backend/questionnaires/
+                link.download = `${questionnaireKey}.yaml`;
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                window.URL.revokeObjectURL(url);
+            } else {
+                const err = await res.json();
+                alert(`Error exporting questionnaire: ${err.error}`);
+            }
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
+    const sendBundle = async (content: string, format: 'json' | 'yaml', options: { dryRun?: boolean; publish?: boolean }) => {
+        const res = await apiFetch('/api/evaluations/questionnaires/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content, format, ...options })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        return data as BundleImportReport;
+    };
+
+    const previewBundle = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'yaml';
+        try {
+            const content = await file.text();
+            const report = await sendBundle(content, format, { dryRun: true });
+            setImportPreview({ fileName: file.name, content, format, report });
+        } catch (err: any) {
+            alert(`Error reading bundle: ${err.message}`);
+        }
+    };
+
+    const applyBundle = async (publish: boolean) => {
+        if (!importPreview) return;
+        setImporting(true);
+        try {
+            const result = await sendBundle(importPreview.content, importPreview.format, { publish });
+            setImportPreview(null);
+            if (result.questionnaire.key && result.questionnaire.key !== questionnaireKey) {
+                setQuestionnaireKey(result.questionnaire.key);
+            } else {
+                refresh();
+            }
+        } catch (err: any) {
+            alert(`Error importing bundle: ${err.message}`);
+        } finally {
+            setImporting(false);
+        }
+    };
+
     const handleOpenModal = (q?: Question) => {
         if (q) {
             setEditingQuestion(q);
@@ -168,28 +464,28 @@ export function ExpertQuestionManager() {
 
             if (editingQuestion) {
                 // Update
-                const res = await fetch(api(`/api/evaluations/questions/${editingQuestion._id}`), {
+                const res = await apiFetch(`/api/evaluations/questions/${editingQuestion._id}`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(payloadToSave)
                 });
                 if (res.ok) {
                     handleCloseModal();
-                    fetchQuestions();
+                    refresh();
                 } else {
                     const err = await res.json();
                     alert(`Error updating question: ${err.error}`);
                 }
             } else {
                 // Create
-                const res = await fetch(api('/api/evaluations/questions'), {
+                const res = await apiFetch('/api/evaluations/questions', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(payloadToSave)
                 });
                 if (res.ok) {
                     handleCloseModal();
-                    fetchQuestions();
+                    refresh();
                 } else {
                     const err = await res.json();
                     alert(`Error creating question: ${err.error}`);
@@ -204,11 +500,11 @@ export function ExpertQuestionManager() {
     const deleteQuestion = async (id: string, code: string) => {
         if (window.confirm(`Are you sure you want to delete question ${code}?`)) {
             try {
-                const res = await fetch(api(`/api/evaluations/questions/${id}`), {
+                const res = await apiFetch(`/api/evaluations/questions/${id}`, {
                     method: 'DELETE'
                 });
                 if (res.ok) {
-                    fetchQuestions();
+                    refresh();
                 } else {
                     const err = await res.json();
                     alert(`Error deleting question: ${err.error}`);
@@ -234,16 +530,46 @@ export function ExpertQuestionManager() {
                             onChange={(e) => setQuestionnaireKey(e.target.value)}
                             className="text-sm border-none focus:ring-0 text-blue-600 font-semibold p-0 w-48 cursor-pointer bg-transparent"
                         >
-                            <option value="general-v1">General (general-v1)</option>
-                            <option value="ethical-expert-v1">Ethical Expert (ethical-expert-v1)</option>
-                            <option value="medical-expert-v1">Medical Expert (medical-expert-v1)</option>
-                            <option value="technical-expert-v1">Technical Expert (technical-expert-v1)</option>
-                            <option value="legal-expert-v1">Legal Expert (legal-expert-v1)</option>
-                            <option value="education-expert-v1">Education Expert (education-expert-v1)</option>
+                            {!catalogue.some(q => q.key === questionnaireKey) && (
+                                <option value={questionnaireKey}>{questionnaireKey}</option>
+                            )}
+                            {catalogue.map(q => (
+                                <option key={q.key} value={q.key}>
+                                    {q.title} ({q.key}, {q.questionCount} questions)
+                                </option>
+                            ))}
                         </select>
                     </div>
                     <button
-                        onClick={fetchQuestions}
+                        onClick={() => setShowHistory(!showHistory)}
+                        className={`p-2 border border-gray-200 rounded-lg transition-colors shadow-sm ${showHistory ? 'text-blue-600 bg-blue-50' : 'text-gray-500 hover:text-blue-600 hover:bg-blue-50 bg-white'}`}
+                        title="Version History"
+                    >
+                        <History className="h-5 w-5" />
+                    </button>
+                    <button
+                        onClick={exportBundle}
+                        className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 bg-white border border-gray-200 rounded-lg transition-colors shadow-sm"
+                        title="Export published questions (YAML bundle)"
+                    >
+                        <Download className="h-5 w-5" />
+                    </button>
+                    <button
+                        onClick={() => importInputRef.current?.click()}
+                        className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 bg-white border border-gray-200 rounded-lg transition-colors shadow-sm"
+                        title="Import a questionnaire bundle (YAML or JSON)"
+                    >
+                        <Upload className="h-5 w-5" />
+                    </button>
+                    <input
+                        ref={importInputRef}
+                        type="file"
+                        accept=".yaml,.yml,.json"
+                        onChange={previewBundle}
+                        className="hidden"
+                    />
+                    <button
+                        onClick={refresh}
                         className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 bg-white border border-gray-200 rounded-lg transition-colors shadow-sm"
                         title="Refresh Questions"
                     >
@@ -259,6 +585,108 @@ export function ExpertQuestionManager() {
                 </div>
             </div>
 
+            {editable && (
+                <div className={`flex items-center justify-between mb-4 px-4 py-3 rounded-lg border shrink-0 ${editable.status === 'draft' ? 'bg-amber-50 border-amber-200' : 'bg-white border-gray-200'}`}>
+                    <div className="text-sm">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold mr-2 ${VERSION_STATUS_STYLES[editable.status]}`}>
+                            {editable.status === 'draft' ? 'Draft' : 'Published'} v{editable.version}
+                        </span>
+                        <span className="text-gray-600">
+                            {editable.status === 'draft'
+                                ? 'Unpublished changes. Evaluators keep answering the published version until you publish.'
+                                : 'Editing a question starts a new draft version; the published questions stay unchanged.'}
+                        </span>
+                    </div>
+                    {editable.status === 'draft' && (
+                        <div className="flex space-x-2 shrink-0">
+                            <button
+                                onClick={() => {
+                                    const published = versions.find(v => v.status === 'published');
+                                    if (published) compareVersions(published.version, editable.version);
+                                }}
+                                className="flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50"
+                            >
+                                <GitCompare className="h-4 w-4" />
+                                <span>Review changes</span>
+                            </button>
+                            <button
+                                onClick={discardDraft}
+                                className="flex items-center space-x-1 px-3 py-1.5 text-sm text-red-600 bg-white border border-gray-200 rounded-lg hover:bg-red-50"
+                            >
+                                <Undo2 className="h-4 w-4" />
+                                <span>Discard</span>
+                            </button>
+                            <button
+                                onClick={publishDraft}
+                                className="flex items-center space-x-1 px-3 py-1.5 text-sm text-white bg-green-600 rounded-lg hover:bg-green-700"
+                            >
+                                <Send className="h-4 w-4" />
+                                <span>Publish v{editable.version}</span>
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {translations.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2 mb-4 text-sm shrink-0">
+                    <span className="text-gray-600">Translations:</span>
+                    {translations.map(status => (
+                        <span
+                            key={status.locale}
+                            title={status.complete
+                                ? 'All texts translated'
+                                : `Shown in English until translated: ${status.missing.map(m => m.code).join(', ')}`}
+                            className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.complete ? 'bg-green-100 text-green-800' : 'bg-amber-100 text-amber-800'}`}
+                        >
+                            {status.nativeName} {status.percent}% ({status.translated}/{status.total})
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {showHistory && (
+                <div className="bg-white rounded-xl shadow-sm border border-gray-200 mb-4 p-4 shrink-0 max-h-64 overflow-y-auto">
+                    <h3 className="text-sm font-bold text-gray-900 mb-3">Version History</h3>
+                    {versions.length === 0 ? (
+                        <p className="text-sm text-gray-500">No versions recorded yet. The first edit freezes the current questions as the published version.</p>
+                    ) : (
+                        <table className="min-w-full text-sm">
+                            <tbody className="divide-y divide-gray-100">
+                                {versions.map((v, index) => {
+                                    const previous = versions[index + 1];
+                                    return (
+                                        <tr key={v._id}>
+                                            <td className="py-2 pr-3 font-semibold text-gray-900">v{v.version}</td>
+                                            <td className="py-2 pr-3">
+                                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${VERSION_STATUS_STYLES[v.status]}`}>{v.status}</span>
+                                            </td>
+                                            <td className="py-2 pr-3 text-gray-500 whitespace-nowrap">
+                                                {v.publishedAt ? new Date(v.publishedAt).toLocaleString() : `started ${new Date(v.createdAt).toLocaleString()}`}
+                                                {v.publishedBy?.name ? ` by ${v.publishedBy.name}` : ''}
+                                            </td>
+                                            <td className="py-2 pr-3 text-gray-500">{v.questionCount} questions</td>
+                                            <td className="py-2 pr-3 text-gray-600">{v.notes}</td>
+                                            <td className="py-2 text-right">
+                                                {previous && (
+                                                    <button
+                                                        onClick={() => compareVersions(previous.version, v.version)}
+                                                        className="inline-flex items-center space-x-1 text-xs text-blue-600 hover:underline"
+                                                    >
+                                                        <GitCompare className="h-3.5 w-3.5" />
+                                                        <span>Compare with v{previous.version}</span>
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 flex-1 overflow-hidden flex flex-col">
                 <div className="overflow-x-auto flex-1">
                     <table className="min-w-full divide-y divide-gray-200">
@@ -284,6 +712,14 @@ export function ExpertQuestionManager() {
                                         <td className="px-6 py-4 whitespace-nowrap">
                                             <div className="text-sm font-medium text-gray-900">Ord: {q.order}</div>
                                             <div className="text-xs text-gray-500">{q.code}</div>
+                                            {q.showIf?.conditions?.length ? (
+                                                <div
+                                                    className="mt-1 inline-block px-1.5 py-0.5 text-[10px] font-medium bg-purple-100 text-purple-800 rounded"
+                                                    title={describeConditions(q.showIf)}
+                                                >
+                                                    Conditional
+                                                </div>
+                                            ) : null}
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap">
                                             <span className="px-2.5 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded-full">
@@ -315,6 +751,102 @@ export function ExpertQuestionManager() {
                 </div>
             </div>
 
+            {diff && (
+                <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black bg-opacity-50 p-4">
+                    <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl flex flex-col" style={{ maxHeight: '90vh' }}>
+                        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between bg-gray-50 rounded-t-xl shrink-0">
+                            <h3 className="text-lg font-bold text-gray-900">
+                                Changes from v{diff.from.version} to v{diff.to.version}
+                                <span className="ml-2 text-sm font-normal text-gray-500">
+                                    {diff.added.length} added, {diff.removed.length} removed, {diff.changed.length} changed, {diff.unchanged} unchanged
+                                </span>
+                            </h3>
+                            <button onClick={() => setDiff(null)} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition-colors">
+                                <X className="h-5 w-5" />
+                            </button>
+                        </div>
+                        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3 text-sm">
+                            <QuestionDiffList diff={diff} emptyText="The two versions have the same questions." />
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {importPreview && (
+                <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black bg-opacity-50 p-4">
+                    <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl flex flex-col" style={{ maxHeight: '90vh' }}>
+                        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between bg-gray-50 rounded-t-xl shrink-0">
+                            <h3 className="text-lg font-bold text-gray-900">
+                                Import {importPreview.fileName}
+                                <span className="ml-2 text-sm font-normal text-gray-500">
+                                    {importPreview.report.questionnaire.key}
+                                    {importPreview.report.questionnaire.exists
+                                        ? ` · compared with published v${importPreview.report.questionnaire.currentVersion}`
+                                        : ' · new questionnaire'}
+                                </span>
+                            </h3>
+                            <button onClick={() => setImportPreview(null)} className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-200 transition-colors">
+                                <X className="h-5 w-5" />
+                            </button>
+                        </div>
+                        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3 text-sm">
+                            {!importPreview.report.valid ? (
+                                <div className="border-l-4 border-red-500 bg-red-50 px-3 py-2 rounded">
+                                    <div className="font-semibold text-red-800 mb-1">The bundle cannot be imported:</div>
+                                    <ul className="list-disc pl-5 text-red-700 space-y-0.5">
+                                        {importPreview.report.errors.map((error, index) => (
+                                            <li key={index}><span className="font-mono">{error.path || 'bundle'}</span> {error.message}</li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            ) : (
+                                <>
+                                    {importPreview.report.questionnaire.draftVersion !== null && (
+                                        <p className="text-amber-700">The unpublished changes in draft v{importPreview.report.questionnaire.draftVersion} will be replaced.</p>
+                                    )}
+                                    {importPreview.report.questionnaire.changes.map(change => (
+                                        <div key={change.field} className="text-gray-700">
+                                            <span className="font-medium">{change.field}:</span>{' '}
+                                            <span className="text-red-700">{formatDiffValue(change.from)}</span> → <span className="text-green-700">{formatDiffValue(change.to)}</span>
+                                        </div>
+                                    ))}
+                                    {importPreview.report.diff && (
+                                        <QuestionDiffList diff={importPreview.report.diff} emptyText="The bundle has the same questions as the published version." />
+                                    )}
+                                </>
+                            )}
+                        </div>
+                        <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3 bg-gray-50 rounded-b-xl shrink-0">
+                            <button
+                                onClick={() => setImportPreview(null)}
+                                className="px-4 py-2 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            {importPreview.report.valid && (
+                                <>
+                                    <button
+                                        onClick={() => applyBundle(false)}
+                                        disabled={importing}
+                                        className="px-4 py-2 text-sm text-blue-700 bg-white border border-blue-300 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+                                    >
+                                        Import as draft
+                                    </button>
+                                    <button
+                                        onClick={() => applyBundle(true)}
+                                        disabled={importing}
+                                        className="flex items-center space-x-1 px-4 py-2 text-sm text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                                    >
+                                        <Send className="h-4 w-4" />
+                                        <span>Import and publish</span>
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {isModalOpen && (
                 <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black bg-opacity-50 p-4">
                     <div className="bg-white rounded-xl shadow-2xl w-full max-w-3xl flex flex-col" style={{ maxHeight: '90vh' }}>
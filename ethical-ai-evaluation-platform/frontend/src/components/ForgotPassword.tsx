@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface ForgotPasswordProps {
     onBackToLogin: () => void;
@@ -23,7 +23,7 @@ export function ForgotPassword({ onBackToLogin }: ForgotPasswordProps) {
         setMessage(null);
 
         try {
-            const response = await fetch(api('/api/forgot-password'), {
+            const response = await apiFetch('/api/forgot-password', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ email })
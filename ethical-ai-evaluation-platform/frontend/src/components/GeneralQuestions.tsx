@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { ChevronRight, ChevronLeft, Save, Loader2, CheckCircle, AlertTriangle, XCircle, X } from 'lucide-react';
 import { Project, User } from '../types';
-import { api } from '../api';
+import { apiFetch } from '../api';
+import { fetchQuestionnaireKeys } from '../utils/questionCatalogue';
+import { useI18n } from '../i18n/I18nProvider';
 
 interface GeneralQuestionsProps {
   project: Project;
@@ -15,7 +17,7 @@ interface GeneralQuestion {
   _id?: string;
   code: string;
   principle: string; // Ethical principle name
-  questionEn: string;
+  questionText: string; // In the user's locale, English when not translated
   type: 'multiple-choice' | 'text';
   options?: Array<string | { key: string; label: string }>;
   required?: boolean;
@@ -41,6 +43,7 @@ const principleTranslations: Record<string, string> = {
 };
 
 export function GeneralQuestions({ project, currentUser, onBack, onComplete }: GeneralQuestionsProps) {
+  const { text } = useI18n();
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [answers, setAnswers] = useState<Record<string, string>>({});
   const [risks, setRisks] = useState<Record<string, 0 | 1 | 2 | 3 | 4>>({});
@@ -57,12 +60,12 @@ export function GeneralQuestions({ project, currentUser, onBack, onComplete }: G
 
     if (q.answerType === 'single_choice' && q.options && Array.isArray(q.options)) {
       options = q.options.map((opt: any) => {
-        // Backend format: { key, label: { en, tr }, score }
+        // Backend format: { key, label: { en, tr, ... }, score }
         if (typeof opt === 'string') {
           return opt;
         }
         // Store both key and label for proper matching
-        const label = opt.label?.en || opt.label || opt.key || String(opt);
+        const label = text(opt.label) || opt.key || String(opt);
         const key = opt.key || label;
         return { key, label };
       });
@@ -73,7 +76,7 @@ export function GeneralQuestions({ project, currentUser, onBack, onComplete }: G
       _id: q._id?.toString(),
       code: q.code,
       principle: q.principle,
-      questionEn: q.text?.en || q.text,
+      questionText: text(q.text),
       type: q.answerType === 'open_text' ? 'text' : 'multiple-choice',
       options: options,
       required: q.required !== false
@@ -86,52 +89,30 @@ export function GeneralQuestions({ project, currentUser, onBack, onComplete }: G
       try {
         setLoading(true);
 
-        // Determine questionnaire key based on role
+        // Questionnaires to show, from the question catalogue (general-v1 first, then the role's)
         const role = currentUser.role || 'any';
-        let questionnaireKey = 'general-v1'; // Default for all roles
-
-        // Role-specific questionnaires
-        if (role === 'ethical-expert') {
-          questionnaireKey = 'ethical-expert-v1';
-        } else if (role === 'medical-expert') {
-          questionnaireKey = 'medical-expert-v1';
-        } else if (role === 'technical-expert') {
-          questionnaireKey = 'technical-expert-v1';
-        } else if (role === 'legal-expert') {
-          questionnaireKey = 'legal-expert-v1';
-        } else if (role === 'education-expert') {
-          questionnaireKey = 'education-expert-v1';
-        }
+        const questionnaireKeys = await fetchQuestionnaireKeys(project, currentUser);
 
-        // Fetch both role-specific and general questions in parallel for better performance
+        // Fetch all questionnaires in parallel for better performance
         // Add timeout to prevent hanging
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
 
-        const [roleResponse, generalResponse] = await Promise.all([
-          fetch(api(`/api/evaluations/questions?questionnaireKey=${questionnaireKey}&role=${role}`), {
-            signal: controller.signal
-          }),
-          fetch(api(`/api/evaluations/questions?questionnaireKey=general-v1&role=any`), {
+        const responses = await Promise.all(questionnaireKeys.map(questionnaireKey =>
+          apiFetch(`/api/evaluations/questions?questionnaireKey=${questionnaireKey}&role=${role}`, {
             signal: controller.signal
           })
-        ]);
+        ));
 
         clearTimeout(timeoutId);
 
+        // In catalogue order, avoiding duplicates by code
         let allQuestions: any[] = [];
-
-        // FIRST: Add general questions (order 1-12)
-        if (generalResponse.ok) {
-          const generalQuestions = await generalResponse.json();
-          allQuestions = [...generalQuestions];
-        }
-
-        // THEN: Add role-specific questions (order 13+), avoiding duplicates by code
-        if (roleResponse.ok) {
-          const roleQuestions = await roleResponse.json();
+        for (const response of responses) {
+          if (!response.ok) continue;
+          const questions = await response.json();
           const existingCodes = new Set(allQuestions.map((q: any) => q.code));
-          roleQuestions.forEach((q: any) => {
+          questions.forEach((q: any) => {
             if (!existingCodes.has(q.code)) {
               allQuestions.push(q);
             }
@@ -165,7 +146,7 @@ export function GeneralQuestions({ project, currentUser, onBack, onComplete }: G
     };
 
     loadQuestions();
-  }, [currentUser.role]);
+  }, [currentUser.role, project.id]);
 
   // Load existing answers
   useEffect(() => {
@@ -176,8 +157,8 @@ export function GeneralQuestions({ project, currentUser, onBack, onComplete }: G
         const projectId = project.id || (project as any)._id;
         const userId = currentUser.id || (currentUser as any)._id;
 
-        const response = await fetch(
-          api(`/api/general-questions?projectId=${projectId}&userId=${userId}`)
+        const response = await apiFetch(
+          `/api/general-questions?projectId=${projectId}&userId=${userId}`
         );
 
         if (response.ok) {
@@ -347,7 +328,7 @@ export function GeneralQuestions({ project, currentUser, onBack, onComplete }: G
         }
       });
 
-      const response = await fetch(api('/api/general-questions'), {
+      const response = await apiFetch('/api/general-questions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -603,7 +584,7 @@ export function GeneralQuestions({ project, currentUser, onBack, onComplete }: G
                       </div>
                       <p className={`text-xs mt-1 truncate ${isCurrent ? 'text-blue-700' : 'text-gray-500'
                         }`}>
-                        {q.questionEn.substring(0, 40)}...
+                        {q.questionText.substring(0, 40)}...
                       </p>
                     </button>
                   );
@@ -651,7 +632,7 @@ export function GeneralQuestions({ project, currentUser, onBack, onComplete }: G
                 </div>
 
                 <h2 className="text-2xl md:text-3xl font-bold text-gray-900 leading-tight mb-3">
-                  {currentQuestion.questionEn}
+                  {currentQuestion.questionText}
                 </h2>
                 <p className="text-sm text-gray-500">
                   Principle: {currentQuestion.principle}
@@ -1,11 +1,22 @@
 import React, { useState } from 'react';
 import { CheckCircle2, Users, FileText, BarChart3 } from 'lucide-react';
-import { api } from '../api';
+import { apiFetch } from '../api';
+import { TwoFactorChallenge } from '../types';
+import {
+  TwoFactorCodeInput,
+  TwoFactorEnrollment,
+  TwoFactorEnrollmentDetails,
+  RecoveryCodesList
+} from './TwoFactorSetup';
 
 interface LoginScreenProps {
-  onLogin: (email: string, password: string, role: string) => Promise<void> | void;
+  onLogin: (email: string, password: string, role: string) => Promise<TwoFactorChallenge | void> | TwoFactorChallenge | void;
+  onLoginComplete: (session: any) => void;
 }
 
+// Challenge errors that end the second step; the user has to enter their password again
+const RESTART_LOGIN_CODES = ['TWO_FACTOR_CHALLENGE_INVALID', 'TWO_FACTOR_ATTEMPTS_EXCEEDED', 'ACCOUNT_LOCKED'];
+
 type Step = 'email' | 'code';
 
 const roleColors = {
@@ -18,7 +29,7 @@ const roleColors = {
   'legal-expert': '#B45309'
 } as const;
 
-export function LoginScreen({ onLogin }: LoginScreenProps) {
+export function LoginScreen({ onLogin, onLoginComplete }: LoginScreenProps) {
   const [isLogin, setIsLogin] = useState(true);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -32,6 +43,96 @@ export function LoginScreen({ onLogin }: LoginScreenProps) {
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
 
+  // Second login step (TOTP)
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [otpCode, setOtpCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCode, setRecoveryCode] = useState('');
+  // Session held back until the user has seen the recovery codes issued at enrollment
+  const [pendingSession, setPendingSession] = useState<any>(null);
+
+  const resetTwoFactor = () => {
+    setChallenge(null);
+    setEnrollment(null);
+    setOtpCode('');
+    setUseRecoveryCode(false);
+    setRecoveryCode('');
+    setPendingSession(null);
+  };
+
+  const startTwoFactor = async (next: TwoFactorChallenge) => {
+    setChallenge(next);
+    if (!next.enrollmentRequired) return;
+
+    // Role requires 2FA but the account has not enrolled yet: enroll as part of this login
+    try {
+      const response = await apiFetch('/api/auth/2fa/challenge/setup', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mfaToken: next.mfaToken })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.ok) {
+        setEnrollment(data);
+      } else {
+        resetTwoFactor();
+        setError(data.message || 'Could not start two-factor setup. Please log in again.');
+      }
+    } catch (error) {
+      console.error('2FA setup error:', error);
+      resetTwoFactor();
+      setError('Could not connect to server. Please make sure the backend is running.');
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challenge) return;
+
+    if (useRecoveryCode ? !recoveryCode.trim() : otpCode.length !== 6) {
+      setError(useRecoveryCode ? 'Please enter a recovery code.' : 'Please enter the 6-digit code from your authenticator app.');
+      return;
+    }
+
+    setError(null);
+    setLoading(true);
+    try {
+      const response = await apiFetch('/api/auth/2fa/challenge/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(useRecoveryCode
+          ? { mfaToken: challenge.mfaToken, recoveryCode }
+          : { mfaToken: challenge.mfaToken, code: otpCode })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        if (RESTART_LOGIN_CODES.includes(data.code)) {
+          resetTwoFactor();
+          setPassword('');
+        }
+        setOtpCode('');
+        setError(data.message || 'The code is incorrect.');
+        return;
+      }
+
+      if (data.recoveryCodes) {
+        setPendingSession(data);
+        return;
+      }
+      if (typeof data.recoveryCodesRemaining === 'number' && data.recoveryCodesRemaining <= 2) {
+        alert(`You have ${data.recoveryCodesRemaining} recovery code(s) left. Generate new ones from your profile.`);
+      }
+      onLoginComplete(data);
+    } catch (error) {
+      console.error('2FA verify error:', error);
+      setError('Could not connect to server. Please make sure the backend is running.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Login handleSubmit
   const handleLoginSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -45,7 +146,10 @@ export function LoginScreen({ onLogin }: LoginScreenProps) {
     setError(null);
     setLoading(true);
     try {
-      await onLogin(email, password, role);
+      const result = await onLogin(email, password, role);
+      if (result && result.mfaRequired) {
+        await startTwoFactor(result);
+      }
     } catch (error) {
       console.error('Login error:', error);
       setError('Login failed. Please check your information.');
@@ -66,7 +170,7 @@ export function LoginScreen({ onLogin }: LoginScreenProps) {
     setError(null);
     setLoading(true);
     try {
-      const response = await fetch(api('/api/auth/request-code'), {
+      const response = await apiFetch('/api/auth/request-code', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ email })
@@ -101,7 +205,7 @@ export function LoginScreen({ onLogin }: LoginScreenProps) {
     setError(null);
     setLoading(true);
     try {
-      const response = await fetch(api('/api/auth/verify-code-and-register'), {
+      const response = await apiFetch('/api/auth/verify-code-and-register', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -142,6 +246,7 @@ export function LoginScreen({ onLogin }: LoginScreenProps) {
   const handleToggleLogin = () => {
     setIsLogin(!isLogin);
     setStep('email');
+    resetTwoFactor();
     setError(null);
     setSuccess(null);
     setCode('');
@@ -159,7 +264,11 @@ export function LoginScreen({ onLogin }: LoginScreenProps) {
 
           <div className="mb-6">
             <p className="text-base text-gray-900">
-              {isLogin
+              {isLogin && challenge
+                ? enrollment || challenge.enrollmentRequired
+                  ? 'Two-factor authentication is required for your role. Set it up to continue.'
+                  : 'Enter the code from your authenticator app.'
+                : isLogin
                 ? 'Welcome back! Please sign in to continue.'
                 : step === 'email'
                   ? 'Join the ethical AI evaluation platform.'
@@ -179,7 +288,81 @@ export function LoginScreen({ onLogin }: LoginScreenProps) {
             </div>
           )}
 
-          {isLogin ? (
+          {isLogin && pendingSession ? (
+            // 2FA ENROLLED DURING LOGIN: show recovery codes once, then continue
+            <div className="space-y-6">
+              <RecoveryCodesList codes={pendingSession.recoveryCodes} />
+              <button
+                type="button"
+                onClick={() => onLoginComplete(pendingSession)}
+                className="w-full py-3 px-4 rounded-lg text-white transition-colors hover:opacity-90 cursor-pointer font-medium text-base"
+                style={{
+                  backgroundColor: roleColors[role as keyof typeof roleColors] || '#1F2937'
+                }}
+              >
+                I have saved my recovery codes
+              </button>
+            </div>
+          ) : isLogin && challenge ? (
+            // LOGIN STEP 2: Authenticator code
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+              {enrollment && <TwoFactorEnrollmentDetails enrollment={enrollment} />}
+
+              {useRecoveryCode ? (
+                <div>
+                  <label className="block text-sm mb-2 text-gray-700 font-semibold">Recovery Code</label>
+                  <input
+                    type="text"
+                    value={recoveryCode}
+                    onChange={(e) => setRecoveryCode(e.target.value)}
+                    className="w-full px-4 h-12 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-center text-xl tracking-widest font-mono box-border"
+                    placeholder="xxxxx-xxxxx"
+                    autoFocus
+                  />
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm mb-2 text-gray-700 font-semibold">Authentication Code</label>
+                  <TwoFactorCodeInput value={otpCode} onChange={setOtpCode} disabled={loading || (challenge.enrollmentRequired && !enrollment)} />
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={loading || (challenge.enrollmentRequired && !enrollment)}
+                className="w-full py-3 px-4 rounded-lg text-white transition-colors hover:opacity-90 cursor-pointer font-medium text-base disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{
+                  backgroundColor: roleColors[role as keyof typeof roleColors] || '#1F2937'
+                }}
+              >
+                {loading ? 'Verifying...' : enrollment ? 'Enable & Log In' : 'Verify'}
+              </button>
+
+              {!challenge.enrollmentRequired && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setError(null);
+                  }}
+                  className="w-full text-sm font-medium text-blue-600 hover:text-blue-500"
+                >
+                  {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code instead'}
+                </button>
+              )}
+
+              <button
+                type="button"
+                onClick={() => {
+                  resetTwoFactor();
+                  setError(null);
+                }}
+                className="w-full py-2.5 px-4 text-gray-600 hover:text-gray-800 text-base"
+              >
+                ← Go back
+              </button>
+            </form>
+          ) : isLogin ? (
             // LOGIN FORM
             <form onSubmit={handleLoginSubmit} className="space-y-6">
               <div>
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
 import { Bell, X, Check } from 'lucide-react';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface Notification {
   _id: string;
@@ -40,7 +40,7 @@ export function NotificationBell({ currentUser, onNotificationClick, onNavigate
     
     try {
       setLoading(true);
-      const response = await fetch(api(`/api/notifications?userId=${currentUser.id}&limit=50`));
+      const response = await apiFetch(`/api/notifications?userId=${currentUser.id}&limit=50`);
       if (response.ok) {
         const data = await response.json();
         setNotifications(data.notifications || []);
@@ -138,7 +138,7 @@ export function NotificationBell({ currentUser, onNotificationClick, onNavigate
 
   const markAsRead = async (notificationId: string) => {
     try {
-      const response = await fetch(api(`/api/notifications/${notificationId}/read`), {
+      const response = await apiFetch(`/api/notifications/${notificationId}/read`, {
         method: 'POST'
       });
       if (response.ok) {
@@ -155,7 +155,7 @@ export function NotificationBell({ currentUser, onNotificationClick, onNavigate
 
   const markAllAsRead = async () => {
     try {
-      const response = await fetch(api('/api/notifications/read-all'), {
+      const response = await apiFetch('/api/notifications/read-all', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ userId: currentUser.id })
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { X, MessageSquare, ArrowLeft } from 'lucide-react';
 import { User, Project } from '../types';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface NotificationDetailPanelProps {
   conversation: any;
@@ -46,9 +46,9 @@ export function NotificationDetailPanel({
 
       try {
         setLoading(true);
-        const response = await fetch(api(
+        const response = await apiFetch(
           `/api/messages/thread?projectId=${projectId}&user1=${currentUserId}&user2=${otherUserId}`
-        ));
+        );
 
         if (response.ok) {
           const data = await response.json();
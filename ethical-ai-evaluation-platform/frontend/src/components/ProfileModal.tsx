@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { X, Save, Upload, Trash2, Eye, EyeOff } from 'lucide-react';
+import { X, Save, Upload, Trash2, Eye, EyeOff, ShieldCheck } from 'lucide-react';
 import { User } from '../types';
-import { api } from '../api';
+import { apiFetch } from '../api';
+import {
+  TwoFactorCodeInput,
+  TwoFactorEnrollment,
+  TwoFactorEnrollmentDetails,
+  RecoveryCodesList
+} from './TwoFactorSetup';
+import { useI18n } from '../i18n/I18nProvider';
+import { LOCALES, normalizeLocale } from '../i18n/locales';
 
 interface ProfileModalProps {
   user: User;
@@ -11,7 +19,9 @@ interface ProfileModalProps {
 }
 
 export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModalProps) {
+  const { t, locale, setLocale } = useI18n();
   const [name, setName] = useState(user.name);
+  const [language, setLanguage] = useState<string>(normalizeLocale(user.preferredLocale) || locale);
   const [profileImage, setProfileImage] = useState<string | null>((user as any).profileImage || null);
   
   // Update local state when user prop changes
@@ -33,7 +43,7 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
     // Fetch user data to get lastSeen
     const fetchUser = async () => {
       try {
-        const response = await fetch(api(`/api/users`));
+        const response = await apiFetch(`/api/users`);
         if (response.ok) {
           const users = await response.json();
           const currentUser = users.find((u: any) => u._id === user.id || u.id === user.id);
@@ -72,30 +82,32 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
       const userId = user.id || (user as any)._id;
       
       if (!userId) {
-        setError('User ID not found');
+        setError(t('profile.userIdMissing'));
         setSaving(false);
         return;
       }
       
-      // Update name
-      if (name !== user.name) {
-        const response = await fetch(api(`/api/users/${userId}`), {
+      // Update name and language
+      const languageChanged = language !== (normalizeLocale(user.preferredLocale) || locale);
+      if (name !== user.name || languageChanged) {
+        const response = await apiFetch(`/api/users/${userId}`, {
           method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ name })
+          body: JSON.stringify(languageChanged ? { name, preferredLocale: language } : { name })
         });
         if (!response.ok) {
-          throw new Error('Failed to update name');
+          throw new Error(t(name !== user.name ? 'profile.nameUpdateFailed' : 'profile.languageUpdateFailed'));
         }
         const updated = await response.json();
-        onUpdate({ ...user, name: updated.name });
+        setLocale(updated.preferredLocale || language);
+        onUpdate({ ...user, name: updated.name, preferredLocale: updated.preferredLocale || language });
       }
 
       // Update profile image (or remove if null)
       const currentImage = (user as any).profileImage || null;
       if (profileImage !== currentImage) {
         console.log('Updating profile image:', { userId, hasImage: !!profileImage, imageLength: profileImage?.length });
-        const response = await fetch(api(`/api/users/${userId}/profile-image`), {
+        const response = await apiFetch(`/api/users/${userId}/profile-image`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ image: profileImage || null })
@@ -110,9 +122,9 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
           try {
             errorData = JSON.parse(errorText);
           } catch {
-            errorData = { error: errorText || 'Failed to update profile image' };
+            errorData = { error: errorText || t('profile.imageUpdateFailed') };
           }
-          throw new Error(errorData.error || 'Failed to update profile image');
+          throw new Error(errorData.error || t('profile.imageUpdateFailed'));
         }
         const updated = await response.json();
         console.log('Profile image updated successfully');
@@ -122,7 +134,8 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
           name: updated.name || user.name,
           id: updated._id || updated.id || user.id,
           email: updated.email || user.email,
-          role: updated.role || user.role
+          role: updated.role || user.role,
+          preferredLocale: updated.preferredLocale || language
         };
         (updatedUser as any).profileImage = updated.profileImage;
         onUpdate(updatedUser);
@@ -131,17 +144,17 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
       // Change password if provided
       if (newPassword) {
         if (newPassword !== confirmPassword) {
-          setError('New passwords do not match');
+          setError(t('profile.passwordsMismatch'));
           setSaving(false);
           return;
         }
         if (newPassword.length < 6) {
-          setError('Password must be at least 6 characters');
+          setError(t('profile.passwordTooShort'));
           setSaving(false);
           return;
         }
 
-        const response = await fetch(api(`/api/users/${userId}/change-password`), {
+        const response = await apiFetch(`/api/users/${userId}/change-password`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ oldPassword, newPassword })
@@ -149,7 +162,7 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
 
         if (!response.ok) {
           const errorData = await response.json();
-          setError(errorData.error || 'Failed to change password');
+          setError(errorData.error || t('profile.passwordChangeFailed'));
           setSaving(false);
           return;
         }
@@ -159,35 +172,35 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
         setConfirmPassword('');
       }
 
-      alert('Profile updated successfully!');
+      alert(t('profile.updated'));
       onClose();
     } catch (err: any) {
-      setError(err.message || 'Failed to update profile');
+      setError(err.message || t('profile.updateFailed'));
     } finally {
       setSaving(false);
     }
   };
 
   const handleDeleteAccount = async () => {
-    if (!window.confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
+    if (!window.confirm(t('profile.deleteConfirm'))) {
       return;
     }
 
     try {
       const userId = user.id || (user as any)._id;
-      const response = await fetch(api(`/api/users/${userId}/delete-account`), {
+      const response = await apiFetch(`/api/users/${userId}/delete-account`, {
         method: 'DELETE'
       });
 
       if (response.ok) {
-        alert('Account deleted successfully');
+        alert(t('profile.deleted'));
         onLogout();
       } else {
-        alert('Failed to delete account');
+        alert(t('profile.deleteFailed'));
       }
     } catch (err) {
       console.error('Error deleting account:', err);
-      alert('Failed to delete account');
+      alert(t('profile.deleteFailed'));
     }
   };
 
@@ -199,7 +212,7 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
         <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between">
-          <h2 className="text-xl font-bold text-gray-900">Profile Settings</h2>
+          <h2 className="text-xl font-bold text-gray-900">{t('profile.title')}</h2>
           <button
             onClick={onClose}
             className="p-2 hover:bg-gray-100 rounded-full transition-colors"
@@ -248,20 +261,20 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
                   style={{ backgroundColor: '#dc2626' }}
                 >
                   <Trash2 className="h-5 w-5" />
-                  Remove Picture
+                  {t('profile.removePicture')}
                 </button>
-                <p className="text-xs text-red-600 font-medium">Delete picture</p>
+                <p className="text-xs text-red-600 font-medium">{t('profile.deletePicture')}</p>
               </div>
             ) : (
               <p className="text-sm text-gray-500 text-center">
-                Click upload to add profile image
+                {t('profile.uploadHint')}
               </p>
             )}
           </div>
 
           {/* Name */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.name')}</label>
             <input
               type="text"
               value={name}
@@ -272,7 +285,7 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
 
           {/* Email (read-only) */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.email')}</label>
             <input
               type="email"
               value={user.email}
@@ -283,7 +296,7 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
 
           {/* Role (read-only) */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.role')}</label>
             <input
               type="text"
               value={user.role}
@@ -295,7 +308,7 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
           {/* Last Seen */}
           {lastSeen && (
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Last Seen</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.lastSeen')}</label>
               <input
                 type="text"
                 value={lastSeen}
@@ -305,20 +318,35 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
             </div>
           )}
 
+          {/* Language */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.language')}</label>
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {LOCALES.map((l) => (
+                <option key={l.code} value={l.code}>{l.nativeName}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">{t('profile.languageHint')}</p>
+          </div>
+
           {/* Password Change Section */}
           <div className="border-t border-gray-200 pt-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Change Password</h3>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('profile.changePassword')}</h3>
             
             <div className="space-y-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Old Password</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.oldPassword')}</label>
                 <div className="relative">
                   <input
                     type={showOldPassword ? 'text' : 'password'}
                     value={oldPassword}
                     onChange={(e) => setOldPassword(e.target.value)}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 pr-10"
-                    placeholder="Enter old password"
+                    placeholder={t('profile.oldPasswordPlaceholder')}
                   />
                   <button
                     type="button"
@@ -331,14 +359,14 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
               </div>
 
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">New Password</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.newPassword')}</label>
                 <div className="relative">
                   <input
                     type={showNewPassword ? 'text' : 'password'}
                     value={newPassword}
                     onChange={(e) => setNewPassword(e.target.value)}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 pr-10"
-                    placeholder="Enter new password"
+                    placeholder={t('profile.newPasswordPlaceholder')}
                   />
                   <button
                     type="button"
@@ -351,14 +379,14 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
               </div>
 
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Confirm New Password</label>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('profile.confirmPassword')}</label>
                 <div className="relative">
                   <input
                     type={showConfirmPassword ? 'text' : 'password'}
                     value={confirmPassword}
                     onChange={(e) => setConfirmPassword(e.target.value)}
                     className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 pr-10"
-                    placeholder="Confirm new password"
+                    placeholder={t('profile.confirmPasswordPlaceholder')}
                   />
                   <button
                     type="button"
@@ -372,6 +400,9 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
             </div>
           </div>
 
+          {/* Two-Factor Authentication */}
+          <TwoFactorSection />
+
           {/* Actions */}
           <div className="flex items-center justify-between pt-6 border-t border-gray-200">
             <button
@@ -379,14 +410,14 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
               className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors flex items-center"
             >
               <Trash2 className="h-4 w-4 mr-2" />
-              Delete Account
+              {t('profile.deleteAccount')}
             </button>
             <div className="flex space-x-3">
               <button
                 onClick={onClose}
                 className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
               >
-                Cancel
+                {t('common.cancel')}
               </button>
               <button
                 onClick={handleSave}
@@ -394,7 +425,7 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
                 className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center"
               >
                 <Save className="h-4 w-4 mr-2" />
-                {saving ? 'Saving...' : 'Save Changes'}
+                {saving ? t('common.saving') : t('common.saveChanges')}
               </button>
             </div>
           </div>
@@ -404,3 +435,185 @@ export function ProfileModal({ user, onClose, onUpdate, onLogout }: ProfileModal
   );
 }
 
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  required: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+type TwoFactorAction = 'idle' | 'setup' | 'disable' | 'regenerate';
+
+function TwoFactorSection() {
+  const { t } = useI18n();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [action, setAction] = useState<TwoFactorAction>('idle');
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchStatus = async () => {
+    try {
+      const response = await apiFetch('/api/auth/2fa');
+      if (response.ok) setStatus(await response.json());
+    } catch (err) {
+      console.error('Error fetching 2FA status:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const cancel = () => {
+    setAction('idle');
+    setEnrollment(null);
+    setCode('');
+    setError('');
+  };
+
+  const post = async (path: string, body?: Record<string, string>) => {
+    const response = await apiFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body || {})
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || 'Request failed');
+    return data;
+  };
+
+  const startSetup = async () => {
+    setBusy(true);
+    setError('');
+    setRecoveryCodes(null);
+    try {
+      setEnrollment(await post('/api/auth/2fa/setup'));
+      setAction('setup');
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitCode = async () => {
+    if (code.length !== 6) {
+      setError(t('twoFactor.enterCode'));
+      return;
+    }
+    setBusy(true);
+    setError('');
+    try {
+      if (action === 'setup') {
+        const data = await post('/api/auth/2fa/enable', { code });
+        setRecoveryCodes(data.recoveryCodes);
+      } else if (action === 'regenerate') {
+        const data = await post('/api/auth/2fa/recovery-codes', { code });
+        setRecoveryCodes(data.recoveryCodes);
+      } else if (action === 'disable') {
+        await post('/api/auth/2fa/disable', { code });
+      }
+      cancel();
+      await fetchStatus();
+    } catch (err: any) {
+      setCode('');
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="border-t border-gray-200 pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <ShieldCheck className="h-5 w-5 mr-2 text-green-600" />
+          {t('twoFactor.title')}
+        </h3>
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+          {status.enabled ? t('twoFactor.enabled') : t('twoFactor.off')}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        {status.required
+          ? t('twoFactor.mandatory')
+          : t('twoFactor.intro')}
+        {status.enabled && ` ${t('twoFactor.codesLeft', { count: status.recoveryCodesRemaining })}`}
+      </p>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-4">
+          <RecoveryCodesList codes={recoveryCodes} />
+        </div>
+      )}
+
+      {action === 'idle' ? (
+        <div className="flex flex-wrap gap-3">
+          {!status.enabled && (
+            <button
+              onClick={startSetup}
+              disabled={busy}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-60"
+            >
+              {t('twoFactor.setUp')}
+            </button>
+          )}
+          {status.enabled && (
+            <button
+              onClick={() => { setRecoveryCodes(null); setAction('regenerate'); }}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+            >
+              {t('twoFactor.newRecoveryCodes')}
+            </button>
+          )}
+          {status.enabled && !status.required && (
+            <button
+              onClick={() => { setRecoveryCodes(null); setAction('disable'); }}
+              className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors text-sm"
+            >
+              {t('twoFactor.turnOff')}
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {action === 'setup' && enrollment && <TwoFactorEnrollmentDetails enrollment={enrollment} />}
+          <p className="text-sm text-gray-700">
+            {action === 'setup'
+              ? t('twoFactor.finishSetup')
+              : t('twoFactor.confirmCode')}
+          </p>
+          <TwoFactorCodeInput value={code} onChange={setCode} disabled={busy} />
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={cancel}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm"
+            >
+              {t('common.cancel')}
+            </button>
+            <button
+              onClick={submitCode}
+              disabled={busy}
+              className={`px-4 py-2 text-white rounded-lg transition-colors text-sm disabled:opacity-60 ${action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+            >
+              {busy ? t('twoFactor.verifying') : action === 'setup' ? t('twoFactor.enable') : action === 'disable' ? t('twoFactor.turnOff') : t('twoFactor.generate')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
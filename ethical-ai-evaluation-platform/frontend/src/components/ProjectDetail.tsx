@@ -8,9 +8,11 @@ import { UseCaseOwners } from './UseCaseOwners';
 import { TensionCard } from './TensionCard';
 import { AddTensionModal } from './AddTensionModal';
 import { ChatPanel } from './ChatPanel';
+import { ScenarioSimulator } from './ScenarioSimulator';
 import { fetchUserProgress } from '../utils/userProgress';
-import { api } from '../api';
+import { apiFetch, openInNewTab } from '../api';
 import { Spinner } from './Spinner';
+import { useI18n } from '../i18n/I18nProvider';
 
 interface ProjectDetailProps {
   project: Project;
@@ -27,6 +29,24 @@ interface ProjectDetailProps {
   initialTab?: 'evaluation' | 'tensions' | 'usecase' | 'owners'; // Optional: set initial tab
 }
 
+// GET /api/projects/:projectId/score-status
+interface ScoreStatus {
+  stale: boolean;
+  reasons: string[];
+  queue: { pending: number; running: number; failed: number; lastError: string | null };
+  lastComputedAt: string | null;
+}
+
+const STALE_REASON_LABELS: Record<string, string> = {
+  draft_saved: 'answers saved',
+  response_submitted: 'answers submitted',
+  question_changed: 'questions edited',
+  thresholds_changed: 'thresholds changed',
+  report_requested: 'report requested',
+  responses_changed: 'answers changed since the last computation',
+  scoring_settings_changed: 'scoring model or thresholds changed'
+};
+
 const roleColors = {
   admin: '#1F2937',
   'ethical-expert': '#1E40AF',
@@ -50,7 +70,8 @@ export function ProjectDetail({
   initialChatUserId,
   initialTab = 'evaluation',
 }: ProjectDetailProps) {
-  const [activeTab, setActiveTab] = useState<'evaluation' | 'tensions' | 'usecase' | 'owners' | 'dashboard'>(initialTab as any);
+  const { locale } = useI18n();
+  const [activeTab, setActiveTab] = useState<'evaluation' | 'tensions' | 'usecase' | 'scenarios' | 'owners' | 'dashboard'>(initialTab as any);
   const [showAddTension, setShowAddTension] = useState(false);
   const [tensions, setTensions] = useState<Tension[]>([]);
   // Yeni: Bağlı Use Case verisini tutacak state
@@ -66,6 +87,7 @@ export function ProjectDetail({
   const [memberProgresses, setMemberProgresses] = useState<Record<string, number>>({});
   const [evolutionCompletedAt, setEvolutionCompletedAt] = useState<string | null>(null);
   const [latestReport, setLatestReport] = useState<{ id: string; fileUrl: string; title: string } | null>(null);
+  const [scoreStatus, setScoreStatus] = useState<ScoreStatus | null>(null);
 
   // Calculate assignedUserDetails early to avoid "before initialization" error
   const assignedUserDetails = users
@@ -107,7 +129,7 @@ export function ProjectDetail({
     // If still no project, create one via API
     if (!commProject) {
       try {
-        const response = await fetch(api('/api/projects'), {
+        const response = await apiFetch('/api/projects', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -208,7 +230,7 @@ export function ProjectDetail({
   // Tensionları Getir
   const fetchTensions = async () => {
     try {
-      const response = await fetch(api(`/api/tensions/${project.id}?userId=${currentUser.id}`));
+      const response = await apiFetch(`/api/tensions/${project.id}?userId=${currentUser.id}`);
       if (response.ok) {
         const data = await response.json();
         const formattedData = data.map((t: any) => ({
@@ -237,8 +259,8 @@ export function ProjectDetail({
 
       // Paralel olarak use case ve questions'ı çek
       const [useCaseResponse, questionsResponse] = await Promise.all([
-        fetch(api(`/api/use-cases/${useCaseId}`)),
-        fetch(api('/api/use-case-questions'))
+        apiFetch(`/api/use-cases/${useCaseId}`),
+        apiFetch('/api/use-case-questions')
       ]);
 
       if (useCaseResponse.ok) {
@@ -269,7 +291,7 @@ export function ProjectDetail({
       try {
         const projectId = project.id || (project as any)._id;
         const userId = currentUser?.id || (currentUser as any)?._id;
-        const response = await fetch(api(`/api/projects/${projectId}/reports/latest?userId=${userId}`));
+        const response = await apiFetch(`/api/projects/${projectId}/reports/latest?userId=${userId}`);
         if (response.ok) {
           const reportResponse = await response.json();
           if (reportResponse.report) {
@@ -295,6 +317,28 @@ export function ProjectDetail({
     }
   }, [project.id, (project as any)._id, currentUser]);
 
+  // Whether the scores are behind the latest answers (recomputation queued or failed)
+  const fetchScoreStatus = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/projects/${project.id || (project as any)._id}/score-status`);
+      setScoreStatus(response.ok ? await response.json() : null);
+    } catch (err) {
+      console.warn('Could not fetch score status:', err);
+      setScoreStatus(null);
+    }
+  }, [project.id, (project as any)._id]);
+
+  useEffect(() => {
+    if (currentUser.role === 'admin') fetchScoreStatus();
+  }, [fetchScoreStatus, currentUser.role]);
+
+  // While a recomputation is queued, check again until it has run
+  useEffect(() => {
+    if (!scoreStatus?.stale || scoreStatus.queue.failed > 0) return;
+    const timer = setTimeout(fetchScoreStatus, 10000);
+    return () => clearTimeout(timer);
+  }, [scoreStatus, fetchScoreStatus]);
+
   useEffect(() => {
     fetchTensions();
     fetchUseCase();
@@ -304,7 +348,7 @@ export function ProjectDetail({
   useEffect(() => {
     const loadEvolutionCompletion = async () => {
       try {
-        const res = await fetch(api(`/api/project-assignments?userId=${currentUser.id}`));
+        const res = await apiFetch(`/api/project-assignments?userId=${currentUser.id}`);
         if (!res.ok) return;
         const data = await res.json();
         const found = (data || []).find((a: any) => String(a.projectId) === String(project.id));
@@ -379,7 +423,7 @@ export function ProjectDetail({
         createdBy: currentUser.id
       };
 
-      const response = await fetch(api('/api/tensions'), {
+      const response = await apiFetch('/api/tensions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
@@ -401,7 +445,7 @@ export function ProjectDetail({
     const confirmed = window.confirm("Delete this tension? This cannot be undone.");
     if (!confirmed) return;
     try {
-      const response = await fetch(api(`/api/tensions/${tensionId}?userId=${encodeURIComponent(currentUser.id)}`), {
+      const response = await apiFetch(`/api/tensions/${tensionId}?userId=${encodeURIComponent(currentUser.id)}`, {
         method: 'DELETE'
       });
       if (response.ok) {
@@ -450,7 +494,7 @@ export function ProjectDetail({
     );
 
     try {
-      const response = await fetch(api(`/api/tensions/${tensionId}/vote`), {
+      const response = await apiFetch(`/api/tensions/${tensionId}/vote`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ userId: currentUser.id, voteType }),
@@ -539,12 +583,13 @@ export function ProjectDetail({
     try {
       setGenerating(true);
       const projectId = project.id || (project as any)._id;
-      const response = await fetch(api('/api/reports/generate'), {
+      const response = await apiFetch('/api/reports/generate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           projectId: projectId,
-          userId: currentUser?.id || (currentUser as any)?._id
+          userId: currentUser?.id || (currentUser as any)?._id,
+          locale
         })
       });
 
@@ -563,7 +608,7 @@ export function ProjectDetail({
           const projectId = project.id || (project as any)._id;
           const userId = currentUser?.id || (currentUser as any)?._id;
           try {
-            const reportResponse = await fetch(api(`/api/projects/${projectId}/reports/latest?userId=${userId}`));
+            const reportResponse = await apiFetch(`/api/projects/${projectId}/reports/latest?userId=${userId}`);
             if (reportResponse.ok) {
               const data = await reportResponse.json();
               if (data.report) {
@@ -587,6 +632,7 @@ export function ProjectDetail({
       alert('❌ Error: ' + (error.message || 'Failed to generate report'));
     } finally {
       setGenerating(false);
+      fetchScoreStatus();
     }
   };
 
@@ -689,18 +735,38 @@ export function ProjectDetail({
               const teamAverageProgress = calculateTeamAverageProgress();
               const isComplete = teamAverageProgress >= 100;
               const canGenerate = isComplete && !generating;
+              const staleReasons = (scoreStatus?.reasons || []).map(r => STALE_REASON_LABELS[r] || r).join(', ');
               return (
-                <button
-                  onClick={handleGenerateReport}
-                  disabled={!canGenerate}
-                  className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${!canGenerate
-                      ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                      : 'bg-green-600 text-white hover:bg-green-700'
-                    }`}
-                  title={!isComplete ? 'Project must be 100% complete to generate report' : ''}
-                >
-                  {generating ? 'Generating...' : 'Generate Report'}
-                </button>
+                <>
+                  {scoreStatus && (
+                    <span
+                      className={`px-2 py-1 text-xs font-medium rounded-full ${!scoreStatus.stale
+                          ? 'bg-green-100 text-green-700'
+                          : scoreStatus.queue.failed > 0
+                            ? 'bg-red-100 text-red-700'
+                            : 'bg-yellow-100 text-yellow-800'
+                        }`}
+                      title={scoreStatus.stale
+                        ? `Scores are outdated: ${staleReasons}${scoreStatus.queue.lastError ? ` (${scoreStatus.queue.lastError})` : ''}. Generating a report recomputes them first.`
+                        : scoreStatus.lastComputedAt ? `Last computed ${new Date(scoreStatus.lastComputedAt).toLocaleString()}` : ''}
+                    >
+                      {!scoreStatus.stale
+                        ? 'Scores up to date'
+                        : scoreStatus.queue.failed > 0 ? 'Score recompute failed' : 'Scores updating...'}
+                    </span>
+                  )}
+                  <button
+                    onClick={handleGenerateReport}
+                    disabled={!canGenerate}
+                    className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${!canGenerate
+                        ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                        : 'bg-green-600 text-white hover:bg-green-700'
+                      }`}
+                    title={!isComplete ? 'Project must be 100% complete to generate report' : ''}
+                  >
+                    {generating ? 'Generating...' : 'Generate Report'}
+                  </button>
+                </>
               );
             })()}
             <button
@@ -716,24 +782,13 @@ export function ProjectDetail({
                   const userId = currentUser?.id || (currentUser as any)?._id;
 
                   // Fetch latest report to ensure we have the most recent one
-                  const response = await fetch(api(`/api/projects/${projectId}/reports/latest?userId=${userId}`));
+                  const response = await apiFetch(`/api/projects/${projectId}/reports/latest?userId=${userId}`);
                   if (response.ok) {
                     const reportResponse = await response.json();
                     if (reportResponse.report) {
                       // Use the latest report ID
                       const reportId = reportResponse.report._id || reportResponse.report.id;
-                      let reportUrl = reportResponse.report.fileUrl || `/api/reports/${reportId}/file`;
-
-                      // Ensure URL is absolute
-                      if (!reportUrl.startsWith('http')) {
-                        reportUrl = api(reportUrl);
-                      }
-
-                      // Add userId as query parameter if not already present
-                      if (userId && !reportUrl.includes('userId=')) {
-                        const separator = reportUrl.includes('?') ? '&' : '?';
-                        reportUrl = `${reportUrl}${separator}userId=${userId}`;
-                      }
+                      const reportUrl = reportResponse.report.fileUrl || `/api/reports/${reportId}/file`;
 
                       // Update latestReport state
                       setLatestReport({
@@ -742,42 +797,22 @@ export function ProjectDetail({
                         title: reportResponse.report.title || 'Analysis Report'
                       });
 
-                      // Open report in new tab
-                      window.open(reportUrl, '_blank', 'noopener,noreferrer');
+                      // Open report in new tab (fetched with the Bearer header, shown as a blob)
+                      await openInNewTab(reportUrl);
                     } else {
                       alert('No report found for this project.');
                     }
                   } else {
                     // Fallback to existing latestReport if fetch fails
                     if (latestReport) {
-                      let reportUrl = latestReport.fileUrl.startsWith('http')
-                        ? latestReport.fileUrl
-                        : api(latestReport.fileUrl);
-
-                      const userId = currentUser?.id || (currentUser as any)?._id;
-                      if (userId && !reportUrl.includes('userId=')) {
-                        const separator = reportUrl.includes('?') ? '&' : '?';
-                        reportUrl = `${reportUrl}${separator}userId=${userId}`;
-                      }
-
-                      window.open(reportUrl, '_blank', 'noopener,noreferrer');
+                      await openInNewTab(latestReport.fileUrl);
                     }
                   }
                 } catch (err) {
                   console.error('Error fetching latest report:', err);
                   // Fallback to existing latestReport
                   if (latestReport) {
-                    let reportUrl = latestReport.fileUrl.startsWith('http')
-                      ? latestReport.fileUrl
-                      : api(latestReport.fileUrl);
-
-                    const userId = currentUser?.id || (currentUser as any)?._id;
-                    if (userId && !reportUrl.includes('userId=')) {
-                      const separator = reportUrl.includes('?') ? '&' : '?';
-                      reportUrl = `${reportUrl}${separator}userId=${userId}`;
-                    }
-
-                    window.open(reportUrl, '_blank', 'noopener,noreferrer');
+                    openInNewTab(latestReport.fileUrl).catch(openErr => console.error('Error opening report:', openErr));
                   }
                 }
               }}
@@ -936,7 +971,7 @@ export function ProjectDetail({
 
         <div className="bg-white rounded-lg shadow-sm border">
           <div className="border-b border-gray-200 flex">
-            {['evaluation', 'tensions', 'usecase', 'owners'].map((tab) => {
+            {['evaluation', 'tensions', 'usecase', 'scenarios', 'owners'].map((tab) => {
               if (tab === 'owners' && !canViewOwners) return null;
               return (
                 <button
@@ -944,7 +979,7 @@ export function ProjectDetail({
                   onClick={() => setActiveTab(tab as any)}
                   className={`px-6 py-3 text-sm capitalize flex items-center ${activeTab === tab ? 'border-b-2 border-blue-500 text-blue-600 bg-blue-50' : 'text-gray-500 hover:text-gray-700'}`}
                 >
-                  {tab === 'tensions' ? `Tensions (${tensions.length})` : tab === 'dashboard' ? 'Analytics' : tab}
+                  {tab === 'tensions' ? `Tensions (${tensions.length})` : tab === 'dashboard' ? 'Analytics' : tab === 'scenarios' ? 'What-If' : tab}
                 </button>
               );
             })}
@@ -1185,6 +1220,10 @@ export function ProjectDetail({
               </div>
             )}
 
+            {activeTab === 'scenarios' && (
+              <ScenarioSimulator projectId={project.id} tensions={tensions} />
+            )}
+
             {activeTab === 'dashboard' && (
               <AnalyticsDashboard
                 projectId={project.id}
@@ -0,0 +1,263 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight, X } from 'lucide-react';
+import { apiFetch } from '../api';
+
+export interface ProvenanceEntry {
+  questionId: string;
+  questionCode: string | null;
+  questionText: string | null;
+  importance: number | null;
+  importanceSource: string | null;
+  answerSeverity: number | null;
+  severitySource: string | null;
+  finalRiskContribution: number;
+  weightedContribution: number;
+  answer: {
+    choiceKey: string | null;
+    choiceLabel: string | null;
+    multiChoiceLabels: string[];
+    text: string | null;
+    numeric: number | null;
+    notes: string | null;
+  } | null;
+}
+
+export interface ProvenanceScore {
+  scoreId: string;
+  userId: string;
+  evaluatorName: string | null;
+  role: string;
+  questionnaireKey: string | null;
+  scoringModelVersion: string | null;
+  contribution: number;
+  entries: ProvenanceEntry[];
+}
+
+export interface PrincipleProvenance {
+  principle: string;
+  cumulativeRisk: number;
+  n: number;
+  averageRisk: number;
+  riskLevel: string;
+  riskLabel: string;
+  riskColor: string;
+  scores: ProvenanceScore[];
+}
+
+export interface OverallProvenance {
+  cumulativeRisk: number;
+  n: number;
+  rawAverageERC: number;
+  maxPrincipleAverage: number;
+  drivenBy: string;
+  averageERC: number;
+  riskLevel: string;
+  riskLabel: string;
+  riskColor: string;
+  principles: Array<{ principle: string; cumulativeRisk: number; n: number; averageRisk: number; riskLabel: string }>;
+  scores: Array<{ scoreId: string; evaluatorName: string | null; role: string; questionnaireKey: string | null; answers: number }>;
+}
+
+export interface ProvenanceTree {
+  scoringModel?: string;
+  overall: OverallProvenance | null;
+  byPrinciple: Record<string, PrincipleProvenance | null>;
+}
+
+interface ProvenanceDrilldownProps {
+  projectId: string;
+  // Principle to open; null = the overall value
+  principle: string | null;
+  // Provenance stored with a report; without it the project's current scores are loaded
+  tree?: ProvenanceTree | null;
+  onClose: () => void;
+}
+
+const SOURCE_LABELS: Record<string, string> = {
+  expert_provided: 'entered by the expert',
+  option_score: 'chosen option score',
+  option_answerScore: 'chosen option answerScore',
+  legacy_answer_score: 'legacy answerScore (1 − score)',
+  question_riskScore: "question's riskScore",
+  question_importance: "question's importance",
+  default: 'default value'
+};
+
+const describeSource = (source: string | null) => (source ? SOURCE_LABELS[source] || source : 'not recorded');
+
+const describeAnswer = (answer: ProvenanceEntry['answer']) => {
+  if (!answer) return 'Response not found';
+  if (answer.choiceLabel) return answer.choiceLabel;
+  if (answer.multiChoiceLabels.length > 0) return answer.multiChoiceLabels.join(', ');
+  if (answer.text) return answer.text;
+  if (answer.numeric !== null) return String(answer.numeric);
+  return '—';
+};
+
+export function ProvenanceDrilldown({ projectId, principle, tree, onClose }: ProvenanceDrilldownProps) {
+  const [provenance, setProvenance] = useState<ProvenanceTree | null>(tree && tree.overall ? tree : null);
+  const [loading, setLoading] = useState(!(tree && tree.overall));
+  const [error, setError] = useState<string | null>(null);
+  const [selected, setSelected] = useState<string | null>(principle);
+  const [openScores, setOpenScores] = useState<Record<string, boolean>>({});
+  const [openEntries, setOpenEntries] = useState<Record<string, boolean>>({});
+
+  useEffect(() => {
+    if (tree && tree.overall) return;
+    const fetchProvenance = async () => {
+      try {
+        setLoading(true);
+        const response = await apiFetch(`/api/projects/${projectId}/provenance`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load score provenance');
+        setProvenance(data);
+      } catch (err: any) {
+        setError(err.message || 'Failed to load score provenance');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchProvenance();
+  }, [projectId, tree]);
+
+  const toggle = (setter: React.Dispatch<React.SetStateAction<Record<string, boolean>>>, key: string) =>
+    setter(prev => ({ ...prev, [key]: !prev[key] }));
+
+  const node = selected ? provenance?.byPrinciple[selected] : null;
+  const overall = provenance?.overall;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col">
+        <div className="px-6 py-4 border-b flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Where does this number come from?</h2>
+            <div className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+              <button onClick={() => setSelected(null)} className={selected ? 'text-blue-600 hover:underline' : 'font-semibold text-gray-700'}>
+                Overall
+              </button>
+              {selected && (
+                <>
+                  <ChevronRight className="h-3 w-3" />
+                  <span className="font-semibold text-gray-700">{selected}</span>
+                </>
+              )}
+              {!(tree && tree.overall) && <span className="ml-2">(current scores)</span>}
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto text-sm">
+          {loading && <div className="text-gray-500">Loading score provenance...</div>}
+          {error && <div className="text-red-600">{error}</div>}
+          {!loading && !error && !overall && <div className="text-gray-500">No scores to explain yet.</div>}
+
+          {/* Overall: mean of all answers vs. highest principle mean */}
+          {!loading && overall && !selected && (
+            <div className="space-y-4">
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <div className="text-2xl font-bold" style={{ color: overall.riskColor }}>
+                  {overall.averageERC.toFixed(2)} <span className="text-sm font-medium">{overall.riskLabel}</span>
+                </div>
+                <p className="text-xs text-gray-600 mt-2">
+                  Mean over all {overall.n} answers: {overall.cumulativeRisk.toFixed(2)} / {overall.n} = {overall.rawAverageERC.toFixed(2)}.
+                  {' '}Highest principle mean: {overall.maxPrincipleAverage.toFixed(2)}.
+                  {' '}{overall.drivenBy === 'all_answers'
+                    ? 'The overall value is the mean of all answers.'
+                    : `The overall value is raised to the ${overall.drivenBy} mean so a high-risk principle is not diluted.`}
+                </p>
+              </div>
+              <table className="min-w-full">
+                <thead className="bg-gray-50 text-gray-600 text-left text-xs">
+                  <tr>
+                    <th className="px-3 py-2 font-medium">Principle</th>
+                    <th className="px-3 py-2 font-medium">Risk / answers</th>
+                    <th className="px-3 py-2 font-medium">Mean ERC</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {overall.principles.map(p => (
+                    <tr key={p.principle} className="hover:bg-blue-50 cursor-pointer" onClick={() => setSelected(p.principle)}>
+                      <td className="px-3 py-2 text-blue-600">{p.principle}</td>
+                      <td className="px-3 py-2 text-gray-600">{p.cumulativeRisk.toFixed(2)} / {p.n}</td>
+                      <td className="px-3 py-2 font-semibold">{p.averageRisk.toFixed(2)} <span className="text-xs font-normal text-gray-500">{p.riskLabel}</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-gray-500">
+                From {overall.scores.length} score document(s):{' '}
+                {overall.scores.map(s => `${s.evaluatorName || s.role} (${s.questionnaireKey}, ${s.answers} answers)`).join('; ')}
+              </div>
+            </div>
+          )}
+
+          {/* Principle: score documents → answers → expert response */}
+          {!loading && selected && !node && <div className="text-gray-500">No answers for {selected}.</div>}
+          {!loading && node && (
+            <div className="space-y-3">
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <div className="text-2xl font-bold" style={{ color: node.riskColor }}>
+                  {node.averageRisk.toFixed(2)} <span className="text-sm font-medium">{node.riskLabel}</span>
+                </div>
+                <p className="text-xs text-gray-600 mt-2">
+                  {node.cumulativeRisk.toFixed(2)} risk over {node.n} answers{provenance?.scoringModel ? ` (${provenance.scoringModel})` : ''}.
+                  {' '}Each answer contributes importance × severity, scaled by its evaluator's role weight.
+                </p>
+              </div>
+              {node.scores.map(score => (
+                <div key={score.scoreId} className="border rounded-lg">
+                  <button
+                    onClick={() => toggle(setOpenScores, score.scoreId)}
+                    className="w-full px-4 py-2 flex items-center justify-between text-left hover:bg-gray-50"
+                  >
+                    <span className="flex items-center gap-2">
+                      {openScores[score.scoreId] ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                      <span className="font-medium">{score.evaluatorName || score.userId}</span>
+                      <span className="text-xs text-gray-500">{score.role} · {score.questionnaireKey} · {score.entries.length} answers</span>
+                    </span>
+                    <span className="font-semibold">{score.contribution.toFixed(2)}</span>
+                  </button>
+                  {openScores[score.scoreId] && (
+                    <div className="border-t divide-y divide-gray-100">
+                      <div className="px-4 py-1 text-xs text-gray-400">Score {score.scoreId}</div>
+                      {score.entries.map(entry => {
+                        const key = `${score.scoreId}_${entry.questionId}`;
+                        return (
+                          <div key={key} className="px-4 py-2">
+                            <button onClick={() => toggle(setOpenEntries, key)} className="w-full flex items-center justify-between text-left">
+                              <span className="flex items-center gap-2">
+                                {openEntries[key] ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+                                <span className="font-mono text-xs">{entry.questionCode}</span>
+                                <span className="text-xs text-gray-500">
+                                  {entry.importance} × {entry.answerSeverity?.toFixed(2)} = {entry.finalRiskContribution.toFixed(2)}
+                                </span>
+                              </span>
+                              <span className="text-xs font-semibold">{entry.weightedContribution.toFixed(2)}</span>
+                            </button>
+                            {openEntries[key] && (
+                              <div className="mt-2 ml-5 text-xs text-gray-600 space-y-1">
+                                {entry.questionText && <div className="text-gray-800">{entry.questionText}</div>}
+                                <div>Answer: <span className="font-medium text-gray-900">{describeAnswer(entry.answer)}</span></div>
+                                {entry.answer?.notes && <div>Notes: {entry.answer.notes}</div>}
+                                <div>Importance {entry.importance}: {describeSource(entry.importanceSource)}</div>
+                                <div>Severity {entry.answerSeverity?.toFixed(2)}: {describeSource(entry.severitySource)}</div>
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,9 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { ArrowLeft, Download, Loader2, Lock, MessageSquare } from "lucide-react";
-import { api } from "../api";
+import { apiFetch } from "../api";
+import { describeDenial, usePermissions } from "../hooks/usePermissions";
 import { User } from "../types";
 
-type RoleCategory = "admin" | "expert" | "viewer";
-
 type ReportSection = {
   principle: string;
   aiDraft?: string;
@@ -37,11 +36,10 @@ type ReportDoc = {
   }>;
 };
 
-const getRoleCategory = (role: string | undefined): RoleCategory => {
-  const r = String(role || "").toLowerCase();
-  if (r.includes("admin")) return "admin";
-  if (r.includes("viewer")) return "viewer";
-  return "expert";
+const getReportProjectId = (report: ReportDoc | null) => {
+  const projectId = report?.projectId;
+  if (!projectId) return undefined;
+  return typeof projectId === "string" ? projectId : projectId._id || projectId.id;
 };
 
 export function ReportReview({
@@ -53,7 +51,6 @@ export function ReportReview({
   currentUser: User;
   onBack: () => void;
 }) {
-  const roleCategory = useMemo(() => getRoleCategory(currentUser.role), [currentUser.role]);
   const [loading, setLoading] = useState(true);
   const [commenting, setCommenting] = useState(false);
   const [finalizing, setFinalizing] = useState(false);
@@ -61,11 +58,14 @@ export function ReportReview({
   const [activePrinciple, setActivePrinciple] = useState<string>("SUMMARY");
   const [commentText, setCommentText] = useState<string>("");
 
+  const { can, reasonFor } = usePermissions(getReportProjectId(report));
+
   const isLocked = report?.status === "final";
   // Allow comments even if locked (final), as long as not archived (or just allow always for experts)
   // modifying to allow experts/admins to comment on Final reports
-  const canComment = (roleCategory === "expert" || roleCategory === "admin") && report?.status !== "archived";
-  const canFinalize = roleCategory === "admin" && !isLocked;
+  const canComment = can("report.comment") && report?.status !== "archived";
+  const canFinalize = can("report.finalize") && !isLocked;
+  const commentRestriction = reasonFor("report.comment") || "Commenting is restricted.";
 
   const activeSection = useMemo(() => {
     const sections = report?.sections;
@@ -84,7 +84,7 @@ export function ReportReview({
   const refresh = async () => {
     setLoading(true);
     try {
-      const res = await fetch(api(`/api/reports/${reportId}?userId=${currentUser.id}`));
+      const res = await apiFetch(`/api/reports/${reportId}?userId=${currentUser.id}`);
       if (!res.ok) {
         const err = await res.json().catch(() => ({} as any));
         throw new Error(err.error || "Report could not be loaded");
@@ -132,7 +132,7 @@ export function ReportReview({
         body = { userId: currentUser.id, text };
       }
 
-      const res = await fetch(api(url), {
+      const res = await apiFetch(url, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(body),
@@ -140,7 +140,7 @@ export function ReportReview({
 
       if (!res.ok) {
         const err = await res.json().catch(() => ({} as any));
-        throw new Error(err.error || "Failed to add comment");
+        throw new Error(res.status === 403 ? describeDenial(err.code, err.error) : err.error || "Failed to add comment");
       }
       setCommentText("");
       await refresh();
@@ -160,14 +160,14 @@ export function ReportReview({
 
     setFinalizing(true);
     try {
-      const res = await fetch(api(`/api/reports/${reportId}/finalize`), {
+      const res = await apiFetch(`/api/reports/${reportId}/finalize`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ userId: currentUser.id }),
       });
       if (!res.ok) {
         const err = await res.json().catch(() => ({} as any));
-        throw new Error(err.error || "Failed to finalize report");
+        throw new Error(res.status === 403 ? describeDenial(err.code, err.error) : err.error || "Failed to finalize report");
       }
       await refresh();
     } catch (e: any) {
@@ -179,7 +179,7 @@ export function ReportReview({
 
   const handleDownloadPdf = async () => {
     try {
-      const res = await fetch(api(`/api/reports/${reportId}/download?userId=${currentUser.id}`));
+      const res = await apiFetch(`/api/reports/${reportId}/download?userId=${currentUser.id}`);
       if (!res.ok) {
         const err = await res.json().catch(() => ({} as any));
         throw new Error(err.error || "PDF could not be downloaded");
@@ -239,10 +239,11 @@ export function ReportReview({
               PDF
             </button>
 
-            {canFinalize && (
+            {!isLocked && (
               <button
                 onClick={handleFinalize}
-                disabled={finalizing || loading}
+                disabled={!canFinalize || finalizing || loading}
+                title={reasonFor("report.finalize")}
                 className="px-4 py-2 rounded-lg bg-gray-900 hover:bg-black text-white text-sm font-semibold flex items-center gap-2 disabled:opacity-60"
               >
                 {finalizing ? <Loader2 className="h-4 w-4 animate-spin" /> : <Lock className="h-4 w-4" />}
@@ -351,7 +352,7 @@ export function ReportReview({
                             disabled={!canComment || commenting}
                             rows={3}
                             className="w-full border border-gray-200 rounded-xl p-3 text-sm text-gray-800 focus:outline-none focus:ring-4 focus:ring-purple-500/10 focus:border-purple-500 disabled:bg-gray-50"
-                            placeholder={canComment ? "Add a general comment..." : "Commenting is restricted."}
+                            placeholder={canComment ? "Add a general comment..." : commentRestriction}
                           />
                           <div className="flex justify-end">
                             <button
@@ -426,7 +427,7 @@ export function ReportReview({
                             disabled={!canComment || commenting}
                             rows={3}
                             className="w-full border border-gray-200 rounded-xl p-3 text-sm text-gray-800 focus:outline-none focus:ring-4 focus:ring-blue-500/10 focus:border-blue-500 disabled:bg-gray-50"
-                            placeholder={canComment ? "Add a specific comment..." : "Commenting is restricted."}
+                            placeholder={canComment ? "Add a specific comment..." : commentRestriction}
                           />
                           <div className="flex justify-end">
                             <button
@@ -1,11 +1,13 @@
 /**
  * Minimal Report Viewer Component
- * Opens PDF reports in an embedded viewer or new tab
+ * Opens PDF reports in an embedded viewer or new tab; the report's overall and
+ * principle values open their score provenance
  */
 
 import React, { useEffect, useState } from 'react';
-import { ArrowLeft, Download, ExternalLink } from 'lucide-react';
-import { api } from '../api';
+import { AlertTriangle, ArrowLeft, Download, ExternalLink } from 'lucide-react';
+import { apiFetch, fetchObjectUrl, openInNewTab } from '../api';
+import { ProvenanceDrilldown, ProvenanceTree } from './ProvenanceDrilldown';
 
 interface ReportViewerProps {
   reportId: string;
@@ -17,13 +19,17 @@ export function ReportViewer({ reportId, currentUser, onBack }: ReportViewerProp
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [reportUrl, setReportUrl] = useState<string | null>(null);
+  const [report, setReport] = useState<any>(null);
+  // Principle whose score provenance is open (null = overall, undefined = closed)
+  const [provenanceOf, setProvenanceOf] = useState<string | null | undefined>(undefined);
 
   useEffect(() => {
+    let fileUrl: string | null = null;
     const loadReport = async () => {
       try {
         setLoading(true);
-        // Get report file URL
-        const fileUrl = api(`/api/reports/${reportId}/file`);
+        // The iframe / new tab get a blob: URL, fetched with the session token as a header
+        fileUrl = await fetchObjectUrl(`/api/reports/${reportId}/file`);
         setReportUrl(fileUrl);
         setError(null);
       } catch (err: any) {
@@ -34,11 +40,39 @@ export function ReportViewer({ reportId, currentUser, onBack }: ReportViewerProp
       }
     };
 
+    // Figures the report was generated with, for the provenance drill-down
+    const loadFigures = async () => {
+      try {
+        const response = await apiFetch(`/api/reports/${reportId}`);
+        if (response.ok) setReport(await response.json());
+      } catch (err) {
+        console.warn('Could not load report figures:', err);
+      }
+    };
+
     if (reportId) {
       loadReport();
+      loadFigures();
     }
+    return () => {
+      if (fileUrl) URL.revokeObjectURL(fileUrl);
+    };
   }, [reportId]);
 
+  const metrics = report?.computedMetrics;
+  // Texts the report shows in English because its locale has no translation for them
+  const translationWarnings: string[] = report?.metadata?.translationWarnings || [];
+  const projectId = report?.projectId?._id || report?.projectId;
+  const principleFigures = Object.entries(metrics?.scoring?.byPrincipleOverall || {})
+    .filter(([, value]: [string, any]) => value && typeof value.averageRisk === 'number') as Array<[string, any]>;
+  // Provenance stored with the report (reports generated before it existed load the current scores)
+  const provenanceTree: ProvenanceTree | null = metrics?.scoring?.totalsOverall?.provenance
+    ? {
+      overall: metrics.scoring.totalsOverall.provenance,
+      byPrinciple: Object.fromEntries(principleFigures.map(([principle, value]) => [principle, value.provenance || null]))
+    }
+    : null;
+
   const handleDownloadPDF = () => {
     if (reportUrl) {
       window.open(reportUrl, '_blank');
@@ -46,8 +80,9 @@ export function ReportViewer({ reportId, currentUser, onBack }: ReportViewerProp
   };
 
   const handleDownloadHTML = () => {
-    const htmlUrl = api(`/api/reports/${reportId}/download-html?userId=${currentUser._id}`);
-    window.open(htmlUrl, '_blank');
+    openInNewTab(`/api/reports/${reportId}/download-html`).catch(err => {
+      console.error('Error opening HTML report:', err);
+    });
   };
 
   const handleOpenInNewTab = () => {
@@ -125,6 +160,48 @@ export function ReportViewer({ reportId, currentUser, onBack }: ReportViewerProp
         </div>
       </div>
 
+      {/* Report figures: click a value to see where it comes from */}
+      {projectId && metrics?.overallTotals && (
+        <div className="px-6 pt-4">
+          <div className="bg-white rounded-lg shadow-sm border px-4 py-3 flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-xs text-gray-500 mr-2">Where do the numbers come from?</span>
+            <button
+              onClick={() => setProvenanceOf(null)}
+              className="px-3 py-1 rounded-full border font-semibold hover:bg-blue-50"
+              style={{ color: metrics.overallTotals.normalizedColor }}
+            >
+              Overall {metrics.overallTotals.averageERC?.toFixed(2)} – {metrics.overallTotals.normalizedLabel}
+            </button>
+            {principleFigures.map(([principle, value]) => (
+              <button
+                key={principle}
+                onClick={() => setProvenanceOf(principle)}
+                className="px-3 py-1 rounded-full border text-xs hover:bg-blue-50"
+                style={{ color: value.normalizedColor }}
+              >
+                {principle} {value.averageRisk.toFixed(2)} – {value.normalizedLabel}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {translationWarnings.length > 0 && (
+        <div className="px-6 pt-4">
+          <details className="bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-800">
+            <summary className="flex items-center cursor-pointer font-medium">
+              <AlertTriangle className="h-4 w-4 mr-2" />
+              {translationWarnings.length} text{translationWarnings.length === 1 ? '' : 's'} not translated to {String(report.metadata.locale || '').toUpperCase()}, shown in English
+            </summary>
+            <ul className="mt-2 ml-6 list-disc space-y-1">
+              {translationWarnings.map((warning, idx) => (
+                <li key={idx}>{warning}</li>
+              ))}
+            </ul>
+          </details>
+        </div>
+      )}
+
       {/* PDF Viewer */}
       <div className="p-6">
         <div className="bg-white rounded-lg shadow-sm border" style={{ minHeight: '800px' }}>
@@ -138,6 +215,15 @@ export function ReportViewer({ reportId, currentUser, onBack }: ReportViewerProp
           )}
         </div>
       </div>
+
+      {projectId && provenanceOf !== undefined && (
+        <ProvenanceDrilldown
+          projectId={projectId}
+          principle={provenanceOf}
+          tree={provenanceTree}
+          onClose={() => setProvenanceOf(undefined)}
+        />
+      )}
     </div>
   );
 }
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface ResetPasswordProps {
     onBackToLogin: () => void;
@@ -48,7 +48,7 @@ export function ResetPassword({ onBackToLogin }: ResetPasswordProps) {
         setMessage(null);
 
         try {
-            const response = await fetch(api('/api/reset-password'), {
+            const response = await apiFetch('/api/reset-password', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ token, newPassword })
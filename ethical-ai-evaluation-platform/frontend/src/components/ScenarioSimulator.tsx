@@ -0,0 +1,539 @@
+import React, { useEffect, useState } from 'react';
+import { FlaskConical, Save, Trash2, Columns } from 'lucide-react';
+import { apiFetch } from '../api';
+import { Tension } from '../types';
+
+interface ScenarioSimulatorProps {
+  projectId: string;
+  tensions: Tension[];
+}
+
+interface ScoreSummary {
+  risk: number;
+  n: number;
+  averageERC: number | null;
+  riskLevel: string;
+  riskLabel: string;
+}
+
+interface ScenarioScore {
+  overall: ScoreSummary;
+  byPrinciple: Record<string, ScoreSummary | null>;
+}
+
+interface ScenarioDelta {
+  averageERC: number | null;
+  risk: number | null;
+  riskLevelChanged: boolean;
+  byPrinciple: Record<string, number | null>;
+}
+
+interface TensionSummary {
+  total: number;
+  mitigated: number;
+  open: number;
+  openBySeverity: { low: number; medium: number; high: number };
+}
+
+interface AnsweredQuestion {
+  questionId: string;
+  questionCode: string | null;
+  questionText: string;
+  principle: string;
+  answers: number;
+  averageSeverity: number;
+  averageContribution: number;
+}
+
+interface SimulationResult {
+  scoringModel: string;
+  thresholdsVersion: string;
+  baseline: ScenarioScore;
+  simulated: ScenarioScore;
+  delta: ScenarioDelta;
+  tensions: { baseline: TensionSummary; simulated: TensionSummary };
+  unmatched: { questionIds: string[]; tensionIds: string[] };
+  questions?: AnsweredQuestion[];
+}
+
+interface SavedScenario {
+  _id: string;
+  name: string;
+  description?: string;
+  questionChanges: Array<{ questionId: string; answerSeverity: number }>;
+  mitigatedTensionIds: string[];
+  includeInReport: boolean;
+  createdBy?: { name?: string };
+  result: SimulationResult;
+}
+
+interface ScenarioComparison {
+  baseline: ScenarioScore;
+  scenarios: Array<{ _id: string; name: string; simulated: ScenarioScore; delta: ScenarioDelta; tensions: TensionSummary }>;
+}
+
+// Target severities offered per question (0 = fully addressed)
+const SEVERITY_OPTIONS = [
+  { value: 0, label: '0 – fully addressed' },
+  { value: 0.25, label: '0.25' },
+  { value: 0.5, label: '0.5' },
+  { value: 0.75, label: '0.75' }
+];
+
+const formatERC = (value: number | null | undefined) => (value === null || value === undefined ? 'N/A' : value.toFixed(2));
+
+const formatDelta = (value: number | null | undefined) => {
+  if (value === null || value === undefined) return '';
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+};
+
+const deltaClass = (value: number | null | undefined) => {
+  if (!value) return 'text-gray-500';
+  return value < 0 ? 'text-green-700' : 'text-red-700';
+};
+
+/**
+ * What-if simulator: rescore the project with hypothetical answer severities
+ * and tension mitigations, save scenarios and compare them side by side
+ */
+export function ScenarioSimulator({ projectId, tensions }: ScenarioSimulatorProps) {
+  const [result, setResult] = useState<SimulationResult | null>(null);
+  const [questions, setQuestions] = useState<AnsweredQuestion[]>([]);
+  const [changes, setChanges] = useState<Record<string, number>>({});
+  const [mitigated, setMitigated] = useState<string[]>([]);
+  const [simulating, setSimulating] = useState(false);
+  const [saved, setSaved] = useState<SavedScenario[]>([]);
+  const [form, setForm] = useState({ name: '', description: '', includeInReport: false });
+  const [saving, setSaving] = useState(false);
+  const [compareIds, setCompareIds] = useState<string[]>([]);
+  const [comparison, setComparison] = useState<ScenarioComparison | null>(null);
+
+  const scenarioBody = () => ({
+    questionChanges: Object.entries(changes).map(([questionId, answerSeverity]) => ({ questionId, answerSeverity })),
+    mitigatedTensionIds: mitigated
+  });
+
+  const simulate = async (body = scenarioBody()) => {
+    setSimulating(true);
+    try {
+      const res = await apiFetch(`/api/projects/${projectId}/scenarios/simulate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to simulate scenario');
+        return;
+      }
+      setResult(data);
+      if (data.questions) setQuestions(data.questions);
+    } catch (err) {
+      console.error('Simulate scenario error:', err);
+      alert('Failed to simulate scenario');
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const fetchSaved = async () => {
+    try {
+      const res = await apiFetch(`/api/projects/${projectId}/scenarios`);
+      if (res.ok) setSaved(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch scenarios:', err);
+    }
+  };
+
+  useEffect(() => {
+    setChanges({});
+    setMitigated([]);
+    setComparison(null);
+    setCompareIds([]);
+    simulate({ questionChanges: [], mitigatedTensionIds: [] });
+    fetchSaved();
+  }, [projectId]);
+
+  const setChange = (questionId: string, value: string) => {
+    setChanges((prev) => {
+      const next = { ...prev };
+      if (value === '') delete next[questionId];
+      else next[questionId] = Number(value);
+      return next;
+    });
+  };
+
+  const toggleMitigated = (tensionId: string) => {
+    setMitigated((prev) => (prev.includes(tensionId) ? prev.filter((id) => id !== tensionId) : [...prev, tensionId]));
+  };
+
+  const saveScenario = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await apiFetch(`/api/projects/${projectId}/scenarios`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, name: form.name.trim(), ...scenarioBody() })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to save scenario');
+        return;
+      }
+      setForm({ name: '', description: '', includeInReport: false });
+      await fetchSaved();
+    } catch (err) {
+      console.error('Save scenario error:', err);
+      alert('Failed to save scenario');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadScenario = (scenario: SavedScenario) => {
+    const nextChanges = Object.fromEntries(scenario.questionChanges.map((c) => [String(c.questionId), c.answerSeverity]));
+    const nextMitigated = scenario.mitigatedTensionIds.map(String);
+    setChanges(nextChanges);
+    setMitigated(nextMitigated);
+    simulate({ questionChanges: scenario.questionChanges, mitigatedTensionIds: nextMitigated });
+  };
+
+  const toggleInReport = async (scenario: SavedScenario) => {
+    try {
+      const res = await apiFetch(`/api/projects/${projectId}/scenarios/${scenario._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ includeInReport: !scenario.includeInReport })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to update scenario');
+        return;
+      }
+      setSaved((prev) => prev.map((s) => (s._id === scenario._id ? data : s)));
+    } catch (err) {
+      console.error('Update scenario error:', err);
+      alert('Failed to update scenario');
+    }
+  };
+
+  const deleteScenario = async (scenario: SavedScenario) => {
+    if (!window.confirm(`Delete scenario "${scenario.name}"?`)) return;
+    try {
+      const res = await apiFetch(`/api/projects/${projectId}/scenarios/${scenario._id}`, { method: 'DELETE' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to delete scenario');
+        return;
+      }
+      setCompareIds((prev) => prev.filter((id) => id !== scenario._id));
+      setComparison(null);
+      await fetchSaved();
+    } catch (err) {
+      console.error('Delete scenario error:', err);
+      alert('Failed to delete scenario');
+    }
+  };
+
+  const compare = async () => {
+    try {
+      const res = await apiFetch(`/api/projects/${projectId}/scenarios/compare?ids=${compareIds.join(',')}`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        alert(data.error || 'Failed to compare scenarios');
+        return;
+      }
+      setComparison(data);
+    } catch (err) {
+      console.error('Compare scenarios error:', err);
+      alert('Failed to compare scenarios');
+    }
+  };
+
+  const openTensions = tensions.filter((t) => t.status !== 'disproven');
+  const principles = result ? Object.keys(result.baseline.byPrinciple).filter((p) => result.baseline.byPrinciple[p]) : [];
+  const inputClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  if (!result) {
+    return <div className="p-8 text-center text-gray-500 text-sm">{simulating ? 'Loading current scores...' : 'No scores to simulate yet.'}</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <FlaskConical className="h-5 w-5 mr-2 text-blue-600" /> What-If Scenarios
+        </h3>
+        <p className="text-sm text-gray-600">
+          Change answer severities or mark tension mitigations as done to see how the risk would move. Nothing is saved to the project's scores.
+        </p>
+      </div>
+
+      {/* Result */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-gray-50 border rounded-lg p-4">
+          <div className="text-xs font-bold text-gray-500 uppercase mb-1">Current</div>
+          <div className="text-2xl font-bold text-gray-900">{formatERC(result.baseline.overall.averageERC)} <span className="text-sm font-normal text-gray-500">/ 4</span></div>
+          <div className="text-sm text-gray-700">{result.baseline.overall.riskLabel}</div>
+        </div>
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <div className="text-xs font-bold text-blue-700 uppercase mb-1">Scenario</div>
+          <div className="text-2xl font-bold text-gray-900">
+            {formatERC(result.simulated.overall.averageERC)} <span className="text-sm font-normal text-gray-500">/ 4</span>
+            <span className={`ml-2 text-base ${deltaClass(result.delta.averageERC)}`}>{formatDelta(result.delta.averageERC)}</span>
+          </div>
+          <div className="text-sm text-gray-700">{result.simulated.overall.riskLabel}</div>
+        </div>
+        <div className="bg-gray-50 border rounded-lg p-4">
+          <div className="text-xs font-bold text-gray-500 uppercase mb-1">Open tensions</div>
+          <div className="text-2xl font-bold text-gray-900">
+            {result.tensions.baseline.open} → {result.tensions.simulated.open}
+          </div>
+          <div className="text-xs text-gray-500">Tension mitigations do not change ERC</div>
+        </div>
+      </div>
+
+      {(result.unmatched.questionIds.length > 0 || result.unmatched.tensionIds.length > 0) && (
+        <div className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+          {result.unmatched.questionIds.length + result.unmatched.tensionIds.length} change(s) no longer match an answered question or a tension of this project and were ignored.
+        </div>
+      )}
+
+      <div className="bg-white border rounded-lg overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600 text-left">
+            <tr>
+              <th className="px-4 py-2 font-medium">Principle</th>
+              <th className="px-4 py-2 font-medium">Current ERC</th>
+              <th className="px-4 py-2 font-medium">Scenario ERC</th>
+              <th className="px-4 py-2 font-medium">Change</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {principles.map((principle) => (
+              <tr key={principle}>
+                <td className="px-4 py-2 text-gray-900">{principle}</td>
+                <td className="px-4 py-2">{formatERC(result.baseline.byPrinciple[principle]?.averageERC)} <span className="text-xs text-gray-500">{result.baseline.byPrinciple[principle]?.riskLabel}</span></td>
+                <td className="px-4 py-2">{formatERC(result.simulated.byPrinciple[principle]?.averageERC)} <span className="text-xs text-gray-500">{result.simulated.byPrinciple[principle]?.riskLabel}</span></td>
+                <td className={`px-4 py-2 font-medium ${deltaClass(result.delta.byPrinciple[principle])}`}>{formatDelta(result.delta.byPrinciple[principle])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Changes */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white border rounded-lg overflow-hidden">
+          <div className="px-4 py-3 border-b bg-gray-50 text-sm font-semibold text-gray-700">Questions (highest contribution first)</div>
+          <div className="max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="text-gray-600 text-left">
+                <tr>
+                  <th className="px-4 py-2 font-medium">Question</th>
+                  <th className="px-4 py-2 font-medium">Avg. severity</th>
+                  <th className="px-4 py-2 font-medium">Scenario severity</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {questions.map((q) => (
+                  <tr key={q.questionId} className={changes[q.questionId] !== undefined ? 'bg-blue-50' : ''}>
+                    <td className="px-4 py-2">
+                      <div className="font-medium text-gray-900">{q.questionCode || q.questionId}</div>
+                      <div className="text-xs text-gray-500">{q.principle} · {q.answers} answer(s)</div>
+                      {q.questionText && <div className="text-xs text-gray-600 line-clamp-2">{q.questionText}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-gray-700">{q.averageSeverity.toFixed(2)}</td>
+                    <td className="px-4 py-2">
+                      <select
+                        value={changes[q.questionId] ?? ''}
+                        onChange={(e) => setChange(q.questionId, e.target.value)}
+                        className={inputClass}
+                      >
+                        <option value="">Unchanged</option>
+                        {SEVERITY_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          <div className="bg-white border rounded-lg p-4">
+            <div className="text-sm font-semibold text-gray-700 mb-2">Tension mitigations done</div>
+            {openTensions.length === 0 ? (
+              <div className="text-sm text-gray-500">No tensions.</div>
+            ) : (
+              <div className="space-y-2 max-h-48 overflow-y-auto">
+                {openTensions.map((t) => (
+                  <label key={t.id} className="flex items-start text-sm text-gray-700">
+                    <input type="checkbox" className="mt-1 mr-2" checked={mitigated.includes(t.id)} onChange={() => toggleMitigated(t.id)} />
+                    <span>{t.claimStatement || `${t.principle1} vs ${t.principle2}`} <span className="text-xs text-gray-500">({t.severity})</span></span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <button
+            onClick={() => simulate()}
+            disabled={simulating}
+            className="w-full px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {simulating ? 'Simulating...' : 'Run simulation'}
+          </button>
+
+          <form onSubmit={saveScenario} className="bg-white border rounded-lg p-4 space-y-2">
+            <div className="text-sm font-semibold text-gray-700">Save scenario</div>
+            <input
+              required
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Name"
+              className={`${inputClass} w-full`}
+            />
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Description (optional)"
+              rows={2}
+              className={`${inputClass} w-full`}
+            />
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={form.includeInReport}
+                onChange={(e) => setForm({ ...form, includeInReport: e.target.checked })}
+              />
+              List in the report's recommendations
+            </label>
+            <button
+              type="submit"
+              disabled={saving || !form.name.trim()}
+              className="w-full px-4 py-2 text-sm font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50 flex items-center justify-center"
+            >
+              <Save className="h-4 w-4 mr-2" /> {saving ? 'Saving...' : 'Save'}
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {/* Saved scenarios */}
+      <div className="bg-white border rounded-lg overflow-hidden">
+        <div className="px-4 py-3 border-b bg-gray-50 flex items-center justify-between">
+          <span className="text-sm font-semibold text-gray-700">Saved scenarios</span>
+          <button
+            onClick={compare}
+            disabled={compareIds.length === 0}
+            className="px-3 py-1.5 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 flex items-center"
+          >
+            <Columns className="h-4 w-4 mr-1" /> Compare selected
+          </button>
+        </div>
+        {saved.length === 0 ? (
+          <div className="p-4 text-sm text-gray-500">No saved scenarios yet.</div>
+        ) : (
+          <table className="w-full text-sm">
+            <tbody className="divide-y divide-gray-100">
+              {saved.map((scenario) => (
+                <tr key={scenario._id}>
+                  <td className="px-4 py-2 w-8">
+                    <input
+                      type="checkbox"
+                      checked={compareIds.includes(scenario._id)}
+                      onChange={() => setCompareIds((prev) => (prev.includes(scenario._id) ? prev.filter((id) => id !== scenario._id) : [...prev, scenario._id]))}
+                    />
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="font-medium text-gray-900">{scenario.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {scenario.questionChanges.length} question(s), {scenario.mitigatedTensionIds.length} tension(s)
+                      {scenario.createdBy?.name ? ` · ${scenario.createdBy.name}` : ''}
+                    </div>
+                  </td>
+                  <td className="px-4 py-2">
+                    {formatERC(scenario.result.simulated.overall.averageERC)}{' '}
+                    <span className={deltaClass(scenario.result.delta.averageERC)}>{formatDelta(scenario.result.delta.averageERC)}</span>
+                    <div className="text-xs text-gray-500">{scenario.result.simulated.overall.riskLabel}</div>
+                  </td>
+                  <td className="px-4 py-2">
+                    <label className="flex items-center text-xs text-gray-700">
+                      <input type="checkbox" className="mr-1" checked={scenario.includeInReport} onChange={() => toggleInReport(scenario)} />
+                      In report
+                    </label>
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => loadScenario(scenario)}
+                      className="px-3 py-1.5 mr-2 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50"
+                    >
+                      Load
+                    </button>
+                    <button onClick={() => deleteScenario(scenario)} className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg" title="Delete">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {comparison && (
+        <div className="bg-white border rounded-lg overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-2 font-medium">Average ERC ( / 4 )</th>
+                <th className="px-4 py-2 font-medium">Current</th>
+                {comparison.scenarios.map((s) => (
+                  <th key={s._id} className="px-4 py-2 font-medium">{s.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              <tr className="font-semibold">
+                <td className="px-4 py-2">Overall</td>
+                <td className="px-4 py-2">{formatERC(comparison.baseline.overall.averageERC)} <span className="text-xs font-normal text-gray-500">{comparison.baseline.overall.riskLabel}</span></td>
+                {comparison.scenarios.map((s) => (
+                  <td key={s._id} className="px-4 py-2">
+                    {formatERC(s.simulated.overall.averageERC)}{' '}
+                    <span className={deltaClass(s.delta.averageERC)}>{formatDelta(s.delta.averageERC)}</span>{' '}
+                    <span className="text-xs font-normal text-gray-500">{s.simulated.overall.riskLabel}</span>
+                  </td>
+                ))}
+              </tr>
+              {Object.keys(comparison.baseline.byPrinciple).filter((p) => comparison.baseline.byPrinciple[p]).map((principle) => (
+                <tr key={principle}>
+                  <td className="px-4 py-2 text-gray-900">{principle}</td>
+                  <td className="px-4 py-2">{formatERC(comparison.baseline.byPrinciple[principle]?.averageERC)}</td>
+                  {comparison.scenarios.map((s) => (
+                    <td key={s._id} className="px-4 py-2">
+                      {formatERC(s.simulated.byPrinciple[principle]?.averageERC)}{' '}
+                      <span className={deltaClass(s.delta.byPrinciple[principle])}>{formatDelta(s.delta.byPrinciple[principle])}</span>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td className="px-4 py-2 text-gray-900">Open tensions</td>
+                <td className="px-4 py-2">—</td>
+                {comparison.scenarios.map((s) => (
+                  <td key={s._id} className="px-4 py-2">{s.tensions.open}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
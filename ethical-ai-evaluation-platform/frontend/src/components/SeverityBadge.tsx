@@ -1,35 +1,60 @@
 import React from 'react';
 import { TensionSeverity } from '../types';
 import { getSeverityColor } from '../utils/helpers';
+import { classifyRiskScore, RiskLevel, useRiskThresholds } from '../hooks/useRiskThresholds';
 
 interface SeverityBadgeProps {
-  severity: TensionSeverity;
+  severity?: TensionSeverity;
+  /** 0-4 risk score; classified with the backend thresholds instead of `severity` */
+  score?: number | null;
+  /** Classify with the thresholds this project is pinned to */
+  projectId?: string | null;
   size?: 'sm' | 'md' | 'lg';
   showLabel?: boolean;
 }
 
-export function SeverityBadge({ severity, size = 'md', showLabel = false }: SeverityBadgeProps) {
+export function SeverityBadge({ severity = 'low', score, projectId, size = 'md', showLabel = false }: SeverityBadgeProps) {
+  const thresholds = useRiskThresholds(projectId);
   const colors = getSeverityColor(severity);
-  
+  const scoreMode = score !== undefined;
+
   const sizeClasses = {
     sm: 'w-2 h-2',
     md: 'w-3 h-3',
     lg: 'w-4 h-4'
   };
 
+  // Same level, label and color as the backend (see useRiskThresholds)
+  let level: RiskLevel | undefined;
+  if (thresholds) {
+    level = scoreMode
+      ? classifyRiskScore(thresholds, score)
+      : thresholds.levels.find((l) => l.level === severity.toUpperCase());
+  }
+
+  const severityLabel = severity.charAt(0).toUpperCase() + severity.slice(1);
+  const label = scoreMode ? level?.label ?? '…' : severityLabel;
+  const title = scoreMode ? `${label}${typeof score === 'number' ? ` (${score.toFixed(2)})` : ''}` : `${severityLabel} severity`;
+  const dotClass = level || scoreMode ? 'bg-gray-400' : colors.badge;
+  const dotStyle = level ? { backgroundColor: level.color } : undefined;
+
   if (showLabel) {
     return (
-      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs ${colors.bg} ${colors.text}`}>
-        <span className={`${sizeClasses[size]} rounded-full ${colors.badge} mr-1.5`} />
-        {severity.charAt(0).toUpperCase() + severity.slice(1)}
+      <span
+        className={`inline-flex items-center px-2 py-1 rounded-full text-xs ${level || scoreMode ? 'bg-gray-100 text-gray-800' : `${colors.bg} ${colors.text}`}`}
+        title={title}
+      >
+        <span className={`${sizeClasses[size]} rounded-full ${dotClass} mr-1.5`} style={dotStyle} />
+        {label}
       </span>
     );
   }
 
   return (
     <span
-      className={`inline-block ${sizeClasses[size]} rounded-full ${colors.badge}`}
-      title={`${severity.charAt(0).toUpperCase() + severity.slice(1)} severity`}
+      className={`inline-block ${sizeClasses[size]} rounded-full ${dotClass}`}
+      style={dotStyle}
+      title={title}
     />
   );
 }
@@ -3,7 +3,7 @@ import { ArrowLeft, Send, Pin, MessageSquare, Hash, Loader2, Trash2 } from 'luci
 import { User, Project, Message } from '../types';
 import { roleColors } from '../utils/constants';
 import { formatTime, getProjectById } from '../utils/helpers';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface SharedAreaProps {
   currentUser: User;
@@ -51,8 +51,8 @@ export function SharedArea({ currentUser, projects, users, onBack }: SharedAreaP
       setLoading(true);
       try {
         const projectParam = selectedProject !== 'all' ? `projectId=${selectedProject}` : '';
-        const url = projectParam ? api(`/api/shared-discussions?${projectParam}`) : api('/api/shared-discussions');
-        const response = await fetch(url);
+        const url = projectParam ? `/api/shared-discussions?${projectParam}` : '/api/shared-discussions';
+        const response = await apiFetch(url);
         if (response.ok) {
           const data: SharedDiscussionResponse[] = await response.json();
           setDiscussionsData(data);
@@ -107,7 +107,7 @@ export function SharedArea({ currentUser, projects, users, onBack }: SharedAreaP
       console.log('Sending message with payload:', payload);
       console.log('Current user:', currentUser);
 
-      const response = await fetch(api('/api/shared-discussions'), {
+      const response = await apiFetch('/api/shared-discussions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload)
@@ -160,7 +160,7 @@ export function SharedArea({ currentUser, projects, users, onBack }: SharedAreaP
     if (!message) return;
 
     try {
-      const response = await fetch(api(`/api/shared-discussions/${messageId}/pin`), {
+      const response = await apiFetch(`/api/shared-discussions/${messageId}/pin`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -209,7 +209,7 @@ export function SharedArea({ currentUser, projects, users, onBack }: SharedAreaP
     }
 
     try {
-      const response = await fetch(api(`/api/shared-discussions/${messageId}`), {
+      const response = await apiFetch(`/api/shared-discussions/${messageId}`, {
         method: 'DELETE'
       });
 
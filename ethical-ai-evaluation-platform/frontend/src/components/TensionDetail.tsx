@@ -1,7 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react'; // useRef eklendi
 import { ArrowLeft, Download, Trash2, Plus, FileText, Calendar, User as UserIcon, Send, Upload, Check } from 'lucide-react';
 import { Tension, User, Evidence } from '../types';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface TensionDetailProps {
   tension: Tension;
@@ -30,7 +30,7 @@ export function TensionDetail({ tension: initialTension, currentUser, users, onB
     const fetchTension = async () => {
       try {
         const id = tension.id || (tension as any)._id;
-        const response = await fetch(api(`/api/tensions/id/${id}`));
+        const response = await apiFetch(`/api/tensions/id/${id}`);
         if (response.ok) {
           const fresh = await response.json();
           setTension((prev) => ({ ...prev, ...fresh }));
@@ -54,7 +54,7 @@ export function TensionDetail({ tension: initialTension, currentUser, users, onB
     }
 
     try {
-      const response = await fetch(api(`/api/tensions/${tension.id || (tension as any)._id}/comment`), {
+      const response = await apiFetch(`/api/tensions/${tension.id || (tension as any)._id}/comment`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -87,7 +87,7 @@ export function TensionDetail({ tension: initialTension, currentUser, users, onB
     }
     
     try {
-      const response = await fetch(api(`/api/tensions/${tension.id || (tension as any)._id}/evidence`), {
+      const response = await apiFetch(`/api/tensions/${tension.id || (tension as any)._id}/evidence`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -128,8 +128,8 @@ export function TensionDetail({ tension: initialTension, currentUser, users, onB
                   if (!confirmDelete) return;
                   try {
                     const id = tension.id || (tension as any)._id;
-                    const response = await fetch(
-                      api(`/api/tensions/${id}?userId=${encodeURIComponent(currentUser.id)}`),
+                    const response = await apiFetch(
+                      `/api/tensions/${id}?userId=${encodeURIComponent(currentUser.id)}`,
                       { method: 'DELETE' }
                     );
                     if (response.ok) {
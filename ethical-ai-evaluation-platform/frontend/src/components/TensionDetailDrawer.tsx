@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Download, Plus, FileText, Send, X, Check, Upload } from 'lucide-react';
 import { Tension, User } from '../types';
-import { api } from '../api';
+import { apiFetch } from '../api';
 import { Sheet, SheetContent, SheetHeader, SheetTitle } from './ui/sheet';
 
 interface TensionDetailDrawerProps {
@@ -41,7 +41,7 @@ export function TensionDetailDrawer({
       const fetchTension = async () => {
         try {
           const id = tension.id || (tension as any)._id;
-          const response = await fetch(api(`/api/tensions/id/${id}`));
+          const response = await apiFetch(`/api/tensions/id/${id}`);
           if (response.ok) {
             const fresh = await response.json();
             setTension((prev) => ({ ...prev, ...fresh }));
@@ -74,7 +74,7 @@ export function TensionDetailDrawer({
     if (!commentText.trim()) return;
 
     try {
-      const response = await fetch(api(`/api/tensions/${tension.id || (tension as any)._id}/comment`), {
+      const response = await apiFetch(`/api/tensions/${tension.id || (tension as any)._id}/comment`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -111,7 +111,7 @@ export function TensionDetailDrawer({
     }
     
     try {
-      const response = await fetch(api(`/api/tensions/${tension.id || (tension as any)._id}/evidence`), {
+      const response = await apiFetch(`/api/tensions/${tension.id || (tension as any)._id}/evidence`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -144,7 +144,7 @@ export function TensionDetailDrawer({
     if (!text || !text.trim()) return;
 
     try {
-      const response = await fetch(api(`/api/tensions/${tension.id || (tension as any)._id}/evidence/${evidenceIndex}/comments`), {
+      const response = await apiFetch(`/api/tensions/${tension.id || (tension as any)._id}/evidence/${evidenceIndex}/comments`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
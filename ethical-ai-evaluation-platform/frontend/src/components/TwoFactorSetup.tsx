@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Copy, Check } from 'lucide-react';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from './ui/input-otp';
+
+// Shared pieces of the TOTP flows in LoginScreen (second step / forced enrollment)
+// and ProfileModal (optional enrollment, recovery codes, disable).
+
+export interface TwoFactorEnrollment {
+    secret: string;
+    otpauthUri: string;
+}
+
+export function TwoFactorCodeInput({
+    value,
+    onChange,
+    disabled
+}: {
+    value: string;
+    onChange: (value: string) => void;
+    disabled?: boolean;
+}) {
+    return (
+        <InputOTP
+            maxLength={6}
+            value={value}
+            onChange={(next) => onChange(next.replace(/\D/g, ''))}
+            disabled={disabled}
+            containerClassName="justify-center"
+            autoFocus
+        >
+            <InputOTPGroup>
+                {[0, 1, 2, 3, 4, 5].map((index) => (
+                    <InputOTPSlot key={index} index={index} className="h-12 w-12 text-xl" />
+                ))}
+            </InputOTPGroup>
+        </InputOTP>
+    );
+}
+
+const formatSecret = (secret: string) => secret.replace(/(.{4})/g, '$1 ').trim();
+
+export function TwoFactorEnrollmentDetails({ enrollment }: { enrollment: TwoFactorEnrollment }) {
+    const [copied, setCopied] = useState(false);
+
+    const copySecret = async () => {
+        try {
+            await navigator.clipboard.writeText(enrollment.secret);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch {
+            // clipboard unavailable; the key is still visible for manual entry
+        }
+    };
+
+    return (
+        <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700 space-y-3">
+            <p>
+                Add this account to an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password, ...).
+                On a phone, <a href={enrollment.otpauthUri} className="text-blue-600 hover:underline">open this setup link</a>;
+                otherwise enter the key below manually.
+            </p>
+            <div className="flex items-center justify-between bg-white border border-gray-200 rounded-md px-3 py-2">
+                <code className="font-mono text-base tracking-wider text-gray-900 break-all">{formatSecret(enrollment.secret)}</code>
+                <button
+                    type="button"
+                    onClick={copySecret}
+                    className="ml-3 text-gray-500 hover:text-gray-800 flex-shrink-0"
+                    title="Copy key"
+                >
+                    {copied ? <Check className="h-4 w-4 text-green-600" /> : <Copy className="h-4 w-4" />}
+                </button>
+            </div>
+            <p className="text-xs text-gray-500">Time-based (TOTP), 6 digits, 30 seconds.</p>
+        </div>
+    );
+}
+
+export function RecoveryCodesList({ codes }: { codes: string[] }) {
+    const download = () => {
+        const blob = new Blob([codes.join('\n') + '\n'], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-900 space-y-3">
+            <p className="font-medium">Save your recovery codes</p>
+            <p>
+                Each code can be used once to sign in if you lose access to your authenticator app.
+                They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-base bg-white border border-yellow-200 rounded-md p-3">
+                {codes.map((code) => (
+                    <span key={code}>{code}</span>
+                ))}
+            </div>
+            <button
+                type="button"
+                onClick={download}
+                className="text-sm font-medium text-yellow-900 underline"
+            >
+                Download as text file
+            </button>
+        </div>
+    );
+}
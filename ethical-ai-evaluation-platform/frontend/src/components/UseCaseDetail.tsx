@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { ArrowLeft, Clock, TrendingUp, Users, FileText, MessageCircle, AlertCircle, CheckCircle, Download, Upload, Trash2 } from 'lucide-react';
 import { UseCase, User } from '../types';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface UseCaseDetailProps {
   useCase: UseCase;
@@ -43,7 +43,7 @@ export function UseCaseDetail({ useCase, currentUser, users, onBack }: UseCaseDe
     (async () => {
       setLoadingDetails(true);
       try {
-        const res = await fetch(api(`/api/use-cases/${id}`), { signal: controller.signal });
+        const res = await apiFetch(`/api/use-cases/${id}`, { signal: controller.signal });
         if (res.ok) {
           const full = await res.json();
           setUc((prev) => ({ ...prev, ...full, id: full._id || full.id }));
@@ -78,7 +78,7 @@ export function UseCaseDetail({ useCase, currentUser, users, onBack }: UseCaseDe
       try {
         // Note: UseCaseDetail doesn't have currentUser context, so we can't filter by userId
         // This is OK as use case owners might need to see all projects
-        const res = await fetch(api('/api/projects'), { signal: controller.signal });
+        const res = await apiFetch('/api/projects', { signal: controller.signal });
         if (!res.ok) return;
         const allProjectsRaw = await res.json();
         // Normalize assignedUsers in all projects
@@ -124,7 +124,7 @@ export function UseCaseDetail({ useCase, currentUser, users, onBack }: UseCaseDe
 
     const calculateProgress = async () => {
       try {
-        const res = await fetch(api('/api/projects'));
+        const res = await apiFetch('/api/projects');
         if (!res.ok) {
           setCalculatedProgress(uc.progress || 0);
           return;
@@ -196,7 +196,7 @@ export function UseCaseDetail({ useCase, currentUser, users, onBack }: UseCaseDe
   useEffect(() => {
     const fetchQuestions = async () => {
       try {
-        const response = await fetch(api('/api/use-case-questions'));
+        const response = await apiFetch('/api/use-case-questions');
         if (response.ok) {
           const allQuestions = await response.json();
           // Merge questions with answers
@@ -275,7 +275,7 @@ export function UseCaseDetail({ useCase, currentUser, users, onBack }: UseCaseDe
       // If backend stored a URL, include it for more specific matching
       if (file?.url) q.set('url', file.url);
 
-      const res = await fetch(api(`/api/use-cases/${useCaseId}/supporting-files?${q.toString()}`), {
+      const res = await apiFetch(`/api/use-cases/${useCaseId}/supporting-files?${q.toString()}`, {
         method: 'DELETE',
       });
 
@@ -338,7 +338,7 @@ export function UseCaseDetail({ useCase, currentUser, users, onBack }: UseCaseDe
         toUpload.push({ name: f.name, data: dataUrl, contentType: f.type });
       }
 
-      const res = await fetch(api(`/api/use-cases/${uc.id}/supporting-files`), {
+      const res = await apiFetch(`/api/use-cases/${uc.id}/supporting-files`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ files: toUpload })
@@ -7,7 +7,7 @@ import { ChatPanel } from './ChatPanel';
 import { NotificationDetailPanel } from './NotificationDetailPanel';
 import { NotificationBell } from './NotificationBell';
 import { ProfileModal } from './ProfileModal';
-import { api } from '../api';
+import { apiFetch } from '../api';
 
 interface UseCaseOwnerDashboardProps {
   currentUser: User;
@@ -64,7 +64,7 @@ export function UseCaseOwnerDashboard({
   const fetchMyUseCases = React.useCallback(async () => {
     setLoadingUseCases(true);
     try {
-      const response = await fetch(api(`/api/use-cases?ownerId=${encodeURIComponent(currentUser.id)}`));
+      const response = await apiFetch(`/api/use-cases?ownerId=${encodeURIComponent(currentUser.id)}`);
       if (response.ok) {
         const data = await response.json();
         const formattedUseCases = data.map((uc: any) => ({ ...uc, id: uc._id }));
@@ -165,7 +165,7 @@ export function UseCaseOwnerDashboard({
   // Fetch unread message count
   const fetchUnreadCount = async () => {
     try {
-      const response = await fetch(api(`/api/messages/unread-count?userId=${encodeURIComponent(currentUser.id)}`));
+      const response = await apiFetch(`/api/messages/unread-count?userId=${encodeURIComponent(currentUser.id)}`);
       if (response.ok) {
         const data = await response.json();
         console.log('UseCaseOwner unread count fetched:', data);
@@ -225,7 +225,7 @@ export function UseCaseOwnerDashboard({
 
     // Mark messages as read
     try {
-      await fetch(api('/api/messages/mark-read'), {
+      await apiFetch('/api/messages/mark-read', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -281,7 +281,7 @@ export function UseCaseOwnerDashboard({
     // If still no project, create one via API
     if (!adminProject) {
       try {
-        const response = await fetch(api('/api/projects'), {
+        const response = await apiFetch('/api/projects', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -291,7 +291,7 @@ export function UseCaseOwnerDashboard({
             stage: 'set-up',
             status: 'ongoing',
             targetDate: new Date().toISOString(),
-            assignedUsers: [currentUser.id, adminUser?.id || ''],
+            assignedUsers: [currentUser.id, adminUser?.id].filter(Boolean),
             progress: 0
           }),
         });
@@ -877,7 +877,7 @@ function NewUseCaseModal({ onClose, onSubmit, currentUser }: NewUseCaseModalProp
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
-        const response = await fetch(api('/api/use-case-questions'), {
+        const response = await apiFetch('/api/use-case-questions', {
           signal: controller.signal
         });
         clearTimeout(timeoutId);
@@ -1215,7 +1215,7 @@ function NewUseCaseModal({ onClose, onSubmit, currentUser }: NewUseCaseModalProp
                   type="button"
                   onClick={async () => {
                     try {
-                      const response = await fetch(api('/api/use-case-questions/seed'), {
+                      const response = await apiFetch('/api/use-case-questions/seed', {
                         method: 'POST'
                       });
                       if (response.ok) {
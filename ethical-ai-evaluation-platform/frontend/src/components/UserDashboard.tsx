@@ -24,7 +24,7 @@ import { NotificationDetailPanel } from "./NotificationDetailPanel";
 import { NotificationBell } from "./NotificationBell";
 import { formatRoleName } from "../utils/helpers";
 import { ProfileModal } from "./ProfileModal";
-import { api } from "../api";
+import { apiFetch } from "../api";
 import { fetchUserProgress } from "../utils/userProgress";
 
 interface UserDashboardProps {
@@ -151,7 +151,7 @@ export function UserDashboard({
   useEffect(() => {
     const fetchAssignments = async () => {
       try {
-        const res = await fetch(api(`/api/project-assignments?userId=${currentUser.id}`));
+        const res = await apiFetch(`/api/project-assignments?userId=${currentUser.id}`);
         if (!res.ok) return;
         const data = await res.json();
         const map: Record<string, any> = {};
@@ -199,7 +199,7 @@ export function UserDashboard({
   // Fetch unread message count
   const fetchUnreadCount = async () => {
     try {
-      const response = await fetch(api(`/api/messages/unread-count?userId=${currentUser.id}`));
+      const response = await apiFetch(`/api/messages/unread-count?userId=${currentUser.id}`);
       if (response.ok) {
         const data = await response.json();
         console.log('Unread count fetched:', data);
@@ -233,7 +233,7 @@ export function UserDashboard({
   // Fetch all conversations (chats)
   const fetchConversations = async () => {
     try {
-      const response = await fetch(api(`/api/messages/conversations?userId=${currentUser.id}`));
+      const response = await apiFetch(`/api/messages/conversations?userId=${currentUser.id}`);
       if (response.ok) {
         const data = await response.json();
         // Filter out notification-only messages - chat should only show real user messages
@@ -282,7 +282,7 @@ export function UserDashboard({
   const fetchReports = async () => {
     try {
       setReportsLoading(true);
-      const response = await fetch(api(`/api/reports/assigned-to-me?userId=${currentUser.id}`));
+      const response = await apiFetch(`/api/reports/assigned-to-me?userId=${currentUser.id}`);
       if (response.ok) {
         const data = await response.json();
         setReports(data);
@@ -303,7 +303,7 @@ export function UserDashboard({
 
       // First, fetch all reports assigned to the user
       try {
-        const response = await fetch(api(`/api/reports/assigned-to-me?userId=${currentUser.id}`));
+        const response = await apiFetch(`/api/reports/assigned-to-me?userId=${currentUser.id}`);
         if (response.ok) {
           const allReports = await response.json();
           // Create a map of projectId -> hasReport
@@ -348,7 +348,7 @@ export function UserDashboard({
   // View report
   const handleViewReport = async (reportId: string) => {
     try {
-      const response = await fetch(api(`/api/reports/${reportId}?userId=${currentUser.id}`));
+      const response = await apiFetch(`/api/reports/${reportId}?userId=${currentUser.id}`);
       if (response.ok) {
         const data = await response.json();
         setSelectedReport(data);
@@ -390,7 +390,7 @@ export function UserDashboard({
       console.log(`📥 Downloading PDF for report: ${reportId}, user: ${userId}`);
 
       // Use /download-pdf endpoint which generates full dashboard report with charts (always uses latest data)
-      const response = await fetch(api(`/api/reports/${reportId}/download-pdf?userId=${userId}`));
+      const response = await apiFetch(`/api/reports/${reportId}/download-pdf?userId=${userId}`);
 
       console.log(`📊 Response status: ${response.status}, ok: ${response.ok}`);
 
@@ -468,7 +468,7 @@ export function UserDashboard({
     if (!confirmDelete) return;
 
     try {
-      const response = await fetch(api(`/api/reports/${reportId}?userId=${currentUser.id}`), {
+      const response = await apiFetch(`/api/reports/${reportId}?userId=${currentUser.id}`, {
         method: 'DELETE'
       });
       if (response.ok) {
@@ -513,7 +513,7 @@ export function UserDashboard({
     // If still no project, create one via API
     if (!commProject) {
       try {
-        const response = await fetch(api('/api/projects'), {
+        const response = await apiFetch('/api/projects', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -618,7 +618,7 @@ export function UserDashboard({
 
     // Mark messages as read
     try {
-      await fetch(api('/api/messages/mark-read'), {
+      await apiFetch('/api/messages/mark-read', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -721,7 +721,7 @@ export function UserDashboard({
         : (project.useCase as any).url || project.useCase;
 
       // Fetch use case data
-      const response = await fetch(api(`/api/use-cases/${useCaseId}`));
+      const response = await apiFetch(`/api/use-cases/${useCaseId}`);
       if (!response.ok) {
         alert('Use case not found.');
         return;
@@ -733,7 +733,7 @@ export function UserDashboard({
       let questionsWithAnswers: any[] = [];
       if (useCase.answers && useCase.answers.length > 0) {
         try {
-          const questionsResponse = await fetch(api('/api/use-case-questions'));
+          const questionsResponse = await apiFetch('/api/use-case-questions');
           if (questionsResponse.ok) {
             const allQuestions = await questionsResponse.json();
             questionsWithAnswers = allQuestions.map((q: any) => {
@@ -1298,7 +1298,7 @@ export function UserDashboard({
                                       if (tensionsVoted[projectId] === undefined && !checkingTensions[projectId]) {
                                         setCheckingTensions(prev => ({ ...prev, [projectId]: true }));
                                         try {
-                                          const tensionsRes = await fetch(api(`/api/tensions/${projectId}?userId=${currentUser.id || (currentUser as any)._id}`));
+                                          const tensionsRes = await apiFetch(`/api/tensions/${projectId}?userId=${currentUser.id || (currentUser as any)._id}`);
                                           if (tensionsRes.ok) {
                                             const tensions = await tensionsRes.json();
                                             if (tensions.length === 0) {
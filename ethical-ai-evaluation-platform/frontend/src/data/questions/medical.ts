@@ -1,3 +0,0 @@
-import { Question } from '../../types';
-
-export const medicalQuestions: Question[] = [];
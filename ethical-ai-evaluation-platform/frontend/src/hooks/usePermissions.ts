@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from 'react';
+import { apiFetch } from '../api';
+
+export type PermissionDenialCode =
+  | 'ROLE_NOT_PERMITTED'
+  | 'NOT_PROJECT_MEMBER'
+  | 'PROJECT_REQUIRED'
+  | 'UNKNOWN_ACTION';
+
+export interface PermissionDecision {
+  allowed: boolean;
+  code?: PermissionDenialCode;
+  reason?: string;
+}
+
+const DENIAL_MESSAGES: Record<PermissionDenialCode, string> = {
+  ROLE_NOT_PERMITTED: 'Your role does not allow this action.',
+  NOT_PROJECT_MEMBER: 'You are not assigned to this project.',
+  PROJECT_REQUIRED: 'This action needs a project.',
+  UNKNOWN_ACTION: 'This action is not available.',
+};
+
+/**
+ * Human-readable explanation for a 403 reason code returned by the backend
+ */
+export const describeDenial = (code?: string, fallback?: string) =>
+  (code && DENIAL_MESSAGES[code as PermissionDenialCode]) || fallback || 'You are not allowed to do this.';
+
+/**
+ * Loads the permission matrix decisions for the current user (GET /api/auth/permissions),
+ * optionally against a project, so buttons can be disabled with the reason shown.
+ */
+export function usePermissions(projectId?: string | null) {
+  const [permissions, setPermissions] = useState<Record<string, PermissionDecision>>({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let mounted = true;
+    const query = projectId ? `?projectId=${encodeURIComponent(projectId)}` : '';
+
+    setLoading(true);
+    apiFetch(`/api/auth/permissions${query}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (mounted) setPermissions(data?.permissions || {});
+      })
+      .catch(() => {
+        if (mounted) setPermissions({});
+      })
+      .finally(() => {
+        if (mounted) setLoading(false);
+      });
+
+    return () => {
+      mounted = false;
+    };
+  }, [projectId]);
+
+  const can = useCallback((action: string) => permissions[action]?.allowed === true, [permissions]);
+
+  const reasonFor = useCallback(
+    (action: string) => {
+      const decision = permissions[action];
+      if (!decision || decision.allowed) return undefined;
+      return describeDenial(decision.code, decision.reason);
+    },
+    [permissions]
+  );
+
+  return { permissions, loading, can, reasonFor };
+}
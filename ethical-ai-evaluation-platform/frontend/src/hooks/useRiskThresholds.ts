@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { apiFetch } from '../api';
+
+export type RiskLevelKey = 'MINIMAL' | 'LOW' | 'MEDIUM' | 'HIGH' | 'CRITICAL' | 'UNKNOWN';
+
+export interface RiskLevel {
+  level: RiskLevelKey;
+  classification?: string;
+  min?: number;
+  max?: number;
+  label: string;
+  color: string;
+}
+
+export interface RiskThresholds {
+  version: string;
+  levels: RiskLevel[];
+  notEvaluated: RiskLevel;
+}
+
+// Published threshold sets never change and the default rarely does, so each
+// is fetched once per page load
+const thresholdsRequests = new Map<string, Promise<RiskThresholds | null>>();
+
+const loadRiskThresholds = (path: string) => {
+  if (!thresholdsRequests.has(path)) {
+    const request = apiFetch(path)
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null)
+      .then((data) => {
+        if (!data) thresholdsRequests.delete(path);
+        return data;
+      });
+    thresholdsRequests.set(path, request);
+  }
+  return thresholdsRequests.get(path)!;
+};
+
+/**
+ * Drop cached threshold sets, e.g. after an admin publishes a new default or re-pins a project
+ */
+export const forgetRiskThresholds = () => {
+  thresholdsRequests.clear();
+};
+
+/**
+ * Level for a 0-4 risk score, same rule as the backend (config/ercThresholds.js):
+ * min <= score < max, the top band is open-ended, null/NaN/negative is not evaluated.
+ */
+export const classifyRiskScore = (thresholds: RiskThresholds, score?: number | null): RiskLevel => {
+  if (score === null || score === undefined || Number.isNaN(score)) return thresholds.notEvaluated;
+
+  const { levels } = thresholds;
+  const match = levels.find(
+    (level, index) => score >= (level.min ?? 0) && (score < (level.max ?? Infinity) || index === levels.length - 1)
+  );
+  return match || thresholds.notEvaluated;
+};
+
+/**
+ * Risk levels, labels and colors (null until loaded): the set the project is
+ * pinned to (GET /api/projects/:id/risk-thresholds), else the default set
+ * (GET /api/risk-thresholds).
+ */
+export function useRiskThresholds(projectId?: string | null) {
+  const [thresholds, setThresholds] = useState<RiskThresholds | null>(null);
+
+  useEffect(() => {
+    let mounted = true;
+    const path = projectId ? `/api/projects/${encodeURIComponent(projectId)}/risk-thresholds` : '/api/risk-thresholds';
+
+    loadRiskThresholds(path).then((data) => {
+      if (mounted) setThresholds(data);
+    });
+    return () => {
+      mounted = false;
+    };
+  }, [projectId]);
+
+  return thresholds;
+}
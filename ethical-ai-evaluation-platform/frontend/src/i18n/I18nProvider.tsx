@@ -0,0 +1,68 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LOCALE, Locale, LocalizedText, localizeText, normalizeLocale } from './locales';
+import { en, MessageKey, Messages } from './messages/en';
+import { tr } from './messages/tr';
+import { de } from './messages/de';
+import { fr } from './messages/fr';
+import { es } from './messages/es';
+
+const MESSAGES: Record<Locale, Messages> = { en, tr, de, fr, es };
+
+const STORAGE_KEY = 'app_locale';
+
+const loadLocale = (): Locale => {
+  try {
+    return normalizeLocale(localStorage.getItem(STORAGE_KEY)) || normalizeLocale(navigator.language) || DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+};
+
+interface I18nContextValue {
+  locale: Locale;
+  setLocale: (locale: string | null | undefined) => void;
+  // UI message in the current locale ({name} placeholders filled from vars), English when missing
+  t: (key: MessageKey, vars?: Record<string, string | number>) => string;
+  // Question/option text ({ en, tr, ... }) in the current locale
+  text: (value: LocalizedText) => string;
+}
+
+const I18nContext = createContext<I18nContextValue | null>(null);
+
+export function I18nProvider({ children }: { children: React.ReactNode }) {
+  const [locale, setLocaleState] = useState<Locale>(loadLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Unknown codes are ignored so a stale or missing preference keeps the current language
+  const setLocale = useCallback((value: string | null | undefined) => {
+    const next = normalizeLocale(value);
+    if (!next) return;
+    setLocaleState(next);
+    try {
+      localStorage.setItem(STORAGE_KEY, next);
+    } catch (error) {
+      console.error('Error saving locale:', error);
+    }
+  }, []);
+
+  const value = useMemo<I18nContextValue>(() => ({
+    locale,
+    setLocale,
+    t: (key, vars) => {
+      const message = MESSAGES[locale][key] ?? en[key];
+      return vars ? message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match)) : message;
+    },
+    text: (text) => localizeText(text, locale)
+  }), [locale, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = (): I18nContextValue => {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error('useI18n must be used within an I18nProvider');
+  return context;
+};
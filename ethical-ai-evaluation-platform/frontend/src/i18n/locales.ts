@@ -0,0 +1,40 @@
+// Languages of the app, questions and reports. Mirrors the backend registry
+// (backend/config/locales.config.js): add a locale there too, with its
+// messages/<code>.ts here and backend/locales/<code>.json for reports.
+
+export const LOCALES = [
+  { code: 'en', name: 'English', nativeName: 'English' },
+  { code: 'tr', name: 'Turkish', nativeName: 'Türkçe' },
+  { code: 'de', name: 'German', nativeName: 'Deutsch' },
+  { code: 'fr', name: 'French', nativeName: 'Français' },
+  { code: 'es', name: 'Spanish', nativeName: 'Español' }
+] as const;
+
+export type Locale = typeof LOCALES[number]['code'];
+
+export const DEFAULT_LOCALE: Locale = 'en';
+
+// Question texts, principle labels and option labels per locale ({ en, tr, ... })
+export type LocalizedText = Partial<Record<Locale, string>> | string | null | undefined;
+
+/**
+ * Registered locale for a code ('de', 'de-DE', ...), or null
+ */
+export const normalizeLocale = (value?: string | null): Locale | null => {
+  const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.some((l) => l.code === code) ? (code as Locale) : null;
+};
+
+const hasText = (value: unknown): value is string => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Text in the locale, else in English, else in any locale it has
+ * (same fallback as backend/utils/localization.js)
+ */
+export const localizeText = (text: LocalizedText, locale: Locale): string => {
+  if (typeof text === 'string') return text;
+  if (!text || typeof text !== 'object') return '';
+  if (hasText(text[locale])) return text[locale] as string;
+  if (hasText(text[DEFAULT_LOCALE])) return text[DEFAULT_LOCALE] as string;
+  return LOCALES.map((l) => text[l.code]).find(hasText) || '';
+};
@@ -0,0 +1,44 @@
+import type { Messages } from './en';
+
+export const de: Messages = {
+  'common.cancel': 'Abbrechen',
+  'common.saving': 'Wird gespeichert...',
+  'common.saveChanges': 'Änderungen speichern',
+
+  'profile.title': 'Profileinstellungen',
+  'profile.removePicture': 'Bild entfernen',
+  'profile.deletePicture': 'Bild löschen',
+  'profile.uploadHint': 'Zum Hinzufügen eines Profilbilds auf Hochladen klicken',
+  'profile.name': 'Name',
+  'profile.email': 'E-Mail',
+  'profile.role': 'Rolle',
+  'profile.lastSeen': 'Zuletzt gesehen',
+  'profile.language': 'Sprache',
+  'profile.languageHint': 'Wird für die Oberfläche, die Fragen und erstellte Berichte verwendet.',
+  'profile.changePassword': 'Passwort ändern',
+  'profile.oldPassword': 'Altes Passwort',
+  'profile.oldPasswordPlaceholder': 'Altes Passwort eingeben',
+  'profile.newPassword': 'Neues Passwort',
+  'profile.newPasswordPlaceholder': 'Neues Passwort eingeben',
+  'profile.confirmPassword': 'Neues Passwort bestätigen',
+  'profile.confirmPasswordPlaceholder': 'Neues Passwort bestätigen',
+  'profile.deleteAccount': 'Konto löschen',
+  'profile.passwordsMismatch': 'Die neuen Passwörter stimmen nicht überein',
+  'profile.passwordTooShort': 'Das Passwort muss mindestens 6 Zeichen lang sein',
+  'profile.updated': 'Profil erfolgreich aktualisiert!',
+  'profile.deleteConfirm': 'Möchten Sie Ihr Konto wirklich löschen? Dies kann nicht rückgängig gemacht werden.',
+  'profile.deleted': 'Konto erfolgreich gelöscht',
+
+  'twoFactor.title': 'Zwei-Faktor-Authentifizierung',
+  'twoFactor.enabled': 'Aktiv',
+  'twoFactor.off': 'Aus',
+  'twoFactor.mandatory': 'Die Zwei-Faktor-Authentifizierung ist für Ihre Rolle verpflichtend.',
+  'twoFactor.intro': 'Schützen Sie Ihr Konto zusätzlich zum Passwort mit einem Code aus einer Authenticator-App.',
+  'twoFactor.codesLeft': 'Noch {count} Wiederherstellungscode(s).',
+  'twoFactor.setUp': 'Zwei-Faktor-Authentifizierung einrichten',
+  'twoFactor.newRecoveryCodes': 'Neue Wiederherstellungscodes',
+  'twoFactor.turnOff': 'Ausschalten',
+  'twoFactor.verifying': 'Wird geprüft...',
+  'twoFactor.enable': 'Aktivieren',
+  'twoFactor.generate': 'Erzeugen'
+};
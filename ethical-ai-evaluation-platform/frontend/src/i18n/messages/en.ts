@@ -0,0 +1,59 @@
+// UI messages in English. Every key lives here; the other locales may leave
+// keys out and fall back to these (see I18nProvider).
+
+export const en = {
+  'common.cancel': 'Cancel',
+  'common.saving': 'Saving...',
+  'common.saveChanges': 'Save Changes',
+
+  'profile.title': 'Profile Settings',
+  'profile.removePicture': 'Remove Picture',
+  'profile.deletePicture': 'Delete picture',
+  'profile.uploadHint': 'Click upload to add profile image',
+  'profile.name': 'Name',
+  'profile.email': 'Email',
+  'profile.role': 'Role',
+  'profile.lastSeen': 'Last Seen',
+  'profile.language': 'Language',
+  'profile.languageHint': 'Used for the interface, questions and generated reports.',
+  'profile.changePassword': 'Change Password',
+  'profile.oldPassword': 'Old Password',
+  'profile.oldPasswordPlaceholder': 'Enter old password',
+  'profile.newPassword': 'New Password',
+  'profile.newPasswordPlaceholder': 'Enter new password',
+  'profile.confirmPassword': 'Confirm New Password',
+  'profile.confirmPasswordPlaceholder': 'Confirm new password',
+  'profile.deleteAccount': 'Delete Account',
+  'profile.userIdMissing': 'User ID not found',
+  'profile.nameUpdateFailed': 'Failed to update name',
+  'profile.languageUpdateFailed': 'Failed to update language',
+  'profile.imageUpdateFailed': 'Failed to update profile image',
+  'profile.passwordsMismatch': 'New passwords do not match',
+  'profile.passwordTooShort': 'Password must be at least 6 characters',
+  'profile.passwordChangeFailed': 'Failed to change password',
+  'profile.updated': 'Profile updated successfully!',
+  'profile.updateFailed': 'Failed to update profile',
+  'profile.deleteConfirm': 'Are you sure you want to delete your account? This action cannot be undone.',
+  'profile.deleted': 'Account deleted successfully',
+  'profile.deleteFailed': 'Failed to delete account',
+
+  'twoFactor.title': 'Two-Factor Authentication',
+  'twoFactor.enabled': 'Enabled',
+  'twoFactor.off': 'Off',
+  'twoFactor.mandatory': 'Two-factor authentication is mandatory for your role.',
+  'twoFactor.intro': 'Protect your account with a code from an authenticator app in addition to your password.',
+  'twoFactor.codesLeft': '{count} recovery code(s) left.',
+  'twoFactor.setUp': 'Set up two-factor authentication',
+  'twoFactor.newRecoveryCodes': 'New recovery codes',
+  'twoFactor.turnOff': 'Turn off',
+  'twoFactor.enterCode': 'Please enter the 6-digit code from your authenticator app.',
+  'twoFactor.finishSetup': 'Enter the 6-digit code shown in your app to finish setup.',
+  'twoFactor.confirmCode': 'Enter the current 6-digit code from your authenticator app to confirm.',
+  'twoFactor.verifying': 'Verifying...',
+  'twoFactor.enable': 'Enable',
+  'twoFactor.generate': 'Generate'
+};
+
+export type MessageKey = keyof typeof en;
+
+export type Messages = Partial<Record<MessageKey, string>>;
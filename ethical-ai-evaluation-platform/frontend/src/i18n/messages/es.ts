@@ -0,0 +1,44 @@
+import type { Messages } from './en';
+
+export const es: Messages = {
+  'common.cancel': 'Cancelar',
+  'common.saving': 'Guardando...',
+  'common.saveChanges': 'Guardar cambios',
+
+  'profile.title': 'Configuración del perfil',
+  'profile.removePicture': 'Quitar foto',
+  'profile.deletePicture': 'Eliminar foto',
+  'profile.uploadHint': 'Haga clic en subir para añadir una foto de perfil',
+  'profile.name': 'Nombre',
+  'profile.email': 'Correo electrónico',
+  'profile.role': 'Rol',
+  'profile.lastSeen': 'Última conexión',
+  'profile.language': 'Idioma',
+  'profile.languageHint': 'Se usa en la interfaz, las preguntas y los informes generados.',
+  'profile.changePassword': 'Cambiar contraseña',
+  'profile.oldPassword': 'Contraseña actual',
+  'profile.oldPasswordPlaceholder': 'Introduzca la contraseña actual',
+  'profile.newPassword': 'Nueva contraseña',
+  'profile.newPasswordPlaceholder': 'Introduzca la nueva contraseña',
+  'profile.confirmPassword': 'Confirmar nueva contraseña',
+  'profile.confirmPasswordPlaceholder': 'Confirme la nueva contraseña',
+  'profile.deleteAccount': 'Eliminar cuenta',
+  'profile.passwordsMismatch': 'Las contraseñas nuevas no coinciden',
+  'profile.passwordTooShort': 'La contraseña debe tener al menos 6 caracteres',
+  'profile.updated': '¡Perfil actualizado correctamente!',
+  'profile.deleteConfirm': '¿Seguro que desea eliminar su cuenta? Esta acción no se puede deshacer.',
+  'profile.deleted': 'Cuenta eliminada correctamente',
+
+  'twoFactor.title': 'Autenticación en dos pasos',
+  'twoFactor.enabled': 'Activada',
+  'twoFactor.off': 'Desactivada',
+  'twoFactor.mandatory': 'La autenticación en dos pasos es obligatoria para su rol.',
+  'twoFactor.intro': 'Proteja su cuenta con un código de una aplicación de autenticación además de su contraseña.',
+  'twoFactor.codesLeft': 'Quedan {count} código(s) de recuperación.',
+  'twoFactor.setUp': 'Configurar la autenticación en dos pasos',
+  'twoFactor.newRecoveryCodes': 'Nuevos códigos de recuperación',
+  'twoFactor.turnOff': 'Desactivar',
+  'twoFactor.verifying': 'Verificando...',
+  'twoFactor.enable': 'Activar',
+  'twoFactor.generate': 'Generar'
+};
@@ -0,0 +1,44 @@
+import type { Messages } from './en';
+
+export const fr: Messages = {
+  'common.cancel': 'Annuler',
+  'common.saving': 'Enregistrement...',
+  'common.saveChanges': 'Enregistrer les modifications',
+
+  'profile.title': 'Paramètres du profil',
+  'profile.removePicture': 'Retirer la photo',
+  'profile.deletePicture': 'Supprimer la photo',
+  'profile.uploadHint': 'Cliquez sur le bouton d\'envoi pour ajouter une photo de profil',
+  'profile.name': 'Nom',
+  'profile.email': 'E-mail',
+  'profile.role': 'Rôle',
+  'profile.lastSeen': 'Dernière connexion',
+  'profile.language': 'Langue',
+  'profile.languageHint': 'Utilisée pour l\'interface, les questions et les rapports générés.',
+  'profile.changePassword': 'Changer le mot de passe',
+  'profile.oldPassword': 'Ancien mot de passe',
+  'profile.oldPasswordPlaceholder': 'Saisir l\'ancien mot de passe',
+  'profile.newPassword': 'Nouveau mot de passe',
+  'profile.newPasswordPlaceholder': 'Saisir le nouveau mot de passe',
+  'profile.confirmPassword': 'Confirmer le nouveau mot de passe',
+  'profile.confirmPasswordPlaceholder': 'Confirmer le nouveau mot de passe',
+  'profile.deleteAccount': 'Supprimer le compte',
+  'profile.passwordsMismatch': 'Les nouveaux mots de passe ne correspondent pas',
+  'profile.passwordTooShort': 'Le mot de passe doit contenir au moins 6 caractères',
+  'profile.updated': 'Profil mis à jour !',
+  'profile.deleteConfirm': 'Voulez-vous vraiment supprimer votre compte ? Cette action est irréversible.',
+  'profile.deleted': 'Compte supprimé',
+
+  'twoFactor.title': 'Authentification à deux facteurs',
+  'twoFactor.enabled': 'Activée',
+  'twoFactor.off': 'Désactivée',
+  'twoFactor.mandatory': 'L\'authentification à deux facteurs est obligatoire pour votre rôle.',
+  'twoFactor.intro': 'Protégez votre compte avec un code d\'application d\'authentification en plus de votre mot de passe.',
+  'twoFactor.codesLeft': 'Il reste {count} code(s) de récupération.',
+  'twoFactor.setUp': 'Configurer l\'authentification à deux facteurs',
+  'twoFactor.newRecoveryCodes': 'Nouveaux codes de récupération',
+  'twoFactor.turnOff': 'Désactiver',
+  'twoFactor.verifying': 'Vérification...',
+  'twoFactor.enable': 'Activer',
+  'twoFactor.generate': 'Générer'
+};
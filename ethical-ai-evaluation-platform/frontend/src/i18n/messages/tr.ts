@@ -0,0 +1,54 @@
+import type { Messages } from './en';
+
+export const tr: Messages = {
+  'common.cancel': 'İptal',
+  'common.saving': 'Kaydediliyor...',
+  'common.saveChanges': 'Değişiklikleri Kaydet',
+
+  'profile.title': 'Profil Ayarları',
+  'profile.removePicture': 'Fotoğrafı Kaldır',
+  'profile.deletePicture': 'Fotoğrafı sil',
+  'profile.uploadHint': 'Profil fotoğrafı eklemek için yükle simgesine tıklayın',
+  'profile.name': 'Ad',
+  'profile.email': 'E-posta',
+  'profile.role': 'Rol',
+  'profile.lastSeen': 'Son Görülme',
+  'profile.language': 'Dil',
+  'profile.languageHint': 'Arayüz, sorular ve oluşturulan raporlar için kullanılır.',
+  'profile.changePassword': 'Şifre Değiştir',
+  'profile.oldPassword': 'Mevcut Şifre',
+  'profile.oldPasswordPlaceholder': 'Mevcut şifrenizi girin',
+  'profile.newPassword': 'Yeni Şifre',
+  'profile.newPasswordPlaceholder': 'Yeni şifrenizi girin',
+  'profile.confirmPassword': 'Yeni Şifre (Tekrar)',
+  'profile.confirmPasswordPlaceholder': 'Yeni şifrenizi tekrar girin',
+  'profile.deleteAccount': 'Hesabı Sil',
+  'profile.userIdMissing': 'Kullanıcı kimliği bulunamadı',
+  'profile.nameUpdateFailed': 'Ad güncellenemedi',
+  'profile.languageUpdateFailed': 'Dil güncellenemedi',
+  'profile.imageUpdateFailed': 'Profil fotoğrafı güncellenemedi',
+  'profile.passwordsMismatch': 'Yeni şifreler eşleşmiyor',
+  'profile.passwordTooShort': 'Şifre en az 6 karakter olmalıdır',
+  'profile.passwordChangeFailed': 'Şifre değiştirilemedi',
+  'profile.updated': 'Profil başarıyla güncellendi!',
+  'profile.updateFailed': 'Profil güncellenemedi',
+  'profile.deleteConfirm': 'Hesabınızı silmek istediğinizden emin misiniz? Bu işlem geri alınamaz.',
+  'profile.deleted': 'Hesap başarıyla silindi',
+  'profile.deleteFailed': 'Hesap silinemedi',
+
+  'twoFactor.title': 'İki Adımlı Doğrulama',
+  'twoFactor.enabled': 'Açık',
+  'twoFactor.off': 'Kapalı',
+  'twoFactor.mandatory': 'Rolünüz için iki adımlı doğrulama zorunludur.',
+  'twoFactor.intro': 'Hesabınızı şifrenize ek olarak bir doğrulama uygulamasından alınan kodla koruyun.',
+  'twoFactor.codesLeft': '{count} kurtarma kodu kaldı.',
+  'twoFactor.setUp': 'İki adımlı doğrulamayı kur',
+  'twoFactor.newRecoveryCodes': 'Yeni kurtarma kodları',
+  'twoFactor.turnOff': 'Kapat',
+  'twoFactor.enterCode': 'Lütfen doğrulama uygulamanızdaki 6 haneli kodu girin.',
+  'twoFactor.finishSetup': 'Kurulumu tamamlamak için uygulamanızda görünen 6 haneli kodu girin.',
+  'twoFactor.confirmCode': 'Onaylamak için doğrulama uygulamanızdaki güncel 6 haneli kodu girin.',
+  'twoFactor.verifying': 'Doğrulanıyor...',
+  'twoFactor.enable': 'Etkinleştir',
+  'twoFactor.generate': 'Oluştur'
+};
@@ -2,7 +2,12 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.tsx";
+import { I18nProvider } from "./i18n/I18nProvider";
 import "./index.css";
 
-  createRoot(document.getElementById("root")!).render(<App />);
+  createRoot(document.getElementById("root")!).render(
+    <I18nProvider>
+      <App />
+    </I18nProvider>
+  );
   
\ No newline at end of file
@@ -3,6 +3,15 @@ export interface User {
   email: string;
   name: string;
   role: 'admin' | 'ethical-expert' | 'medical-expert' | 'use-case-owner' | 'education-expert' | 'technical-expert' | 'legal-expert';
+  preferredLocale?: string;
+}
+
+// Returned by POST /api/login instead of a session when a TOTP code is still needed
+export interface TwoFactorChallenge {
+  mfaRequired: true;
+  mfaToken: string;
+  expiresAt: string;
+  enrollmentRequired: boolean;
 }
 
 export type StageKey = 'set-up' | 'assess' | 'resolve';
@@ -10,10 +19,27 @@ export type QuestionType = 'multiple-choice' | 'checkbox' | 'text' | 'likert' |
 
 export type QuestionOption = string | { value: string; label: string };
 
+// Display conditions of a question (backend Question.showIf, see utils/questionConditions.ts)
+export interface DisplayCondition {
+  source?: 'question' | 'useCase';
+  questionnaireKey?: string;
+  code: string;
+  anyOf?: string[];
+  noneOf?: string[];
+  answered?: boolean;
+}
+
+export interface DisplayConditions {
+  match?: 'all' | 'any';
+  conditions: DisplayCondition[];
+}
+
 export interface Question {
   id: string;
   _id?: string; // MongoDB _id for backend compatibility
   code?: string; // Question code (e.g., "T1", "H2") for backend compatibility
+  questionnaireKey?: string; // Questionnaire of a backend question
+  showIf?: DisplayConditions | null; // Only asked when these hold
   text: string;
   stage: StageKey;
   type: QuestionType;
@@ -25,6 +51,40 @@ export interface Question {
   max?: number;
 }
 
+// Question catalogue (GET /api/evaluations/catalogue, backend/services/questionCatalogueService.js)
+export interface CatalogueQuestionnaire {
+  key: string;
+  title: string;
+  version: number | null;
+  stage: StageKey;
+  questionCount: number;
+  requiredCount: number;
+  hiddenCount: number; // Hidden by display conditions (assignment catalogue only)
+}
+
+export interface RoleCatalogue {
+  role: string;
+  questionnaires: CatalogueQuestionnaire[];
+  questionCount: number;
+  requiredCount: number;
+}
+
+export interface QuestionCatalogue {
+  questionnaires: CatalogueQuestionnaire[];
+  roles: RoleCatalogue[];
+}
+
+// Questionnaires one expert answers on a project (GET /api/evaluations/catalogue/assignment)
+export interface AssignmentCatalogue {
+  projectId: string;
+  userId: string;
+  role: string;
+  questionnaires: CatalogueQuestionnaire[];
+  questionCount: number;
+  requiredCount: number;
+  hiddenCount: number;
+}
+
 export interface Project {
   id: string;
   title: string;
@@ -58,6 +118,9 @@ export interface Project {
   reportGenerated?: boolean;
   answeredQuestions?: number;
   reportCount?: number;
+
+  // Risk threshold set the project is pinned to (unset = built-in erc-v1)
+  thresholdsVersion?: string;
 }
 
 export type TensionSeverity = 'high' | 'medium' | 'low';
@@ -166,6 +229,7 @@ export interface UseCaseOwner {
 
 export interface UseCaseQuestion {
   id: string;
+  key?: string; // Stable identifier (e.g. "S0_Q1")
   questionEn: string;
   type: 'text' | 'multiple-choice';
   answer?: string;
@@ -205,6 +269,7 @@ export interface UseCase {
   extendedInfo?: Record<string, any>;
   answers?: Array<{ // Sadece cevaplar - questionId ve answer
     questionId: string;
+    questionKey?: string;
     answer: string;
   }>;
   questions?: UseCaseQuestion[]; // Deprecated - use answers instead
@@ -1,6 +1,7 @@
 import { User } from '../types';
 
 const STORAGE_KEY = 'currentUser';
+const TOKEN_KEY = 'authToken';
 
 /**
  * Saves the user object to localStorage.
@@ -39,3 +40,39 @@ export const clearUser = (): void => {
         console.error('Error clearing user from localStorage:', error);
     }
 };
+
+/**
+ * Saves the session token issued by /api/login.
+ * @param token The raw session token.
+ */
+export const saveToken = (token: string): void => {
+    try {
+        localStorage.setItem(TOKEN_KEY, token);
+    } catch (error) {
+        console.error('Error saving token to localStorage:', error);
+    }
+};
+
+/**
+ * Loads the session token.
+ * @returns The token if present, otherwise null.
+ */
+export const loadToken = (): string | null => {
+    try {
+        return localStorage.getItem(TOKEN_KEY);
+    } catch (error) {
+        console.error('Error loading token from localStorage:', error);
+        return null;
+    }
+};
+
+/**
+ * Removes the session token.
+ */
+export const clearToken = (): void => {
+    try {
+        localStorage.removeItem(TOKEN_KEY);
+    } catch (error) {
+        console.error('Error clearing token from localStorage:', error);
+    }
+};
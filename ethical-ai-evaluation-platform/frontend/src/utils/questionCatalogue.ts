@@ -0,0 +1,52 @@
+import { apiFetch } from '../api';
+import { AssignmentCatalogue, Project, QuestionCatalogue, User } from '../types';
+
+/**
+ * Questionnaires and question counts from the backend question catalogue.
+ * The same questions the backend counts for progress, so totals shown in the
+ * app match the project progress.
+ */
+
+const idOf = (entity: Project | User) => entity.id || (entity as any)._id;
+
+/**
+ * Questionnaires each expert role answers (or only `role`), and every questionnaire
+ */
+export async function fetchQuestionCatalogue(role?: string): Promise<QuestionCatalogue> {
+  const query = role ? `?role=${encodeURIComponent(role)}` : '';
+  const response = await apiFetch(`/api/evaluations/catalogue${query}`);
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Question catalogue could not be loaded (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Questionnaires the user answers on the project, in answering order;
+ * null when the user is not assigned to the project
+ */
+export async function fetchAssignmentCatalogue(project: Project, user: User): Promise<AssignmentCatalogue | null> {
+  const response = await apiFetch(
+    `/api/evaluations/catalogue/assignment?projectId=${idOf(project)}&userId=${idOf(user)}`
+  );
+  // Not assigned (404), or not a member of the project (403)
+  if (response.status === 404 || response.status === 403) return null;
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Assigned questionnaires could not be loaded (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Questionnaire keys the user answers on the project: the assignment's, or the
+ * role's when the user is not assigned (e.g. an admin previewing the form)
+ */
+export async function fetchQuestionnaireKeys(project: Project, user: User): Promise<string[]> {
+  const assignment = await fetchAssignmentCatalogue(project, user);
+  if (assignment) return assignment.questionnaires.map(q => q.key);
+
+  const { roles } = await fetchQuestionCatalogue(user.role.toLowerCase().replace(' ', '-'));
+  return roles[0]?.questionnaires.map(q => q.key) || ['general-v1'];
+}
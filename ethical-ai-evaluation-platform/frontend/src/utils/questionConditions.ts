@@ -0,0 +1,124 @@
+import { DisplayCondition, Question, UseCase, UseCaseQuestion } from '../types';
+
+/**
+ * Display conditions of questions (Question.showIf).
+ * Same rules as backend/utils/questionConditions.js, which decides what is
+ * required, counted in progress and scored; keep the two in step. The backend
+ * tests run backend/tests/fixtures/questionConditions.cases.json against both.
+ *
+ * A condition holds when all of its tests pass (anyOf: the answer is one of
+ * the values, noneOf: it is none of them, answered: it is / is not answered);
+ * one without tests requires an answer. Values are compared trimmed and
+ * case-insensitively, a hidden question counts as unanswered and conditions
+ * that refer to each other in a loop count as met.
+ */
+
+type AnswerValues = (questionnaireKey: string | undefined, code: string) => string[];
+
+const normalizeValue = (value: unknown) => String(value).trim().toLowerCase();
+
+const refKey = (questionnaireKey: string | undefined, code: string | undefined) => `${questionnaireKey}:${code}`;
+
+export const hasShowIf = (question?: Pick<Question, 'showIf'> | null) =>
+  Array.isArray(question?.showIf?.conditions) && question!.showIf!.conditions.length > 0;
+
+/**
+ * Values of an answer as kept in the evaluation form (option key, keys or text)
+ */
+export const formAnswerValues = (value: unknown): string[] => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.map(normalizeValue).filter(v => v.length > 0);
+};
+
+/**
+ * The use-case owner's answers by every name their question goes by
+ * (answers may store the UseCaseQuestion id or its key)
+ */
+export const indexUseCaseAnswers = (
+  answers: UseCase['answers'] = [],
+  useCaseQuestions: Pick<UseCaseQuestion, 'id' | 'key'>[] = []
+): Map<string, string[]> => {
+  const index = new Map<string, string[]>();
+  (answers || []).forEach(entry => {
+    const value = normalizeValue(entry?.answer ?? '');
+    if (!value) return;
+    const question = useCaseQuestions.find(q => q.id === entry.questionId || (q.key && q.key === entry.questionId));
+    [entry.questionId, entry.questionKey, question?.id, question?.key]
+      .filter((name): name is string => name !== undefined && name !== null && name !== '')
+      .forEach(name => index.set(String(name), [value]));
+  });
+  return index;
+};
+
+const conditionHolds = (condition: DisplayCondition, values: string[]) => {
+  const matches = (list: string[]) => list.some(value => values.includes(normalizeValue(value)));
+  let tested = false;
+
+  if (Array.isArray(condition.anyOf) && condition.anyOf.length > 0) {
+    tested = true;
+    if (!matches(condition.anyOf)) return false;
+  }
+  if (Array.isArray(condition.noneOf) && condition.noneOf.length > 0) {
+    tested = true;
+    if (matches(condition.noneOf)) return false;
+  }
+  if (typeof condition.answered === 'boolean') {
+    tested = true;
+    if ((values.length > 0) !== condition.answered) return false;
+  }
+  return tested || values.length > 0;
+};
+
+/**
+ * Visibility of questions for one set of answers
+ * @param questions - Questions conditions may refer to
+ * @param answerValues - (questionnaireKey, code) => answer values
+ * @param useCaseAnswers - See indexUseCaseAnswers
+ * @returns question => whether it is shown
+ */
+export const createVisibility = ({
+  questions = [],
+  answerValues = () => [],
+  useCaseAnswers = new Map()
+}: {
+  questions?: Question[];
+  answerValues?: AnswerValues;
+  useCaseAnswers?: Map<string, string[]>;
+}) => {
+  const byCode = new Map<string, Question>();
+  questions.forEach(q => {
+    const key = refKey(q.questionnaireKey, q.code);
+    if (!byCode.has(key)) byCode.set(key, q);
+  });
+
+  const visited = new Map<Question, boolean>();
+  const evaluating = new Set<Question>();
+
+  const valuesOf = (condition: DisplayCondition, questionnaireKey?: string): string[] => {
+    if (condition.source === 'useCase') {
+      return useCaseAnswers.get(String(condition.code)) || [];
+    }
+    const key = condition.questionnaireKey || questionnaireKey;
+    const referenced = byCode.get(refKey(key, condition.code));
+    if (referenced && !isVisible(referenced)) return [];
+    return (answerValues(key, condition.code) || []).map(normalizeValue).filter(v => v.length > 0);
+  };
+
+  const isVisible = (question: Question): boolean => {
+    if (!hasShowIf(question)) return true;
+    if (visited.has(question)) return visited.get(question)!;
+    if (evaluating.has(question)) return true;
+
+    evaluating.add(question);
+    const { match, conditions } = question.showIf!;
+    const holds = (condition: DisplayCondition) => conditionHolds(condition, valuesOf(condition, question.questionnaireKey));
+    const visible = match === 'any' ? conditions.some(holds) : conditions.every(holds);
+    evaluating.delete(question);
+
+    visited.set(question, visible);
+    return visible;
+  };
+
+  return isVisible;
+};
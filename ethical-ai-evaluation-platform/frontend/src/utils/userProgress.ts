@@ -1,4 +1,4 @@
-import { api } from '../api';
+import { apiFetch } from '../api';
 import { Project, User } from '../types';
 
 /**
@@ -19,7 +19,7 @@ export async function fetchUserProgress(project: Project, currentUser: User): Pr
     console.log(`📊 Fetching progress for project ${projectId}, user ${userId}`);
     
     // Yeni API endpoint'ini kullan
-    const response = await fetch(api(`/api/user-progress?projectId=${projectId}&userId=${userId}`));
+    const response = await apiFetch(`/api/user-progress?projectId=${projectId}&userId=${userId}`);
     
     if (!response.ok) {
       const errorText = await response.text();